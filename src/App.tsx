@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import { Menu, User } from 'lucide-react';
 import AuthWrapper from './components/AuthWrapper';
 import { supabase } from './lib/supabase';
@@ -10,8 +10,10 @@ import ChapterView from './components/ChapterView';
 import OnlineCourseChapterView from './components/OnlineCourseChapterView';
 import BookEditor from './components/BookEditor';
 import PersonaManagement from './components/PersonaManagement';
+import SyncStatusIndicator from './components/SyncStatusIndicator';
 import { Book, BookChapter, SubChapter, WritingPersona } from './types';
 import { saveBook, loadBook } from './services/bookService';
+import { requestSync, startBackgroundSync, subscribeToRemoteBookChanges } from './services/syncService';
 
 function App() {
   const [currentStep, setCurrentStep] = useState<'prompt' | 'outline' | 'chapter' | 'edit' | 'personas'>('prompt');
@@ -19,6 +21,8 @@ function App() {
   const [selectedChapter, setSelectedChapter] = useState<BookChapter | null>(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [selectedPersona, setSelectedPersona] = useState<WritingPersona | null>(null);
+  // Section to scroll to when a chapter or the editor is opened from an audit finding
+  const [focusedSectionId, setFocusedSectionId] = useState<string | undefined>();
   
   // Handle OAuth callback
   useEffect(() => {
@@ -26,16 +30,20 @@ function App() {
       if (event === 'SIGNED_IN' && session) {
         // OAuth callback successful
         console.log('OAuth sign in successful');
+        requestSync();
       }
     });
 
     return () => subscription.unsubscribe();
   }, []);
 
-  const apiKeys = {
-    gemini: import.meta.env.VITE_GEMINI_API_KEY || '',
-    perplexity: import.meta.env.VITE_PERPLEXITY_API_KEY || ''
-  };
+  // Books are saved on this device first and synced to the server in the background
+  useEffect(() => startBackgroundSync(), []);
+
+  // Reload the open book when a sync brings in changes made on another device
+  const openBookId = useRef<string | undefined>();
+  openBookId.current = book?.id;
+  useEffect(() => subscribeToRemoteBookChanges(bookId => reloadOpenBook(bookId)), []);
 
   const handleBookGenerated = (generatedBook: Book) => {
     saveBookToDatabase(generatedBook);
@@ -53,14 +61,29 @@ function App() {
 
   const handleChapterClick = (chapter: BookChapter) => {
     setSelectedChapter(chapter);
+    setFocusedSectionId(undefined);
     setCurrentStep('chapter');
   };
 
   const handleBackToOutline = () => {
     setSelectedChapter(null);
+    setFocusedSectionId(undefined);
     setCurrentStep('outline');
   };
 
+  const handleOpenSection = (chapterId: string, subChapterId: string, target: 'chapter' | 'editor') => {
+    const chapter = book?.chapters.find(ch => ch.id === chapterId);
+    if (!chapter) return;
+
+    if (target === 'editor') {
+      handleEditBook();
+    } else {
+      setSelectedChapter(chapter);
+      setCurrentStep('chapter');
+    }
+    setFocusedSectionId(subChapterId);
+  };
+
   const handleUpdateChapter = (updatedChapter: BookChapter) => {
     if (!book) return;
     
@@ -76,6 +99,20 @@ function App() {
     saveBookToDatabase(updatedBook);
   };
 
+  // Reads through a ref so listeners registered on mount always see the current book
+  const reloadOpenBook = async (bookId: string) => {
+    if (openBookId.current !== bookId) return;
+    try {
+      const resolvedBook = await loadBook(bookId);
+      if (resolvedBook) {
+        setBook(resolvedBook);
+        setSelectedChapter(current => current && (resolvedBook.chapters.find(ch => ch.id === current.id) || null));
+      }
+    } catch (error) {
+      console.error('Error reloading book:', error);
+    }
+  };
+
   const handleNewBook = () => {
     setBook(null);
     setSelectedChapter(null);
@@ -118,6 +155,7 @@ function App() {
   };
 
   const handleBackFromEdit = () => {
+    setFocusedSectionId(undefined);
     setCurrentStep('outline');
     window.location.hash = '';
   };
@@ -143,16 +181,16 @@ function App() {
             chapter={selectedChapter}
             onBack={handleBackToOutline}
             onUpdateChapter={handleUpdateChapter}
-            apiKeys={apiKeys}
           />
         );
       } else {
         return (
           <ChapterView
+            book={book}
             chapter={selectedChapter}
+            focusedSectionId={focusedSectionId}
             onBack={handleBackToOutline}
             onUpdateChapter={handleUpdateChapter}
-            apiKeys={apiKeys}
           />
         );
       }
@@ -202,9 +240,9 @@ function App() {
                 </button>
               </div>
 
-              {/* Right side - empty for now, can add user menu later */}
+              {/* Right side - sync status */}
               <div className="flex items-center gap-2">
-                {/* Future: User menu, settings, etc. */}
+                <SyncStatusIndicator onConflictResolved={reloadOpenBook} />
               </div>
             </div>
           </header>
@@ -216,7 +254,6 @@ function App() {
               {currentStep === 'prompt' && (
                 <BookPrompt 
                   onBookGenerated={handleBookGenerated}
-                  apiKeys={apiKeys}
                 />
               )}
 
@@ -229,7 +266,8 @@ function App() {
                     setBook(updatedBook);
                     saveBookToDatabase(updatedBook);
                   }}
-                  apiKeys={apiKeys}
+                  onOpenSection={handleOpenSection}
+                  onOpenBook={handleSelectBook}
                 />
               )}
 
@@ -238,18 +276,17 @@ function App() {
               {currentStep === 'edit' && book && (
                 <BookEditor
                   book={book}
+                  focusedSectionId={focusedSectionId}
                   onBack={handleBackFromEdit}
                   onUpdateBook={(updatedBook) => {
                     setBook(updatedBook);
                     saveBookToDatabase(updatedBook);
                   }}
-                  apiKeys={apiKeys}
                 />
               )}
 
               {currentStep === 'personas' && (
                 <PersonaManagement
-                  apiKeys={apiKeys}
                   onPersonaSelect={setSelectedPersona}
                   selectedPersonaId={selectedPersona?.id}
                 />
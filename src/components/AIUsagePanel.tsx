@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { AIBudget, AIUsageRecord } from '../types';
+import { getAIAccount, loadUsageSince, summarizeUsage, UsageTotals } from '../services/aiProxyService';
+import { loadAllBooks } from '../services/bookService';
+import { LLM_TASK_LABELS } from '../services/llmService';
+
+const OPERATION_LABELS: Record<AIUsageRecord['operation'], string> = {
+  ...LLM_TASK_LABELS,
+  research: 'Research',
+  cover: 'Cover art',
+  speech: 'Narration',
+  other: 'Other'
+};
+
+const formatCost = (costUsd: number): string =>
+  costUsd > 0 && costUsd < 0.01 ? '<$0.01' : `$${costUsd.toFixed(2)}`;
+
+const describeTotals = (totals: UsageTotals): string => {
+  const parts = [`${totals.calls} call${totals.calls === 1 ? '' : 's'}`];
+  const tokens = totals.inputTokens + totals.outputTokens;
+  if (tokens > 0) parts.push(`${tokens.toLocaleString()} tokens`);
+  if (totals.images > 0) parts.push(`${totals.images} image${totals.images === 1 ? '' : 's'}`);
+  if (totals.characters > 0) parts.push(`${totals.characters.toLocaleString()} characters`);
+  return parts.join(' · ');
+};
+
+const AIUsagePanel: React.FC = () => {
+  const [budget, setBudget] = useState<AIBudget | null>(null);
+  const [records, setRecords] = useState<AIUsageRecord[]>([]);
+  const [bookTitles, setBookTitles] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const account = await getAIAccount();
+        const [usage, books] = await Promise.all([
+          loadUsageSince(account.budget.periodStart),
+          loadAllBooks()
+        ]);
+        setBudget(account.budget);
+        setRecords(usage);
+        setBookTitles(Object.fromEntries(books.map(book => [book.id, book.title])));
+      } catch (error) {
+        console.error('Error loading AI usage:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadUsage();
+  }, []);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6">
+        <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!budget) {
+    return <p className="text-sm text-gray-600">Usage couldn't be loaded right now. Please try again later.</p>;
+  }
+
+  const spentPercent = budget.budgetUsd > 0 ? Math.min(100, (budget.spentUsd / budget.budgetUsd) * 100) : 100;
+  const totalCost = records.reduce((sum, record) => sum + record.costUsd, 0);
+  const byBook = summarizeUsage(records, record => record.bookId || '');
+  const byOperation = summarizeUsage(records, record => record.operation);
+
+  const renderTotals = (title: string, totals: UsageTotals[], getLabel: (key: string) => string) => (
+    <div>
+      <h4 className="text-sm font-medium text-gray-700 mb-2">{title}</h4>
+      <div className="space-y-2">
+        {totals.map(total => (
+          <div key={total.key} className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="text-sm text-gray-800 truncate">{getLabel(total.key)}</p>
+              <p className="text-xs text-gray-500">{describeTotals(total)}</p>
+            </div>
+            <span className="text-sm font-medium text-gray-800">{formatCost(total.costUsd)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="flex items-center justify-between text-sm mb-1">
+          <span className="font-medium text-gray-700">Monthly budget</span>
+          <span className="text-gray-600">{formatCost(budget.spentUsd)} of ${budget.budgetUsd.toFixed(2)}</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className={`h-2 rounded-full ${spentPercent >= 90 ? 'bg-red-500' : 'bg-blue-600'}`}
+            style={{ width: `${spentPercent}%` }}
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Covers calls made with the shared keys since {new Date(budget.periodStart).toLocaleDateString()}. Calls with your own keys aren't limited.
+        </p>
+      </div>
+
+      {records.length === 0 ? (
+        <p className="text-sm text-gray-600">No AI usage yet this month.</p>
+      ) : (
+        <>
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-700">Estimated cost this month</span>
+            <span className="font-medium text-gray-800">{formatCost(totalCost)}</span>
+          </div>
+          {renderTotals('By book', byBook, key => (key ? bookTitles[key] || 'Deleted book' : 'No book'))}
+          {renderTotals('By feature', byOperation, key => OPERATION_LABELS[key as AIUsageRecord['operation']] || key)}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AIUsagePanel;
@@ -1,110 +1,143 @@
-import React, { useState } from 'react';
-import { Key, Zap } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Key, Loader2, Save, Trash2 } from 'lucide-react';
+import { AIAccount, AIProxyProvider } from '../types';
+import { AI_PROVIDER_LABELS, deleteProviderKey, getAIAccount, saveProviderKey } from '../services/aiProxyService';
 
-interface APISettingsProps {
-  onAPIKeysSet: (keys: {gemini: string; perplexity: string}) => void;
-}
+const KEY_LINKS: Record<AIProxyProvider, { label: string; url: string }> = {
+  gemini: { label: 'Google AI Studio', url: 'https://aistudio.google.com/app/apikey' },
+  openai: { label: 'the OpenAI dashboard', url: 'https://platform.openai.com/api-keys' },
+  perplexity: { label: 'Perplexity AI', url: 'https://www.perplexity.ai/settings/api' }
+};
+
+const APISettings: React.FC = () => {
+  const [account, setAccount] = useState<AIAccount | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [drafts, setDrafts] = useState<Partial<Record<AIProxyProvider, string>>>({});
+  const [busyProvider, setBusyProvider] = useState<AIProxyProvider | null>(null);
+
+  useEffect(() => {
+    const loadAccount = async () => {
+      try {
+        setAccount(await getAIAccount());
+      } catch (error) {
+        console.error('Error loading API keys:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadAccount();
+  }, []);
 
-const APISettings: React.FC<APISettingsProps> = ({ onAPIKeysSet }) => {
-  const [geminiKey, setGeminiKey] = useState(import.meta.env.VITE_GEMINI_API_KEY || '');
-  const [perplexityKey, setPerplexityKey] = useState(import.meta.env.VITE_PERPLEXITY_API_KEY || '');
+  const handleSave = async (provider: AIProxyProvider) => {
+    const apiKey = drafts[provider]?.trim();
+    if (!apiKey) return;
 
-  // Auto-submit if keys are available from environment
-  React.useEffect(() => {
-    if (geminiKey && perplexityKey) {
-      onAPIKeysSet({
-        gemini: geminiKey,
-        perplexity: perplexityKey
-      });
+    setBusyProvider(provider);
+    try {
+      setAccount(await saveProviderKey(provider, apiKey));
+      setDrafts(prev => ({ ...prev, [provider]: '' }));
+    } catch (error) {
+      console.error('Error saving API key:', error);
+      alert(error instanceof Error ? error.message : 'Failed to save the API key. Please try again.');
+    } finally {
+      setBusyProvider(null);
     }
-  }, [geminiKey, perplexityKey, onAPIKeysSet]);
+  };
+
+  const handleRemove = async (provider: AIProxyProvider) => {
+    if (!confirm(`Remove your ${AI_PROVIDER_LABELS[provider]} key?`)) return;
 
-  const handleSubmit = (e: React.FormEvent) => {
-    e.preventDefault();
-    if (geminiKey.trim() && perplexityKey.trim()) {
-      onAPIKeysSet({
-        gemini: geminiKey.trim(),
-        perplexity: perplexityKey.trim()
-      });
+    setBusyProvider(provider);
+    try {
+      setAccount(await deleteProviderKey(provider));
+    } catch (error) {
+      console.error('Error removing API key:', error);
+      alert('Failed to remove the API key. Please try again.');
+    } finally {
+      setBusyProvider(null);
     }
   };
 
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-6">
+        <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!account) {
+    return <p className="text-sm text-gray-600">The AI proxy could not be reached, so your keys can't be shown right now.</p>;
+  }
+
   return (
-    <div className="max-w-2xl mx-auto">
-      <div className="bg-white rounded-2xl shadow-xl p-8">
-        <div className="text-center mb-8">
-          <img 
-            src="/generated-image.png" 
-            alt="Unstack Logo" 
-            className="h-16 w-auto mx-auto mb-4"
-          />
-          <h2 className="text-2xl font-bold text-gray-800 mb-2">API Configuration</h2>
-          <p className="text-gray-600">Enter your API keys to get started with Unstack's AI-powered eBook generation</p>
-        </div>
+    <div className="space-y-4">
+      {(Object.keys(AI_PROVIDER_LABELS) as AIProxyProvider[]).map(provider => {
+        const savedKey = account.keys.find(key => key.provider === provider);
+        const hasPlatformKey = account.platformProviders.includes(provider);
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="gemini" className="block text-sm font-medium text-gray-700 mb-2">
-              Google Gemini API Key
-            </label>
-            <input
-              type="password"
-              id="gemini"
-              value={geminiKey}
-              onChange={(e) => setGeminiKey(e.target.value)}
-              placeholder="Enter your Gemini API key"
-              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-              required
-            />
-            <p className="text-xs text-gray-500 mt-1">
-              Get your API key from{' '}
-              <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
-                Google AI Studio
-              </a>
+        return (
+          <div key={provider} className="space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <label htmlFor={`key-${provider}`} className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <Key className="w-4 h-4 text-gray-500" />
+                {AI_PROVIDER_LABELS[provider]}
+              </label>
+              {savedKey && (
+                <button
+                  onClick={() => handleRemove(provider)}
+                  disabled={busyProvider !== null}
+                  className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-50 transition-colors duration-200"
+                  title="Remove key"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500">
+              {savedKey
+                ? `Using your key ending in ${savedKey.keyHint}.`
+                : hasPlatformKey
+                  ? 'Using the shared key, within your monthly budget.'
+                  : 'Not available until you add a key.'}
             </p>
-          </div>
-
-          <div>
-            <label htmlFor="perplexity" className="block text-sm font-medium text-gray-700 mb-2">
-              Perplexity AI API Key
-            </label>
-            <input
-              type="password"
-              id="perplexity"
-              value={perplexityKey}
-              onChange={(e) => setPerplexityKey(e.target.value)}
-              placeholder="Enter your Perplexity API key"
-              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200"
-              required
-            />
-            <p className="text-xs text-gray-500 mt-1">
-              Get your API key from{' '}
-              <a href="https://www.perplexity.ai/settings/api" target="_blank" rel="noopener noreferrer" className="text-purple-600 hover:underline">
-                Perplexity AI
+            <div className="flex gap-2">
+              <input
+                type="password"
+                id={`key-${provider}`}
+                value={drafts[provider] || ''}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [provider]: e.target.value }))}
+                placeholder={savedKey ? 'Replace your key' : `Enter your ${AI_PROVIDER_LABELS[provider]} API key`}
+                autoComplete="off"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => handleSave(provider)}
+                disabled={!drafts[provider]?.trim() || busyProvider !== null}
+                className="px-3 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-1"
+              >
+                {busyProvider === provider ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                Save
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Get a key from{' '}
+              <a href={KEY_LINKS[provider].url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                {KEY_LINKS[provider].label}
               </a>
             </p>
           </div>
+        );
+      })}
 
-          <button
-            type="submit"
-            disabled={!geminiKey.trim() || !perplexityKey.trim()}
-            className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-6 rounded-xl font-medium hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
-          >
-            <Zap className="w-5 h-5" />
-            Continue to eBook Generator
-          </button>
-        </form>
-
-        <div className="mt-8 p-4 bg-blue-50 rounded-xl">
-          <h3 className="font-medium text-blue-900 mb-2">Security Note</h3>
-          <p className="text-sm text-blue-800">
-            Your API keys are stored locally in your browser and are never sent to our servers. 
-            They are only used to communicate directly with Google Gemini and Perplexity AI services.
-          </p>
-        </div>
+      <div className="p-3 bg-blue-50 rounded-lg">
+        <p className="text-xs text-blue-800">
+          Keys are encrypted on our server and only used to make your own AI requests. They are never sent back to the browser.
+          Calls made with your own key don't count against your monthly budget.
+        </p>
       </div>
     </div>
   );
 };
 
-export default APISettings;
\ No newline at end of file
+export default APISettings;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { AcxMetric, AcxReport } from '../types';
+import { ACX_REQUIREMENTS, formatDb } from '../services/acxService';
+import { formatDuration } from '../services/ttsService';
+
+interface AcxReportPanelProps {
+  report: AcxReport;
+}
+
+const formatSeconds = (seconds: number) => `${seconds.toFixed(2)} s`;
+
+const AcxReportPanel: React.FC<AcxReportPanelProps> = ({ report }) => {
+  const failedChapters = report.chapters.filter(chapter => chapter.failures.length > 0).length;
+
+  const cell = (failed: boolean, value: string) => (
+    <td className={`px-2 py-1 text-right whitespace-nowrap ${failed ? 'text-red-700 bg-red-50 font-medium' : 'text-gray-700'}`}>
+      {value}
+    </td>
+  );
+
+  const failedMetrics = new Set<AcxMetric>(report.chapters.flatMap(chapter => chapter.failures));
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className={`mb-4 p-3 rounded-lg border flex items-center gap-3 ${
+        report.passed ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+      }`}>
+        {report.passed ? (
+          <CheckCircle className="w-5 h-5 text-green-500 flex-shrink-0" />
+        ) : (
+          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0" />
+        )}
+        <p className={report.passed ? 'text-green-800' : 'text-red-700'}>
+          {report.passed
+            ? 'Every chapter meets the ACX audio requirements.'
+            : `${failedChapters} of ${report.chapters.length} chapters need attention before upload.`}
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="px-2 py-1 font-medium">Chapter</th>
+              <th className="px-2 py-1 font-medium text-right">RMS</th>
+              <th className="px-2 py-1 font-medium text-right">Peak</th>
+              <th className="px-2 py-1 font-medium text-right">Noise floor</th>
+              <th className="px-2 py-1 font-medium text-right">Head</th>
+              <th className="px-2 py-1 font-medium text-right">Tail</th>
+              <th className="px-2 py-1 font-medium text-right">Length</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.chapters.map(chapter => (
+              <tr key={chapter.chapterId} className="border-b border-gray-100">
+                <td className="px-2 py-1 text-gray-900 truncate max-w-[12rem]">{chapter.title}</td>
+                {cell(chapter.failures.includes('rms'), formatDb(chapter.rmsDb))}
+                {cell(chapter.failures.includes('peak'), formatDb(chapter.peakDb))}
+                {cell(chapter.failures.includes('noiseFloor'), formatDb(chapter.noiseFloorDb))}
+                {cell(chapter.failures.includes('headSilence'), formatSeconds(chapter.headSilence))}
+                {cell(chapter.failures.includes('tailSilence'), formatSeconds(chapter.tailSilence))}
+                {cell(chapter.failures.includes('length'), formatDuration(chapter.duration))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ul className="mt-4 text-xs text-gray-500 space-y-1">
+        {(Object.keys(ACX_REQUIREMENTS) as AcxMetric[]).map(metric => (
+          <li key={metric} className={failedMetrics.has(metric) ? 'text-red-700' : undefined}>
+            {ACX_REQUIREMENTS[metric].label}
+          </li>
+        ))}
+        <li>Measured on the generated chapter audio before encoding.</li>
+      </ul>
+    </div>
+  );
+};
+
+export default AcxReportPanel;
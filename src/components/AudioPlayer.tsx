@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Play, Pause, Square, SkipBack, SkipForward, Volume2, Settings } from 'lucide-react';
-import { AudiobookData, AudioChapter } from '../types';
+import { Play, Pause, Square, SkipBack, SkipForward, Volume2, Settings, Mic } from 'lucide-react';
+import { AudiobookData } from '../types';
 import { formatDuration } from '../services/ttsService';
 
 interface AudioPlayerProps {
@@ -19,19 +19,43 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
   
   const audioRef = useRef<HTMLAudioElement>(null);
   const progressRef = useRef<HTMLDivElement>(null);
+  // Set when a chapter ends so the next one starts playing once it has loaded
+  const continuePlaybackRef = useRef(false);
 
-  const currentChapter = audiobook.audioChapters[currentChapterIndex];
   const completedChapters = audiobook.audioChapters.filter(ch => ch.status === 'completed');
+  const currentChapter = completedChapters[currentChapterIndex];
+  const currentAudioUrl = currentChapter?.audioUrl;
+  const chapterCount = completedChapters.length;
+  const currentSection = currentChapter?.segments?.find(segment =>
+    currentTime >= segment.startTime && currentTime < segment.startTime + segment.duration
+  );
+  const currentSpeaker = currentChapter?.speakers?.find(segment =>
+    currentTime >= segment.startTime && currentTime < segment.startTime + segment.duration
+  );
 
   useEffect(() => {
     const audio = audioRef.current;
-    if (!audio || !currentChapter?.audioUrl) return;
+    if (!audio || !currentAudioUrl) return;
 
-    audio.src = currentChapter.audioUrl;
+    audio.src = currentAudioUrl;
     audio.load();
+    setCurrentTime(0);
+    setIsPlaying(false);
+
+    if (continuePlaybackRef.current) {
+      continuePlaybackRef.current = false;
+      audio.play().catch(error => console.error('Error continuing playback:', error));
+    }
+  }, [currentAudioUrl]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
 
     const handleLoadedMetadata = () => {
-      setDuration(audio.duration || currentChapter.duration || 0);
+      setDuration(audio.duration);
+      // Loading a new source resets the playback rate
+      audio.playbackRate = playbackRate;
     };
 
     const handleTimeUpdate = () => {
@@ -39,19 +63,33 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
     };
 
     const handleEnded = () => {
-      handleNextChapter();
+      setCurrentChapterIndex(index => {
+        if (index < chapterCount - 1) {
+          continuePlaybackRef.current = true;
+          return index + 1;
+        }
+        // End of audiobook
+        return index;
+      });
     };
 
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+
     audio.addEventListener('loadedmetadata', handleLoadedMetadata);
     audio.addEventListener('timeupdate', handleTimeUpdate);
     audio.addEventListener('ended', handleEnded);
+    audio.addEventListener('play', handlePlay);
+    audio.addEventListener('pause', handlePause);
 
     return () => {
       audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
       audio.removeEventListener('timeupdate', handleTimeUpdate);
       audio.removeEventListener('ended', handleEnded);
+      audio.removeEventListener('play', handlePlay);
+      audio.removeEventListener('pause', handlePause);
     };
-  }, [currentChapterIndex, currentChapter]);
+  }, [chapterCount, playbackRate]);
 
   useEffect(() => {
     const audio = audioRef.current;
@@ -65,12 +103,11 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
     const audio = audioRef.current;
     if (!audio || !currentChapter?.audioUrl) return;
 
-    if (isPlaying) {
-      audio.pause();
+    if (audio.paused) {
+      audio.play().catch(error => console.error('Error starting playback:', error));
     } else {
-      audio.play();
+      audio.pause();
     }
-    setIsPlaying(!isPlaying);
   };
 
   const handleStop = () => {
@@ -78,7 +115,6 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
     if (audio) {
       audio.pause();
       audio.currentTime = 0;
-      setIsPlaying(false);
       setCurrentTime(0);
     }
   };
@@ -86,17 +122,12 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
   const handlePreviousChapter = () => {
     if (currentChapterIndex > 0) {
       setCurrentChapterIndex(currentChapterIndex - 1);
-      setIsPlaying(false);
     }
   };
 
   const handleNextChapter = () => {
     if (currentChapterIndex < completedChapters.length - 1) {
       setCurrentChapterIndex(currentChapterIndex + 1);
-      setIsPlaying(false);
-    } else {
-      // End of audiobook
-      setIsPlaying(false);
     }
   };
 
@@ -115,7 +146,6 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
 
   const handleChapterSelect = (index: number) => {
     setCurrentChapterIndex(index);
-    setIsPlaying(false);
   };
 
   const progressPercentage = duration > 0 ? (currentTime / duration) * 100 : 0;
@@ -159,6 +189,15 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({ audiobook, onClose }) => {
         <h4 className="font-medium text-gray-900 mb-1">
           {currentChapter?.title || 'Loading...'}
         </h4>
+        {currentSection?.subChapterId && (
+          <p className="text-sm text-purple-700 mb-1 truncate">{currentSection.title}</p>
+        )}
+        {currentSpeaker && (
+          <p className="text-sm text-gray-600 mb-1 flex items-center gap-1">
+            <Mic className="w-4 h-4" />
+            {currentSpeaker.speaker || 'Narrator'}
+          </p>
+        )}
         <div className="flex items-center justify-between text-sm text-gray-500">
           <span>{formatDuration(currentTime)}</span>
           <span>{formatDuration(duration)}</span>
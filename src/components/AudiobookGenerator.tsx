@@ -1,14 +1,35 @@
-import React, { useState, useEffect } from 'react';
-import { Volume2, Download, Play, Settings, AlertCircle, CheckCircle, Loader } from 'lucide-react';
-import { Book, VoiceOption, AudiobookData } from '../types';
+import React, { useState, useEffect, useRef } from 'react';
+import { Volume2, Download, Play, AlertCircle, CheckCircle, Loader, RefreshCw, Music, ClipboardCheck, Users } from 'lucide-react';
+import {
+  AcxReport,
+  Book,
+  DetectedCharacter,
+  VoiceOption,
+  AudiobookData,
+  StoryBibleEntry,
+  TTSEngineId,
+  TTSSettings,
+  VoiceCasting
+} from '../types';
 import { 
-  getAvailableVoices, 
+  autoCastVoices,
+  DEFAULT_TTS_ENGINES,
+  getDefaultTTSSettings,
+  filterVoicesForLanguage,
+  listVoices,
   selectVoiceForBook, 
   analyzeBookForVoiceSelection,
   generateAudiobook,
+  synthesizeSpeech,
   formatDuration
 } from '../services/ttsService';
+import { encodeWav } from '../services/audioService';
+import { checkAcxCompliance } from '../services/acxService';
+import { detectCharacters } from '../services/dialogueService';
+import { loadStoryBible } from '../services/storyBibleService';
+import { getLanguageName } from '../services/languageService';
 import AudioPlayer from './AudioPlayer';
+import AcxReportPanel from './AcxReportPanel';
 
 interface AudiobookGeneratorProps {
   book: Book;
@@ -21,55 +42,143 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
   onAudiobookGenerated,
   onClose 
 }) => {
+  const [ttsSettings, setTtsSettings] = useState<TTSSettings>(getDefaultTTSSettings);
+  const [serverUrl, setServerUrl] = useState(ttsSettings.baseUrl || '');
   const [availableVoices, setAvailableVoices] = useState<VoiceOption[]>([]);
+  // False when the engine has no voices for the book's language and every voice is listed
+  const [voicesMatchLanguage, setVoicesMatchLanguage] = useState(true);
+  const [isLoadingVoices, setIsLoadingVoices] = useState(false);
+  const [voiceReloadCount, setVoiceReloadCount] = useState(0);
   const [selectedVoice, setSelectedVoice] = useState<VoiceOption | null>(null);
+  const [previewingVoiceId, setPreviewingVoiceId] = useState<string | null>(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [generationProgress, setGenerationProgress] = useState(0);
   const [currentChapter, setCurrentChapter] = useState('');
   const [generatedAudiobook, setGeneratedAudiobook] = useState<AudiobookData | null>(null);
   const [showPlayer, setShowPlayer] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [packagingStatus, setPackagingStatus] = useState<string | null>(null);
+  const [acxReport, setAcxReport] = useState<AcxReport | null>(null);
+  const [isCheckingAcx, setIsCheckingAcx] = useState(false);
+  const [detectedCharacters, setDetectedCharacters] = useState<DetectedCharacter[] | null>(null);
+  const [characterHints, setCharacterHints] = useState<StoryBibleEntry[]>([]);
+  const [casting, setCasting] = useState<VoiceCasting>(book.audiobook?.casting || {});
+  const [isDetectingCharacters, setIsDetectingCharacters] = useState(false);
+  const previewAudioRef = useRef<HTMLAudioElement | null>(null);
+
+  const { engine, baseUrl } = ttsSettings;
 
   useEffect(() => {
-    // Load available voices
-    const loadVoices = () => {
-      const voices = getAvailableVoices();
-      setAvailableVoices(voices);
-      
-      if (voices.length > 0) {
-        const recommended = selectVoiceForBook(book, voices);
-        setSelectedVoice(recommended);
+    // Voices come from the engine, so reload them whenever the engine or its server changes
+    let cancelled = false;
+    const loadVoices = async () => {
+      setIsLoadingVoices(true);
+      setError(null);
+      try {
+        const { voices, matched } = filterVoicesForLanguage(await listVoices({ engine, baseUrl, voiceId: '' }), book.language);
+        if (cancelled) return;
+        setAvailableVoices(voices);
+        setVoicesMatchLanguage(matched);
+        setSelectedVoice(selectVoiceForBook(book, voices));
+      } catch (err) {
+        console.error('Error loading voices:', err);
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load voices');
+      } finally {
+        if (!cancelled) setIsLoadingVoices(false);
       }
     };
 
-    // Voices might not be loaded immediately
-    if (speechSynthesis.getVoices().length === 0) {
-      speechSynthesis.addEventListener('voiceschanged', loadVoices);
-    } else {
-      loadVoices();
-    }
+    loadVoices();
 
     return () => {
-      speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+      cancelled = true;
     };
-  }, [book]);
+  }, [book, engine, baseUrl, voiceReloadCount]);
+
+  useEffect(() => {
+    return () => {
+      if (previewAudioRef.current) {
+        previewAudioRef.current.pause();
+        URL.revokeObjectURL(previewAudioRef.current.src);
+      }
+    };
+  }, []);
 
   const analysis = analyzeBookForVoiceSelection(book);
 
-  const handleVoicePreview = (voice: VoiceOption) => {
-    if ('speechSynthesis' in window) {
-      // Stop any current speech
-      speechSynthesis.cancel();
-      
-      const utterance = new SpeechSynthesisUtterance(
-        `Hello, I'm ${voice.voice.name}. This is how I would narrate your book "${book.title}".`
+  const handleEngineChange = (newEngine: TTSEngineId) => {
+    setTtsSettings(prev => ({ ...prev, engine: newEngine, baseUrl: undefined, model: undefined }));
+    setServerUrl('');
+    // Voice ids belong to one engine
+    setCasting({});
+  };
+
+  const handleDetectCharacters = async () => {
+    setIsDetectingCharacters(true);
+    try {
+      let hints: StoryBibleEntry[] = [];
+      try {
+        hints = (await loadStoryBible(book.id)).entries;
+      } catch (err) {
+        // Detection still works from the text alone
+        console.warn('Could not load story bible for character detection:', err);
+      }
+
+      const characters = detectCharacters(book, hints);
+      setCharacterHints(hints);
+      setDetectedCharacters(characters);
+
+      // Keep earlier choices that still exist on this engine and cast everyone else
+      const autoCast = autoCastVoices(characters, availableVoices, selectedVoice?.id || '');
+      setCasting(prev => ({
+        ...autoCast,
+        ...Object.fromEntries(Object.entries(prev).filter(([name, voiceId]) =>
+          characters.some(character => character.name === name) &&
+          (voiceId === '' || availableVoices.some(voice => voice.id === voiceId))
+        ))
+      }));
+    } finally {
+      setIsDetectingCharacters(false);
+    }
+  };
+
+  const handleAutoCast = () => {
+    if (!detectedCharacters) return;
+    setCasting(autoCastVoices(detectedCharacters, availableVoices, selectedVoice?.id || ''));
+  };
+
+  const applyServerUrl = () => {
+    const trimmed = serverUrl.trim();
+    if (trimmed !== (baseUrl || '')) {
+      setTtsSettings(prev => ({ ...prev, baseUrl: trimmed || undefined }));
+    }
+  };
+
+  const handleVoicePreview = async (voice: VoiceOption) => {
+    setPreviewingVoiceId(voice.id);
+    setError(null);
+
+    try {
+      const sample = await synthesizeSpeech(
+        `Hello, I'm ${voice.name}. This is how I would narrate your book "${book.title}".`,
+        { ...ttsSettings, voiceId: voice.id },
+        { bookId: book.id, operation: 'speech' }
       );
-      utterance.voice = voice.voice;
-      utterance.rate = 1;
-      utterance.pitch = 1;
-      utterance.volume = 0.8;
-      
-      speechSynthesis.speak(utterance);
+
+      // Stop any current preview
+      if (previewAudioRef.current) {
+        previewAudioRef.current.pause();
+        URL.revokeObjectURL(previewAudioRef.current.src);
+      }
+
+      const audio = new Audio(URL.createObjectURL(encodeWav(sample)));
+      previewAudioRef.current = audio;
+      await audio.play();
+    } catch (err) {
+      console.error('Error previewing voice:', err);
+      setError(err instanceof Error ? err.message : 'Failed to preview voice');
+    } finally {
+      setPreviewingVoiceId(null);
     }
   };
 
@@ -87,14 +196,17 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
     try {
       const audiobook = await generateAudiobook(
         book,
-        selectedVoice.voice,
+        { ...ttsSettings, voiceId: selectedVoice.id },
         (progress, chapter) => {
           setGenerationProgress(progress);
           setCurrentChapter(chapter);
-        }
+        },
+        detectedCharacters && detectedCharacters.length > 0 ? casting : undefined,
+        characterHints
       );
 
       setGeneratedAudiobook(audiobook);
+      setAcxReport(null);
       onAudiobookGenerated?.(audiobook);
       setShowPlayer(true);
     } catch (err) {
@@ -117,6 +229,37 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
     }
   };
 
+  const handleDownloadM4B = async () => {
+    if (!generatedAudiobook) return;
+
+    setPackagingStatus('Preparing...');
+    try {
+      const { exportToM4B } = await import('../services/exportService');
+      await exportToM4B(book, generatedAudiobook, (progress, stage) => {
+        setPackagingStatus(`Encoding ${Math.round(progress * 100)}%: ${stage}`);
+      });
+    } catch (error) {
+      console.error('Error exporting M4B:', error);
+      alert(error instanceof Error ? error.message : 'Failed to export M4B. Please try again.');
+    } finally {
+      setPackagingStatus(null);
+    }
+  };
+
+  const handleCheckAcx = async () => {
+    if (!generatedAudiobook) return;
+
+    setIsCheckingAcx(true);
+    try {
+      setAcxReport(await checkAcxCompliance(generatedAudiobook));
+    } catch (error) {
+      console.error('Error checking audio levels:', error);
+      alert('Failed to check audio levels. Please try again.');
+    } finally {
+      setIsCheckingAcx(false);
+    }
+  };
+
   const getVoiceRecommendationText = () => {
     const confidence = Math.round(analysis.confidence * 100);
     const gender = analysis.recommendedGender;
@@ -141,7 +284,23 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
               className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
             >
               <Download className="w-4 h-4" />
-              Download
+              WAV Package
+            </button>
+            <button
+              onClick={handleDownloadM4B}
+              disabled={packagingStatus !== null}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 transition-colors flex items-center gap-2"
+            >
+              {packagingStatus !== null ? <Loader className="w-4 h-4 animate-spin" /> : <Music className="w-4 h-4" />}
+              M4B
+            </button>
+            <button
+              onClick={handleCheckAcx}
+              disabled={isCheckingAcx}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center gap-2"
+            >
+              {isCheckingAcx ? <Loader className="w-4 h-4 animate-spin" /> : <ClipboardCheck className="w-4 h-4" />}
+              ACX Check
             </button>
             <button
               onClick={() => setShowPlayer(false)}
@@ -151,7 +310,9 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
             </button>
           </div>
         </div>
+        {packagingStatus && <p className="text-sm text-gray-600">{packagingStatus}</p>}
         <AudioPlayer audiobook={generatedAudiobook} />
+        {acxReport && <AcxReportPanel report={acxReport} />}
       </div>
     );
   }
@@ -189,21 +350,68 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
         </div>
       </div>
 
+      {/* Speech Engine */}
+      <div className="mb-6 grid gap-3 md:grid-cols-2">
+        <label className="text-sm text-gray-700">
+          Speech engine
+          <select
+            value={engine}
+            onChange={(e) => handleEngineChange(e.target.value as TTSEngineId)}
+            disabled={isGenerating}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            {(Object.keys(DEFAULT_TTS_ENGINES) as TTSEngineId[]).map(id => (
+              <option key={id} value={id}>{DEFAULT_TTS_ENGINES[id].label}</option>
+            ))}
+          </select>
+        </label>
+        {engine !== 'openai' && (
+          <label className="text-sm text-gray-700">
+            Server URL
+            <input
+              type="text"
+              value={serverUrl}
+              onChange={(e) => setServerUrl(e.target.value)}
+              onBlur={applyServerUrl}
+              onKeyDown={(e) => e.key === 'Enter' && applyServerUrl()}
+              placeholder={DEFAULT_TTS_ENGINES[engine].baseUrl}
+              disabled={isGenerating}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </label>
+        )}
+      </div>
+
       {/* Voice Selection */}
       <div className="mb-6">
-        <h4 className="font-medium text-gray-900 mb-3">Select Narrator Voice</h4>
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="font-medium text-gray-900">Select Narrator Voice</h4>
+          <button
+            onClick={() => setVoiceReloadCount(count => count + 1)}
+            disabled={isLoadingVoices || isGenerating}
+            className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-50 transition-colors"
+            title="Reload voices"
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoadingVoices ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+        {!voicesMatchLanguage && availableVoices.length > 0 && (
+          <p className="mb-3 text-sm text-amber-700">
+            This engine has no {getLanguageName(book.language)} voices, so all of its voices are listed.
+          </p>
+        )}
         {availableVoices.length === 0 ? (
           <div className="text-center py-8 text-gray-500">
             <Volume2 className="w-8 h-8 mx-auto mb-2 opacity-50" />
-            <p>Loading available voices...</p>
+            <p>{isLoadingVoices ? 'Loading available voices...' : 'No voices available from this engine'}</p>
           </div>
         ) : (
           <div className="grid gap-3 max-h-64 overflow-y-auto">
-            {availableVoices.map((voiceOption, index) => (
+            {availableVoices.map(voiceOption => (
               <div
-                key={index}
+                key={voiceOption.id}
                 className={`p-3 border rounded-lg cursor-pointer transition-all ${
-                  selectedVoice?.voice.name === voiceOption.voice.name
+                  selectedVoice?.id === voiceOption.id
                     ? 'border-purple-500 bg-purple-50'
                     : 'border-gray-200 hover:border-gray-300'
                 } ${voiceOption.isRecommended ? 'ring-2 ring-blue-200' : ''}`}
@@ -213,7 +421,7 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
                   <div className="flex-1">
                     <div className="flex items-center gap-2">
                       <span className="font-medium text-gray-900">
-                        {voiceOption.voice.name}
+                        {voiceOption.name}
                       </span>
                       {voiceOption.isRecommended && (
                         <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
@@ -223,8 +431,7 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
                     </div>
                     <div className="flex items-center gap-4 mt-1 text-sm text-gray-500">
                       <span>Gender: {voiceOption.gender}</span>
-                      <span>Language: {voiceOption.language}</span>
-                      <span>Quality: {voiceOption.voice.localService ? 'High' : 'Standard'}</span>
+                      <span>Language: {voiceOption.multilingual ? 'Any' : voiceOption.language}</span>
                     </div>
                   </div>
                   <button
@@ -232,10 +439,11 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
                       e.stopPropagation();
                       handleVoicePreview(voiceOption);
                     }}
-                    className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                    disabled={previewingVoiceId !== null || isGenerating}
+                    className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-50 transition-colors"
                     title="Preview voice"
                   >
-                    <Play className="w-4 h-4" />
+                    {previewingVoiceId === voiceOption.id ? <Loader className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
                   </button>
                 </div>
               </div>
@@ -244,6 +452,63 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
         )}
       </div>
 
+      {/* Character Voices */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="font-medium text-gray-900">Character Voices</h4>
+          <div className="flex gap-2">
+            {detectedCharacters && detectedCharacters.length > 0 && (
+              <button
+                onClick={handleAutoCast}
+                disabled={isGenerating || availableVoices.length === 0}
+                className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 transition-colors"
+              >
+                Auto-cast
+              </button>
+            )}
+            <button
+              onClick={handleDetectCharacters}
+              disabled={isDetectingCharacters || isGenerating}
+              className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 transition-colors flex items-center gap-1"
+            >
+              {isDetectingCharacters ? <Loader className="w-4 h-4 animate-spin" /> : <Users className="w-4 h-4" />}
+              {detectedCharacters ? 'Detect again' : 'Detect characters'}
+            </button>
+          </div>
+        </div>
+        {detectedCharacters === null ? (
+          <p className="text-sm text-gray-500">
+            Find who speaks each line of dialogue to give characters their own voices. Without casting, the narrator reads everything.
+          </p>
+        ) : detectedCharacters.length === 0 ? (
+          <p className="text-sm text-gray-500">No attributed dialogue found. The narrator will read the whole book.</p>
+        ) : (
+          <div className="grid gap-2 max-h-64 overflow-y-auto">
+            {detectedCharacters.map(character => (
+              <div key={character.name} className="flex items-center justify-between gap-3 p-2 border border-gray-200 rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{character.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {character.lineCount} {character.lineCount === 1 ? 'line' : 'lines'} · {character.gender}
+                  </p>
+                </div>
+                <select
+                  value={casting[character.name] || ''}
+                  onChange={(e) => setCasting(prev => ({ ...prev, [character.name]: e.target.value }))}
+                  disabled={isGenerating}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  <option value="">Narrator voice</option>
+                  {availableVoices.map(voice => (
+                    <option key={voice.id} value={voice.id}>{voice.name} ({voice.gender})</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Generation Progress */}
       {isGenerating && (
         <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
@@ -272,8 +537,11 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
           </div>
           <div className="text-sm text-green-800">
             <p>Chapters: {generatedAudiobook.audioChapters.filter(ch => ch.status === 'completed').length}</p>
-            <p>Total Duration: ~{formatDuration(generatedAudiobook.totalDuration || 0)}</p>
+            <p>Total Duration: {formatDuration(generatedAudiobook.totalDuration || 0)}</p>
             <p>Voice: {generatedAudiobook.selectedVoice}</p>
+            {generatedAudiobook.audioChapters.filter(ch => ch.status === 'error').map(ch => (
+              <p key={ch.id} className="text-red-700">Failed: {ch.title} - {ch.error}</p>
+            ))}
           </div>
         </div>
       )}
@@ -312,17 +580,26 @@ const AudiobookGenerator: React.FC<AudiobookGeneratorProps> = ({
               className="px-6 py-3 bg-gray-600 text-white rounded-xl font-medium hover:bg-gray-700 transition-all duration-200 flex items-center gap-2"
             >
               <Download className="w-5 h-5" />
-              Download
+              WAV Package
+            </button>
+            <button
+              onClick={handleDownloadM4B}
+              disabled={packagingStatus !== null}
+              className="px-6 py-3 bg-purple-600 text-white rounded-xl font-medium hover:bg-purple-700 disabled:opacity-50 transition-all duration-200 flex items-center gap-2"
+            >
+              {packagingStatus !== null ? <Loader className="w-5 h-5 animate-spin" /> : <Music className="w-5 h-5" />}
+              M4B
             </button>
           </>
         )}
       </div>
+      {packagingStatus && <p className="mt-2 text-sm text-gray-600">{packagingStatus}</p>}
 
       {/* Info Note */}
       <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
         <p className="text-sm text-yellow-800">
-          <strong>Note:</strong> This feature uses your browser's built-in text-to-speech engine. 
-          For higher quality audio, consider using professional TTS services like ElevenLabs or Google Cloud TTS.
+          <strong>Note:</strong> Narration runs through the selected speech engine and produces real WAV files.
+          Local engines such as Kokoro or Piper must be running and allow requests from this site (CORS).
         </p>
       </div>
     </div>
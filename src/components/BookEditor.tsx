@@ -1,13 +1,47 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { ArrowLeft, Edit3, Wand2, Check, X, Save, RefreshCw, Type, BookOpen } from 'lucide-react';
-import { Book, BookChapter, SubChapter } from '../types';
+import { ArrowLeft, Edit3, Wand2, Check, X, Save, RefreshCw, Type, BookOpen, History, MessageSquarePlus, PenLine, Pencil } from 'lucide-react';
+import {
+  Book,
+  BookComment,
+  BookSuggestion,
+  CollaboratorPresence,
+  RevisionPoint,
+  RevisionSource,
+  SectionRevision,
+  SubChapter
+} from '../types';
+import { getSessionUser } from '../lib/supabase';
+import {
+  addComment,
+  applySuggestion,
+  BookRoom,
+  canEditBook,
+  canReviewBook,
+  createSuggestions,
+  deleteComment,
+  deleteSuggestion,
+  isBookOwner,
+  joinBookRoom,
+  loadDiscussion,
+  locateRange,
+  mergeText,
+  resolveSuggestion,
+  setCommentResolved,
+  subscribeToDiscussion
+} from '../services/collaborationService';
 import { editContent, editWholeBook } from '../services/editingService';
+import { getLLMForTask } from '../services/llmService';
+import { getChapterPersonaInstructions, loadBookPersonas } from '../services/personaService';
+import { buildBookAtRevisionPoint, recordBookChanges, restoreSectionRevision } from '../services/revisionService';
+import RevisionHistory from './RevisionHistory';
+import SectionDiscussion from './SectionDiscussion';
 
 interface BookEditorProps {
   book: Book;
+  // Scrolled into view and highlighted, e.g. when opened from a quality audit finding
+  focusedSectionId?: string;
   onBack: () => void;
   onUpdateBook: (book: Book) => void;
-  apiKeys: {gemini: string; perplexity: string};
 }
 
 interface ChangePreview {
@@ -20,11 +54,43 @@ interface ChangePreview {
   prompt: string;
 }
 
+// How each unsaved section change came about, recorded with its revision on save
+type PendingChangeSources = Record<string, { source: RevisionSource; note?: string }>;
+
+// Typing is sent to others in the book once it pauses this long
+const LIVE_EDIT_DELAY_MS = 400;
+
+const findSection = (book: Book, subChapterId: string): SubChapter | undefined =>
+  book.chapters.flatMap(chapter => chapter.subChapters || []).find(sc => sc.id === subChapterId);
+
+const replaceSectionContent = (book: Book, subChapterId: string, content: string): Book => ({
+  ...book,
+  chapters: book.chapters.map(chapter => ({
+    ...chapter,
+    subChapters: chapter.subChapters?.map(sc => sc.id === subChapterId ? { ...sc, content, voiceFidelity: undefined } : sc)
+  }))
+});
+
+// Takes a newer copy of the book, e.g. after a sync, but keeps sections edited here and not yet saved
+const keepUnsavedSections = (latest: Book, current: Book, unsaved: PendingChangeSources): Book =>
+  Object.keys(unsaved).reduce((result, subChapterId) => {
+    const section = findSection(current, subChapterId);
+    return section ? replaceSectionContent(result, subChapterId, section.content || '') : result;
+  }, latest);
+
+// Offset of a point in the selection, counted in characters from the start of the section text
+const getTextOffset = (container: Element, node: Node, offset: number): number => {
+  const range = document.createRange();
+  range.setStart(container, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+};
+
 const BookEditor: React.FC<BookEditorProps> = ({ 
   book, 
+  focusedSectionId,
   onBack, 
-  onUpdateBook,
-  apiKeys 
+  onUpdateBook
 }) => {
   const [editingBook, setEditingBook] = useState<Book>(book);
   const [selectedText, setSelectedText] = useState('');
@@ -39,12 +105,124 @@ const BookEditor: React.FC<BookEditorProps> = ({
   const [isProcessing, setIsProcessing] = useState(false);
   const [changePreview, setChangePreview] = useState<ChangePreview | null>(null);
   const [editMode, setEditMode] = useState<'selection' | 'whole-book'>('selection');
-  
+  const [pendingChangeSources, setPendingChangeSources] = useState<PendingChangeSources>({});
+  const [showHistory, setShowHistory] = useState(false);
+  const [currentUserId, setCurrentUserId] = useState<string | undefined>();
+  const [comments, setComments] = useState<BookComment[]>([]);
+  const [suggestions, setSuggestions] = useState<BookSuggestion[]>([]);
+  const [collaborators, setCollaborators] = useState<CollaboratorPresence[]>([]);
+  // One section is typed in at a time; while suggesting, the result becomes suggestions instead of edits
+  const [sectionDraft, setSectionDraft] = useState<{ subChapterId: string; text: string } | null>(null);
+  const [suggesting, setSuggesting] = useState(!canEditBook(book));
+  const [commentDraft, setCommentDraft] = useState<{
+    subChapterId: string;
+    start: number;
+    end: number;
+    quote: string;
+    body: string;
+  } | null>(null);
+
+  // Live editing callbacks are registered once, so they read the latest state through refs
+  const roomRef = useRef<BookRoom | null>(null);
+  const draftRef = useRef(sectionDraft);
+  draftRef.current = sectionDraft;
+  const suggestingRef = useRef(suggesting);
+  suggestingRef.current = suggesting;
+  const pendingSourcesRef = useRef(pendingChangeSources);
+  pendingSourcesRef.current = pendingChangeSources;
+  // Section text last sent to or received from the others, which incoming edits are merged against
+  const draftBaseRef = useRef('');
+  const broadcastTimer = useRef<ReturnType<typeof setTimeout>>();
+  const draftTextareaRef = useRef<HTMLTextAreaElement>(null);
+  const pendingCaret = useRef<number | null>(null);
+  const remoteContentRef = useRef<(subChapterId: string, content: string) => void>(() => {});
+
+  const canEdit = canEditBook(book);
+  const canReview = canReviewBook(book);
+  const isOwner = isBookOwner(book);
+
   useEffect(() => {
-    setEditingBook(book);
+    setEditingBook(current => current.id === book.id ? keepUnsavedSections(book, current, pendingSourcesRef.current) : book);
   }, [book]);
 
-  const handleTextSelection = () => {
+  useEffect(() => {
+    getSessionUser().then(user => setCurrentUserId(user?.id));
+  }, []);
+
+  // Comments and suggestions live on the server, so they're loaded and kept current while online
+  useEffect(() => {
+    if (!navigator.onLine) return;
+
+    const refresh = () => loadDiscussion(book.id)
+      .then(discussion => {
+        setComments(discussion.comments);
+        setSuggestions(discussion.suggestions);
+      })
+      .catch(error => console.error('Error loading comments:', error));
+
+    refresh();
+    return subscribeToDiscussion(book.id, refresh);
+  }, [book.id]);
+
+  useEffect(() => {
+    if (!navigator.onLine) return;
+
+    let room: BookRoom | null = null;
+    let left = false;
+    joinBookRoom(book.id, {
+      onPresence: setCollaborators,
+      onSectionContent: (subChapterId, content) => remoteContentRef.current(subChapterId, content)
+    })
+      .then(joined => {
+        if (left) {
+          joined.leave();
+        } else {
+          room = joined;
+          roomRef.current = joined;
+        }
+      })
+      .catch(error => console.error('Error joining live editing:', error));
+
+    return () => {
+      left = true;
+      clearTimeout(broadcastTimer.current);
+      room?.leave();
+      roomRef.current = null;
+    };
+  }, [book.id]);
+
+  // Incoming edits shift the text around the caret, so it's put back where the user was typing
+  useEffect(() => {
+    if (pendingCaret.current === null || !draftTextareaRef.current) return;
+    draftTextareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+    pendingCaret.current = null;
+  }, [sectionDraft]);
+
+  useEffect(() => {
+    if (focusedSectionId) {
+      document.querySelector(`[data-subchapter-id="${focusedSectionId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [focusedSectionId]);
+
+  const markChangedSections = (before: Book, after: Book, source: RevisionSource, note?: string) => {
+    const previousContent = new Map(
+      before.chapters.flatMap(chapter => (chapter.subChapters || []).map(sc => [sc.id, sc.content] as const))
+    );
+    const marked: PendingChangeSources = {};
+    after.chapters.forEach(chapter => {
+      chapter.subChapters?.forEach(subChapter => {
+        if (previousContent.get(subChapter.id) !== subChapter.content) {
+          marked[subChapter.id] = { source, note };
+        }
+      });
+    });
+    setPendingChangeSources(current => ({ ...current, ...marked }));
+  };
+
+  const handleTextSelection = (e: React.MouseEvent) => {
+    // Selections inside the section being typed in belong to the text box
+    if ((e.target as HTMLElement).closest('textarea, input')) return;
+
     const selection = window.getSelection();
     if (!selection || selection.rangeCount === 0) return;
 
@@ -58,6 +236,7 @@ const BookEditor: React.FC<BookEditorProps> = ({
     
     const chapterElement = element?.closest('[data-chapter-id]');
     const subChapterElement = element?.closest('[data-subchapter-id]');
+    const contentElement = element?.closest('[data-section-content]');
     
     if (chapterElement && subChapterElement) {
       const chapterId = chapterElement.getAttribute('data-chapter-id');
@@ -65,16 +244,230 @@ const BookEditor: React.FC<BookEditorProps> = ({
       
       if (chapterId && subChapterId) {
         setSelectedText(selectedText);
+        // Highlighted comments split the text into several nodes, so offsets are counted from the section start
+        const withinContent = contentElement?.contains(range.startContainer) && contentElement.contains(range.endContainer);
         setSelectionContext({
           chapterId,
           subChapterId,
-          startOffset: range.startOffset,
-          endOffset: range.endOffset
+          startOffset: withinContent ? getTextOffset(contentElement!, range.startContainer, range.startOffset) : range.startOffset,
+          endOffset: withinContent ? getTextOffset(contentElement!, range.endContainer, range.endOffset) : range.endOffset
         });
       }
     }
   };
 
+  // Live editing
+
+  const scheduleBroadcast = (subChapterId: string, text: string) => {
+    clearTimeout(broadcastTimer.current);
+    broadcastTimer.current = setTimeout(() => {
+      roomRef.current?.sendSectionContent(subChapterId, text);
+      draftBaseRef.current = text;
+    }, LIVE_EDIT_DELAY_MS);
+  };
+
+  const keepCaret = (before: string, after: string) => {
+    const textarea = draftTextareaRef.current;
+    if (!textarea || document.activeElement !== textarea) return;
+
+    const caret = textarea.selectionStart;
+    let prefix = 0;
+    while (prefix < before.length && before[prefix] === after[prefix]) prefix++;
+    pendingCaret.current = caret <= prefix ? caret : caret + after.length - before.length;
+  };
+
+  const handleRemoteContent = (subChapterId: string, content: string) => {
+    setEditingBook(current => replaceSectionContent(current, subChapterId, content));
+
+    const draft = draftRef.current;
+    if (draft?.subChapterId !== subChapterId || suggestingRef.current) return;
+
+    const merged = mergeText(draftBaseRef.current, draft.text, content);
+    draftBaseRef.current = content;
+    keepCaret(draft.text, merged);
+    draftRef.current = { subChapterId, text: merged };
+    setSectionDraft(draftRef.current);
+    if (merged !== content) scheduleBroadcast(subChapterId, merged);
+  };
+  remoteContentRef.current = handleRemoteContent;
+
+  const startSectionDraft = (subChapter: SubChapter) => {
+    draftBaseRef.current = subChapter.content || '';
+    setSectionDraft({ subChapterId: subChapter.id, text: subChapter.content || '' });
+    roomRef.current?.setEditingSection(subChapter.id);
+  };
+
+  const handleDraftChange = (text: string) => {
+    if (!sectionDraft) return;
+    setSectionDraft({ ...sectionDraft, text });
+    if (!suggesting) scheduleBroadcast(sectionDraft.subChapterId, text);
+  };
+
+  const closeSectionDraft = () => {
+    clearTimeout(broadcastTimer.current);
+    setSectionDraft(null);
+    roomRef.current?.setEditingSection(undefined);
+  };
+
+  const finishSectionDraft = async () => {
+    if (!sectionDraft) return;
+    const { subChapterId, text } = sectionDraft;
+    const original = findSection(editingBook, subChapterId)?.content || '';
+
+    if (suggesting) {
+      try {
+        const created = await createSuggestions(book.id, subChapterId, original, text);
+        setSuggestions(prev => [...prev, ...created.filter(s => !prev.some(p => p.id === s.id))]);
+      } catch (error) {
+        console.error('Error saving suggestions:', error);
+        alert('Failed to save your suggestions. Please check your connection and try again.');
+        return;
+      }
+    } else if (text !== original) {
+      setEditingBook(current => replaceSectionContent(current, subChapterId, text));
+      setPendingChangeSources(current => ({ ...current, [subChapterId]: { source: 'manual' } }));
+      roomRef.current?.sendSectionContent(subChapterId, text);
+    }
+    closeSectionDraft();
+  };
+
+  const cancelSectionDraft = () => {
+    if (!sectionDraft) return;
+    // Others have seen the typing so far, so they're sent the text back as it was
+    const original = findSection(editingBook, sectionDraft.subChapterId)?.content || '';
+    if (!suggesting && draftBaseRef.current !== original) {
+      roomRef.current?.sendSectionContent(sectionDraft.subChapterId, original);
+    }
+    closeSectionDraft();
+  };
+
+  // Comments
+
+  const startComment = () => {
+    if (!selectionContext) return;
+    const content = findSection(editingBook, selectionContext.subChapterId)?.content || '';
+
+    let start = selectionContext.startOffset;
+    let end = selectionContext.endOffset;
+    if (content.slice(start, end).trim() !== selectedText) {
+      start = content.indexOf(selectedText);
+      end = start + selectedText.length;
+    }
+    if (start < 0) {
+      alert('Select text within a single section to comment on it.');
+      return;
+    }
+
+    setCommentDraft({ subChapterId: selectionContext.subChapterId, start, end, quote: content.slice(start, end), body: '' });
+  };
+
+  const submitComment = async () => {
+    if (!commentDraft?.body.trim()) return;
+
+    try {
+      const comment = await addComment(book.id, commentDraft.subChapterId, commentDraft, commentDraft.body.trim());
+      setComments(prev => prev.some(c => c.id === comment.id) ? prev : [...prev, comment]);
+      setCommentDraft(null);
+      setSelectedText('');
+      setSelectionContext(null);
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      alert('Failed to add the comment. Comments need a connection, and the book must have synced.');
+    }
+  };
+
+  const handleReply = async (thread: BookComment, body: string) => {
+    try {
+      const reply = await addComment(
+        book.id,
+        thread.subChapterId,
+        { start: thread.anchorStart, end: thread.anchorEnd, quote: thread.quote },
+        body,
+        thread.id
+      );
+      setComments(prev => prev.some(c => c.id === reply.id) ? prev : [...prev, reply]);
+    } catch (error) {
+      console.error('Error replying to comment:', error);
+      alert('Failed to send the reply. Please try again.');
+    }
+  };
+
+  const handleToggleResolved = async (thread: BookComment) => {
+    try {
+      await setCommentResolved(thread.id, !thread.resolved);
+      setComments(prev => prev.map(c => c.id === thread.id ? { ...c, resolved: !thread.resolved } : c));
+    } catch (error) {
+      console.error('Error resolving comment:', error);
+      alert('Failed to update the comment. Please try again.');
+    }
+  };
+
+  const handleDeleteComment = async (comment: BookComment) => {
+    if (!confirm(comment.parentId ? 'Delete this reply?' : 'Delete this comment and its replies?')) return;
+
+    try {
+      await deleteComment(comment.id);
+      setComments(prev => prev.filter(c => c.id !== comment.id && c.parentId !== comment.id));
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      alert('Failed to delete the comment. Please try again.');
+    }
+  };
+
+  // Suggestions
+
+  const persistChanges = (updatedBook: Book, sources: PendingChangeSources) => {
+    onUpdateBook(updatedBook);
+    recordBookChanges(book, updatedBook, 'manual', undefined, sources);
+    setPendingChangeSources({});
+  };
+
+  // Accepting saves the book straight away, along with any other unsaved changes
+  const handleAcceptSuggestion = async (suggestion: BookSuggestion) => {
+    const newContent = applySuggestion(findSection(editingBook, suggestion.subChapterId)?.content || '', suggestion);
+    if (newContent === null) {
+      alert('The text this suggestion replaces has been edited since, so it can no longer be applied.');
+      return;
+    }
+
+    try {
+      await resolveSuggestion(suggestion.id, 'accepted');
+    } catch (error) {
+      console.error('Error accepting suggestion:', error);
+      alert('Failed to accept the suggestion. Please try again.');
+      return;
+    }
+
+    const updatedBook = replaceSectionContent(editingBook, suggestion.subChapterId, newContent);
+    setEditingBook(updatedBook);
+    persistChanges(updatedBook, {
+      ...pendingChangeSources,
+      [suggestion.subChapterId]: { source: 'edit', note: `Accepted suggestion from ${suggestion.authorName}` }
+    });
+    roomRef.current?.sendSectionContent(suggestion.subChapterId, newContent);
+    setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+  };
+
+  const handleRejectSuggestion = async (suggestion: BookSuggestion) => {
+    try {
+      await resolveSuggestion(suggestion.id, 'rejected');
+      setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+    } catch (error) {
+      console.error('Error rejecting suggestion:', error);
+      alert('Failed to reject the suggestion. Please try again.');
+    }
+  };
+
+  const handleWithdrawSuggestion = async (suggestion: BookSuggestion) => {
+    try {
+      await deleteSuggestion(suggestion.id);
+      setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+    } catch (error) {
+      console.error('Error withdrawing suggestion:', error);
+      alert('Failed to withdraw the suggestion. Please try again.');
+    }
+  };
+
   const handleEditPrompt = (mode: 'selection' | 'whole-book') => {
     setEditMode(mode);
     setShowPromptModal(true);
@@ -84,9 +477,12 @@ const BookEditor: React.FC<BookEditorProps> = ({
     if (!editPrompt.trim()) return;
 
     setIsProcessing(true);
+    const editingLLM = getLLMForTask(editingBook, 'editing');
     try {
+      // Edits keep each chapter in its persona's voice
+      const personas = await loadBookPersonas(editingBook);
       if (editMode === 'whole-book') {
-        const newBook = await editWholeBook(editingBook, editPrompt, apiKeys.gemini);
+        const newBook = await editWholeBook(editingBook, editPrompt, editingLLM, personas);
         setChangePreview({
           id: Date.now().toString(),
           type: 'whole-book',
@@ -103,7 +499,8 @@ const BookEditor: React.FC<BookEditorProps> = ({
             subChapter.content,
             selectedText,
             editPrompt,
-            apiKeys.gemini
+            editingLLM,
+            getChapterPersonaInstructions(editingBook, chapter!, personas)
           );
           
           setChangePreview({
@@ -127,13 +524,24 @@ const BookEditor: React.FC<BookEditorProps> = ({
     }
   };
 
-  const acceptChange = () => {
+  const acceptChange = async () => {
     if (!changePreview) return;
 
-    if (changePreview.type === 'whole-book') {
+    // AI edits of a section become suggestions too while suggesting
+    if (suggesting && changePreview.type === 'section' && changePreview.subChapterId) {
+      try {
+        const created = await createSuggestions(book.id, changePreview.subChapterId, changePreview.originalContent, changePreview.newContent);
+        setSuggestions(prev => [...prev, ...created.filter(s => !prev.some(p => p.id === s.id))]);
+      } catch (error) {
+        console.error('Error saving suggestions:', error);
+        alert('Failed to save the suggestion. Please check your connection and try again.');
+        return;
+      }
+    } else if (changePreview.type === 'whole-book') {
       try {
         const newChapters = JSON.parse(changePreview.newContent);
         const updatedBook = { ...editingBook, chapters: newChapters };
+        markChangedSections(editingBook, updatedBook, 'edit', changePreview.prompt);
         setEditingBook(updatedBook);
       } catch (error) {
         console.error('Error applying whole book changes:', error);
@@ -145,7 +553,7 @@ const BookEditor: React.FC<BookEditorProps> = ({
             ...chapter,
             subChapters: chapter.subChapters?.map(subChapter => {
               if (subChapter.id === changePreview.subChapterId) {
-                return { ...subChapter, content: changePreview.newContent };
+                return { ...subChapter, content: changePreview.newContent, voiceFidelity: undefined };
               }
               return subChapter;
             })
@@ -155,6 +563,10 @@ const BookEditor: React.FC<BookEditorProps> = ({
       });
       
       setEditingBook({ ...editingBook, chapters: updatedChapters });
+      setPendingChangeSources(current => ({
+        ...current,
+        [changePreview.subChapterId!]: { source: 'edit', note: changePreview.prompt }
+      }));
     }
     
     setChangePreview(null);
@@ -169,19 +581,72 @@ const BookEditor: React.FC<BookEditorProps> = ({
   };
 
   const saveChanges = () => {
-    onUpdateBook(editingBook);
+    persistChanges(editingBook, pendingChangeSources);
     alert('Changes saved successfully!');
   };
 
+  const handleRestoreSection = (revision: SectionRevision) => {
+    setEditingBook(restoreSectionRevision(editingBook, revision));
+    setPendingChangeSources(current => ({
+      ...current,
+      [revision.subChapterId]: { source: 'restore', note: `Restored version from ${new Date(revision.createdAt).toLocaleString()}` }
+    }));
+  };
+
+  const handleRestoreBook = async (point: RevisionPoint) => {
+    try {
+      const restoredBook = await buildBookAtRevisionPoint(editingBook, point);
+      markChangedSections(editingBook, restoredBook, 'restore', `Restored book to ${new Date(point.createdAt).toLocaleString()}`);
+      setEditingBook(restoredBook);
+      setShowHistory(false);
+    } catch (error) {
+      console.error('Error restoring book:', error);
+      alert('Failed to restore the book. Please try again.');
+    }
+  };
+
   const resetChanges = () => {
     if (confirm('Are you sure you want to reset all changes? This will revert to the original book.')) {
       setEditingBook(book);
+      setPendingChangeSources({});
       setChangePreview(null);
       setSelectedText('');
       setSelectionContext(null);
     }
   };
 
+  // Open comments are highlighted in yellow and pending suggestions in green
+  const renderSectionContent = (subChapter: SubChapter) => {
+    const content = subChapter.content || '';
+    const ranges = [
+      ...comments
+        .filter(c => c.subChapterId === subChapter.id && !c.parentId && !c.resolved)
+        .map(c => ({ range: locateRange(content, c.anchorStart, c.anchorEnd, c.quote), className: 'bg-yellow-100', title: `${c.authorName}: ${c.body}` })),
+      ...suggestions
+        .filter(s => s.subChapterId === subChapter.id && s.originalText)
+        .map(s => ({ range: locateRange(content, s.rangeStart, s.rangeEnd, s.originalText), className: 'bg-green-100 underline decoration-green-500', title: `${s.authorName} suggests: ${s.suggestedText || '(delete)'}` }))
+    ]
+      .filter((r): r is { range: { start: number; end: number }; className: string; title: string } => !!r.range)
+      .sort((a, b) => a.range.start - b.range.start);
+
+    const segments: React.ReactNode[] = [];
+    let position = 0;
+    ranges.forEach(({ range, className, title }, index) => {
+      // Overlapping ranges only highlight the part not already covered
+      const start = Math.max(range.start, position);
+      if (range.end <= start) return;
+      if (start > position) segments.push(content.slice(position, start));
+      segments.push(
+        <mark key={index} className={`${className} text-inherit rounded-sm`} title={title}>
+          {content.slice(start, range.end)}
+        </mark>
+      );
+      position = range.end;
+    });
+    segments.push(content.slice(position));
+    return segments;
+  };
+
   return (
     <div className="max-w-6xl mx-auto space-y-6">
       {/* Header */}
@@ -201,25 +666,46 @@ const BookEditor: React.FC<BookEditorProps> = ({
               <div>
                 <h1 className="text-2xl font-bold text-gray-800">Edit: {editingBook.title}</h1>
                 <p className="text-gray-600">AI-powered book editor</p>
+                {collaborators.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-3 mt-1 text-sm text-gray-600">
+                    {collaborators.map(person => (
+                      <span key={person.userId} className="flex items-center gap-1">
+                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: person.color }} />
+                        {person.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
 
           <div className="flex items-center gap-3">
             <button
-              onClick={resetChanges}
+              onClick={() => setShowHistory(true)}
               className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors duration-200 flex items-center gap-2"
             >
-              <RefreshCw className="w-4 h-4" />
-              Reset
-            </button>
-            <button
-              onClick={saveChanges}
-              className="px-6 py-2 bg-gradient-to-r from-green-600 to-blue-600 text-white rounded-lg hover:from-green-700 hover:to-blue-700 transition-all duration-200 flex items-center gap-2"
-            >
-              <Save className="w-4 h-4" />
-              Save Changes
+              <History className="w-4 h-4" />
+              History
             </button>
+            {canEdit && (
+              <>
+                <button
+                  onClick={resetChanges}
+                  className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors duration-200 flex items-center gap-2"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Reset
+                </button>
+                <button
+                  onClick={saveChanges}
+                  className="px-6 py-2 bg-gradient-to-r from-green-600 to-blue-600 text-white rounded-lg hover:from-green-700 hover:to-blue-700 transition-all duration-200 flex items-center gap-2"
+                >
+                  <Save className="w-4 h-4" />
+                  Save Changes
+                </button>
+              </>
+            )}
           </div>
         </div>
 
@@ -230,23 +716,52 @@ const BookEditor: React.FC<BookEditorProps> = ({
             <span className="font-medium">Editing Tools:</span>
           </div>
           
-          <button
-            onClick={() => handleEditPrompt('selection')}
-            disabled={!selectedText}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
-          >
-            <Wand2 className="w-4 h-4" />
-            Edit Selection
-            {selectedText && <span className="text-xs bg-blue-800 px-2 py-1 rounded">({selectedText.length} chars)</span>}
-          </button>
+          {canReview && (
+            <button
+              onClick={() => handleEditPrompt('selection')}
+              disabled={!selectedText}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+            >
+              <Wand2 className="w-4 h-4" />
+              Edit Selection
+              {selectedText && <span className="text-xs bg-blue-800 px-2 py-1 rounded">({selectedText.length} chars)</span>}
+            </button>
+          )}
           
-          <button
-            onClick={() => handleEditPrompt('whole-book')}
-            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-all duration-200 flex items-center gap-2"
-          >
-            <BookOpen className="w-4 h-4" />
-            Edit Whole Book
-          </button>
+          {canEdit && !suggesting && (
+            <button
+              onClick={() => handleEditPrompt('whole-book')}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-all duration-200 flex items-center gap-2"
+            >
+              <BookOpen className="w-4 h-4" />
+              Edit Whole Book
+            </button>
+          )}
+
+          {canReview && (
+            <button
+              onClick={startComment}
+              disabled={!selectedText}
+              className="px-4 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+            >
+              <MessageSquarePlus className="w-4 h-4" />
+              Comment
+            </button>
+          )}
+
+          {canEdit && (
+            <button
+              onClick={() => setSuggesting(!suggesting)}
+              disabled={!!sectionDraft}
+              className={`px-4 py-2 rounded-lg transition-all duration-200 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed ${
+                suggesting ? 'bg-green-600 text-white hover:bg-green-700' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+              title="Edits become suggestions the owner accepts or rejects"
+            >
+              <PenLine className="w-4 h-4" />
+              Suggesting
+            </button>
+          )}
           
           {selectedText && (
             <div className="text-sm text-gray-600 bg-white px-3 py-1 rounded-lg border">
@@ -320,16 +835,123 @@ const BookEditor: React.FC<BookEditorProps> = ({
               </h2>
               
               {chapter.subChapters?.map((subChapter, subIndex) => (
-                <div key={subChapter.id} className="mb-6" data-subchapter-id={subChapter.id}>
-                  <h3 className="text-lg font-semibold text-gray-700 mb-3">
-                    {chapterIndex + 1}.{subIndex + 1} {subChapter.title}
-                  </h3>
-                  
-                  <div className="prose prose-gray max-w-none">
-                    <div className="text-gray-700 leading-relaxed whitespace-pre-wrap select-text">
-                      {subChapter.content}
+                <div
+                  key={subChapter.id}
+                  className={`mb-6 ${subChapter.id === focusedSectionId ? 'ring-2 ring-amber-400 rounded-lg p-2' : ''}`}
+                  data-subchapter-id={subChapter.id}
+                >
+                  <div className="flex items-center justify-between gap-3 mb-3">
+                    <h3 className="text-lg font-semibold text-gray-700">
+                      {chapterIndex + 1}.{subIndex + 1} {subChapter.title}
+                    </h3>
+                    <div className="flex items-center gap-2">
+                      {collaborators
+                        .filter(person => person.editingSectionId === subChapter.id)
+                        .map(person => (
+                          <span
+                            key={person.userId}
+                            className="text-xs text-white px-2 py-1 rounded-full"
+                            style={{ backgroundColor: person.color }}
+                          >
+                            {person.name} is editing
+                          </span>
+                        ))}
+                      {canReview && !sectionDraft && (
+                        <button
+                          onClick={() => startSectionDraft(subChapter)}
+                          className="px-3 py-1 text-sm text-gray-600 hover:text-blue-600 hover:bg-gray-100 rounded-lg transition-colors duration-200 flex items-center gap-1"
+                        >
+                          <Pencil className="w-3 h-3" />
+                          {suggesting ? 'Suggest edits' : 'Edit text'}
+                        </button>
+                      )}
                     </div>
                   </div>
+                  
+                  {sectionDraft?.subChapterId === subChapter.id ? (
+                    <div className="space-y-2">
+                      <textarea
+                        ref={draftTextareaRef}
+                        value={sectionDraft.text}
+                        onChange={(e) => handleDraftChange(e.target.value)}
+                        rows={Math.min(30, Math.max(8, sectionDraft.text.split('\n').length + 2))}
+                        className={`w-full px-3 py-2 border rounded-lg text-gray-700 leading-relaxed focus:ring-2 focus:border-transparent ${
+                          suggesting ? 'border-green-300 focus:ring-green-500' : 'border-gray-300 focus:ring-blue-500'
+                        }`}
+                      />
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={finishSectionDraft}
+                          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors duration-200 flex items-center gap-2"
+                        >
+                          <Check className="w-4 h-4" />
+                          {suggesting ? 'Suggest' : 'Done'}
+                        </button>
+                        <button
+                          onClick={cancelSectionDraft}
+                          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                        >
+                          Cancel
+                        </button>
+                        <span className="text-xs text-gray-500">
+                          {suggesting
+                            ? 'Your changes will be sent to the owner as suggestions.'
+                            : 'Others see your typing as you go. Save Changes to keep it in the book.'}
+                        </span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="prose prose-gray max-w-none">
+                      <div className="text-gray-700 leading-relaxed whitespace-pre-wrap select-text" data-section-content>
+                        {renderSectionContent(subChapter)}
+                      </div>
+                    </div>
+                  )}
+
+                  {commentDraft?.subChapterId === subChapter.id && (
+                    <div className="mt-3 border border-yellow-200 bg-yellow-50 rounded-lg p-3 space-y-2">
+                      <p className="text-xs text-gray-500 italic line-clamp-2">"{commentDraft.quote}"</p>
+                      <textarea
+                        value={commentDraft.body}
+                        onChange={(e) => setCommentDraft({ ...commentDraft, body: e.target.value })}
+                        placeholder="Add a comment..."
+                        rows={3}
+                        autoFocus
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={submitComment}
+                          disabled={!commentDraft.body.trim()}
+                          className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                        >
+                          Comment
+                        </button>
+                        <button
+                          onClick={() => setCommentDraft(null)}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 transition-colors duration-200"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <SectionDiscussion
+                    content={subChapter.content || ''}
+                    comments={comments.filter(c => c.subChapterId === subChapter.id)}
+                    suggestions={suggestions.filter(s => s.subChapterId === subChapter.id)}
+                    currentUserId={currentUserId}
+                    canComment={canReview}
+                    canResolve={canEdit}
+                    isOwner={isOwner}
+                    onReply={handleReply}
+                    onToggleResolved={handleToggleResolved}
+                    onDeleteComment={handleDeleteComment}
+                    onAcceptSuggestion={handleAcceptSuggestion}
+                    onRejectSuggestion={handleRejectSuggestion}
+                    onWithdrawSuggestion={handleWithdrawSuggestion}
+                  />
                 </div>
               ))}
             </div>
@@ -337,6 +959,15 @@ const BookEditor: React.FC<BookEditorProps> = ({
         ))}
       </div>
 
+      {showHistory && (
+        <RevisionHistory
+          book={editingBook}
+          onRestoreSection={handleRestoreSection}
+          onRestoreBook={handleRestoreBook}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Edit Prompt Modal */}
       {showPromptModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
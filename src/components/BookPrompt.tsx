@@ -1,13 +1,18 @@
 import React, { useState } from 'react';
 import { BookOpen, Sparkles, Wand2, User, ChevronDown, Loader, RefreshCw } from 'lucide-react';
 import { generateBookOutline } from '../services/geminiService';
-import { Book, WritingPersona } from '../types';
+import { generateOnlineCourse, narrateCourse } from '../services/onlineCourseService';
+import { getDefaultTTSSettings } from '../services/ttsService';
+import { BOOK_LENGTH_PRESETS } from '../services/lengthService';
+import { generateText, getLLMForTask } from '../services/llmService';
+import { Book, Series, WritingPersona } from '../types';
 import { getUserProfile } from '../services/userService';
-import { getUserPersonas, generateContentWithPersona } from '../services/personaService';
+import { getUserPersonas, buildPersonaInstructions } from '../services/personaService';
+import { buildSeriesContext, createSeries, getNextSeriesOrder, loadAllSeries } from '../services/seriesService';
+import { loadAllBooks } from '../services/bookService';
 
 interface BookPromptProps {
   onBookGenerated: (book: Book) => void;
-  apiKeys: {gemini: string; perplexity: string};
 }
 
 const GENRES = [
@@ -59,7 +64,7 @@ const HEAT_LEVELS = [
   }
 ];
 
-const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) => {
+const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated }) => {
   const [prompt, setPrompt] = useState('');
   const [author, setAuthor] = useState('');
   const [genre, setGenre] = useState('');
@@ -75,6 +80,13 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
   const [selectedPersona, setSelectedPersona] = useState<WritingPersona | null>(null);
   const [showPersonaDropdown, setShowPersonaDropdown] = useState(false);
   const [generateAudio, setGenerateAudio] = useState(false);
+  const [courseStatus, setCourseStatus] = useState('');
+  const [targetLength, setTargetLength] = useState('');
+  const [customLength, setCustomLength] = useState('');
+  const [seriesList, setSeriesList] = useState<Series[]>([]);
+  // A series id, 'new' to start one, or empty for a standalone book
+  const [seriesChoice, setSeriesChoice] = useState('');
+  const [newSeriesTitle, setNewSeriesTitle] = useState('');
 
   // Load user's default author name and personas on component mount
   React.useEffect(() => {
@@ -97,6 +109,10 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
     };
 
     loadUserData();
+
+    loadAllSeries()
+      .then(setSeriesList)
+      .catch(error => console.error('Error loading series:', error));
   }, []);
 
   const ROMANCE_SUBGENRES = [
@@ -199,33 +215,7 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
       
       descriptionPrompt += `. The description should be 2-3 sentences that outline what the book will cover, its main themes, and what readers can expect to learn or experience. Make it engaging and specific to the genre and settings provided.`;
 
-      // Use the same Gemini API call structure from generateBookOutline
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKeys.gemini}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: descriptionPrompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 2048,
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const generatedDescription = data.candidates[0]?.content?.parts[0]?.text || '';
+      const generatedDescription = await generateText(descriptionPrompt, getLLMForTask(null, 'outline'));
       setPrompt(generatedDescription.trim());
     } catch (error) {
       console.error('Error generating description:', error);
@@ -235,6 +225,22 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
     }
   };
 
+  // Creates the series first if asked to, then places the new book after the series' last book
+  const prepareSeries = async (): Promise<{ series?: Series; seriesOrder?: number; seriesContext?: string }> => {
+    let series = seriesList.find(s => s.id === seriesChoice);
+    if (seriesChoice === 'new' && newSeriesTitle.trim()) {
+      series = await createSeries(newSeriesTitle.trim());
+      setSeriesList(prev => [...prev, series!]);
+      setSeriesChoice(series.id);
+      setNewSeriesTitle('');
+    }
+    if (!series) return {};
+
+    const books = await loadAllBooks();
+    const seriesOrder = getNextSeriesOrder(series.id, books);
+    return { series, seriesOrder, seriesContext: buildSeriesContext(series, { id: '', seriesOrder }, books) };
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!prompt.trim()) return;
@@ -242,49 +248,41 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
     setIsGenerating(true);
     try {
       // Enhance prompt with persona style if selected
-      let enhancedPrompt = prompt;
-      if (selectedPersona && selectedPersona.analysisResults) {
-        const analysis = selectedPersona.analysisResults;
-        enhancedPrompt += `\n\nWriting Style Instructions:
-- Sentence length: ${analysis.writingStyle.sentenceLength}
-- Vocabulary level: ${analysis.writingStyle.vocabulary}
-- Tone: ${analysis.writingStyle.tone.join(', ')}
-- Voice characteristics: ${analysis.writingStyle.voiceCharacteristics.join(', ')}
-- Paragraph style: ${analysis.structuralElements.paragraphLength}
-- Pacing: ${analysis.structuralElements.pacing}`;
-
-        if (analysis.strengthsAndQuirks.length > 0) {
-          enhancedPrompt += `\n- Key characteristics: ${analysis.strengthsAndQuirks.join(', ')}`;
-        }
-      }
-
-      if (selectedPersona && selectedPersona.preferences.specialInstructions) {
-        enhancedPrompt += `\n\nAdditional instructions: ${selectedPersona.preferences.specialInstructions}`;
-      }
+      const personaInstructions = buildPersonaInstructions(selectedPersona);
+      const enhancedPrompt = personaInstructions ? `${prompt}\n\n${personaInstructions}` : prompt;
 
       // Use persona's author name if available
       const finalAuthor = selectedPersona?.authorName || author;
 
-      // For Online Course genre, pass the generateAudio option
+      // Online courses are written lesson by lesson, with slides, scripts and quizzes
       if (isOnlineCourse) {
-        const book = await generateBookOutline(enhancedPrompt, genre, subGenre, targetAudience, heatLevel, perspective, finalAuthor, apiKeys.gemini, generateAudio);
-        
-        // Add persona reference to the book
-        const bookWithPersona = {
-          ...book,
-          writingPersonaId: selectedPersona?.id,
-          writingPersona: selectedPersona || undefined
-        };
+        let courseBook = await generateOnlineCourse(enhancedPrompt, targetAudience, finalAuthor, getLLMForTask(null, 'course'), setCourseStatus);
+        courseBook = { ...courseBook, writingPersonaId: selectedPersona?.id, writingPersona: selectedPersona || undefined };
+
+        if (generateAudio) {
+          try {
+            courseBook = await narrateCourse(courseBook, getDefaultTTSSettings(), (_, slideTitle) =>
+              setCourseStatus(`Narrating "${slideTitle}"...`)
+            );
+          } catch (error) {
+            console.error('Error narrating course:', error);
+            alert(`The course was created, but narration failed: ${error instanceof Error ? error.message : 'Unknown error'}. You can narrate it later from the Course panel.`);
+          }
+        }
 
-        onBookGenerated(bookWithPersona);
+        onBookGenerated(courseBook);
       } else {
-        const book = await generateBookOutline(enhancedPrompt, genre, subGenre, targetAudience, heatLevel, perspective, finalAuthor, apiKeys.gemini);
+        const targetWordCount = Number(targetLength === 'custom' ? customLength : targetLength) || undefined;
+        const { series, seriesOrder, seriesContext } = await prepareSeries();
+        const book = await generateBookOutline(enhancedPrompt, genre, subGenre, targetAudience, heatLevel, perspective, finalAuthor, getLLMForTask(null, 'outline'), targetWordCount, seriesContext);
 
-        // Add persona reference to the book
+        // Add persona and series references to the book
         const bookWithPersona = {
           ...book,
           writingPersonaId: selectedPersona?.id,
-          writingPersona: selectedPersona || undefined
+          writingPersona: selectedPersona || undefined,
+          seriesId: series?.id,
+          seriesOrder
         };
 
         onBookGenerated(bookWithPersona);
@@ -294,6 +292,7 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
       alert('Failed to generate book outline. Please check your API key and try again.');
     } finally {
       setIsGenerating(false);
+      setCourseStatus('');
     }
   };
 
@@ -573,6 +572,80 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
             )}
           </div>
 
+          {!isOnlineCourse && (
+            <div>
+              <label htmlFor="targetLength" className="block text-sm font-medium text-gray-700 mb-2">
+                Target Length (Optional)
+              </label>
+              <div className="flex gap-3">
+                <select
+                  id="targetLength"
+                  value={targetLength}
+                  onChange={(e) => setTargetLength(e.target.value)}
+                  className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200"
+                >
+                  <option value="">Let the AI decide</option>
+                  {BOOK_LENGTH_PRESETS.map((preset) => (
+                    <option key={preset.words} value={preset.words}>
+                      {preset.label} (about {preset.words.toLocaleString()} words)
+                    </option>
+                  ))}
+                  <option value="custom">Custom...</option>
+                </select>
+                {targetLength === 'custom' && (
+                  <input
+                    type="number"
+                    min={1000}
+                    step={1000}
+                    value={customLength}
+                    onChange={(e) => setCustomLength(e.target.value)}
+                    placeholder="Words"
+                    className="w-36 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200"
+                  />
+                )}
+              </div>
+              <p className="text-xs text-gray-600 mt-2">
+                Sets the number of chapters and sections, and how long each section is written
+              </p>
+            </div>
+          )}
+
+          {!isOnlineCourse && (
+            <div>
+              <label htmlFor="series" className="block text-sm font-medium text-gray-700 mb-2">
+                Series (Optional)
+              </label>
+              <div className="flex gap-3">
+                <select
+                  id="series"
+                  value={seriesChoice}
+                  onChange={(e) => setSeriesChoice(e.target.value)}
+                  className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200"
+                >
+                  <option value="">Standalone book</option>
+                  {seriesList.map((series) => (
+                    <option key={series.id} value={series.id}>
+                      {series.title}
+                    </option>
+                  ))}
+                  <option value="new">New series...</option>
+                </select>
+                {seriesChoice === 'new' && (
+                  <input
+                    type="text"
+                    value={newSeriesTitle}
+                    onChange={(e) => setNewSeriesTitle(e.target.value)}
+                    placeholder="Series title"
+                    className="flex-1 px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all duration-200"
+                  />
+                )}
+              </div>
+              <p className="text-xs text-gray-600 mt-2">
+                Adds the book as the next volume, and plans it from the series' shared characters, world and earlier books
+              </p>
+            </div>
+          )}
+
           {isOnlineCourse && (
             <div>
               <label className="flex items-center space-x-3 cursor-pointer">
@@ -587,7 +660,7 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
                 </span>
               </label>
               <p className="text-xs text-gray-600 mt-1">
-                Automatically generate audio narration for each section using AI voice synthesis
+                Narrates every slide script with the default speech engine, for playback and the SCORM package
               </p>
             </div>
           )}
@@ -609,6 +682,9 @@ const BookPrompt: React.FC<BookPromptProps> = ({ onBookGenerated, apiKeys }) =>
               </>
             )}
           </button>
+          {isGenerating && courseStatus && (
+            <p className="text-sm text-gray-600 text-center">{courseStatus}</p>
+          )}
         </form>
 
       </div>
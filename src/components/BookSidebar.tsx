@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Book, BookOpen, Plus, Trash2, Clock, CheckCircle2, Play } from 'lucide-react';
+import { Book, BookOpen, Plus, Trash2, Clock, CheckCircle2, Play, Library, Users } from 'lucide-react';
 import { Book as BookType } from '../types';
 import { loadAllBooks, deleteBook } from '../services/bookService';
 import { loadBook } from '../services/bookService';
+import { subscribeToSyncStatus } from '../services/syncService';
+import { getSeriesBooks, loadAllSeries } from '../services/seriesService';
+import { BOOK_ROLE_LABELS, isSharedWithMe } from '../services/collaborationService';
+import { getLanguageName } from '../services/languageService';
 
 interface BookSidebarProps {
   isOpen: boolean;
@@ -20,12 +24,24 @@ const BookSidebar: React.FC<BookSidebarProps> = ({
   currentBookId
 }) => {
   const [books, setBooks] = useState<BookType[]>([]);
+  const [seriesTitles, setSeriesTitles] = useState<Record<string, string>>({});
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadBooks();
   }, []);
 
+  // Pick up books added, changed or removed on other devices
+  useEffect(() => {
+    let lastSyncedAt: string | undefined;
+    return subscribeToSyncStatus(status => {
+      if (status.lastSyncedAt && status.lastSyncedAt !== lastSyncedAt) {
+        if (lastSyncedAt) loadBooks();
+        lastSyncedAt = status.lastSyncedAt;
+      }
+    });
+  }, []);
+
   const loadBooks = async () => {
     try {
       const loadedBooks = await loadAllBooks();
@@ -35,11 +51,25 @@ const BookSidebar: React.FC<BookSidebarProps> = ({
     } finally {
       setLoading(false);
     }
+
+    // Series titles need the server, so offline the groups keep whatever names they had
+    if (navigator.onLine) {
+      try {
+        const series = await loadAllSeries();
+        setSeriesTitles(Object.fromEntries(series.map(s => [s.id, s.title])));
+      } catch (error) {
+        console.error('Error loading series:', error);
+      }
+    }
   };
 
   const handleDeleteBook = async (bookId: string, e: React.MouseEvent) => {
     e.stopPropagation();
-    if (confirm('Are you sure you want to delete this book? This action cannot be undone.')) {
+    const shared = books.some(book => book.id === bookId && isSharedWithMe(book));
+    const message = shared
+      ? 'Remove this shared book from your library? You will need to be invited again to open it.'
+      : 'Are you sure you want to delete this book? This action cannot be undone.';
+    if (confirm(message)) {
       try {
         await deleteBook(bookId);
         setBooks(books.filter(book => book.id !== bookId));
@@ -84,6 +114,91 @@ const BookSidebar: React.FC<BookSidebarProps> = ({
     return `${completedChapters}/${totalChapters} chapters`;
   };
 
+  // Books shared with the user get their own group; their series belong to the owner
+  const ownBooks = books.filter(book => !isSharedWithMe(book));
+  const sharedBooks = books.filter(isSharedWithMe);
+
+  // Series are listed first, each with its books in reading order
+  const seriesGroups = [...new Set(ownBooks.map(book => book.seriesId).filter(Boolean) as string[])]
+    .map(seriesId => ({
+      id: seriesId,
+      title: seriesTitles[seriesId] || 'Untitled Series',
+      books: getSeriesBooks(seriesId, ownBooks)
+    }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+  const standaloneBooks = ownBooks.filter(book => !book.seriesId);
+
+  const renderBookCard = (book: BookType) => (
+    <div
+      key={book.id}
+      onClick={() => handleSelectBook(book)}
+      className={`
+        p-4 rounded-lg border cursor-pointer transition-all duration-200 hover:shadow-md group
+        ${currentBookId === book.id 
+          ? 'border-blue-500 bg-blue-50 shadow-md' 
+          : 'border-gray-200 hover:border-gray-300'
+        }
+      `}
+    >
+      <div className="flex items-start justify-between mb-2">
+        <h3 className="font-medium text-gray-800 text-sm line-clamp-2 flex-1 mr-2">
+          {book.seriesId && book.seriesOrder && (
+            <span className="text-gray-500 font-normal">Book {book.seriesOrder}: </span>
+          )}
+          {book.title}
+        </h3>
+        {book.coverUrl && (
+          <div className="relative group mr-2 flex-shrink-0">
+            <img
+              src={book.coverUrl}
+              alt={`${book.title} cover`}
+              className="w-12 h-18 object-cover rounded-md shadow-sm group-hover:shadow-md transition-shadow duration-200"
+            />
+            <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-10 rounded-md transition-all duration-200"></div>
+          </div>
+        )}
+        <button
+          onClick={(e) => handleDeleteBook(book.id, e)}
+          className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-500 transition-all duration-200"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-2">
+        {getStatusIcon(book)}
+        <span className="text-xs text-gray-600">
+          {getProgressText(book)}
+        </span>
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
+        <span className="bg-gray-100 px-2 py-1 rounded-full">
+          {book.genre}
+        </span>
+        {isSharedWithMe(book) && (
+          <span className="bg-indigo-50 text-indigo-700 px-2 py-1 rounded-full">
+            {BOOK_ROLE_LABELS[book.role!]}
+          </span>
+        )}
+        {book.translation && (
+          <span className="bg-teal-50 text-teal-700 px-2 py-1 rounded-full">
+            {getLanguageName(book.language)}
+          </span>
+        )}
+        <span>
+          {new Date(book.chapters[0]?.id ? Date.now() : Date.now()).toLocaleDateString()}
+        </span>
+      </div>
+
+      {book.description && (
+        <p className="text-xs text-gray-600 line-clamp-2">
+          {book.description}
+        </p>
+      )}
+    </div>
+  );
+
   return (
     <>
       {/* Overlay */}
@@ -134,64 +249,40 @@ const BookSidebar: React.FC<BookSidebarProps> = ({
                 <p className="text-sm">Create your first book to get started</p>
               </div>
             ) : (
-              <div className="space-y-3">
-                {books.map((book) => (
-                  <div
-                    key={book.id}
-                    onClick={() => handleSelectBook(book)}
-                    className={`
-                      p-4 rounded-lg border cursor-pointer transition-all duration-200 hover:shadow-md group
-                      ${currentBookId === book.id 
-                        ? 'border-blue-500 bg-blue-50 shadow-md' 
-                        : 'border-gray-200 hover:border-gray-300'
-                      }
-                    `}
-                  >
-                    <div className="flex items-start justify-between mb-2">
-                      <h3 className="font-medium text-gray-800 text-sm line-clamp-2 flex-1 mr-2">
-                        {book.title}
-                      </h3>
-                      {book.coverUrl && (
-                        <div className="relative group mr-2 flex-shrink-0">
-                          <img
-                            src={book.coverUrl}
-                            alt={`${book.title} cover`}
-                            className="w-12 h-18 object-cover rounded-md shadow-sm group-hover:shadow-md transition-shadow duration-200"
-                          />
-                          <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-10 rounded-md transition-all duration-200"></div>
-                        </div>
-                      )}
-                      <button
-                        onClick={(e) => handleDeleteBook(book.id, e)}
-                        className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-500 transition-all duration-200"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    </div>
-
-                    <div className="flex items-center gap-2 mb-2">
-                      {getStatusIcon(book)}
-                      <span className="text-xs text-gray-600">
-                        {getProgressText(book)}
-                      </span>
+              <div className="space-y-5">
+                {seriesGroups.map((group) => (
+                  <div key={group.id}>
+                    <div className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-700">
+                      <Library className="w-4 h-4 text-gray-500" />
+                      <span className="truncate">{group.title}</span>
+                      <span className="text-xs font-normal text-gray-500">({group.books.length})</span>
                     </div>
-
-                    <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
-                      <span className="bg-gray-100 px-2 py-1 rounded-full">
-                        {book.genre}
-                      </span>
-                      <span>
-                        {new Date(book.chapters[0]?.id ? Date.now() : Date.now()).toLocaleDateString()}
-                      </span>
+                    <div className="space-y-3 pl-3 border-l-2 border-gray-100">
+                      {group.books.map(renderBookCard)}
                     </div>
-
-                    {book.description && (
-                      <p className="text-xs text-gray-600 line-clamp-2">
-                        {book.description}
-                      </p>
-                    )}
                   </div>
                 ))}
+                {standaloneBooks.length > 0 && (
+                  <div>
+                    {seriesGroups.length > 0 && (
+                      <div className="mb-2 text-sm font-medium text-gray-700">Standalone Books</div>
+                    )}
+                    <div className="space-y-3">
+                      {standaloneBooks.map(renderBookCard)}
+                    </div>
+                  </div>
+                )}
+                {sharedBooks.length > 0 && (
+                  <div>
+                    <div className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-700">
+                      <Users className="w-4 h-4 text-gray-500" />
+                      Shared with me
+                    </div>
+                    <div className="space-y-3">
+                      {sharedBooks.map(renderBookCard)}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -1,29 +1,47 @@
 import React, { useState, useEffect } from 'react';
-import { ArrowLeft, FileText, Play, Search, CheckCircle } from 'lucide-react';
-import { BookChapter, SubChapter } from '../types';
+import { ArrowLeft, FileText, Play, Search, CheckCircle, Link2 } from 'lucide-react';
+import { Book, BookChapter, SubChapter, WritingPersona } from '../types';
 import { generateChapterOutline, generateContent } from '../services/geminiService';
 import { researchAndGenerate } from '../services/contentService';
+import { getLLMForTask } from '../services/llmService';
+import { buildContinuityContext, loadStoryBibleForGeneration, recordSectionInStoryBible } from '../services/storyBibleService';
+import { recordSectionRevision } from '../services/revisionService';
+import { getChapterPersonaInstructions, loadBookPersonas, scoreChapterVoice } from '../services/personaService';
+import { createGenerationJob, markSectionsForVoiceRewrite, runGenerationJob } from '../services/generationQueueService';
+import { getChapterWordTarget, getSectionWordTarget } from '../services/lengthService';
+import { loadSeriesContext } from '../services/seriesService';
+import PersonaSwitcher from './PersonaSwitcher';
 
 interface ChapterViewProps {
+  book: Book;
   chapter: BookChapter;
+  // The section to scroll to and highlight, such as one a quality audit flagged
+  focusedSectionId?: string;
   onBack: () => void;
   onUpdateChapter: (chapter: BookChapter) => void;
-  apiKeys: {gemini: string; perplexity: string};
 }
 
 const ChapterView: React.FC<ChapterViewProps> = ({ 
+  book,
   chapter, 
+  focusedSectionId,
   onBack, 
-  onUpdateChapter,
-  apiKeys 
+  onUpdateChapter
 }) => {
   const [localChapter, setLocalChapter] = useState<BookChapter>(chapter);
   const [isGeneratingOutline, setIsGeneratingOutline] = useState(false);
+  const [isRewritingVoice, setIsRewritingVoice] = useState(false);
 
   useEffect(() => {
     setLocalChapter(chapter);
   }, [chapter]);
 
+  useEffect(() => {
+    if (focusedSectionId) {
+      document.querySelector(`[data-subchapter-id="${focusedSectionId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [focusedSectionId]);
+
   useEffect(() => {
     if (!localChapter.subChapters && !isGeneratingOutline) {
       generateOutline();
@@ -33,7 +51,13 @@ const ChapterView: React.FC<ChapterViewProps> = ({
   const generateOutline = async () => {
     setIsGeneratingOutline(true);
     try {
-      const outline = await generateChapterOutline(localChapter.title, localChapter.description, apiKeys.gemini);
+      const outline = await generateChapterOutline(
+        localChapter.title,
+        localChapter.description,
+        getLLMForTask(book, 'outline'),
+        getChapterWordTarget(book, localChapter.id),
+        await loadSeriesContext(book)
+      );
       const updatedChapter = { ...localChapter, subChapters: outline };
       setLocalChapter(updatedChapter);
       onUpdateChapter(updatedChapter);
@@ -56,18 +80,33 @@ const ChapterView: React.FC<ChapterViewProps> = ({
     onUpdateChapter(updatedChapter);
 
     try {
-      let content: string;
+      let generated: Pick<SubChapter, 'content' | 'research'>;
+      const contentLLM = getLLMForTask(book, 'content');
+      const [storyBible, seriesContext] = await Promise.all([
+        loadStoryBibleForGeneration(book.id),
+        loadSeriesContext(book)
+      ]);
+      const currentBook = {
+        ...book,
+        chapters: book.chapters.map(c => c.id === localChapter.id ? localChapter : c)
+      };
+      const continuityContext = buildContinuityContext(currentBook, storyBible, subChapter.id, seriesContext);
+      const personas = await loadBookPersonas(currentBook);
+      const styleInstructions = getChapterPersonaInstructions(currentBook, localChapter, personas);
+      const targetWords = getSectionWordTarget(currentBook, subChapter.id);
       
       if (withResearch) {
-        content = await researchAndGenerate(subChapter.title, subChapter.description, apiKeys);
+        generated = await researchAndGenerate(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords);
       } else {
-        content = await generateContent(subChapter.title, subChapter.description, apiKeys.gemini);
+        generated = { content: await generateContent(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords), research: undefined };
       }
 
       const completedSubChapter = { 
         ...updatedSubChapter, 
-        content, 
-        status: 'completed' as const 
+        ...generated, 
+        voiceFidelity: scoreChapterVoice(currentBook, localChapter, personas, generated.content),
+        status: 'completed' as const,
+        error: undefined
       };
       
       const finalSubChapters = localChapter.subChapters?.map(sc => 
@@ -77,6 +116,13 @@ const ChapterView: React.FC<ChapterViewProps> = ({
       const finalChapter = { ...localChapter, subChapters: finalSubChapters };
       setLocalChapter(finalChapter);
       onUpdateChapter(finalChapter);
+
+      if (subChapter.content) {
+        await recordSectionRevision(book.id, localChapter.id, subChapter, 'snapshot');
+      }
+      await recordSectionRevision(book.id, localChapter.id, completedSubChapter, 'generate', withResearch ? 'With research' : undefined);
+
+      await recordSectionInStoryBible(storyBible, completedSubChapter, getLLMForTask(book, 'analysis'));
     } catch (error) {
       console.error('Error generating content:', error);
       alert('Failed to generate content. Please try again.');
@@ -93,10 +139,50 @@ const ChapterView: React.FC<ChapterViewProps> = ({
     }
   };
 
+  const handleChangePersona = async (persona: WritingPersona | null) => {
+    const updatedChapter = { ...localChapter, writingPersonaId: persona?.id };
+    setLocalChapter(updatedChapter);
+    onUpdateChapter(updatedChapter);
+
+    const currentBook = {
+      ...book,
+      chapters: book.chapters.map(c => c.id === updatedChapter.id ? updatedChapter : c)
+    };
+    const { book: rewriteBook, sectionIds } = markSectionsForVoiceRewrite(currentBook, [updatedChapter.id]);
+    if (sectionIds.length === 0) return;
+
+    const voiceName = persona ? persona.name : book.writingPersona?.name || 'the default style';
+    if (!confirm(`Rewrite ${sectionIds.length} written section${sectionIds.length === 1 ? '' : 's'} of this chapter in ${voiceName}? Current text is kept in revision history.`)) return;
+
+    const showChapter = (updatedBook: Book) => {
+      const chapterUpdate = updatedBook.chapters.find(c => c.id === updatedChapter.id);
+      if (chapterUpdate) {
+        setLocalChapter(chapterUpdate);
+        onUpdateChapter(chapterUpdate);
+      }
+    };
+
+    setIsRewritingVoice(true);
+    let jobStarted = false;
+    try {
+      showChapter(rewriteBook);
+      const job = await createGenerationJob(rewriteBook, 'voice', { sectionIds });
+      jobStarted = true;
+      showChapter(await runGenerationJob(rewriteBook, job, { onBookUpdate: showChapter }));
+    } catch (error) {
+      console.error('Error rewriting chapter voice:', error);
+      alert(`Failed to rewrite this chapter: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      if (!jobStarted) showChapter(currentBook);
+    } finally {
+      setIsRewritingVoice(false);
+    }
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'completed': return 'text-green-600 bg-green-100';
       case 'generating': return 'text-blue-600 bg-blue-100';
+      case 'failed': return 'text-red-600 bg-red-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -122,6 +208,15 @@ const ChapterView: React.FC<ChapterViewProps> = ({
             </div>
           </div>
         </div>
+        <PersonaSwitcher
+          selectedId={localChapter.writingPersonaId}
+          defaultLabel={book.writingPersona ? `Book voice (${book.writingPersona.name})` : 'Book voice'}
+          onChange={handleChangePersona}
+          disabled={isRewritingVoice || localChapter.subChapters?.some(sc => sc.status === 'generating')}
+        />
+        {isRewritingVoice && (
+          <p className="mt-3 text-sm text-blue-600">Rewriting this chapter's sections in the new voice...</p>
+        )}
       </div>
 
       {/* Loading State */}
@@ -137,7 +232,11 @@ const ChapterView: React.FC<ChapterViewProps> = ({
       {localChapter.subChapters && (
         <div className="space-y-4">
           {localChapter.subChapters.map((subChapter, index) => (
-            <div key={subChapter.id} className="bg-white rounded-xl shadow-lg">
+            <div
+              key={subChapter.id}
+              data-subchapter-id={subChapter.id}
+              className={`bg-white rounded-xl shadow-lg ${subChapter.id === focusedSectionId ? 'ring-2 ring-amber-400' : ''}`}
+            >
               <div className="p-6">
                 <div className="flex items-start justify-between mb-4">
                   <div className="flex items-start gap-4">
@@ -147,15 +246,28 @@ const ChapterView: React.FC<ChapterViewProps> = ({
                     <div className="flex-1">
                       <h3 className="text-lg font-semibold text-gray-800 mb-2">{subChapter.title}</h3>
                       <p className="text-gray-600 text-sm mb-4">{subChapter.description}</p>
+                      {subChapter.voiceFidelity && (
+                        <p
+                          className="-mt-2 mb-4 text-xs text-gray-500"
+                          title={subChapter.voiceFidelity.differences.length > 0 ? `When written: ${subChapter.voiceFidelity.differences.join('; ')}` : undefined}
+                        >
+                          Voice fidelity {subChapter.voiceFidelity.score}/100 to {subChapter.voiceFidelity.personaName}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(subChapter.status)}`}>
                     {subChapter.status === 'completed' ? 'Complete' : 
-                     subChapter.status === 'generating' ? 'Generating' : 'Pending'}
+                     subChapter.status === 'generating' ? 'Generating' :
+                     subChapter.status === 'failed' ? 'Failed' : 'Pending'}
                   </span>
                 </div>
 
-                {subChapter.status === 'pending' && (
+                {subChapter.status === 'failed' && subChapter.error && (
+                  <p className="text-sm text-red-600 mb-3">{subChapter.error}</p>
+                )}
+
+                {(subChapter.status === 'pending' || subChapter.status === 'failed') && !isRewritingVoice && (
                   <div className="flex gap-3">
                     <button
                       onClick={() => handleGenerate(subChapter)}
@@ -198,6 +310,24 @@ const ChapterView: React.FC<ChapterViewProps> = ({
                         ))}
                       </div>
                     </div>
+                    {subChapter.research && subChapter.research.sources.length > 0 && (
+                      <div className="border-t border-gray-200 pt-3">
+                        <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center gap-2">
+                          <Link2 className="w-4 h-4" />
+                          Sources{subChapter.research.provider === 'mock' ? ' (offline mock research)' : ''}
+                        </h4>
+                        <ol className="space-y-1 text-sm text-gray-600">
+                          {subChapter.research.sources.map((source, sourceIndex) => (
+                            <li key={`${source.url}-${sourceIndex}`} className="flex gap-2">
+                              <span className="text-gray-400">[{sourceIndex + 1}]</span>
+                              <a href={source.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+                                {source.title || source.url}
+                              </a>
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Download, GraduationCap, Loader2, Presentation, Volume2, X } from 'lucide-react';
+import { Book } from '../types';
+import { countCourseSlides, narrateCourse } from '../services/onlineCourseService';
+import { getDefaultTTSSettings } from '../services/ttsService';
+import { exportCourseToPPTX, exportCourseToSCORM } from '../services/exportService';
+import { CoursePackageFormat } from '../services/scormService';
+
+interface CoursePanelProps {
+  book: Book;
+  onUpdateBook: (book: Book) => void;
+  onClose: () => void;
+}
+
+const CoursePanel: React.FC<CoursePanelProps> = ({ book, onUpdateBook, onClose }) => {
+  const [isNarrating, setIsNarrating] = useState(false);
+  const [narrationStatus, setNarrationStatus] = useState('');
+  const [exporting, setExporting] = useState<'pptx' | CoursePackageFormat | null>(null);
+
+  const course = book.course;
+  if (!course) return null;
+
+  const slideCount = countCourseSlides(course);
+  const narratedSlides = new Set(
+    (book.audiobook?.audioChapters || [])
+      .filter(chapter => chapter.status === 'completed')
+      .map(chapter => chapter.chapterId)
+  );
+  const narratedCount = course.modules.reduce((total, module) =>
+    total + module.lessons.reduce((lessons, lesson) =>
+      lessons + lesson.slides.filter(slide => narratedSlides.has(slide.id)).length, 0), 0);
+
+  const handleNarrate = async () => {
+    if (narratedCount > 0 && !confirm('Narrate every slide again? This replaces the existing narration.')) return;
+
+    setIsNarrating(true);
+    try {
+      const updated = await narrateCourse(book, getDefaultTTSSettings(), (progress, currentSlide) => {
+        setNarrationStatus(`${Math.round(progress * 100)}% - ${currentSlide}`);
+      });
+      onUpdateBook(updated);
+    } catch (error) {
+      console.error('Error narrating course:', error);
+      alert(error instanceof Error ? error.message : 'Failed to narrate the course. Please try again.');
+    } finally {
+      setIsNarrating(false);
+      setNarrationStatus('');
+    }
+  };
+
+  const handleExport = async (format: 'pptx' | CoursePackageFormat) => {
+    setExporting(format);
+    try {
+      if (format === 'pptx') {
+        await exportCourseToPPTX(book);
+      } else {
+        await exportCourseToSCORM(book, format);
+      }
+    } catch (error) {
+      console.error('Error exporting course:', error);
+      alert('Failed to export the course. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const exportButton = (format: 'pptx' | CoursePackageFormat, label: string) => (
+    <button
+      onClick={() => handleExport(format)}
+      disabled={exporting !== null}
+      className="px-3 py-2 bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+    >
+      {exporting === format
+        ? <Loader2 className="w-4 h-4 animate-spin" />
+        : format === 'pptx' ? <Presentation className="w-4 h-4" /> : <Download className="w-4 h-4" />}
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Course</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        {course.modules.length} modules, {slideCount} slides, {narratedCount} of {slideCount} slides narrated.
+        Learners need {Math.round(course.passingScore * 100)}% on a lesson quiz to pass it.
+      </p>
+
+      {course.objectives.length > 0 && (
+        <div>
+          <h5 className="text-sm font-medium text-gray-700 mb-1">Learning objectives</h5>
+          <ul className="list-disc list-inside text-sm text-gray-600 space-y-1">
+            {course.objectives.map((objective, index) => (
+              <li key={index}>{objective}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {course.modules.map((module, moduleIndex) => (
+          <div key={module.id} className="bg-white border border-gray-200 rounded-lg p-3 space-y-2">
+            <div className="text-sm font-medium text-gray-900">
+              Module {moduleIndex + 1}: {module.title}
+            </div>
+            {module.objectives.length > 0 && (
+              <p className="text-xs text-gray-500">{module.objectives.join(' · ')}</p>
+            )}
+            <ul className="space-y-1">
+              {module.lessons.map(lesson => (
+                <li key={lesson.id} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                  <span>{lesson.title}</span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {lesson.slides.length} slides · {lesson.quiz.length} quiz questions
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleNarrate}
+          disabled={isNarrating}
+          className="px-3 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+        >
+          {isNarrating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Volume2 className="w-4 h-4" />}
+          {narratedCount > 0 ? 'Narrate slides again' : 'Narrate slides'}
+        </button>
+        {exportButton('pptx', 'PowerPoint')}
+        {exportButton('scorm12', 'SCORM 1.2')}
+        {exportButton('xapi', 'xAPI')}
+      </div>
+
+      {narrationStatus && (
+        <p className="text-xs text-gray-500">{narrationStatus}</p>
+      )}
+      <p className="text-xs text-gray-500">
+        The PowerPoint deck carries each slide's script as speaker notes. SCORM and xAPI packages play the narration with each slide and report quiz scores to your LMS.
+      </p>
+    </div>
+  );
+};
+
+export default CoursePanel;
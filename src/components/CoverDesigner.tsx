@@ -0,0 +1,320 @@
+import React, { useEffect, useState } from 'react';
+import { Download, Image, LayoutTemplate, Loader2, Palette, Save, Trash2, Upload, X } from 'lucide-react';
+import { Book, CoverDesign, CoverPaperType, PrintTrimSize } from '../types';
+import {
+  COVER_FONTS,
+  COVER_TEMPLATES,
+  PAPER_TYPES,
+  SPINE_TEXT_MIN_PAGES,
+  countPrintPages,
+  createCoverDesign,
+  getCoverTemplate,
+  getWraparoundSize,
+  renderCoverDataUrl,
+  renderFrontCover,
+  renderWraparound
+} from '../services/coverDesignService';
+import { generateBookCover, generateBookCoverWithDALLE } from '../services/coverService';
+import { exportFrontCover, exportWraparoundCover } from '../services/exportService';
+import { PRINT_TRIM_SIZES } from '../services/pdfService';
+import { getBookBlurb } from '../services/launchKitService';
+
+interface CoverDesignerProps {
+  book: Book;
+  onUpdateBook: (book: Book) => void;
+  onClose: () => void;
+}
+
+// Previews are rendered small; exports render at full resolution
+const PREVIEW_FRONT_WIDTH = 240;
+const PREVIEW_DPI = 40;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const secondaryButtonClass = 'px-3 py-2 bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2';
+
+const CoverDesigner: React.FC<CoverDesignerProps> = ({ book, onUpdateBook, onClose }) => {
+  const [design, setDesign] = useState<CoverDesign>(() => book.coverDesign || createCoverDesign(book));
+  const [frontPreview, setFrontPreview] = useState('');
+  const [wrapPreview, setWrapPreview] = useState('');
+  const [generatingArt, setGeneratingArt] = useState<'google' | 'dalle' | null>(null);
+  const [isCountingPages, setIsCountingPages] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [exporting, setExporting] = useState<'front' | 'png' | 'pdf' | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const render = async () => {
+      try {
+        const [front, wrap] = await Promise.all([
+          renderFrontCover(design, PREVIEW_FRONT_WIDTH),
+          renderWraparound(design, PREVIEW_DPI)
+        ]);
+        if (!cancelled) {
+          setFrontPreview(front.toDataURL('image/jpeg', 0.85));
+          setWrapPreview(wrap.toDataURL('image/jpeg', 0.85));
+        }
+      } catch (error) {
+        console.error('Error rendering cover preview:', error);
+      }
+    };
+    render();
+    return () => { cancelled = true; };
+  }, [design]);
+
+  const update = (changes: Partial<CoverDesign>) => setDesign(prev => ({ ...prev, ...changes }));
+
+  const handleTemplateChange = (templateId: string) => {
+    update({ templateId, fontId: getCoverTemplate(templateId).fontId });
+  };
+
+  const handleGenerateArt = async (provider: 'google' | 'dalle') => {
+    setGeneratingArt(provider);
+    try {
+      const backgroundUrl = provider === 'google'
+        ? await generateBookCover(book)
+        : await generateBookCoverWithDALLE(book);
+      update({ backgroundUrl });
+    } catch (error) {
+      console.error('Error generating cover artwork:', error);
+      alert(error instanceof Error ? error.message : 'Failed to generate cover artwork.');
+    } finally {
+      setGeneratingArt(null);
+    }
+  };
+
+  const handleUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => update({ backgroundUrl: reader.result as string });
+    reader.onerror = () => alert('Failed to read the image.');
+    reader.readAsDataURL(file);
+  };
+
+  const handleCountPages = async () => {
+    setIsCountingPages(true);
+    try {
+      update({ pageCount: await countPrintPages(book, design.trimSize) });
+    } catch (error) {
+      console.error('Error counting print pages:', error);
+      alert('Failed to lay out the book for printing. Please enter the page count instead.');
+    } finally {
+      setIsCountingPages(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const coverUrl = await renderCoverDataUrl(design);
+      onUpdateBook({ ...book, coverDesign: design, coverUrl });
+    } catch (error) {
+      console.error('Error saving cover:', error);
+      alert('Failed to render the cover. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleExport = async (target: 'front' | 'png' | 'pdf') => {
+    setExporting(target);
+    try {
+      if (target === 'front') {
+        await exportFrontCover(book, design);
+      } else {
+        await exportWraparoundCover(book, design, target);
+      }
+    } catch (error) {
+      console.error('Error exporting cover:', error);
+      alert('Failed to export the cover. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const size = getWraparoundSize(design);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <LayoutTemplate className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Cover Designer</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Generate or upload artwork without text, then set the title, author and back cover copy over it. The front cover is used for the ebook and EPUB; the wraparound is sized for print from the page count and paper.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => handleGenerateArt('google')}
+              disabled={generatingArt !== null}
+              className={secondaryButtonClass}
+            >
+              {generatingArt === 'google' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Image className="w-4 h-4" />}
+              Google AI artwork
+            </button>
+            <button
+              onClick={() => handleGenerateArt('dalle')}
+              disabled={generatingArt !== null}
+              className={secondaryButtonClass}
+            >
+              {generatingArt === 'dalle' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Palette className="w-4 h-4" />}
+              DALL-E artwork
+            </button>
+            <label className={`${secondaryButtonClass} cursor-pointer`}>
+              <Upload className="w-4 h-4" />
+              Upload
+              <input type="file" accept="image/*" onChange={handleUpload} className="hidden" />
+            </label>
+            {design.backgroundUrl && (
+              <button
+                onClick={() => update({ backgroundUrl: undefined })}
+                className="p-2 text-gray-500 hover:text-red-600 transition-colors duration-200"
+                title="Remove artwork"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-sm text-gray-700 space-y-1">
+              <span>Template</span>
+              <select value={design.templateId} onChange={(e) => handleTemplateChange(e.target.value)} className={inputClass}>
+                {COVER_TEMPLATES.map(template => (
+                  <option key={template.id} value={template.id}>{template.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 space-y-1">
+              <span>Font</span>
+              <select value={design.fontId} onChange={(e) => update({ fontId: e.target.value })} className={inputClass}>
+                {Object.entries(COVER_FONTS).map(([id, font]) => (
+                  <option key={id} value={id}>{font.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <input type="text" value={design.title} onChange={(e) => update({ title: e.target.value })} placeholder="Title" className={inputClass} />
+          <input type="text" value={design.subtitle} onChange={(e) => update({ subtitle: e.target.value })} placeholder="Subtitle" className={inputClass} />
+          <div className="grid grid-cols-2 gap-2">
+            <input type="text" value={design.author} onChange={(e) => update({ author: e.target.value })} placeholder="Author" className={inputClass} />
+            <input type="text" value={design.seriesLine} onChange={(e) => update({ seriesLine: e.target.value })} placeholder="Series (e.g. Book 2 of The Saga)" className={inputClass} />
+          </div>
+          <textarea
+            value={design.blurb}
+            onChange={(e) => update({ blurb: e.target.value })}
+            placeholder="Back cover blurb"
+            rows={5}
+            className={inputClass}
+          />
+          {book.launchKit?.blurbs.medium && design.blurb !== book.launchKit.blurbs.medium && (
+            <button
+              onClick={() => update({ blurb: getBookBlurb(book, 'medium') })}
+              className="text-xs text-blue-600 hover:text-blue-800 transition-colors duration-200"
+            >
+              Use the launch kit's back-cover blurb
+            </button>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            <label className="text-sm text-gray-700 space-y-1">
+              <span>Trim size</span>
+              <select value={design.trimSize} onChange={(e) => update({ trimSize: e.target.value as PrintTrimSize })} className={inputClass}>
+                {Object.entries(PRINT_TRIM_SIZES).map(([id, trim]) => (
+                  <option key={id} value={id}>{trim.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 space-y-1">
+              <span>Paper</span>
+              <select value={design.paperType} onChange={(e) => update({ paperType: e.target.value as CoverPaperType })} className={inputClass}>
+                {Object.entries(PAPER_TYPES).map(([id, paper]) => (
+                  <option key={id} value={id}>{paper.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 space-y-1">
+              <span>Pages</span>
+              <input
+                type="number"
+                min={24}
+                step={2}
+                value={design.pageCount}
+                onChange={(e) => update({ pageCount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-500">
+            <span>
+              Spine {size.spine.toFixed(3)} in · full cover {size.width.toFixed(3)} x {size.height.toFixed(3)} in with bleed
+              {design.pageCount < SPINE_TEXT_MIN_PAGES && ` · no spine text under ${SPINE_TEXT_MIN_PAGES} pages`}
+            </span>
+            <button
+              onClick={handleCountPages}
+              disabled={isCountingPages}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50 transition-colors duration-200 flex items-center gap-1"
+            >
+              {isCountingPages && <Loader2 className="w-3 h-3 animate-spin" />}
+              Count pages from print layout
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex gap-3 items-start">
+            {frontPreview && (
+              <img src={frontPreview} alt="Front cover preview" className="w-32 rounded shadow border border-gray-200" />
+            )}
+            {wrapPreview && (
+              <img src={wrapPreview} alt="Print wraparound preview" className="flex-1 min-w-0 rounded shadow border border-gray-200" />
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            The white box on the back cover is left for the ISBN barcode.
+          </p>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="px-3 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              Use as book cover
+            </button>
+            <button onClick={() => handleExport('front')} disabled={exporting !== null} className={secondaryButtonClass}>
+              {exporting === 'front' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Ebook PNG
+            </button>
+            <button onClick={() => handleExport('png')} disabled={exporting !== null} className={secondaryButtonClass}>
+              {exporting === 'png' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Print PNG
+            </button>
+            <button onClick={() => handleExport('pdf')} disabled={exporting !== null} className={secondaryButtonClass}>
+              {exporting === 'pdf' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              Print PDF
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CoverDesigner;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, Columns2, Loader2, X } from 'lucide-react';
+import { Book, BookChapter, SubChapter } from '../types';
+import { getEditionSourceId, getSourceSectionId } from '../services/editionService';
+import { loadBook } from '../services/bookService';
+import { countWords } from '../services/manuscriptService';
+import { isRightToLeft } from '../services/languageService';
+
+interface EditionComparisonProps {
+  // A rewritten or translated edition
+  edition: Book;
+  onClose: () => void;
+}
+
+interface ComparedSection {
+  chapter: BookChapter;
+  subChapter: SubChapter;
+  sourceSection?: SubChapter;
+}
+
+const EditionComparison: React.FC<EditionComparisonProps> = ({ edition, onClose }) => {
+  const [source, setSource] = useState<Book | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const sourceId = getEditionSourceId(edition);
+
+  useEffect(() => {
+    if (!sourceId) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    loadBook(sourceId)
+      .then(setSource)
+      .catch(error => console.error('Error loading original book:', error))
+      .finally(() => setIsLoading(false));
+  }, [sourceId]);
+
+  const sourceSections = new Map(
+    (source?.chapters || []).flatMap(chapter => chapter.subChapters || []).map(subChapter => [subChapter.id, subChapter])
+  );
+  const sections: ComparedSection[] = edition.chapters.flatMap(chapter =>
+    (chapter.subChapters || []).map(subChapter => {
+      const sourceSectionId = getSourceSectionId(edition, subChapter.id);
+      return { chapter, subChapter, sourceSection: sourceSectionId ? sourceSections.get(sourceSectionId) : undefined };
+    })
+  );
+
+  const [index, setIndex] = useState(() => Math.max(0, sections.findIndex(section => section.subChapter.content)));
+  const current = sections[Math.min(index, sections.length - 1)];
+
+  if (!current) return null;
+
+  // Until the queue reaches it, a section still holds the source text
+  const isRewritten = current.subChapter.status === 'completed';
+  const pendingMessage = !current.subChapter.content
+    ? 'This section has no text yet.'
+    : current.subChapter.status === 'failed'
+      ? 'Rewriting this section failed, so it still holds the original text.'
+      : 'This section is waiting in the generation queue.';
+
+  const renderText = (text: string | undefined, language: string | undefined, emptyMessage: string) => (
+    text ? (
+      <div
+        dir={isRightToLeft(language) ? 'rtl' : undefined}
+        className="bg-white border border-gray-200 rounded-lg p-4 h-[32rem] overflow-y-auto text-sm text-gray-800 leading-relaxed whitespace-pre-wrap"
+      >
+        {text}
+      </div>
+    ) : (
+      <div className="bg-white border border-gray-200 rounded-lg p-4 h-[32rem] text-sm text-gray-500">{emptyMessage}</div>
+    )
+  );
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Columns2 className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Compare with original</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setIndex(Math.max(0, index - 1))}
+          disabled={index === 0}
+          className="p-2 rounded-lg text-gray-600 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          title="Previous section"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <select
+          value={index}
+          onChange={(e) => setIndex(Number(e.target.value))}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {edition.chapters.map(chapter => (
+            <optgroup key={chapter.id} label={chapter.title}>
+              {sections.map((section, i) => section.chapter.id === chapter.id && (
+                <option key={section.subChapter.id} value={i}>{section.subChapter.title}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <button
+          onClick={() => setIndex(Math.min(sections.length - 1, index + 1))}
+          disabled={index >= sections.length - 1}
+          className="p-2 rounded-lg text-gray-600 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          title="Next section"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading the original...
+        </div>
+      ) : !source ? (
+        <p className="text-sm text-gray-500">The original book has been deleted or is no longer shared with you.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-700 truncate">{source.title}</span>
+              {current.sourceSection && (
+                <span className="text-xs text-gray-500">{countWords(current.sourceSection.content).toLocaleString()} words</span>
+              )}
+            </div>
+            {renderText(
+              current.sourceSection?.content,
+              source.language,
+              current.sourceSection ? 'This section has no text in the original.' : 'There is no matching section in the original.'
+            )}
+          </div>
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-700 truncate">{edition.title}</span>
+              <span className="text-xs text-gray-500">
+                {isRewritten ? `${countWords(current.subChapter.content).toLocaleString()} words` : 'Not rewritten yet'}
+              </span>
+            </div>
+            {renderText(
+              isRewritten ? current.subChapter.content : undefined,
+              edition.language,
+              pendingMessage
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditionComparison;
@@ -0,0 +1,237 @@
+import React, { useEffect, useState } from 'react';
+import { Columns2, ExternalLink, Layers, Loader2, X } from 'lucide-react';
+import { Book, EditionChanges, EditionLength, NarrativeTense, ReadingLevel } from '../types';
+import {
+  EDITION_LENGTHS,
+  NARRATIVE_TENSES,
+  PERSPECTIVE_LABELS,
+  READING_LEVELS,
+  createEdition,
+  describeEditionChanges,
+  getLinkedEditions,
+  hasEditionChanges
+} from '../services/editionService';
+import { loadAllBooks } from '../services/bookService';
+
+interface EditionPanelProps {
+  book: Book;
+  // Set while the book is being generated, when its text may still change
+  disabled?: boolean;
+  onCreateEdition: (edition: Book, sectionIds: string[]) => Promise<void>;
+  onOpenBook: (book: Book) => void;
+  onCompare: () => void;
+  onClose: () => void;
+}
+
+const EditionPanel: React.FC<EditionPanelProps> = ({ book, disabled, onCreateEdition, onOpenBook, onCompare, onClose }) => {
+  const [library, setLibrary] = useState<Book[]>([]);
+  const [changes, setChanges] = useState<EditionChanges>({});
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    loadAllBooks()
+      .then(setLibrary)
+      .catch(error => console.error('Error loading library:', error));
+  }, [book.id]);
+
+  const sourceBook = book.edition && library.find(b => b.id === book.edition!.sourceBookId);
+  const editions = getLinkedEditions(book, library);
+  const hasWrittenSections = book.chapters.some(chapter => chapter.subChapters?.some(sc => sc.content));
+
+  const updateChanges = (updates: Partial<EditionChanges>) => {
+    setChanges(prev => ({ ...prev, ...updates }));
+  };
+
+  const handleCreate = async () => {
+    if (!hasEditionChanges(changes)) return;
+    if (!confirm(`Create a ${describeEditionChanges(changes)} edition of "${book.title}"? The original stays as it is.`)) return;
+
+    setIsCreating(true);
+    try {
+      const { book: edition, sectionIds } = await createEdition(book, {
+        ...changes,
+        // The narrator only applies to first person editions
+        narrator: changes.perspective === 'first' ? changes.narrator?.trim() || undefined : undefined
+      });
+      await onCreateEdition(edition, sectionIds);
+      setChanges({});
+    } catch (error) {
+      console.error('Error creating edition:', error);
+      alert(`Failed to create the edition: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const fieldClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Layers className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Editions</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {book.edition && (
+        <div className="flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-3 py-2">
+          <span className="text-sm text-gray-700">
+            {describeEditionChanges(book.edition.changes)} edition
+            {sourceBook && <> of &ldquo;{sourceBook.title}&rdquo;</>}
+          </span>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={onCompare}
+              className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+            >
+              <Columns2 className="w-3 h-3" />
+              Compare
+            </button>
+            {sourceBook && (
+              <button
+                onClick={() => onOpenBook(sourceBook)}
+                className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+              >
+                <ExternalLink className="w-3 h-3" />
+                Open original
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {editions.length > 0 && (
+        <div className="space-y-2">
+          <h5 className="text-sm font-medium text-gray-700">Editions of this book</h5>
+          {editions.map(edition => (
+            <div key={edition.id} className="flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-800 truncate">{edition.title}</p>
+                <p className="text-xs text-gray-500">{describeEditionChanges(edition.edition!.changes)}</p>
+              </div>
+              <button
+                onClick={() => onOpenBook(edition)}
+                className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+              >
+                <ExternalLink className="w-3 h-3" />
+                Open
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600">
+        Choose what the new edition changes. It opens with the same outline, and its sections are rewritten in the background from their current text, keeping the same events and characters. Sections the original hasn't written yet are written first.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Reading level</label>
+          <select
+            value={changes.readingLevel || ''}
+            onChange={(e) => updateChanges({ readingLevel: (e.target.value || undefined) as ReadingLevel | undefined })}
+            disabled={isCreating}
+            className={fieldClassName}
+          >
+            <option value="">Keep as it is</option>
+            {(Object.keys(READING_LEVELS) as ReadingLevel[]).map(level => (
+              <option key={level} value={level}>{READING_LEVELS[level].label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Target audience</label>
+          <input
+            type="text"
+            value={changes.targetAudience || ''}
+            onChange={(e) => updateChanges({ targetAudience: e.target.value })}
+            disabled={isCreating}
+            placeholder={book.targetAudience || 'e.g. busy parents, teenage gamers'}
+            className={fieldClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Perspective</label>
+          <select
+            value={changes.perspective || ''}
+            onChange={(e) => updateChanges({ perspective: e.target.value || undefined })}
+            disabled={isCreating}
+            className={fieldClassName}
+          >
+            <option value="">
+              Keep as it is{book.perspective ? ` (${PERSPECTIVE_LABELS[book.perspective] || book.perspective})` : ''}
+            </option>
+            {Object.keys(PERSPECTIVE_LABELS).filter(perspective => perspective !== book.perspective).map(perspective => (
+              <option key={perspective} value={perspective}>{PERSPECTIVE_LABELS[perspective]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Tense</label>
+          <select
+            value={changes.tense || ''}
+            onChange={(e) => updateChanges({ tense: (e.target.value || undefined) as NarrativeTense | undefined })}
+            disabled={isCreating}
+            className={fieldClassName}
+          >
+            <option value="">Keep as it is</option>
+            {(Object.keys(NARRATIVE_TENSES) as NarrativeTense[]).map(tense => (
+              <option key={tense} value={tense}>{NARRATIVE_TENSES[tense]}</option>
+            ))}
+          </select>
+        </div>
+        {changes.perspective === 'first' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Narrator</label>
+            <input
+              type="text"
+              value={changes.narrator || ''}
+              onChange={(e) => updateChanges({ narrator: e.target.value })}
+              disabled={isCreating}
+              placeholder="The main viewpoint character"
+              className={fieldClassName}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Length</label>
+          <select
+            value={changes.length || ''}
+            onChange={(e) => updateChanges({ length: (e.target.value || undefined) as EditionLength | undefined })}
+            disabled={isCreating}
+            className={fieldClassName}
+          >
+            <option value="">Keep as it is</option>
+            {(Object.keys(EDITION_LENGTHS) as EditionLength[]).map(length => (
+              <option key={length} value={length}>
+                {EDITION_LENGTHS[length].label} (about {Math.round(EDITION_LENGTHS[length].ratio * 100)}%)
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <button
+        onClick={handleCreate}
+        disabled={!hasEditionChanges(changes) || !hasWrittenSections || disabled || isCreating}
+        className="w-full px-4 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center justify-center gap-2"
+      >
+        {isCreating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Layers className="w-4 h-4" />}
+        {hasEditionChanges(changes) ? `Create ${describeEditionChanges(changes)} edition` : 'Create edition'}
+      </button>
+      {!hasWrittenSections && (
+        <p className="text-xs text-gray-500">Write some sections first; there's nothing to rewrite yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default EditionPanel;
@@ -0,0 +1,132 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, Clock, Pause, Play, RotateCcw, Square, X } from 'lucide-react';
+import { GenerationJob } from '../types';
+import { estimateRemainingMs, GENERATION_JOB_LABELS } from '../services/generationQueueService';
+
+interface GenerationJobControlsProps {
+  job: GenerationJob;
+  isActive: boolean;
+  onPause: () => void;
+  onResume: () => void;
+  onCancel: () => void;
+  onDismiss: () => void;
+}
+
+const formatDuration = (ms: number): string => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const GenerationJobControls: React.FC<GenerationJobControlsProps> = ({
+  job,
+  isActive,
+  onPause,
+  onResume,
+  onCancel,
+  onDismiss
+}) => {
+  const finishedSections = job.completedSections + job.failedSections;
+  const progressPercentage = job.totalSections > 0 ? (finishedSections / job.totalSections) * 100 : 0;
+  const remainingMs = estimateRemainingMs(job);
+  // Pausing or cancelling lets in-flight sections finish first
+  const isWindingDown = isActive && job.status !== 'running';
+
+  const getStatusText = () => {
+    if (isWindingDown) return 'Finishing sections in progress...';
+    switch (job.status) {
+      case 'running':
+        return remainingMs !== null ? `About ${formatDuration(remainingMs)} remaining` : 'Estimating time remaining...';
+      case 'paused': return 'Paused';
+      case 'cancelled': return 'Cancelled';
+      case 'completed': return 'All sections generated';
+      case 'failed': return job.error || 'Some sections could not be generated';
+    }
+  };
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 mb-6 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          {job.status === 'completed' ? (
+            <CheckCircle className="w-5 h-5 text-green-600" />
+          ) : job.status === 'failed' ? (
+            <AlertCircle className="w-5 h-5 text-red-600" />
+          ) : (
+            <Clock className="w-5 h-5 text-blue-600" />
+          )}
+          <h4 className="font-medium text-gray-900">{GENERATION_JOB_LABELS[job.mode]}</h4>
+        </div>
+        <span className="text-sm text-gray-600">
+          {job.completedSections}/{job.totalSections} sections
+          {job.failedSections > 0 && ` (${job.failedSections} failed)`}
+        </span>
+      </div>
+
+      <div className="w-full bg-blue-100 rounded-full h-2">
+        <div
+          className="bg-gradient-to-r from-blue-500 to-purple-500 h-2 rounded-full transition-all duration-300"
+          style={{ width: `${progressPercentage}%` }}
+        ></div>
+      </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <p className={`text-sm ${job.status === 'failed' || (job.status === 'paused' && job.error) ? 'text-red-600' : 'text-gray-600'}`}>
+          {job.status === 'paused' && job.error && !isWindingDown ? job.error : getStatusText()}
+        </p>
+        <div className="flex gap-2 flex-shrink-0">
+          {job.status === 'running' && (
+            <button
+              onClick={onPause}
+              className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors duration-200 flex items-center gap-1"
+            >
+              <Pause className="w-4 h-4" />
+              Pause
+            </button>
+          )}
+          {job.status === 'paused' && (
+            <button
+              onClick={onResume}
+              disabled={isWindingDown}
+              className="px-3 py-1 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+            >
+              <Play className="w-4 h-4" />
+              Resume
+            </button>
+          )}
+          {job.status === 'failed' && (
+            <button
+              onClick={onResume}
+              disabled={isActive}
+              className="px-3 py-1 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Retry failed sections
+            </button>
+          )}
+          {(job.status === 'running' || job.status === 'paused') && (
+            <button
+              onClick={onCancel}
+              disabled={isWindingDown && job.status !== 'paused'}
+              className="px-3 py-1 text-sm text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+            >
+              <Square className="w-4 h-4" />
+              Cancel
+            </button>
+          )}
+          {!isActive && (job.status === 'completed' || job.status === 'cancelled' || job.status === 'failed') && (
+            <button
+              onClick={onDismiss}
+              className="p-1 rounded-lg hover:bg-blue-100 transition-colors duration-200"
+            >
+              <X className="w-4 h-4 text-gray-500" />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenerationJobControls;
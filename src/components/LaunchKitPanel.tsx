@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import { Download, Loader2, Megaphone, Plus, Save, Sparkles, Trash2, X } from 'lucide-react';
+import { Book, BlurbLength, LaunchKit } from '../types';
+import { BLURB_LENGTHS, KEYWORD_COUNT, generateLaunchKit } from '../services/launchKitService';
+import { exportLaunchKit } from '../services/exportService';
+import { getLLMForTask } from '../services/llmService';
+
+interface LaunchKitPanelProps {
+  book: Book;
+  onUpdateBook: (book: Book) => void;
+  onClose: () => void;
+}
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const LaunchKitPanel: React.FC<LaunchKitPanelProps> = ({ book, onUpdateBook, onClose }) => {
+  // Edits are kept here until saved
+  const [kit, setKit] = useState<LaunchKit | null>(book.launchKit || null);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  useEffect(() => {
+    setKit(book.launchKit || null);
+  }, [book.launchKit]);
+
+  const isDirty = JSON.stringify(kit) !== JSON.stringify(book.launchKit || null);
+
+  const update = (changes: Partial<LaunchKit>) => setKit(prev => prev ? { ...prev, ...changes } : prev);
+
+  const handleGenerate = async () => {
+    if (book.launchKit && !confirm('Write a new launch kit? This replaces the current copy, including your edits.')) return;
+
+    setIsGenerating(true);
+    try {
+      const generated = await generateLaunchKit(book, getLLMForTask(book, 'marketing'));
+      onUpdateBook({ ...book, launchKit: generated });
+    } catch (error) {
+      console.error('Error generating launch kit:', error);
+      alert(error instanceof Error ? error.message : 'Failed to generate the launch kit. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // Blank keyword boxes and half-filled categories aren't kept
+  const cleanKit = (draft: LaunchKit): LaunchKit => ({
+    ...draft,
+    taglines: draft.taglines.map(tagline => tagline.trim()).filter(Boolean),
+    keywords: draft.keywords.map(keyword => keyword.trim()).filter(Boolean),
+    categories: draft.categories.filter(category => category.code.trim() && category.label.trim())
+  });
+
+  const handleSave = () => {
+    if (kit) onUpdateBook({ ...book, launchKit: cleanKit(kit) });
+  };
+
+  const handleExport = () => {
+    try {
+      exportLaunchKit(kit ? { ...book, launchKit: cleanKit(kit) } : book);
+    } catch (error) {
+      console.error('Error exporting launch kit:', error);
+      alert('Failed to export the launch kit. Please try again.');
+    }
+  };
+
+  const updateListItem = <T,>(list: T[], index: number, value: T): T[] =>
+    list.map((item, i) => i === index ? value : item);
+
+  const sectionTitle = (title: string) => (
+    <h5 className="text-sm font-medium text-gray-700">{title}</h5>
+  );
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Megaphone className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Launch Kit</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Sales copy written from the book's description, chapters and author persona. The blurbs are also used for the EPUB and PDF descriptions and the back cover in the Cover Designer.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleGenerate}
+          disabled={isGenerating}
+          className="px-3 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+        >
+          {isGenerating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+          {book.launchKit ? 'Rewrite launch kit' : 'Write launch kit'}
+        </button>
+        {kit && (
+          <>
+            <button
+              onClick={handleSave}
+              disabled={!isDirty}
+              className="px-3 py-2 bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+            >
+              <Save className="w-4 h-4" />
+              Save changes
+            </button>
+            <button
+              onClick={handleExport}
+              className="px-3 py-2 bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              Export document
+            </button>
+          </>
+        )}
+      </div>
+
+      {kit && (
+        <div className="space-y-4">
+          <div className="space-y-2">
+            {sectionTitle('Blurbs')}
+            {(Object.keys(BLURB_LENGTHS) as BlurbLength[]).map(length => (
+              <label key={length} className="block text-xs text-gray-500 space-y-1">
+                <span>{BLURB_LENGTHS[length].label} ({BLURB_LENGTHS[length].words} words)</span>
+                <textarea
+                  value={kit.blurbs[length]}
+                  onChange={(e) => update({ blurbs: { ...kit.blurbs, [length]: e.target.value } })}
+                  rows={length === 'short' ? 2 : length === 'medium' ? 4 : 7}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('Taglines (one per line)')}
+            <textarea
+              value={kit.taglines.join('\n')}
+              onChange={(e) => update({ taglines: e.target.value.split('\n') })}
+              rows={4}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle(`KDP keywords (${KEYWORD_COUNT} phrases, up to 50 characters each)`)}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {Array.from({ length: KEYWORD_COUNT }, (_, index) => {
+                const keyword = kit.keywords[index] || '';
+                return (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={keyword}
+                      maxLength={50}
+                      onChange={(e) => {
+                        const keywords = Array.from({ length: KEYWORD_COUNT }, (_, i) => kit.keywords[i] || '');
+                        keywords[index] = e.target.value;
+                        update({ keywords });
+                      }}
+                      className={inputClass}
+                    />
+                    <span className="text-xs text-gray-400 w-8 text-right">{keyword.length}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('BISAC categories')}
+            {kit.categories.map((category, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={category.code}
+                  onChange={(e) => update({ categories: updateListItem(kit.categories, index, { ...category, code: e.target.value.toUpperCase() }) })}
+                  placeholder="FIC000000"
+                  className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <input
+                  type="text"
+                  value={category.label}
+                  onChange={(e) => update({ categories: updateListItem(kit.categories, index, { ...category, label: e.target.value }) })}
+                  placeholder="FICTION / General"
+                  className={inputClass}
+                />
+                <button
+                  onClick={() => update({ categories: kit.categories.filter((_, i) => i !== index) })}
+                  className="p-2 text-gray-500 hover:text-red-600 transition-colors duration-200"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => update({ categories: [...kit.categories, { code: '', label: '' }] })}
+              className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              Add category
+            </button>
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('Author bio')}
+            <textarea
+              value={kit.authorBio}
+              onChange={(e) => update({ authorBio: e.target.value })}
+              rows={4}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('Newsletter announcement')}
+            <textarea
+              value={kit.newsletter}
+              onChange={(e) => update({ newsletter: e.target.value })}
+              rows={8}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('Social posts')}
+            {kit.socialPosts.map((post, index) => (
+              <label key={index} className="block text-xs text-gray-500 space-y-1">
+                <span>{post.platform}</span>
+                <textarea
+                  value={post.text}
+                  onChange={(e) => update({ socialPosts: updateListItem(kit.socialPosts, index, { ...post, text: e.target.value }) })}
+                  rows={3}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            {sectionTitle('A+ content')}
+            {kit.aPlusContent.map((module, index) => (
+              <div key={index} className="bg-white border border-gray-200 rounded-lg p-3 space-y-2">
+                <input
+                  type="text"
+                  value={module.heading}
+                  onChange={(e) => update({ aPlusContent: updateListItem(kit.aPlusContent, index, { ...module, heading: e.target.value }) })}
+                  className={inputClass}
+                />
+                <textarea
+                  value={module.body}
+                  onChange={(e) => update({ aPlusContent: updateListItem(kit.aPlusContent, index, { ...module, body: e.target.value }) })}
+                  rows={3}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LaunchKitPanel;
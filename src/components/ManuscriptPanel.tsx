@@ -0,0 +1,190 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileText, Loader2, Upload, X } from 'lucide-react';
+import { Book, ManuscriptChange, ManuscriptDiff, ManuscriptFormat } from '../types';
+import { exportToDOCX, exportToMarkdown } from '../services/exportService';
+import {
+  applyImportedManuscript,
+  diffManuscript,
+  importManuscript,
+  reconcileManuscript
+} from '../services/manuscriptService';
+
+interface ManuscriptPanelProps {
+  book: Book;
+  disableImport: boolean;
+  onApplyImport: (book: Book) => void;
+  onClose: () => void;
+}
+
+const CHANGE_STYLES: Record<ManuscriptChange['type'], string> = {
+  added: 'text-green-700 bg-green-50',
+  removed: 'text-red-700 bg-red-50',
+  modified: 'text-blue-700 bg-blue-50'
+};
+
+const formatWordDelta = (change: ManuscriptChange) => {
+  if (change.level === 'book') return '';
+  const delta = change.wordsAfter - change.wordsBefore;
+  return delta === 0 ? 'no change in length' : `${delta > 0 ? '+' : ''}${delta.toLocaleString()} words`;
+};
+
+const ManuscriptPanel: React.FC<ManuscriptPanelProps> = ({ book, disableImport, onApplyImport, onClose }) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [exportingFormat, setExportingFormat] = useState<ManuscriptFormat | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importedBook, setImportedBook] = useState<Book | null>(null);
+  const [importedFileName, setImportedFileName] = useState('');
+  const [diff, setDiff] = useState<ManuscriptDiff | null>(null);
+
+  const handleExport = async (format: ManuscriptFormat) => {
+    setExportingFormat(format);
+    try {
+      if (format === 'docx') {
+        await exportToDOCX(book);
+      } else {
+        exportToMarkdown(book);
+      }
+    } catch (error) {
+      console.error('Error exporting manuscript:', error);
+      alert(`Failed to export manuscript as ${format === 'docx' ? 'DOCX' : 'Markdown'}. Please try again.`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const handleFileSelected = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      const reconciled = reconcileManuscript(book, await importManuscript(file));
+      setImportedBook(reconciled);
+      setImportedFileName(file.name);
+      setDiff(diffManuscript(book, reconciled));
+    } catch (error) {
+      console.error('Error importing manuscript:', error);
+      alert(error instanceof Error ? error.message : 'Failed to import manuscript. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDiscardImport = () => {
+    setImportedBook(null);
+    setImportedFileName('');
+    setDiff(null);
+  };
+
+  const handleApplyImport = () => {
+    if (!importedBook) return;
+    onApplyImport(applyImportedManuscript(book, importedBook));
+    handleDiscardImport();
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <FileText className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Manuscript</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Export the manuscript to edit it elsewhere, then import the edited file to review the changes before applying them.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => handleExport('docx')}
+          disabled={exportingFormat !== null}
+          className="px-4 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+        >
+          <Download className="w-4 h-4" />
+          {exportingFormat === 'docx' ? 'Exporting...' : 'Export DOCX'}
+        </button>
+        <button
+          onClick={() => handleExport('markdown')}
+          disabled={exportingFormat !== null}
+          className="px-4 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+        >
+          <Download className="w-4 h-4" />
+          {exportingFormat === 'markdown' ? 'Exporting...' : 'Export Markdown'}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isImporting || disableImport}
+          title={disableImport ? 'Importing is unavailable while sections are being generated' : undefined}
+          className="px-4 py-2 text-sm text-white bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+        >
+          {isImporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          {isImporting ? 'Reading file...' : 'Import edited manuscript'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".docx,.md,.markdown,.txt"
+          onChange={handleFileSelected}
+          className="hidden"
+        />
+      </div>
+
+      {diff && importedBook && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <h5 className="font-medium text-gray-900">Changes in {importedFileName}</h5>
+            <span className="text-sm text-gray-600">
+              {diff.wordsBefore.toLocaleString()} → {diff.wordsAfter.toLocaleString()} words
+            </span>
+          </div>
+
+          {diff.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">The imported manuscript matches the current book.</p>
+          ) : (
+            <ul className="space-y-1 max-h-64 overflow-y-auto">
+              {diff.changes.map((change, index) => (
+                <li key={index} className="flex items-center justify-between gap-2 text-sm">
+                  <span className="flex items-center gap-2 min-w-0">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${CHANGE_STYLES[change.type]}`}>
+                      {change.type}
+                    </span>
+                    <span className="truncate text-gray-800">
+                      {change.level === 'section' ? `${change.chapterTitle} › ${change.title}` : change.level === 'chapter' ? `Chapter: ${change.title}` : change.title}
+                    </span>
+                  </span>
+                  <span className="text-gray-500 flex-shrink-0">{formatWordDelta(change)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={handleDiscardImport}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 transition-colors duration-200"
+            >
+              Discard
+            </button>
+            <button
+              onClick={handleApplyImport}
+              disabled={diff.changes.length === 0 || disableImport}
+              className="px-4 py-2 text-sm text-white bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              Apply changes
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ManuscriptPanel;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Cpu, Save, X } from 'lucide-react';
+import { LLMModelSelection, LLMProviderId, LLMSettings, LLMTask } from '../types';
+import { DEFAULT_MODELS, LLM_TASK_LABELS } from '../services/llmService';
+
+interface ModelSettingsProps {
+  settings?: LLMSettings;
+  onSave: (settings: LLMSettings) => void;
+  onClose: () => void;
+}
+
+const PROVIDER_OPTIONS: { value: LLMProviderId | ''; label: string }[] = [
+  { value: '', label: 'Default (Gemini)' },
+  { value: 'gemini', label: 'Google Gemini' },
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'local', label: 'Local server (llama.cpp / Ollama)' }
+];
+
+const ModelSettings: React.FC<ModelSettingsProps> = ({ settings, onSave, onClose }) => {
+  const [draft, setDraft] = useState<LLMSettings>(settings || {});
+
+  const updateTask = (task: LLMTask, updates: Partial<LLMModelSelection> | null) => {
+    const next = { ...draft };
+    if (updates === null) {
+      delete next[task];
+    } else {
+      const current = next[task];
+      const provider = updates.provider || current?.provider || 'gemini';
+      next[task] = {
+        provider,
+        model: current?.model || DEFAULT_MODELS[provider].model,
+        baseUrl: current?.baseUrl,
+        ...updates
+      };
+    }
+    setDraft(next);
+  };
+
+  const handleProviderChange = (task: LLMTask, provider: LLMProviderId | '') => {
+    if (!provider) {
+      updateTask(task, null);
+      return;
+    }
+    updateTask(task, {
+      provider,
+      model: DEFAULT_MODELS[provider].model,
+      baseUrl: DEFAULT_MODELS[provider].baseUrl
+    });
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Cpu className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">AI Models for this Book</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {(Object.keys(LLM_TASK_LABELS) as LLMTask[]).map((task) => {
+          const selection = draft[task];
+          return (
+            <div key={task} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+              <label className="text-sm font-medium text-gray-700">{LLM_TASK_LABELS[task]}</label>
+              <select
+                value={selection?.provider || ''}
+                onChange={(e) => handleProviderChange(task, e.target.value as LLMProviderId | '')}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {PROVIDER_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              {selection ? (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={selection.model}
+                    onChange={(e) => updateTask(task, { model: e.target.value })}
+                    placeholder="Model name"
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {selection.provider === 'local' && (
+                    <input
+                      type="text"
+                      value={selection.baseUrl || ''}
+                      onChange={(e) => updateTask(task, { baseUrl: e.target.value })}
+                      placeholder={DEFAULT_MODELS[selection.provider].baseUrl}
+                      className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  )}
+                </div>
+              ) : (
+                <span className="text-sm text-gray-500">{DEFAULT_MODELS.gemini.model}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Gemini and OpenAI requests go through the AI proxy, using your own key from User Settings when you have saved one. Local servers need no key and must allow requests from this origin.
+      </p>
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(draft)}
+          className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all duration-200 flex items-center gap-2"
+        >
+          <Save className="w-4 h-4" />
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModelSettings;
@@ -2,17 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { ArrowLeft, FileText, Play, Image, Volume2 } from 'lucide-react';
 import { Book, BookChapter } from '../types';
 import { generateBlogArticle, generateLessonPlan } from '../services/geminiService';
+import { getLLMForTask } from '../services/llmService';
 import { generateFeaturedImage } from '../services/coverService';
-import { generateLessonPlanAudio, getAvailableVoices } from '../services/ttsService';
+import { generateLessonPlanAudio, getDefaultTTSSettings, listVoices } from '../services/ttsService';
 
 interface OnlineCourseChapterViewProps {
   chapter: BookChapter;
   onBack: () => void;
   onUpdateChapter: (updatedChapter: BookChapter) => void;
-  apiKeys: { gemini: string; perplexity: string };
 }
 
-const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapter, onBack, onUpdateChapter, apiKeys }) => {
+const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapter, onBack, onUpdateChapter }) => {
   const [blogArticle, setBlogArticle] = useState('');
   const [lessonPlan, setLessonPlan] = useState<any>(null);
   const [featuredImage, setFeaturedImage] = useState('');
@@ -24,7 +24,7 @@ const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapt
   const handleGenerateArticle = async () => {
     setIsGeneratingArticle(true);
     try {
-      const article = await generateBlogArticle(chapter.title, chapter.description, apiKeys.gemini);
+      const article = await generateBlogArticle(chapter.title, chapter.description, getLLMForTask(null, 'course'));
       setBlogArticle(article);
     } catch (error) {
       console.error('Error generating blog article:', error);
@@ -37,7 +37,7 @@ const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapt
   const handleGenerateLessonPlan = async () => {
     setIsGeneratingLessonPlan(true);
     try {
-      const plan = await generateLessonPlan(chapter.title, chapter.description, apiKeys.gemini);
+      const plan = await generateLessonPlan(chapter.title, chapter.description, getLLMForTask(null, 'course'));
       setLessonPlan(JSON.parse(plan));
     } catch (error) {
       console.error('Error generating lesson plan:', error);
@@ -50,7 +50,7 @@ const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapt
   const handleGenerateImage = async () => {
     setIsGeneratingImage(true);
     try {
-      const imageUrl = await generateFeaturedImage(chapter.title, chapter.description, apiKeys.gemini);
+      const imageUrl = await generateFeaturedImage(chapter.title, chapter.description);
       setFeaturedImage(imageUrl);
     } catch (error) {
       console.error('Error generating featured image:', error);
@@ -67,16 +67,17 @@ const OnlineCourseChapterView: React.FC<OnlineCourseChapterViewProps> = ({ chapt
     }
     setIsGeneratingAudio(true);
     try {
-      const voices = getAvailableVoices();
+      const settings = getDefaultTTSSettings();
+      const voices = await listVoices(settings);
       if (voices.length === 0) {
         alert('No voices available for text-to-speech.');
         return;
       }
-      const audioLessonPlan = await generateLessonPlanAudio(lessonPlan, voices[0].voice);
+      const audioLessonPlan = await generateLessonPlanAudio(lessonPlan, { ...settings, voiceId: voices[0].id });
       setLessonPlan(audioLessonPlan);
     } catch (error) {
       console.error('Error generating audio:', error);
-      alert('Failed to generate audio.');
+      alert(error instanceof Error ? `Failed to generate audio: ${error.message}` : 'Failed to generate audio.');
     } finally {
       setIsGeneratingAudio(false);
     }
@@ -0,0 +1,401 @@
+import React, { useRef, useState } from 'react';
+import { Combine, GripVertical, ListTree, Loader2, Plus, Save, Scissors, Trash2, Wand2, X } from 'lucide-react';
+import { Book, BookChapter, SubChapter } from '../types';
+import {
+  createOutlineChapter,
+  createOutlineSection,
+  mergeWithNextChapter,
+  moveChapter,
+  moveSection,
+  refreshChapterStatus,
+  regenerateChapterDescription,
+  regenerateChapterSections,
+  regenerateSectionDescription,
+  splitChapterAt
+} from '../services/outlineService';
+import { getLLMForTask } from '../services/llmService';
+
+interface OutlineEditorProps {
+  book: Book;
+  // Saving is disabled while a generation job is writing the book
+  disabled: boolean;
+  onSave: (chapters: BookChapter[]) => void;
+  onClose: () => void;
+}
+
+type DragItem = { type: 'chapter'; chapterId: string } | { type: 'section'; sectionId: string };
+
+type RegenerateTarget = 'chapter-description' | 'chapter-sections' | 'section-description';
+
+interface RegeneratePrompt {
+  target: RegenerateTarget;
+  id: string;
+  instructions: string;
+}
+
+const REGENERATE_LABELS: Record<RegenerateTarget, string> = {
+  'chapter-description': 'New chapter description',
+  'chapter-sections': 'New sections for this chapter',
+  'section-description': 'New section description'
+};
+
+const hasWrittenContent = (sections: SubChapter[] = []) => sections.some(sc => sc.content?.trim());
+
+const OutlineEditor: React.FC<OutlineEditorProps> = ({ book, disabled, onSave, onClose }) => {
+  const [chapters, setChapters] = useState<BookChapter[]>(book.chapters);
+  const [dropTarget, setDropTarget] = useState<string | null>(null);
+  const [regeneratePrompt, setRegeneratePrompt] = useState<RegeneratePrompt | null>(null);
+  const [busyKey, setBusyKey] = useState<string | null>(null);
+  const dragItem = useRef<DragItem | null>(null);
+
+  const isDirty = chapters !== book.chapters;
+
+  const updateChapter = (chapterId: string, updates: Partial<BookChapter>) => {
+    setChapters(prev => prev.map(chapter => chapter.id === chapterId ? { ...chapter, ...updates } : chapter));
+  };
+
+  const updateSection = (chapterId: string, sectionId: string, updates: Partial<SubChapter>) => {
+    setChapters(prev => prev.map(chapter => chapter.id === chapterId
+      ? { ...chapter, subChapters: chapter.subChapters?.map(sc => sc.id === sectionId ? { ...sc, ...updates } : sc) }
+      : chapter));
+  };
+
+  const insertChapter = (index: number) => {
+    setChapters(prev => [...prev.slice(0, index), createOutlineChapter(), ...prev.slice(index)]);
+  };
+
+  const deleteChapter = (chapter: BookChapter) => {
+    if (hasWrittenContent(chapter.subChapters) &&
+      !confirm(`Delete "${chapter.title}" and its written sections? Their text is kept in revision history.`)) return;
+    setChapters(prev => prev.filter(c => c.id !== chapter.id));
+  };
+
+  const addSection = (chapterId: string) => {
+    setChapters(prev => prev.map(chapter => chapter.id === chapterId
+      ? refreshChapterStatus({ ...chapter, subChapters: [...(chapter.subChapters || []), createOutlineSection()] })
+      : chapter));
+  };
+
+  const deleteSection = (chapterId: string, section: SubChapter) => {
+    if (section.content?.trim() &&
+      !confirm(`Delete "${section.title}"? Its text is kept in revision history.`)) return;
+    setChapters(prev => prev.map(chapter => chapter.id === chapterId
+      ? refreshChapterStatus({ ...chapter, subChapters: chapter.subChapters?.filter(sc => sc.id !== section.id) })
+      : chapter));
+  };
+
+  // Drag and drop: chapters reorder among themselves; sections drop before another section or onto a chapter
+
+  const startDrag = (e: React.DragEvent<HTMLElement>, item: DragItem) => {
+    dragItem.current = item;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.type === 'chapter' ? item.chapterId : item.sectionId);
+    const node = e.currentTarget.closest('[data-outline-node]');
+    if (node) e.dataTransfer.setDragImage(node, 16, 16);
+  };
+
+  const endDrag = () => {
+    dragItem.current = null;
+    setDropTarget(null);
+  };
+
+  const handleChapterDragOver = (e: React.DragEvent, chapterId: string) => {
+    if (!dragItem.current) return;
+    e.preventDefault();
+    setDropTarget(`chapter:${chapterId}`);
+  };
+
+  const handleChapterDrop = (e: React.DragEvent, chapterId: string) => {
+    e.preventDefault();
+    const item = dragItem.current;
+    if (item?.type === 'chapter') {
+      const fromIndex = chapters.findIndex(c => c.id === item.chapterId);
+      const toIndex = chapters.findIndex(c => c.id === chapterId);
+      if (fromIndex !== toIndex) setChapters(moveChapter(chapters, fromIndex, toIndex));
+    } else if (item?.type === 'section') {
+      setChapters(moveSection(chapters, item.sectionId, chapterId));
+    }
+    endDrag();
+  };
+
+  const handleSectionDragOver = (e: React.DragEvent, sectionId: string) => {
+    if (dragItem.current?.type !== 'section') return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(`section:${sectionId}`);
+  };
+
+  const handleSectionDrop = (e: React.DragEvent, chapterId: string, sectionId: string) => {
+    const item = dragItem.current;
+    if (item?.type !== 'section') return;
+    e.preventDefault();
+    e.stopPropagation();
+    setChapters(moveSection(chapters, item.sectionId, chapterId, sectionId));
+    endDrag();
+  };
+
+  // Regeneration with optional instructions
+
+  const openRegenerate = (target: RegenerateTarget, id: string) => {
+    setRegeneratePrompt(prev => prev?.target === target && prev.id === id ? null : { target, id, instructions: '' });
+  };
+
+  const handleRegenerate = async () => {
+    if (!regeneratePrompt) return;
+    const { target, id, instructions } = regeneratePrompt;
+    const llm = getLLMForTask(book, 'outline');
+    const context = { ...book, chapters };
+
+    setBusyKey(`${target}:${id}`);
+    try {
+      if (target === 'section-description') {
+        const chapter = chapters.find(c => c.subChapters?.some(sc => sc.id === id))!;
+        const sectionIndex = chapter.subChapters!.findIndex(sc => sc.id === id);
+        const description = await regenerateSectionDescription(context, chapter, sectionIndex, instructions, llm);
+        updateSection(chapter.id, id, { description });
+      } else {
+        const chapterIndex = chapters.findIndex(c => c.id === id);
+        if (target === 'chapter-description') {
+          const description = await regenerateChapterDescription(context, chapters, chapterIndex, instructions, llm);
+          updateChapter(id, { description });
+        } else {
+          if (hasWrittenContent(chapters[chapterIndex].subChapters) &&
+            !confirm('Replace this chapter\'s sections, including written ones? Their text is kept in revision history.')) return;
+          const subChapters = await regenerateChapterSections(context, chapters, chapterIndex, instructions, llm);
+          setChapters(prev => prev.map(chapter => chapter.id === id ? refreshChapterStatus({ ...chapter, subChapters }) : chapter));
+        }
+      }
+      setRegeneratePrompt(null);
+    } catch (error) {
+      console.error('Error regenerating outline:', error);
+      alert(`Failed to regenerate: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (isDirty && !confirm('Discard your outline changes?')) return;
+    onClose();
+  };
+
+  const renderRegeneratePrompt = (target: RegenerateTarget, id: string) => {
+    if (regeneratePrompt?.target !== target || regeneratePrompt.id !== id) return null;
+    const isBusy = busyKey === `${target}:${id}`;
+
+    return (
+      <div className="flex flex-wrap items-center gap-2 bg-purple-50 border border-purple-200 rounded-lg p-2">
+        <span className="text-xs font-medium text-purple-800">{REGENERATE_LABELS[target]}</span>
+        <input
+          type="text"
+          value={regeneratePrompt.instructions}
+          onChange={(e) => setRegeneratePrompt({ ...regeneratePrompt, instructions: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && !isBusy && handleRegenerate()}
+          placeholder="Instructions (optional), e.g. add a twist, focus on beginners"
+          disabled={isBusy}
+          className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <button
+          onClick={handleRegenerate}
+          disabled={busyKey !== null}
+          className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+        >
+          {isBusy ? <Loader2 className="w-3 h-3 animate-spin" /> : <Wand2 className="w-3 h-3" />}
+          {isBusy ? 'Regenerating...' : 'Regenerate'}
+        </button>
+      </div>
+    );
+  };
+
+  const iconButton = 'p-1.5 rounded-lg text-gray-500 hover:text-gray-800 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-200';
+
+  const insertButton = (index: number) => (
+    <button
+      onClick={() => insertChapter(index)}
+      className="w-full py-1 text-xs text-gray-400 hover:text-blue-600 border border-dashed border-transparent hover:border-blue-300 rounded-lg transition-colors duration-200 flex items-center justify-center gap-1"
+    >
+      <Plus className="w-3 h-3" />
+      Insert chapter
+    </button>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <ListTree className="w-5 h-5 text-gray-600" />
+          <h3 className="text-lg font-semibold text-gray-800">Edit Outline</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleCancel}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+          >
+            <X className="w-4 h-4" />
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(chapters)}
+            disabled={disabled || !isDirty || busyKey !== null}
+            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+          >
+            <Save className="w-4 h-4" />
+            Save outline
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Drag chapters and sections by their handles to reorder them; drop a section on another chapter to move it there.
+        {disabled && ' Saving is paused while the book is being generated.'}
+      </p>
+
+      {insertButton(0)}
+
+      {chapters.map((chapter, chapterIndex) => {
+        const sections = chapter.subChapters;
+        return (
+          <React.Fragment key={chapter.id}>
+            <div
+              data-outline-node
+              onDragOver={(e) => handleChapterDragOver(e, chapter.id)}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleChapterDrop(e, chapter.id)}
+              className={`border rounded-xl p-4 space-y-3 transition-colors duration-200 ${
+                dropTarget === `chapter:${chapter.id}` ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'
+              }`}
+            >
+              <div className="flex items-start gap-2">
+                <div
+                  draggable
+                  onDragStart={(e) => startDrag(e, { type: 'chapter', chapterId: chapter.id })}
+                  onDragEnd={endDrag}
+                  className="mt-1.5 cursor-grab text-gray-400 hover:text-gray-600"
+                  title="Drag to reorder"
+                >
+                  <GripVertical className="w-4 h-4" />
+                </div>
+                <div className="w-7 h-7 mt-0.5 flex-shrink-0 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-white font-bold text-xs">
+                  {chapterIndex + 1}
+                </div>
+                <div className="flex-1 min-w-0 space-y-2">
+                  <input
+                    type="text"
+                    value={chapter.title}
+                    onChange={(e) => updateChapter(chapter.id, { title: e.target.value })}
+                    className="w-full px-3 py-1.5 border border-gray-300 rounded-lg font-medium text-gray-800 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <textarea
+                    value={chapter.description}
+                    onChange={(e) => updateChapter(chapter.id, { description: e.target.value })}
+                    rows={2}
+                    placeholder="What this chapter covers"
+                    className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y"
+                  />
+                </div>
+                <div className="flex flex-col gap-1">
+                  <button onClick={() => openRegenerate('chapter-description', chapter.id)} className={iconButton} title="Regenerate description">
+                    <Wand2 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => openRegenerate('chapter-sections', chapter.id)} className={iconButton} title="Regenerate sections">
+                    <ListTree className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setChapters(mergeWithNextChapter(chapters, chapterIndex))}
+                    disabled={chapterIndex === chapters.length - 1}
+                    className={iconButton}
+                    title="Merge with next chapter"
+                  >
+                    <Combine className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => deleteChapter(chapter)} className={iconButton} title="Delete chapter">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              {renderRegeneratePrompt('chapter-description', chapter.id)}
+              {renderRegeneratePrompt('chapter-sections', chapter.id)}
+
+              <div className="pl-9 space-y-2">
+                {!sections && (
+                  <p className="text-xs text-gray-500">Sections are planned when this chapter is opened or generated.</p>
+                )}
+                {sections?.map((section, sectionIndex) => (
+                  <div
+                    key={section.id}
+                    data-outline-node
+                    onDragOver={(e) => handleSectionDragOver(e, section.id)}
+                    onDrop={(e) => handleSectionDrop(e, chapter.id, section.id)}
+                    className={`bg-white border rounded-lg p-2 space-y-2 transition-colors duration-200 ${
+                      dropTarget === `section:${section.id}` ? 'border-blue-400 border-t-4' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="flex items-start gap-2">
+                      <div
+                        draggable
+                        onDragStart={(e) => startDrag(e, { type: 'section', sectionId: section.id })}
+                        onDragEnd={endDrag}
+                        className="mt-1.5 cursor-grab text-gray-400 hover:text-gray-600"
+                        title="Drag to reorder or move to another chapter"
+                      >
+                        <GripVertical className="w-4 h-4" />
+                      </div>
+                      <div className="flex-1 min-w-0 space-y-1">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            value={section.title}
+                            onChange={(e) => updateSection(chapter.id, section.id, { title: e.target.value })}
+                            className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm font-medium text-gray-800 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                          {section.content?.trim() && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">Written</span>
+                          )}
+                        </div>
+                        <textarea
+                          value={section.description}
+                          onChange={(e) => updateSection(chapter.id, section.id, { description: e.target.value })}
+                          rows={2}
+                          placeholder="What this section covers"
+                          className="w-full px-2 py-1 border border-gray-300 rounded text-xs text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y"
+                        />
+                      </div>
+                      <div className="flex gap-1">
+                        <button onClick={() => openRegenerate('section-description', section.id)} className={iconButton} title="Regenerate description">
+                          <Wand2 className="w-3.5 h-3.5" />
+                        </button>
+                        <button
+                          onClick={() => setChapters(splitChapterAt(chapters, chapterIndex, sectionIndex))}
+                          disabled={sectionIndex === 0}
+                          className={iconButton}
+                          title="Start a new chapter here"
+                        >
+                          <Scissors className="w-3.5 h-3.5" />
+                        </button>
+                        <button onClick={() => deleteSection(chapter.id, section)} className={iconButton} title="Delete section">
+                          <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                      </div>
+                    </div>
+                    {renderRegeneratePrompt('section-description', section.id)}
+                  </div>
+                ))}
+                <button
+                  onClick={() => addSection(chapter.id)}
+                  className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-1"
+                >
+                  <Plus className="w-3 h-3" />
+                  Add section
+                </button>
+              </div>
+            </div>
+            {insertButton(chapterIndex + 1)}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+};
+
+export default OutlineEditor;
@@ -1,17 +1,51 @@
-import React, { useState } from 'react';
-import { BookOpen, ChevronRight, Play, Search, RotateCcw, Download, FileText, Heart, Image, Palette, Edit3, Volume2 } from 'lucide-react';
-import { Book, BookChapter, AudiobookData } from '../types';
-import { generateAllContent, generateAllContentWithResearch, convertRomanceHeatLevel } from '../services/contentService';
+import React, { useEffect, useRef, useState } from 'react';
+import { BookOpen, ChevronRight, Play, Search, RotateCcw, Download, FileText, Heart, Image, Palette, Edit3, Volume2, Cpu, BookMarked, ClipboardCheck, Ruler, ListTree, Library, GraduationCap, LayoutTemplate, Megaphone, Users, Languages, Layers } from 'lucide-react';
+import { Book, BookChapter, AudiobookData, LLMSettings, GenerationJob, GenerationJobMode, PrintTrimSize, WritingPersona } from '../types';
+import { createHeatLevelVersion } from '../services/contentService';
+import {
+  cancelGenerationJob,
+  createGenerationJob,
+  isGenerationJobActive,
+  isGenerationJobLeased,
+  loadActiveGenerationJob,
+  markSectionsForVoiceRewrite,
+  pauseGenerationJob,
+  runGenerationJob,
+  subscribeToGenerationJob
+} from '../services/generationQueueService';
 import { exportToPDF, exportToEPUB } from '../services/exportService';
+import { getPrintPdfBlocker, PRINT_TRIM_SIZES, PrintPdfOptions } from '../services/pdfService';
+import { recordBookChanges } from '../services/revisionService';
 import { generateBookCover, generateBookCoverWithDALLE } from '../services/coverService';
+import { createCoverDesign, renderCoverDataUrl } from '../services/coverDesignService';
+import { BOOK_ROLE_LABELS, canEditBook } from '../services/collaborationService';
+import { DEFAULT_LANGUAGE, getLanguageName, isSameLanguage } from '../services/languageService';
+import { PERSPECTIVE_LABELS, describeEditionChanges } from '../services/editionService';
 import AudiobookGenerator from './AudiobookGenerator';
+import ModelSettings from './ModelSettings';
+import StoryBibleEditor from './StoryBibleEditor';
+import ManuscriptPanel from './ManuscriptPanel';
+import QualityAuditPanel from './QualityAuditPanel';
+import WordCountPanel from './WordCountPanel';
+import SeriesPanel from './SeriesPanel';
+import CoursePanel from './CoursePanel';
+import CoverDesigner from './CoverDesigner';
+import LaunchKitPanel from './LaunchKitPanel';
+import SharePanel from './SharePanel';
+import TranslationPanel from './TranslationPanel';
+import EditionPanel from './EditionPanel';
+import EditionComparison from './EditionComparison';
+import OutlineEditor from './OutlineEditor';
+import GenerationJobControls from './GenerationJobControls';
+import PersonaSwitcher from './PersonaSwitcher';
 
 interface OutlineViewProps {
   book: Book;
   onChapterClick: (chapter: BookChapter) => void;
   onNewBook: () => void;
   onUpdateBook: (book: Book) => void;
-  apiKeys: {gemini: string; perplexity: string};
+  onOpenSection: (chapterId: string, subChapterId: string, target: 'chapter' | 'editor') => void;
+  onOpenBook: (book: Book) => void;
 }
 
 const OutlineView: React.FC<OutlineViewProps> = ({ 
@@ -19,10 +53,17 @@ const OutlineView: React.FC<OutlineViewProps> = ({
   onChapterClick, 
   onNewBook, 
   onUpdateBook, 
-  apiKeys 
+  onOpenSection,
+  onOpenBook
 }) => {
-  const [isGeneratingAll, setIsGeneratingAll] = useState(false);
+  const [isStartingJob, setIsStartingJob] = useState(false);
+  const [generationJob, setGenerationJob] = useState<GenerationJob | null>(null);
   const [isExporting, setIsExporting] = useState(false);
+  const [showPrintOptions, setShowPrintOptions] = useState(false);
+  const [printOptions, setPrintOptions] = useState<PrintPdfOptions>({
+    trimSize: '6x9',
+    includeCover: !!book.coverUrl
+  });
   const [isConverting, setIsConverting] = useState(false);
   const [showHeatLevelSelector, setShowHeatLevelSelector] = useState(false);
   const [isGeneratingCover, setIsGeneratingCover] = useState(false);
@@ -30,6 +71,20 @@ const OutlineView: React.FC<OutlineViewProps> = ({
   const [showCoverModal, setShowCoverModal] = useState(false);
   const [selectedNewHeatLevel, setSelectedNewHeatLevel] = useState('');
   const [showAudiobookGenerator, setShowAudiobookGenerator] = useState(false);
+  const [showModelSettings, setShowModelSettings] = useState(false);
+  const [showStoryBible, setShowStoryBible] = useState(false);
+  const [showManuscript, setShowManuscript] = useState(false);
+  const [showQualityAudit, setShowQualityAudit] = useState(false);
+  const [showWordCount, setShowWordCount] = useState(false);
+  const [showSeries, setShowSeries] = useState(false);
+  const [showCourse, setShowCourse] = useState(false);
+  const [showCoverDesigner, setShowCoverDesigner] = useState(false);
+  const [showLaunchKit, setShowLaunchKit] = useState(false);
+  const [showSharing, setShowSharing] = useState(false);
+  const [showTranslations, setShowTranslations] = useState(false);
+  const [showEditions, setShowEditions] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [isEditingOutline, setIsEditingOutline] = useState(false);
 
   const HEAT_LEVELS = [
     { value: 'clean', label: 'Clean/Wholesome' },
@@ -40,28 +95,102 @@ const OutlineView: React.FC<OutlineViewProps> = ({
     { value: 'explicit', label: 'Explicit/Pornographic' }
   ];
 
-  const handleGenerateAll = async (withResearch: boolean = false) => {
-    setIsGeneratingAll(true);
+  const runJob = async (targetBook: Book, job: GenerationJob) => {
     try {
-      let updatedBook = { ...book };
-      
-      if (withResearch) {
-        updatedBook = await generateAllContentWithResearch(updatedBook, apiKeys, (progress) => {
-          onUpdateBook(progress);
-        });
-      } else {
-        updatedBook = await generateAllContent(updatedBook, apiKeys.gemini, (progress) => {
-          onUpdateBook(progress);
-        });
-      }
-      
+      const updatedBook = await runGenerationJob(targetBook, job, {
+        onBookUpdate: onUpdateBook
+      });
       onUpdateBook(updatedBook);
     } catch (error) {
       console.error('Error generating all content:', error);
-      alert('Failed to generate all content. Please try again.');
+      alert(`Generation stopped: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
+  // The job lookup runs once per book, but resumes against the book as it is when the lookup returns
+  const resumeJobRef = useRef<(job: GenerationJob) => void>();
+  resumeJobRef.current = job => runJob(book, job);
+
+  // Pick up the book's latest job, resuming it if the tab that started it was closed
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadJob = async () => {
+      try {
+        const job = await loadActiveGenerationJob(book.id);
+        if (cancelled) return;
+
+        // Keep a job this view just started for the book; the lookup may have raced its insert
+        setGenerationJob(current => job || (current?.bookId === book.id ? current : null));
+        // A job another tab or device is still running is left to it until its lease runs out
+        if (job && job.status === 'running' && !isGenerationJobActive(job.id) && !isGenerationJobLeased(job)) {
+          resumeJobRef.current?.(job);
+        }
+      } catch (error) {
+        console.error('Error loading generation job:', error);
+      }
+    };
+
+    loadJob();
+    return () => {
+      cancelled = true;
+    };
+  }, [book.id]);
+
+  const activeJobId = generationJob && isGenerationJobActive(generationJob.id) ? generationJob.id : undefined;
+  useEffect(() => {
+    if (!activeJobId) return;
+    return subscribeToGenerationJob(activeJobId, setGenerationJob);
+  }, [activeJobId]);
+
+  const startJob = async (targetBook: Book, mode: GenerationJobMode, options: GenerationJob['options'] = {}) => {
+    const job = await createGenerationJob(targetBook, mode, options);
+    setGenerationJob(job);
+    runJob(targetBook, job);
+  };
+
+  const handleGenerateAll = async (withResearch: boolean = false) => {
+    setIsStartingJob(true);
+    try {
+      await startJob(book, withResearch ? 'research' : 'content');
+    } catch (error) {
+      console.error('Error starting generation:', error);
+      alert(`Failed to start generating content: ${error instanceof Error ? error.message : 'Unknown error'}`);
     } finally {
-      setIsGeneratingAll(false);
+      setIsStartingJob(false);
+    }
+  };
+
+  const handlePauseJob = async () => {
+    if (!generationJob) return;
+    try {
+      setGenerationJob(await pauseGenerationJob(generationJob));
+    } catch (error) {
+      console.error('Error pausing generation:', error);
+    }
+  };
+
+  const handleResumeJob = () => {
+    if (!generationJob) return;
+    setGenerationJob({ ...generationJob, status: 'running', error: undefined });
+    runJob(book, generationJob);
+  };
+
+  const handleCancelJob = async () => {
+    if (!generationJob) return;
+    try {
+      setGenerationJob(await cancelGenerationJob(generationJob));
+    } catch (error) {
+      console.error('Error cancelling generation:', error);
+    }
+  };
+
+  const handleDismissJob = async () => {
+    if (generationJob?.status === 'failed') {
+      // Failed jobs are offered for retry on reload until dismissed
+      await cancelGenerationJob(generationJob).catch(error => console.error('Error dismissing generation job:', error));
     }
+    setGenerationJob(null);
   };
 
   const handleConvertHeatLevel = async () => {
@@ -69,19 +198,14 @@ const OutlineView: React.FC<OutlineViewProps> = ({
     
     setIsConverting(true);
     try {
-      const convertedBook = await convertRomanceHeatLevel(
-        book, 
-        selectedNewHeatLevel, 
-        apiKeys, 
-        (progress) => {
-          // You might want to show this as a separate book or update in place
-          console.log('Conversion progress:', progress);
-        }
-      );
-      
-      // For now, we'll replace the current book with the converted one
-      // In a full app, you might want to create a new book entry
+      const convertedBook = await createHeatLevelVersion(book, selectedNewHeatLevel);
+
+      // The new version replaces the current book and is written by the generation queue
       onUpdateBook(convertedBook);
+      await startJob(convertedBook, 'heat-level', {
+        heatLevel: selectedNewHeatLevel,
+        perspective: book.perspective || ''
+      });
       setShowHeatLevelSelector(false);
       setSelectedNewHeatLevel('');
     } catch (error) {
@@ -91,22 +215,85 @@ const OutlineView: React.FC<OutlineViewProps> = ({
       setIsConverting(false);
     }
   };
+
+  const handleTranslate = async (edition: Book, sectionIds: string[]) => {
+    // Like a heat level version, the edition replaces the current book and is written by the generation queue
+    onUpdateBook(edition);
+    if (sectionIds.length > 0) {
+      await startJob(edition, 'translation', { sectionIds });
+    }
+  };
+
+  const handleCreateEdition = async (edition: Book, sectionIds: string[]) => {
+    onUpdateBook(edition);
+    if (sectionIds.length > 0) {
+      await startJob(edition, 'edition', { sectionIds });
+    }
+  };
+
+  const handleChangePersona = async (persona: WritingPersona | null) => {
+    const updatedBook = { ...book, writingPersonaId: persona?.id, writingPersona: persona || undefined };
+    onUpdateBook(updatedBook);
+
+    // Chapters with their own persona keep their voice
+    const affectedChapterIds = book.chapters
+      .filter(chapter => !chapter.writingPersonaId && chapter.subChapters?.some(sc => sc.content))
+      .map(chapter => chapter.id);
+    if (affectedChapterIds.length === 0) return;
+
+    const { book: rewriteBook, sectionIds } = markSectionsForVoiceRewrite(updatedBook, affectedChapterIds);
+    const voiceName = persona ? persona.name : 'the default style';
+    if (!confirm(`Rewrite ${sectionIds.length} written section${sectionIds.length === 1 ? '' : 's'} in ${voiceName}? Current text is kept in revision history.`)) return;
+
+    setIsStartingJob(true);
+    try {
+      onUpdateBook(rewriteBook);
+      await startJob(rewriteBook, 'voice', { sectionIds });
+    } catch (error) {
+      console.error('Error starting voice rewrite:', error);
+      alert(`Failed to start rewriting: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      onUpdateBook(updatedBook);
+    } finally {
+      setIsStartingJob(false);
+    }
+  };
+
+  const printBlocker = getPrintPdfBlocker(book);
+
   const handleExport = async (format: 'pdf' | 'epub') => {
     setIsExporting(true);
     try {
       if (format === 'pdf') {
-        await exportToPDF(book);
+        await exportToPDF(book, printOptions);
+        setShowPrintOptions(false);
       } else {
         await exportToEPUB(book);
       }
     } catch (error) {
       console.error('Error exporting book:', error);
-      alert(`Failed to export book as ${format.toUpperCase()}. Please try again.`);
+      alert(`Failed to export book as ${format.toUpperCase()}: ${error instanceof Error ? error.message : 'Unknown error'}`);
     } finally {
       setIsExporting(false);
     }
   };
 
+  const handleApplyManuscript = (importedBook: Book) => {
+    onUpdateBook(importedBook);
+    recordBookChanges(book, importedBook, 'import');
+  };
+
+  const handleSaveOutline = (chapters: BookChapter[]) => {
+    const updatedBook = { ...book, chapters };
+    onUpdateBook(updatedBook);
+    recordBookChanges(book, updatedBook, 'manual', 'Outline edit');
+    setIsEditingOutline(false);
+  };
+
+  const handleSaveModelSettings = (llmSettings: LLMSettings) => {
+    onUpdateBook({ ...book, llmSettings });
+    setShowModelSettings(false);
+  };
+
   const handleAudiobookGenerated = (audiobook: AudiobookData) => {
     // Update the book with the generated audiobook
     const updatedBook = { ...book, audiobook };
@@ -114,25 +301,17 @@ const OutlineView: React.FC<OutlineViewProps> = ({
   };
 
   const handleGenerateCover = async (useDALLE: boolean = false) => {
-    let apiKey: string;
-
-    if (useDALLE) {
-      // For DALL-E, we still need OpenAI API key
-      const userApiKey = prompt('Enter your OpenAI API key for DALL-E:');
-      if (!userApiKey) return;
-      apiKey = userApiKey;
-    } else {
-      // For Gemini Imagen, use the existing Gemini API key
-      apiKey = apiKeys.gemini;
-    }
-    
     setIsGeneratingCover(true);
     try {
-      const coverUrl = useDALLE 
-        ? await generateBookCoverWithDALLE(book, apiKey)
-        : await generateBookCover(book, apiKey);
+      const backgroundUrl = useDALLE 
+        ? await generateBookCoverWithDALLE(book)
+        : await generateBookCover(book);
+
+      // The artwork has no lettering; set the title and author over it with the book's cover design
+      const coverDesign = { ...(book.coverDesign || createCoverDesign(book)), backgroundUrl };
+      const coverUrl = await renderCoverDataUrl(coverDesign);
       
-      const updatedBook = { ...book, coverUrl };
+      const updatedBook = { ...book, coverDesign, coverUrl };
       onUpdateBook(updatedBook);
       setShowCoverOptions(false);
     } catch (error) {
@@ -161,7 +340,7 @@ Would you like to try DALL-E instead?`;
         } else if (error.message.includes('API key') || error.message.includes('access denied')) {
           errorMessage = `API Key Issue: ${error.message}
 
-Your API key works for text but may need additional permissions for image generation.`;
+The Gemini key in use works for text but may need additional permissions for image generation. You can add your own key in User Settings → API Keys.`;
         } else {
           errorMessage = `Cover generation failed: ${error.message}
 
@@ -179,6 +358,7 @@ You can try DALL-E as an alternative.`;
     switch (status) {
       case 'completed': return 'text-green-600 bg-green-100';
       case 'generating': return 'text-blue-600 bg-blue-100';
+      case 'failed': return 'text-red-600 bg-red-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -189,6 +369,8 @@ You can try DALL-E as an alternative.`;
     ch.subChapters && ch.subChapters.every(sc => sc.status === 'completed')
   );
   const isRomanceBook = book.genre.toLowerCase() === 'romance';
+  const isGeneratingAll = isStartingJob || (!!generationJob &&
+    (generationJob.status === 'running' || isGenerationJobActive(generationJob.id)));
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -234,23 +416,276 @@ You can try DALL-E as an alternative.`;
                   <span><strong>Genre:</strong> {book.genre}</span>
                   {book.subGenre && <span><strong>Sub-Genre:</strong> {book.subGenre}</span>}
                   <span><strong>Tone:</strong> {book.tone}</span>
-                  {book.perspective && <span><strong>Perspective:</strong> {book.perspective === 'first' ? 'First Person' : book.perspective === 'third-limited' ? 'Third Person Limited' : book.perspective === 'third-omniscient' ? 'Third Person Omniscient' : book.perspective === 'second' ? 'Second Person' : book.perspective}</span>}
+                  {book.perspective && <span><strong>Perspective:</strong> {PERSPECTIVE_LABELS[book.perspective] || book.perspective}</span>}
                   {book.heatLevel && book.genre.toLowerCase() === 'romance' && (
                     <span><strong>Heat Level:</strong> {book.heatLevel}</span>
                   )}
+                  {(book.translation || !isSameLanguage(book.language, DEFAULT_LANGUAGE)) && (
+                    <span>
+                      <strong>Language:</strong> {getLanguageName(book.language)}
+                      {book.translation && ` (translated from ${getLanguageName(book.translation.sourceLanguage)})`}
+                    </span>
+                  )}
+                  {book.edition && <span><strong>Edition:</strong> {describeEditionChanges(book.edition.changes)}</span>}
                 </div>
+                <PersonaSwitcher
+                  selectedId={book.writingPersonaId}
+                  defaultLabel="Default style"
+                  onChange={handleChangePersona}
+                  disabled={isGeneratingAll}
+                />
               </div>
             </div>
           </div>
-          <button
-            onClick={onNewBook}
-            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
-          >
-            <RotateCcw className="w-4 h-4" />
-            New Book
-          </button>
+          <div className="flex flex-col items-end gap-2">
+            <button
+              onClick={onNewBook}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              New Book
+            </button>
+            <button
+              onClick={() => setShowSharing(!showSharing)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Users className="w-4 h-4" />
+              Share
+            </button>
+            <button
+              onClick={() => setShowModelSettings(!showModelSettings)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Cpu className="w-4 h-4" />
+              AI Models
+            </button>
+            <button
+              onClick={() => setShowStoryBible(!showStoryBible)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <BookMarked className="w-4 h-4" />
+              Story Bible
+            </button>
+            <button
+              onClick={() => setShowManuscript(!showManuscript)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <FileText className="w-4 h-4" />
+              Manuscript
+            </button>
+            <button
+              onClick={() => setShowQualityAudit(!showQualityAudit)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <ClipboardCheck className="w-4 h-4" />
+              Quality Audit
+            </button>
+            <button
+              onClick={() => setShowWordCount(!showWordCount)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Ruler className="w-4 h-4" />
+              Word Count
+            </button>
+            <button
+              onClick={() => setShowSeries(!showSeries)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Library className="w-4 h-4" />
+              Series
+            </button>
+            <button
+              onClick={() => setShowCoverDesigner(!showCoverDesigner)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <LayoutTemplate className="w-4 h-4" />
+              Cover Designer
+            </button>
+            <button
+              onClick={() => setShowLaunchKit(!showLaunchKit)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Megaphone className="w-4 h-4" />
+              Launch Kit
+            </button>
+            <button
+              onClick={() => setShowTranslations(!showTranslations)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Languages className="w-4 h-4" />
+              Translate
+            </button>
+            <button
+              onClick={() => setShowEditions(!showEditions)}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+            >
+              <Layers className="w-4 h-4" />
+              Editions
+            </button>
+            {book.course && (
+              <button
+                onClick={() => setShowCourse(!showCourse)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-2"
+              >
+                <GraduationCap className="w-4 h-4" />
+                Course
+              </button>
+            )}
+            <button
+              onClick={() => setIsEditingOutline(true)}
+              disabled={isEditingOutline}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+            >
+              <ListTree className="w-4 h-4" />
+              Edit Outline
+            </button>
+          </div>
         </div>
 
+        {!canEditBook(book) && (
+          <div className="mb-6 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            You're {book.role === 'editor' ? 'an' : 'a'} {BOOK_ROLE_LABELS[book.role!].toLowerCase()} on this shared book, so changes made here aren't saved.
+            {book.role === 'editor' && ' Open the editor to comment and suggest edits.'}
+          </div>
+        )}
+
+        {showSharing && (
+          <div className="mb-6">
+            <SharePanel
+              book={book}
+              onClose={() => setShowSharing(false)}
+            />
+          </div>
+        )}
+
+        {showModelSettings && (
+          <div className="mb-6">
+            <ModelSettings
+              settings={book.llmSettings}
+              onSave={handleSaveModelSettings}
+              onClose={() => setShowModelSettings(false)}
+            />
+          </div>
+        )}
+
+        {showStoryBible && (
+          <div className="mb-6">
+            <StoryBibleEditor
+              book={book}
+              onClose={() => setShowStoryBible(false)}
+            />
+          </div>
+        )}
+
+        {showManuscript && (
+          <div className="mb-6">
+            <ManuscriptPanel
+              book={book}
+              disableImport={isGeneratingAll}
+              onApplyImport={handleApplyManuscript}
+              onClose={() => setShowManuscript(false)}
+            />
+          </div>
+        )}
+
+        {showQualityAudit && (
+          <div className="mb-6">
+            <QualityAuditPanel
+              book={book}
+              disableFixes={isGeneratingAll}
+              onUpdateBook={onUpdateBook}
+              onOpenSection={onOpenSection}
+              onClose={() => setShowQualityAudit(false)}
+            />
+          </div>
+        )}
+
+        {showWordCount && (
+          <div className="mb-6">
+            <WordCountPanel
+              book={book}
+              onUpdateBook={onUpdateBook}
+              onClose={() => setShowWordCount(false)}
+            />
+          </div>
+        )}
+
+        {showSeries && (
+          <div className="mb-6">
+            <SeriesPanel
+              book={book}
+              onUpdateBook={onUpdateBook}
+              onClose={() => setShowSeries(false)}
+            />
+          </div>
+        )}
+
+        {showCoverDesigner && (
+          <div className="mb-6">
+            <CoverDesigner
+              book={book}
+              onUpdateBook={onUpdateBook}
+              onClose={() => setShowCoverDesigner(false)}
+            />
+          </div>
+        )}
+
+        {showLaunchKit && (
+          <div className="mb-6">
+            <LaunchKitPanel
+              book={book}
+              onUpdateBook={onUpdateBook}
+              onClose={() => setShowLaunchKit(false)}
+            />
+          </div>
+        )}
+
+        {showTranslations && (
+          <div className="mb-6">
+            <TranslationPanel
+              book={book}
+              disabled={isGeneratingAll}
+              onTranslate={handleTranslate}
+              onOpenBook={onOpenBook}
+              onCompare={() => setShowComparison(true)}
+              onClose={() => setShowTranslations(false)}
+            />
+          </div>
+        )}
+
+        {showEditions && (
+          <div className="mb-6">
+            <EditionPanel
+              book={book}
+              disabled={isGeneratingAll}
+              onCreateEdition={handleCreateEdition}
+              onOpenBook={onOpenBook}
+              onCompare={() => setShowComparison(true)}
+              onClose={() => setShowEditions(false)}
+            />
+          </div>
+        )}
+
+        {showComparison && (book.edition || book.translation) && (
+          <div className="mb-6">
+            <EditionComparison
+              key={book.id}
+              edition={book}
+              onClose={() => setShowComparison(false)}
+            />
+          </div>
+        )}
+
+        {showCourse && book.course && (
+          <div className="mb-6">
+            <CoursePanel
+              book={book}
+              onUpdateBook={onUpdateBook}
+              onClose={() => setShowCourse(false)}
+            />
+          </div>
+        )}
+
         {/* Progress Bar */}
         <div className="mb-6">
           <div className="flex justify-between items-center mb-2">
@@ -265,6 +700,17 @@ You can try DALL-E as an alternative.`;
           </div>
         </div>
 
+        {generationJob && (
+          <GenerationJobControls
+            job={generationJob}
+            isActive={isGenerationJobActive(generationJob.id)}
+            onPause={handlePauseJob}
+            onResume={handleResumeJob}
+            onCancel={handleCancelJob}
+            onDismiss={handleDismissJob}
+          />
+        )}
+
         {/* Action Buttons */}
         {isBookCompleted ? (
           <div className="space-y-4">
@@ -371,14 +817,57 @@ You can try DALL-E as an alternative.`;
                 </div>
               )}
 
-              <button
-                onClick={() => handleExport('pdf')}
-                disabled={isExporting}
-                className="flex-1 bg-gradient-to-r from-red-600 to-pink-600 text-white py-3 px-6 rounded-xl font-medium hover:from-red-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
-              >
-                <Download className="w-5 h-5" />
-                {isExporting ? 'Exporting...' : 'Export as PDF'}
-              </button>
+              {!showPrintOptions ? (
+                <button
+                  onClick={() => setShowPrintOptions(true)}
+                  disabled={isExporting || !!printBlocker}
+                  title={printBlocker || undefined}
+                  className="flex-1 bg-gradient-to-r from-red-600 to-pink-600 text-white py-3 px-6 rounded-xl font-medium hover:from-red-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
+                >
+                  <Download className="w-5 h-5" />
+                  {isExporting ? 'Exporting...' : 'Export as PDF'}
+                </button>
+              ) : (
+                <div className="bg-red-50 p-4 rounded-xl space-y-3">
+                  <h4 className="font-medium text-red-900">Print-Ready PDF</h4>
+                  <select
+                    value={printOptions.trimSize}
+                    onChange={(e) => setPrintOptions({ ...printOptions, trimSize: e.target.value as PrintTrimSize })}
+                    className="w-full px-3 py-2 border border-red-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  >
+                    {(Object.keys(PRINT_TRIM_SIZES) as PrintTrimSize[]).map((trimSize) => (
+                      <option key={trimSize} value={trimSize}>
+                        {PRINT_TRIM_SIZES[trimSize].label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-2 text-sm text-red-900">
+                    <input
+                      type="checkbox"
+                      checked={printOptions.includeCover}
+                      disabled={!book.coverUrl}
+                      onChange={(e) => setPrintOptions({ ...printOptions, includeCover: e.target.checked })}
+                      className="rounded border-red-300 text-red-600 focus:ring-red-500"
+                    />
+                    Include full-bleed cover page
+                  </label>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleExport('pdf')}
+                      disabled={isExporting}
+                      className="flex-1 bg-gradient-to-r from-red-600 to-pink-600 text-white py-2 px-4 rounded-lg font-medium hover:from-red-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                    >
+                      {isExporting ? 'Exporting...' : 'Export'}
+                    </button>
+                    <button
+                      onClick={() => setShowPrintOptions(false)}
+                      className="px-4 py-2 text-red-600 hover:text-red-800 transition-colors duration-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
               <button
                 onClick={() => handleExport('epub')}
                 disabled={isExporting}
@@ -469,38 +958,47 @@ You can try DALL-E as an alternative.`;
       </div>
 
       {/* Chapters List */}
-      <div className="space-y-4">
-        {book.chapters.map((chapter, index) => (
-          <div 
-            key={chapter.id}
-            className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-200 cursor-pointer group"
-            onClick={() => onChapterClick(chapter)}
-          >
-            <div className="p-6">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center gap-4">
-                  <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-white font-bold text-sm">
-                    {index + 1}
+      {isEditingOutline ? (
+        <OutlineEditor
+          book={book}
+          disabled={isGeneratingAll}
+          onSave={handleSaveOutline}
+          onClose={() => setIsEditingOutline(false)}
+        />
+      ) : (
+        <div className="space-y-4">
+          {book.chapters.map((chapter, index) => (
+            <div 
+              key={chapter.id}
+              className="bg-white rounded-xl shadow-lg hover:shadow-xl transition-all duration-200 cursor-pointer group"
+              onClick={() => onChapterClick(chapter)}
+            >
+              <div className="p-6">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-4">
+                    <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center text-white font-bold text-sm">
+                      {index + 1}
+                    </div>
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-800 group-hover:text-blue-600 transition-colors duration-200">
+                        {chapter.title}
+                      </h3>
+                      <p className="text-gray-600 text-sm mt-1">{chapter.description}</p>
+                    </div>
                   </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-800 group-hover:text-blue-600 transition-colors duration-200">
-                      {chapter.title}
-                    </h3>
-                    <p className="text-gray-600 text-sm mt-1">{chapter.description}</p>
+                  <div className="flex items-center gap-3">
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(chapter.status)}`}>
+                      {chapter.status === 'completed' ? 'Complete' : 
+                       chapter.status === 'generating' ? 'Generating' : 'Pending'}
+                    </span>
+                    <ChevronRight className="w-5 h-5 text-gray-400 group-hover:text-blue-600 transition-colors duration-200" />
                   </div>
                 </div>
-                <div className="flex items-center gap-3">
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(chapter.status)}`}>
-                    {chapter.status === 'completed' ? 'Complete' : 
-                     chapter.status === 'generating' ? 'Generating' : 'Pending'}
-                  </span>
-                  <ChevronRight className="w-5 h-5 text-gray-400 group-hover:text-blue-600 transition-colors duration-200" />
-                </div>
               </div>
             </div>
-          </div>
-        ))}
-      </div>
+          ))}
+        </div>
+      )}
 
       {/* Cover Image Modal */}
       {showCoverModal && book.coverUrl && (
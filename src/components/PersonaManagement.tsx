@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { WritingPersona } from '../types';
 import { 
   getUserPersonas, 
@@ -6,8 +6,16 @@ import {
   createPersonaFromSample, 
   updatePersona, 
   deletePersona, 
-  togglePersonaFavorite 
+  togglePersonaFavorite,
+  findPersonaConflict,
+  importPersonas,
+  parsePersonaFile,
+  PersonaFileEntry,
+  PersonaImportResolution
 } from '../services/personaService';
+import { getLLMForTask } from '../services/llmService';
+import { exportPersonas } from '../services/exportService';
+import { computeStyleProfile } from '../services/stylometryService';
 import { 
   Plus, 
   Upload, 
@@ -21,21 +29,31 @@ import {
   Filter,
   X,
   Save,
-  Loader
+  Loader,
+  Download,
+  FileUp
 } from 'lucide-react';
 
+const IMPORT_RESOLUTION_LABELS: Record<PersonaImportResolution, string> = {
+  merge: 'Merge into existing',
+  replace: 'Replace existing',
+  copy: 'Keep both',
+  skip: 'Skip'
+};
+
+interface PendingImport {
+  fileName: string;
+  entries: PersonaFileEntry[];
+  // Keyed by the entry's index in the file; only entries whose name is already taken
+  resolutions: Record<number, PersonaImportResolution>;
+}
+
 interface PersonaManagementProps {
-  apiKeys: {
-    gemini?: string;
-    openai?: string;
-    perplexity?: string;
-  };
   onPersonaSelect?: (persona: WritingPersona) => void;
   selectedPersonaId?: string;
 }
 
 const PersonaManagement: React.FC<PersonaManagementProps> = ({ 
-  apiKeys, 
   onPersonaSelect,
   selectedPersonaId 
 }) => {
@@ -66,6 +84,9 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
 
   const [isCreating, setIsCreating] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [pendingImport, setPendingImport] = useState<PendingImport | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const importInputRef = useRef<HTMLInputElement>(null);
 
   useEffect(() => {
     loadPersonas();
@@ -121,10 +142,6 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
 
   const handleAnalyzeAndCreate = async () => {
     if (!uploadForm.name.trim() || !uploadForm.sampleText.trim()) return;
-    if (!apiKeys.gemini) {
-      alert('Gemini API key is required for writing analysis');
-      return;
-    }
 
     try {
       setIsAnalyzing(true);
@@ -132,7 +149,7 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
         uploadForm.name,
         uploadForm.description,
         uploadForm.sampleText,
-        apiKeys.gemini,
+        getLLMForTask(null, 'analysis'),
         uploadForm.authorName
       );
 
@@ -152,6 +169,59 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
     }
   };
 
+  const handleExport = (toExport: WritingPersona[]) => {
+    try {
+      exportPersonas(toExport);
+    } catch (error) {
+      console.error('Error exporting personas:', error);
+      alert(error instanceof Error ? error.message : 'Failed to export personas. Please try again.');
+    }
+  };
+
+  const runImport = async (entries: PersonaFileEntry[], resolutions: PendingImport['resolutions']) => {
+    try {
+      setIsImporting(true);
+      const { created, updated, skipped } = await importPersonas(entries, personas, resolutions);
+      setPendingImport(null);
+      alert(`Imported ${created} new persona${created === 1 ? '' : 's'}` +
+        (updated ? `, updated ${updated}` : '') +
+        (skipped ? `, skipped ${skipped}` : '') + '.');
+      loadPersonas();
+    } catch (error) {
+      console.error('Error importing personas:', error);
+      alert('Failed to import personas. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleImportFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let entries: PersonaFileEntry[];
+    try {
+      entries = parsePersonaFile(await file.text());
+    } catch (error) {
+      console.error('Error reading persona file:', error);
+      alert(error instanceof Error ? error.message : 'Failed to read the persona file.');
+      return;
+    }
+
+    const resolutions: PendingImport['resolutions'] = {};
+    entries.forEach((entry, index) => {
+      if (findPersonaConflict(entry, personas)) resolutions[index] = 'merge';
+    });
+
+    // Only ask when a persona with the same name already exists
+    if (Object.keys(resolutions).length === 0) {
+      await runImport(entries, resolutions);
+    } else {
+      setPendingImport({ fileName: file.name, entries, resolutions });
+    }
+  };
+
   const handleToggleFavorite = async (persona: WritingPersona) => {
     try {
       await togglePersonaFavorite(persona.id);
@@ -176,7 +246,7 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
   const filteredPersonas = personas.filter(persona => {
     const matchesSearch = persona.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          persona.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesFilter = !filterFavorites || persona.is_favorite;
+    const matchesFilter = !filterFavorites || persona.isFavorite;
     return matchesSearch && matchesFilter;
   });
 
@@ -212,6 +282,29 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
             <Upload className="w-4 h-4" />
             Analyze Sample
           </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            disabled={isImporting}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {isImporting ? <Loader className="w-4 h-4 animate-spin" /> : <FileUp className="w-4 h-4" />}
+            Import
+          </button>
+          <button
+            onClick={() => handleExport(personas)}
+            disabled={personas.length === 0}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export All
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportFile}
+            className="hidden"
+          />
         </div>
       </div>
 
@@ -266,10 +359,20 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
                     handleToggleFavorite(persona);
                   }}
                   className={`p-1 rounded hover:bg-gray-100 ${
-                    persona.is_favorite ? 'text-yellow-500' : 'text-gray-400'
+                    persona.isFavorite ? 'text-yellow-500' : 'text-gray-400'
                   }`}
                 >
-                  <Star className={`w-4 h-4 ${persona.is_favorite ? 'fill-current' : ''}`} />
+                  <Star className={`w-4 h-4 ${persona.isFavorite ? 'fill-current' : ''}`} />
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleExport([persona]);
+                  }}
+                  className="p-1 rounded hover:bg-gray-100 text-gray-400 hover:text-gray-600"
+                  title="Export persona"
+                >
+                  <Download className="w-4 h-4" />
                 </button>
                 <button
                   onClick={(e) => {
@@ -286,20 +389,29 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
             <p className="text-gray-600 text-sm mb-3 line-clamp-2">{persona.description}</p>
 
             <div className="space-y-2">
-              {persona.author_name && (
+              {persona.authorName && (
                 <div className="flex items-center gap-2 text-xs text-gray-500">
                   <FileText className="w-3 h-3" />
-                  Author: {persona.author_name}
+                  Author: {persona.authorName}
                 </div>
               )}
               
-              {persona.analysis_results && (
+              {persona.analysisResults && (
                 <div className="flex items-center gap-2 text-xs text-green-600">
                   <Brain className="w-3 h-3" />
                   AI Analyzed
                 </div>
               )}
 
+              {persona.sampleText && (() => {
+                const profile = computeStyleProfile(persona.sampleText);
+                return profile.wordCount > 0 && (
+                  <p className="text-xs text-gray-500">
+                    {profile.sentenceLength.mean} words/sentence · {Math.round(profile.paragraphLength.mean)} words/paragraph · {Math.round(profile.dialogueRatio * 100)}% dialogue
+                  </p>
+                );
+              })()}
+
               {persona.preferences.preferredGenres.length > 0 && (
                 <div className="flex flex-wrap gap-1">
                   {persona.preferences.preferredGenres.slice(0, 3).map((genre) => (
@@ -455,6 +567,73 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
         </div>
       )}
 
+      {/* Import Conflicts Modal */}
+      {pendingImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Import {pendingImport.fileName}</h3>
+              <button
+                onClick={() => setPendingImport(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <p className="text-sm text-gray-600 mb-4">
+              You already have personas with these names. Merging keeps your text, fills in what's missing from the file and combines genres, topics and instructions.
+            </p>
+
+            <div className="space-y-3">
+              {pendingImport.entries.map((entry, index) => pendingImport.resolutions[index] && (
+                <div key={index} className="flex items-center justify-between gap-3">
+                  <span className="text-sm font-medium text-gray-800 truncate">{entry.name}</span>
+                  <select
+                    value={pendingImport.resolutions[index]}
+                    onChange={(e) => setPendingImport({
+                      ...pendingImport,
+                      resolutions: { ...pendingImport.resolutions, [index]: e.target.value as PersonaImportResolution }
+                    })}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  >
+                    {(Object.keys(IMPORT_RESOLUTION_LABELS) as PersonaImportResolution[]).map(resolution => (
+                      <option key={resolution} value={resolution}>{IMPORT_RESOLUTION_LABELS[resolution]}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {pendingImport.entries.length > Object.keys(pendingImport.resolutions).length && (
+              <p className="text-xs text-gray-500 mt-4">
+                {(() => {
+                  const newCount = pendingImport.entries.length - Object.keys(pendingImport.resolutions).length;
+                  return `${newCount} other persona${newCount === 1 ? '' : 's'} in the file will be added as new.`;
+                })()}
+              </p>
+            )}
+
+            <div className="flex gap-2 mt-6">
+              <button
+                onClick={() => setPendingImport(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => runImport(pendingImport.entries, pendingImport.resolutions)}
+                disabled={isImporting}
+                className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+              >
+                {isImporting ? <Loader className="w-4 h-4 animate-spin" /> : <FileUp className="w-4 h-4" />}
+                {isImporting ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Upload and Analyze Modal */}
       {showUploadModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -524,14 +703,6 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
                   {uploadForm.sampleText.length} characters
                 </p>
               </div>
-
-              {!apiKeys.gemini && (
-                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
-                  <p className="text-yellow-800 text-sm">
-                    ⚠️ Gemini API key is required for writing analysis. Please add it in Settings.
-                  </p>
-                </div>
-              )}
             </div>
 
             <div className="flex gap-2 mt-6">
@@ -543,7 +714,7 @@ const PersonaManagement: React.FC<PersonaManagementProps> = ({
               </button>
               <button
                 onClick={handleAnalyzeAndCreate}
-                disabled={!uploadForm.name.trim() || !uploadForm.sampleText.trim() || !apiKeys.gemini || isAnalyzing}
+                disabled={!uploadForm.name.trim() || !uploadForm.sampleText.trim() || isAnalyzing}
                 className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
               >
                 {isAnalyzing ? (
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { PenTool } from 'lucide-react';
+import { WritingPersona } from '../types';
+import { getUserPersonas } from '../services/personaService';
+
+interface PersonaSwitcherProps {
+  selectedId?: string;
+  // Shown for the empty choice, e.g. the default style or the book's persona
+  defaultLabel: string;
+  onChange: (persona: WritingPersona | null) => void;
+  disabled?: boolean;
+}
+
+const PersonaSwitcher: React.FC<PersonaSwitcherProps> = ({ selectedId, defaultLabel, onChange, disabled }) => {
+  const [personas, setPersonas] = useState<WritingPersona[]>([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    getUserPersonas()
+      .then(setPersonas)
+      .catch(error => console.error('Error loading personas:', error))
+      .finally(() => setIsLoaded(true));
+  }, []);
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      <PenTool className="w-4 h-4 text-purple-600 flex-shrink-0" />
+      <span className="whitespace-nowrap">Writing voice</span>
+      <select
+        value={selectedId || ''}
+        onChange={(e) => onChange(personas.find(persona => persona.id === e.target.value) || null)}
+        disabled={disabled}
+        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent disabled:opacity-50"
+      >
+        <option value="">{defaultLabel}</option>
+        {personas.map(persona => (
+          <option key={persona.id} value={persona.id}>{persona.name}</option>
+        ))}
+        {/* Keep the current choice showing while personas load, or if it can no longer be loaded */}
+        {selectedId && !personas.some(persona => persona.id === selectedId) && (
+          <option value={selectedId}>{isLoaded ? 'Unavailable persona' : 'Loading...'}</option>
+        )}
+      </select>
+    </label>
+  );
+};
+
+export default PersonaSwitcher;
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { AlertCircle, AlertTriangle, ClipboardCheck, Edit3, Eye, Info, Loader2, RefreshCw, Wand2, X } from 'lucide-react';
+import { Book, QualityAuditReport, QualityIssue, QualityIssueSeverity, QualityIssueType } from '../types';
+import {
+  auditBook,
+  fixQualityIssue,
+  getLastQualityReport,
+  isQualityIssueCurrent,
+  QUALITY_ISSUE_LABELS
+} from '../services/qualityAuditService';
+import { getLLMForTask } from '../services/llmService';
+import { loadBookPersonas } from '../services/personaService';
+import { recordBookChanges } from '../services/revisionService';
+
+interface QualityAuditPanelProps {
+  book: Book;
+  // Fixes are disabled while a generation job is rewriting the book
+  disableFixes: boolean;
+  onUpdateBook: (book: Book) => void;
+  onOpenSection: (chapterId: string, subChapterId: string, target: 'chapter' | 'editor') => void;
+  onClose: () => void;
+}
+
+const SEVERITY_ICONS: Record<QualityIssueSeverity, React.ReactNode> = {
+  error: <AlertCircle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />,
+  warning: <AlertTriangle className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />,
+  info: <Info className="w-4 h-4 text-blue-600 flex-shrink-0 mt-0.5" />
+};
+
+// Flesch reading ease bands, from the original scale
+const describeReadingEase = (score: number) =>
+  score >= 80 ? 'Easy' : score >= 60 ? 'Standard' : score >= 40 ? 'Fairly difficult' : 'Difficult';
+
+const getFidelityColor = (score: number) =>
+  score >= 85 ? 'bg-green-500' : score >= 70 ? 'bg-yellow-500' : 'bg-red-500';
+
+const QualityAuditPanel: React.FC<QualityAuditPanelProps> = ({
+  book,
+  disableFixes,
+  onUpdateBook,
+  onOpenSection,
+  onClose
+}) => {
+  const [report, setReport] = useState<QualityAuditReport | undefined>(() => getLastQualityReport(book.id));
+  const [includeAIChecks, setIncludeAIChecks] = useState(true);
+  const [isAuditing, setIsAuditing] = useState(false);
+  const [auditStatus, setAuditStatus] = useState('');
+  const [activeType, setActiveType] = useState<QualityIssueType | 'all'>('all');
+  const [fixingIssueId, setFixingIssueId] = useState<string | null>(null);
+
+  const hasContent = book.chapters.some(chapter => chapter.subChapters?.some(sc => sc.content));
+
+  const handleRunAudit = async () => {
+    setIsAuditing(true);
+    setAuditStatus('Checking sections...');
+    try {
+      const result = await auditBook(book, {
+        llm: includeAIChecks ? getLLMForTask(book, 'analysis') : undefined,
+        onProgress: (completed, total) => setAuditStatus(`Reading chapter ${Math.min(completed + 1, total)} of ${total}...`)
+      });
+      setReport(result);
+      setActiveType('all');
+    } catch (error) {
+      console.error('Error auditing book:', error);
+      alert('Failed to audit the book. Please try again.');
+    } finally {
+      setIsAuditing(false);
+      setAuditStatus('');
+    }
+  };
+
+  const handleFix = async (issue: QualityIssue) => {
+    setFixingIssueId(issue.id);
+    try {
+      // Fixes keep each chapter in its persona's voice
+      const personas = await loadBookPersonas(book);
+      const fixedBook = await fixQualityIssue(book, issue, getLLMForTask(book, 'editing'), personas);
+      onUpdateBook(fixedBook);
+      recordBookChanges(book, fixedBook, 'edit', `Quality fix: ${issue.message}`);
+    } catch (error) {
+      console.error('Error fixing issue:', error);
+      alert(`Failed to fix this issue: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setFixingIssueId(null);
+    }
+  };
+
+  // Findings disappear once their section has been fixed or rewritten
+  const currentIssues = report ? report.issues.filter(issue => isQualityIssueCurrent(book, issue)) : [];
+  const outdatedCount = report ? report.issues.length - currentIssues.length : 0;
+  const visibleIssues = currentIssues.filter(issue => activeType === 'all' || issue.type === activeType);
+  const issueTypes = (Object.keys(QUALITY_ISSUE_LABELS) as QualityIssueType[])
+    .filter(type => currentIssues.some(issue => issue.type === type));
+
+  const locateSection = (issue: Pick<QualityIssue, 'chapterId' | 'subChapterId'>) => {
+    const chapterIndex = book.chapters.findIndex(c => c.id === issue.chapterId);
+    const chapter = book.chapters[chapterIndex];
+    const sectionIndex = chapter?.subChapters?.findIndex(sc => sc.id === issue.subChapterId) ?? -1;
+    return chapter && sectionIndex >= 0
+      ? `${chapterIndex + 1}.${sectionIndex + 1} ${chapter.subChapters![sectionIndex].title}`
+      : 'Unknown section';
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <ClipboardCheck className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Quality Audit</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Finds repeated passages, name variants, perspective drift and short or cut-off sections, scores each chapter's readability,
+        and scores each section against the writing sample of its persona to show where the voice drifts.
+        AI checks also read every chapter for contradictions{book.heatLevel ? ' and heat-level problems' : ''}.
+      </p>
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includeAIChecks}
+            onChange={(e) => setIncludeAIChecks(e.target.checked)}
+            disabled={isAuditing}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Include AI checks (one request per chapter)
+        </label>
+        <button
+          onClick={handleRunAudit}
+          disabled={isAuditing || !hasContent}
+          className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+        >
+          <RefreshCw className={`w-4 h-4 ${isAuditing ? 'animate-spin' : ''}`} />
+          {isAuditing ? auditStatus : report ? 'Run again' : 'Run audit'}
+        </button>
+      </div>
+
+      {!hasContent && (
+        <p className="text-sm text-gray-500">Generate some content first, then run the audit.</p>
+      )}
+
+      {report && (
+        <>
+          <p className="text-xs text-gray-500">
+            Audited {new Date(report.createdAt).toLocaleString()}
+            {report.aiChecked ? ' with AI checks' : ' without AI checks'}
+            {outdatedCount > 0 && ` · ${outdatedCount} finding${outdatedCount === 1 ? '' : 's'} hidden because the section has changed since`}
+          </p>
+
+          {report.aiErrors.length > 0 && (
+            <div className="text-sm text-red-600 space-y-1">
+              {report.aiErrors.map(message => (
+                <p key={message}>AI check skipped for {message}</p>
+              ))}
+            </div>
+          )}
+
+          {report.readability.length > 0 && (
+            <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-500 border-b border-gray-200">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Chapter</th>
+                    <th className="px-3 py-2 font-medium text-right">Words</th>
+                    <th className="px-3 py-2 font-medium text-right">Words / sentence</th>
+                    <th className="px-3 py-2 font-medium text-right">Reading ease</th>
+                    <th className="px-3 py-2 font-medium text-right">Grade</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.readability.map(chapterScore => {
+                    const chapterIndex = book.chapters.findIndex(c => c.id === chapterScore.chapterId);
+                    return (
+                      <tr key={chapterScore.chapterId} className="border-b border-gray-100 last:border-0">
+                        <td className="px-3 py-2 text-gray-800">
+                          {chapterIndex >= 0 ? `${chapterIndex + 1}. ${book.chapters[chapterIndex].title}` : 'Removed chapter'}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-600">{chapterScore.wordCount.toLocaleString()}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">{chapterScore.averageSentenceLength}</td>
+                        <td className="px-3 py-2 text-right text-gray-600">
+                          {chapterScore.readingEase} <span className="text-xs text-gray-400">({describeReadingEase(chapterScore.readingEase)})</span>
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-600">{chapterScore.gradeLevel}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {report.voiceFidelity.length > 0 && (
+            <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+              <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 text-sm">
+                <span className="font-medium text-gray-700">Voice fidelity</span>
+                <span className="text-gray-500">
+                  Average {Math.round(report.voiceFidelity.reduce((total, section) => total + section.score, 0) / report.voiceFidelity.length)}/100
+                </span>
+              </div>
+              <table className="w-full text-sm">
+                <tbody>
+                  {report.voiceFidelity.map(section => (
+                    <tr
+                      key={section.subChapterId}
+                      onClick={() => onOpenSection(section.chapterId, section.subChapterId, 'chapter')}
+                      title={section.differences.length > 0 ? `Compared with ${section.personaName}: ${section.differences.join('; ')}` : `Close to ${section.personaName}`}
+                      className="border-b border-gray-100 last:border-0 cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="px-3 py-2 text-gray-800">{locateSection(section)}</td>
+                      <td className="px-3 py-2 text-gray-500">{section.personaName}</td>
+                      <td className="px-3 py-2 w-40">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 h-2 bg-gray-200 rounded-full">
+                            <div className={`h-2 rounded-full ${getFidelityColor(section.score)}`} style={{ width: `${section.score}%` }} />
+                          </div>
+                          <span className="text-gray-600 w-8 text-right">{section.score}</span>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {currentIssues.length === 0 ? (
+            <p className="text-sm text-green-700">No problems found.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2">
+                {(['all', ...issueTypes] as const).map(type => (
+                  <button
+                    key={type}
+                    onClick={() => setActiveType(type)}
+                    className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                      activeType === type
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {type === 'all' ? 'All' : QUALITY_ISSUE_LABELS[type]} (
+                    {type === 'all' ? currentIssues.length : currentIssues.filter(issue => issue.type === type).length})
+                  </button>
+                ))}
+              </div>
+
+              <div className="space-y-2">
+                {visibleIssues.map(issue => (
+                  <div key={issue.id} className="bg-white border border-gray-200 rounded-lg p-3 space-y-2">
+                    <div className="flex items-start gap-2">
+                      {SEVERITY_ICONS[issue.severity]}
+                      <div className="flex-1 min-w-0">
+                        <p className="text-xs text-gray-500">
+                          {QUALITY_ISSUE_LABELS[issue.type]}{issue.origin === 'ai' ? ' · AI' : ''} · {locateSection(issue)}
+                        </p>
+                        <p className="text-sm text-gray-800">{issue.message}</p>
+                        {issue.excerpt && (
+                          <p className="mt-1 text-sm text-gray-600 italic break-words">"{issue.excerpt}"</p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap gap-2 pl-6">
+                      <button
+                        onClick={() => onOpenSection(issue.chapterId, issue.subChapterId, 'chapter')}
+                        className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors duration-200 flex items-center gap-1"
+                      >
+                        <Eye className="w-3 h-3" />
+                        View
+                      </button>
+                      <button
+                        onClick={() => onOpenSection(issue.chapterId, issue.subChapterId, 'editor')}
+                        className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors duration-200 flex items-center gap-1"
+                      >
+                        <Edit3 className="w-3 h-3" />
+                        Open in editor
+                      </button>
+                      <button
+                        onClick={() => handleFix(issue)}
+                        disabled={disableFixes || fixingIssueId !== null}
+                        className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+                      >
+                        {fixingIssueId === issue.id ? <Loader2 className="w-3 h-3 animate-spin" /> : <Wand2 className="w-3 h-3" />}
+                        {fixingIssueId === issue.id ? 'Fixing...' : 'Fix with AI'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QualityAuditPanel;
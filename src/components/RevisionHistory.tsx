@@ -0,0 +1,266 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { History, Loader2, RotateCcw, X } from 'lucide-react';
+import { Book, RevisionPoint, SectionRevision } from '../types';
+import {
+  diffWords,
+  loadRevisionTimeline,
+  loadSectionRevisions,
+  REVISION_SOURCE_LABELS
+} from '../services/revisionService';
+
+interface RevisionHistoryProps {
+  book: Book;
+  onRestoreSection: (revision: SectionRevision) => void;
+  onRestoreBook: (point: RevisionPoint) => Promise<void>;
+  onClose: () => void;
+}
+
+const CURRENT_VERSION = 'current';
+
+const formatDate = (date: string) => new Date(date).toLocaleString();
+
+const RevisionHistory: React.FC<RevisionHistoryProps> = ({ book, onRestoreSection, onRestoreBook, onClose }) => {
+  const sections = useMemo(() => book.chapters.flatMap((chapter, chapterIndex) =>
+    (chapter.subChapters || []).map((subChapter, subIndex) => ({
+      subChapter,
+      label: `${chapterIndex + 1}.${subIndex + 1} ${subChapter.title}`
+    }))
+  ), [book]);
+
+  const [activeTab, setActiveTab] = useState<'sections' | 'timeline'>('sections');
+  const [selectedSectionId, setSelectedSectionId] = useState(
+    sections.find(section => section.subChapter.content)?.subChapter.id || sections[0]?.subChapter.id || ''
+  );
+  const [revisions, setRevisions] = useState<SectionRevision[]>([]);
+  const [isLoadingRevisions, setIsLoadingRevisions] = useState(false);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState(CURRENT_VERSION);
+  const [timeline, setTimeline] = useState<RevisionPoint[]>([]);
+  const [isLoadingTimeline, setIsLoadingTimeline] = useState(false);
+  const [restoringBatchId, setRestoringBatchId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!selectedSectionId) return;
+    const load = async () => {
+      setIsLoadingRevisions(true);
+      try {
+        const loaded = await loadSectionRevisions(selectedSectionId);
+        setRevisions(loaded);
+        setFromId(loaded[0]?.id || '');
+        setToId(CURRENT_VERSION);
+      } catch (error) {
+        console.error('Error loading revisions:', error);
+        alert('Failed to load version history. Please try again.');
+      } finally {
+        setIsLoadingRevisions(false);
+      }
+    };
+    load();
+  }, [selectedSectionId]);
+
+  useEffect(() => {
+    if (activeTab !== 'timeline') return;
+    const load = async () => {
+      setIsLoadingTimeline(true);
+      try {
+        setTimeline(await loadRevisionTimeline(book.id));
+      } catch (error) {
+        console.error('Error loading revision timeline:', error);
+        alert('Failed to load version history. Please try again.');
+      } finally {
+        setIsLoadingTimeline(false);
+      }
+    };
+    load();
+  }, [activeTab, book.id]);
+
+  const currentContent = sections.find(section => section.subChapter.id === selectedSectionId)?.subChapter.content || '';
+  const diff = useMemo(() => {
+    if (!fromId) return [];
+    const getVersionContent = (id: string) =>
+      id === CURRENT_VERSION ? currentContent : revisions.find(revision => revision.id === id)?.content || '';
+    return diffWords(getVersionContent(fromId), getVersionContent(toId));
+  }, [fromId, toId, revisions, currentContent]);
+
+  const handleRestoreBook = async (point: RevisionPoint) => {
+    if (!confirm(`Restore every section to how it was on ${formatDate(point.createdAt)}? You can review the result before saving.`)) return;
+    setRestoringBatchId(point.batchId);
+    try {
+      await onRestoreBook(point);
+    } finally {
+      setRestoringBatchId(null);
+    }
+  };
+
+  const versionOptions = (
+    <>
+      <option value={CURRENT_VERSION}>Current text</option>
+      {revisions.map(revision => (
+        <option key={revision.id} value={revision.id}>
+          {formatDate(revision.createdAt)} · {REVISION_SOURCE_LABELS[revision.source]}
+        </option>
+      ))}
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <History className="w-5 h-5 text-gray-600" />
+              <h3 className="text-xl font-bold text-gray-800">Version History</h3>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+            >
+              <X className="w-5 h-5 text-gray-500" />
+            </button>
+          </div>
+          <div className="flex gap-2">
+            {(['sections', 'timeline'] as const).map(tab => (
+              <button
+                key={tab}
+                onClick={() => setActiveTab(tab)}
+                className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                  activeTab === tab
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {tab === 'sections' ? 'Sections' : 'Whole book'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {activeTab === 'sections' ? (
+            <>
+              <select
+                value={selectedSectionId}
+                onChange={(e) => setSelectedSectionId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {sections.map(section => (
+                  <option key={section.subChapter.id} value={section.subChapter.id}>{section.label}</option>
+                ))}
+              </select>
+
+              {isLoadingRevisions ? (
+                <div className="flex items-center gap-2 text-sm text-gray-500">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Loading revisions...
+                </div>
+              ) : revisions.length === 0 ? (
+                <p className="text-sm text-gray-500">No saved revisions for this section yet.</p>
+              ) : (
+                <>
+                  <div className="space-y-2">
+                    {revisions.map(revision => (
+                      <div key={revision.id} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-800">
+                            {REVISION_SOURCE_LABELS[revision.source]}
+                            <span className="font-normal text-gray-500"> · {formatDate(revision.createdAt)} · {revision.wordCount.toLocaleString()} words</span>
+                          </p>
+                          {revision.note && <p className="text-xs text-gray-500 truncate">{revision.note}</p>}
+                        </div>
+                        <button
+                          onClick={() => onRestoreSection(revision)}
+                          disabled={revision.content === currentContent}
+                          className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1 flex-shrink-0"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                          Restore
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    <label className="text-sm text-gray-700">
+                      Compare
+                      <select
+                        value={fromId}
+                        onChange={(e) => setFromId(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {versionOptions}
+                      </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                      With
+                      <select
+                        value={toId}
+                        onChange={(e) => setToId(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {versionOptions}
+                      </select>
+                    </label>
+                  </div>
+
+                  <div className="border border-gray-200 rounded-lg p-4 max-h-96 overflow-y-auto text-sm text-gray-700 leading-relaxed whitespace-pre-wrap">
+                    {diff.every(segment => segment.type === 'equal') && (
+                      <p className="text-gray-500 mb-2">These versions are identical.</p>
+                    )}
+                    {diff.map((segment, index) => (
+                      <span
+                        key={index}
+                        className={
+                          segment.type === 'added'
+                            ? 'bg-green-100 text-green-800'
+                            : segment.type === 'removed'
+                              ? 'bg-red-100 text-red-800 line-through'
+                              : undefined
+                        }
+                      >
+                        {segment.text}
+                      </span>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          ) : isLoadingTimeline ? (
+            <div className="flex items-center gap-2 text-sm text-gray-500">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading history...
+            </div>
+          ) : timeline.length === 0 ? (
+            <p className="text-sm text-gray-500">No saved revisions for this book yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {timeline.map(point => (
+                <div key={point.batchId} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800">
+                      {REVISION_SOURCE_LABELS[point.source]}
+                      <span className="font-normal text-gray-500">
+                        {' '}· {formatDate(point.createdAt)} · {point.sectionCount} {point.sectionCount === 1 ? 'section' : 'sections'}
+                      </span>
+                    </p>
+                    {point.note && <p className="text-xs text-gray-500 truncate">{point.note}</p>}
+                  </div>
+                  <button
+                    onClick={() => handleRestoreBook(point)}
+                    disabled={restoringBatchId !== null}
+                    className="px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1 flex-shrink-0"
+                  >
+                    {restoringBatchId === point.batchId ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                    Restore book to here
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
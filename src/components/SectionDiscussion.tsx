@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Check, CheckCircle2, MessageSquare, RotateCcw, Trash2, X } from 'lucide-react';
+import { BookComment, BookSuggestion } from '../types';
+import { locateRange } from '../services/collaborationService';
+
+interface SectionDiscussionProps {
+  content: string;
+  // Threads and replies anchored in this section
+  comments: BookComment[];
+  // Pending suggestions for this section
+  suggestions: BookSuggestion[];
+  currentUserId?: string;
+  canComment: boolean;
+  canResolve: boolean;
+  isOwner: boolean;
+  onReply: (thread: BookComment, body: string) => Promise<void>;
+  onToggleResolved: (thread: BookComment) => void;
+  onDeleteComment: (comment: BookComment) => void;
+  onAcceptSuggestion: (suggestion: BookSuggestion) => void;
+  onRejectSuggestion: (suggestion: BookSuggestion) => void;
+  onWithdrawSuggestion: (suggestion: BookSuggestion) => void;
+}
+
+const formatTime = (createdAt: string) => new Date(createdAt).toLocaleString();
+
+const SectionDiscussion: React.FC<SectionDiscussionProps> = ({
+  content,
+  comments,
+  suggestions,
+  currentUserId,
+  canComment,
+  canResolve,
+  isOwner,
+  onReply,
+  onToggleResolved,
+  onDeleteComment,
+  onAcceptSuggestion,
+  onRejectSuggestion,
+  onWithdrawSuggestion
+}) => {
+  const [replyDrafts, setReplyDrafts] = useState<Record<string, string>>({});
+  const [showResolved, setShowResolved] = useState(false);
+
+  const threads = comments.filter(comment => !comment.parentId);
+  const openThreads = threads.filter(thread => !thread.resolved);
+  const resolvedThreads = threads.filter(thread => thread.resolved);
+  const visibleThreads = showResolved ? threads : openThreads;
+
+  if (threads.length === 0 && suggestions.length === 0) return null;
+
+  const handleReply = async (thread: BookComment) => {
+    const body = replyDrafts[thread.id]?.trim();
+    if (!body) return;
+    await onReply(thread, body);
+    setReplyDrafts(prev => ({ ...prev, [thread.id]: '' }));
+  };
+
+  const canDelete = (comment: BookComment) => isOwner || comment.userId === currentUserId;
+
+  return (
+    <div className="mt-3 space-y-3">
+      {suggestions.map(suggestion => {
+        // The replaced text may have been edited since the suggestion was made
+        const stillApplies = !!locateRange(content, suggestion.rangeStart, suggestion.rangeEnd, suggestion.originalText);
+
+        return (
+          <div key={suggestion.id} className="border border-green-200 bg-green-50 rounded-lg p-3 text-sm">
+            <div className="flex items-center justify-between gap-2 mb-2">
+              <span className="text-gray-700">
+                <strong>{suggestion.authorName}</strong> suggested an edit
+                <span className="text-xs text-gray-500 ml-2">{formatTime(suggestion.createdAt)}</span>
+              </span>
+              <div className="flex items-center gap-1">
+                {isOwner && (
+                  <>
+                    <button
+                      onClick={() => onAcceptSuggestion(suggestion)}
+                      disabled={!stillApplies}
+                      className="px-2 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-1"
+                    >
+                      <Check className="w-3 h-3" />
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => onRejectSuggestion(suggestion)}
+                      className="px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors duration-200 flex items-center gap-1"
+                    >
+                      <X className="w-3 h-3" />
+                      Reject
+                    </button>
+                  </>
+                )}
+                {!isOwner && suggestion.userId === currentUserId && (
+                  <button
+                    onClick={() => onWithdrawSuggestion(suggestion)}
+                    className="px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+                  >
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            </div>
+            <p className="whitespace-pre-wrap">
+              {suggestion.originalText && (
+                <span className="bg-red-100 text-red-800 line-through">{suggestion.originalText}</span>
+              )}
+              {suggestion.originalText && suggestion.suggestedText && ' '}
+              {suggestion.suggestedText && (
+                <span className="bg-green-100 text-green-800">{suggestion.suggestedText}</span>
+              )}
+            </p>
+            {!stillApplies && (
+              <p className="text-xs text-amber-700 mt-2">The text this replaces has been edited since, so it can only be rejected.</p>
+            )}
+          </div>
+        );
+      })}
+
+      {visibleThreads.map(thread => {
+        const replies = comments.filter(comment => comment.parentId === thread.id);
+
+        return (
+          <div
+            key={thread.id}
+            className={`border rounded-lg p-3 text-sm ${thread.resolved ? 'border-gray-200 bg-gray-50 opacity-75' : 'border-yellow-200 bg-yellow-50'}`}
+          >
+            {thread.quote && (
+              <p className="text-xs text-gray-500 italic mb-2 line-clamp-2">"{thread.quote}"</p>
+            )}
+            {[thread, ...replies].map(comment => (
+              <div key={comment.id} className="flex items-start justify-between gap-2 mb-2">
+                <div className="min-w-0">
+                  <p className="text-gray-700">
+                    <strong>{comment.authorName}</strong>
+                    <span className="text-xs text-gray-500 ml-2">{formatTime(comment.createdAt)}</span>
+                  </p>
+                  <p className="text-gray-800 whitespace-pre-wrap">{comment.body}</p>
+                </div>
+                {canDelete(comment) && (
+                  <button
+                    onClick={() => onDeleteComment(comment)}
+                    className="p-1 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                    title="Delete comment"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
+            ))}
+            <div className="flex items-center gap-2">
+              {canComment && !thread.resolved && (
+                <>
+                  <input
+                    type="text"
+                    value={replyDrafts[thread.id] || ''}
+                    onChange={(e) => setReplyDrafts(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Enter' && handleReply(thread)}
+                    placeholder="Reply..."
+                    className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => handleReply(thread)}
+                    disabled={!replyDrafts[thread.id]?.trim()}
+                    className="p-1 text-gray-600 hover:text-blue-600 disabled:opacity-50 transition-colors duration-200"
+                    title="Reply"
+                  >
+                    <MessageSquare className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+              {(canResolve || thread.userId === currentUserId) && (
+                <button
+                  onClick={() => onToggleResolved(thread)}
+                  className="ml-auto px-2 py-1 text-xs text-gray-600 hover:text-gray-800 transition-colors duration-200 flex items-center gap-1"
+                >
+                  {thread.resolved ? <RotateCcw className="w-3 h-3" /> : <CheckCircle2 className="w-3 h-3" />}
+                  {thread.resolved ? 'Reopen' : 'Resolve'}
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {resolvedThreads.length > 0 && (
+        <button
+          onClick={() => setShowResolved(!showResolved)}
+          className="text-xs text-gray-500 hover:text-gray-700 transition-colors duration-200"
+        >
+          {showResolved ? 'Hide resolved comments' : `Show ${resolvedThreads.length} resolved comment${resolvedThreads.length === 1 ? '' : 's'}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SectionDiscussion;
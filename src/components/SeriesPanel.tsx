@@ -0,0 +1,385 @@
+import React, { useEffect, useState } from 'react';
+import { BookMarked, Library, Loader2, Plus, Save, Sparkles, Trash2, X } from 'lucide-react';
+import { v4 as uuidv4 } from 'uuid';
+import { Book, Series, StoryBibleEntry, StoryBibleEntryType } from '../types';
+import {
+  createSeries,
+  deleteSeries,
+  getNextSeriesOrder,
+  getSeriesBooks,
+  loadAllSeries,
+  saveSeries,
+  summarizeVolume
+} from '../services/seriesService';
+import { loadStoryBible, mergeStoryBibleEntries, STORY_BIBLE_ENTRY_LABELS } from '../services/storyBibleService';
+import { loadAllBooks } from '../services/bookService';
+import { getLLMForTask } from '../services/llmService';
+
+interface SeriesPanelProps {
+  book: Book;
+  onUpdateBook: (book: Book) => void;
+  onClose: () => void;
+}
+
+const SeriesPanel: React.FC<SeriesPanelProps> = ({ book, onUpdateBook, onClose }) => {
+  const [seriesList, setSeriesList] = useState<Series[]>([]);
+  const [books, setBooks] = useState<Book[]>([]);
+  // Edits to the book's series are kept here until saved
+  const [series, setSeries] = useState<Series | null>(null);
+  const [newSeriesTitle, setNewSeriesTitle] = useState('');
+  const [activeType, setActiveType] = useState<StoryBibleEntryType>('character');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [summarizingBookId, setSummarizingBookId] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedSeries, loadedBooks] = await Promise.all([loadAllSeries(), loadAllBooks()]);
+        setSeriesList(loadedSeries);
+        setBooks(loadedBooks);
+      } catch (error) {
+        console.error('Error loading series:', error);
+        alert('Failed to load your series. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    setSeries(seriesList.find(s => s.id === book.seriesId) || null);
+  }, [seriesList, book.seriesId]);
+
+  // The open book may have changes the local library hasn't picked up yet
+  const libraryBooks = [...books.filter(b => b.id !== book.id), book];
+  const volumes = series ? getSeriesBooks(series.id, libraryBooks) : [];
+
+  const joinSeries = (seriesId: string) => {
+    if (!seriesId) {
+      onUpdateBook({ ...book, seriesId: undefined, seriesOrder: undefined });
+      return;
+    }
+    const others = libraryBooks.filter(b => b.id !== book.id);
+    onUpdateBook({ ...book, seriesId, seriesOrder: getNextSeriesOrder(seriesId, others) });
+  };
+
+  const handleCreateSeries = async () => {
+    if (!newSeriesTitle.trim()) return;
+    try {
+      const created = await createSeries(newSeriesTitle.trim(), book.description);
+      setSeriesList(prev => [...prev, created]);
+      setNewSeriesTitle('');
+      joinSeries(created.id);
+    } catch (error) {
+      console.error('Error creating series:', error);
+      alert('Failed to create the series. Please try again.');
+    }
+  };
+
+  const handleOrderChange = (value: string) => {
+    const seriesOrder = Math.round(Number(value));
+    if (seriesOrder > 0 && seriesOrder !== book.seriesOrder) {
+      onUpdateBook({ ...book, seriesOrder });
+    }
+  };
+
+  const updateSeries = (updates: Partial<Series>) => {
+    setSeries(prev => prev ? { ...prev, ...updates } : prev);
+  };
+
+  const updateEntry = (id: string, updates: Partial<StoryBibleEntry>) => {
+    if (!series) return;
+    updateSeries({ entries: series.entries.map(entry => entry.id === id ? { ...entry, ...updates } : entry) });
+  };
+
+  const addEntry = () => {
+    if (!series) return;
+    updateSeries({ entries: [...series.entries, { id: uuidv4(), type: activeType, name: '', description: '' }] });
+  };
+
+  const deleteEntry = (id: string) => {
+    if (!series) return;
+    updateSeries({ entries: series.entries.filter(entry => entry.id !== id) });
+  };
+
+  // Copies the book's own bible into the series so later books share its characters and world
+  const handleImportBible = async () => {
+    if (!series) return;
+    setIsImporting(true);
+    try {
+      const bookBible = await loadStoryBible(book.id);
+      const entries = mergeStoryBibleEntries(series.entries.map(entry => ({ ...entry })), bookBible.entries);
+      updateSeries({ entries });
+    } catch (error) {
+      console.error('Error importing story bible:', error);
+      alert('Failed to load this book\'s story bible. Please try again.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleSummarize = async (volume: Book) => {
+    if (!series) return;
+    setSummarizingBookId(volume.id);
+    try {
+      const summary = await summarizeVolume(volume, getLLMForTask(volume, 'analysis'));
+      updateSeries({ volumeSummaries: { ...series.volumeSummaries, [volume.id]: summary } });
+    } catch (error) {
+      console.error('Error summarizing book:', error);
+      alert(error instanceof Error ? error.message : 'Failed to summarize the book. Please try again.');
+    } finally {
+      setSummarizingBookId(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!series) return;
+    setIsSaving(true);
+    try {
+      const cleaned = { ...series, title: series.title.trim() || 'Untitled Series', entries: series.entries.filter(entry => entry.name.trim()) };
+      const saved = await saveSeries(cleaned);
+      setSeriesList(prev => prev.map(s => s.id === saved.id ? saved : s));
+    } catch (error) {
+      console.error('Error saving series:', error);
+      alert('Failed to save the series. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteSeries = async () => {
+    if (!series) return;
+    if (!confirm(`Delete the series "${series.title}"? Its books are kept as standalone books.`)) return;
+
+    try {
+      await deleteSeries(series.id);
+      setSeriesList(prev => prev.filter(s => s.id !== series.id));
+      onUpdateBook({ ...book, seriesId: undefined, seriesOrder: undefined });
+    } catch (error) {
+      console.error('Error deleting series:', error);
+      alert('Failed to delete the series. Please try again.');
+    }
+  };
+
+  const visibleEntries = series ? series.entries.filter(entry => entry.type === activeType) : [];
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Library className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Series</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Books in a series share the characters, world and arc notes below, and new outlines and sections pick up from the books before them.
+      </p>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading series...
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={book.seriesId || ''}
+              onChange={(e) => joinSeries(e.target.value)}
+              className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Standalone book</option>
+              {seriesList.map(s => (
+                <option key={s.id} value={s.id}>{s.title}</option>
+              ))}
+            </select>
+            {book.seriesId && (
+              <>
+                <label htmlFor="seriesOrder" className="text-sm text-gray-700">Book</label>
+                <input
+                  id="seriesOrder"
+                  type="number"
+                  min={1}
+                  value={book.seriesOrder || ''}
+                  onChange={(e) => handleOrderChange(e.target.value)}
+                  className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </>
+            )}
+          </div>
+
+          {!book.seriesId && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newSeriesTitle}
+                onChange={(e) => setNewSeriesTitle(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreateSeries()}
+                placeholder="New series title"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleCreateSeries}
+                disabled={!newSeriesTitle.trim()}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                Start a series
+              </button>
+            </div>
+          )}
+
+          {series && (
+            <>
+              <div className="space-y-2">
+                <input
+                  type="text"
+                  value={series.title}
+                  onChange={(e) => updateSeries({ title: e.target.value })}
+                  placeholder="Series title"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <textarea
+                  value={series.description}
+                  onChange={(e) => updateSeries({ description: e.target.value })}
+                  placeholder="What the series is about"
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <textarea
+                  value={series.arcNotes}
+                  onChange={(e) => updateSeries({ arcNotes: e.target.value })}
+                  placeholder="Series arc: where the story is heading across all the books"
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <h5 className="text-sm font-medium text-gray-700">Shared story bible</h5>
+                <div className="flex flex-wrap gap-2">
+                  {(Object.keys(STORY_BIBLE_ENTRY_LABELS) as StoryBibleEntryType[]).map((type) => (
+                    <button
+                      key={type}
+                      onClick={() => setActiveType(type)}
+                      className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                        activeType === type
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {STORY_BIBLE_ENTRY_LABELS[type]} ({series.entries.filter(e => e.type === type).length})
+                    </button>
+                  ))}
+                </div>
+                {visibleEntries.length === 0 && (
+                  <p className="text-sm text-gray-500">No entries yet.</p>
+                )}
+                {visibleEntries.map((entry) => (
+                  <div key={entry.id} className="flex gap-2 items-start">
+                    <input
+                      type="text"
+                      value={entry.name}
+                      onChange={(e) => updateEntry(entry.id, { name: e.target.value })}
+                      placeholder="Name"
+                      className="w-1/3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <textarea
+                      value={entry.description}
+                      onChange={(e) => updateEntry(entry.id, { description: e.target.value })}
+                      placeholder="Established facts"
+                      rows={2}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button
+                      onClick={() => deleteEntry(entry.id)}
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <div className="flex flex-wrap items-center gap-4">
+                  <button
+                    onClick={addEntry}
+                    className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add {STORY_BIBLE_ENTRY_LABELS[activeType].toLowerCase()} entry
+                  </button>
+                  <button
+                    onClick={handleImportBible}
+                    disabled={isImporting}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 flex items-center gap-1"
+                  >
+                    <BookMarked className="w-4 h-4" />
+                    {isImporting ? 'Adding...' : 'Add entries from this book\'s story bible'}
+                  </button>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <h5 className="text-sm font-medium text-gray-700">Books in reading order</h5>
+                {volumes.map((volume) => (
+                  <div key={volume.id} className="bg-white border border-gray-200 rounded-lg p-3 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className={`text-sm ${volume.id === book.id ? 'font-medium text-blue-700' : 'text-gray-800'}`}>
+                        {volume.seriesOrder ? `Book ${volume.seriesOrder}: ` : ''}{volume.title}
+                      </span>
+                      <button
+                        onClick={() => handleSummarize(volume)}
+                        disabled={summarizingBookId !== null}
+                        className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 flex items-center gap-1"
+                      >
+                        {summarizingBookId === volume.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+                        {summarizingBookId === volume.id ? 'Summarizing...' : 'Summarize'}
+                      </button>
+                    </div>
+                    <textarea
+                      value={series.volumeSummaries[volume.id] || ''}
+                      onChange={(e) => updateSeries({ volumeSummaries: { ...series.volumeSummaries, [volume.id]: e.target.value } })}
+                      placeholder="What happens in this book, for the books that follow it"
+                      rows={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex items-center justify-between gap-2">
+                <button
+                  onClick={handleDeleteSeries}
+                  disabled={isSaving}
+                  className="px-4 py-2 text-gray-600 hover:text-red-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Delete series
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving || summarizingBookId !== null}
+                  className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+                >
+                  <Save className="w-4 h-4" />
+                  {isSaving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SeriesPanel;
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, Trash2, UserPlus, Users, X } from 'lucide-react';
+import { Book, BookCollaborator } from '../types';
+import {
+  BOOK_ROLE_DESCRIPTIONS,
+  BOOK_ROLE_LABELS,
+  isBookOwner,
+  loadCollaborators,
+  removeCollaborator,
+  shareBook,
+  updateCollaboratorRole
+} from '../services/collaborationService';
+import { requestSync } from '../services/syncService';
+
+interface SharePanelProps {
+  book: Book;
+  onClose: () => void;
+}
+
+const SHARE_ROLES = Object.keys(BOOK_ROLE_DESCRIPTIONS) as BookCollaborator['role'][];
+
+const SharePanel: React.FC<SharePanelProps> = ({ book, onClose }) => {
+  const [collaborators, setCollaborators] = useState<BookCollaborator[]>([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<BookCollaborator['role']>('editor');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSharing, setIsSharing] = useState(false);
+  const isOwner = isBookOwner(book);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setCollaborators(await loadCollaborators(book.id));
+      } catch (error) {
+        console.error('Error loading collaborators:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [book.id]);
+
+  const handleShare = async () => {
+    if (!email.trim()) return;
+
+    setIsSharing(true);
+    try {
+      // The book has to be on the server before anyone else can open it
+      await requestSync();
+      const collaborator = await shareBook(book.id, email.trim(), role);
+      setCollaborators(prev => [...prev.filter(c => c.userId !== collaborator.userId), collaborator]);
+      setEmail('');
+    } catch (error) {
+      console.error('Error sharing book:', error);
+      alert(error instanceof Error ? error.message : 'Failed to share the book. Please try again.');
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const handleRoleChange = async (collaborator: BookCollaborator, newRole: BookCollaborator['role']) => {
+    try {
+      await updateCollaboratorRole(book.id, collaborator.userId, newRole);
+      setCollaborators(prev => prev.map(c => c.userId === collaborator.userId ? { ...c, role: newRole } : c));
+    } catch (error) {
+      console.error('Error changing role:', error);
+      alert('Failed to change the role. Please try again.');
+    }
+  };
+
+  const handleRemove = async (collaborator: BookCollaborator) => {
+    if (!confirm(`Stop sharing this book with ${collaborator.email}?`)) return;
+
+    try {
+      await removeCollaborator(book.id, collaborator.userId);
+      setCollaborators(prev => prev.filter(c => c.userId !== collaborator.userId));
+    } catch (error) {
+      console.error('Error removing collaborator:', error);
+      alert('Failed to remove the collaborator. Please try again.');
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Users className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Sharing</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        {isOwner
+          ? 'Invite people who have an account. Co-authors write and edit, editors comment and suggest edits for you to accept, and viewers read.'
+          : `This book is shared with you as ${BOOK_ROLE_LABELS[book.role!].toLowerCase()}. ${BOOK_ROLE_DESCRIPTIONS[book.role as BookCollaborator['role']]}.`}
+      </p>
+
+      {isOwner && (
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleShare()}
+            placeholder="Email address"
+            className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value as BookCollaborator['role'])}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {SHARE_ROLES.map(r => (
+              <option key={r} value={r}>{BOOK_ROLE_LABELS[r]}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleShare}
+            disabled={!email.trim() || isSharing}
+            className="px-4 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+          >
+            {isSharing ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+            Share
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading collaborators...
+        </div>
+      ) : collaborators.length === 0 ? (
+        <p className="text-sm text-gray-500">Only you can see this book.</p>
+      ) : (
+        <div className="space-y-2">
+          {collaborators.map(collaborator => (
+            <div key={collaborator.userId} className="flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-3 py-2">
+              <span className="text-sm text-gray-800 truncate">{collaborator.email}</span>
+              {isOwner ? (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={collaborator.role}
+                    onChange={(e) => handleRoleChange(collaborator, e.target.value as BookCollaborator['role'])}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {SHARE_ROLES.map(r => (
+                      <option key={r} value={r}>{BOOK_ROLE_LABELS[r]}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleRemove(collaborator)}
+                    className="p-1 text-gray-500 hover:text-red-600 transition-colors duration-200"
+                    title="Stop sharing"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <span className="text-xs text-gray-500">{BOOK_ROLE_LABELS[collaborator.role]}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharePanel;
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import { BookMarked, Loader2, Plus, RefreshCw, Save, Trash2, X } from 'lucide-react';
+import { v4 as uuidv4 } from 'uuid';
+import { Book, StoryBible, StoryBibleEntry, StoryBibleEntryType } from '../types';
+import {
+  createEmptyStoryBible,
+  loadStoryBible,
+  rebuildStoryBible,
+  saveStoryBible,
+  STORY_BIBLE_ENTRY_LABELS
+} from '../services/storyBibleService';
+import { getLLMForTask } from '../services/llmService';
+
+interface StoryBibleEditorProps {
+  book: Book;
+  onClose: () => void;
+}
+
+const StoryBibleEditor: React.FC<StoryBibleEditorProps> = ({ book, onClose }) => {
+  const [bible, setBible] = useState<StoryBible>(createEmptyStoryBible(book.id));
+  const [activeType, setActiveType] = useState<StoryBibleEntryType>('character');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+  const [rebuildStatus, setRebuildStatus] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setBible(await loadStoryBible(book.id));
+      } catch (error) {
+        console.error('Error loading story bible:', error);
+        alert('Failed to load the story bible. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [book.id]);
+
+  const updateEntry = (id: string, updates: Partial<StoryBibleEntry>) => {
+    setBible(prev => ({
+      ...prev,
+      entries: prev.entries.map(entry => entry.id === id ? { ...entry, ...updates } : entry)
+    }));
+  };
+
+  const addEntry = () => {
+    setBible(prev => ({
+      ...prev,
+      entries: [...prev.entries, { id: uuidv4(), type: activeType, name: '', description: '' }]
+    }));
+  };
+
+  const deleteEntry = (id: string) => {
+    setBible(prev => ({
+      ...prev,
+      entries: prev.entries.filter(entry => entry.id !== id)
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const cleaned = { ...bible, entries: bible.entries.filter(entry => entry.name.trim()) };
+      setBible(await saveStoryBible(cleaned));
+    } catch (error) {
+      console.error('Error saving story bible:', error);
+      alert('Failed to save the story bible. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRebuild = async () => {
+    setIsRebuilding(true);
+    try {
+      const rebuilt = await rebuildStoryBible(
+        book,
+        bible,
+        getLLMForTask(book, 'analysis'),
+        (progress, sectionTitle) => {
+          setBible(progress);
+          setRebuildStatus(`Read "${sectionTitle}"`);
+        }
+      );
+      setBible(rebuilt);
+    } catch (error) {
+      console.error('Error rebuilding story bible:', error);
+      alert('Failed to rebuild the story bible from content. Please try again.');
+    } finally {
+      setIsRebuilding(false);
+      setRebuildStatus('');
+    }
+  };
+
+  const visibleEntries = bible.entries.filter(entry => entry.type === activeType);
+  const hasContent = book.chapters.some(chapter => chapter.subChapters?.some(sc => sc.content));
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <BookMarked className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Story Bible</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Facts listed here, along with summaries of earlier sections, are included whenever new content is written.
+      </p>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading story bible...
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {(Object.keys(STORY_BIBLE_ENTRY_LABELS) as StoryBibleEntryType[]).map((type) => (
+              <button
+                key={type}
+                onClick={() => setActiveType(type)}
+                className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                  activeType === type
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {STORY_BIBLE_ENTRY_LABELS[type]} ({bible.entries.filter(e => e.type === type).length})
+              </button>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            {visibleEntries.length === 0 && (
+              <p className="text-sm text-gray-500">No entries yet.</p>
+            )}
+            {visibleEntries.map((entry) => (
+              <div key={entry.id} className="flex gap-2 items-start">
+                <input
+                  type="text"
+                  value={entry.name}
+                  onChange={(e) => updateEntry(entry.id, { name: e.target.value })}
+                  placeholder="Name"
+                  className="w-1/3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <textarea
+                  value={entry.description}
+                  onChange={(e) => updateEntry(entry.id, { description: e.target.value })}
+                  placeholder="Established facts"
+                  rows={2}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={() => deleteEntry(entry.id)}
+                  className="p-2 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={addEntry}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" />
+              Add {STORY_BIBLE_ENTRY_LABELS[activeType].toLowerCase()} entry
+            </button>
+          </div>
+
+          <div className="flex items-center justify-between gap-2">
+            <button
+              onClick={handleRebuild}
+              disabled={isRebuilding || isSaving || !hasContent}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${isRebuilding ? 'animate-spin' : ''}`} />
+              {isRebuilding ? rebuildStatus || 'Reading content...' : 'Rebuild from content'}
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || isRebuilding}
+              className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-2"
+            >
+              <Save className="w-4 h-4" />
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StoryBibleEditor;
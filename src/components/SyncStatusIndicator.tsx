@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, CheckCircle, CloudOff, RefreshCw, X } from 'lucide-react';
+import { SyncConflict, SyncConflictResolution, SyncStatus } from '../types';
+import { getSyncStatus, requestSync, resolveConflict, subscribeToSyncStatus } from '../services/syncService';
+
+interface SyncStatusIndicatorProps {
+  // Called after a conflict is settled so an open copy of the book can be reloaded
+  onConflictResolved: (bookId: string) => void;
+}
+
+const formatTime = (value: string) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const SyncStatusIndicator: React.FC<SyncStatusIndicatorProps> = ({ onConflictResolved }) => {
+  const [status, setStatus] = useState<SyncStatus>(getSyncStatus());
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [resolvingId, setResolvingId] = useState<string | null>(null);
+
+  useEffect(() => subscribeToSyncStatus(setStatus), []);
+
+  const handleResolve = async (conflict: SyncConflict, resolution: SyncConflictResolution) => {
+    setResolvingId(conflict.bookId);
+    try {
+      await resolveConflict(conflict.bookId, resolution);
+      onConflictResolved(conflict.bookId);
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      alert('Failed to resolve the conflict. Please try again.');
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  const pending = status.pendingChanges;
+  const pendingText = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  const renderStatus = () => {
+    if (status.conflicts.length > 0) {
+      return (
+        <button
+          onClick={() => setShowConflicts(true)}
+          className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-amber-700 bg-amber-50 border border-amber-200 hover:bg-amber-100 transition-colors duration-200"
+        >
+          <AlertTriangle className="w-4 h-4" />
+          {status.conflicts.length} book{status.conflicts.length === 1 ? '' : 's'} changed on another device
+        </button>
+      );
+    }
+
+    if (!status.online) {
+      return (
+        <span className="flex items-center gap-2 text-sm text-gray-600" title="Changes are saved on this device and sync when you reconnect">
+          <CloudOff className="w-4 h-4" />
+          Offline{pending > 0 ? ` · ${pendingText} waiting` : ''}
+        </span>
+      );
+    }
+
+    if (status.syncing || pending > 0) {
+      return (
+        <span className="flex items-center gap-2 text-sm text-blue-600">
+          <RefreshCw className={`w-4 h-4 ${status.syncing ? 'animate-spin' : ''}`} />
+          {status.syncing ? 'Syncing...' : `${pendingText} to sync`}
+        </span>
+      );
+    }
+
+    if (status.failedChanges.length > 0) {
+      const failed = status.failedChanges;
+      return (
+        <span
+          className="flex items-center gap-2 text-sm text-red-600"
+          title={`${failed.map(failure => `${failure.title}: ${failure.error}`).join('\n')}\n\nSaving the book again retries it.`}
+        >
+          <AlertTriangle className="w-4 h-4" />
+          {failed.length} book{failed.length === 1 ? '' : 's'} couldn't sync
+        </span>
+      );
+    }
+
+    if (status.error) {
+      return (
+        <button
+          onClick={() => requestSync()}
+          className="flex items-center gap-2 text-sm text-red-600 hover:text-red-700"
+          title={status.error}
+        >
+          <AlertTriangle className="w-4 h-4" />
+          Sync failed · Retry
+        </button>
+      );
+    }
+
+    return (
+      <span
+        className="flex items-center gap-2 text-sm text-gray-500"
+        title={status.lastSyncedAt ? `Last synced ${formatTime(status.lastSyncedAt)}` : undefined}
+      >
+        <CheckCircle className="w-4 h-4 text-green-500" />
+        All changes synced
+      </span>
+    );
+  };
+
+  return (
+    <>
+      {renderStatus()}
+
+      {showConflicts && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-bold text-gray-800">Sync Conflicts</h2>
+                <p className="text-sm text-gray-600">
+                  These books were edited here and on another device before they could sync.
+                </p>
+              </div>
+              <button
+                onClick={() => setShowConflicts(false)}
+                className="p-2 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+              >
+                <X className="w-5 h-5 text-gray-600" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {status.conflicts.length === 0 && (
+                <p className="text-gray-600">All conflicts have been resolved.</p>
+              )}
+              {status.conflicts.map(conflict => (
+                <div key={conflict.bookId} className="border border-gray-200 rounded-xl p-4 space-y-3">
+                  <div>
+                    <h3 className="font-semibold text-gray-800">{conflict.title}</h3>
+                    <p className="text-xs text-gray-500">
+                      This device: {formatTime(conflict.localUpdatedAt)} · Other device: {formatTime(conflict.serverUpdatedAt)}
+                    </p>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handleResolve(conflict, 'local')}
+                      disabled={resolvingId === conflict.bookId}
+                      className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+                    >
+                      Keep this device's version
+                    </button>
+                    <button
+                      onClick={() => handleResolve(conflict, 'server')}
+                      disabled={resolvingId === conflict.bookId}
+                      className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+                    >
+                      Keep other device's version
+                    </button>
+                    <button
+                      onClick={() => handleResolve(conflict, 'both')}
+                      disabled={resolvingId === conflict.bookId}
+                      className="px-3 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50"
+                    >
+                      Keep both
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SyncStatusIndicator;
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import { Columns2, ExternalLink, Languages, Loader2, Plus, Sparkles, Trash2, X } from 'lucide-react';
+import { Book, TranslationGlossaryEntry } from '../types';
+import { buildTranslationGlossary, createTranslatedEdition, getTranslatedEditions } from '../services/translationService';
+import { BOOK_LANGUAGES, DEFAULT_LANGUAGE, getLanguageName } from '../services/languageService';
+import { loadAllBooks } from '../services/bookService';
+import { getLLMForTask } from '../services/llmService';
+
+interface TranslationPanelProps {
+  book: Book;
+  // Set while the book is being generated, when its text may still change
+  disabled?: boolean;
+  onTranslate: (edition: Book, sectionIds: string[]) => Promise<void>;
+  onOpenBook: (book: Book) => void;
+  onCompare: () => void;
+  onClose: () => void;
+}
+
+const TranslationPanel: React.FC<TranslationPanelProps> = ({ book, disabled, onTranslate, onOpenBook, onCompare, onClose }) => {
+  const [library, setLibrary] = useState<Book[]>([]);
+  const [targetLanguage, setTargetLanguage] = useState('');
+  const [glossary, setGlossary] = useState<TranslationGlossaryEntry[]>([]);
+  const [isBuildingGlossary, setIsBuildingGlossary] = useState(false);
+  const [progress, setProgress] = useState<{ completed: number; total: number } | null>(null);
+
+  useEffect(() => {
+    loadAllBooks()
+      .then(setLibrary)
+      .catch(error => console.error('Error loading library:', error));
+  }, [book.id]);
+
+  const sourceBook = book.translation && library.find(b => b.id === book.translation!.sourceBookId);
+  const editions = getTranslatedEditions(book, library);
+  const hasWrittenSections = book.chapters.some(chapter => chapter.subChapters?.some(sc => sc.content));
+  const bookLanguage = book.language || DEFAULT_LANGUAGE;
+  const isTranslating = progress !== null;
+
+  const handleLanguageChange = (language: string) => {
+    setTargetLanguage(language);
+    // Renderings are language specific, so a glossary for another language no longer applies
+    setGlossary([]);
+  };
+
+  const handleBuildGlossary = async () => {
+    if (!targetLanguage) return;
+
+    setIsBuildingGlossary(true);
+    try {
+      setGlossary(await buildTranslationGlossary(book, targetLanguage, getLLMForTask(book, 'translation')));
+    } catch (error) {
+      console.error('Error building glossary:', error);
+      alert(error instanceof Error ? error.message : 'Failed to build the glossary. Please try again.');
+    } finally {
+      setIsBuildingGlossary(false);
+    }
+  };
+
+  const updateEntry = (index: number, updates: Partial<TranslationGlossaryEntry>) => {
+    setGlossary(prev => prev.map((entry, i) => i === index ? { ...entry, ...updates } : entry));
+  };
+
+  const handleTranslate = async () => {
+    if (!targetLanguage) return;
+    if (!confirm(`Create a ${getLanguageName(targetLanguage)} edition of "${book.title}"? The original stays as it is.`)) return;
+
+    try {
+      const { book: edition, sectionIds } = await createTranslatedEdition(
+        book,
+        targetLanguage,
+        glossary.filter(entry => entry.term.trim() && entry.translation.trim()),
+        getLLMForTask(book, 'translation'),
+        (completed, total) => setProgress({ completed, total })
+      );
+      await onTranslate(edition, sectionIds);
+    } catch (error) {
+      console.error('Error translating book:', error);
+      alert(`Failed to translate the book: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Languages className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Translations</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      {book.translation && (
+        <div className="flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-3 py-2">
+          <span className="text-sm text-gray-700">
+            {getLanguageName(bookLanguage)} edition, translated from {getLanguageName(book.translation.sourceLanguage)}
+            {sourceBook && <> &ldquo;{sourceBook.title}&rdquo;</>}
+          </span>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={onCompare}
+              className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+            >
+              <Columns2 className="w-3 h-3" />
+              Compare
+            </button>
+            {sourceBook && (
+              <button
+                onClick={() => onOpenBook(sourceBook)}
+                className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+              >
+                <ExternalLink className="w-3 h-3" />
+                Open original
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {editions.length > 0 && (
+        <div className="space-y-2">
+          <h5 className="text-sm font-medium text-gray-700">Editions</h5>
+          {editions.map(edition => (
+            <div key={edition.id} className="flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-800 truncate">{edition.title}</p>
+                <p className="text-xs text-gray-500">{getLanguageName(edition.language)}</p>
+              </div>
+              <button
+                onClick={() => onOpenBook(edition)}
+                className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200 flex items-center gap-1"
+              >
+                <ExternalLink className="w-3 h-3" />
+                Open
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600">
+        The title, description and outline are translated first. The new edition then opens and its sections are translated in the background, using the glossary for names and recurring terms. Sections the original hasn't written yet are written first.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={targetLanguage}
+          onChange={(e) => handleLanguageChange(e.target.value)}
+          disabled={isTranslating}
+          className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">Translate into...</option>
+          {BOOK_LANGUAGES.filter(language => language.code !== bookLanguage).map(language => (
+            <option key={language.code} value={language.code}>{language.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleBuildGlossary}
+          disabled={!targetLanguage || isBuildingGlossary || isTranslating}
+          className="px-4 py-2 bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center gap-2"
+        >
+          {isBuildingGlossary ? <Loader2 className="w-4 h-4 animate-spin" /> : <Sparkles className="w-4 h-4" />}
+          Suggest glossary
+        </button>
+      </div>
+
+      {targetLanguage && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h5 className="text-sm font-medium text-gray-700">Glossary</h5>
+            <button
+              onClick={() => setGlossary(prev => [...prev, { term: '', translation: '' }])}
+              disabled={isTranslating}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 transition-colors duration-200 flex items-center gap-1"
+            >
+              <Plus className="w-3 h-3" />
+              Add term
+            </button>
+          </div>
+          {glossary.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No terms yet. Suggest a glossary from the story bible and outline, or add names yourself.
+            </p>
+          ) : (
+            glossary.map((entry, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={entry.term}
+                  onChange={(e) => updateEntry(index, { term: e.target.value })}
+                  placeholder="Term"
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <span className="text-gray-400">→</span>
+                <input
+                  type="text"
+                  value={entry.translation}
+                  onChange={(e) => updateEntry(index, { translation: e.target.value })}
+                  placeholder={getLanguageName(targetLanguage)}
+                  title={entry.note}
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  onClick={() => setGlossary(prev => prev.filter((_, i) => i !== index))}
+                  className="p-1 text-gray-500 hover:text-red-600 transition-colors duration-200"
+                  title="Remove term"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={handleTranslate}
+        disabled={!targetLanguage || !hasWrittenSections || disabled || isTranslating || isBuildingGlossary}
+        className="w-full px-4 py-2 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg text-sm transition-colors duration-200 flex items-center justify-center gap-2"
+      >
+        {isTranslating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Languages className="w-4 h-4" />}
+        {progress
+          ? `Translating outline... ${progress.completed}/${progress.total}`
+          : targetLanguage ? `Create ${getLanguageName(targetLanguage)} edition` : 'Create edition'}
+      </button>
+      {!hasWrittenSections && (
+        <p className="text-xs text-gray-500">Write some sections first; there's nothing to translate yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default TranslationPanel;
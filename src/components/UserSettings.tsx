@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { X, Save, User } from 'lucide-react';
 import { getUserProfile, updateUserProfile, UserProfile } from '../services/userService';
+import APISettings from './APISettings';
+import AIUsagePanel from './AIUsagePanel';
+
+type SettingsTab = 'profile' | 'keys' | 'usage';
+
+const TAB_LABELS: Record<SettingsTab, string> = {
+  profile: 'Profile',
+  keys: 'API Keys',
+  usage: 'Usage'
+};
 
 interface UserSettingsProps {
   onClose: () => void;
@@ -11,6 +21,7 @@ const UserSettings: React.FC<UserSettingsProps> = ({ onClose }) => {
   const [defaultAuthorName, setDefaultAuthorName] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [activeTab, setActiveTab] = useState<SettingsTab>('profile');
 
   useEffect(() => {
     loadProfile();
@@ -46,7 +57,7 @@ const UserSettings: React.FC<UserSettingsProps> = ({ onClose }) => {
 
   if (loading) {
     return (
-      <div className="absolute top-full right-0 mt-2 w-80 bg-white rounded-xl shadow-xl border border-gray-200 p-6">
+      <div className="absolute top-full right-0 mt-2 w-96 bg-white rounded-xl shadow-xl border border-gray-200 p-6">
         <div className="flex items-center justify-center">
           <div className="w-6 h-6 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
         </div>
@@ -55,7 +66,7 @@ const UserSettings: React.FC<UserSettingsProps> = ({ onClose }) => {
   }
 
   return (
-    <div className="absolute top-full right-0 mt-2 w-80 bg-white rounded-xl shadow-xl border border-gray-200 p-6">
+    <div className="absolute top-full right-0 mt-2 w-96 bg-white rounded-xl shadow-xl border border-gray-200 p-6">
       <div className="flex items-center justify-between mb-4">
         <div className="flex items-center gap-2">
           <User className="w-5 h-5 text-gray-600" />
@@ -69,45 +80,75 @@ const UserSettings: React.FC<UserSettingsProps> = ({ onClose }) => {
         </button>
       </div>
 
-      <div className="space-y-4">
-        <div>
-          <label htmlFor="defaultAuthor" className="block text-sm font-medium text-gray-700 mb-2">
-            Default Author Name
-          </label>
-          <input
-            type="text"
-            id="defaultAuthor"
-            value={defaultAuthorName}
-            onChange={(e) => setDefaultAuthorName(e.target.value)}
-            placeholder="Enter your author name..."
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-          />
-          <p className="text-xs text-gray-500 mt-1">
-            This will auto-fill when creating new books and appear on generated covers
-          </p>
-        </div>
-
-        <div className="flex gap-2 pt-2">
-          <button
-            onClick={handleSave}
-            disabled={saving}
-            className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 px-4 rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
-          >
-            {saving ? (
-              <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-            ) : (
-              <Save className="w-4 h-4" />
-            )}
-            {saving ? 'Saving...' : 'Save'}
-          </button>
+      <div className="flex gap-2 mb-4">
+        {(Object.keys(TAB_LABELS) as SettingsTab[]).map(tab => (
           <button
-            onClick={onClose}
-            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200"
+            key={tab}
+            onClick={() => setActiveTab(tab)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+              activeTab === tab
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
           >
-            Cancel
+            {TAB_LABELS[tab]}
           </button>
-        </div>
+        ))}
       </div>
+
+      {activeTab === 'keys' && (
+        <div className="max-h-[60vh] overflow-y-auto">
+          <APISettings />
+        </div>
+      )}
+
+      {activeTab === 'usage' && (
+        <div className="max-h-[60vh] overflow-y-auto">
+          <AIUsagePanel />
+        </div>
+      )}
+
+      {activeTab === 'profile' && (
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="defaultAuthor" className="block text-sm font-medium text-gray-700 mb-2">
+              Default Author Name
+            </label>
+            <input
+              type="text"
+              id="defaultAuthor"
+              value={defaultAuthorName}
+              onChange={(e) => setDefaultAuthorName(e.target.value)}
+              placeholder="Enter your author name..."
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              This will auto-fill when creating new books and appear on generated covers
+            </p>
+          </div>
+
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-2 px-4 rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 flex items-center justify-center gap-2"
+            >
+              {saving ? (
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              ) : (
+                <Save className="w-4 h-4" />
+              )}
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors duration-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
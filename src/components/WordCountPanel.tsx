@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Ruler, X } from 'lucide-react';
+import { Book } from '../types';
+import { BOOK_LENGTH_PRESETS, countChapterWords, getWordBudgets } from '../services/lengthService';
+
+interface WordCountPanelProps {
+  book: Book;
+  onUpdateBook: (book: Book) => void;
+  onClose: () => void;
+}
+
+// Within 10% of the target counts as on target
+const progressColor = (actual: number, target: number) =>
+  actual > target * 1.1 ? 'bg-amber-500' : actual >= target * 0.9 ? 'bg-green-500' : 'bg-blue-500';
+
+const parseTarget = (value: string): number | undefined => {
+  const words = Math.round(Number(value.replace(/[^\d]/g, '')));
+  return words > 0 ? words : undefined;
+};
+
+const WordCountPanel: React.FC<WordCountPanelProps> = ({ book, onUpdateBook, onClose }) => {
+  // Targets being typed are kept here and saved when the field loses focus
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+
+  const budgets = getWordBudgets(book);
+  const chapterWords = book.chapters.map(countChapterWords);
+  const totalWords = chapterWords.reduce((total, words) => total + words, 0);
+  const totalTarget = book.targetWordCount || Object.values(budgets.chapters).reduce((total, words) => total + words, 0);
+
+  const setDraft = (key: string, value: string) => setDrafts(prev => ({ ...prev, [key]: value }));
+
+  const clearDraft = (key: string) => setDrafts(prev => {
+    const next = { ...prev };
+    delete next[key];
+    return next;
+  });
+
+  const saveBookTarget = (targetWordCount?: number) => {
+    clearDraft('book');
+    if (targetWordCount !== book.targetWordCount) {
+      onUpdateBook({ ...book, targetWordCount });
+    }
+  };
+
+  const saveChapterTarget = (chapterId: string) => {
+    if (drafts[chapterId] === undefined) return;
+    const targetWordCount = parseTarget(drafts[chapterId]);
+    clearDraft(chapterId);
+    if (targetWordCount === book.chapters.find(chapter => chapter.id === chapterId)?.targetWordCount) return;
+
+    onUpdateBook({
+      ...book,
+      chapters: book.chapters.map(chapter => chapter.id === chapterId ? { ...chapter, targetWordCount } : chapter)
+    });
+  };
+
+  const blurOnEnter = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') e.currentTarget.blur();
+  };
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Ruler className="w-5 h-5 text-gray-600" />
+          <h4 className="font-medium text-gray-900">Word Count</h4>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="bookTargetWords" className="text-sm text-gray-700">Book target</label>
+        <input
+          id="bookTargetWords"
+          type="text"
+          inputMode="numeric"
+          value={drafts.book ?? (book.targetWordCount ? String(book.targetWordCount) : '')}
+          onChange={(e) => setDraft('book', e.target.value)}
+          onBlur={() => drafts.book !== undefined && saveBookTarget(parseTarget(drafts.book))}
+          onKeyDown={blurOnEnter}
+          placeholder="No target"
+          className="w-32 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <span className="text-sm text-gray-500">words</span>
+        {BOOK_LENGTH_PRESETS.map(preset => (
+          <button
+            key={preset.words}
+            onClick={() => saveBookTarget(preset.words)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+              book.targetWordCount === preset.words
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-1 text-sm">
+          <span className="font-medium text-gray-700">Whole book</span>
+          <span className="text-gray-600">
+            {totalWords.toLocaleString()}{totalTarget ? ` / ${totalTarget.toLocaleString()}` : ''} words
+          </span>
+        </div>
+        {totalTarget > 0 && (
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full transition-all duration-300 ${progressColor(totalWords, totalTarget)}`}
+              style={{ width: `${Math.min(100, (totalWords / totalTarget) * 100)}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-500 border-b border-gray-200">
+            <tr>
+              <th className="px-3 py-2 font-medium">Chapter</th>
+              <th className="px-3 py-2 font-medium text-right">Words</th>
+              <th className="px-3 py-2 font-medium text-right">Target</th>
+              <th className="px-3 py-2 font-medium w-1/4">Progress</th>
+            </tr>
+          </thead>
+          <tbody>
+            {book.chapters.map((chapter, index) => {
+              const target = budgets.chapters[chapter.id];
+              const words = chapterWords[index];
+              return (
+                <tr key={chapter.id} className="border-b border-gray-100 last:border-0">
+                  <td className="px-3 py-2 text-gray-800">{index + 1}. {chapter.title}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{words.toLocaleString()}</td>
+                  <td className="px-3 py-2 text-right">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      value={drafts[chapter.id] ?? (chapter.targetWordCount ? String(chapter.targetWordCount) : '')}
+                      onChange={(e) => setDraft(chapter.id, e.target.value)}
+                      onBlur={() => saveChapterTarget(chapter.id)}
+                      onKeyDown={blurOnEnter}
+                      placeholder={target ? target.toLocaleString() : '—'}
+                      title="Leave empty to share the book's target"
+                      className="w-24 px-2 py-1 border border-gray-300 rounded text-right text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    {target ? (
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full transition-all duration-300 ${progressColor(words, target)}`}
+                          style={{ width: `${Math.min(100, (words / target) * 100)}%` }}
+                        />
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-400">No target</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Chapters without their own target share what is left of the book's target, and each chapter's target is split evenly across its sections.
+        Sections longer than about 1,500 words are written in several passes.
+      </p>
+    </div>
+  );
+};
+
+export default WordCountPanel;
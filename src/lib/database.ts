@@ -1,296 +1,301 @@
-// Browser-compatible local storage database implementation
-interface User {
+// Browser-side IndexedDB store that keeps books, personas, audiobooks and covers available offline
+import { AudiobookData, Book, WritingPersona } from '../types';
+
+const DB_NAME = 'unstack-local';
+const DB_VERSION = 2;
+
+const STORES = {
+  BOOKS: 'books',
+  PERSONAS: 'personas',
+  AUDIOBOOKS: 'audiobooks',
+  COVERS: 'covers',
+  MUTATIONS: 'mutations'
+} as const;
+
+type StoreName = typeof STORES[keyof typeof STORES];
+
+// A book as this device knows it, plus what is needed to sync it
+export interface LocalBookRecord {
   id: string;
-  email: string;
-  password: string;
-  created_at: string;
+  userId: string;
+  book: Book;
+  // When the book was last changed on this device
+  updatedAt: string;
+  // The server's updated_at the last time the two copies matched; unset until the first sync
+  serverUpdatedAt?: string;
+  dirty: boolean;
+  deleted?: boolean;
+  conflict?: {
+    serverBook: Book;
+    serverUpdatedAt: string;
+    detectedAt: string;
+  };
 }
 
-interface DatabaseBook {
+interface LocalPersonaRecord {
   id: string;
-  user_id: string;
-  title: string;
-  description: string | null;
-  genre: string | null;
-  sub_genre: string | null;
-  tone: string | null;
-  heat_level: string | null;
-  perspective: string | null;
-  target_audience: string | null;
-  cover_url: string | null;
-  status: string;
-  created_at: string;
-  updated_at: string;
+  userId: string;
+  persona: WritingPersona;
 }
 
-interface DatabaseChapter {
-  id: string;
-  book_id: string;
-  title: string;
-  description: string | null;
-  status: string;
-  order_index: number;
-  created_at: string;
-  updated_at: string;
+// Audio blobs are stored as-is; object URLs don't survive a reload so they are never kept
+interface LocalAudiobookRecord {
+  bookId: string;
+  audiobook: AudiobookData;
 }
 
-interface DatabaseSubChapter {
-  id: string;
-  chapter_id: string;
-  title: string;
-  description: string | null;
-  content: string | null;
-  status: string;
-  order_index: number;
-  created_at: string;
-  updated_at: string;
+// Linked covers are downloaded once; the book keeps the link, and sourceUrl shows which link the image came from
+export interface LocalCoverRecord {
+  bookId: string;
+  sourceUrl: string;
+  image: Blob;
 }
 
-// Generate UUID v4
-const generateUUID = (): string => {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-};
+export type MutationType = 'saveBook' | 'deleteBook';
 
-// Storage keys
-const STORAGE_KEYS = {
-  USERS: 'book_app_users',
-  BOOKS: 'book_app_books',
-  CHAPTERS: 'book_app_chapters',
-  SUB_CHAPTERS: 'book_app_sub_chapters'
-};
+// Later changes to the same book replace the queued one, so each book has at most one mutation
+export interface QueuedMutation {
+  key: string;
+  type: MutationType;
+  entityId: string;
+  userId: string;
+  queuedAt: string;
+  attempts: number;
+  lastError?: string;
+  // Rejected in a way retrying won't fix; left out of syncs until the book is saved again
+  failed?: boolean;
+}
 
-// Helper functions for localStorage operations
-const getFromStorage = <T>(key: string): T[] => {
-  try {
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : [];
-  } catch {
-    return [];
-  }
-};
+let dbPromise: Promise<IDBDatabase> | null = null;
+const queueListeners = new Set<() => void>();
+
+const openDatabase = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support offline storage'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORES.BOOKS)) {
+          db.createObjectStore(STORES.BOOKS, { keyPath: 'id' }).createIndex('userId', 'userId');
+        }
+        if (!db.objectStoreNames.contains(STORES.PERSONAS)) {
+          db.createObjectStore(STORES.PERSONAS, { keyPath: 'id' }).createIndex('userId', 'userId');
+        }
+        if (!db.objectStoreNames.contains(STORES.AUDIOBOOKS)) {
+          db.createObjectStore(STORES.AUDIOBOOKS, { keyPath: 'bookId' });
+        }
+        if (!db.objectStoreNames.contains(STORES.COVERS)) {
+          db.createObjectStore(STORES.COVERS, { keyPath: 'bookId' });
+        }
+        if (!db.objectStoreNames.contains(STORES.MUTATIONS)) {
+          db.createObjectStore(STORES.MUTATIONS, { keyPath: 'key' });
+        }
+      };
 
-const saveToStorage = <T>(key: string, data: T[]): void => {
-  try {
-    localStorage.setItem(key, JSON.stringify(data));
-  } catch (error) {
-    console.error('Failed to save to localStorage:', error);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error || new Error('Failed to open offline storage'));
+      };
+    });
   }
+  return dbPromise;
 };
 
-// User management
-export const createUser = (email: string, password: string) => {
-  const users = getFromStorage<User>(STORAGE_KEYS.USERS);
-  
-  // Check if user already exists
-  if (users.find(u => u.email === email)) {
-    throw new Error('User with this email already exists');
-  }
-  
-  const id = generateUUID();
-  const hashedPassword = btoa(password); // Simple base64 encoding (not secure for production)
-  
-  const newUser: User = {
-    id,
-    email,
-    password: hashedPassword,
-    created_at: new Date().toISOString()
-  };
-  
-  users.push(newUser);
-  saveToStorage(STORAGE_KEYS.USERS, users);
-  
-  return { id, email };
+const promisify = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs work inside one transaction and resolves once it has committed
+const withStore = async <T>(
+  storeName: StoreName,
+  mode: IDBTransactionMode,
+  work: (store: IDBObjectStore) => Promise<T> | T
+): Promise<T> => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const done = new Promise<void>((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Offline storage transaction aborted'));
+  });
+
+  const result = await work(transaction.objectStore(storeName));
+  await done;
+  return result;
 };
 
-export const authenticateUser = (email: string, password: string) => {
-  const users = getFromStorage<User>(STORAGE_KEYS.USERS);
-  const hashedPassword = btoa(password);
-  
-  const user = users.find(u => u.email === email && u.password === hashedPassword);
-  return user ? { id: user.id, email: user.email } : undefined;
+const getByUser = <T>(storeName: StoreName, userId: string): Promise<T[]> =>
+  withStore(storeName, 'readonly', store => promisify(store.index('userId').getAll(userId) as IDBRequest<T[]>));
+
+// Book records
+
+export const getLocalBook = (bookId: string): Promise<LocalBookRecord | undefined> =>
+  withStore(STORES.BOOKS, 'readonly', store => promisify(store.get(bookId) as IDBRequest<LocalBookRecord | undefined>));
+
+export const getLocalBooks = (userId: string): Promise<LocalBookRecord[]> =>
+  getByUser<LocalBookRecord>(STORES.BOOKS, userId);
+
+export const putLocalBook = (record: LocalBookRecord): Promise<void> =>
+  withStore(STORES.BOOKS, 'readwrite', async store => {
+    await promisify(store.put(record));
+  });
+
+/**
+ * Reads, changes and writes a book record in a single transaction, so sections
+ * saved in parallel by the generation queue can't overwrite each other.
+ * Returning undefined from the updater leaves the record unchanged.
+ */
+export const updateLocalBook = (
+  bookId: string,
+  updater: (record: LocalBookRecord) => LocalBookRecord | undefined
+): Promise<LocalBookRecord | undefined> =>
+  withStore(STORES.BOOKS, 'readwrite', async store => {
+    const record = await promisify(store.get(bookId) as IDBRequest<LocalBookRecord | undefined>);
+    if (!record) return undefined;
+
+    const updated = updater(record);
+    if (!updated) return record;
+    await promisify(store.put(updated));
+    return updated;
+  });
+
+export const deleteLocalBook = async (bookId: string): Promise<void> => {
+  await withStore(STORES.BOOKS, 'readwrite', async store => {
+    await promisify(store.delete(bookId));
+  });
+  await deleteLocalAudiobook(bookId);
+  await deleteLocalCover(bookId);
 };
 
-export const getUserById = (id: string) => {
-  const users = getFromStorage<User>(STORAGE_KEYS.USERS);
-  const user = users.find(u => u.id === id);
-  return user ? { id: user.id, email: user.email } : undefined;
+// Audiobooks
+
+export const getLocalAudiobook = async (bookId: string): Promise<AudiobookData | undefined> => {
+  const record = await withStore(STORES.AUDIOBOOKS, 'readonly', store =>
+    promisify(store.get(bookId) as IDBRequest<LocalAudiobookRecord | undefined>)
+  );
+  return record?.audiobook;
 };
 
-// Book management
-export const saveBook = (book: any, userId: string) => {
-  const now = new Date().toISOString();
-  
-  // Save book
-  const books = getFromStorage<DatabaseBook>(STORAGE_KEYS.BOOKS);
-  const existingBookIndex = books.findIndex(b => b.id === book.id);
-  
-  const dbBook: DatabaseBook = {
-    id: book.id,
-    user_id: userId,
-    title: book.title,
-    description: book.description,
-    genre: book.genre,
-    sub_genre: book.subGenre,
-    tone: book.tone,
-    heat_level: book.heatLevel,
-    perspective: book.perspective,
-    target_audience: book.targetAudience,
-    cover_url: book.coverUrl,
-    status: book.status,
-    created_at: existingBookIndex >= 0 ? books[existingBookIndex].created_at : now,
-    updated_at: now
-  };
-  
-  if (existingBookIndex >= 0) {
-    books[existingBookIndex] = dbBook;
-  } else {
-    books.push(dbBook);
-  }
-  saveToStorage(STORAGE_KEYS.BOOKS, books);
-
-  // Save chapters
-  if (book.chapters) {
-    const chapters = getFromStorage<DatabaseChapter>(STORAGE_KEYS.CHAPTERS);
-    const subChapters = getFromStorage<DatabaseSubChapter>(STORAGE_KEYS.SUB_CHAPTERS);
-    
-    // Remove existing chapters for this book
-    const filteredChapters = chapters.filter(c => c.book_id !== book.id);
-    const filteredSubChapters = subChapters.filter(sc => {
-      const chapter = chapters.find(c => c.id === sc.chapter_id);
-      return !chapter || chapter.book_id !== book.id;
-    });
+export const putLocalAudiobook = (bookId: string, audiobook: AudiobookData): Promise<void> =>
+  withStore(STORES.AUDIOBOOKS, 'readwrite', async store => {
+    const stored: AudiobookData = {
+      ...audiobook,
+      audioChapters: audiobook.audioChapters.map(chapter => ({ ...chapter, audioUrl: undefined }))
+    };
+    await promisify(store.put({ bookId, audiobook: stored }));
+  });
 
-    book.chapters.forEach((chapter: any, chapterIndex: number) => {
-      const dbChapter: DatabaseChapter = {
-        id: chapter.id,
-        book_id: book.id,
-        title: chapter.title,
-        description: chapter.description,
-        status: chapter.status,
-        order_index: chapterIndex,
-        created_at: now,
-        updated_at: now
-      };
-      filteredChapters.push(dbChapter);
-
-      if (chapter.subChapters) {
-        chapter.subChapters.forEach((subChapter: any, subIndex: number) => {
-          const dbSubChapter: DatabaseSubChapter = {
-            id: subChapter.id,
-            chapter_id: chapter.id,
-            title: subChapter.title,
-            description: subChapter.description,
-            content: subChapter.content,
-            status: subChapter.status,
-            order_index: subIndex,
-            created_at: now,
-            updated_at: now
-          };
-          filteredSubChapters.push(dbSubChapter);
-        });
-      }
-    });
+export const deleteLocalAudiobook = (bookId: string): Promise<void> =>
+  withStore(STORES.AUDIOBOOKS, 'readwrite', async store => {
+    await promisify(store.delete(bookId));
+  });
 
-    saveToStorage(STORAGE_KEYS.CHAPTERS, filteredChapters);
-    saveToStorage(STORAGE_KEYS.SUB_CHAPTERS, filteredSubChapters);
-  }
+// Covers
+
+export const getLocalCover = (bookId: string): Promise<LocalCoverRecord | undefined> =>
+  withStore(STORES.COVERS, 'readonly', store => promisify(store.get(bookId) as IDBRequest<LocalCoverRecord | undefined>));
+
+export const putLocalCover = (record: LocalCoverRecord): Promise<void> =>
+  withStore(STORES.COVERS, 'readwrite', async store => {
+    await promisify(store.put(record));
+  });
+
+export const deleteLocalCover = (bookId: string): Promise<void> =>
+  withStore(STORES.COVERS, 'readwrite', async store => {
+    await promisify(store.delete(bookId));
+  });
+
+// Personas are a read cache of the server copy
 
-  return book;
+export const getLocalPersonas = async (userId: string): Promise<WritingPersona[]> => {
+  const records = await getByUser<LocalPersonaRecord>(STORES.PERSONAS, userId);
+  return records.map(record => record.persona);
 };
 
-export const loadBook = (bookId: string, userId: string) => {
-  const books = getFromStorage<DatabaseBook>(STORAGE_KEYS.BOOKS);
-  const book = books.find(b => b.id === bookId && b.user_id === userId);
-  
-  if (!book) return null;
-
-  const chapters = getFromStorage<DatabaseChapter>(STORAGE_KEYS.CHAPTERS);
-  const subChapters = getFromStorage<DatabaseSubChapter>(STORAGE_KEYS.SUB_CHAPTERS);
-  
-  const bookChapters = chapters
-    .filter(c => c.book_id === bookId)
-    .sort((a, b) => a.order_index - b.order_index);
-
-  const chaptersWithSubChapters = bookChapters.map(chapter => {
-    const chapterSubChapters = subChapters
-      .filter(sc => sc.chapter_id === chapter.id)
-      .sort((a, b) => a.order_index - b.order_index);
-    
-    return {
-      id: chapter.id,
-      title: chapter.title,
-      description: chapter.description,
-      status: chapter.status,
-      expanded: false,
-      subChapters: chapterSubChapters.map(subChapter => ({
-        id: subChapter.id,
-        title: subChapter.title,
-        description: subChapter.description,
-        content: subChapter.content,
-        status: subChapter.status
-      }))
-    };
+export const replaceLocalPersonas = (userId: string, personas: WritingPersona[]): Promise<void> =>
+  withStore(STORES.PERSONAS, 'readwrite', async store => {
+    const existing = await promisify(store.index('userId').getAllKeys(userId));
+    await Promise.all(existing.map(key => promisify(store.delete(key))));
+    await Promise.all(personas.map(persona => promisify(store.put({ id: persona.id, userId, persona }))));
+  });
+
+export const putLocalPersona = (userId: string, persona: WritingPersona): Promise<void> =>
+  withStore(STORES.PERSONAS, 'readwrite', async store => {
+    await promisify(store.put({ id: persona.id, userId, persona }));
   });
 
-  return {
-    id: book.id,
-    title: book.title,
-    description: book.description,
-    genre: book.genre,
-    subGenre: book.sub_genre,
-    tone: book.tone,
-    heatLevel: book.heat_level,
-    perspective: book.perspective,
-    targetAudience: book.target_audience,
-    coverUrl: book.cover_url,
-    status: book.status,
-    chapters: chaptersWithSubChapters
+export const deleteLocalPersona = (personaId: string): Promise<void> =>
+  withStore(STORES.PERSONAS, 'readwrite', async store => {
+    await promisify(store.delete(personaId));
+  });
+
+// Mutation queue
+
+const notifyQueueChange = () => queueListeners.forEach(listener => listener());
+
+export const onQueueChange = (listener: () => void): (() => void) => {
+  queueListeners.add(listener);
+  return () => {
+    queueListeners.delete(listener);
   };
 };
 
-export const loadAllBooks = (userId: string) => {
-  const books = getFromStorage<DatabaseBook>(STORAGE_KEYS.BOOKS);
-  
-  const userBooks = books
-    .filter(b => b.user_id === userId)
-    .sort((a, b) => new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime());
-  
-  return userBooks.map(book => ({
-    id: book.id,
-    title: book.title,
-    description: book.description,
-    genre: book.genre,
-    subGenre: book.sub_genre,
-    tone: book.tone,
-    heatLevel: book.heat_level,
-    perspective: book.perspective,
-    targetAudience: book.target_audience,
-    coverUrl: book.cover_url,
-    status: book.status,
-    chapters: [] // Will be loaded separately when needed
-  }));
+export const queueMutation = async (type: MutationType, entityId: string, userId: string): Promise<void> => {
+  const mutation: QueuedMutation = {
+    key: `book:${entityId}`,
+    type,
+    entityId,
+    userId,
+    queuedAt: new Date().toISOString(),
+    attempts: 0
+  };
+  await withStore(STORES.MUTATIONS, 'readwrite', async store => {
+    await promisify(store.put(mutation));
+  });
+  notifyQueueChange();
 };
 
-export const deleteBook = (bookId: string, userId: string) => {
-  // Remove book
-  const books = getFromStorage<DatabaseBook>(STORAGE_KEYS.BOOKS);
-  const filteredBooks = books.filter(b => !(b.id === bookId && b.user_id === userId));
-  saveToStorage(STORAGE_KEYS.BOOKS, filteredBooks);
-  
-  // Remove chapters
-  const chapters = getFromStorage<DatabaseChapter>(STORAGE_KEYS.CHAPTERS);
-  const bookChapterIds = chapters.filter(c => c.book_id === bookId).map(c => c.id);
-  const filteredChapters = chapters.filter(c => c.book_id !== bookId);
-  saveToStorage(STORAGE_KEYS.CHAPTERS, filteredChapters);
-  
-  // Remove sub-chapters
-  const subChapters = getFromStorage<DatabaseSubChapter>(STORAGE_KEYS.SUB_CHAPTERS);
-  const filteredSubChapters = subChapters.filter(sc => !bookChapterIds.includes(sc.chapter_id));
-  saveToStorage(STORAGE_KEYS.SUB_CHAPTERS, filteredSubChapters);
+export const getQueuedMutations = async (userId: string): Promise<QueuedMutation[]> => {
+  const mutations = await withStore(STORES.MUTATIONS, 'readonly', store =>
+    promisify(store.getAll() as IDBRequest<QueuedMutation[]>)
+  );
+  return mutations
+    .filter(mutation => mutation.userId === userId)
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
 };
 
-export default null; // No database instance needed for localStorage implementation
\ No newline at end of file
+// Only removes the mutation if nothing newer has replaced it since it was read
+export const completeMutation = (mutation: QueuedMutation): Promise<void> =>
+  withStore(STORES.MUTATIONS, 'readwrite', async store => {
+    const current = await promisify(store.get(mutation.key) as IDBRequest<QueuedMutation | undefined>);
+    if (current && current.queuedAt === mutation.queuedAt) {
+      await promisify(store.delete(mutation.key));
+    }
+  });
+
+export const recordMutationFailure = (mutation: QueuedMutation, error: string, permanent: boolean = false): Promise<void> =>
+  withStore(STORES.MUTATIONS, 'readwrite', async store => {
+    const current = await promisify(store.get(mutation.key) as IDBRequest<QueuedMutation | undefined>);
+    if (current && current.queuedAt === mutation.queuedAt) {
+      await promisify(store.put({ ...current, attempts: current.attempts + 1, lastError: error, failed: permanent || undefined }));
+    }
+  });
+
+export const removeMutation = async (type: MutationType, entityId: string): Promise<void> => {
+  await withStore(STORES.MUTATIONS, 'readwrite', async store => {
+    const current = await promisify(store.get(`book:${entityId}`) as IDBRequest<QueuedMutation | undefined>);
+    if (current && current.type === type) {
+      await promisify(store.delete(current.key));
+    }
+  });
+  notifyQueueChange();
+};
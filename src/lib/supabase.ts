@@ -39,6 +39,27 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   }
 });
 
+// Reads the signed-in user from the stored session, so it also works offline
+export const getSessionUser = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user ?? null;
+};
+
+// The API returns at most 1000 rows per request, so long results are read a page at a time
+const PAGE_SIZE = 1000;
+
+export const fetchAllRows = async <T>(
+  fetchPage: (from: number, to: number) => PromiseLike<{ data: T[] | null; error: unknown }>
+): Promise<T[]> => {
+  const rows: T[] = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await fetchPage(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
 // Test connection function
 export const testSupabaseConnection = async () => {
   try {
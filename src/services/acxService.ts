@@ -0,0 +1,106 @@
+import { AcxChapterReport, AcxMetric, AcxReport, AudiobookData, AudioChapter } from '../types';
+import { decodeWav, PcmAudio } from './audioService';
+
+// ACX audio submission requirements, checked per chapter file
+export const ACX_REQUIREMENTS = {
+  rms: { min: -23, max: -18, label: 'RMS between -23 dB and -18 dB' },
+  peak: { max: -3, label: 'Peaks at or below -3 dB' },
+  noiseFloor: { max: -60, label: 'Noise floor at or below -60 dB' },
+  headSilence: { min: 0.5, max: 1, label: '0.5 to 1 second of room tone at the start' },
+  tailSilence: { min: 1, max: 5, label: '1 to 5 seconds of room tone at the end' },
+  length: { max: 120 * 60, label: 'No longer than 120 minutes' }
+};
+
+const FULL_SCALE = 32768;
+const NOISE_WINDOW_SECONDS = 0.5;
+// Anything quieter than this is treated as silence when measuring head and tail room tone
+const SILENCE_THRESHOLD_DB = -50;
+
+const toDb = (amplitude: number) => 20 * Math.log10(amplitude / FULL_SCALE);
+
+const measureRms = (samples: Int16Array, start = 0, end = samples.length): number => {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / Math.max(1, end - start));
+};
+
+// The quietest half-second window stands in for the room tone between phrases
+const measureNoiseFloor = (audio: PcmAudio): number => {
+  const windowSize = Math.round(audio.sampleRate * NOISE_WINDOW_SECONDS);
+  if (audio.samples.length < windowSize) return toDb(measureRms(audio.samples));
+
+  let quietest = Infinity;
+  for (let start = 0; start + windowSize <= audio.samples.length; start += windowSize) {
+    quietest = Math.min(quietest, measureRms(audio.samples, start, start + windowSize));
+  }
+  return toDb(quietest);
+};
+
+const measureSilence = (audio: PcmAudio, fromEnd: boolean): number => {
+  const threshold = FULL_SCALE * Math.pow(10, SILENCE_THRESHOLD_DB / 20);
+  const { samples } = audio;
+
+  for (let i = 0; i < samples.length; i++) {
+    const index = fromEnd ? samples.length - 1 - i : i;
+    if (Math.abs(samples[index]) > threshold) return i / audio.sampleRate;
+  }
+  return samples.length / audio.sampleRate;
+};
+
+export const analyzeChapterAudio = (chapter: AudioChapter, audio: PcmAudio): AcxChapterReport => {
+  let peak = 0;
+  for (let i = 0; i < audio.samples.length; i++) {
+    peak = Math.max(peak, Math.abs(audio.samples[i]));
+  }
+
+  const report: AcxChapterReport = {
+    chapterId: chapter.chapterId,
+    title: chapter.title,
+    rmsDb: toDb(measureRms(audio.samples)),
+    peakDb: toDb(peak),
+    noiseFloorDb: measureNoiseFloor(audio),
+    headSilence: measureSilence(audio, false),
+    tailSilence: measureSilence(audio, true),
+    duration: audio.samples.length / audio.sampleRate,
+    sampleRate: audio.sampleRate,
+    failures: []
+  };
+
+  const failures: [AcxMetric, boolean][] = [
+    ['rms', report.rmsDb < ACX_REQUIREMENTS.rms.min || report.rmsDb > ACX_REQUIREMENTS.rms.max],
+    ['peak', report.peakDb > ACX_REQUIREMENTS.peak.max],
+    ['noiseFloor', report.noiseFloorDb > ACX_REQUIREMENTS.noiseFloor.max],
+    ['headSilence', report.headSilence < ACX_REQUIREMENTS.headSilence.min || report.headSilence > ACX_REQUIREMENTS.headSilence.max],
+    ['tailSilence', report.tailSilence < ACX_REQUIREMENTS.tailSilence.min || report.tailSilence > ACX_REQUIREMENTS.tailSilence.max],
+    ['length', report.duration > ACX_REQUIREMENTS.length.max]
+  ];
+  report.failures = failures.filter(([, failed]) => failed).map(([metric]) => metric);
+
+  return report;
+};
+
+// Chapters are decoded one at a time so a long book never sits in memory at once
+export const checkAcxCompliance = async (
+  audiobook: AudiobookData,
+  onProgress?: (progress: number, currentChapter: string) => void
+): Promise<AcxReport> => {
+  const completed = audiobook.audioChapters.filter(chapter => chapter.status === 'completed' && chapter.audioBlob);
+  const chapters: AcxChapterReport[] = [];
+
+  for (const [index, chapter] of completed.entries()) {
+    onProgress?.(index / completed.length, chapter.title);
+    const audio = decodeWav(await chapter.audioBlob!.arrayBuffer());
+    chapters.push(analyzeChapterAudio(chapter, audio));
+  }
+
+  onProgress?.(1, 'Completed');
+
+  return {
+    chapters,
+    passed: chapters.length > 0 && chapters.every(chapter => chapter.failures.length === 0),
+    checkedAt: new Date().toISOString()
+  };
+};
+
+export const formatDb = (value: number): string =>
+  Number.isFinite(value) ? `${value.toFixed(1)} dB` : 'silent';
@@ -0,0 +1,157 @@
+import { fetchAllRows, supabase } from '../lib/supabase';
+import { AIAccount, AIProxyProvider, AIUsageContext, AIUsageRecord } from '../types';
+
+// The ai-proxy edge function; VITE_AI_PROXY_URL points the app at a different deployment
+const AI_PROXY_URL = (
+  import.meta.env.VITE_AI_PROXY_URL || `${import.meta.env.VITE_SUPABASE_URL}/functions/v1/ai-proxy`
+).replace(/\/+$/, '');
+
+export const AI_PROVIDER_LABELS: Record<AIProxyProvider, string> = {
+  gemini: 'Google Gemini',
+  openai: 'OpenAI',
+  perplexity: 'Perplexity'
+};
+
+export interface UsageTotals {
+  key: string;
+  calls: number;
+  inputTokens: number;
+  outputTokens: number;
+  images: number;
+  characters: number;
+  costUsd: number;
+}
+
+const getAuthHeaders = async (): Promise<Record<string, string>> => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('Sign in to use AI features.');
+
+  return {
+    Authorization: `Bearer ${session.access_token}`,
+    apikey: import.meta.env.VITE_SUPABASE_ANON_KEY
+  };
+};
+
+// Errors from the proxy itself (no key, budget used up) carry a readable message;
+// provider errors are passed back unchanged for the caller's own handling
+const throwIfProxyError = async (response: Response) => {
+  if (!response.headers.get('X-AI-Proxy-Error')) return;
+
+  const data = await response.json().catch(() => null);
+  throw new Error(data?.error?.message || `AI proxy error: ${response.status}`);
+};
+
+/**
+ * Posts a JSON request to a hosted provider through the AI proxy, which adds
+ * the API key and records the call's usage against the book and operation.
+ * Returns the provider's response as is.
+ */
+export const proxyFetch = async (
+  provider: AIProxyProvider,
+  path: string,
+  body: unknown,
+  usage?: AIUsageContext
+): Promise<Response> => {
+  const response = await fetch(`${AI_PROXY_URL}/${provider}/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders()),
+      ...(usage ? { 'X-Usage-Operation': usage.operation } : {}),
+      ...(usage?.bookId ? { 'X-Usage-Book-Id': usage.bookId } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  await throwIfProxyError(response);
+  return response;
+};
+
+const requestAccount = async (path: string, method: 'GET' | 'PUT' | 'DELETE', body?: unknown): Promise<AIAccount> => {
+  const response = await fetch(`${AI_PROXY_URL}/${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  await throwIfProxyError(response);
+  if (!response.ok) {
+    throw new Error(`AI proxy error: ${response.status}`);
+  }
+  return response.json();
+};
+
+export const getAIAccount = (): Promise<AIAccount> => requestAccount('account', 'GET');
+
+// Keys are encrypted by the proxy and never sent back to the browser
+export const saveProviderKey = (provider: AIProxyProvider, apiKey: string): Promise<AIAccount> =>
+  requestAccount(`keys/${provider}`, 'PUT', { apiKey });
+
+export const deleteProviderKey = (provider: AIProxyProvider): Promise<AIAccount> =>
+  requestAccount(`keys/${provider}`, 'DELETE');
+
+interface AIUsageRow {
+  id: string;
+  book_id: string | null;
+  operation: AIUsageRecord['operation'];
+  provider: AIUsageRecord['provider'];
+  model: string;
+  key_source: AIUsageRecord['keySource'];
+  input_tokens: number | null;
+  output_tokens: number | null;
+  images: number | null;
+  characters: number | null;
+  cost_usd: number | string | null;
+  created_at: string;
+}
+
+export const loadUsageSince = async (since: string): Promise<AIUsageRecord[]> => {
+  // A busy month runs past the API's row limit, and the totals must count every call
+  const rows = await fetchAllRows<AIUsageRow>((from, to) => supabase
+    .from('ai_usage')
+    .select('*')
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .order('id')
+    .range(from, to));
+
+  return rows.map(row => ({
+    id: row.id,
+    bookId: row.book_id || undefined,
+    operation: row.operation,
+    provider: row.provider,
+    model: row.model,
+    keySource: row.key_source,
+    inputTokens: row.input_tokens || 0,
+    outputTokens: row.output_tokens || 0,
+    images: row.images || 0,
+    characters: row.characters || 0,
+    costUsd: Number(row.cost_usd || 0),
+    createdAt: row.created_at
+  }));
+};
+
+// Adds up usage records by book, operation or any other key, most expensive first
+export const summarizeUsage = (
+  records: AIUsageRecord[],
+  getKey: (record: AIUsageRecord) => string
+): UsageTotals[] => {
+  const totals = new Map<string, UsageTotals>();
+
+  records.forEach(record => {
+    const key = getKey(record);
+    const total = totals.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, images: 0, characters: 0, costUsd: 0 };
+    total.calls++;
+    total.inputTokens += record.inputTokens;
+    total.outputTokens += record.outputTokens;
+    total.images += record.images;
+    total.characters += record.characters;
+    total.costUsd += record.costUsd;
+    totals.set(key, total);
+  });
+
+  return Array.from(totals.values()).sort((a, b) => b.costUsd - a.costUsd);
+};
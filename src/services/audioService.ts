@@ -0,0 +1,187 @@
+// Mono 16-bit PCM is the common format every TTS engine's output is converted to
+export interface PcmAudio {
+  sampleRate: number;
+  samples: Int16Array;
+}
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+const readTag = (view: DataView, offset: number) =>
+  String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+export const isWav = (buffer: ArrayBuffer): boolean => {
+  if (buffer.byteLength < 12) return false;
+  const view = new DataView(buffer);
+  return readTag(view, 0) === 'RIFF' && readTag(view, 8) === 'WAVE';
+};
+
+const clampToInt16 = (value: number) => Math.max(-32768, Math.min(32767, Math.round(value)));
+
+const downmixToMono = (channelData: Float32Array[], length: number): Int16Array => {
+  const samples = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (const channel of channelData) sum += channel[i];
+    samples[i] = clampToInt16((sum / channelData.length) * 32767);
+  }
+  return samples;
+};
+
+export const decodeWav = (buffer: ArrayBuffer): PcmAudio => {
+  if (!isWav(buffer)) {
+    throw new Error('Audio is not a WAV file');
+  }
+
+  const view = new DataView(buffer);
+  let offset = 12;
+  let format = 0;
+  let channels = 0;
+  let sampleRate = 0;
+  let bitsPerSample = 0;
+  let dataOffset = -1;
+  let dataLength = 0;
+
+  while (offset + 8 <= buffer.byteLength) {
+    const tag = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (tag === 'fmt ') {
+      format = view.getUint16(body, true);
+      channels = view.getUint16(body + 2, true);
+      sampleRate = view.getUint32(body + 4, true);
+      bitsPerSample = view.getUint16(body + 14, true);
+      if (format === WAV_FORMAT_EXTENSIBLE && size >= 26) {
+        format = view.getUint16(body + 24, true);
+      }
+    } else if (tag === 'data') {
+      dataOffset = body;
+      // Streaming servers write a placeholder size because the length isn't known up front
+      dataLength = size === 0 || body + size > buffer.byteLength ? buffer.byteLength - body : size;
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (dataOffset < 0 || channels === 0 || sampleRate === 0) {
+    throw new Error('WAV file is missing its format or data chunk');
+  }
+  if (format !== WAV_FORMAT_PCM && format !== WAV_FORMAT_FLOAT) {
+    throw new Error(`Unsupported WAV encoding (format ${format})`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / (bytesPerSample * channels));
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const position = dataOffset + (frame * channels + channel) * bytesPerSample;
+      let value: number;
+      if (format === WAV_FORMAT_FLOAT) {
+        value = bitsPerSample === 64 ? view.getFloat64(position, true) : view.getFloat32(position, true);
+      } else if (bitsPerSample === 8) {
+        value = (view.getUint8(position) - 128) / 128;
+      } else if (bitsPerSample === 16) {
+        value = view.getInt16(position, true) / 32768;
+      } else if (bitsPerSample === 24) {
+        const int = view.getUint8(position) | (view.getUint8(position + 1) << 8) | (view.getInt8(position + 2) << 16);
+        value = int / 8388608;
+      } else if (bitsPerSample === 32) {
+        value = view.getInt32(position, true) / 2147483648;
+      } else {
+        throw new Error(`Unsupported WAV bit depth (${bitsPerSample})`);
+      }
+      channelData[channel][frame] = value;
+    }
+  }
+
+  return { sampleRate, samples: downmixToMono(channelData, frameCount) };
+};
+
+// Anything that isn't WAV (MP3, Opus, ...) goes through the browser's decoder
+export const decodeAudio = async (buffer: ArrayBuffer): Promise<PcmAudio> => {
+  if (isWav(buffer)) return decodeWav(buffer);
+
+  const OfflineContext = window.OfflineAudioContext ||
+    (window as Window & { webkitOfflineAudioContext?: typeof OfflineAudioContext }).webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('This browser cannot decode the audio returned by the speech engine');
+  }
+
+  const context = new OfflineContext(1, 1, 44100);
+  const decoded = await context.decodeAudioData(buffer.slice(0));
+  const channelData = Array.from({ length: decoded.numberOfChannels }, (_, channel) => decoded.getChannelData(channel));
+  return { sampleRate: decoded.sampleRate, samples: downmixToMono(channelData, decoded.length) };
+};
+
+export const resample = (audio: PcmAudio, sampleRate: number): PcmAudio => {
+  if (audio.sampleRate === sampleRate) return audio;
+
+  const ratio = audio.sampleRate / sampleRate;
+  const length = Math.floor(audio.samples.length / ratio);
+  const samples = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, audio.samples.length - 1);
+    const fraction = position - index;
+    samples[i] = clampToInt16(audio.samples[index] * (1 - fraction) + audio.samples[next] * fraction);
+  }
+  return { sampleRate, samples };
+};
+
+export const createSilence = (sampleRate: number, seconds: number): PcmAudio => ({
+  sampleRate,
+  samples: new Int16Array(Math.round(sampleRate * seconds))
+});
+
+export const getPcmDuration = (audio: PcmAudio): number => audio.samples.length / audio.sampleRate;
+
+// Parts are resampled to the first part's rate so engines can be mixed
+export const concatenatePcm = (parts: PcmAudio[]): PcmAudio => {
+  if (parts.length === 0) {
+    throw new Error('No audio to concatenate');
+  }
+
+  const sampleRate = parts[0].sampleRate;
+  const converted = parts.map(part => resample(part, sampleRate));
+  const samples = new Int16Array(converted.reduce((total, part) => total + part.samples.length, 0));
+
+  let offset = 0;
+  for (const part of converted) {
+    samples.set(part.samples, offset);
+    offset += part.samples.length;
+  }
+
+  return { sampleRate, samples };
+};
+
+export const encodeWav = (audio: PcmAudio): Blob => {
+  const dataLength = audio.samples.length * 2;
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+  const writeTag = (offset: number, tag: string) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, WAV_FORMAT_PCM, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, audio.sampleRate, true);
+  view.setUint32(28, audio.sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataLength, true);
+  new Int16Array(buffer, 44).set(audio.samples);
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
@@ -1,229 +1,196 @@
-import { Book, BookChapter, SubChapter } from '../types';
-import { supabase } from '../lib/supabase';
+import { AudiobookData, Book, SubChapter } from '../types';
+import { getSessionUser } from '../lib/supabase';
+import {
+  getLocalAudiobook,
+  getLocalBook,
+  getLocalBooks,
+  getLocalCover,
+  LocalBookRecord,
+  putLocalAudiobook,
+  putLocalBook,
+  putLocalCover,
+  deleteLocalAudiobook,
+  deleteLocalCover,
+  queueMutation,
+  updateLocalBook
+} from '../lib/database';
+import { pullAllBooks, pullBook } from './syncService';
+import { canEditBook } from './collaborationService';
+
+// Books are read from and written to this device first; syncService carries changes to Supabase
+
+// Audiobooks already in offline storage, so repeated saves don't copy the audio again
+const storedAudiobooks = new WeakSet<AudiobookData>();
+// Remote covers that couldn't be downloaded, so each is only tried once per session
+const failedCoverUrls = new Set<string>();
+// Object URLs handed out for stored covers, mapped back to the link they stand in for
+const coverSources = new Map<string, string>();
+const coverObjectUrls = new Map<string, { sourceUrl: string; objectUrl: string }>();
+
+const requireUserId = async (): Promise<string> => {
+  const user = await getSessionUser();
+  if (!user) throw new Error('User not authenticated');
+  return user.id;
+};
+
+// Linked covers (DALL-E links expire) are downloaded into offline storage so they still show offline
+const storeRemoteCover = async (book: Book): Promise<void> => {
+  const coverUrl = book.coverUrl;
+  if (!coverUrl || !/^https?:/i.test(coverUrl)) {
+    // Covers stored in the book itself, or removed, need nothing kept alongside
+    await deleteLocalCover(book.id);
+    return;
+  }
+  if (failedCoverUrls.has(coverUrl) || !navigator.onLine) return;
+  if ((await getLocalCover(book.id))?.sourceUrl === coverUrl) return;
+
+  try {
+    const response = await fetch(coverUrl);
+    if (!response.ok) throw new Error(`Cover download failed: ${response.status}`);
+    await putLocalCover({ bookId: book.id, sourceUrl: coverUrl, image: await response.blob() });
+  } catch (error) {
+    console.error('Error storing cover offline:', error);
+    failedCoverUrls.add(coverUrl);
+  }
+};
+
+const withLocalCover = async (book: Book): Promise<Book> => {
+  if (!book.coverUrl || !/^https?:/i.test(book.coverUrl)) return book;
+
+  const cached = coverObjectUrls.get(book.id);
+  if (cached?.sourceUrl === book.coverUrl) return { ...book, coverUrl: cached.objectUrl };
+
+  // Books pulled from another device have their cover downloaded the first time they're opened online
+  let cover = await getLocalCover(book.id);
+  if (cover?.sourceUrl !== book.coverUrl) {
+    await storeRemoteCover(book);
+    cover = await getLocalCover(book.id);
+  }
+  if (!cover || cover.sourceUrl !== book.coverUrl) return book;
+
+  if (cached) {
+    URL.revokeObjectURL(cached.objectUrl);
+    coverSources.delete(cached.objectUrl);
+  }
+  const objectUrl = URL.createObjectURL(cover.image);
+  coverObjectUrls.set(book.id, { sourceUrl: cover.sourceUrl, objectUrl });
+  coverSources.set(objectUrl, cover.sourceUrl);
+  return { ...book, coverUrl: objectUrl };
+};
 
+const withLocalAudiobook = async (book: Book): Promise<Book> => {
+  const audiobook = await getLocalAudiobook(book.id);
+  if (!audiobook) return book;
+
+  const restored: AudiobookData = {
+    ...audiobook,
+    audioChapters: audiobook.audioChapters.map(chapter => ({
+      ...chapter,
+      audioUrl: chapter.audioBlob ? URL.createObjectURL(chapter.audioBlob) : undefined
+    }))
+  };
+  storedAudiobooks.add(restored);
+  return { ...book, audiobook: restored };
+};
 
 export const saveBook = async (book: Book): Promise<Book> => {
-  const { data: { user }, error: authError } = await supabase.auth.getUser();
-  if (authError || !user) throw new Error('User not authenticated');
-
-  // Save/update book
-  const { data: bookData, error: bookError } = await supabase
-    .from('books')
-    .upsert({
-      id: book.id,
-      user_id: user.id,
-      title: book.title,
-      author: book.author,
-      description: book.description,
-      genre: book.genre,
-      sub_genre: book.subGenre,
-      tone: book.tone,
-      heat_level: book.heatLevel,
-      perspective: book.perspective,
-      target_audience: book.targetAudience,
-      cover_url: book.coverUrl,
-      status: book.status,
-      updated_at: new Date().toISOString()
-    })
-    .select()
-    .single();
-
-  if (bookError) throw bookError;
-
-  // Save chapters
-  if (book.chapters && book.chapters.length > 0) {
-    const chaptersToInsert = book.chapters.map((chapter, index) => ({
-      id: chapter.id,
-      book_id: book.id,
-      title: chapter.title,
-      description: chapter.description,
-      status: chapter.status,
-      order_index: index
-    }));
-
-    const { error: chaptersError } = await supabase
-      .from('chapters')
-      .upsert(chaptersToInsert);
-
-    if (chaptersError) throw chaptersError;
-
-    // Save sub-chapters
-    const subChaptersToInsert: any[] = [];
-    book.chapters.forEach((chapter) => {
-      if (chapter.subChapters) {
-        chapter.subChapters.forEach((subChapter, subIndex) => {
-          subChaptersToInsert.push({
-            id: subChapter.id,
-            chapter_id: chapter.id,
-            title: subChapter.title,
-            description: subChapter.description,
-            content: subChapter.content,
-            status: subChapter.status,
-            order_index: subIndex
-          });
-        });
-      }
-    });
-
-    if (subChaptersToInsert.length > 0) {
-      const { error: subChaptersError } = await supabase
-        .from('sub_chapters')
-        .upsert(subChaptersToInsert);
-
-      if (subChaptersError) throw subChaptersError;
-    }
+  const userId = await requireUserId();
+  // A stored cover is shown through an object URL, but the book keeps the link it came from
+  const savedBook = book.coverUrl && coverSources.has(book.coverUrl)
+    ? { ...book, coverUrl: coverSources.get(book.coverUrl) }
+    : book;
+  await storeRemoteCover(savedBook);
+  const { audiobook, ...bookData } = savedBook;
+  const updatedAt = new Date().toISOString();
+  // Editors and viewers can't write to a shared book, so their copy is never queued
+  // and the next pull replaces it with the server's
+  const syncable = canEditBook(book);
+
+  const updated = await updateLocalBook(book.id, record => ({
+    ...record,
+    book: bookData,
+    updatedAt,
+    dirty: syncable,
+    deleted: false,
+    serverUpdatedAt: syncable ? record.serverUpdatedAt : undefined
+  }));
+  if (!updated) {
+    await putLocalBook({ id: book.id, userId, book: bookData, updatedAt, dirty: syncable });
   }
 
+  if (audiobook && !storedAudiobooks.has(audiobook)) {
+    await putLocalAudiobook(book.id, audiobook);
+    storedAudiobooks.add(audiobook);
+  }
+
+  if (syncable) await queueMutation('saveBook', book.id, userId);
   return book;
 };
 
 export const loadBook = async (bookId: string): Promise<Book | null> => {
-  const { data: { user }, error: authError } = await supabase.auth.getUser();
-  if (authError || !user) throw new Error('User not authenticated');
-
-  // Load book
-  const { data: bookData, error: bookError } = await supabase
-    .from('books')
-    .select('*')
-    .eq('id', bookId)
-    .eq('user_id', user.id)
-    .single();
-
-  if (bookError || !bookData) return null;
-
-  // Load chapters
-  const { data: chaptersData, error: chaptersError } = await supabase
-    .from('chapters')
-    .select('*')
-    .eq('book_id', bookId)
-    .order('order_index');
-
-  if (chaptersError) throw chaptersError;
-
-  // Load sub-chapters
-  const { data: subChaptersData, error: subChaptersError } = await supabase
-    .from('sub_chapters')
-    .select('*')
-    .in('chapter_id', chaptersData?.map(c => c.id) || [])
-    .order('order_index');
-
-  if (subChaptersError) throw subChaptersError;
-
-  // Assemble the book structure
-  const chapters: BookChapter[] = (chaptersData || []).map(chapter => {
-    const chapterSubChapters = (subChaptersData || [])
-      .filter(sc => sc.chapter_id === chapter.id)
-      .map(sc => ({
-        id: sc.id,
-        title: sc.title,
-        description: sc.description || '',
-        content: sc.content || '',
-        status: sc.status as 'pending' | 'generating' | 'completed'
-      }));
-
-    return {
-      id: chapter.id,
-      title: chapter.title,
-      description: chapter.description || '',
-      status: chapter.status as 'pending' | 'generating' | 'completed',
-      expanded: false,
-      subChapters: chapterSubChapters
-    };
-  });
-
-  return {
-    id: bookData.id,
-    title: bookData.title,
-    author: bookData.author,
-    description: bookData.description || '',
-    genre: bookData.genre || '',
-    subGenre: bookData.sub_genre,
-    tone: bookData.tone || '',
-    heatLevel: bookData.heat_level,
-    perspective: bookData.perspective,
-    targetAudience: bookData.target_audience,
-    coverUrl: bookData.cover_url,
-    status: bookData.status as 'draft' | 'generating' | 'completed',
-    chapters
-  };
+  const userId = await requireUserId();
+
+  let record: LocalBookRecord | undefined = await getLocalBook(bookId);
+  if (record && record.userId !== userId) record = undefined;
+
+  // Unsynced local edits always win; otherwise pick up changes from other devices when online
+  if (navigator.onLine && (!record || !record.dirty)) {
+    try {
+      record = (await pullBook(bookId, userId)) || record;
+    } catch (error) {
+      console.error('Error fetching book, using the offline copy:', error);
+    }
+  }
+
+  if (!record || record.deleted) return null;
+  return withLocalAudiobook(await withLocalCover(record.book));
 };
 
 export const loadAllBooks = async (): Promise<Book[]> => {
-  const { data: { user }, error: authError } = await supabase.auth.getUser();
-  if (authError || !user) return [];
-
-  const { data: booksData, error: booksError } = await supabase
-    .from('books')
-    .select(`
-      *,
-      chapters (
-        id,
-        title,
-        description,
-        status,
-        order_index,
-        sub_chapters (
-          id,
-          title,
-          description,
-          content,
-          status,
-          order_index
-        )
-      )
-    `)
-    .eq('user_id', user.id)
-    .order('updated_at', { ascending: false });
-
-  if (booksError) throw booksError;
-
-  return (booksData || []).map(bookData => {
-    const chapters: BookChapter[] = (bookData.chapters || [])
-      .sort((a: any, b: any) => a.order_index - b.order_index)
-      .map((chapter: any) => ({
-        id: chapter.id,
-        title: chapter.title,
-        description: chapter.description || '',
-        status: chapter.status as 'pending' | 'generating' | 'completed',
-        expanded: false,
-        subChapters: (chapter.sub_chapters || [])
-          .sort((a: any, b: any) => a.order_index - b.order_index)
-          .map((sc: any) => ({
-            id: sc.id,
-            title: sc.title,
-            description: sc.description || '',
-            content: sc.content || '',
-            status: sc.status as 'pending' | 'generating' | 'completed'
-          }))
-      }));
-
-    return {
-      id: bookData.id,
-      title: bookData.title,
-      author: bookData.author,
-      description: bookData.description || '',
-      genre: bookData.genre || '',
-      subGenre: bookData.sub_genre,
-      tone: bookData.tone || '',
-      heatLevel: bookData.heat_level,
-      perspective: bookData.perspective,
-      targetAudience: bookData.target_audience,
-      coverUrl: bookData.cover_url,
-      status: bookData.status as 'draft' | 'generating' | 'completed',
-      chapters
-    };
-  });
+  const user = await getSessionUser();
+  if (!user) return [];
+
+  let records = await getLocalBooks(user.id);
+  // A device's first visit downloads the library; after that background sync keeps it current
+  if (records.length === 0 && navigator.onLine) {
+    await pullAllBooks(user.id);
+    records = await getLocalBooks(user.id);
+  }
+
+  return Promise.all(records
+    .filter(record => !record.deleted)
+    .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
+    .map(record => withLocalCover(record.book)));
 };
 
-export const deleteBook = async (bookId: string): Promise<void> => {
-  const { data: { user }, error: authError } = await supabase.auth.getUser();
-  if (authError || !user) throw new Error('User not authenticated');
+// Lightweight update used by the generation queue so each section's state survives a reload
+export const saveSubChapterProgress = async (bookId: string, subChapter: SubChapter): Promise<void> => {
+  const userId = await requireUserId();
+
+  const updated = await updateLocalBook(bookId, record => ({
+    ...record,
+    book: {
+      ...record.book,
+      chapters: record.book.chapters.map(chapter => ({
+        ...chapter,
+        subChapters: chapter.subChapters?.map(sc => sc.id === subChapter.id ? { ...subChapter } : sc)
+      }))
+    },
+    updatedAt: new Date().toISOString(),
+    dirty: true
+  }));
+
+  if (updated) {
+    await queueMutation('saveBook', bookId, userId);
+  }
+};
 
-  const { error } = await supabase
-    .from('books')
-    .delete()
-    .eq('id', bookId)
-    .eq('user_id', user.id);
+export const deleteBook = async (bookId: string): Promise<void> => {
+  const userId = await requireUserId();
 
-  if (error) throw error;
-};
\ No newline at end of file
+  // The record stays as a tombstone until the server delete has gone through
+  await updateLocalBook(bookId, record => ({ ...record, deleted: true, dirty: true, conflict: undefined }));
+  await deleteLocalAudiobook(bookId);
+  await deleteLocalCover(bookId);
+  await queueMutation('deleteBook', bookId, userId);
+};
@@ -0,0 +1,116 @@
+import { Book, ResearchSource, SectionResearch } from '../types';
+
+export type CitationPart =
+  | { type: 'text'; text: string }
+  | { type: 'citation'; number: number };
+
+export interface ChapterNotes {
+  chapterId: string;
+  chapterIndex: number;
+  chapterTitle: string;
+  // Note n is notes[n - 1]
+  notes: ResearchSource[];
+}
+
+export interface BookCitations {
+  // Content of researched sections, with markers renumbered as the chapter's endnotes
+  sections: Record<string, string>;
+  chapters: ChapterNotes[];
+  bibliography: ResearchSource[];
+}
+
+// Takes the space before a marker with it, since markers are removed or drawn as superscripts
+const CITATION_MARKER = /\s*\[(\d+)\]/g;
+// Models also write grouped citations like [1, 3]
+const GROUPED_CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)+)\]/g;
+
+/**
+ * Tidies citation markers in generated content: grouped markers are split
+ * into one per source, and numbers that don't match a source are removed.
+ */
+export const cleanCitationMarkers = (content: string, sourceCount: number): string =>
+  content
+    .replace(GROUPED_CITATION_MARKER, (_, numbers: string) => numbers.split(',').map(n => `[${n.trim()}]`).join(''))
+    .replace(CITATION_MARKER, (marker, number: string) => {
+      const value = Number(number);
+      return value >= 1 && value <= sourceCount ? marker : '';
+    });
+
+// For narration and plain-text uses where "[2]" would be read out or look out of place
+export const stripCitationMarkers = (content: string): string =>
+  content.replace(CITATION_MARKER, '');
+
+export const splitCitations = (text: string): CitationPart[] => {
+  const parts: CitationPart[] = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CITATION_MARKER)) {
+    if (match.index! > lastIndex) {
+      parts.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'citation', number: Number(match[1]) });
+    lastIndex = match.index! + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+
+  return parts;
+};
+
+export const describeSource = (source: ResearchSource): string => {
+  const title = source.title?.trim();
+  const date = source.date ? ` (${source.date})` : '';
+  return title ? `${title}${date}. ${source.url}` : `${source.url}${date}`;
+};
+
+export const hasResearchSources = (research?: SectionResearch): research is SectionResearch =>
+  !!research && research.sources.length > 0;
+
+/**
+ * Gathers every cited source for the book's endnotes. Each chapter numbers its
+ * notes from 1 in order of first citation, and a source cited again in the same
+ * chapter keeps its number. The bibliography lists each cited source once.
+ */
+export const collectCitations = (book: Book): BookCitations => {
+  const sections: Record<string, string> = {};
+  const chapters: ChapterNotes[] = [];
+  const bibliography = new Map<string, ResearchSource>();
+
+  book.chapters.forEach((chapter, chapterIndex) => {
+    const notes: ResearchSource[] = [];
+    const noteNumbers = new Map<string, number>();
+
+    chapter.subChapters?.forEach(subChapter => {
+      const research = subChapter.research;
+      if (!subChapter.content || !hasResearchSources(research)) return;
+
+      // Markers added by later edits may not match a source, and are dropped
+      sections[subChapter.id] = subChapter.content.replace(CITATION_MARKER, (marker, number: string) => {
+        const source = research.sources[Number(number) - 1];
+        if (!source) return '';
+
+        let noteNumber = noteNumbers.get(source.url);
+        if (!noteNumber) {
+          notes.push(source);
+          noteNumber = notes.length;
+          noteNumbers.set(source.url, noteNumber);
+        }
+        if (!bibliography.has(source.url)) bibliography.set(source.url, source);
+        return marker.replace(/\d+/, String(noteNumber));
+      });
+    });
+
+    if (notes.length > 0) {
+      chapters.push({ chapterId: chapter.id, chapterIndex, chapterTitle: chapter.title, notes });
+    }
+  });
+
+  return {
+    sections,
+    chapters,
+    bibliography: [...bibliography.values()].sort((a, b) =>
+      (a.title || a.url).localeCompare(b.title || b.url, undefined, { sensitivity: 'base' })
+    )
+  };
+};
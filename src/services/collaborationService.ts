@@ -0,0 +1,502 @@
+import { RealtimeChannel } from '@supabase/supabase-js';
+import {
+  Book,
+  BookCollaborator,
+  BookComment,
+  BookRole,
+  BookSuggestion,
+  CollaboratorPresence,
+  SuggestionStatus
+} from '../types';
+import { getSessionUser, supabase } from '../lib/supabase';
+
+export const BOOK_ROLE_LABELS: Record<BookRole, string> = {
+  owner: 'Owner',
+  co_author: 'Co-author',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+export const BOOK_ROLE_DESCRIPTIONS: Record<Exclude<BookRole, 'owner'>, string> = {
+  co_author: 'Writes and edits the book, and comments',
+  editor: 'Comments and suggests edits for the owner to accept',
+  viewer: 'Reads the book'
+};
+
+const PRESENCE_COLORS = ['#2563eb', '#9333ea', '#db2777', '#ea580c', '#16a34a', '#0891b2', '#ca8a04'];
+
+// Books without a role were created on this device, so they're the signed-in user's own
+export const isBookOwner = (book: Pick<Book, 'role'>): boolean => !book.role || book.role === 'owner';
+
+export const canEditBook = (book: Pick<Book, 'role'>): boolean => isBookOwner(book) || book.role === 'co_author';
+
+// Comments and suggestions
+export const canReviewBook = (book: Pick<Book, 'role'>): boolean => book.role !== 'viewer';
+
+export const isSharedWithMe = (book: Pick<Book, 'role'>): boolean => !isBookOwner(book);
+
+// Rows come back snake_case from the database
+interface CollaboratorRow {
+  user_id: string;
+  email: string;
+  role: BookCollaborator['role'];
+  created_at: string;
+}
+
+interface CommentRow {
+  id: string;
+  book_id: string;
+  sub_chapter_id: string;
+  parent_id: string | null;
+  user_id: string;
+  author_name: string | null;
+  anchor_start: number;
+  anchor_end: number;
+  quote: string | null;
+  body: string;
+  resolved: boolean | null;
+  created_at: string;
+}
+
+interface SuggestionRow {
+  id: string;
+  book_id: string;
+  sub_chapter_id: string;
+  user_id: string;
+  author_name: string | null;
+  range_start: number;
+  range_end: number;
+  original_text: string | null;
+  suggested_text: string | null;
+  status: BookSuggestion['status'];
+  created_at: string;
+}
+
+const mapCollaborator = (data: CollaboratorRow): BookCollaborator => ({
+  userId: data.user_id,
+  email: data.email,
+  role: data.role,
+  createdAt: data.created_at
+});
+
+const mapComment = (data: CommentRow): BookComment => ({
+  id: data.id,
+  bookId: data.book_id,
+  subChapterId: data.sub_chapter_id,
+  parentId: data.parent_id || undefined,
+  userId: data.user_id,
+  authorName: data.author_name || '',
+  anchorStart: data.anchor_start,
+  anchorEnd: data.anchor_end,
+  quote: data.quote || '',
+  body: data.body,
+  resolved: !!data.resolved,
+  createdAt: data.created_at
+});
+
+const mapSuggestion = (data: SuggestionRow): BookSuggestion => ({
+  id: data.id,
+  bookId: data.book_id,
+  subChapterId: data.sub_chapter_id,
+  userId: data.user_id,
+  authorName: data.author_name || '',
+  rangeStart: data.range_start,
+  rangeEnd: data.range_end,
+  originalText: data.original_text || '',
+  suggestedText: data.suggested_text || '',
+  status: data.status,
+  createdAt: data.created_at
+});
+
+const requireCollaborator = async () => {
+  const user = await getSessionUser();
+  if (!user) throw new Error('User not authenticated');
+  return {
+    userId: user.id,
+    name: user.user_metadata?.full_name || user.email || 'Collaborator'
+  };
+};
+
+const getPresenceColor = (userId: string): string => {
+  const hash = Array.from(userId).reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+// Sharing
+
+export const loadCollaborators = async (bookId: string): Promise<BookCollaborator[]> => {
+  const { data, error } = await supabase
+    .from('book_collaborators')
+    .select('*')
+    .eq('book_id', bookId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(mapCollaborator);
+};
+
+// Adds someone with an account by email, or changes their role if they're already on the book
+export const shareBook = async (
+  bookId: string,
+  email: string,
+  role: BookCollaborator['role']
+): Promise<BookCollaborator> => {
+  const { data, error } = await supabase.rpc('share_book', {
+    p_book_id: bookId,
+    p_email: email,
+    p_role: role
+  });
+
+  if (error) throw new Error(error.message);
+  return mapCollaborator(data);
+};
+
+export const updateCollaboratorRole = async (
+  bookId: string,
+  userId: string,
+  role: BookCollaborator['role']
+): Promise<void> => {
+  const { error } = await supabase
+    .from('book_collaborators')
+    .update({ role })
+    .eq('book_id', bookId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+export const removeCollaborator = async (bookId: string, userId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('book_collaborators')
+    .delete()
+    .eq('book_id', bookId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+// Comments and suggestions
+
+export const loadDiscussion = async (bookId: string): Promise<{ comments: BookComment[]; suggestions: BookSuggestion[] }> => {
+  const [commentsResult, suggestionsResult] = await Promise.all([
+    supabase
+      .from('book_comments')
+      .select('*')
+      .eq('book_id', bookId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('book_suggestions')
+      .select('*')
+      .eq('book_id', bookId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (commentsResult.error) throw commentsResult.error;
+  if (suggestionsResult.error) throw suggestionsResult.error;
+
+  return {
+    comments: (commentsResult.data || []).map(mapComment),
+    suggestions: (suggestionsResult.data || []).map(mapSuggestion)
+  };
+};
+
+export const addComment = async (
+  bookId: string,
+  subChapterId: string,
+  anchor: { start: number; end: number; quote: string },
+  body: string,
+  parentId?: string
+): Promise<BookComment> => {
+  const { userId, name } = await requireCollaborator();
+
+  const { data, error } = await supabase
+    .from('book_comments')
+    .insert({
+      book_id: bookId,
+      sub_chapter_id: subChapterId,
+      parent_id: parentId || null,
+      user_id: userId,
+      author_name: name,
+      anchor_start: anchor.start,
+      anchor_end: anchor.end,
+      quote: anchor.quote,
+      body
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapComment(data);
+};
+
+export const setCommentResolved = async (commentId: string, resolved: boolean): Promise<void> => {
+  const { error } = await supabase
+    .from('book_comments')
+    .update({ resolved, updated_at: new Date().toISOString() })
+    .eq('id', commentId);
+
+  if (error) throw error;
+};
+
+export const deleteComment = async (commentId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('book_comments')
+    .delete()
+    .eq('id', commentId);
+
+  if (error) throw error;
+};
+
+export const createSuggestions = async (
+  bookId: string,
+  subChapterId: string,
+  before: string,
+  after: string
+): Promise<BookSuggestion[]> => {
+  const changes = getSuggestedChanges(before, after);
+  if (changes.length === 0) return [];
+
+  const { userId, name } = await requireCollaborator();
+
+  const { data, error } = await supabase
+    .from('book_suggestions')
+    .insert(changes.map(change => ({
+      book_id: bookId,
+      sub_chapter_id: subChapterId,
+      user_id: userId,
+      author_name: name,
+      range_start: change.start,
+      range_end: change.end,
+      original_text: change.originalText,
+      suggested_text: change.suggestedText
+    })))
+    .select();
+
+  if (error) throw error;
+  return (data || []).map(mapSuggestion);
+};
+
+export const resolveSuggestion = async (suggestionId: string, status: Exclude<SuggestionStatus, 'pending'>): Promise<void> => {
+  const { userId } = await requireCollaborator();
+
+  const { error } = await supabase
+    .from('book_suggestions')
+    .update({ status, resolved_by: userId, resolved_at: new Date().toISOString() })
+    .eq('id', suggestionId);
+
+  if (error) throw error;
+};
+
+export const deleteSuggestion = async (suggestionId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('book_suggestions')
+    .delete()
+    .eq('id', suggestionId);
+
+  if (error) throw error;
+};
+
+// Calls onChange whenever a comment or suggestion on the book is added, changed or removed
+export const subscribeToDiscussion = (bookId: string, onChange: () => void): (() => void) => {
+  const channel = supabase
+    .channel(`discussion:${bookId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'book_comments', filter: `book_id=eq.${bookId}` }, onChange)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'book_suggestions', filter: `book_id=eq.${bookId}` }, onChange)
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+// Ranges
+
+/**
+ * Finds a stored range in the section's current text. The range is used as is
+ * while it still holds the same text; otherwise the occurrence of the text
+ * nearest to where it was is used. Returns null once the text is gone.
+ */
+export const locateRange = (
+  content: string,
+  start: number,
+  end: number,
+  text: string
+): { start: number; end: number } | null => {
+  if (content.slice(start, end) === text) return { start, end };
+  if (!text) return start <= content.length ? { start, end: start } : null;
+
+  let best: number | null = null;
+  for (let index = content.indexOf(text); index !== -1; index = content.indexOf(text, index + 1)) {
+    if (best === null || Math.abs(index - start) < Math.abs(best - start)) best = index;
+  }
+  return best === null ? null : { start: best, end: best + text.length };
+};
+
+// Returns the section text with the suggestion applied, or null if the text it replaces has changed
+export const applySuggestion = (content: string, suggestion: BookSuggestion): string | null => {
+  const range = locateRange(content, suggestion.rangeStart, suggestion.rangeEnd, suggestion.originalText);
+  if (!range) return null;
+  return content.slice(0, range.start) + suggestion.suggestedText + content.slice(range.end);
+};
+
+// Where two versions of a text differ, as a single replaced range of the first
+const getChangedRange = (before: string, after: string) => {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
+
+  return {
+    start: prefix,
+    end: before.length - suffix,
+    insert: after.slice(prefix, after.length - suffix)
+  };
+};
+
+// Lines keep their newline so offsets add up
+const splitLines = (text: string): string[] => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+/**
+ * Turns an edited copy of a section into separate suggestions, one for each run
+ * of changed lines, so far-apart edits can be accepted or rejected on their own.
+ */
+export const getSuggestedChanges = (
+  before: string,
+  after: string
+): { start: number; end: number; originalText: string; suggestedText: string }[] => {
+  if (before === after) return [];
+
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Longest common subsequence of lines, filled from the end so it can be walked forwards
+  const width = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const changes: { start: number; end: number; originalText: string; suggestedText: string }[] = [];
+  let i = 0;
+  let j = 0;
+  let offset = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      offset += a[i].length;
+      i++;
+      j++;
+      continue;
+    }
+
+    const hunkStart = offset;
+    let removed = '';
+    let added = '';
+    while ((i < a.length || j < b.length) && !(i < a.length && j < b.length && a[i] === b[j])) {
+      if (j >= b.length || (i < a.length && table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        removed += a[i];
+        offset += a[i].length;
+        i++;
+      } else {
+        added += b[j++];
+      }
+    }
+
+    // Narrow each run of lines to the characters that actually changed
+    const range = getChangedRange(removed, added);
+    changes.push({
+      start: hunkStart + range.start,
+      end: hunkStart + range.end,
+      originalText: removed.slice(range.start, range.end),
+      suggestedText: range.insert
+    });
+  }
+
+  return changes;
+};
+
+/**
+ * Combines someone else's edit of a section with this user's unsent typing,
+ * both made from the same base text. Edits to different parts of the section
+ * are both kept; when they overlap, this user's version wins and is sent next.
+ */
+export const mergeText = (base: string, mine: string, theirs: string): string => {
+  if (mine === base || theirs === mine) return theirs;
+  if (theirs === base) return mine;
+
+  const ours = getChangedRange(base, mine);
+  const other = getChangedRange(base, theirs);
+
+  if (ours.end <= other.start) {
+    return base.slice(0, ours.start) + ours.insert + base.slice(ours.end, other.start) + other.insert + base.slice(other.end);
+  }
+  if (other.end <= ours.start) {
+    return base.slice(0, other.start) + other.insert + base.slice(other.end, ours.start) + ours.insert + base.slice(ours.end);
+  }
+  return mine;
+};
+
+// Live editing
+
+export interface BookRoom {
+  setEditingSection: (subChapterId?: string) => void;
+  sendSectionContent: (subChapterId: string, content: string) => void;
+  leave: () => void;
+}
+
+interface BookRoomHandlers {
+  onPresence: (people: CollaboratorPresence[]) => void;
+  onSectionContent: (subChapterId: string, content: string, from: CollaboratorPresence) => void;
+}
+
+/**
+ * Joins the live room for an open book: everyone in it sees who else has the
+ * book open and which section they're typing in, and receives each other's
+ * section text as it's typed. Saving still goes through the normal sync.
+ */
+export const joinBookRoom = async (bookId: string, handlers: BookRoomHandlers): Promise<BookRoom> => {
+  const { userId, name } = await requireCollaborator();
+  const me: CollaboratorPresence = { userId, name, color: getPresenceColor(userId) };
+
+  const channel: RealtimeChannel = supabase.channel(`book:${bookId}`, {
+    config: { presence: { key: userId }, broadcast: { self: false } }
+  });
+
+  channel
+    .on('presence', { event: 'sync' }, () => {
+      const state = channel.presenceState<CollaboratorPresence>();
+      // The same person can have the book open in several tabs; their latest entry wins
+      const people = Object.values(state)
+        .map(entries => entries[entries.length - 1])
+        .filter(person => person && person.userId !== userId);
+      handlers.onPresence(people);
+    })
+    .on('broadcast', { event: 'section-content' }, ({ payload }) => {
+      handlers.onSectionContent(payload.subChapterId, payload.content, payload.from);
+    })
+    .subscribe(status => {
+      if (status === 'SUBSCRIBED') channel.track(me);
+    });
+
+  return {
+    setEditingSection: (subChapterId) => {
+      me.editingSectionId = subChapterId;
+      channel.track(me);
+    },
+    sendSectionContent: (subChapterId, content) => {
+      channel.send({ type: 'broadcast', event: 'section-content', payload: { subChapterId, content, from: me } });
+    },
+    leave: () => {
+      supabase.removeChannel(channel);
+    }
+  };
+};
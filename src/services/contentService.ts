@@ -1,124 +1,62 @@
-import { Book, BookChapter, SubChapter } from '../types';
-import { generateChapterOutline, generateContent, generateContentWithHeatLevel } from './geminiService';
-import { researchTopic } from './perplexityService';
+import { Book, BookChapter, SectionResearch, StoryBibleEntry } from '../types';
+import { generateContent } from './geminiService';
+import { researchSection } from './researchService';
+import { cleanCitationMarkers } from './citationService';
+import { LLMTarget } from './llmService';
+import { saveBook } from './bookService';
+import { createEmptyStoryBible, loadStoryBibleForGeneration, saveStoryBible } from './storyBibleService';
 import { v4 as uuidv4 } from 'uuid';
 
+export interface ResearchedContent {
+  content: string;
+  research: SectionResearch;
+}
+
+const formatResearchForPrompt = (research: SectionResearch): string => {
+  if (research.sources.length === 0) {
+    return `Research findings:
+${research.summary}
+
+Use the above research to create comprehensive, well-informed content.`;
+  }
+
+  const sourceList = research.sources
+    .map((source, index) => `[${index + 1}] ${source.title ? `${source.title} - ` : ''}${source.url}`)
+    .join('\n');
+
+  return `Research findings:
+${research.summary}
+
+Sources:
+${sourceList}
+
+Use the above research to create comprehensive, well-informed content. When a sentence relies on a finding, cite its source by putting the source number in square brackets straight after the sentence, for example [2]. Only cite the numbered sources listed above.`;
+};
+
 export const researchAndGenerate = async (
   title: string,
   description: string,
-  apiKeys: {gemini: string; perplexity: string}
-): Promise<string> => {
+  llm: LLMTarget,
+  continuityContext: string = '',
+  styleInstructions: string = '',
+  targetWords?: number
+): Promise<ResearchedContent> => {
   // First, research the topic
-  const researchData = await researchTopic(title, description, apiKeys.perplexity);
+  const research = await researchSection(title, description, llm.usage?.bookId);
   
   // Then generate content based on research
   const enhancedDescription = `${description}
 
-Research findings:
-${researchData}
-
-Use the above research to create comprehensive, well-informed content.`;
+${formatResearchForPrompt(research)}`;
   
-  return await generateContent(title, enhancedDescription, apiKeys.gemini);
-};
-
-export const generateAllContent = async (
-  book: Book,
-  geminiApiKey: string,
-  onProgress: (book: Book) => void
-): Promise<Book> => {
-  let updatedBook = { ...book };
-
-  for (let i = 0; i < updatedBook.chapters.length; i++) {
-    const chapter = updatedBook.chapters[i];
-    
-    // Generate chapter outline if not exists
-    if (!chapter.subChapters) {
-      const outline = await generateChapterOutline(chapter.title, chapter.description, geminiApiKey);
-      chapter.subChapters = outline;
-      onProgress({ ...updatedBook });
-    }
-
-    // Generate content for each sub-chapter
-    if (chapter.subChapters) {
-      for (let j = 0; j < chapter.subChapters.length; j++) {
-        const subChapter = chapter.subChapters[j];
-        
-        // Update status to generating
-        subChapter.status = 'generating';
-        onProgress({ ...updatedBook });
-        
-        // Generate content
-        const content = await generateContent(subChapter.title, subChapter.description, geminiApiKey);
-        subChapter.content = content;
-        subChapter.status = 'completed';
-        
-        onProgress({ ...updatedBook });
-        
-        // Small delay to prevent API rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-    
-    chapter.status = 'completed';
-    onProgress({ ...updatedBook });
-  }
-
-  return updatedBook;
-};
-
-export const generateAllContentWithResearch = async (
-  book: Book,
-  apiKeys: {gemini: string; perplexity: string},
-  onProgress: (book: Book) => void
-): Promise<Book> => {
-  let updatedBook = { ...book };
-
-  for (let i = 0; i < updatedBook.chapters.length; i++) {
-    const chapter = updatedBook.chapters[i];
-    
-    // Generate chapter outline if not exists
-    if (!chapter.subChapters) {
-      const outline = await generateChapterOutline(chapter.title, chapter.description, apiKeys.gemini);
-      chapter.subChapters = outline;
-      onProgress({ ...updatedBook });
-    }
-
-    // Generate content for each sub-chapter with research
-    if (chapter.subChapters) {
-      for (let j = 0; j < chapter.subChapters.length; j++) {
-        const subChapter = chapter.subChapters[j];
-        
-        // Update status to generating
-        subChapter.status = 'generating';
-        onProgress({ ...updatedBook });
-        
-        // Research and generate content
-        const content = await researchAndGenerate(subChapter.title, subChapter.description, apiKeys);
-        subChapter.content = content;
-        subChapter.status = 'completed';
-        
-        onProgress({ ...updatedBook });
-        
-        // Longer delay for research calls to prevent rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
-    
-    chapter.status = 'completed';
-    onProgress({ ...updatedBook });
-  }
-
-  return updatedBook;
+  const content = await generateContent(title, enhancedDescription, llm, continuityContext, styleInstructions, targetWords);
+  return { content: cleanCitationMarkers(content, research.sources.length), research };
 };
 
-export const convertRomanceHeatLevel = async (
+export const createHeatLevelVersion = async (
   originalBook: Book,
-  newHeatLevel: string,
-  apiKeys: {gemini: string; perplexity: string},
-  onProgress: (book: Book) => void
+  newHeatLevel: string
 ): Promise<Book> => {
-  // Create a new book with updated heat level
   const heatLevelLabels: {[key: string]: string} = {
     'clean': 'Clean',
     'sweet': 'Sweet', 
@@ -128,65 +66,82 @@ export const convertRomanceHeatLevel = async (
     'explicit': 'Explicit'
   };
 
-  const newBook: Book = {
-    ...originalBook,
-    id: uuidv4(),
-    title: `${originalBook.title} - ${heatLevelLabels[newHeatLevel]} Version`,
-    subGenre: originalBook.subGenre,
-    heatLevel: newHeatLevel,
-    perspective: originalBook.perspective,
-    tone: originalBook.tone,
-    status: 'generating',
-    chapters: originalBook.chapters.map(chapter => ({
+  // Every section is written afresh at the new heat level; characters, places and lore
+  // carry over, and summaries are rebuilt as the new version is written
+  const { book } = await cloneBookAsEdition(
+    originalBook,
+    originalBook.chapters.map(chapter => ({
       ...chapter,
-      id: uuidv4(),
-      status: 'pending',
       subChapters: chapter.subChapters?.map(subChapter => ({
         ...subChapter,
-        id: uuidv4(),
-        status: 'pending',
-        content: undefined // Clear existing content
+        content: undefined,
+        research: undefined
       }))
-    }))
+    })),
+    () => ({
+      title: `${originalBook.title} - ${heatLevelLabels[newHeatLevel]} Version`,
+      heatLevel: newHeatLevel
+    })
+  );
+
+  return book;
+};
+
+/**
+ * Saves a copy of a book as a new edition beside it. Every chapter and section
+ * gets a fresh ID and is left pending (with the original text, if any) for a
+ * generation job to rework, and the story bible is copied across. `describe`
+ * gives the edition's own details and receives the map from each new section
+ * to the one it was copied from.
+ */
+export const cloneBookAsEdition = async (
+  sourceBook: Book,
+  chapters: BookChapter[],
+  describe: (sectionSources: Record<string, string>) => Partial<Book>,
+  adaptBibleEntry: (entry: StoryBibleEntry) => StoryBibleEntry = entry => entry
+): Promise<{ book: Book; sectionIds: string[] }> => {
+  const sectionIds: string[] = [];
+  const sectionSources: Record<string, string> = {};
+
+  const edition: Book = {
+    ...sourceBook,
+    id: uuidv4(),
+    status: 'generating',
+    // Each caller links the edition back to its source as a translation or an edition, never both
+    translation: undefined,
+    edition: undefined,
+    // Narration, course material and sales copy follow the original text and are made again for the edition
+    audiobook: undefined,
+    course: undefined,
+    launchKit: undefined,
+    // Editions sit beside the original rather than taking a place in its series
+    seriesId: undefined,
+    seriesOrder: undefined,
+    // The edition belongs to whoever made it, even from a shared book
+    ownerId: undefined,
+    role: undefined,
+    chapters: chapters.map(chapter => ({
+      ...chapter,
+      id: uuidv4(),
+      status: chapter.subChapters?.length ? 'pending' : chapter.status,
+      subChapters: chapter.subChapters?.map(subChapter => {
+        const id = uuidv4();
+        sectionSources[id] = subChapter.id;
+        sectionIds.push(id);
+        // Scored again once the job has reworked the text
+        return { ...subChapter, id, status: 'pending' as const, attempts: 0, error: undefined, voiceFidelity: undefined };
+      })
+    })),
+    ...describe(sectionSources)
   };
 
-  onProgress(newBook);
-
-  // Regenerate all content with new heat level
-  for (let i = 0; i < newBook.chapters.length; i++) {
-    const chapter = newBook.chapters[i];
-    
-    if (chapter.subChapters) {
-      for (let j = 0; j < chapter.subChapters.length; j++) {
-        const subChapter = chapter.subChapters[j];
-        
-        // Update status to generating
-        subChapter.status = 'generating';
-        onProgress({ ...newBook });
-        
-        // Generate content with new heat level context
-        const content = await generateContentWithHeatLevel(
-          subChapter.title, 
-          subChapter.description, 
-          newHeatLevel,
-          originalBook.perspective || '',
-          apiKeys.gemini
-        );
-        
-        subChapter.content = content;
-        subChapter.status = 'completed';
-        
-        onProgress({ ...newBook });
-        
-        // Delay to prevent rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1500));
-      }
-    }
-    
-    chapter.status = 'completed';
-    onProgress({ ...newBook });
+  // The generation queue works from the database, so the edition has to exist there first
+  await saveBook(edition);
+
+  const sourceBible = await loadStoryBibleForGeneration(sourceBook.id);
+  if (sourceBible.entries.length > 0) {
+    await saveStoryBible({ ...createEmptyStoryBible(edition.id), entries: sourceBible.entries.map(adaptBibleEntry) });
   }
 
-  newBook.status = 'completed';
-  return newBook;
+  return { book: edition, sectionIds };
 };
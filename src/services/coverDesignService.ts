@@ -0,0 +1,574 @@
+import jsPDF from 'jspdf';
+import { Book, CoverDesign, CoverPaperType, PrintTrimSize } from '../types';
+import { getBookAuthor } from './epubService';
+import { buildPrintPDF, FICTION_GENRES, getPrintPdfBlocker, PRINT_TRIM_SIZES } from './pdfService';
+import { countChapterWords } from './lengthService';
+import { getBookBlurb } from './launchKitService';
+
+export interface CoverFont {
+  label: string;
+  family: string;
+  titleWeight: number;
+}
+
+export interface CoverTemplate {
+  id: string;
+  label: string;
+  genres: string[];
+  fontId: string;
+  uppercase: boolean;
+  titlePosition: 'top' | 'center' | 'bottom';
+  titleColor: string;
+  textColor: string;
+  accentColor: string;
+  // Fills the back cover and spine, and the front when there is no artwork
+  backgroundColors: [string, string];
+  // How much the artwork is darkened behind the text, 0-1
+  shade: number;
+}
+
+interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Web-safe stacks, so the canvas never waits on a font download
+export const COVER_FONTS: Record<string, CoverFont> = {
+  classic: { label: 'Classic Serif', family: 'Georgia, "Times New Roman", serif', titleWeight: 700 },
+  elegant: { label: 'Elegant Serif', family: '"Palatino Linotype", Palatino, "Book Antiqua", serif', titleWeight: 400 },
+  modern: { label: 'Modern Sans', family: '"Helvetica Neue", Helvetica, Arial, sans-serif', titleWeight: 800 },
+  condensed: { label: 'Condensed', family: 'Impact, "Arial Narrow", "Franklin Gothic Medium", sans-serif', titleWeight: 400 },
+  humanist: { label: 'Humanist Sans', family: '"Trebuchet MS", "Gill Sans", "Segoe UI", sans-serif', titleWeight: 700 },
+  typewriter: { label: 'Typewriter', family: '"Courier New", Courier, monospace', titleWeight: 700 }
+};
+
+export const COVER_TEMPLATES: CoverTemplate[] = [
+  {
+    id: 'romance',
+    label: 'Romance',
+    genres: ['Romance'],
+    fontId: 'elegant',
+    uppercase: false,
+    titlePosition: 'bottom',
+    titleColor: '#FFF1F2',
+    textColor: '#FFFFFF',
+    accentColor: '#F9A8D4',
+    backgroundColors: ['#9D174D', '#4C0519'],
+    shade: 0.55
+  },
+  {
+    id: 'epic',
+    label: 'Epic',
+    genres: ['Fantasy', 'Science Fiction'],
+    fontId: 'classic',
+    uppercase: true,
+    titlePosition: 'top',
+    titleColor: '#FDE68A',
+    textColor: '#FFFFFF',
+    accentColor: '#FCD34D',
+    backgroundColors: ['#1E1B4B', '#020617'],
+    shade: 0.6
+  },
+  {
+    id: 'thriller',
+    label: 'Thriller',
+    genres: ['Mystery/Thriller', 'Mystery', 'Thriller'],
+    fontId: 'condensed',
+    uppercase: true,
+    titlePosition: 'top',
+    titleColor: '#FFFFFF',
+    textColor: '#F3F4F6',
+    accentColor: '#EF4444',
+    backgroundColors: ['#1F2937', '#030712'],
+    shade: 0.65
+  },
+  {
+    id: 'literary',
+    label: 'Literary',
+    genres: ['Contemporary Fiction', 'Historical Fiction', 'Biography'],
+    fontId: 'classic',
+    uppercase: false,
+    titlePosition: 'center',
+    titleColor: '#FFFFFF',
+    textColor: '#F9FAFB',
+    accentColor: '#E5E7EB',
+    backgroundColors: ['#44403C', '#1C1917'],
+    shade: 0.5
+  },
+  {
+    id: 'youthful',
+    label: 'Young Adult',
+    genres: ['Young Adult'],
+    fontId: 'humanist',
+    uppercase: true,
+    titlePosition: 'center',
+    titleColor: '#FFFFFF',
+    textColor: '#FFFFFF',
+    accentColor: '#C4B5FD',
+    backgroundColors: ['#7C3AED', '#BE185D'],
+    shade: 0.45
+  },
+  {
+    id: 'authority',
+    label: 'Non-Fiction',
+    genres: ['Non-Fiction', 'Self-Help', 'Business', 'Online Course'],
+    fontId: 'modern',
+    uppercase: true,
+    titlePosition: 'top',
+    titleColor: '#FFFFFF',
+    textColor: '#F3F4F6',
+    accentColor: '#FBBF24',
+    backgroundColors: ['#1E3A8A', '#0F172A'],
+    shade: 0.6
+  },
+  {
+    id: 'minimal',
+    label: 'Minimal',
+    genres: [],
+    fontId: 'modern',
+    uppercase: false,
+    titlePosition: 'top',
+    titleColor: '#111827',
+    textColor: '#374151',
+    accentColor: '#2563EB',
+    backgroundColors: ['#F9FAFB', '#E5E7EB'],
+    shade: 0
+  }
+];
+
+export const PAPER_TYPES: Record<CoverPaperType, { label: string; inchesPerPage: number }> = {
+  white: { label: 'White paper, black ink', inchesPerPage: 0.002252 },
+  cream: { label: 'Cream paper, black ink', inchesPerPage: 0.0025 },
+  color: { label: 'White paper, colour ink', inchesPerPage: 0.002347 }
+};
+
+// Print dimensions in inches
+const BLEED = 0.125;
+const SAFE_MARGIN = 0.25;
+const BARCODE_AREA = { width: 2, height: 1.2 };
+// Printers won't put text on spines of thinner books
+export const SPINE_TEXT_MIN_PAGES = 100;
+const MIN_PAGE_COUNT = 24;
+export const PRINT_DPI = 300;
+// Recommended ebook store cover size (1:1.6)
+export const EBOOK_COVER_SIZE = { width: 1600, height: 2560 };
+
+// Typeset words on a full 6 x 9 page; other trims scale by page area
+const WORDS_PER_6X9_PAGE = 300;
+const FRONT_MATTER_PAGES = 6;
+
+export const getCoverTemplate = (templateId: string): CoverTemplate =>
+  COVER_TEMPLATES.find(template => template.id === templateId) || COVER_TEMPLATES[0];
+
+export const getTemplateForGenre = (genre: string): CoverTemplate =>
+  COVER_TEMPLATES.find(template => template.genres.includes(genre)) ||
+  COVER_TEMPLATES.find(template => template.id === 'literary')!;
+
+const trimInches = (trimSize: PrintTrimSize) => ({
+  width: PRINT_TRIM_SIZES[trimSize].width / 72,
+  height: PRINT_TRIM_SIZES[trimSize].height / 72
+});
+
+// Print-on-demand page counts are always even
+const toPrintPageCount = (pages: number) => Math.max(MIN_PAGE_COUNT, Math.ceil(pages / 2) * 2);
+
+// Quick estimate from the word count, for before the book is finished
+export const estimatePageCount = (book: Book, trimSize: PrintTrimSize): number => {
+  const trim = PRINT_TRIM_SIZES[trimSize];
+  const base = PRINT_TRIM_SIZES['6x9'];
+  const wordsPerPage = WORDS_PER_6X9_PAGE * (trim.width * trim.height) / (base.width * base.height);
+  const words = book.chapters.reduce((total, chapter) => total + countChapterWords(chapter), 0);
+  return toPrintPageCount(FRONT_MATTER_PAGES + book.chapters.length + Math.ceil(words / wordsPerPage));
+};
+
+// Exact count from laying out the interior the way the print PDF export does, or the
+// estimate for books that export can't print
+export const countPrintPages = async (book: Book, trimSize: PrintTrimSize): Promise<number> => {
+  if (getPrintPdfBlocker(book)) return estimatePageCount(book, trimSize);
+  const pdf = await buildPrintPDF(book, { trimSize, includeCover: false });
+  return toPrintPageCount(pdf.getNumberOfPages());
+};
+
+export const computeSpineWidth = (pageCount: number, paperType: CoverPaperType): number =>
+  Math.max(0, pageCount) * PAPER_TYPES[paperType].inchesPerPage;
+
+// Full wraparound size in inches: back, spine and front, with bleed on every outside edge
+export const getWraparoundSize = (design: CoverDesign) => {
+  const trim = trimInches(design.trimSize);
+  const spine = computeSpineWidth(design.pageCount, design.paperType);
+  return {
+    width: trim.width * 2 + spine + BLEED * 2,
+    height: trim.height + BLEED * 2,
+    spine
+  };
+};
+
+export const createCoverDesign = (book: Book): CoverDesign => {
+  const template = getTemplateForGenre(book.genre);
+  const trimSize: PrintTrimSize = '6x9';
+  return {
+    templateId: template.id,
+    fontId: template.fontId,
+    title: book.title,
+    subtitle: '',
+    author: getBookAuthor(book),
+    seriesLine: book.seriesOrder ? `Book ${book.seriesOrder}` : '',
+    blurb: getBookBlurb(book, 'medium'),
+    trimSize,
+    paperType: FICTION_GENRES.includes(book.genre) ? 'cream' : 'white',
+    pageCount: estimatePageCount(book, trimSize)
+  };
+};
+
+const loadImage = (url: string): Promise<HTMLImageElement> =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    // Lets remote artwork be drawn without tainting the canvas, where the host allows it
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load the cover artwork'));
+    image.src = url;
+  });
+
+const loadBackground = async (design: CoverDesign): Promise<HTMLImageElement | null> => {
+  if (!design.backgroundUrl) return null;
+  try {
+    return await loadImage(design.backgroundUrl);
+  } catch (error) {
+    // Lay the cover out on the template's colours rather than failing the export
+    console.error('Error loading cover artwork:', error);
+    return null;
+  }
+};
+
+const canvasToBlob = (canvas: HTMLCanvasElement, type: string, quality?: number): Promise<Blob> =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to render the cover')), type, quality);
+  });
+
+const fontFor = (design: CoverDesign) => COVER_FONTS[design.fontId] || COVER_FONTS.classic;
+
+const fillTemplateBackground = (ctx: CanvasRenderingContext2D, rect: Rect, template: CoverTemplate) => {
+  const gradient = ctx.createLinearGradient(rect.x, rect.y, rect.x, rect.y + rect.height);
+  gradient.addColorStop(0, template.backgroundColors[0]);
+  gradient.addColorStop(1, template.backgroundColors[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+};
+
+// Scales the artwork to cover the whole area, cropping whatever overflows
+const drawArtwork = (ctx: CanvasRenderingContext2D, rect: Rect, image: HTMLImageElement) => {
+  const scale = Math.max(rect.width / image.naturalWidth, rect.height / image.naturalHeight);
+  const width = image.naturalWidth * scale;
+  const height = image.naturalHeight * scale;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.clip();
+  ctx.drawImage(image, rect.x + (rect.width - width) / 2, rect.y + (rect.height - height) / 2, width, height);
+  ctx.restore();
+};
+
+const shadeBand = (ctx: CanvasRenderingContext2D, rect: Rect, from: number, to: number, alpha: number) => {
+  const gradient = ctx.createLinearGradient(0, rect.y + rect.height * from, 0, rect.y + rect.height * to);
+  gradient.addColorStop(0, `rgba(0, 0, 0, ${alpha})`);
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(rect.x, rect.y + rect.height * Math.min(from, to), rect.width, rect.height * Math.abs(to - from));
+};
+
+const wrapLines = (ctx: CanvasRenderingContext2D, text: string, maxWidth: number): string[] => {
+  const lines: string[] = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+// Largest size at which the text wraps into maxLines without any line overflowing
+const fitText = (
+  ctx: CanvasRenderingContext2D,
+  text: string,
+  font: (size: number) => string,
+  maxWidth: number,
+  maxLines: number,
+  maxSize: number,
+  minSize: number
+): { lines: string[]; size: number } => {
+  for (let size = Math.floor(maxSize); size > minSize; size = Math.floor(size * 0.92)) {
+    ctx.font = font(size);
+    const lines = wrapLines(ctx, text, maxWidth);
+    if (lines.length <= maxLines && lines.every(line => ctx.measureText(line).width <= maxWidth)) {
+      return { lines, size };
+    }
+  }
+  ctx.font = font(minSize);
+  return { lines: wrapLines(ctx, text, maxWidth), size: minSize };
+};
+
+const drawLines = (
+  ctx: CanvasRenderingContext2D,
+  lines: string[],
+  centerX: number,
+  top: number,
+  lineHeight: number,
+  color: string
+) => {
+  ctx.fillStyle = color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, index) => ctx.fillText(line, centerX, top + index * lineHeight));
+};
+
+const withShadow = (ctx: CanvasRenderingContext2D, enabled: boolean, blur: number, draw: () => void) => {
+  ctx.save();
+  if (enabled) {
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.55)';
+    ctx.shadowBlur = blur;
+  }
+  draw();
+  ctx.restore();
+};
+
+const caseFor = (template: CoverTemplate, text: string) => template.uppercase ? text.toUpperCase() : text;
+
+/**
+ * Lays the cover text over the front panel. `art` is the area the artwork
+ * fills (including any bleed) and `trim` the finished front cover, which
+ * everything else is sized and positioned from.
+ */
+const drawFront = (
+  ctx: CanvasRenderingContext2D,
+  art: Rect,
+  trim: Rect,
+  design: CoverDesign,
+  image: HTMLImageElement | null
+) => {
+  const template = getCoverTemplate(design.templateId);
+  const font = fontFor(design);
+  const unit = trim.width;
+  const margin = unit * 0.08;
+  const safe: Rect = { x: trim.x + margin, y: trim.y + margin, width: trim.width - margin * 2, height: trim.height - margin * 2 };
+  const centerX = trim.x + trim.width / 2;
+  const shadow = !!image && template.shade > 0;
+
+  if (image) {
+    drawArtwork(ctx, art, image);
+    if (template.shade > 0) {
+      if (template.titlePosition === 'top') shadeBand(ctx, art, 0, 0.5, template.shade);
+      if (template.titlePosition === 'center') {
+        ctx.fillStyle = `rgba(0, 0, 0, ${template.shade * 0.5})`;
+        ctx.fillRect(art.x, art.y, art.width, art.height);
+      }
+      shadeBand(ctx, art, 1, template.titlePosition === 'bottom' ? 0.4 : 0.7, template.shade);
+    }
+  } else {
+    fillTemplateBackground(ctx, art, template);
+  }
+
+  const titleFont = (size: number) => `${font.titleWeight} ${size}px ${font.family}`;
+  const textFont = (size: number) => `400 ${size}px ${font.family}`;
+
+  const series = design.seriesLine.trim()
+    ? fitText(ctx, caseFor(template, design.seriesLine.trim()), textFont, safe.width, 1, unit * 0.045, unit * 0.025)
+    : null;
+  const title = fitText(ctx, caseFor(template, design.title.trim() || 'Untitled'), titleFont, safe.width, 4, unit * 0.15, unit * 0.05);
+  const subtitle = design.subtitle.trim()
+    ? fitText(ctx, design.subtitle.trim(), textFont, safe.width, 3, unit * 0.05, unit * 0.03)
+    : null;
+  const author = design.author.trim()
+    ? fitText(ctx, caseFor(template, design.author.trim()), titleFont, safe.width, 2, unit * 0.065, unit * 0.035)
+    : null;
+
+  const titleLineHeight = title.size * 1.08;
+  const subtitleLineHeight = subtitle ? subtitle.size * 1.25 : 0;
+  const gap = unit * 0.03;
+  const seriesHeight = series ? series.size * 1.2 + gap : 0;
+  const blockHeight = title.lines.length * titleLineHeight + (subtitle ? gap + subtitle.lines.length * subtitleLineHeight : 0);
+  const authorHeight = author ? author.lines.length * author.size * 1.15 : 0;
+
+  let top: number;
+  if (template.titlePosition === 'top') {
+    top = safe.y + seriesHeight;
+  } else if (template.titlePosition === 'center') {
+    top = trim.y + trim.height * 0.45 - blockHeight / 2;
+  } else {
+    top = safe.y + safe.height - authorHeight - unit * 0.08 - blockHeight;
+  }
+
+  withShadow(ctx, shadow, unit * 0.02, () => {
+    if (series) {
+      ctx.font = textFont(series.size);
+      drawLines(ctx, series.lines, centerX, template.titlePosition === 'top' ? safe.y : top - seriesHeight, series.size * 1.2, template.accentColor);
+    }
+
+    ctx.font = titleFont(title.size);
+    drawLines(ctx, title.lines, centerX, top, titleLineHeight, template.titleColor);
+
+    if (subtitle) {
+      ctx.font = textFont(subtitle.size);
+      drawLines(ctx, subtitle.lines, centerX, top + title.lines.length * titleLineHeight + gap, subtitleLineHeight, template.textColor);
+    }
+
+    if (author) {
+      ctx.font = titleFont(author.size);
+      drawLines(ctx, author.lines, centerX, safe.y + safe.height - authorHeight, author.size * 1.15, template.textColor);
+    }
+  });
+};
+
+// Spine text reads top to bottom, as on US and UK editions
+const drawSpine = (ctx: CanvasRenderingContext2D, rect: Rect, design: CoverDesign, dpi: number) => {
+  const template = getCoverTemplate(design.templateId);
+  fillTemplateBackground(ctx, rect, template);
+  if (design.pageCount < SPINE_TEXT_MIN_PAGES) return;
+
+  const font = fontFor(design);
+  const length = rect.height - (BLEED + SAFE_MARGIN * 2) * dpi;
+  const size = Math.min(rect.width * 0.55, dpi * 0.3);
+  const titleText = caseFor(template, design.title.trim());
+  const authorText = caseFor(template, design.author.trim());
+
+  ctx.save();
+  ctx.translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+  ctx.rotate(Math.PI / 2);
+  ctx.textBaseline = 'middle';
+
+  ctx.font = `400 ${size}px ${font.family}`;
+  const authorWidth = authorText ? ctx.measureText(authorText).width : 0;
+  const titleSpace = length - authorWidth - (authorText ? size : 0);
+  const titleFit = fitText(ctx, titleText, s => `${font.titleWeight} ${s}px ${font.family}`, titleSpace, 1, size, size * 0.5);
+
+  ctx.font = `${font.titleWeight} ${titleFit.size}px ${font.family}`;
+  ctx.fillStyle = template.titleColor;
+  ctx.textAlign = 'left';
+  ctx.fillText(titleFit.lines[0] || '', -length / 2, 0);
+
+  if (authorText) {
+    ctx.font = `400 ${size}px ${font.family}`;
+    ctx.fillStyle = template.accentColor;
+    ctx.textAlign = 'right';
+    ctx.fillText(authorText, length / 2, 0);
+  }
+  ctx.restore();
+};
+
+const drawBack = (ctx: CanvasRenderingContext2D, art: Rect, trim: Rect, design: CoverDesign, dpi: number) => {
+  const template = getCoverTemplate(design.templateId);
+  const font = fontFor(design);
+  fillTemplateBackground(ctx, art, template);
+
+  const margin = SAFE_MARGIN * 2 * dpi;
+  const safe: Rect = { x: trim.x + margin, y: trim.y + margin, width: trim.width - margin * 2, height: trim.height - margin * 2 };
+  const barcode: Rect = {
+    width: BARCODE_AREA.width * dpi,
+    height: BARCODE_AREA.height * dpi,
+    x: trim.x + trim.width - (SAFE_MARGIN + BARCODE_AREA.width) * dpi,
+    y: trim.y + trim.height - (SAFE_MARGIN + BARCODE_AREA.height) * dpi
+  };
+
+  let top = safe.y;
+  if (design.title.trim()) {
+    const heading = fitText(ctx, caseFor(template, design.title.trim()), s => `${font.titleWeight} ${s}px ${font.family}`, safe.width, 2, dpi * 0.3, dpi * 0.16);
+    ctx.font = `${font.titleWeight} ${heading.size}px ${font.family}`;
+    drawLines(ctx, heading.lines, safe.x + safe.width / 2, top, heading.size * 1.15, template.titleColor);
+    top += heading.lines.length * heading.size * 1.15 + dpi * 0.25;
+  }
+
+  // The blurb shrinks to fit above the barcode area, and is cut off if it still doesn't
+  const blurbSpace = barcode.y - dpi * 0.25 - top;
+  const lineRatio = 1.45;
+  const minSize = dpi * 0.11;
+  const maxLines = Math.max(1, Math.floor(blurbSpace / (minSize * lineRatio)));
+  const blurb = fitText(ctx, design.blurb.trim(), s => `400 ${s}px ${font.family}`, safe.width, maxLines, dpi * 0.17, minSize);
+  ctx.font = `400 ${blurb.size}px ${font.family}`;
+  ctx.fillStyle = template.textColor;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  blurb.lines
+    .slice(0, maxLines)
+    .forEach((line, index) => ctx.fillText(line, safe.x, top + index * blurb.size * lineRatio));
+
+  // Left blank for the printer's ISBN barcode
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(barcode.x, barcode.y, barcode.width, barcode.height);
+};
+
+/**
+ * Renders the ebook front cover at the store-recommended 1:1.6 ratio.
+ */
+export const renderFrontCover = async (design: CoverDesign, width: number = EBOOK_COVER_SIZE.width): Promise<HTMLCanvasElement> => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width);
+  canvas.height = Math.round(width * EBOOK_COVER_SIZE.height / EBOOK_COVER_SIZE.width);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas is not supported in this browser');
+
+  const rect: Rect = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  drawFront(ctx, rect, rect, design, await loadBackground(design));
+  return canvas;
+};
+
+/**
+ * Renders the print wraparound: back cover with blurb and barcode area,
+ * spine sized from the page count and paper, and the front cover, with
+ * bleed on the outside edges.
+ */
+export const renderWraparound = async (design: CoverDesign, dpi: number = PRINT_DPI): Promise<HTMLCanvasElement> => {
+  const size = getWraparoundSize(design);
+  const trim = trimInches(design.trimSize);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(size.width * dpi);
+  canvas.height = Math.round(size.height * dpi);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas is not supported in this browser');
+
+  const image = await loadBackground(design);
+  const frontX = (BLEED + trim.width + size.spine) * dpi;
+
+  drawBack(
+    ctx,
+    { x: 0, y: 0, width: (BLEED + trim.width) * dpi, height: canvas.height },
+    { x: BLEED * dpi, y: BLEED * dpi, width: trim.width * dpi, height: trim.height * dpi },
+    design,
+    dpi
+  );
+  drawSpine(ctx, { x: (BLEED + trim.width) * dpi, y: 0, width: size.spine * dpi, height: canvas.height }, design, dpi);
+  drawFront(
+    ctx,
+    { x: frontX, y: 0, width: canvas.width - frontX, height: canvas.height },
+    { x: frontX, y: BLEED * dpi, width: trim.width * dpi, height: trim.height * dpi },
+    design,
+    image
+  );
+  return canvas;
+};
+
+export const buildFrontCoverPNG = async (design: CoverDesign): Promise<Blob> =>
+  canvasToBlob(await renderFrontCover(design), 'image/png');
+
+export const buildWraparoundCover = async (design: CoverDesign, format: 'png' | 'pdf'): Promise<Blob> => {
+  const canvas = await renderWraparound(design);
+  if (format === 'png') return canvasToBlob(canvas, 'image/png');
+
+  const size = getWraparoundSize(design);
+  const pdf = new jsPDF({ unit: 'in', format: [size.width, size.height], orientation: 'landscape' });
+  pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', 0, 0, size.width, size.height);
+  return pdf.output('blob');
+};
+
+// JPEG keeps the stored cover small enough to sync with the book
+export const renderCoverDataUrl = async (design: CoverDesign): Promise<string> =>
+  (await renderFrontCover(design)).toDataURL('image/jpeg', 0.9);
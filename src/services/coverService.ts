@@ -1,11 +1,17 @@
-import { Book } from '../types';
+import { AIUsageContext, Book } from '../types';
+import { proxyFetch } from './aiProxyService';
 
-export const generateBookCover = async (book: Book, geminiApiKey: string): Promise<string> => {
+const IMAGEN_MODEL = 'imagen-3.0-generate-002';
+
+// Image models garble lettering, so they only paint the artwork; the cover
+// designer sets the title and author over it
+const COVER_ART_DIRECTIONS = 'Create the background artwork for a vertical book cover. Do not include any text, letters, words, numbers, logos or signatures anywhere in the image. Keep the top third and the bottom fifth calm and uncluttered so a title and author name can be set over them.';
+
+export const generateBookCover = async (book: Book): Promise<string> => {
   // Note: Google AI image generation is currently limited and may not work with all API keys
   // This function attempts to use Google's image generation but falls back to suggesting DALL-E
-  // Create a detailed prompt for a complete photorealistic book cover
-  const authorName = book.author || 'Author Name';
-  let prompt = `Create a professional photorealistic book cover for "${book.title}" by ${authorName}, a ${book.genre.toLowerCase()} book`;
+  // Create a detailed prompt for photorealistic cover artwork
+  let prompt = `Create professional photorealistic cover artwork, with no text, for a ${book.genre.toLowerCase()} book titled "${book.title}"`;
 
   if (book.subGenre) {
     prompt += ` in the ${book.subGenre.toLowerCase()} style`;
@@ -35,8 +41,8 @@ export const generateBookCover = async (book: Book, geminiApiKey: string): Promi
     prompt += `. Visual style: ${genrePrompts[book.genre.toLowerCase()]}`;
   }
 
-  // Add technical specifications for the complete book cover
-  prompt += `. Create a complete professional book cover with the title "${book.title}" prominently displayed at the top and author name "${authorName}" at the bottom. Use elegant, readable typography that fits the genre. Photorealistic style, not illustration. Vertical book cover orientation, high quality, professional photography or CGI quality, suitable for print, rich details, compelling composition, movie poster quality.`;
+  // Add technical specifications for the cover artwork
+  prompt += `. ${COVER_ART_DIRECTIONS} Photorealistic style, not illustration. High quality, professional photography or CGI quality, suitable for print, rich details, compelling composition, movie poster quality.`;
 
   // Add description-based elements if available
   if (book.description && book.description.length > 20) {
@@ -44,85 +50,56 @@ export const generateBookCover = async (book: Book, geminiApiKey: string): Promi
     prompt += ` Incorporate visual themes from: ${descriptionWords}`;
   }
 
-  // Try Vertex AI Imagen first (more reliable), then fallback to Gemini API
+  const usage: AIUsageContext = { bookId: book.id, operation: 'cover' };
+
+  // Try Imagen first (more reliable), then fallback to Gemini's image model
   const attempts = [
-    // Attempt 1: Vertex AI Imagen (production-ready)
+    // Attempt 1: Imagen through the Gemini API
     async () => {
-      console.log('Trying Vertex AI Imagen...');
-
-      // Get Google Cloud access token
-      const tokenResponse = await fetch('http://metadata.google.internal/computeMetadata/v1/instance/service-accounts/default/token', {
-        headers: {
-          'Metadata-Flavor': 'Google'
+      console.log('Trying Imagen...');
+
+      const response = await proxyFetch('gemini', `v1beta/models/${IMAGEN_MODEL}:predict`, {
+        instances: [{
+          prompt: prompt
+        }],
+        parameters: {
+          sampleCount: 1,
+          aspectRatio: "3:4", // Good for book covers
+          personGeneration: "allow_adult"
         }
-      });
-
-      let accessToken;
-      if (tokenResponse.ok) {
-        const tokenData = await tokenResponse.json();
-        accessToken = tokenData.access_token;
-      } else {
-        // Fallback: try to use the API key as a bearer token (won't work but will give clear error)
-        throw new Error('Vertex AI requires Google Cloud authentication. Using Gemini API instead.');
-      }
-
-      const response = await fetch(`https://us-central1-aiplatform.googleapis.com/v1/projects/unstackapp/locations/us-central1/publishers/google/models/imagen-4.0-ultra-generate-preview-06-06:predict`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          instances: [{
-            prompt: prompt
-          }],
-          parameters: {
-            sampleCount: 1,
-            aspectRatio: "3:4", // Good for book covers
-            safetySetting: "block_medium_and_above",
-            personGeneration: "allow_adult",
-            addWatermark: false
-          }
-        })
-      });
+      }, usage);
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Vertex AI Imagen error: ${response.status} - ${errorText}`);
+        throw new Error(`Imagen error: ${response.status} - ${errorText}`);
       }
 
       const data = await response.json();
 
       if (data.predictions && data.predictions.length > 0 && data.predictions[0].bytesBase64Encoded) {
-        console.log('✅ Vertex AI Imagen generated image successfully!');
+        console.log('✅ Imagen generated image successfully!');
         const mimeType = data.predictions[0].mimeType || 'image/png';
         return `data:${mimeType};base64,${data.predictions[0].bytesBase64Encoded}`;
       }
 
-      throw new Error('No image data in Vertex AI response');
+      throw new Error('No image data in Imagen response');
     },
 
     // Attempt 2: Gemini API (fallback)
     async () => {
       console.log('Trying Gemini API as fallback...');
 
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-preview-image-generation:generateContent?key=${geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            responseModalities: ["TEXT", "IMAGE"],
-            temperature: 0.7,
-          }
-        })
-      });
+      const response = await proxyFetch('gemini', 'v1beta/models/gemini-2.0-flash-preview-image-generation:generateContent', {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          responseModalities: ["TEXT", "IMAGE"],
+          temperature: 0.7,
+        }
+      }, usage);
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -172,10 +149,6 @@ export const generateBookCover = async (book: Book, geminiApiKey: string): Promi
             throw new Error(`Google AI rejected this image due to content policies. Try a simpler prompt or use DALL-E instead.`);
           }
 
-          if (error.message.includes('Vertex AI requires')) {
-            throw new Error(`Google AI image generation failed. Your setup works but may need additional permissions. Try DALL-E as an alternative.`);
-          }
-
           throw new Error(`Google AI image generation failed: ${error.message}`);
         }
 
@@ -185,12 +158,10 @@ export const generateBookCover = async (book: Book, geminiApiKey: string): Promi
   }
 };
 
-// Alternative: Generate cover using DALL-E (if user has OpenAI API key)
-export const generateBookCoverWithDALLE = async (book: Book, apiKey: string): Promise<string> => {
-  const authorName = book.author || 'Author Name';
-
-  // Create complete photorealistic book cover prompt
-  let prompt = `Create a professional photorealistic book cover for "${book.title}" by ${authorName}, a ${book.genre.toLowerCase()} book`;
+// Alternative: Generate cover using DALL-E
+export const generateBookCoverWithDALLE = async (book: Book): Promise<string> => {
+  // Create photorealistic cover artwork prompt
+  let prompt = `Create professional photorealistic cover artwork, with no text, for a ${book.genre.toLowerCase()} book titled "${book.title}"`;
 
   if (book.description) {
     // Take first sentence of description for context
@@ -218,24 +189,17 @@ export const generateBookCoverWithDALLE = async (book: Book, apiKey: string): Pr
     prompt += `. Visual style: ${genreStyles[book.genre.toLowerCase()]}`;
   }
 
-  prompt += `. Create a complete book cover with the title "${book.title}" prominently displayed at the top and author name "${authorName}" at the bottom. Use elegant, readable typography that fits the genre. Photorealistic style, not illustration. Vertical book cover orientation, high quality, professional photography or CGI quality, movie poster quality, rich details, compelling composition.`;
+  prompt += `. ${COVER_ART_DIRECTIONS} Photorealistic style, not illustration. High quality, professional photography or CGI quality, movie poster quality, rich details, compelling composition.`;
   
   try {
-    const response = await fetch('https://api.openai.com/v1/images/generations', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: "dall-e-3",
-        prompt: prompt,
-        n: 1,
-        size: "1024x1792", // Vertical book cover ratio
-        quality: "standard",
-        response_format: "url"
-      })
-    });
+    const response = await proxyFetch('openai', 'v1/images/generations', {
+      model: "dall-e-3",
+      prompt: prompt,
+      n: 1,
+      size: "1024x1792", // Vertical book cover ratio
+      quality: "standard",
+      response_format: "url"
+    }, { bookId: book.id, operation: 'cover' });
 
     if (!response.ok) {
       const errorText = await response.text();
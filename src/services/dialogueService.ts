@@ -0,0 +1,253 @@
+import { Book, DetectedCharacter, NarrationSpan, StoryBibleEntry } from '../types';
+import { isSceneBreak, splitParagraphs } from './epubService';
+
+const SPEECH_VERBS = [
+  'said', 'says', 'asked', 'asks', 'replied', 'replies', 'answered', 'whispered', 'shouted', 'yelled',
+  'muttered', 'murmured', 'called', 'cried', 'added', 'continued', 'admitted', 'insisted', 'snapped',
+  'growled', 'told', 'demanded', 'explained', 'repeated', 'warned', 'breathed', 'hissed', 'exclaimed',
+  'agreed', 'protested', 'offered', 'suggested', 'interrupted', 'pleaded', 'announced', 'declared',
+  'screamed', 'stammered', 'mumbled', 'grumbled', 'teased', 'retorted', 'countered', 'laughed', 'sighed',
+  'began', 'conceded', 'corrected', 'observed', 'noted', 'promised', 'responded', 'whimpered', 'barked'
+].join('|');
+
+// Capitalised words that start sentences or speech tags but are never character names
+const NOT_NAMES = new Set([
+  'he', 'she', 'they', 'i', 'we', 'you', 'it', 'the', 'a', 'an', 'his', 'her', 'their', 'my', 'our', 'your',
+  'but', 'and', 'then', 'so', 'yes', 'no', 'oh', 'well', 'this', 'that', 'there', 'here', 'what', 'when',
+  'where', 'why', 'how', 'who', 'mr', 'mrs', 'ms', 'dr', 'sir', 'madam', 'someone', 'everyone', 'nobody',
+  'somebody', 'one', 'if', 'as', 'for', 'with', 'after', 'before', 'now', 'still', 'just', 'even', 'only',
+  'chapter', 'god', 'okay', 'please', 'sorry', 'thanks', 'hello', 'hey', 'maybe', 'not', 'all', 'both'
+]);
+
+const NAME = "[A-Z][\\w'’-]*(?:\\s+[A-Z][\\w'’-]*)?";
+// Tags name the speaker ("Mara said", "said Mara") or use a pronoun ("she said")
+const SPEAKER = `${NAME}|he|she`;
+const TAG_AFTER_QUOTE = new RegExp(`^[\\s,]*(?:(${SPEAKER})\\s+(?:${SPEECH_VERBS})\\b|(?:${SPEECH_VERBS})\\s+(${SPEAKER})\\b)`);
+const TAG_BEFORE_QUOTE = new RegExp(`\\b(${SPEAKER})\\s+(?:${SPEECH_VERBS})(?:\\s+\\w+){0,3}\\s*[,:]\\s*$`);
+// Straight quotes can't tell opening from closing, so pair them in order; an unclosed quote runs to the end
+const QUOTE = /“[^”]*(?:”|$)|"[^"]*(?:"|$)/g;
+
+const MALE_PRONOUNS = new Set(['he', 'him', 'his', 'himself']);
+const FEMALE_PRONOUNS = new Set(['she', 'her', 'hers', 'herself']);
+
+interface CharacterState {
+  name: string;
+  maleVotes: number;
+  femaleVotes: number;
+  lineCount: number;
+  lastMention: number;
+  fromStoryBible: boolean;
+}
+
+interface ParagraphPart {
+  text: string;
+  quoted: boolean;
+}
+
+const splitQuotes = (paragraph: string): ParagraphPart[] => {
+  const parts: ParagraphPart[] = [];
+  let last = 0;
+  for (const match of paragraph.matchAll(QUOTE)) {
+    if (match.index! > last) parts.push({ text: paragraph.slice(last, match.index), quoted: false });
+    parts.push({ text: match[0], quoted: true });
+    last = match.index! + match[0].length;
+  }
+  if (last < paragraph.length) parts.push({ text: paragraph.slice(last), quoted: false });
+  return parts.filter(part => part.text.trim());
+};
+
+const getGender = (character: CharacterState): DetectedCharacter['gender'] => {
+  if (character.femaleVotes > character.maleVotes) return 'female';
+  if (character.maleVotes > character.femaleVotes) return 'male';
+  return 'neutral';
+};
+
+/**
+ * Attributes quoted dialogue to characters paragraph by paragraph. Attribution
+ * uses speech tags ("Mara said"), pronoun tags resolved to the last character of
+ * that gender, action beats naming a single character, and turn-taking in
+ * untagged exchanges. Paragraphs must be fed in reading order.
+ */
+export const createDialogueAttributor = (hints: StoryBibleEntry[] = []) => {
+  const characters = new Map<string, CharacterState>();
+  // Full names and unambiguous single names both resolve to the canonical name
+  const aliases = new Map<string, string | null>();
+  let paragraphIndex = 0;
+  let recentSpeakers: string[] = [];
+  let continuingSpeaker: string | undefined;
+
+  const addCharacter = (name: string, description = '', fromStoryBible = false) => {
+    if (characters.has(name)) return;
+
+    const words = description.toLowerCase().match(/[a-z]+/g) || [];
+    characters.set(name, {
+      name,
+      maleVotes: words.filter(word => MALE_PRONOUNS.has(word)).length,
+      femaleVotes: words.filter(word => FEMALE_PRONOUNS.has(word)).length,
+      lineCount: 0,
+      lastMention: -1,
+      fromStoryBible
+    });
+
+    aliases.set(name.toLowerCase(), name);
+    for (const token of name.split(/\s+/)) {
+      const key = token.toLowerCase();
+      if (key.length < 3 || NOT_NAMES.has(key) || key === name.toLowerCase()) continue;
+      // A surname shared by two characters can't identify either of them
+      aliases.set(key, aliases.has(key) && aliases.get(key) !== name ? null : name);
+    }
+  };
+
+  hints
+    .filter(entry => entry.type === 'character' && entry.name.trim())
+    .forEach(entry => addCharacter(entry.name.trim(), entry.description, true));
+
+  const resolveName = (candidate: string, allowNew: boolean): string | undefined => {
+    const words = candidate.split(/\s+/).filter(word => !NOT_NAMES.has(word.toLowerCase()));
+    if (words.length === 0) return undefined;
+
+    const full = words.join(' ');
+    const known = aliases.get(full.toLowerCase()) || aliases.get(words[0].toLowerCase());
+    if (known) return known;
+    if (!allowNew) return undefined;
+
+    addCharacter(full);
+    return full;
+  };
+
+  const resolvePronoun = (pronoun: string): string | undefined => {
+    const gender = pronoun.toLowerCase() === 'she' ? 'female' : 'male';
+    return Array.from(characters.values())
+      .filter(character => getGender(character) === gender && character.lastMention >= 0)
+      .sort((a, b) => b.lastMention - a.lastMention)[0]?.name;
+  };
+
+  /**
+   * Records which characters the narration mentions and which pronouns follow
+   * them. Full names and capitalised words mid-sentence are remembered as possible
+   * characters so later pronoun tags can resolve to them.
+   */
+  const scanNarration = (text: string): string[] => {
+    const mentioned: string[] = [];
+    let current: CharacterState | undefined;
+
+    for (const match of text.matchAll(/[A-Z][\w'’-]*(?:\s+[A-Z][\w'’-]*)?|\b[a-z]+\b/g)) {
+      const word = match[0];
+      if (/^[A-Z]/.test(word)) {
+        const startsSentence = /(^|[.!?…“”"]\s*)$/.test(text.slice(0, match.index));
+        const isFullName = word.split(/\s+/).filter(token => !NOT_NAMES.has(token.toLowerCase())).length > 1;
+        const name = resolveName(word, isFullName || !startsSentence);
+        if (name) {
+          current = characters.get(name)!;
+          current.lastMention = paragraphIndex;
+          if (!mentioned.includes(name)) mentioned.push(name);
+          continue;
+        }
+      }
+      const lower = word.toLowerCase();
+      if (current && MALE_PRONOUNS.has(lower)) current.maleVotes++;
+      if (current && FEMALE_PRONOUNS.has(lower)) current.femaleVotes++;
+    }
+
+    return mentioned;
+  };
+
+  const resolveTag = (speaker: string): string | undefined =>
+    /^(he|she)$/i.test(speaker) ? resolvePronoun(speaker) : resolveName(speaker, true);
+
+  const findTaggedSpeaker = (parts: ParagraphPart[]): string | undefined => {
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i].quoted) continue;
+
+      const tagAfter = parts[i - 1]?.quoted ? parts[i].text.match(TAG_AFTER_QUOTE) : null;
+      if (tagAfter) {
+        const speaker = resolveTag(tagAfter[1] || tagAfter[2]);
+        if (speaker) return speaker;
+      }
+
+      const tagBefore = parts[i + 1]?.quoted ? parts[i].text.match(TAG_BEFORE_QUOTE) : null;
+      if (tagBefore) {
+        const speaker = resolveTag(tagBefore[1]);
+        if (speaker) return speaker;
+      }
+    }
+    return undefined;
+  };
+
+  const attributeParagraph = (paragraph: string): NarrationSpan[] => {
+    paragraphIndex++;
+    const parts = splitQuotes(paragraph);
+    const hasDialogue = parts.some(part => part.quoted);
+
+    if (!hasDialogue) {
+      scanNarration(paragraph);
+      continuingSpeaker = undefined;
+      return [{ text: paragraph }];
+    }
+
+    const opensWithQuote = parts[0].quoted;
+    let speaker = opensWithQuote ? continuingSpeaker : undefined;
+    speaker = speaker || findTaggedSpeaker(parts);
+
+    // An action beat naming one established character ("Mara frowned.") marks the speaker
+    const mentioned = scanNarration(parts.filter(part => !part.quoted).map(part => part.text).join(' '))
+      .filter(name => characters.get(name)!.lineCount > 0 || characters.get(name)!.fromStoryBible);
+    if (!speaker && mentioned.length === 1) speaker = mentioned[0];
+
+    // Untagged back-and-forth alternates between the last two speakers
+    if (!speaker && recentSpeakers.length === 2 && recentSpeakers[0] !== recentSpeakers[1]) {
+      speaker = recentSpeakers[0];
+    }
+
+    if (speaker) {
+      const character = characters.get(speaker)!;
+      character.lineCount++;
+      character.lastMention = paragraphIndex;
+      recentSpeakers = [...recentSpeakers, speaker].slice(-2);
+    } else {
+      recentSpeakers = [];
+    }
+
+    // A quote left open continues into the next paragraph in the same voice
+    const lastPart = parts[parts.length - 1];
+    continuingSpeaker = lastPart.quoted && !/[”"]\s*$/.test(lastPart.text) ? speaker : undefined;
+
+    const spans: NarrationSpan[] = [];
+    for (const part of parts) {
+      const text = part.text.trim();
+      const partSpeaker = part.quoted ? speaker : undefined;
+      const previous = spans[spans.length - 1];
+      if (previous && previous.speaker === partSpeaker) {
+        previous.text = `${previous.text} ${text}`;
+      } else {
+        spans.push({ text, speaker: partSpeaker });
+      }
+    }
+    return spans;
+  };
+
+  const getCharacters = (): DetectedCharacter[] =>
+    Array.from(characters.values())
+      .filter(character => character.lineCount > 0)
+      .sort((a, b) => b.lineCount - a.lineCount)
+      .map(character => ({ name: character.name, gender: getGender(character), lineCount: character.lineCount }));
+
+  return { attributeParagraph, getCharacters };
+};
+
+export type DialogueAttributor = ReturnType<typeof createDialogueAttributor>;
+
+// Runs attribution over the whole book so casting can list every speaking character
+export const detectCharacters = (book: Book, hints: StoryBibleEntry[] = []): DetectedCharacter[] => {
+  const attributor = createDialogueAttributor(hints);
+
+  for (const chapter of book.chapters) {
+    for (const subChapter of chapter.subChapters || []) {
+      for (const paragraph of splitParagraphs(subChapter.content || '')) {
+        if (!isSceneBreak(paragraph)) attributor.attributeParagraph(paragraph);
+      }
+    }
+  }
+
+  return attributor.getCharacters();
+};
@@ -1,108 +1,68 @@
-import { Book } from '../types';
-
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
-
-interface GeminiResponse {
-  candidates: {
-    content: {
-      parts: {
-        text: string;
-      }[];
-    };
-  }[];
-}
-
-const callGeminiAPI = async (prompt: string, apiKey: string): Promise<string> => {
-  const maxRetries = 3;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 4096,
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Gemini API Error Response:', errorText);
-        
-        if (response.status === 429 && attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000;
-          console.log(`Rate limit hit. Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-        
-        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-      }
+import { Book, WritingPersona } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { getChapterPersonaInstructions } from './personaService';
+import { countWords } from './manuscriptService';
+
+// Editing favours faithful rewrites over creative ones, and returns whole sections
+const EDITING_OPTIONS = {
+  temperature: 0.3,
+  maxOutputTokens: 4096,
+  maxRetries: 3
+};
 
-      const data: GeminiResponse = await response.json();
-      
-      if (!data.candidates || data.candidates.length === 0) {
-        throw new Error('No candidates returned from Gemini API');
-      }
-      
-      return data.candidates[0]?.content?.parts[0]?.text || '';
-    } catch (error) {
-      if (attempt >= maxRetries) {
-        console.error('Error calling Gemini API after all retries:', error);
-        throw error;
-      }
-      
-      if (error instanceof TypeError && error.message.includes('fetch')) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(`Network error. Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      
-      console.error('Error calling Gemini API:', error);
-      throw error;
+// Long sections are rewritten in passes of whole paragraphs that fit comfortably in one response
+const MAX_PASS_WORDS = 1200;
+
+// Each paragraph keeps the line breaks after it, so the rewritten passes join back into the same layout
+const splitIntoPasses = (content: string): string[] => {
+  const paragraphs = content.replace(/\r\n?/g, '\n').match(/[^\n]+\n*|\n+/g) || [];
+  const passes: string[] = [];
+  let current = '';
+  let words = 0;
+
+  paragraphs.forEach(paragraph => {
+    const paragraphWords = countWords(paragraph);
+    if (current.trim() && words + paragraphWords > MAX_PASS_WORDS) {
+      passes.push(current);
+      current = '';
+      words = 0;
+    }
+    current += paragraph;
+    words += paragraphWords;
+  });
+  if (current) passes.push(current);
+  return passes;
+};
+
+// Rewrites a section pass by pass, for rewrites that can run past one response
+export const rewriteInPasses = async (
+  content: string,
+  rewritePassage: (passage: string, index: number, passCount: number) => Promise<string>
+): Promise<string> => {
+  const passes = splitIntoPasses(content);
+  const rewritten: string[] = [];
+
+  for (const [index, pass] of passes.entries()) {
+    const passage = pass.trim();
+    if (!passage) {
+      rewritten.push(pass);
+      continue;
     }
+    const lineBreaks = pass.match(/\n*$/)?.[0] || '';
+    rewritten.push((await rewritePassage(passage, index, passes.length)).trim() + lineBreaks);
   }
-  
-  throw new Error('Maximum retries exceeded');
+
+  return rewritten.join('').trim();
 };
 
 export const editContent = async (
   originalContent: string,
   selectedText: string,
   editPrompt: string,
-  apiKey: string
+  llm: LLMTarget,
+  styleInstructions: string = ''
 ): Promise<string> => {
+  const stylePrompt = styleInstructions ? `\nVOICE:\nKeep the edited text in the book's voice. ${styleInstructions}\n` : '';
   const prompt = `
 You are an expert editor helping to improve book content. You will be given:
 1. The original content of a section
@@ -119,24 +79,27 @@ SELECTED TEXT TO EDIT:
 
 EDIT INSTRUCTIONS:
 ${editPrompt}
-
+${stylePrompt}
 IMPORTANT: Return the COMPLETE modified content with the selected text edited according to the instructions. Do not add any explanations or commentary, just return the updated content.
 `;
 
-  const response = await callGeminiAPI(prompt, apiKey);
+  const response = await generateText(prompt, llm, EDITING_OPTIONS);
   return response.trim();
 };
 
 export const editWholeBook = async (
   book: Book,
   editPrompt: string,
-  apiKey: string
+  llm: LLMTarget,
+  personas: Record<string, WritingPersona> = {}
 ): Promise<Book> => {
   // For whole book editing, we'll edit each chapter's content
   const updatedChapters = [];
   
   for (const chapter of book.chapters) {
     const updatedSubChapters = [];
+    const styleInstructions = getChapterPersonaInstructions(book, chapter, personas);
+    const stylePrompt = styleInstructions ? `\nVOICE:\n${styleInstructions}\n` : '';
     
     if (chapter.subChapters) {
       for (const subChapter of chapter.subChapters) {
@@ -155,21 +118,23 @@ ${subChapter.content}
 
 EDITING INSTRUCTIONS:
 ${editPrompt}
-
+${stylePrompt}
 Please apply the editing instructions to improve this content while maintaining:
 - The original meaning and intent
 - Consistency with the book's tone and style
 - Proper flow and readability
 - The section's purpose within the chapter
+- Citation markers like [1] next to the facts they support
 
 Return ONLY the improved content, no explanations or commentary.
 `;
 
           try {
-            const editedContent = await callGeminiAPI(prompt, apiKey);
+            const editedContent = await generateText(prompt, llm, EDITING_OPTIONS);
             updatedSubChapters.push({
               ...subChapter,
-              content: editedContent.trim()
+              content: editedContent.trim(),
+              voiceFidelity: undefined
             });
             
             // Add delay to prevent rate limiting
@@ -195,4 +160,65 @@ Return ONLY the improved content, no explanations or commentary.
     ...book,
     chapters: updatedChapters
   };
-};
\ No newline at end of file
+};
+
+// Rewrites a section in a different voice without changing what happens in it
+export const rewriteInVoice = async (
+  content: string,
+  styleInstructions: string,
+  llm: LLMTarget
+): Promise<string> => {
+  const voice = styleInstructions || 'Write in a clear, natural style that suits the book\'s genre and tone.';
+  const prompt = `
+You are an expert editor rewriting a section of a book in a new narrative voice.
+
+CURRENT CONTENT:
+${content}
+
+NEW VOICE:
+${voice}
+
+Rewrite the content in the new voice while keeping:
+- Every event, fact and piece of dialogue meaning
+- The same characters, names and order of scenes
+- Citation markers like [1] next to the facts they support
+- Roughly the same length
+
+Return ONLY the rewritten content, no explanations or commentary.
+`;
+
+  const response = await generateText(prompt, llm, EDITING_OPTIONS);
+  return response.trim();
+};
+
+// Fixes one reported problem in a section, leaving the rest of it alone
+export const fixSectionIssue = async (
+  content: string,
+  problem: string,
+  fixInstruction: string,
+  excerpt: string | undefined,
+  llm: LLMTarget,
+  styleInstructions: string = ''
+): Promise<string> => {
+  const excerptPrompt = excerpt ? `\nPASSAGE:\n"${excerpt}"\n` : '';
+  const stylePrompt = styleInstructions ? `\nVOICE:\nKeep any new or changed text in the book's voice. ${styleInstructions}\n` : '';
+  const prompt = `
+You are an expert editor fixing a specific problem in a section of a book.
+
+CURRENT CONTENT:
+${content}
+
+PROBLEM:
+${problem}
+${excerptPrompt}
+HOW TO FIX IT:
+${fixInstruction}
+${stylePrompt}
+Change only what is needed to fix the problem and keep everything else as it is.
+
+IMPORTANT: Return the COMPLETE corrected content. Do not add any explanations or commentary.
+`;
+
+  const response = await generateText(prompt, llm, EDITING_OPTIONS);
+  return response.trim();
+};
@@ -0,0 +1,179 @@
+import { Book, EditionChanges, EditionLength, NarrativeTense, ReadingLevel } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { rewriteInPasses } from './editingService';
+import { countWords } from './manuscriptService';
+import { cloneBookAsEdition } from './contentService';
+
+// Closer to the source than fresh writing, with room for expanded passages
+const EDITION_OPTIONS = {
+  temperature: 0.5,
+  maxOutputTokens: 8192,
+  maxRetries: 3
+};
+
+export const READING_LEVELS: Record<ReadingLevel, { label: string; guidance: string }> = {
+  'early-reader': {
+    label: 'Early Reader',
+    guidance: 'readers aged about 6 to 8: short, simple sentences, everyday words, one idea at a time, and nothing frightening or mature'
+  },
+  'middle-grade': {
+    label: 'Middle Grade',
+    guidance: 'readers aged about 8 to 12: clear sentences, vivid but familiar vocabulary, and no graphic violence, sexual content or strong language'
+  },
+  'young-adult': {
+    label: 'Young Adult',
+    guidance: 'readers aged about 12 to 18: a direct, immediate style, with mature themes handled honestly but without explicit sexual content'
+  },
+  adult: {
+    label: 'Adult',
+    guidance: 'adult readers: the full range of vocabulary and sentence structure, with themes explored in whatever depth the story needs'
+  }
+};
+
+export const NARRATIVE_TENSES: Record<NarrativeTense, string> = {
+  past: 'Past Tense',
+  present: 'Present Tense'
+};
+
+// Ratio of the edition's length to the source's
+export const EDITION_LENGTHS: Record<EditionLength, { label: string; ratio: number }> = {
+  abridged: { label: 'Abridged', ratio: 0.6 },
+  expanded: { label: 'Expanded', ratio: 1.5 }
+};
+
+export const PERSPECTIVE_LABELS: Record<string, string> = {
+  first: 'First Person',
+  'third-limited': 'Third Person Limited',
+  'third-omniscient': 'Third Person Omniscient',
+  second: 'Second Person'
+};
+
+const PERSPECTIVE_INSTRUCTIONS: Record<string, string> = {
+  'third-limited': 'third person limited ("he"/"she"), staying with one viewpoint character per scene',
+  'third-omniscient': 'third person omniscient ("he"/"she"), free to show any character\'s thoughts',
+  second: 'second person ("you"), addressing the reader as the main character'
+};
+
+// The narrator only matters once the edition is in first person
+export const hasEditionChanges = (changes: EditionChanges): boolean =>
+  !!(changes.readingLevel || changes.targetAudience?.trim() || changes.perspective || changes.tense || changes.length);
+
+// "Middle Grade, Present Tense" - used in the edition's title and its revision notes
+export const describeEditionChanges = (changes: EditionChanges): string =>
+  [
+    changes.readingLevel && READING_LEVELS[changes.readingLevel].label,
+    changes.targetAudience?.trim() && `For ${changes.targetAudience.trim()}`,
+    changes.perspective && (PERSPECTIVE_LABELS[changes.perspective] || changes.perspective),
+    changes.tense && NARRATIVE_TENSES[changes.tense],
+    changes.length && EDITION_LENGTHS[changes.length].label
+  ].filter(Boolean).join(', ');
+
+// Translations and rewritten editions both point back to the book they were made from
+export const getEditionSourceId = (book: Book): string | undefined =>
+  book.edition?.sourceBookId || book.translation?.sourceBookId;
+
+export const getSourceSectionId = (book: Book, sectionId: string): string | undefined =>
+  (book.edition || book.translation)?.sectionSources?.[sectionId];
+
+export const getLinkedEditions = (book: Book, library: Book[]): Book[] =>
+  library.filter(other => other.edition?.sourceBookId === book.id);
+
+const buildEditionInstructions = (changes: EditionChanges): string[] => {
+  const instructions: string[] = [];
+
+  if (changes.readingLevel) {
+    instructions.push(`Rewrite it for ${READING_LEVELS[changes.readingLevel].guidance}`);
+  }
+  if (changes.targetAudience?.trim()) {
+    instructions.push(`Aim it at ${changes.targetAudience.trim()}: adjust references, examples and emphasis so they speak to these readers`);
+  }
+  if (changes.perspective === 'first') {
+    const narrator = changes.narrator?.trim() || 'the main viewpoint character';
+    instructions.push(`Tell it in first person ("I"), narrated by ${narrator}; show only what the narrator can see, know or reasonably guess`);
+  } else if (changes.perspective) {
+    instructions.push(`Tell it in ${PERSPECTIVE_INSTRUCTIONS[changes.perspective] || changes.perspective}`);
+  }
+  if (changes.tense) {
+    instructions.push(`Narrate it in the ${changes.tense} tense throughout; dialogue keeps whatever tense the speaker would naturally use`);
+  }
+  if (changes.length === 'abridged') {
+    instructions.push('Abridge it: keep every event that matters to the plot, and cut description, digressions and repetition');
+  } else if (changes.length === 'expanded') {
+    instructions.push('Expand it: deepen description, interior thought and dialogue, without adding new plot events');
+  }
+
+  return instructions;
+};
+
+/**
+ * Rewrites a section of an edition along the axes recorded on it. The events,
+ * characters and order of scenes stay the same; long sections are rewritten
+ * in passes, each aiming at its share of the new length.
+ */
+export const rewriteForEdition = async (
+  content: string,
+  book: Book,
+  sectionTitle: string,
+  llm: LLMTarget
+): Promise<string> => {
+  const changes = book.edition?.changes || {};
+  const instructions = buildEditionInstructions(changes);
+  const ratio = changes.length ? EDITION_LENGTHS[changes.length].ratio : 1;
+
+  return rewriteInPasses(content, async (passage, index, passCount) => {
+    const targetWords = Math.max(20, Math.round(countWords(passage) * ratio / 10) * 10);
+    const prompt = `
+You are an expert editor adapting a passage of the ${book.genre} book "${book.title}" for a new edition.
+${passCount > 1 ? `It is part ${index + 1} of ${passCount} of the section "${sectionTitle}".\n` : ''}
+NEW EDITION:
+${instructions.map(instruction => `- ${instruction}`).join('\n')}
+
+KEEP:
+- The same characters, names and order of scenes
+- The paragraph structure, with scene break lines such as * * * left unchanged
+- Citation markers like [1] next to the facts they support
+- A length of about ${targetWords} words
+
+PASSAGE:
+${passage}
+
+Return ONLY the rewritten passage, with no notes or commentary.
+`;
+
+    return generateText(prompt, llm, EDITION_OPTIONS);
+  });
+};
+
+/**
+ * Creates an edition of a book that differs along the chosen axes. The
+ * outline and text are copied as they are, and the sections are left pending
+ * (with the source text) for an 'edition' generation job to rewrite.
+ */
+export const createEdition = async (
+  sourceBook: Book,
+  changes: EditionChanges
+): Promise<{ book: Book; sectionIds: string[] }> => {
+  if (!hasEditionChanges(changes)) {
+    throw new Error('Choose at least one thing for the edition to change');
+  }
+
+  const ratio = changes.length ? EDITION_LENGTHS[changes.length].ratio : 1;
+  const scale = (words?: number) => words && Math.round(words * ratio / 100) * 100;
+
+  return cloneBookAsEdition(
+    sourceBook,
+    sourceBook.chapters.map(chapter => ({ ...chapter, targetWordCount: scale(chapter.targetWordCount) })),
+    sectionSources => ({
+      title: `${sourceBook.title} - ${describeEditionChanges(changes)} Edition`,
+      targetAudience: changes.targetAudience?.trim() || sourceBook.targetAudience,
+      perspective: changes.perspective || sourceBook.perspective,
+      targetWordCount: scale(sourceBook.targetWordCount),
+      edition: {
+        sourceBookId: sourceBook.id,
+        changes,
+        sectionSources,
+        createdAt: new Date().toISOString()
+      }
+    })
+  );
+};
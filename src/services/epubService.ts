@@ -0,0 +1,489 @@
+import JSZip from 'jszip';
+import { Book } from '../types';
+import { collectCitations, splitCitations } from './citationService';
+import { getBookBlurb } from './launchKitService';
+import { isRightToLeft } from './languageService';
+
+interface EpubImage {
+  data: Blob;
+  mediaType: string;
+  extension: string;
+}
+
+interface EpubSection {
+  id: string;
+  title: string;
+}
+
+interface EpubChapter {
+  fileName: string;
+  title: string;
+  sections: EpubSection[];
+}
+
+// EPUB 3 core media types for raster images
+const CORE_IMAGE_TYPES: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+};
+
+const BOOK_CSS = `@charset "utf-8";
+
+body {
+  margin: 0 5%;
+  font-family: Georgia, "Times New Roman", serif;
+  line-height: 1.5;
+  text-align: justify;
+  hyphens: auto;
+  -epub-hyphens: auto;
+}
+
+h1, h2, h3 {
+  font-family: "Helvetica Neue", Arial, sans-serif;
+  line-height: 1.2;
+  text-align: left;
+  page-break-after: avoid;
+  break-after: avoid;
+}
+
+h1 {
+  font-size: 1.8em;
+  margin: 2em 0 1em;
+}
+
+h2 {
+  font-size: 1.3em;
+  margin: 1.5em 0 0.75em;
+}
+
+p {
+  margin: 0;
+  text-indent: 1.5em;
+}
+
+h1 + p, h2 + p, hr + p {
+  text-indent: 0;
+}
+
+p.summary {
+  font-style: italic;
+  text-indent: 0;
+  margin-bottom: 1em;
+}
+
+hr.scene-break {
+  border: none;
+  margin: 1.5em 0;
+  text-align: center;
+}
+
+hr.scene-break::after {
+  content: "* * *";
+}
+
+section.chapter {
+  page-break-before: always;
+  break-before: page;
+}
+
+.title-page {
+  text-align: center;
+  margin-top: 20%;
+}
+
+.title-page h1 {
+  font-size: 2.2em;
+  text-align: center;
+}
+
+.title-page .author {
+  font-size: 1.3em;
+  text-indent: 0;
+  margin-top: 1em;
+}
+
+.title-page .description {
+  text-indent: 0;
+  margin-top: 3em;
+  font-style: italic;
+}
+
+.cover {
+  margin: 0;
+  padding: 0;
+  text-align: center;
+}
+
+.cover img {
+  max-width: 100%;
+  max-height: 100%;
+}
+
+sup a {
+  text-decoration: none;
+}
+
+.notes p {
+  text-indent: 0;
+  text-align: left;
+}
+
+.notes li {
+  margin-bottom: 0.5em;
+}
+
+nav ol {
+  list-style: none;
+  padding-left: 0;
+}
+
+nav ol ol {
+  padding-left: 1.5em;
+}
+`;
+
+// Characters that are illegal in XML 1.0 even when escaped: control characters other than
+// tab, line feed and carriage return, surrogates left without their pair, and the
+// U+FFFE/U+FFFF non-characters
+const isValidXmlChar = (char: string): boolean => {
+  const code = char.codePointAt(0) ?? 0;
+  if (code < 0x20) return code === 0x09 || code === 0x0a || code === 0x0d;
+  if (code >= 0xd800 && code <= 0xdfff) return false;
+  return code !== 0xfffe && code !== 0xffff;
+};
+
+// Array.from walks code points, so paired surrogates stay together and only lone ones are dropped
+export const escapeXml = (text: string | undefined | null): string =>
+  Array.from(text || '').filter(isValidXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const getBookAuthor = (book: Book): string =>
+  book.author?.trim() || book.writingPersona?.authorName?.trim() || 'Unknown Author';
+
+// Generated content uses blank lines, single newlines or both between paragraphs
+export const splitParagraphs = (content: string): string[] =>
+  content
+    .replace(/\r\n?/g, '\n')
+    .split(/\n+/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0);
+
+export const isSceneBreak = (paragraph: string) => /^([*#~-]\s*){3,}$|^#$/.test(paragraph);
+
+// Cited sections render their [n] markers through renderCitation as note references
+const renderParagraphs = (content: string, indent: string, renderCitation?: (number: number) => string): string =>
+  splitParagraphs(content)
+    .map(paragraph => {
+      if (isSceneBreak(paragraph)) return `${indent}<hr class="scene-break"/>`;
+
+      const text = renderCitation
+        ? splitCitations(paragraph).map(part => part.type === 'text' ? escapeXml(part.text) : renderCitation(part.number)).join('')
+        : escapeXml(paragraph);
+      return `${indent}<p>${text}</p>`;
+    })
+    .join('\n');
+
+const xhtmlDocument = (title: string, language: string, body: string, bodyClass?: string): string => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}"${isRightToLeft(language) ? ' dir="rtl"' : ''}>
+<head>
+  <meta charset="utf-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles/book.css"/>
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${body}
+</body>
+</html>`;
+
+// EPUB requires second precision in dcterms:modified
+const formatModifiedDate = (date: Date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+export const convertToJpeg = (blob: Blob): Promise<Blob> =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+      canvas.getContext('2d')?.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to convert cover image')), 'image/jpeg', 0.92);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to decode cover image'));
+    };
+    image.src = url;
+  });
+
+export const loadCoverImage = async (coverUrl?: string): Promise<EpubImage | null> => {
+  if (!coverUrl) return null;
+
+  try {
+    const response = await fetch(coverUrl);
+    if (!response.ok) {
+      throw new Error(`Cover request failed: ${response.status}`);
+    }
+
+    let data = await response.blob();
+    let mediaType = data.type.split(';')[0];
+
+    // Stores reject anything outside the core media types, so re-encode e.g. WebP covers
+    if (!CORE_IMAGE_TYPES[mediaType]) {
+      data = await convertToJpeg(data);
+      mediaType = 'image/jpeg';
+    }
+
+    return { data, mediaType, extension: CORE_IMAGE_TYPES[mediaType] };
+  } catch (error) {
+    // Usually a cross-origin cover URL; export the book without a cover rather than failing
+    console.error('Error loading cover image for EPUB:', error);
+    return null;
+  }
+};
+
+export const buildEPUB = async (book: Book): Promise<Blob> => {
+  const zip = new JSZip();
+  const language = book.language || 'en';
+  const author = getBookAuthor(book);
+  const identifier = `urn:uuid:${book.id}`;
+  const cover = await loadCoverImage(book.coverUrl);
+
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+  zip.folder('META-INF')?.file('container.xml', `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`);
+
+  const oebps = zip.folder('OEBPS');
+  oebps?.file('styles/book.css', BOOK_CSS);
+
+  const manifestItems: string[] = [
+    '    <item id="css" href="styles/book.css" media-type="text/css"/>',
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>'
+  ];
+  const spineItems: string[] = [];
+
+  // Cover
+  if (cover) {
+    const coverHref = `images/cover.${cover.extension}`;
+    oebps?.file(coverHref, cover.data);
+    manifestItems.push(`    <item id="cover-image" href="${coverHref}" media-type="${cover.mediaType}" properties="cover-image"/>`);
+    manifestItems.push('    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+    spineItems.push('    <itemref idref="cover"/>');
+
+    oebps?.file('cover.xhtml', xhtmlDocument('Cover', language, `  <section epub:type="cover">
+    <img src="${coverHref}" alt="${escapeXml(book.title)}"/>
+  </section>`, 'cover'));
+  }
+
+  // Title page
+  const titlePageBlurb = getBookBlurb(book, 'short');
+  manifestItems.push('    <item id="titlepage" href="titlepage.xhtml" media-type="application/xhtml+xml"/>');
+  spineItems.push('    <itemref idref="titlepage"/>');
+  oebps?.file('titlepage.xhtml', xhtmlDocument(book.title, language, `  <section class="title-page" epub:type="titlepage">
+    <h1>${escapeXml(book.title)}</h1>
+    <p class="author">${escapeXml(author)}</p>
+${titlePageBlurb ? `    <p class="description">${escapeXml(titlePageBlurb)}</p>\n` : ''}  </section>`));
+
+  // Table of contents is also part of the reading order
+  spineItems.push('    <itemref idref="nav"/>');
+
+  // Chapters
+  const citations = collectCitations(book);
+  const chapterFileName = (chapterIndex: number) => `chapter-${String(chapterIndex + 1).padStart(3, '0')}.xhtml`;
+
+  const chapters: EpubChapter[] = book.chapters.map((chapter, chapterIndex) => {
+    const fileName = chapterFileName(chapterIndex);
+    const chapterTitle = `Chapter ${chapterIndex + 1}: ${chapter.title}`;
+    const sections: EpubSection[] = [];
+
+    let body = `  <section class="chapter" epub:type="chapter" id="chapter-${chapterIndex + 1}">
+    <h1>${escapeXml(chapterTitle)}</h1>
+`;
+    if (chapter.description) {
+      body += `    <p class="summary">${escapeXml(chapter.description)}</p>\n`;
+    }
+
+    // Only the first reference to a note gets the id its backlink returns to
+    const referencedNotes = new Set<number>();
+    const renderNoteReference = (number: number) => {
+      const id = referencedNotes.has(number) ? '' : ` id="noteref-${chapterIndex + 1}-${number}"`;
+      referencedNotes.add(number);
+      return `<sup><a${id} href="notes.xhtml#note-${chapterIndex + 1}-${number}" epub:type="noteref">${number}</a></sup>`;
+    };
+
+    chapter.subChapters?.forEach((subChapter, subIndex) => {
+      const sectionId = `section-${chapterIndex + 1}-${subIndex + 1}`;
+      const sectionTitle = `${chapterIndex + 1}.${subIndex + 1} ${subChapter.title}`;
+      sections.push({ id: sectionId, title: sectionTitle });
+
+      body += `    <section id="${sectionId}">
+      <h2>${escapeXml(sectionTitle)}</h2>
+`;
+      const citedContent = citations.sections[subChapter.id];
+      if (citedContent) {
+        body += `${renderParagraphs(citedContent, '      ', renderNoteReference)}\n`;
+      } else if (subChapter.content) {
+        body += `${renderParagraphs(subChapter.content, '      ')}\n`;
+      } else if (subChapter.description) {
+        body += `      <p class="summary">${escapeXml(subChapter.description)}</p>\n`;
+      }
+      body += '    </section>\n';
+    });
+
+    body += '  </section>';
+
+    const itemId = `chapter-${chapterIndex + 1}`;
+    manifestItems.push(`    <item id="${itemId}" href="${fileName}" media-type="application/xhtml+xml"/>`);
+    spineItems.push(`    <itemref idref="${itemId}"/>`);
+    oebps?.file(fileName, xhtmlDocument(chapterTitle, language, body));
+
+    return { fileName, title: chapterTitle, sections };
+  });
+
+  // Endnotes for research-backed sections, followed by every cited source
+  if (citations.chapters.length > 0) {
+    const fileName = 'notes.xhtml';
+    let body = `  <section class="chapter notes" epub:type="backmatter endnotes" id="notes">
+    <h1>Notes</h1>
+`;
+    citations.chapters.forEach(chapterNotes => {
+      const chapterNumber = chapterNotes.chapterIndex + 1;
+      body += `    <h2>Chapter ${chapterNumber}: ${escapeXml(chapterNotes.chapterTitle)}</h2>
+    <ol>
+`;
+      chapterNotes.notes.forEach((source, index) => {
+        const number = index + 1;
+        body += `      <li id="note-${chapterNumber}-${number}" epub:type="endnote"><p>${source.title ? `${escapeXml(source.title)}${source.date ? ` (${escapeXml(source.date)})` : ''}. ` : ''}<a href="${escapeXml(source.url)}">${escapeXml(source.url)}</a> <a href="${chapterFileName(chapterNotes.chapterIndex)}#noteref-${chapterNumber}-${number}" epub:type="backlink">&#8617;</a></p></li>
+`;
+      });
+      body += '    </ol>\n';
+    });
+
+    body += `    <h2>Bibliography</h2>
+    <ul>
+${citations.bibliography.map(source => `      <li><p>${source.title ? `${escapeXml(source.title)}. ` : ''}<a href="${escapeXml(source.url)}">${escapeXml(source.url)}</a></p></li>`).join('\n')}
+    </ul>
+  </section>`;
+
+    manifestItems.push(`    <item id="notes" href="${fileName}" media-type="application/xhtml+xml"/>`);
+    spineItems.push('    <itemref idref="notes"/>');
+    oebps?.file(fileName, xhtmlDocument('Notes', language, body));
+    chapters.push({ fileName, title: 'Notes', sections: [] });
+  }
+
+  // Navigation document (EPUB 3)
+  const navList = chapters.map(chapter => {
+    const sectionList = chapter.sections.length > 0
+      ? `\n        <ol>\n${chapter.sections.map(section =>
+        `          <li><a href="${chapter.fileName}#${section.id}">${escapeXml(section.title)}</a></li>`).join('\n')}\n        </ol>\n      `
+      : '';
+    return `      <li><a href="${chapter.fileName}">${escapeXml(chapter.title)}</a>${sectionList}</li>`;
+  }).join('\n');
+
+  oebps?.file('nav.xhtml', xhtmlDocument('Table of Contents', language, `  <nav epub:type="toc" id="toc">
+    <h1>Table of Contents</h1>
+    <ol>
+${navList}
+    </ol>
+  </nav>
+  <nav epub:type="landmarks" hidden="hidden">
+    <ol>
+${cover ? '      <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>\n' : ''}      <li><a epub:type="titlepage" href="titlepage.xhtml">Title Page</a></li>
+      <li><a epub:type="toc" href="nav.xhtml">Table of Contents</a></li>
+${chapters.length > 0 ? `      <li><a epub:type="bodymatter" href="${chapters[0].fileName}">Start of Content</a></li>\n` : ''}    </ol>
+  </nav>`));
+
+  // NCX kept for older reading systems
+  let playOrder = 0;
+  const navPoints = chapters.map(chapter => {
+    playOrder++;
+    const chapterPoint = playOrder;
+    const sectionPoints = chapter.sections.map(section => {
+      playOrder++;
+      return `      <navPoint id="navpoint-${playOrder}" playOrder="${playOrder}">
+        <navLabel><text>${escapeXml(section.title)}</text></navLabel>
+        <content src="${chapter.fileName}#${section.id}"/>
+      </navPoint>`;
+    }).join('\n');
+
+    return `    <navPoint id="navpoint-${chapterPoint}" playOrder="${chapterPoint}">
+      <navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+      <content src="${chapter.fileName}"/>
+${sectionPoints ? `${sectionPoints}\n` : ''}    </navPoint>`;
+  }).join('\n');
+
+  oebps?.file('toc.ncx', `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${escapeXml(language)}">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+    <meta name="dtb:depth" content="2"/>
+    <meta name="dtb:totalPageCount" content="0"/>
+    <meta name="dtb:maxPageNumber" content="0"/>
+  </head>
+  <docTitle><text>${escapeXml(book.title)}</text></docTitle>
+  <docAuthor><text>${escapeXml(author)}</text></docAuthor>
+  <navMap>
+${navPoints}
+  </navMap>
+</ncx>`);
+
+  // Package document
+  const metadata = [
+    `    <dc:identifier id="pub-id">${identifier}</dc:identifier>`,
+    `    <dc:title id="title">${escapeXml(book.title)}</dc:title>`,
+    `    <dc:creator id="creator">${escapeXml(author)}</dc:creator>`,
+    '    <meta refines="#creator" property="role" scheme="marc:relators">aut</meta>',
+    `    <dc:language>${escapeXml(language)}</dc:language>`,
+    `    <meta property="dcterms:modified">${formatModifiedDate(new Date())}</meta>`
+  ];
+  // Stores show the description as the book's sales copy, so the launch kit's retailer blurb goes here
+  const description = getBookBlurb(book, 'long');
+  if (description) {
+    metadata.push(`    <dc:description>${escapeXml(description)}</dc:description>`);
+  }
+  [book.genre, book.subGenre].filter(Boolean).forEach(subject => {
+    metadata.push(`    <dc:subject>${escapeXml(subject)}</dc:subject>`);
+  });
+  (book.launchKit?.categories || []).forEach((category, index) => {
+    metadata.push(`    <dc:subject id="bisac-${index + 1}">${escapeXml(category.label)}</dc:subject>`);
+    metadata.push(`    <meta refines="#bisac-${index + 1}" property="authority">BISAC</meta>`);
+    metadata.push(`    <meta refines="#bisac-${index + 1}" property="term">${escapeXml(category.code)}</meta>`);
+  });
+  if (cover) {
+    // Lets EPUB 2 reading systems find the cover too
+    metadata.push('    <meta name="cover" content="cover-image"/>');
+  }
+
+  oebps?.file('content.opf', `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+  </metadata>
+  <manifest>
+${manifestItems.join('\n')}
+  </manifest>
+  <spine toc="ncx"${isRightToLeft(language) ? ' page-progression-direction="rtl"' : ''}>
+${spineItems.join('\n')}
+  </spine>
+</package>`);
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/epub+zip',
+    compression: 'DEFLATE'
+  });
+};
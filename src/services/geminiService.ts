@@ -1,205 +1,7 @@
-import { Book, BookChapter, SubChapter } from '../types';
+import { Book, SubChapter } from '../types';
 import { v4 as uuidv4 } from 'uuid';
-import { generateOnlineCourse } from './onlineCourseService';
-
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent';
-
-interface GeminiResponse {
-  candidates: {
-    content: {
-      parts: {
-        text: string;
-      }[];
-    };
-  }[];
-}
-
-const callGeminiAPI = async (prompt: string, apiKey: string): Promise<string> => {
-  const maxRetries = 5;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 1,
-            topP: 1,
-            maxOutputTokens: 2048,
-          },
-          safetySettings: [
-            {
-              category: "HARM_CATEGORY_HARASSMENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_HATE_SPEECH",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            },
-            {
-              category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-              threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Gemini API Error Response:', errorText);
-        
-        // Check if it's a quota exhaustion error
-        if (response.status === 429) {
-          try {
-            const errorData = JSON.parse(errorText);
-            if (errorData.error?.status === "RESOURCE_EXHAUSTED") {
-              throw new Error('Daily quota exceeded for Gemini API. Please wait 24 hours for quota reset or upgrade your Google Cloud billing plan. Visit https://ai.google.dev/gemini-api/docs/rate-limits for more information.');
-            }
-          } catch (parseError) {
-            // If we can't parse the error, fall through to retry logic
-            if (parseError instanceof Error && parseError.message.includes('Daily quota exceeded')) {
-              throw parseError;
-            }
-          }
-        
-          // For other 429 errors, don't retry if we've already tried multiple times
-          if (attempt >= 2) {
-            throw new Error('API rate limit exceeded. Please try again later or check your API quota.');
-          }
-        }
-        
-        // If it's a rate limit error (429), retry with exponential backoff
-        if (response.status === 429 && attempt < maxRetries) {
-          const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s, 8s, 16s
-          console.log(`Rate limit hit. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
-        
-        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-      }
-
-      const data: GeminiResponse = await response.json();
-      console.log('Gemini API Response:', data);
-      
-      if (!data.candidates || data.candidates.length === 0) {
-        throw new Error('No candidates returned from Gemini API');
-      }
-      
-      return data.candidates[0]?.content?.parts[0]?.text || '';
-    } catch (error) {
-      // If this was our last attempt, re-throw the error
-      if (attempt >= maxRetries) {
-        console.error('Error calling Gemini API after all retries:', error);
-        throw error;
-      }
-      
-      // For network errors and other non-HTTP errors, also retry
-      if (error instanceof TypeError && error.message.includes('fetch')) {
-        const delay = Math.pow(2, attempt) * 1000;
-        console.log(`Network error. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
-      
-      // For other errors, throw immediately
-      console.error('Error calling Gemini API:', error);
-      throw error;
-    }
-  }
-  
-  // This should never be reached, but TypeScript needs it
-  throw new Error('Maximum retries exceeded');
-};
-
-/**
- * Generates an online course outline and converts it to Book format
- */
-const generateOnlineCourseOutline = async (
-  prompt: string,
-  targetAudience: string,
-  apiKey: string,
-  author: string,
-  generateAudio: boolean = false
-): Promise<Book> => {
-  try {
-    // Generate the online course using the specialized service
-    const course = await generateOnlineCourse(
-      prompt, // topic
-      `Online course about ${prompt} for ${targetAudience || 'students'}`, // description
-      apiKey, // perplexityApiKey (using gemini key for now)
-      apiKey, // geminiApiKey
-      generateAudio // generateAudio (can be made configurable later)
-    );
-
-    // Convert course sections to book chapters
-    const chapters: BookChapter[] = course.sections.map((section, index) => ({
-      id: uuidv4(),
-      title: section.title,
-      description: section.summary,
-      status: 'pending' as const,
-      orderIndex: index,
-      subChapters: [
-        {
-          id: uuidv4(),
-          title: 'Lesson Plan',
-          description: 'Detailed lesson plan for this section',
-          content: section.lessonPlan,
-          status: 'completed' as const,
-          orderIndex: 0
-        },
-        {
-          id: uuidv4(),
-          title: 'Google Slides',
-          description: 'Slide content for this section',
-          content: section.slides.join('\n\n---\n\n'),
-          status: 'completed' as const,
-          orderIndex: 1
-        },
-        {
-          id: uuidv4(),
-          title: 'Narration Script',
-          description: 'Audio script for this section',
-          content: section.script,
-          status: 'completed' as const,
-          orderIndex: 2
-        }
-      ]
-    }));
-
-    return {
-      id: uuidv4(),
-      title: course.title,
-      author: author || 'Course Instructor',
-      description: course.description,
-      genre: 'Online Course',
-      subGenre: '',
-      tone: 'Educational',
-      heatLevel: '',
-      perspective: '',
-      targetAudience: targetAudience || 'Students',
-      coverUrl: '',
-      chapters,
-      status: 'completed' as const
-    };
-  } catch (error) {
-    console.error('Error generating online course outline:', error);
-    throw new Error('Failed to generate online course outline. Please try again.');
-  }
-};
+import { generateText, LLMTarget } from './llmService';
+import { describeWordTarget, generateToLength, planChapterCount, planSectionCount } from './lengthService';
 
 export const generateBookOutline = async (
   prompt: string, 
@@ -209,14 +11,10 @@ export const generateBookOutline = async (
   heatLevel: string,
   perspective: string,
   author: string,
-  apiKey: string,
-  generateAudio: boolean = false
+  llm: LLMTarget,
+  targetWordCount?: number,
+  seriesContext?: string
 ): Promise<Book> => {
-  // Special handling for Online Course genre
-  if (genre.toLowerCase() === 'online course') {
-    return await generateOnlineCourseOutline(prompt, targetAudience, apiKey, author, generateAudio);
-  }
-
   let heatLevelPrompt = '';
   if (genre.toLowerCase() === 'romance' && heatLevel) {
     const heatLevelDescriptions = {
@@ -248,13 +46,22 @@ export const generateBookOutline = async (
     perspectivePrompt = `\nNarrative Perspective: ${perspectiveDescriptions[perspective as keyof typeof perspectiveDescriptions] || perspective}`;
   }
 
+  const chapterCountPrompt = targetWordCount
+    ? `The book should be about ${targetWordCount.toLocaleString('en-US')} words long, so generate ${planChapterCount(targetWordCount)} chapters that comprehensively cover the topic.`
+    : 'Generate 8-12 chapters that comprehensively cover the topic.';
+
+  const seriesPrompt = seriesContext
+    ? `\n${seriesContext}\n\nThis book is part of the series above. Continue from the earlier books without retelling them, move the series arc forward, and keep every established fact about the shared characters and world.\n`
+    : '';
+
   const coursePrompt = `\nCreate a comprehensive online course outline based on the following description:\n\nCourse Description: ${prompt}\nGenre: ${genre}\nTarget Audience: ${targetAudience}\n\nPlease provide a response in the following JSON format:\n{\n  "title": "Course Title",\n  "description": "Brief course description",\n  "genre": "${genre || 'General'}",\n  "subGenre": "${subGenre || ''}",\n  "targetAudience": "${targetAudience || 'General readers'}",\n  "heatLevel": "${heatLevel || ''}",\n  "perspective": "${perspective || ''}",\n  "chapters": [\n    {\n      "title": "Module Title",\n      "description": "Module description (2-3 sentences)"\n    }\n  ]\n}\n\nGenerate 5-7 modules that comprehensively cover the topic. Each module should have a clear, descriptive title and a detailed description of what it will cover.\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
 
-  const bookPrompt = `\nCreate a comprehensive book outline based on the following description:\n\nBook Description: ${prompt}\n${genre ? `Genre: ${genre}` : ''}\n${subGenre ? `Sub-Genre: ${subGenre}` : ''}\n${targetAudience ? `Target Audience: ${targetAudience}` : ''}\n\nPlease provide a response in the following JSON format:\n{\n  "title": "Book Title",\n  "description": "Brief book description",\n  "genre": "${genre || 'General'}",\n   "subGenre": "${subGenre || ''}",\n  "targetAudience": "${targetAudience || 'General readers'}",\n  "heatLevel": "${heatLevel || ''}",\n  "perspective": "${perspective || ''}",\n  "chapters": [\n    {\n      "title": "Chapter Title",\n      "description": "Chapter description (2-3 sentences)"\n    }\n  ]\n}\n\nGenerate 8-12 chapters that comprehensively cover the topic. Make sure each chapter has a clear, descriptive title and a detailed description of what it will cover.${subGenrePrompt}${heatLevelPrompt ? ' Ensure the content and pacing align with the specified heat level.' : ''}\n${perspectivePrompt ? ' Maintain consistent narrative perspective throughout all content.' : ''}\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
+  const bookPrompt = `\nCreate a comprehensive book outline based on the following description:\n\nBook Description: ${prompt}\n${genre ? `Genre: ${genre}` : ''}\n${subGenre ? `Sub-Genre: ${subGenre}` : ''}\n${targetAudience ? `Target Audience: ${targetAudience}` : ''}\n${seriesPrompt}\nPlease provide a response in the following JSON format:\n{\n  "title": "Book Title",\n  "description": "Brief book description",\n  "genre": "${genre || 'General'}",\n   "subGenre": "${subGenre || ''}",\n  "targetAudience": "${targetAudience || 'General readers'}",\n  "heatLevel": "${heatLevel || ''}",\n  "perspective": "${perspective || ''}",\n  "chapters": [\n    {\n      "title": "Chapter Title",\n      "description": "Chapter description (2-3 sentences)"\n    }\n  ]\n}\n\n${chapterCountPrompt} Make sure each chapter has a clear, descriptive title and a detailed description of what it will cover.${subGenrePrompt}${heatLevelPrompt ? ' Ensure the content and pacing align with the specified heat level.' : ''}\n${perspectivePrompt ? ' Maintain consistent narrative perspective throughout all content.' : ''}\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
 
   const fullPrompt = genre === 'Online Course Generator' ? coursePrompt : bookPrompt;
 
-  const response = await callGeminiAPI(fullPrompt, apiKey);
+  // Long books plan up to 40 chapters, which can outgrow the default output limit
+  const response = await generateText(fullPrompt, llm, targetWordCount ? { maxOutputTokens: 4096 } : {});
   
   try {
     // Clean the response to extract JSON
@@ -283,6 +90,7 @@ export const generateBookOutline = async (
       tone: bookData.tone,
       heatLevel: bookData.heatLevel,
       perspective: bookData.perspective,
+      targetWordCount,
       status: 'draft',
       chapters: bookData.chapters.map((chapter: any, index: number) => ({
         id: uuidv4(),
@@ -301,11 +109,17 @@ export const generateBookOutline = async (
 export const generateChapterOutline = async (
   chapterTitle: string,
   chapterDescription: string,
-  apiKey: string
+  llm: LLMTarget,
+  targetWordCount?: number,
+  seriesContext?: string
 ): Promise<SubChapter[]> => {
-  const prompt = `\nCreate a detailed outline for the following chapter:\n\nChapter Title: ${chapterTitle}\nChapter Description: ${chapterDescription}\n\nPlease provide a response in the following JSON format:\n{\n  "sections": [\n    {\n      "title": "Section Title",\n      "description": "Detailed description of what this section will cover (2-3 sentences)"\n    }\n  ]\n}\n\nGenerate 4-8 sections that comprehensively break down this chapter. Each section should be substantial enough to warrant its own content generation.\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
+  const sectionCountPrompt = targetWordCount
+    ? `The chapter should be about ${targetWordCount.toLocaleString('en-US')} words long, so generate ${planSectionCount(targetWordCount)} sections that comprehensively break it down.`
+    : 'Generate 4-8 sections that comprehensively break down this chapter.';
+
+  const prompt = `\nCreate a detailed outline for the following chapter:\n\nChapter Title: ${chapterTitle}\nChapter Description: ${chapterDescription}\n${seriesContext ? `\nThe book belongs to a series; keep the chapter consistent with it:\n${seriesContext}\n` : ''}\nPlease provide a response in the following JSON format:\n{\n  "sections": [\n    {\n      "title": "Section Title",\n      "description": "Detailed description of what this section will cover (2-3 sentences)"\n    }\n  ]\n}\n\n${sectionCountPrompt} Each section should be substantial enough to warrant its own content generation.\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
 
-  const response = await callGeminiAPI(prompt, apiKey);
+  const response = await generateText(prompt, llm);
   
   try {
     // Clean the response to extract JSON
@@ -337,33 +151,39 @@ export const generateChapterOutline = async (
 export const generateContent = async (
   sectionTitle: string,
   sectionDescription: string,
-  apiKey: string
+  llm: LLMTarget,
+  continuityContext: string = '',
+  styleInstructions: string = '',
+  targetWords?: number
 ): Promise<string> => {
-  const prompt = `\nWrite comprehensive, high-quality content for the following section:\n\nSection Title: ${sectionTitle}\nSection Description: ${sectionDescription}\n\nRequirements:\n- Structure the content with clear paragraphs\n- Make it suitable for an eBook format\n- Do not include markdown formatting or section headers\nPlease write the content now:\n`;
+  const continuityPrompt = continuityContext ? `\n${continuityContext}\n` : '';
+  const continuityRequirement = continuityContext ? '\n- Stay consistent with the story bible and pick up where the previous section left off' : '';
+  const stylePrompt = styleInstructions ? `\n${styleInstructions}\n` : '';
 
-  const response = await callGeminiAPI(prompt, apiKey);
-  return response.trim();
+  const prompt = `\nWrite comprehensive, high-quality content for the following section:\n\nSection Title: ${sectionTitle}\nSection Description: ${sectionDescription}\n${continuityPrompt}${stylePrompt}\nRequirements:\n- Structure the content with clear paragraphs\n- Make it suitable for an eBook format${continuityRequirement}${describeWordTarget(targetWords)}\n- Do not include markdown formatting or section headers\nPlease write the content now:\n`;
+
+  return generateToLength(prompt, llm, targetWords);
 };
 
 export const generateBlogArticle = async (
   chapterTitle: string,
   chapterDescription: string,
-  apiKey: string
+  llm: LLMTarget
 ): Promise<string> => {
   const prompt = `\nWrite a comprehensive, high-quality blog article for the following chapter:\n\nChapter Title: ${chapterTitle}\nChapter Description: ${chapterDescription}\n\nRequirements:\n- Structure the content with a clear introduction, body, and conclusion.\n- Use headings and subheadings to organize the content.\n- Write in an engaging and informative tone.\n- The article should be at least 800 words.\n- Do not include markdown formatting.\nPlease write the content now:\n`;
 
-  const response = await callGeminiAPI(prompt, apiKey);
+  const response = await generateText(prompt, llm);
   return response.trim();
 };
 
 export const generateLessonPlan = async (
   chapterTitle: string,
   chapterDescription: string,
-  apiKey: string
+  llm: LLMTarget
 ): Promise<string> => {
   const prompt = `\nCreate a detailed lesson plan and script for a 15-20 minute presentation on the following topic:\n\nChapter Title: ${chapterTitle}\nChapter Description: ${chapterDescription}\n\nThe output should be in JSON format with the following structure:\n{\n  "title": "Presentation Title",\n  "slides": [\n    {\n      "title": "Slide Title",\n      "content": "Bulleted list of key points for the slide.",\n      "script": "The full script for this slide."\n    }\n  ]\n}\n\nGenerate 5-7 slides.\n\nIMPORTANT: Return ONLY the JSON object, no additional text or formatting.\n`;
 
-  const response = await callGeminiAPI(prompt, apiKey);
+  const response = await generateText(prompt, llm);
   
   try {
     // Clean the response to extract JSON
@@ -385,38 +205,44 @@ export const generateLessonPlan = async (
   }
 };
 
+export const HEAT_LEVEL_DESCRIPTIONS: Record<string, string> = {
+  'clean': 'Clean/Wholesome romance with no explicit sexual content, focusing on emotional connection, meaningful glances, hugs, and light kissing.',
+  'sweet': 'Sweet romance with closed-door intimate scenes that are implied rather than explicit, focusing on emotional development.',
+  'sensual': 'Sensual romance with on-page love scenes using euphemistic language, emphasizing emotional aspects over explicit details.',
+  'steamy': 'Steamy romance with explicit sexual content and detailed intimate scenes throughout the story.',
+  'spicy': 'Spicy/Erotic romance with heavy emphasis on sexual activity, detailed descriptions, and multiple intimate scenes.',
+  'explicit': 'Explicit romance with highly detailed and graphic sexual content, exploring characters\' desires in depth.'
+};
+
+export const PERSPECTIVE_DESCRIPTIONS: Record<string, string> = {
+  'first': 'Write in first person narrative (using "I" perspective).',
+  'third-limited': 'Write in third person limited narrative (using "he/she" perspective), following one character\'s viewpoint.',
+  'third-omniscient': 'Write in third person omniscient narrative (using "he/she" perspective), with access to multiple characters\' thoughts.',
+  'second': 'Write in second person narrative (using "you" perspective).'
+};
+
 export const generateContentWithHeatLevel = async (
   sectionTitle: string,
   sectionDescription: string,
   heatLevel: string,
   perspective: string = '',
-  apiKey: string
+  llm: LLMTarget,
+  continuityContext: string = '',
+  styleInstructions: string = '',
+  targetWords?: number
 ): Promise<string> => {
-  const heatLevelDescriptions = {
-    'clean': 'Clean/Wholesome romance with no explicit sexual content, focusing on emotional connection, meaningful glances, hugs, and light kissing.',
-    'sweet': 'Sweet romance with closed-door intimate scenes that are implied rather than explicit, focusing on emotional development.',
-    'sensual': 'Sensual romance with on-page love scenes using euphemistic language, emphasizing emotional aspects over explicit details.',
-    'steamy': 'Steamy romance with explicit sexual content and detailed intimate scenes throughout the story.',
-    'spicy': 'Spicy/Erotic romance with heavy emphasis on sexual activity, detailed descriptions, and multiple intimate scenes.',
-    'explicit': 'Explicit romance with highly detailed and graphic sexual content, exploring characters\' desires in depth.'
-  };
-
-  const heatLevelPrompt = heatLevelDescriptions[heatLevel as keyof typeof heatLevelDescriptions] || heatLevel;
+  const heatLevelPrompt = HEAT_LEVEL_DESCRIPTIONS[heatLevel] || heatLevel;
 
   let perspectivePrompt = '';
   if (perspective) {
-    const perspectiveDescriptions = {
-      'first': 'Write in first person narrative (using "I" perspective).',
-      'third-limited': 'Write in third person limited narrative (using "he/she" perspective), following one character\'s viewpoint.',
-      'third-omniscient': 'Write in third person omniscient narrative (using "he/she" perspective), with access to multiple characters\' thoughts.',
-      'second': 'Write in second person narrative (using "you" perspective).'
-    };
-    
-    perspectivePrompt = `\nNarrative Perspective: ${perspectiveDescriptions[perspective as keyof typeof perspectiveDescriptions] || perspective}`;
+    perspectivePrompt = `\nNarrative Perspective: ${PERSPECTIVE_DESCRIPTIONS[perspective] || perspective}`;
   }
 
-  const prompt = `\nWrite comprehensive, high-quality content for the following section:\n\nSection Title: ${sectionTitle}\nSection Description: ${sectionDescription}\n\nHeat Level Guidelines: ${heatLevelPrompt}\n${perspectivePrompt}\n\nRequirements:\n- Structure the content with clear paragraphs\n- Make it suitable for an eBook format\n- Adhere to the specified heat level throughout\n- Do not include markdown formatting or section headers\nPlease write the content now:\n`;
+  const continuityPrompt = continuityContext ? `\n${continuityContext}\n` : '';
+  const continuityRequirement = continuityContext ? '\n- Stay consistent with the story bible and pick up where the previous section left off' : '';
+  const stylePrompt = styleInstructions ? `\n${styleInstructions}\n` : '';
 
-  const response = await callGeminiAPI(prompt, apiKey);
-  return response.trim();
+  const prompt = `\nWrite comprehensive, high-quality content for the following section:\n\nSection Title: ${sectionTitle}\nSection Description: ${sectionDescription}\n\nHeat Level Guidelines: ${heatLevelPrompt}\n${perspectivePrompt}\n${continuityPrompt}${stylePrompt}\nRequirements:\n- Structure the content with clear paragraphs\n- Make it suitable for an eBook format\n- Adhere to the specified heat level throughout${continuityRequirement}${describeWordTarget(targetWords)}\n- Do not include markdown formatting or section headers\nPlease write the content now:\n`;
+
+  return generateToLength(prompt, llm, targetWords);
 };
\ No newline at end of file
@@ -0,0 +1,644 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Book,
+  BookChapter,
+  GenerationJob,
+  GenerationJobMode,
+  GenerationJobStatus,
+  SubChapter,
+  WritingPersona
+} from '../types';
+import { supabase } from '../lib/supabase';
+import { generateChapterOutline, generateContent, generateContentWithHeatLevel } from './geminiService';
+import { researchAndGenerate } from './contentService';
+import { getLLMForTask, getProviderConcurrency, LLMTarget } from './llmService';
+import { saveBook, saveSubChapterProgress } from './bookService';
+import { buildContinuityContext, loadStoryBibleForGeneration, recordSectionInStoryBible } from './storyBibleService';
+import { recordSectionRevision } from './revisionService';
+import { getChapterPersonaId, getChapterPersonaInstructions, loadBookPersonas, scoreChapterVoice } from './personaService';
+import { rewriteInVoice } from './editingService';
+import { requestSync } from './syncService';
+import { getChapterWordTarget, getSectionWordTarget } from './lengthService';
+import { loadSeriesContext } from './seriesService';
+import { translateSectionContent } from './translationService';
+import { getLanguageName } from './languageService';
+import { describeEditionChanges, rewriteForEdition } from './editionService';
+
+const MAX_SECTION_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 5000;
+
+// Pause between sections on each worker to prevent API rate limiting
+const SECTION_DELAY_MS: Record<GenerationJobMode, number> = {
+  content: 1000,
+  research: 2000,
+  'heat-level': 1500,
+  voice: 1000,
+  translation: 1000,
+  edition: 1000
+};
+
+// Research mode also calls Perplexity, which allows fewer parallel requests
+const MAX_RESEARCH_CONCURRENCY = 2;
+
+// A running job whose lease isn't renewed for this long is treated as abandoned by its tab
+const LEASE_DURATION_S = 60;
+const LEASE_RENEW_MS = 20000;
+// Identifies this tab as the holder of the jobs it runs
+const LEASE_OWNER = uuidv4();
+
+export const GENERATION_JOB_LABELS: Record<GenerationJobMode, string> = {
+  content: 'Generating all sections',
+  research: 'Researching and generating all sections',
+  'heat-level': 'Writing new heat level version',
+  voice: 'Rewriting sections in the new voice',
+  translation: 'Translating all sections',
+  edition: 'Rewriting sections for the new edition'
+};
+
+export interface GenerationQueueHandlers {
+  onBookUpdate: (book: Book) => void;
+}
+
+interface ActiveRun {
+  job: GenerationJob;
+  listeners: Set<(job: GenerationJob) => void>;
+  // The status last written to the database; progress updates leave a status set elsewhere alone
+  savedStatus: GenerationJobStatus;
+  // Set once another tab or device has taken the job over
+  leaseLost: boolean;
+}
+
+// Jobs being worked on in this tab, keyed by job id
+const activeRuns = new Map<string, ActiveRun>();
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rows come back snake_case from the database
+interface GenerationJobRow {
+  id: string;
+  book_id: string;
+  mode: GenerationJob['mode'];
+  status: GenerationJob['status'];
+  concurrency: number | null;
+  options: GenerationJob['options'] | null;
+  total_sections: number | null;
+  completed_sections: number | null;
+  failed_sections: number | null;
+  average_section_ms: number | null;
+  error: string | null;
+  lease_expires_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+const mapJob = (data: GenerationJobRow): GenerationJob => ({
+  id: data.id,
+  bookId: data.book_id,
+  mode: data.mode,
+  status: data.status,
+  concurrency: data.concurrency || 1,
+  options: data.options || {},
+  totalSections: data.total_sections || 0,
+  completedSections: data.completed_sections || 0,
+  failedSections: data.failed_sections || 0,
+  averageSectionMs: data.average_section_ms || undefined,
+  error: data.error || undefined,
+  leaseExpiresAt: data.lease_expires_at || undefined,
+  createdAt: data.created_at,
+  updatedAt: data.updated_at
+});
+
+const countSections = (book: Book, sectionIds?: string[]) => {
+  const sections = book.chapters
+    .flatMap(chapter => chapter.subChapters || [])
+    .filter(sc => !sectionIds || sectionIds.includes(sc.id));
+  return {
+    totalSections: sections.length,
+    completedSections: sections.filter(sc => sc.status === 'completed').length,
+    failedSections: sections.filter(sc => sc.status === 'failed').length
+  };
+};
+
+// For jobs this tab isn't running: the counters belong to whichever tab is, so only the status changes
+const persistJobStatus = async (job: GenerationJob, status: GenerationJobStatus): Promise<GenerationJob> => {
+  const updatedAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('generation_jobs')
+    .update({ status, updated_at: updatedAt })
+    .eq('id', job.id);
+
+  if (error) throw error;
+  return { ...job, status, updatedAt };
+};
+
+const notify = (run: ActiveRun) => {
+  run.listeners.forEach(listener => listener({ ...run.job }));
+};
+
+const loseLease = (run: ActiveRun) => {
+  if (run.leaseLost) return;
+  console.warn(`Generation job ${run.job.id} is now being run elsewhere`);
+  run.leaseLost = true;
+  notify(run);
+};
+
+// Saves a run's progress, but only while this tab still holds its lease
+const persistRun = async (run: ActiveRun) => {
+  const updatedAt = new Date().toISOString();
+  const status = run.job.status;
+
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .update({
+      ...(status !== run.savedStatus ? { status } : {}),
+      total_sections: run.job.totalSections,
+      completed_sections: run.job.completedSections,
+      failed_sections: run.job.failedSections,
+      average_section_ms: run.job.averageSectionMs ? Math.round(run.job.averageSectionMs) : null,
+      error: run.job.error || null,
+      updated_at: updatedAt
+    })
+    .eq('id', run.job.id)
+    .eq('lease_owner', LEASE_OWNER)
+    .select('id');
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    loseLease(run);
+    return;
+  }
+  run.savedStatus = status;
+  run.job = { ...run.job, updatedAt };
+};
+
+// Keeps the lease alive between sections, and picks up a pause or cancel made on another tab or device
+const renewLease = async (run: ActiveRun) => {
+  const { data: status, error } = await supabase.rpc('renew_generation_job_lease', {
+    p_job_id: run.job.id,
+    p_owner: LEASE_OWNER,
+    p_lease_seconds: LEASE_DURATION_S
+  });
+
+  if (error) throw error;
+  if (!status) {
+    loseLease(run);
+  } else if (status !== run.savedStatus && run.job.status === 'running') {
+    run.job = { ...run.job, status };
+    run.savedStatus = status;
+    notify(run);
+  }
+};
+
+const releaseLease = async (jobId: string) => {
+  const { error } = await supabase
+    .from('generation_jobs')
+    .update({ lease_owner: null, lease_expires_at: null })
+    .eq('id', jobId)
+    .eq('lease_owner', LEASE_OWNER);
+
+  if (error) throw error;
+};
+
+export const createGenerationJob = async (
+  book: Book,
+  mode: GenerationJobMode,
+  options: GenerationJob['options'] = {}
+): Promise<GenerationJob> => {
+  const { data: { user }, error: authError } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error('User not authenticated');
+
+  // Jobs reference the book, so changes still waiting on this device have to reach the server first
+  await requestSync();
+
+  const existing = await loadActiveGenerationJob(book.id);
+  if (existing && (isGenerationJobActive(existing.id) || isGenerationJobLeased(existing))) {
+    throw new Error('Content is already being generated for this book');
+  }
+  if (existing) {
+    await cancelGenerationJob(existing);
+  }
+
+  const contentLLM = getLLMForTask(book, 'content');
+  const concurrency = mode === 'research'
+    ? Math.min(getProviderConcurrency(contentLLM), MAX_RESEARCH_CONCURRENCY)
+    : getProviderConcurrency(contentLLM);
+  const counts = countSections(book, options.sectionIds);
+
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .insert({
+      book_id: book.id,
+      user_id: user.id,
+      mode,
+      status: 'running',
+      // Held by this tab from the start, so no other tab resumes it before the run claims it
+      lease_owner: LEASE_OWNER,
+      lease_expires_at: new Date(Date.now() + LEASE_DURATION_S * 1000).toISOString(),
+      concurrency,
+      options,
+      total_sections: counts.totalSections,
+      completed_sections: counts.completedSections,
+      failed_sections: counts.failedSections
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapJob(data);
+};
+
+export const loadActiveGenerationJob = async (bookId: string): Promise<GenerationJob | null> => {
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('book_id', bookId)
+    .in('status', ['running', 'paused', 'failed'])
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? mapJob(data[0]) : null;
+};
+
+export const isGenerationJobActive = (jobId: string): boolean => activeRuns.has(jobId);
+
+// Whether a running job is still held by some tab, this one or another
+export const isGenerationJobLeased = (job: GenerationJob): boolean =>
+  job.status === 'running' && !!job.leaseExpiresAt && Date.parse(job.leaseExpiresAt) > Date.now();
+
+export const subscribeToGenerationJob = (
+  jobId: string,
+  listener: (job: GenerationJob) => void
+): (() => void) => {
+  const run = activeRuns.get(jobId);
+  if (!run) return () => {};
+
+  run.listeners.add(listener);
+  listener({ ...run.job });
+  return () => {
+    run.listeners.delete(listener);
+  };
+};
+
+const setJobStatus = async (job: GenerationJob, status: GenerationJobStatus): Promise<GenerationJob> => {
+  const run = activeRuns.get(job.id);
+  if (!run) {
+    return persistJobStatus(job, status);
+  }
+
+  // Workers check the status before picking up another section; anything in flight finishes normally
+  run.job = { ...run.job, status };
+  notify(run);
+  await persistRun(run);
+  return run.job;
+};
+
+export const pauseGenerationJob = (job: GenerationJob) => setJobStatus(job, 'paused');
+
+export const cancelGenerationJob = (job: GenerationJob) => setJobStatus(job, 'cancelled');
+
+export const estimateRemainingMs = (job: GenerationJob): number | null => {
+  if (!job.averageSectionMs) return null;
+
+  const remaining = job.totalSections - job.completedSections - job.failedSections;
+  const rounds = Math.ceil(remaining / Math.max(job.concurrency, 1));
+  return rounds * (job.averageSectionMs + SECTION_DELAY_MS[job.mode]);
+};
+
+// Queues the written sections of these chapters for a 'voice' job; their text stays until it is rewritten
+export const markSectionsForVoiceRewrite = (book: Book, chapterIds: string[]): { book: Book; sectionIds: string[] } => {
+  const sectionIds: string[] = [];
+  const chapters = book.chapters.map(chapter => {
+    if (!chapterIds.includes(chapter.id)) return chapter;
+    return {
+      ...chapter,
+      subChapters: chapter.subChapters?.map(subChapter => {
+        if (!subChapter.content) return subChapter;
+        sectionIds.push(subChapter.id);
+        return { ...subChapter, status: 'pending' as const, attempts: 0, error: undefined };
+      })
+    };
+  });
+  return { book: { ...book, chapters }, sectionIds };
+};
+
+// Research is kept only when the new content still cites it
+const generateSectionContent = async (
+  subChapter: SubChapter,
+  job: GenerationJob,
+  book: Book,
+  contentLLM: LLMTarget,
+  continuityContext: string,
+  styleInstructions: string
+): Promise<Pick<SubChapter, 'content' | 'research'>> => {
+  const targetWords = getSectionWordTarget(book, subChapter.id);
+
+  switch (job.mode) {
+    case 'research':
+      return researchAndGenerate(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords);
+    case 'heat-level':
+      return {
+        content: await generateContentWithHeatLevel(
+          subChapter.title,
+          subChapter.description,
+          job.options.heatLevel || book.heatLevel || '',
+          job.options.perspective || '',
+          contentLLM,
+          continuityContext,
+          styleInstructions,
+          targetWords
+        ),
+        research: undefined
+      };
+    case 'voice':
+      if (subChapter.content) {
+        return {
+          content: await rewriteInVoice(subChapter.content, styleInstructions, getLLMForTask(book, 'editing')),
+          research: subChapter.research
+        };
+      }
+      return { content: await generateContent(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords), research: undefined };
+    case 'translation': {
+      // Sections the original hadn't written yet are written first, then translated like the rest
+      const original = subChapter.content ||
+        await generateContent(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords);
+      return {
+        content: await translateSectionContent(original, book, subChapter.title, getLLMForTask(book, 'translation')),
+        // Sources stay the same, and the translation keeps their citation markers
+        research: subChapter.research
+      };
+    }
+    case 'edition': {
+      // Sections the original hadn't written yet are written first, then rewritten like the rest
+      const original = subChapter.content ||
+        await generateContent(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords);
+      return {
+        content: await rewriteForEdition(original, book, subChapter.title, getLLMForTask(book, 'editing')),
+        research: subChapter.research
+      };
+    }
+    default:
+      return { content: await generateContent(subChapter.title, subChapter.description, contentLLM, continuityContext, styleInstructions, targetWords), research: undefined };
+  }
+};
+
+// Runs (or resumes) a job until every section is done, or it is paused or cancelled
+export const runGenerationJob = async (
+  book: Book,
+  job: GenerationJob,
+  handlers: GenerationQueueHandlers
+): Promise<Book> => {
+  if (activeRuns.has(job.id)) {
+    throw new Error('This generation job is already running');
+  }
+
+  const run: ActiveRun = {
+    job: { ...job, status: 'running', error: undefined },
+    listeners: new Set(),
+    savedStatus: 'running',
+    leaseLost: false
+  };
+  activeRuns.set(job.id, run);
+
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_generation_job', {
+    p_job_id: job.id,
+    p_owner: LEASE_OWNER,
+    p_lease_seconds: LEASE_DURATION_S
+  });
+  if (claimError || !claimed || claimed.length === 0) {
+    activeRuns.delete(job.id);
+    if (claimError) throw claimError;
+    throw new Error('This generation job is already running on another tab or device');
+  }
+  run.job.leaseExpiresAt = claimed[0].lease_expires_at;
+
+  const heartbeat = setInterval(() => {
+    renewLease(run).catch(error => console.error('Error renewing generation job lease:', error));
+  }, LEASE_RENEW_MS);
+  const isRunning = () => run.job.status === 'running' && !run.leaseLost;
+
+  const originalStatus = book.status;
+  const updatedBook: Book = { ...book, status: 'generating' };
+  const outlineLLM = getLLMForTask(book, 'outline');
+  const contentLLM = getLLMForTask(book, 'content');
+  const analysisLLM = getLLMForTask(book, 'analysis');
+  const retryAt = new Map<string, number>();
+  const sectionIds = run.job.options.sectionIds;
+  const inScope = (subChapter: SubChapter) => !sectionIds || sectionIds.includes(subChapter.id);
+  let sectionsTimed = run.job.averageSectionMs ? 1 : 0;
+
+  const publishBook = () => handlers.onBookUpdate({ ...updatedBook });
+
+  const updateJob = async (updates: Partial<GenerationJob> = {}) => {
+    run.job = { ...run.job, ...updates, ...countSections(updatedBook, sectionIds) };
+    notify(run);
+    try {
+      await persistRun(run);
+    } catch (error) {
+      console.error('Error saving generation job:', error);
+    }
+  };
+
+  const recordDuration = (ms: number) => {
+    const average = run.job.averageSectionMs || 0;
+    sectionsTimed++;
+    run.job.averageSectionMs = average + (ms - average) / sectionsTimed;
+  };
+
+  const eachSection = (callback: (chapter: BookChapter, subChapter: SubChapter) => void) => {
+    updatedBook.chapters.forEach(chapter => {
+      chapter.subChapters?.filter(inScope).forEach(subChapter => callback(chapter, subChapter));
+    });
+  };
+
+  const nextSection = (): { chapter: BookChapter; subChapter: SubChapter } | null => {
+    const now = Date.now();
+    for (const chapter of updatedBook.chapters) {
+      for (const subChapter of chapter.subChapters || []) {
+        if (subChapter.status === 'pending' && inScope(subChapter) && (retryAt.get(subChapter.id) || 0) <= now) {
+          return { chapter, subChapter };
+        }
+      }
+    }
+    return null;
+  };
+
+  const hasPendingSections = () =>
+    updatedBook.chapters.some(chapter => chapter.subChapters?.some(sc => sc.status === 'pending' && inScope(sc)));
+
+  // Bible updates are chained so parallel sections don't overwrite each other's entries
+  let storyBible = await loadStoryBibleForGeneration(book.id);
+  const seriesContext = await loadSeriesContext(book);
+  let bibleUpdates: Promise<void> = Promise.resolve();
+  // Each chapter is written in its own persona's voice, falling back to the book's
+  let personas: Record<string, WritingPersona> = {};
+  try {
+    personas = await loadBookPersonas(book);
+  } catch (error) {
+    console.error('Error loading writing personas:', error);
+  }
+
+  const generateSection = async (chapter: BookChapter, subChapter: SubChapter) => {
+    const startedAt = Date.now();
+    subChapter.status = 'generating';
+    chapter.status = 'generating';
+    publishBook();
+
+    try {
+      if (subChapter.content) {
+        // Heat level conversions, translations and editions rewrite existing text, so keep the original restorable
+        await recordSectionRevision(updatedBook.id, chapter.id, { ...subChapter }, 'snapshot');
+      }
+      const continuityContext = buildContinuityContext(updatedBook, storyBible, subChapter.id, seriesContext);
+      const generated = await generateSectionContent(
+        subChapter,
+        run.job,
+        updatedBook,
+        contentLLM,
+        continuityContext,
+        getChapterPersonaInstructions(updatedBook, chapter, personas)
+      );
+      subChapter.content = generated.content;
+      subChapter.research = generated.research;
+      subChapter.voiceFidelity = scoreChapterVoice(updatedBook, chapter, personas, generated.content);
+      subChapter.status = 'completed';
+      subChapter.error = undefined;
+      recordDuration(Date.now() - startedAt);
+
+      bibleUpdates = bibleUpdates.then(async () => {
+        storyBible = await recordSectionInStoryBible(storyBible, subChapter, analysisLLM);
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`Error generating section "${subChapter.title}":`, error);
+
+      subChapter.attempts = (subChapter.attempts || 0) + 1;
+      subChapter.error = message;
+
+      if (message.startsWith('Quota exceeded')) {
+        // Retrying won't help until the quota resets, so stop and let the user resume later
+        subChapter.status = 'pending';
+        run.job.status = 'paused';
+        run.job.error = message;
+      } else if (subChapter.attempts < MAX_SECTION_ATTEMPTS) {
+        subChapter.status = 'pending';
+        retryAt.set(subChapter.id, Date.now() + Math.pow(2, subChapter.attempts) * RETRY_BASE_DELAY_MS);
+      } else {
+        subChapter.status = 'failed';
+      }
+    }
+
+    if (chapter.subChapters?.every(sc => sc.status === 'completed')) {
+      chapter.status = 'completed';
+    } else if (!chapter.subChapters?.some(sc => sc.status === 'generating')) {
+      chapter.status = 'pending';
+    }
+    publishBook();
+
+    try {
+      await saveSubChapterProgress(updatedBook.id, subChapter);
+    } catch (error) {
+      console.error('Error saving section progress:', error);
+    }
+    if (subChapter.status === 'completed') {
+      await recordSectionRevision(
+        updatedBook.id,
+        chapter.id,
+        { ...subChapter },
+        run.job.mode === 'heat-level' || run.job.mode === 'translation' || run.job.mode === 'edition'
+          ? run.job.mode
+          : run.job.mode === 'voice' ? 'edit' : 'generate',
+        run.job.mode === 'heat-level'
+          ? `Heat level: ${run.job.options.heatLevel}`
+          : run.job.mode === 'voice'
+            ? `Voice: ${personas[getChapterPersonaId(updatedBook, chapter) || '']?.name || 'Default style'}`
+            : run.job.mode === 'translation'
+              ? `Translated into ${getLanguageName(updatedBook.language)}`
+              : run.job.mode === 'edition'
+                ? `Edition: ${describeEditionChanges(updatedBook.edition?.changes || {})}`
+                : run.job.mode === 'research' ? 'With research' : undefined
+      );
+    }
+    await updateJob();
+  };
+
+  const worker = async () => {
+    while (isRunning()) {
+      const next = nextSection();
+      if (!next) {
+        if (!hasPendingSections()) return;
+        // Everything left is waiting out a retry delay
+        await delay(1000);
+        continue;
+      }
+
+      await generateSection(next.chapter, next.subChapter);
+
+      if (isRunning()) {
+        await delay(SECTION_DELAY_MS[run.job.mode]);
+      }
+    }
+  };
+
+  try {
+    // Chapters without an outline get one first so every section is known up front
+    let outlinesAdded = false;
+    for (const chapter of updatedBook.chapters) {
+      if (!isRunning()) break;
+      if (!chapter.subChapters || chapter.subChapters.length === 0) {
+        chapter.subChapters = await generateChapterOutline(chapter.title, chapter.description, outlineLLM, getChapterWordTarget(updatedBook, chapter.id), seriesContext);
+        outlinesAdded = true;
+        publishBook();
+      }
+    }
+    if (outlinesAdded) {
+      await saveBook(updatedBook);
+    }
+
+    // Sections left mid-generation by a closed tab start over, and earlier failures get a fresh set of attempts
+    eachSection((_, subChapter) => {
+      if (subChapter.status === 'generating' || subChapter.status === 'failed') {
+        subChapter.status = 'pending';
+        subChapter.attempts = 0;
+      }
+    });
+    publishBook();
+    await updateJob();
+
+    await Promise.all(Array.from({ length: run.job.concurrency }, () => worker()));
+    await bibleUpdates;
+
+    if (run.leaseLost) {
+      // The other run has the latest copy of the book, so don't save over it
+      throw new Error('Generation was taken over by another tab or device');
+    }
+
+    if (run.job.status === 'running') {
+      const { failedSections } = countSections(updatedBook, sectionIds);
+      await updateJob(failedSections > 0
+        ? { status: 'failed', error: `${failedSections} section${failedSections === 1 ? '' : 's'} could not be generated` }
+        : { status: 'completed' });
+    }
+
+    const { totalSections, completedSections } = countSections(updatedBook);
+    updatedBook.status = totalSections > 0 && completedSections === totalSections ? 'completed' : originalStatus;
+    publishBook();
+    await saveBook(updatedBook);
+
+    return { ...updatedBook };
+  } catch (error) {
+    if (!run.leaseLost) {
+      await updateJob({ status: 'failed', error: error instanceof Error ? error.message : 'Unknown error' });
+    }
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+    if (!run.leaseLost) {
+      await releaseLease(job.id).catch(error => console.error('Error releasing generation job lease:', error));
+    }
+    activeRuns.delete(job.id);
+    // Final update goes out once the run is gone so listeners see the job as idle
+    notify(run);
+  }
+};
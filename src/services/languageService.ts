@@ -0,0 +1,61 @@
+export interface BookLanguage {
+  // BCP 47 tag, as stored in book.language
+  code: string;
+  name: string;
+  // ISO 639-2/T code, used where a format only takes three letters (MP4 metadata)
+  iso6392: string;
+  rtl?: boolean;
+}
+
+export const BOOK_LANGUAGES: BookLanguage[] = [
+  { code: 'en', name: 'English', iso6392: 'eng' },
+  { code: 'es', name: 'Spanish', iso6392: 'spa' },
+  { code: 'es-MX', name: 'Spanish (Latin America)', iso6392: 'spa' },
+  { code: 'fr', name: 'French', iso6392: 'fra' },
+  { code: 'de', name: 'German', iso6392: 'deu' },
+  { code: 'it', name: 'Italian', iso6392: 'ita' },
+  { code: 'pt', name: 'Portuguese', iso6392: 'por' },
+  { code: 'pt-BR', name: 'Portuguese (Brazil)', iso6392: 'por' },
+  { code: 'nl', name: 'Dutch', iso6392: 'nld' },
+  { code: 'sv', name: 'Swedish', iso6392: 'swe' },
+  { code: 'da', name: 'Danish', iso6392: 'dan' },
+  { code: 'nb', name: 'Norwegian', iso6392: 'nob' },
+  { code: 'fi', name: 'Finnish', iso6392: 'fin' },
+  { code: 'pl', name: 'Polish', iso6392: 'pol' },
+  { code: 'cs', name: 'Czech', iso6392: 'ces' },
+  { code: 'ro', name: 'Romanian', iso6392: 'ron' },
+  { code: 'hu', name: 'Hungarian', iso6392: 'hun' },
+  { code: 'el', name: 'Greek', iso6392: 'ell' },
+  { code: 'tr', name: 'Turkish', iso6392: 'tur' },
+  { code: 'ru', name: 'Russian', iso6392: 'rus' },
+  { code: 'uk', name: 'Ukrainian', iso6392: 'ukr' },
+  { code: 'ar', name: 'Arabic', iso6392: 'ara', rtl: true },
+  { code: 'he', name: 'Hebrew', iso6392: 'heb', rtl: true },
+  { code: 'hi', name: 'Hindi', iso6392: 'hin' },
+  { code: 'id', name: 'Indonesian', iso6392: 'ind' },
+  { code: 'ja', name: 'Japanese', iso6392: 'jpn' },
+  { code: 'ko', name: 'Korean', iso6392: 'kor' },
+  { code: 'zh-Hans', name: 'Chinese (Simplified)', iso6392: 'zho' },
+  { code: 'zh-Hant', name: 'Chinese (Traditional)', iso6392: 'zho' }
+];
+
+// Books without a language were written before it was recorded, all in English
+export const DEFAULT_LANGUAGE = 'en';
+
+// "pt-BR" and "pt" share the primary subtag "pt"
+export const getPrimaryLanguage = (tag: string = DEFAULT_LANGUAGE): string =>
+  tag.split(/[-_]/)[0].toLowerCase();
+
+export const isSameLanguage = (a: string | undefined, b: string | undefined): boolean =>
+  getPrimaryLanguage(a) === getPrimaryLanguage(b);
+
+// An exact match first, then any variant of the same language
+export const findLanguage = (tag: string = DEFAULT_LANGUAGE): BookLanguage | undefined =>
+  BOOK_LANGUAGES.find(language => language.code.toLowerCase() === tag.toLowerCase()) ||
+  BOOK_LANGUAGES.find(language => isSameLanguage(language.code, tag));
+
+export const getLanguageName = (tag: string = DEFAULT_LANGUAGE): string => findLanguage(tag)?.name || tag;
+
+export const isRightToLeft = (tag?: string): boolean => !!findLanguage(tag)?.rtl;
+
+export const getISO6392Code = (tag?: string): string => findLanguage(tag)?.iso6392 || 'und';
@@ -0,0 +1,189 @@
+import { APlusModule, BisacCategory, BlurbLength, Book, LaunchKit, SocialPost } from '../types';
+import { generateText, LLMTarget } from './llmService';
+
+export const BLURB_LENGTHS: Record<BlurbLength, { label: string; words: string }> = {
+  short: { label: 'Short', words: '40-60' },
+  medium: { label: 'Medium', words: '120-180' },
+  long: { label: 'Long', words: '250-350' }
+};
+
+// KDP takes seven keyword phrases of up to 50 characters each
+export const KEYWORD_COUNT = 7;
+const MAX_KEYWORD_LENGTH = 50;
+const BISAC_CODE = /^[A-Z]{3}\d{6}$/;
+// Keeps long books' outlines from crowding out the instructions
+const MAX_OUTLINE_CHAPTERS = 40;
+
+const SOCIAL_PLATFORMS = ['Facebook', 'Instagram', 'X (Twitter)', 'TikTok', 'LinkedIn'];
+
+// Launch kit fields the model leaves out or returns as the wrong shape read as empty
+const asRecord = (value: unknown): Record<string, unknown> =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
+
+const asList = (value: unknown): Record<string, unknown>[] =>
+  Array.isArray(value) ? value.map(asRecord) : [];
+
+const parseJsonObject = (response: string): Record<string, unknown> => {
+  const cleanResponse = response.trim().replace(/```json\s*|\s*```/g, '');
+  const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No valid JSON found in response');
+  return asRecord(JSON.parse(jsonMatch[0]));
+};
+
+const toStringList = (value: unknown): string[] =>
+  Array.isArray(value) ? value.map(item => String(item ?? '').trim()).filter(Boolean) : [];
+
+// The blurb exporters and the cover designer use, falling back to the book's description
+export const getBookBlurb = (book: Pick<Book, 'description' | 'launchKit'>, length: BlurbLength = 'medium'): string =>
+  book.launchKit?.blurbs[length]?.trim() || book.description;
+
+const describePersona = (book: Book): string => {
+  const persona = book.writingPersona;
+  if (!persona) return '';
+
+  const details = [
+    `Pen name: ${persona.authorName || book.author || persona.name}`,
+    persona.description && `About the author: ${persona.description}`,
+    persona.analysisResults?.genreSpecialty.length && `Writes: ${persona.analysisResults.genreSpecialty.join(', ')}`,
+    persona.analysisResults?.strengthsAndQuirks.length && `Known for: ${persona.analysisResults.strengthsAndQuirks.join(', ')}`,
+    persona.preferences.targetAudience.length > 0 && `Readers: ${persona.preferences.targetAudience.join(', ')}`
+  ].filter(Boolean);
+
+  return `\nAUTHOR PERSONA:\n${details.join('\n')}\n`;
+};
+
+const parseCategories = (value: unknown): BisacCategory[] =>
+  asList(value)
+    .map(category => ({
+      code: String(category.code || '').trim().toUpperCase(),
+      label: String(category.label || '').trim()
+    }))
+    .filter(category => BISAC_CODE.test(category.code) && category.label);
+
+const parseSocialPosts = (value: unknown): SocialPost[] =>
+  asList(value)
+    .map(post => ({
+      platform: String(post.platform || '').trim(),
+      text: String(post.text || '').trim()
+    }))
+    .filter(post => post.platform && post.text);
+
+const parseAPlusContent = (value: unknown): APlusModule[] =>
+  asList(value)
+    .map(module => ({
+      heading: String(module.heading || '').trim(),
+      body: String(module.body || '').trim()
+    }))
+    .filter(module => module.heading && module.body);
+
+/**
+ * Writes the book's launch copy in one pass: blurbs at three lengths,
+ * taglines, KDP keywords, BISAC categories, an author bio from the persona,
+ * a newsletter announcement, social posts and A+ content modules.
+ */
+export const generateLaunchKit = async (book: Book, llm: LLMTarget): Promise<LaunchKit> => {
+  const outline = book.chapters
+    .slice(0, MAX_OUTLINE_CHAPTERS)
+    .map((chapter, index) => `${index + 1}. ${chapter.title}: ${chapter.description}`)
+    .join('\n');
+
+  const prompt = `
+Write the launch marketing kit for the following book.
+
+Title: ${book.title}
+Author: ${book.author || book.writingPersona?.authorName || 'the author'}
+Genre: ${book.genre}${book.subGenre ? ` / ${book.subGenre}` : ''}
+Target Audience: ${book.targetAudience || 'General readers'}
+Tone: ${book.tone}
+Description: ${book.description}
+${describePersona(book)}
+CHAPTERS:
+${outline}
+
+Please provide a response in the following JSON format:
+{
+  "blurbs": {
+    "short": "${BLURB_LENGTHS.short.words} word blurb for ads and listings",
+    "medium": "${BLURB_LENGTHS.medium.words} word back-cover blurb",
+    "long": "${BLURB_LENGTHS.long.words} word retailer description, in short paragraphs separated by blank lines"
+  },
+  "taglines": ["5 one-line taglines of no more than 12 words"],
+  "keywords": ["${KEYWORD_COUNT} keyword phrases readers would type into the Amazon search box"],
+  "categories": [{ "code": "FIC027020", "label": "FICTION / Romance / Contemporary" }],
+  "authorBio": "Third-person author bio of 80-120 words",
+  "newsletter": "Newsletter email announcing the book to the author's readers, with a subject line on the first line",
+  "socialPosts": [{ "platform": "Instagram", "text": "Post text with hashtags where the platform uses them" }],
+  "aPlusContent": [{ "heading": "Short heading", "body": "40-80 words of copy" }]
+}
+
+Blurbs should hook the reader and sell the book without spoilers; they do not restate the title or author. Keyword phrases must not repeat words from the title, name other authors or books, or exceed ${MAX_KEYWORD_LENGTH} characters. Suggest 3 BISAC categories using real BISAC subject codes. Write one social post for each of: ${SOCIAL_PLATFORMS.join(', ')}. Write 4 A+ content modules covering what the book offers, who it is for and what readers will love.
+${book.writingPersona ? 'Base the author bio on the author persona, without inventing awards or credentials.' : 'Keep the author bio general, without inventing awards, credentials or personal details.'}
+
+IMPORTANT: Return ONLY the JSON object, no additional text or formatting.
+`;
+
+  const response = await generateText(prompt, llm, { temperature: 0.8, maxOutputTokens: 8192 });
+
+  try {
+    const data = parseJsonObject(response);
+    const blurbData = asRecord(data.blurbs);
+    const blurbs = {
+      short: String(blurbData.short || '').trim(),
+      medium: String(blurbData.medium || '').trim(),
+      long: String(blurbData.long || '').trim()
+    };
+    if (!blurbs.short && !blurbs.medium && !blurbs.long) throw new Error('No blurbs in response');
+
+    return {
+      blurbs,
+      taglines: toStringList(data.taglines),
+      keywords: toStringList(data.keywords)
+        .filter(keyword => keyword.length <= MAX_KEYWORD_LENGTH)
+        .slice(0, KEYWORD_COUNT),
+      categories: parseCategories(data.categories),
+      authorBio: String(data.authorBio || '').trim(),
+      newsletter: String(data.newsletter || '').trim(),
+      socialPosts: parseSocialPosts(data.socialPosts),
+      aPlusContent: parseAPlusContent(data.aPlusContent),
+      generatedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error parsing launch kit:', error);
+    console.error('Raw response:', response);
+    throw new Error('Failed to parse the launch kit from the AI response. Please try again.');
+  }
+};
+
+export const buildLaunchKitMarkdown = (book: Book, kit: LaunchKit): string => {
+  const sections: string[] = [`# ${book.title}: Launch Kit`];
+
+  (Object.keys(BLURB_LENGTHS) as BlurbLength[])
+    .filter(length => kit.blurbs[length])
+    .forEach(length => {
+      sections.push(`## ${BLURB_LENGTHS[length].label} Blurb\n\n${kit.blurbs[length]}`);
+    });
+
+  if (kit.taglines.length > 0) {
+    sections.push(`## Taglines\n\n${kit.taglines.map(tagline => `- ${tagline}`).join('\n')}`);
+  }
+  if (kit.keywords.length > 0) {
+    sections.push(`## KDP Keywords\n\n${kit.keywords.map((keyword, index) => `${index + 1}. ${keyword}`).join('\n')}`);
+  }
+  if (kit.categories.length > 0) {
+    sections.push(`## BISAC Categories\n\n${kit.categories.map(category => `- ${category.code}: ${category.label}`).join('\n')}`);
+  }
+  if (kit.authorBio) {
+    sections.push(`## Author Bio\n\n${kit.authorBio}`);
+  }
+  if (kit.newsletter) {
+    sections.push(`## Newsletter Announcement\n\n${kit.newsletter}`);
+  }
+  if (kit.socialPosts.length > 0) {
+    sections.push(`## Social Posts\n\n${kit.socialPosts.map(post => `### ${post.platform}\n\n${post.text}`).join('\n\n')}`);
+  }
+  if (kit.aPlusContent.length > 0) {
+    sections.push(`## A+ Content\n\n${kit.aPlusContent.map(module => `### ${module.heading}\n\n${module.body}`).join('\n\n')}`);
+  }
+
+  return `${sections.join('\n\n')}\n`;
+};
@@ -0,0 +1,140 @@
+import { Book, BookChapter } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { countWords } from './manuscriptService';
+
+export interface BookLengthPreset {
+  label: string;
+  words: number;
+}
+
+export const BOOK_LENGTH_PRESETS: BookLengthPreset[] = [
+  { label: 'Short guide', words: 15000 },
+  { label: 'Novella', words: 30000 },
+  { label: 'Novel', words: 60000 },
+  { label: 'Long novel', words: 90000 },
+  { label: 'Epic', words: 120000 }
+];
+
+export interface WordBudgets {
+  chapters: Record<string, number>;
+  sections: Record<string, number>;
+}
+
+// Planning sizes: chapters of around 3,500 words split into sections of around 1,200
+const WORDS_PER_CHAPTER = 3500;
+const WORDS_PER_SECTION = 1200;
+// English prose runs at roughly 0.75 words per token; the extra headroom stops a pass being cut off mid-sentence
+const WORDS_PER_TOKEN = 0.75;
+const TOKEN_HEADROOM = 1.4;
+// Longest stretch asked of a single call; longer sections are written in continuation passes
+const WORDS_PER_PASS = 1500;
+// Words from the end of the text so far that each continuation pass picks up from
+const CONTINUATION_CONTEXT_WORDS = 600;
+// Shortest closing pass, for when earlier passes have already used up nearly all of the target
+const MIN_CLOSING_WORDS = 150;
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+const roundWords = (words: number) => Math.max(0, Math.round(words / 10) * 10);
+
+export const planChapterCount = (targetWords: number): number =>
+  clamp(Math.round(targetWords / WORDS_PER_CHAPTER), 3, 40);
+
+export const planSectionCount = (targetWords: number): number =>
+  clamp(Math.round(targetWords / WORDS_PER_SECTION), 2, 12);
+
+export const countChapterWords = (chapter: BookChapter): number =>
+  (chapter.subChapters || []).reduce((total, subChapter) => total + countWords(subChapter.content), 0);
+
+/**
+ * Splits the book's target length into chapter and section budgets. Chapters
+ * with their own target keep it, the rest share what is left of the book's
+ * target evenly, and each chapter's budget is shared evenly by its sections.
+ */
+export const getWordBudgets = (book: Book): WordBudgets => {
+  const chapters: Record<string, number> = {};
+  const sections: Record<string, number> = {};
+
+  const fixedWords = book.chapters.reduce((total, chapter) => total + (chapter.targetWordCount || 0), 0);
+  const sharedChapters = book.chapters.filter(chapter => !chapter.targetWordCount).length;
+  const sharedWords = book.targetWordCount && sharedChapters > 0
+    ? Math.max(0, book.targetWordCount - fixedWords) / sharedChapters
+    : 0;
+
+  book.chapters.forEach(chapter => {
+    const chapterTarget = chapter.targetWordCount || roundWords(sharedWords);
+    if (!chapterTarget) return;
+
+    chapters[chapter.id] = chapterTarget;
+    const sectionCount = chapter.subChapters?.length || 0;
+    chapter.subChapters?.forEach(subChapter => {
+      sections[subChapter.id] = roundWords(chapterTarget / sectionCount);
+    });
+  });
+
+  return { chapters, sections };
+};
+
+export const getChapterWordTarget = (book: Book, chapterId: string): number | undefined =>
+  getWordBudgets(book).chapters[chapterId] || undefined;
+
+export const getSectionWordTarget = (book: Book, subChapterId: string): number | undefined =>
+  getWordBudgets(book).sections[subChapterId] || undefined;
+
+// Word count instruction for the requirements list of a writing prompt
+export const describeWordTarget = (targetWords?: number): string =>
+  targetWords ? `\n- Length: about ${targetWords.toLocaleString('en-US')} words` : '';
+
+const tokensForWords = (words: number) => Math.ceil((words / WORDS_PER_TOKEN) * TOKEN_HEADROOM);
+
+const lastWords = (text: string, count: number) => {
+  const words = text.trim().split(/\s+/);
+  return words.length <= count ? text.trim() : `...${words.slice(-count).join(' ')}`;
+};
+
+/**
+ * Writes a piece of prose to a target length. Short targets take one call;
+ * longer ones are written in passes, each continuing from the end of the text
+ * so far, until the target is met or the final pass closes the section.
+ */
+export const generateToLength = async (
+  prompt: string,
+  llm: LLMTarget,
+  targetWords?: number
+): Promise<string> => {
+  if (!targetWords || targetWords <= WORDS_PER_PASS) {
+    const response = await generateText(prompt, llm, targetWords ? { maxOutputTokens: Math.max(2048, tokensForWords(targetWords)) } : {});
+    return response.trim();
+  }
+
+  const passes = Math.ceil(targetWords / WORDS_PER_PASS);
+  const passWords = roundWords(targetWords / passes);
+
+  let content = (await generateText(`${prompt}
+This is a long section written in ${passes} parts. Write part 1 only: about ${passWords.toLocaleString('en-US')} words, stopping at a natural pause without concluding the section.
+`, llm, { maxOutputTokens: tokensForWords(passWords) })).trim();
+
+  for (let pass = 2; pass <= passes; pass++) {
+    const remaining = targetWords - countWords(content);
+    // Models often overshoot, so the target may be nearly met before the planned last pass.
+    // The section still needs an ending, so that pass becomes a short close.
+    const isLastPass = pass === passes || remaining <= passWords * 1.5;
+    const partWords = isLastPass ? Math.max(MIN_CLOSING_WORDS, roundWords(remaining)) : passWords;
+    const continuation = await generateText(`${prompt}
+This is a long section written in ${passes} parts. Here is the end of what has been written so far:
+"""
+${lastWords(content, CONTINUATION_CONTEXT_WORDS)}
+"""
+
+Write part ${pass} only: about ${partWords.toLocaleString('en-US')} words that continue seamlessly from exactly where the text stops.
+- Do not repeat, summarize or restate anything already written
+- Do not start with a title or heading
+- ${isLastPass ? 'Bring the section to a satisfying close' : 'Stop at a natural pause without concluding the section'}
+`, llm, { maxOutputTokens: tokensForWords(partWords) });
+
+    content = `${content}\n\n${continuation.trim()}`;
+    if (isLastPass) break;
+  }
+
+  return content;
+};
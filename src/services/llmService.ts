@@ -0,0 +1,282 @@
+import { AIProxyProvider, AIUsageContext, Book, LLMModelSelection, LLMProviderId, LLMTask } from '../types';
+import { proxyFetch } from './aiProxyService';
+
+export interface LLMConfig extends LLMModelSelection {
+  // What the call is for, recorded by the AI proxy
+  usage?: AIUsageContext;
+}
+
+export type LLMTarget = LLMConfig;
+
+export interface GenerateOptions {
+  temperature?: number;
+  maxOutputTokens?: number;
+  maxRetries?: number;
+}
+
+interface LLMProviderAdapter {
+  label: string;
+  // Hosted providers are called through the AI proxy; the others at the configured base URL
+  proxy?: AIProxyProvider;
+  getPath: (config: LLMConfig) => string;
+  buildBody: (prompt: string, config: LLMConfig, options: Required<Omit<GenerateOptions, 'maxRetries'>>) => unknown;
+  // Each adapter reads its own provider's response shape
+  parseResponse(data: unknown): string;
+  isQuotaExhausted: (errorText: string) => boolean;
+}
+
+interface GeminiResponse {
+  candidates: {
+    content: {
+      parts: {
+        text: string;
+      }[];
+    };
+  }[];
+}
+
+interface OpenAIChatResponse {
+  choices: {
+    message: {
+      content: string;
+    };
+  }[];
+}
+
+export const DEFAULT_MODELS: Record<LLMProviderId, { model: string; baseUrl?: string }> = {
+  gemini: {
+    model: 'gemini-1.5-flash-latest'
+  },
+  openai: {
+    model: 'gpt-4o-mini'
+  },
+  // llama.cpp's server and Ollama both expose an OpenAI-compatible endpoint
+  local: {
+    model: 'llama3.1',
+    baseUrl: 'http://localhost:11434/v1'
+  }
+};
+
+// Sections generated in parallel by the queue; kept under each provider's free-tier rate limits
+export const PROVIDER_CONCURRENCY: Record<LLMProviderId, number> = {
+  gemini: 2,
+  openai: 3,
+  local: 1
+};
+
+export const LLM_TASK_LABELS: Record<LLMTask, string> = {
+  outline: 'Book & chapter outlines',
+  content: 'Section content',
+  editing: 'Editing',
+  analysis: 'Writing analysis',
+  course: 'Online courses',
+  marketing: 'Marketing copy',
+  translation: 'Translation'
+};
+
+// Gemini reports quota errors by status, OpenAI by code
+interface ProviderErrorBody {
+  error?: { status?: string; code?: string };
+}
+
+const parseErrorBody = (text: string): ProviderErrorBody | null => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const buildOpenAICompatibleBody = (
+  prompt: string,
+  config: LLMConfig,
+  options: { temperature: number; maxOutputTokens: number }
+) => ({
+  model: config.model,
+  messages: [
+    {
+      role: 'user',
+      content: prompt
+    }
+  ],
+  temperature: options.temperature,
+  max_tokens: options.maxOutputTokens
+});
+
+const PROVIDERS: Record<LLMProviderId, LLMProviderAdapter> = {
+  gemini: {
+    label: 'Gemini',
+    proxy: 'gemini',
+    getPath: (config) => `v1beta/models/${config.model}:generateContent`,
+    buildBody: (prompt, _config, options) => ({
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: options.temperature,
+        topK: 1,
+        topP: 1,
+        maxOutputTokens: options.maxOutputTokens,
+      },
+      safetySettings: [
+        {
+          category: "HARM_CATEGORY_HARASSMENT",
+          threshold: "BLOCK_MEDIUM_AND_ABOVE"
+        },
+        {
+          category: "HARM_CATEGORY_HATE_SPEECH",
+          threshold: "BLOCK_MEDIUM_AND_ABOVE"
+        },
+        {
+          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+          threshold: "BLOCK_MEDIUM_AND_ABOVE"
+        },
+        {
+          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+          threshold: "BLOCK_MEDIUM_AND_ABOVE"
+        }
+      ]
+    }),
+    parseResponse: (data: GeminiResponse) => {
+      if (!data.candidates || data.candidates.length === 0) {
+        throw new Error('No candidates returned from Gemini API');
+      }
+      return data.candidates[0]?.content?.parts[0]?.text || '';
+    },
+    isQuotaExhausted: (errorText) => parseErrorBody(errorText)?.error?.status === 'RESOURCE_EXHAUSTED'
+  },
+  openai: {
+    label: 'OpenAI',
+    proxy: 'openai',
+    getPath: () => 'v1/chat/completions',
+    buildBody: buildOpenAICompatibleBody,
+    parseResponse: (data: OpenAIChatResponse) => {
+      if (!data.choices || data.choices.length === 0) {
+        throw new Error('No choices returned from OpenAI API');
+      }
+      return data.choices[0]?.message?.content || '';
+    },
+    isQuotaExhausted: (errorText) => parseErrorBody(errorText)?.error?.code === 'insufficient_quota'
+  },
+  local: {
+    label: 'Local model',
+    getPath: () => 'chat/completions',
+    buildBody: buildOpenAICompatibleBody,
+    parseResponse: (data: OpenAIChatResponse) => {
+      if (!data.choices || data.choices.length === 0) {
+        throw new Error('No choices returned from local model server');
+      }
+      return data.choices[0]?.message?.content || '';
+    },
+    // Local servers have no quota; a 429 just means the server is busy
+    isQuotaExhausted: () => false
+  }
+};
+
+export const resolveLLMConfig = (target: LLMTarget): LLMConfig => {
+  const defaults = DEFAULT_MODELS[target.provider];
+
+  return {
+    ...target,
+    model: target.model || defaults.model,
+    baseUrl: (target.baseUrl || defaults.baseUrl)?.replace(/\/+$/, '')
+  };
+};
+
+// Pick the model configured on the book for a task, falling back to Gemini
+export const getLLMForTask = (
+  book: (Pick<Book, 'llmSettings'> & Partial<Pick<Book, 'id'>>) | null | undefined,
+  task: LLMTask
+): LLMTarget => ({
+  ...(book?.llmSettings?.[task] || { provider: 'gemini', model: DEFAULT_MODELS.gemini.model }),
+  usage: { bookId: book?.id, operation: task }
+});
+
+export const getProviderConcurrency = (target: LLMTarget): number =>
+  PROVIDER_CONCURRENCY[resolveLLMConfig(target).provider];
+
+export const describeLLMTarget = (target: LLMTarget): string => {
+  const config = resolveLLMConfig(target);
+  return `${PROVIDERS[config.provider].label} (${config.model})`;
+};
+
+export const generateText = async (
+  prompt: string,
+  target: LLMTarget,
+  options: GenerateOptions = {}
+): Promise<string> => {
+  const config = resolveLLMConfig(target);
+  const provider = PROVIDERS[config.provider];
+  const maxRetries = options.maxRetries ?? 5;
+
+  const path = provider.getPath(config);
+  const body = provider.buildBody(prompt, config, {
+    temperature: options.temperature ?? 0.7,
+    maxOutputTokens: options.maxOutputTokens ?? 2048
+  });
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const response = provider.proxy
+        ? await proxyFetch(provider.proxy, path, body, config.usage)
+        : await fetch(`${config.baseUrl}/${path}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(body)
+        });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`${provider.label} API Error Response:`, errorText);
+
+        if (response.status === 429) {
+          if (provider.isQuotaExhausted(errorText)) {
+            throw new Error(`Quota exceeded for ${provider.label} (${config.model}). Please wait for your quota to reset, upgrade your billing plan, or switch this book to a different model.`);
+          }
+
+          // For other 429 errors, don't retry if we've already tried multiple times
+          if (attempt >= 2 && config.provider !== 'local') {
+            throw new Error('API rate limit exceeded. Please try again later or check your API quota.');
+          }
+
+          if (attempt < maxRetries) {
+            const delay = Math.pow(2, attempt) * 1000; // 1s, 2s, 4s, 8s, 16s
+            console.log(`Rate limit hit. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+        }
+
+        throw new Error(`${provider.label} API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      return provider.parseResponse(data);
+    } catch (error) {
+      // If this was our last attempt, re-throw the error
+      if (attempt >= maxRetries) {
+        console.error(`Error calling ${provider.label} API after all retries:`, error);
+        throw error;
+      }
+
+      // For network errors and other non-HTTP errors, also retry
+      if (error instanceof TypeError && error.message.includes('fetch')) {
+        const delay = Math.pow(2, attempt) * 1000;
+        console.log(`Network error. Retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      // For other errors, throw immediately
+      console.error(`Error calling ${provider.label} API:`, error);
+      throw error;
+    }
+  }
+
+  // This should never be reached, but TypeScript needs it
+  throw new Error('Maximum retries exceeded');
+};
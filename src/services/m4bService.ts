@@ -0,0 +1,540 @@
+import { AudiobookData, Book } from '../types';
+import { decodeWav, resample } from './audioService';
+import { convertToJpeg, getBookAuthor, loadCoverImage } from './epubService';
+import { getISO6392Code } from './languageService';
+
+// WebCodecs audio encoding isn't in this TypeScript version's DOM lib
+interface EncodedAudioChunkLike {
+  byteLength: number;
+  duration: number | null;
+  copyTo: (destination: Uint8Array) => void;
+}
+
+interface AudioEncoderConfigLike {
+  codec: string;
+  sampleRate: number;
+  numberOfChannels: number;
+  bitrate: number;
+}
+
+interface AudioEncoderLike {
+  encodeQueueSize: number;
+  configure: (config: AudioEncoderConfigLike) => void;
+  encode: (data: { close: () => void }) => void;
+  flush: () => Promise<void>;
+  close: () => void;
+}
+
+interface AudioEncoderConstructor {
+  new (init: {
+    output: (chunk: EncodedAudioChunkLike, metadata?: { decoderConfig?: { description?: BufferSource } }) => void;
+    error: (error: Error) => void;
+  }): AudioEncoderLike;
+  isConfigSupported: (config: AudioEncoderConfigLike) => Promise<{ supported?: boolean }>;
+}
+
+interface AudioDataConstructor {
+  new (init: {
+    format: 's16';
+    sampleRate: number;
+    numberOfFrames: number;
+    numberOfChannels: number;
+    timestamp: number;
+    data: Int16Array;
+  }): { close: () => void };
+}
+
+// 44.1 kHz mono AAC-LC is what audiobook stores expect from spoken word
+const SAMPLE_RATE = 44100;
+const BITRATE = 64000;
+const AAC_CODEC = 'mp4a.40.2';
+const AAC_FRAME_SIZE = 1024;
+const ENCODE_BLOCK_FRAMES = SAMPLE_RATE;
+const MAX_ENCODE_QUEUE = 8;
+// Roughly one second of AAC frames is stored per chunk to keep the sample tables small
+const FRAMES_PER_CHUNK = 43;
+const MAX_MP4_SIZE = 0xffffffff;
+
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+const textEncoder = new TextEncoder();
+
+// mdhd packs an ISO 639-2/T code ("und" when unknown) as three 5-bit letters
+const packLanguage = (code: string): number =>
+  code.split('').reduce((packed, letter) => (packed << 5) | (letter.charCodeAt(0) - 0x60), 0);
+
+const concatBytes = (parts: Uint8Array[]): Uint8Array => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const uint = (value: number, bytes: number): Uint8Array => {
+  const result = new Uint8Array(bytes);
+  let remaining = value;
+  for (let i = bytes - 1; i >= 0; i--) {
+    result[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return result;
+};
+
+const uints = (values: number[], bytes: number): Uint8Array => concatBytes(values.map(value => uint(value, bytes)));
+
+// Box types are Latin-1, so "©nam" must be written as the single byte 0xA9
+const fourcc = (type: string): Uint8Array => Uint8Array.from(type, char => char.charCodeAt(0));
+
+const box = (type: string, ...payload: Uint8Array[]): Uint8Array => {
+  const body = concatBytes(payload);
+  return concatBytes([uint(8 + body.length, 4), fourcc(type), body]);
+};
+
+const fullBox = (type: string, version: number, flags: number, ...payload: Uint8Array[]): Uint8Array =>
+  box(type, uint(version, 1), uint(flags, 3), ...payload);
+
+interface SampleTable {
+  sizes: number[];
+  durations: { count: number; delta: number }[];
+  samplesPerChunk: number[];
+}
+
+interface Chapter {
+  title: string;
+  start: number;
+  duration: number;
+}
+
+interface CoverArt {
+  data: Uint8Array;
+  type: 'jpeg' | 'png';
+}
+
+interface EncodedAudio {
+  description: Uint8Array;
+  chunks: Uint8Array[];
+  table: SampleTable;
+  totalSamples: number;
+}
+
+// AudioSpecificConfig for AAC-LC, used when the encoder doesn't report one
+const buildAudioSpecificConfig = (sampleRate: number, channels: number): Uint8Array => {
+  const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+  const rateIndex = rates.indexOf(sampleRate);
+  return uint((2 << 11) | (rateIndex << 7) | (channels << 3), 2);
+};
+
+// WebCodecs isn't in every browser, nor in the DOM types this project builds against
+type WebCodecsWindow = Window & { AudioEncoder?: AudioEncoderConstructor; AudioData?: AudioDataConstructor };
+
+const getAudioEncoder = async (): Promise<AudioEncoderConstructor> => {
+  const webCodecs = window as WebCodecsWindow;
+  const AudioEncoder = webCodecs.AudioEncoder;
+  const config = { codec: AAC_CODEC, sampleRate: SAMPLE_RATE, numberOfChannels: 1, bitrate: BITRATE };
+
+  if (!AudioEncoder || !webCodecs.AudioData || !(await AudioEncoder.isConfigSupported(config)).supported) {
+    throw new Error('This browser cannot encode AAC audio. Use a recent Chrome or Edge, or download the WAV package instead.');
+  }
+  return AudioEncoder;
+};
+
+const waitForQueue = async (encoder: AudioEncoderLike) => {
+  while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Encodes the completed chapters back to back into one AAC stream. Each chapter
+ * is decoded and resampled on its own so only one chapter's PCM is held at a time.
+ */
+const encodeChapters = async (
+  audiobook: AudiobookData,
+  onProgress?: (progress: number, stage: string) => void
+): Promise<{ audio: EncodedAudio; chapters: Chapter[] }> => {
+  const AudioEncoder = await getAudioEncoder();
+  const AudioData = (window as WebCodecsWindow).AudioData as AudioDataConstructor;
+  const completed = audiobook.audioChapters.filter(chapter => chapter.status === 'completed' && chapter.audioBlob);
+
+  if (completed.length === 0) {
+    throw new Error('No completed chapters to package');
+  }
+
+  let description: Uint8Array | null = null;
+  let encoderError: Error | null = null;
+  const chunks: Uint8Array[] = [];
+  const table: SampleTable = { sizes: [], durations: [], samplesPerChunk: [] };
+  let pendingFrames: Uint8Array[] = [];
+  let totalSamples = 0;
+
+  const closeChunk = () => {
+    if (pendingFrames.length === 0) return;
+    chunks.push(concatBytes(pendingFrames));
+    table.samplesPerChunk.push(pendingFrames.length);
+    pendingFrames = [];
+  };
+
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      if (!description && metadata?.decoderConfig?.description) {
+        const source = metadata.decoderConfig.description;
+        description = source instanceof ArrayBuffer
+          ? new Uint8Array(source.slice(0))
+          : new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+      }
+
+      const frame = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(frame);
+      const duration = chunk.duration ? Math.round(chunk.duration * SAMPLE_RATE / 1e6) : AAC_FRAME_SIZE;
+
+      table.sizes.push(frame.length);
+      const lastRun = table.durations[table.durations.length - 1];
+      if (lastRun?.delta === duration) {
+        lastRun.count++;
+      } else {
+        table.durations.push({ count: 1, delta: duration });
+      }
+      totalSamples += duration;
+
+      pendingFrames.push(frame);
+      if (pendingFrames.length >= FRAMES_PER_CHUNK) closeChunk();
+    },
+    error: (error) => {
+      encoderError = error;
+    }
+  });
+
+  encoder.configure({ codec: AAC_CODEC, sampleRate: SAMPLE_RATE, numberOfChannels: 1, bitrate: BITRATE });
+
+  const chapters: Chapter[] = [];
+  let inputSamples = 0;
+
+  try {
+    for (const [index, chapter] of completed.entries()) {
+      onProgress?.(index / completed.length, chapter.title);
+
+      const pcm = resample(decodeWav(await chapter.audioBlob!.arrayBuffer()), SAMPLE_RATE);
+      chapters.push({ title: chapter.title, start: inputSamples, duration: pcm.samples.length });
+
+      for (let offset = 0; offset < pcm.samples.length; offset += ENCODE_BLOCK_FRAMES) {
+        if (encoderError) throw encoderError;
+        const block = pcm.samples.subarray(offset, offset + ENCODE_BLOCK_FRAMES);
+        const data = new AudioData({
+          format: 's16',
+          sampleRate: SAMPLE_RATE,
+          numberOfFrames: block.length,
+          numberOfChannels: 1,
+          timestamp: Math.round((inputSamples + offset) * 1e6 / SAMPLE_RATE),
+          data: block
+        });
+        encoder.encode(data);
+        data.close();
+        await waitForQueue(encoder);
+      }
+
+      inputSamples += pcm.samples.length;
+    }
+
+    onProgress?.(1, 'Finishing encoding');
+    await encoder.flush();
+    if (encoderError) throw encoderError;
+  } finally {
+    encoder.close();
+  }
+
+  closeChunk();
+
+  return {
+    audio: {
+      description: description || buildAudioSpecificConfig(SAMPLE_RATE, 1),
+      chunks,
+      table,
+      totalSamples
+    },
+    chapters
+  };
+};
+
+const buildEsds = (description: Uint8Array): Uint8Array => {
+  // Descriptors use a one-byte length, which is enough for an AudioSpecificConfig
+  const descriptor = (tag: number, ...payload: Uint8Array[]) => {
+    const body = concatBytes(payload);
+    return concatBytes([uint(tag, 1), uint(body.length, 1), body]);
+  };
+
+  return fullBox('esds', 0, 0,
+    descriptor(0x03,
+      uint(1, 2),
+      uint(0, 1),
+      descriptor(0x04,
+        uint(0x40, 1), // MPEG-4 audio
+        uint(0x15, 1), // audio stream
+        uint(0, 3),
+        uint(BITRATE, 4),
+        uint(BITRATE, 4),
+        descriptor(0x05, description)
+      ),
+      descriptor(0x06, uint(0x02, 1))
+    )
+  );
+};
+
+const buildSampleTables = (sampleEntry: Uint8Array, table: SampleTable, chunkOffsets: number[]): Uint8Array => {
+  const stscEntries: number[] = [];
+  table.samplesPerChunk.forEach((count, index) => {
+    if (index === 0 || count !== table.samplesPerChunk[index - 1]) {
+      stscEntries.push(index + 1, count, 1);
+    }
+  });
+
+  return box('stbl',
+    fullBox('stsd', 0, 0, uint(1, 4), sampleEntry),
+    fullBox('stts', 0, 0, uint(table.durations.length, 4), uints(table.durations.flatMap(run => [run.count, run.delta]), 4)),
+    fullBox('stsc', 0, 0, uint(stscEntries.length / 3, 4), uints(stscEntries, 4)),
+    fullBox('stsz', 0, 0, uint(0, 4), uint(table.sizes.length, 4), uints(table.sizes, 4)),
+    fullBox('stco', 0, 0, uint(chunkOffsets.length, 4), uints(chunkOffsets, 4))
+  );
+};
+
+const buildTrack = (options: {
+  trackId: number;
+  flags: number;
+  volume: number;
+  movieDuration: number;
+  mediaDuration: number;
+  handler: string;
+  handlerName: string;
+  mediaHeader: Uint8Array;
+  sampleTables: Uint8Array;
+  language: string;
+  extra?: Uint8Array;
+}): Uint8Array => box('trak',
+  fullBox('tkhd', 0, options.flags,
+    uint(0, 4),
+    uint(0, 4),
+    uint(options.trackId, 4),
+    uint(0, 4),
+    uint(options.movieDuration, 4),
+    uint(0, 8),
+    uint(0, 2),
+    uint(0, 2),
+    uint(options.volume, 2),
+    uint(0, 2),
+    uints(UNITY_MATRIX, 4),
+    uint(0, 4),
+    uint(0, 4)
+  ),
+  options.extra || new Uint8Array(0),
+  box('mdia',
+    fullBox('mdhd', 0, 0, uint(0, 4), uint(0, 4), uint(SAMPLE_RATE, 4), uint(options.mediaDuration, 4), uint(packLanguage(options.language), 2), uint(0, 2)),
+    fullBox('hdlr', 0, 0, uint(0, 4), fourcc(options.handler), uint(0, 12), textEncoder.encode(`${options.handlerName}\0`)),
+    box('minf',
+      options.mediaHeader,
+      box('dinf', fullBox('dref', 0, 0, uint(1, 4), fullBox('url ', 0, 1))),
+      options.sampleTables
+    )
+  )
+);
+
+// QuickTime chapter samples are a length-prefixed UTF-8 string plus an encoding marker
+const buildChapterSample = (title: string): Uint8Array => {
+  const text = textEncoder.encode(title);
+  return concatBytes([uint(text.length, 2), text, box('encd', uint(0x00000100, 4))]);
+};
+
+const TX3G_SAMPLE_ENTRY = box('tx3g',
+  uint(0, 6),
+  uint(1, 2),
+  uint(1, 4), // display flags
+  uint(0, 2), // justification
+  uint(0, 4), // background colour
+  uint(0, 8), // text box
+  uint(0, 4), // style record: start and end char
+  uint(1, 2), // font id
+  uint(0, 2), // style flags and size
+  uint(0, 4), // text colour
+  box('ftab', uint(1, 2), uint(1, 2), uint(0, 1))
+);
+
+// Nero chapter list, read by players that ignore the QuickTime chapter track
+const buildNeroChapters = (chapters: Chapter[]): Uint8Array => fullBox('chpl', 1, 0,
+  uint(0, 4),
+  uint(chapters.length, 1),
+  ...chapters.map(chapter => {
+    const title = textEncoder.encode(chapter.title).slice(0, 255);
+    return concatBytes([uint(Math.round(chapter.start / SAMPLE_RATE * 1e7), 8), uint(title.length, 1), title]);
+  })
+);
+
+const DATA_TYPE_UTF8 = 1;
+const DATA_TYPE_JPEG = 13;
+const DATA_TYPE_PNG = 14;
+const DATA_TYPE_INTEGER = 21;
+const MEDIA_KIND_AUDIOBOOK = 2;
+
+const metadataItem = (name: string, type: number, value: Uint8Array) =>
+  box(name, box('data', uint(type, 4), uint(0, 4), value));
+
+const textItem = (name: string, value?: string) =>
+  value ? metadataItem(name, DATA_TYPE_UTF8, textEncoder.encode(value)) : new Uint8Array(0);
+
+const buildMetadata = (book: Book, audiobook: AudiobookData, cover: CoverArt | null): Uint8Array => {
+  const author = getBookAuthor(book);
+  return fullBox('meta', 0, 0,
+    fullBox('hdlr', 0, 0, uint(0, 4), fourcc('mdir'), fourcc('appl'), uint(0, 8), uint(0, 1)),
+    box('ilst',
+      textItem('©nam', book.title),
+      textItem('©alb', book.title),
+      textItem('©ART', author),
+      textItem('aART', author),
+      textItem('©gen', book.genre),
+      textItem('©day', new Date(audiobook.generatedAt).getFullYear().toString()),
+      textItem('desc', book.description),
+      textItem('©cmt', audiobook.selectedVoice ? `Narrated by ${audiobook.selectedVoice}` : undefined),
+      textItem('©too', 'Unstack'),
+      metadataItem('stik', DATA_TYPE_INTEGER, uint(MEDIA_KIND_AUDIOBOOK, 1)),
+      cover ? metadataItem('covr', cover.type === 'png' ? DATA_TYPE_PNG : DATA_TYPE_JPEG, cover.data) : new Uint8Array(0)
+    )
+  );
+};
+
+const loadCoverArt = async (coverUrl?: string): Promise<CoverArt | null> => {
+  const image = await loadCoverImage(coverUrl);
+  if (!image) return null;
+
+  // MP4 artwork is JPEG or PNG only
+  const data = image.mediaType === 'image/png' || image.mediaType === 'image/jpeg'
+    ? image.data
+    : await convertToJpeg(image.data);
+  return {
+    data: new Uint8Array(await data.arrayBuffer()),
+    type: image.mediaType === 'image/png' ? 'png' : 'jpeg'
+  };
+};
+
+const buildMoov = (
+  book: Book,
+  audiobook: AudiobookData,
+  audio: EncodedAudio,
+  chapters: Chapter[],
+  cover: CoverArt | null,
+  audioChunkOffsets: number[],
+  chapterSampleOffsets: number[],
+  chapterSamples: Uint8Array[]
+): Uint8Array => {
+  const movieDuration = Math.round(audio.totalSamples / SAMPLE_RATE * 1000);
+
+  // Chapter samples run back to back, with the last one lasting to the end of the audio
+  const chapterDurations = chapters.map((chapter, index) =>
+    (chapters[index + 1]?.start ?? audio.totalSamples) - chapter.start
+  );
+
+  const mp4aEntry = box('mp4a',
+    uint(0, 6),
+    uint(1, 2),
+    uint(0, 8),
+    uint(1, 2),
+    uint(16, 2),
+    uint(0, 2),
+    uint(0, 2),
+    uint(SAMPLE_RATE * 65536, 4),
+    buildEsds(audio.description)
+  );
+
+  const audioTrack = buildTrack({
+    trackId: 1,
+    flags: 3,
+    volume: 0x0100,
+    movieDuration,
+    mediaDuration: audio.totalSamples,
+    handler: 'soun',
+    handlerName: 'SoundHandler',
+    mediaHeader: fullBox('smhd', 0, 0, uint(0, 4)),
+    sampleTables: buildSampleTables(mp4aEntry, audio.table, audioChunkOffsets),
+    language: getISO6392Code(book.language),
+    extra: box('tref', box('chap', uint(2, 4)))
+  });
+
+  const chapterTrack = buildTrack({
+    trackId: 2,
+    flags: 0,
+    volume: 0,
+    movieDuration,
+    mediaDuration: audio.totalSamples,
+    handler: 'text',
+    handlerName: 'Chapters',
+    mediaHeader: fullBox('nmhd', 0, 0),
+    sampleTables: buildSampleTables(TX3G_SAMPLE_ENTRY, {
+      sizes: chapterSamples.map(sample => sample.length),
+      durations: chapterDurations.map(delta => ({ count: 1, delta })),
+      samplesPerChunk: chapterSamples.map(() => 1)
+    }, chapterSampleOffsets),
+    language: getISO6392Code(book.language)
+  });
+
+  return box('moov',
+    fullBox('mvhd', 0, 0,
+      uint(0, 4),
+      uint(0, 4),
+      uint(1000, 4),
+      uint(movieDuration, 4),
+      uint(0x00010000, 4),
+      uint(0x0100, 2),
+      uint(0, 10),
+      uints(UNITY_MATRIX, 4),
+      uint(0, 24),
+      uint(3, 4)
+    ),
+    audioTrack,
+    chapterTrack,
+    box('udta', buildNeroChapters(chapters), buildMetadata(book, audiobook, cover))
+  );
+};
+
+/**
+ * Packages the audiobook as a single M4B: AAC audio with chapter markers at the
+ * measured chapter boundaries, iTunes-style tags and the book cover as artwork.
+ */
+export const buildM4B = async (
+  book: Book,
+  audiobook: AudiobookData,
+  onProgress?: (progress: number, stage: string) => void
+): Promise<Blob> => {
+  const { audio, chapters } = await encodeChapters(audiobook, onProgress);
+  const cover = await loadCoverArt(book.coverUrl);
+  const chapterSamples = chapters.map(chapter => buildChapterSample(chapter.title));
+
+  const ftyp = box('ftyp', fourcc('M4B '), uint(0, 4), fourcc('M4B '), fourcc('M4A '), fourcc('mp42'), fourcc('isom'));
+
+  // The moov box goes first so players can start without reading the whole file;
+  // its size doesn't depend on the offsets, so build once to measure, then for real
+  const placeholder = buildMoov(book, audiobook, audio, chapters, cover,
+    audio.chunks.map(() => 0), chapterSamples.map(() => 0), chapterSamples);
+  const mdatSize = 8 + audio.chunks.reduce((total, chunk) => total + chunk.length, 0) +
+    chapterSamples.reduce((total, sample) => total + sample.length, 0);
+
+  if (ftyp.length + placeholder.length + mdatSize > MAX_MP4_SIZE) {
+    throw new Error('Audiobook is too long to package as a single M4B file');
+  }
+
+  let offset = ftyp.length + placeholder.length + 8;
+  const audioChunkOffsets = audio.chunks.map(chunk => {
+    const chunkOffset = offset;
+    offset += chunk.length;
+    return chunkOffset;
+  });
+  const chapterSampleOffsets = chapterSamples.map(sample => {
+    const sampleOffset = offset;
+    offset += sample.length;
+    return sampleOffset;
+  });
+
+  const moov = buildMoov(book, audiobook, audio, chapters, cover, audioChunkOffsets, chapterSampleOffsets, chapterSamples);
+
+  return new Blob([ftyp, moov, uint(mdatSize, 4), fourcc('mdat'), ...audio.chunks, ...chapterSamples], {
+    type: 'audio/mp4'
+  });
+};
@@ -0,0 +1,813 @@
+import JSZip from 'jszip';
+import { v4 as uuidv4 } from 'uuid';
+import { Book, BookChapter, ManuscriptChange, ManuscriptDiff, SubChapter } from '../types';
+import { escapeXml, getBookAuthor, isSceneBreak, splitParagraphs } from './epubService';
+
+type ManuscriptMetadata = Partial<Pick<Book,
+  'id' | 'title' | 'author' | 'description' | 'genre' | 'subGenre' | 'tone' |
+  'heatLevel' | 'perspective' | 'targetAudience' | 'language'>>;
+
+// Book fields carried in Markdown front matter and DOCX custom properties
+const METADATA_FIELDS: (keyof ManuscriptMetadata)[] = [
+  'id', 'title', 'author', 'description', 'genre', 'subGenre', 'tone',
+  'heatLevel', 'perspective', 'targetAudience', 'language'
+];
+
+const SCENE_BREAK = '***';
+const CHAPTER_PREFIX = /^chapter\s+\d+\s*[:.\-–—]\s*/i;
+const MARKDOWN_METADATA = /^<!--\s*unstack:(chapter|section)\s+(\{.*\})\s*-->$/;
+// Hidden bookmarks (leading underscore) survive editing in Word and carry the section ids
+const DOCX_BOOKMARK_PREFIX = '_u';
+
+// Unlike the title page, stored metadata should not pick up the placeholder author name
+const getManuscriptAuthor = (book: Book): string | undefined =>
+  book.author?.trim() || book.writingPersona?.authorName?.trim() || undefined;
+
+const getMetadataValue = (book: Book, field: keyof ManuscriptMetadata): string | undefined =>
+  field === 'author' ? getManuscriptAuthor(book) : book[field];
+
+export const countWords = (text?: string): number => {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+const countSectionWords = (subChapters: SubChapter[] = []): number =>
+  subChapters.reduce((total, subChapter) => total + countWords(subChapter.content), 0);
+
+const countBookWords = (book: Book): number =>
+  book.chapters.reduce((total, chapter) => total + countSectionWords(chapter.subChapters), 0);
+
+// Scene break markers vary between formats, so compare them as one token
+const normalizeContent = (content?: string): string =>
+  splitParagraphs(content || '')
+    .map(paragraph => isSceneBreak(paragraph) ? SCENE_BREAK : paragraph.replace(/\s+/g, ' '))
+    .join('\n\n');
+
+const normalizeTitle = (title: string) => title.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const createSection = (title: string, id?: string, description = ''): SubChapter => ({
+  id: id || uuidv4(),
+  title,
+  description,
+  content: '',
+  status: 'pending'
+});
+
+const createChapter = (title: string, id?: string, description = ''): BookChapter => ({
+  id: id || uuidv4(),
+  title: title.replace(CHAPTER_PREFIX, '').trim() || title.trim(),
+  description,
+  subChapters: [],
+  status: 'pending'
+});
+
+// Text before the first section heading of a chapter becomes a section of its own
+const appendParagraph = (chapter: BookChapter, paragraph: string) => {
+  const subChapters = chapter.subChapters || (chapter.subChapters = []);
+  if (subChapters.length === 0) {
+    subChapters.push(createSection(chapter.title));
+  }
+  const section = subChapters[subChapters.length - 1];
+  section.content = section.content ? `${section.content}\n\n${paragraph}` : paragraph;
+};
+
+const finalizeImportedBook = (metadata: ManuscriptMetadata, chapters: BookChapter[]): Book => {
+  if (chapters.length === 0) {
+    throw new Error('No chapters found. Chapters must start with a level 1 heading.');
+  }
+
+  const finalizedChapters = chapters.map(chapter => {
+    const subChapters = (chapter.subChapters || []).map(subChapter => ({
+      ...subChapter,
+      status: (subChapter.content ? 'completed' : 'pending') as SubChapter['status']
+    }));
+    return {
+      ...chapter,
+      subChapters,
+      status: (subChapters.length > 0 && subChapters.every(sc => sc.status === 'completed')
+        ? 'completed'
+        : 'pending') as BookChapter['status']
+    };
+  });
+
+  return {
+    id: metadata.id || uuidv4(),
+    title: metadata.title || 'Untitled Manuscript',
+    author: metadata.author,
+    description: metadata.description || '',
+    genre: metadata.genre || '',
+    subGenre: metadata.subGenre,
+    tone: metadata.tone || '',
+    heatLevel: metadata.heatLevel,
+    perspective: metadata.perspective,
+    targetAudience: metadata.targetAudience,
+    language: metadata.language,
+    chapters: finalizedChapters,
+    status: finalizedChapters.every(chapter => chapter.status === 'completed') ? 'completed' : 'draft'
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+const escapeMarkdownParagraph = (paragraph: string) =>
+  paragraph.replace(/^(#|<!--)/, '\\$1');
+
+const unescapeMarkdownParagraph = (paragraph: string) =>
+  paragraph.replace(/^\\(#|<!--)/, '$1');
+
+const markdownMetadataComment = (kind: 'chapter' | 'section', id: string, description: string) =>
+  `<!-- unstack:${kind} ${JSON.stringify({ id, description }).replace(/--/g, '\\u002d\\u002d')} -->`;
+
+export const buildMarkdown = (book: Book): string => {
+  const frontMatter = METADATA_FIELDS
+    .map(field => {
+      const value = getMetadataValue(book, field);
+      return value ? `${field}: ${JSON.stringify(value)}` : null;
+    })
+    .filter(Boolean)
+    .join('\n');
+
+  const chapters = book.chapters.map((chapter, chapterIndex) => {
+    const sections = (chapter.subChapters || []).map(subChapter => {
+      const paragraphs = splitParagraphs(subChapter.content || '')
+        .map(paragraph => isSceneBreak(paragraph) ? '* * *' : escapeMarkdownParagraph(paragraph));
+      return [
+        `## ${subChapter.title}`,
+        markdownMetadataComment('section', subChapter.id, subChapter.description),
+        ...paragraphs
+      ].join('\n\n');
+    });
+
+    return [
+      `# Chapter ${chapterIndex + 1}: ${chapter.title}`,
+      markdownMetadataComment('chapter', chapter.id, chapter.description),
+      ...sections
+    ].join('\n\n');
+  });
+
+  return `---\n${frontMatter}\n---\n\n${chapters.join('\n\n')}\n`;
+};
+
+const parseFrontMatterValue = (value: string): string => {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+};
+
+export const parseMarkdown = (markdown: string): Book => {
+  const lines = markdown.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const metadata: ManuscriptMetadata = {};
+  let index = 0;
+
+  if (lines[0]?.trim() === '---') {
+    const end = lines.findIndex((line, lineIndex) => lineIndex > 0 && line.trim() === '---');
+    if (end > 0) {
+      for (const line of lines.slice(1, end)) {
+        const match = line.match(/^(\w+):\s*(.*)$/);
+        if (match && (METADATA_FIELDS as string[]).includes(match[1])) {
+          const value = parseFrontMatterValue(match[2]);
+          if (value) metadata[match[1] as keyof ManuscriptMetadata] = value;
+        }
+      }
+      index = end + 1;
+    }
+  }
+
+  const chapters: BookChapter[] = [];
+  let paragraph: string[] = [];
+
+  const flushParagraph = () => {
+    const text = paragraph.join(' ').trim();
+    paragraph = [];
+    const chapter = chapters[chapters.length - 1];
+    if (!text || !chapter) return;
+    appendParagraph(chapter, isSceneBreak(text) ? SCENE_BREAK : unescapeMarkdownParagraph(text));
+  };
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const heading = line.match(/^(#{1,2})\s+(.+?)\s*#*$/);
+    const comment = line.match(MARKDOWN_METADATA);
+
+    if (heading) {
+      flushParagraph();
+      if (heading[1] === '#') {
+        chapters.push(createChapter(heading[2]));
+      } else {
+        const chapter = chapters[chapters.length - 1] || createChapter(heading[2]);
+        if (chapters.length === 0) chapters.push(chapter);
+        (chapter.subChapters || (chapter.subChapters = [])).push(createSection(heading[2]));
+      }
+    } else if (comment) {
+      flushParagraph();
+      try {
+        const data = JSON.parse(comment[2]) as { id?: string; description?: string };
+        const chapter = chapters[chapters.length - 1];
+        const target = comment[1] === 'chapter' ? chapter : chapter?.subChapters?.[chapter.subChapters.length - 1];
+        if (target) {
+          if (data.id) target.id = data.id;
+          if (data.description) target.description = data.description;
+        }
+      } catch {
+        // A hand-edited comment that no longer parses just loses its metadata
+      }
+    } else if (line === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+
+  return finalizeImportedBook(metadata, chapters);
+};
+
+// ---------------------------------------------------------------------------
+// DOCX (standard manuscript format)
+// ---------------------------------------------------------------------------
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+  <Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+  <Override PartName="/docProps/custom.xml" ContentType="application/vnd.openxmlformats-officedocument.custom-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+  <Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/custom-properties" Target="docProps/custom.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+</Relationships>`;
+
+const SETTINGS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings xmlns:w="${WORD_NAMESPACE}">
+  <w:defaultTabStop w:val="720"/>
+  <w:characterSpacingControl w:val="doNotCompress"/>
+  <w:compat>
+    <w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/>
+  </w:compat>
+</w:settings>`;
+
+// Times New Roman 12pt, double spaced, half-inch first line indent
+const buildStylesXml = (book: Book): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+  <w:docDefaults>
+    <w:rPrDefault>
+      <w:rPr>
+        <w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:eastAsia="Times New Roman" w:cs="Times New Roman"/>
+        <w:sz w:val="24"/>
+        <w:szCs w:val="24"/>
+        <w:lang w:val="${escapeXml(book.language || 'en')}"/>
+      </w:rPr>
+    </w:rPrDefault>
+    <w:pPrDefault>
+      <w:pPr>
+        <w:spacing w:before="0" w:after="0" w:line="480" w:lineRule="auto"/>
+      </w:pPr>
+    </w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:widowControl/>
+      <w:ind w:firstLine="720"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Byline"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:spacing w:before="5040"/>
+      <w:ind w:firstLine="0"/>
+      <w:jc w:val="center"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="Byline">
+    <w:name w:val="Byline"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:ind w:firstLine="0"/>
+      <w:jc w:val="center"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="ContactInfo">
+    <w:name w:val="Contact Info"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:tabs>
+        <w:tab w:val="right" w:pos="9360"/>
+      </w:tabs>
+      <w:spacing w:line="240" w:lineRule="auto"/>
+      <w:ind w:firstLine="0"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:keepNext/>
+      <w:pageBreakBefore/>
+      <w:spacing w:before="4320" w:after="480"/>
+      <w:ind w:firstLine="0"/>
+      <w:jc w:val="center"/>
+      <w:outlineLvl w:val="0"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2">
+    <w:name w:val="heading 2"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr>
+      <w:keepNext/>
+      <w:spacing w:before="240"/>
+      <w:ind w:firstLine="0"/>
+      <w:outlineLvl w:val="1"/>
+    </w:pPr>
+    <w:rPr>
+      <w:b/>
+    </w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="SceneBreak">
+    <w:name w:val="Scene Break"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:pPr>
+      <w:ind w:firstLine="0"/>
+      <w:jc w:val="center"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:customStyle="1" w:styleId="EndMark">
+    <w:name w:val="End Mark"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:spacing w:before="480"/>
+      <w:ind w:firstLine="0"/>
+      <w:jc w:val="center"/>
+    </w:pPr>
+  </w:style>
+</w:styles>`;
+
+const docxRun = (text: string) => `<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+
+const docxParagraph = (text: string, style?: string, bookmark?: { id: number; name: string }) => {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  const run = docxRun(text);
+  return bookmark
+    ? `<w:p>${properties}<w:bookmarkStart w:id="${bookmark.id}" w:name="${bookmark.name}"/>${run}<w:bookmarkEnd w:id="${bookmark.id}"/></w:p>`
+    : `<w:p>${properties}${run}</w:p>`;
+};
+
+// Bookmark names are limited to 40 characters, so the uuid is stored without dashes
+const toBookmarkName = (id: string) => `${DOCX_BOOKMARK_PREFIX}${id.replace(/-/g, '')}`;
+
+const fromBookmarkName = (name: string): string | null => {
+  const hex = name.slice(DOCX_BOOKMARK_PREFIX.length);
+  if (!name.startsWith(DOCX_BOOKMARK_PREFIX) || !/^[0-9a-f]{32}$/i.test(hex)) return null;
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Manuscripts give an approximate count, rounded to the nearest hundred or thousand
+const formatManuscriptWordCount = (words: number) => {
+  const rounded = words >= 10000 ? Math.round(words / 1000) * 1000 : Math.max(100, Math.round(words / 100) * 100);
+  return `about ${rounded.toLocaleString('en-US')} words`;
+};
+
+const buildDocumentXml = (book: Book): string => {
+  const author = getBookAuthor(book);
+  const body: string[] = [
+    `<w:p><w:pPr><w:pStyle w:val="ContactInfo"/></w:pPr>${docxRun(author)}<w:r><w:tab/></w:r>${docxRun(formatManuscriptWordCount(countBookWords(book)))}</w:p>`,
+    docxParagraph(book.title, 'Title'),
+    docxParagraph(`by ${author}`, 'Byline')
+  ];
+  let bookmarkId = 0;
+
+  book.chapters.forEach((chapter, chapterIndex) => {
+    body.push(docxParagraph(`Chapter ${chapterIndex + 1}: ${chapter.title}`, 'Heading1', {
+      id: bookmarkId++,
+      name: toBookmarkName(chapter.id)
+    }));
+
+    (chapter.subChapters || []).forEach(subChapter => {
+      body.push(docxParagraph(subChapter.title, 'Heading2', {
+        id: bookmarkId++,
+        name: toBookmarkName(subChapter.id)
+      }));
+      splitParagraphs(subChapter.content || '').forEach(paragraph => {
+        body.push(isSceneBreak(paragraph) ? docxParagraph('#', 'SceneBreak') : docxParagraph(paragraph));
+      });
+    });
+  });
+
+  body.push(docxParagraph('END', 'EndMark'));
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">
+  <w:body>
+    ${body.join('\n    ')}
+    <w:sectPr>
+      <w:headerReference w:type="default" r:id="rId3"/>
+      <w:pgSz w:w="12240" w:h="15840"/>
+      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+      <w:pgNumType w:start="0"/>
+      <w:titlePg/>
+    </w:sectPr>
+  </w:body>
+</w:document>`;
+};
+
+// Running header: Surname / TITLE / page number, omitted on the title page
+const buildHeaderXml = (book: Book): string => {
+  const surname = getBookAuthor(book).split(/\s+/).pop() || '';
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">
+  <w:p>
+    <w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:ind w:firstLine="0"/><w:jc w:val="right"/></w:pPr>
+    ${docxRun(`${surname} / ${book.title.toUpperCase()} / `)}
+    <w:r><w:fldChar w:fldCharType="begin"/></w:r>
+    <w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>
+    <w:r><w:fldChar w:fldCharType="separate"/></w:r>
+    <w:r><w:t>1</w:t></w:r>
+    <w:r><w:fldChar w:fldCharType="end"/></w:r>
+  </w:p>
+</w:hdr>`;
+};
+
+const buildCoreXml = (book: Book): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(book.title)}</dc:title>
+  <dc:creator>${escapeXml(getManuscriptAuthor(book))}</dc:creator>
+  <dc:description>${escapeXml(book.description)}</dc:description>
+  <dc:language>${escapeXml(book.language || 'en')}</dc:language>
+  <cp:keywords>${escapeXml([book.genre, book.subGenre].filter(Boolean).join(', '))}</cp:keywords>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:modified>
+</cp:coreProperties>`;
+
+const buildAppXml = (book: Book): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+  <Application>Unstack</Application>
+  <Words>${countBookWords(book)}</Words>
+</Properties>`;
+
+const CUSTOM_PROPERTY_PREFIX = 'Unstack.';
+
+const buildCustomXml = (book: Book): string => {
+  const properties = METADATA_FIELDS
+    .filter(field => getMetadataValue(book, field))
+    .map((field, index) =>
+      `  <property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="${index + 2}" name="${CUSTOM_PROPERTY_PREFIX}${field}"><vt:lpwstr>${escapeXml(getMetadataValue(book, field))}</vt:lpwstr></property>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">
+${properties}
+</Properties>`;
+};
+
+export const buildDOCX = async (book: Book): Promise<Blob> => {
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+  zip.file('_rels/.rels', PACKAGE_RELS_XML);
+  zip.file('docProps/core.xml', buildCoreXml(book));
+  zip.file('docProps/app.xml', buildAppXml(book));
+  zip.file('docProps/custom.xml', buildCustomXml(book));
+  zip.file('word/_rels/document.xml.rels', DOCUMENT_RELS_XML);
+  zip.file('word/document.xml', buildDocumentXml(book));
+  zip.file('word/styles.xml', buildStylesXml(book));
+  zip.file('word/settings.xml', SETTINGS_XML);
+  zip.file('word/header1.xml', buildHeaderXml(book));
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    compression: 'DEFLATE'
+  });
+};
+
+const parseXml = (xml: string): Document => {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The document contains malformed XML');
+  }
+  return document;
+};
+
+const readZipXml = async (zip: JSZip, path: string): Promise<Document | null> => {
+  const file = zip.file(path);
+  return file ? parseXml(await file.async('string')) : null;
+};
+
+const getParagraphText = (paragraph: Element): string => {
+  let text = '';
+  const walk = (node: Element) => {
+    for (const child of Array.from(node.children)) {
+      switch (child.tagName) {
+        case 'w:t': text += child.textContent || ''; break;
+        case 'w:tab': text += '\t'; break;
+        case 'w:br':
+        case 'w:cr': text += '\n'; break;
+        // Tracked deletions and field instructions are not part of the visible text
+        case 'w:del':
+        case 'w:instrText': break;
+        default: walk(child);
+      }
+    }
+  };
+  walk(paragraph);
+  return text;
+};
+
+// Word localises style ids, so headings are recognised by their built-in names too
+const readStyleNames = (styles: Document | null): Map<string, string> => {
+  const names = new Map<string, string>();
+  if (!styles) return names;
+  for (const style of Array.from(styles.getElementsByTagName('w:style'))) {
+    const id = style.getAttribute('w:styleId');
+    const name = style.getElementsByTagName('w:name')[0]?.getAttribute('w:val');
+    if (id && name) names.set(id, name.toLowerCase());
+  }
+  return names;
+};
+
+const readDocxMetadata = (core: Document | null, custom: Document | null): ManuscriptMetadata => {
+  const metadata: ManuscriptMetadata = {};
+  const coreValue = (tag: string) => core?.getElementsByTagName(tag)[0]?.textContent?.trim() || undefined;
+
+  metadata.title = coreValue('dc:title');
+  metadata.author = coreValue('dc:creator');
+  metadata.description = coreValue('dc:description');
+  metadata.language = coreValue('dc:language');
+
+  for (const property of Array.from(custom?.getElementsByTagName('property') || [])) {
+    const name = property.getAttribute('name') || '';
+    const field = name.slice(CUSTOM_PROPERTY_PREFIX.length) as keyof ManuscriptMetadata;
+    const value = property.textContent?.trim();
+    if (name.startsWith(CUSTOM_PROPERTY_PREFIX) && METADATA_FIELDS.includes(field) && value) {
+      metadata[field] = value;
+    }
+  }
+
+  return metadata;
+};
+
+export const parseDOCX = async (data: ArrayBuffer | Blob): Promise<Book> => {
+  let zip: JSZip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch {
+    throw new Error('The file is not a valid DOCX document');
+  }
+
+  const document = await readZipXml(zip, 'word/document.xml');
+  if (!document) {
+    throw new Error('The file is not a valid DOCX document');
+  }
+
+  const styleNames = readStyleNames(await readZipXml(zip, 'word/styles.xml'));
+  const metadata = readDocxMetadata(
+    await readZipXml(zip, 'docProps/core.xml'),
+    await readZipXml(zip, 'docProps/custom.xml')
+  );
+
+  const chapters: BookChapter[] = [];
+
+  for (const paragraph of Array.from(document.getElementsByTagName('w:p'))) {
+    const styleId = paragraph.getElementsByTagName('w:pStyle')[0]?.getAttribute('w:val') || '';
+    const styleName = styleNames.get(styleId) || styleId.toLowerCase();
+    const text = getParagraphText(paragraph).trim();
+    const bookmarkId = Array.from(paragraph.getElementsByTagName('w:bookmarkStart'))
+      .map(bookmark => fromBookmarkName(bookmark.getAttribute('w:name') || ''))
+      .find(Boolean) || undefined;
+
+    if (styleName === 'heading 1' || styleId === 'Heading1') {
+      if (text) chapters.push(createChapter(text, bookmarkId));
+      continue;
+    }
+
+    if (styleName === 'heading 2' || styleId === 'Heading2') {
+      if (!text) continue;
+      const section = createSection(text, bookmarkId);
+      const chapter = chapters[chapters.length - 1];
+      if (chapter) {
+        (chapter.subChapters || (chapter.subChapters = [])).push(section);
+      } else {
+        chapters.push({ ...createChapter(text), subChapters: [section] });
+      }
+      continue;
+    }
+
+    // The title page precedes the first chapter and the end mark follows the last one
+    const chapter = chapters[chapters.length - 1];
+    if (!chapter || !text || styleId === 'EndMark') continue;
+
+    appendParagraph(chapter, styleId === 'SceneBreak' || isSceneBreak(text) ? SCENE_BREAK : text);
+  }
+
+  return finalizeImportedBook(metadata, chapters);
+};
+
+export const importManuscript = async (file: File): Promise<Book> => {
+  const extension = file.name.split('.').pop()?.toLowerCase();
+
+  if (extension === 'docx') {
+    return parseDOCX(await file.arrayBuffer());
+  }
+  if (extension === 'md' || extension === 'markdown' || extension === 'txt') {
+    return parseMarkdown(await file.text());
+  }
+
+  throw new Error('Unsupported manuscript format. Please choose a .docx or .md file.');
+};
+
+// ---------------------------------------------------------------------------
+// Comparing an imported manuscript with the stored book
+// ---------------------------------------------------------------------------
+
+/**
+ * Maps imported chapters and sections onto the stored book by id, falling back
+ * to matching titles, so unchanged sections keep their ids and descriptions.
+ * Anything that cannot be matched gets a fresh id.
+ */
+export const reconcileManuscript = (stored: Book, imported: Book): Book => {
+  const storedChapters = new Map(stored.chapters.map(chapter => [chapter.id, chapter]));
+  const storedSections = new Map(
+    stored.chapters.flatMap(chapter => (chapter.subChapters || []).map(sc => [sc.id, sc] as const))
+  );
+  const usedIds = new Set<string>();
+
+  const claim = <T extends { id: string; title: string }>(
+    candidate: T,
+    byId: Map<string, T>,
+    fallbacks: T[]
+  ): T | undefined => {
+    const match = byId.get(candidate.id);
+    if (match && !usedIds.has(match.id)) return match;
+    const title = normalizeTitle(candidate.title);
+    return fallbacks.find(item => !usedIds.has(item.id) && normalizeTitle(item.title) === title);
+  };
+
+  const chapters = imported.chapters.map(chapter => {
+    const storedChapter = claim(chapter, storedChapters, stored.chapters);
+    const chapterId = storedChapter?.id || uuidv4();
+    usedIds.add(chapterId);
+
+    const subChapters = (chapter.subChapters || []).map(subChapter => {
+      const storedSection = claim(subChapter, storedSections, storedChapter?.subChapters || []);
+      const sectionId = storedSection?.id || uuidv4();
+      usedIds.add(sectionId);
+      return {
+        ...subChapter,
+        id: sectionId,
+        description: subChapter.description || storedSection?.description || ''
+      };
+    });
+
+    return {
+      ...chapter,
+      id: chapterId,
+      description: chapter.description || storedChapter?.description || '',
+      expanded: storedChapter?.expanded,
+      subChapters
+    };
+  });
+
+  return { ...imported, id: stored.id, chapters };
+};
+
+export const diffManuscript = (stored: Book, imported: Book): ManuscriptDiff => {
+  const changes: ManuscriptChange[] = [];
+  const importedChapters = new Map(imported.chapters.map(chapter => [chapter.id, chapter]));
+  const storedChapters = new Map(stored.chapters.map(chapter => [chapter.id, chapter]));
+  const sectionIndex = (book: Book) => new Map(
+    book.chapters.flatMap(chapter =>
+      (chapter.subChapters || []).map(sc => [sc.id, { section: sc, chapter }] as const))
+  );
+  const storedSections = sectionIndex(stored);
+  const importedSections = sectionIndex(imported);
+
+  const changedFields = METADATA_FIELDS.filter(field =>
+    field !== 'id' && imported[field] && imported[field] !== getMetadataValue(stored, field));
+  if (changedFields.length > 0) {
+    changes.push({
+      type: 'modified',
+      level: 'book',
+      title: `Book details (${changedFields.join(', ')})`,
+      wordsBefore: 0,
+      wordsAfter: 0
+    });
+  }
+
+  for (const chapter of stored.chapters) {
+    if (!importedChapters.has(chapter.id)) {
+      changes.push({
+        type: 'removed',
+        level: 'chapter',
+        title: chapter.title,
+        wordsBefore: countSectionWords(chapter.subChapters),
+        wordsAfter: 0
+      });
+    }
+  }
+
+  for (const chapter of imported.chapters) {
+    const storedChapter = storedChapters.get(chapter.id);
+    if (!storedChapter || normalizeTitle(storedChapter.title) !== normalizeTitle(chapter.title)) {
+      changes.push({
+        type: storedChapter ? 'modified' : 'added',
+        level: 'chapter',
+        title: chapter.title,
+        wordsBefore: countSectionWords(storedChapter?.subChapters),
+        wordsAfter: countSectionWords(chapter.subChapters)
+      });
+    }
+  }
+
+  // Sections of added or removed chapters are already covered by the chapter entry
+  for (const [id, { section, chapter }] of storedSections) {
+    if (!importedSections.has(id) && importedChapters.has(chapter.id)) {
+      changes.push({
+        type: 'removed',
+        level: 'section',
+        title: section.title,
+        chapterTitle: chapter.title,
+        wordsBefore: countWords(section.content),
+        wordsAfter: 0
+      });
+    }
+  }
+
+  for (const [id, { section, chapter }] of importedSections) {
+    const storedEntry = storedSections.get(id);
+    if (!storedEntry && !storedChapters.has(chapter.id)) continue;
+
+    const isModified = storedEntry && (
+      normalizeTitle(storedEntry.section.title) !== normalizeTitle(section.title) ||
+      normalizeContent(storedEntry.section.content) !== normalizeContent(section.content)
+    );
+    if (!storedEntry || isModified) {
+      changes.push({
+        type: storedEntry ? 'modified' : 'added',
+        level: 'section',
+        title: section.title,
+        chapterTitle: chapter.title,
+        wordsBefore: countWords(storedEntry?.section.content),
+        wordsAfter: countWords(section.content)
+      });
+    }
+  }
+
+  return {
+    changes,
+    wordsBefore: countBookWords(stored),
+    wordsAfter: countBookWords(imported)
+  };
+};
+
+// Imported text replaces the chapter tree; settings that live outside the manuscript are kept
+export const applyImportedManuscript = (stored: Book, imported: Book): Book => {
+  const metadata = METADATA_FIELDS
+    .filter(field => field !== 'id' && imported[field])
+    .reduce<ManuscriptMetadata>((fields, field) => ({ ...fields, [field]: imported[field] }), {});
+
+  return {
+    ...stored,
+    ...metadata,
+    chapters: imported.chapters,
+    status: imported.status === 'completed' ? 'completed' : stored.status === 'completed' ? 'draft' : stored.status
+  };
+};
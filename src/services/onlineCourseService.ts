@@ -1,257 +1,346 @@
-import { researchTopic } from './perplexityService';
-import { generateContent } from './geminiService'; // For text generation (lesson plans, slides, scripts)
-// import { generateTTS } from './ttsService'; // For optional TTS audio
+import { v4 as uuidv4 } from 'uuid';
+import { Book, BookChapter, Course, CourseLesson, CourseModule, QuizQuestion, TTSSettings } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { researchSection } from './researchService';
+import { generateCourseNarration, listVoices, selectVoiceForBook } from './ttsService';
 
-interface CourseSection {
+const DEFAULT_PASSING_SCORE = 0.7;
+// Each lesson is one JSON response holding its plan, slides, scripts and quiz
+const LESSON_MAX_OUTPUT_TOKENS = 8192;
+const LESSON_ATTEMPTS = 2;
+
+interface PlannedModule {
   title: string;
-  summary: string;
-  lessonPlan: string;
-  slides: string[];
-  script: string;
-  audioUrl?: string;
+  description: string;
+  objectives: string[];
+  lessons: { title: string; summary: string }[];
 }
 
-interface OnlineCourse {
+interface CoursePlan {
   title: string;
   description: string;
-  sections: CourseSection[];
+  objectives: string[];
+  modules: PlannedModule[];
 }
 
-/**
- * Main entry point for generating an online course.
- */
-export const generateOnlineCourse = async (
-  topic: string,
-  description: string,
-  perplexityApiKey: string,
-  geminiApiKey: string,
-  generateAudio: boolean = false
-): Promise<OnlineCourse> => {
-  // 1. Research the topic using Perplexity
-  const research = await researchTopic(topic, description, perplexityApiKey);
-
-  // 2. Parse research into sections/chapters
-  const sections = await parseResearchIntoSections(research, topic, geminiApiKey);
-
-  // 3. For each section, generate lesson plan, slides, script, and (optionally) audio
-  const detailedSections: CourseSection[] = [];
-  for (const section of sections) {
-    console.log(`Generating content for section: ${section.title}`);
-    
-    // a. Generate lesson plan
-    const lessonPlan = await generateLessonPlan(section.title, section.summary, geminiApiKey);
-    
-    // b. Generate Google Slides content
-    const slides = await generateSlides(section.title, section.summary, lessonPlan, geminiApiKey);
-    
-    // c. Generate narration script
-    const script = await generateScript(section.title, slides, geminiApiKey);
-    
-    // d. Optionally, generate TTS audio
-    let audioUrl: string | undefined;
-    if (generateAudio) {
-      // audioUrl = await generateTTS(script, geminiApiKey);
-      console.log('TTS audio generation not yet implemented');
-    }
+// Model output is untrusted, so anything that isn't an object reads as an empty one
+const asRecord = (value: unknown): Record<string, unknown> =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
 
-    detailedSections.push({
-      ...section,
-      lessonPlan,
-      slides,
-      script,
-      audioUrl
-    });
-  }
+const asList = (value: unknown): Record<string, unknown>[] =>
+  Array.isArray(value) ? value.map(asRecord) : [];
 
-  // 4. Return structured course object
-  return {
-    title: topic,
-    description,
-    sections: detailedSections
-  };
+const parseJsonObject = (response: string): Record<string, unknown> => {
+  const cleanResponse = response.trim().replace(/```json\s*|\s*```/g, '');
+  const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No valid JSON found in response');
+  return asRecord(JSON.parse(jsonMatch[0]));
 };
 
+const toStringList = (value: unknown): string[] =>
+  Array.isArray(value) ? value.map(item => String(item ?? '').trim()).filter(Boolean) : [];
+
 /**
- * Parses the research text into an array of section objects using Gemini.
+ * Plans the course: overall learning objectives, then modules made of
+ * lessons, each module with objectives of its own.
  */
-const parseResearchIntoSections = async (
-  research: string,
+const planCourse = async (
   topic: string,
-  geminiApiKey: string
-): Promise<Array<{ title: string; summary: string }>> => {
+  targetAudience: string,
+  research: string,
+  llm: LLMTarget
+): Promise<CoursePlan> => {
   const prompt = `
-Based on the following research about "${topic}", break it down into 6-8 logical sections or chapters for an online course.
-
-Research:
-${research}
+Plan an online course on the following topic.
 
+Course Topic: ${topic}
+Target Audience: ${targetAudience || 'General learners'}
+${research ? `\nResearch notes:\n${research}\n` : ''}
 Please provide a response in the following JSON format:
 {
-  "sections": [
+  "title": "Course Title",
+  "description": "Brief course description (2-3 sentences)",
+  "objectives": ["What learners will be able to do after the whole course"],
+  "modules": [
     {
-      "title": "Section Title",
-      "summary": "Brief summary of what this section will cover (2-3 sentences)"
+      "title": "Module Title",
+      "description": "What this module covers (2-3 sentences)",
+      "objectives": ["What learners will be able to do after this module"],
+      "lessons": [
+        {
+          "title": "Lesson Title",
+          "summary": "What this lesson covers (2-3 sentences)"
+        }
+      ]
     }
   ]
 }
 
-Each section should:
-- Have a clear, descriptive title
-- Cover a distinct aspect of the topic
-- Build logically on previous sections
-- Be suitable for a 15-30 minute lesson
+Generate 4-6 modules with 2-4 lessons each. Modules should build on each other, and each lesson should suit a 10-20 minute session. Write objectives as specific, measurable outcomes starting with a verb.
 
 IMPORTANT: Return ONLY the JSON object, no additional text or formatting.
 `;
 
+  const response = await generateText(prompt, llm, { maxOutputTokens: 4096 });
+
   try {
-    const response = await generateContent('Course Structure', prompt, geminiApiKey);
-    
-    // Clean the response to extract JSON
-    let cleanResponse = response.trim();
-    cleanResponse = cleanResponse.replace(/```json\s*|\s*```/g, '');
-    cleanResponse = cleanResponse.replace(/```\s*|\s*```/g, '');
-    
-    const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('No valid JSON found in response');
-    }
-    
-    const data = JSON.parse(jsonMatch[0]);
-    return data.sections || [];
+    const data = parseJsonObject(response);
+    const modules: PlannedModule[] = asList(data.modules)
+      .map(module => ({
+        title: String(module.title || 'Untitled Module'),
+        description: String(module.description || ''),
+        objectives: toStringList(module.objectives),
+        lessons: asList(module.lessons).map(lesson => ({
+          title: String(lesson.title || 'Untitled Lesson'),
+          summary: String(lesson.summary || '')
+        }))
+      }))
+      .filter((module: PlannedModule) => module.lessons.length > 0);
+
+    if (modules.length === 0) throw new Error('No modules in response');
+
+    return {
+      title: String(data.title || topic),
+      description: String(data.description || ''),
+      objectives: toStringList(data.objectives),
+      modules
+    };
   } catch (error) {
-    console.error('Error parsing research into sections:', error);
-    // Fallback to basic structure
-    return [
-      { title: 'Introduction', summary: 'Overview of the topic.' },
-      { title: 'Main Concepts', summary: 'Key ideas and principles.' },
-      { title: 'Applications', summary: 'How the topic is used in practice.' },
-      { title: 'Conclusion', summary: 'Summary and next steps.' }
-    ];
+    console.error('Error parsing course plan:', error);
+    console.error('Raw response:', response);
+    throw new Error('Failed to parse the course plan from the AI response. Please try again.');
   }
 };
 
-/**
- * Generates a detailed lesson plan for a section.
- */
-const generateLessonPlan = async (
-  sectionTitle: string,
-  sectionSummary: string,
-  geminiApiKey: string
-): Promise<string> => {
+const parseQuiz = (value: unknown): QuizQuestion[] =>
+  asList(value)
+    .map(question => {
+      const options = toStringList(question.options);
+      const correctIndex = Number(question.answer ?? question.correctIndex);
+      return {
+        id: uuidv4(),
+        question: String(question.question || '').trim(),
+        options,
+        correctIndex,
+        explanation: question.explanation ? String(question.explanation) : undefined
+      };
+    })
+    // Questions without a usable answer key can't be scored, so they are dropped
+    .filter(question =>
+      question.question && question.options.length >= 2 &&
+      Number.isInteger(question.correctIndex) && question.correctIndex >= 0 && question.correctIndex < question.options.length
+    );
+
+const generateLesson = async (
+  plan: CoursePlan,
+  module: PlannedModule,
+  lesson: { title: string; summary: string },
+  targetAudience: string,
+  llm: LLMTarget
+): Promise<CourseLesson> => {
   const prompt = `
-Create a detailed lesson plan for the section "${sectionTitle}".
+Write a lesson for the online course "${plan.title}".
 
-Section Summary: ${sectionSummary}
+Course Description: ${plan.description}
+Target Audience: ${targetAudience || 'General learners'}
+Module: ${module.title} - ${module.description}
+Module Objectives: ${module.objectives.join('; ') || 'not set'}
+
+Lesson: ${lesson.title}
+Lesson Summary: ${lesson.summary}
+
+Please provide a response in the following JSON format:
+{
+  "objectives": ["2-4 specific, measurable learning objectives for this lesson"],
+  "lessonPlan": "An instructor's lesson plan as plain text: key concepts, a timeline for the session, and activities or exercises",
+  "slides": [
+    {
+      "title": "Slide Title",
+      "bullets": ["Short bullet point", "Short bullet point"],
+      "script": "What the narrator says while this slide is shown, as natural spoken prose"
+    }
+  ],
+  "quiz": [
+    {
+      "question": "Question testing one of the objectives",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "answer": 0,
+      "explanation": "Why the right answer is right"
+    }
+  ]
+}
 
-Please create a comprehensive lesson plan that includes:
-1. Learning Objectives (3-5 specific, measurable objectives)
-2. Key Concepts (main ideas to be covered)
-3. Lesson Structure (timeline for 15-30 minute lesson)
-4. Activities/Exercises (interactive elements for students)
-5. Assessment/Quiz Questions (3-5 questions to test understanding)
-6. Additional Resources (suggested readings, videos, etc.)
+Create 6-10 slides, starting with a title slide and ending with a summary of key takeaways. Keep each slide to 3-5 bullets of no more than 12 words, and each script to 80-200 words that flow on from the previous slide.
+Create 3-5 multiple-choice quiz questions; "answer" is the zero-based index of the correct option.
 
-Format the response in a clear, structured manner suitable for an instructor to follow.
+IMPORTANT: Return ONLY the JSON object, no additional text or formatting.
 `;
 
-  return await generateContent(sectionTitle, prompt, geminiApiKey);
+  for (let attempt = 1; ; attempt++) {
+    const response = await generateText(prompt, llm, { maxOutputTokens: LESSON_MAX_OUTPUT_TOKENS });
+
+    try {
+      const data = parseJsonObject(response);
+      const slides = asList(data.slides).map(slide => ({
+        id: uuidv4(),
+        title: String(slide.title || lesson.title),
+        bullets: toStringList(slide.bullets ?? slide.content),
+        script: String(slide.script || slide.notes || '').trim()
+      }));
+      if (slides.length === 0) throw new Error('No slides in response');
+
+      return {
+        id: uuidv4(),
+        title: lesson.title,
+        summary: lesson.summary,
+        objectives: toStringList(data.objectives),
+        lessonPlan: String(data.lessonPlan || '').trim(),
+        slides,
+        quiz: parseQuiz(data.quiz)
+      };
+    } catch (error) {
+      console.error(`Error parsing lesson "${lesson.title}":`, error);
+      console.error('Raw response:', response);
+      if (attempt >= LESSON_ATTEMPTS) {
+        throw new Error(`Failed to parse the lesson "${lesson.title}" from the AI response. Please try again.`);
+      }
+    }
+  }
 };
 
-/**
- * Generates Google Slides content for a section.
- */
-const generateSlides = async (
-  sectionTitle: string,
-  sectionSummary: string,
-  lessonPlan: string,
-  geminiApiKey: string
-): Promise<string[]> => {
-  const prompt = `
-Create Google Slides content for the section "${sectionTitle}".
-
-Section Summary: ${sectionSummary}
-
-Lesson Plan Context: ${lessonPlan}
-
-Please create 8-12 slides with the following structure:
-- Slide 1: Title slide with section title
-- Slides 2-3: Introduction and overview
-- Slides 4-8: Main content (key concepts, examples, activities)
-- Slide 9-10: Summary and key takeaways
-- Slide 11: Quiz/Assessment questions
-- Slide 12: Next steps and additional resources
-
-For each slide, provide:
-- Slide title
-- 3-5 bullet points or key content
-- Any speaker notes or additional context
-
-Format as a JSON array:
-[
-  {
-    "title": "Slide Title",
-    "content": ["Bullet point 1", "Bullet point 2", "Bullet point 3"],
-    "notes": "Speaker notes or additional context"
+const optionLetter = (index: number) => String.fromCharCode(65 + index);
+
+// Readable text of a lesson, used as its section content in the book and its PDF/EPUB exports
+export const renderLessonContent = (lesson: CourseLesson): string => {
+  const parts: string[] = [];
+
+  if (lesson.objectives.length > 0) {
+    parts.push(`Learning objectives:\n${lesson.objectives.map(objective => `- ${objective}`).join('\n')}`);
+  }
+  if (lesson.lessonPlan) {
+    parts.push(`Lesson plan:\n${lesson.lessonPlan}`);
   }
-]
 
-IMPORTANT: Return ONLY the JSON array, no additional text or formatting.
-`;
+  lesson.slides.forEach((slide, index) => {
+    parts.push(`Slide ${index + 1}: ${slide.title}\n${slide.bullets.map(bullet => `- ${bullet}`).join('\n')}`);
+    if (slide.script) parts.push(slide.script);
+  });
 
-  try {
-    const response = await generateContent(sectionTitle, prompt, geminiApiKey);
-    
-    // Clean the response to extract JSON
-    let cleanResponse = response.trim();
-    cleanResponse = cleanResponse.replace(/```json\s*|\s*```/g, '');
-    cleanResponse = cleanResponse.replace(/```\s*|\s*```/g, '');
-    
-    const jsonMatch = cleanResponse.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) {
-      throw new Error('No valid JSON array found in response');
-    }
-    
-    const slides = JSON.parse(jsonMatch[0]);
-    return slides.map((slide: any) => 
-      `${slide.title}\n${slide.content.join('\n')}\n\nNotes: ${slide.notes || ''}`
-    );
-  } catch (error) {
-    console.error('Error generating slides:', error);
-    // Fallback to basic slides
-    return [
-      `Title: ${sectionTitle}\nIntroduction to the topic\n\nNotes: Welcome to this section`,
-      `Key Concepts\n• Main point 1\n• Main point 2\n• Main point 3\n\nNotes: Cover these essential concepts`,
-      `Summary\n• Key takeaway 1\n• Key takeaway 2\n• Next steps\n\nNotes: Wrap up the section`
-    ];
+  if (lesson.quiz.length > 0) {
+    parts.push(`Quiz:\n${lesson.quiz.map((question, index) =>
+      `${index + 1}. ${question.question}\n${question.options.map((option, i) => `   ${optionLetter(i)}. ${option}`).join('\n')}`
+    ).join('\n')}`);
+    parts.push(`Answer key:\n${lesson.quiz.map((question, index) =>
+      `${index + 1}. ${optionLetter(question.correctIndex)}${question.explanation ? ` - ${question.explanation}` : ''}`
+    ).join('\n')}`);
   }
+
+  return parts.join('\n\n');
 };
 
+// Modules become chapters and lessons their sections, sharing ids so each can be found from the other
+export const courseToChapters = (course: Course): BookChapter[] =>
+  course.modules.map(module => ({
+    id: module.id,
+    title: module.title,
+    description: module.description,
+    status: 'completed' as const,
+    subChapters: module.lessons.map(lesson => ({
+      id: lesson.id,
+      title: lesson.title,
+      description: lesson.summary,
+      content: renderLessonContent(lesson),
+      status: 'completed' as const
+    }))
+  }));
+
+export const countCourseSlides = (course: Course): number =>
+  course.modules.reduce((total, module) =>
+    total + module.lessons.reduce((lessons, lesson) => lessons + lesson.slides.length, 0), 0);
+
 /**
- * Generates a narration script for the slides.
+ * Main entry point for generating an online course: researches the topic,
+ * plans modules and lessons, then writes each lesson's plan, slides,
+ * narration scripts and quiz. Research is optional and skipped if it fails.
  */
-const generateScript = async (
-  sectionTitle: string,
-  slides: string[],
-  geminiApiKey: string
-): Promise<string> => {
-  const slidesText = slides.join('\n\n---\n\n');
-  
-  const prompt = `
-Create a narration script for the section "${sectionTitle}" based on these slides:
+export const generateOnlineCourse = async (
+  topic: string,
+  targetAudience: string,
+  author: string,
+  llm: LLMTarget,
+  onProgress?: (status: string) => void
+): Promise<Book> => {
+  let research = '';
+  try {
+    onProgress?.('Researching the topic...');
+    research = (await researchSection(topic, `Online course for ${targetAudience || 'general learners'}`)).summary;
+  } catch (error) {
+    console.error('Error researching course topic, continuing without research:', error);
+  }
 
-${slidesText}
+  onProgress?.('Planning modules and lessons...');
+  const plan = await planCourse(topic, targetAudience, research, llm);
 
-Please create a natural, engaging narration script that:
-- Flows smoothly between slides
-- Uses conversational, educational tone
-- Includes transitions between topics
-- Is suitable for 15-30 minute audio recording
-- Provides additional context and explanations
-- Uses clear, professional language
+  const lessonCount = plan.modules.reduce((total, module) => total + module.lessons.length, 0);
+  const modules: CourseModule[] = [];
+  let written = 0;
 
-Format the script with clear markers for each slide and timing estimates.
-`;
+  for (const module of plan.modules) {
+    const lessons: CourseLesson[] = [];
+    for (const lesson of module.lessons) {
+      onProgress?.(`Writing lesson ${++written} of ${lessonCount}: ${lesson.title}`);
+      lessons.push(await generateLesson(plan, module, lesson, targetAudience, llm));
+    }
+    modules.push({
+      id: uuidv4(),
+      title: module.title,
+      description: module.description,
+      objectives: module.objectives,
+      lessons
+    });
+  }
+
+  const course: Course = {
+    objectives: plan.objectives,
+    modules,
+    passingScore: DEFAULT_PASSING_SCORE,
+    generatedAt: new Date().toISOString()
+  };
+
+  return {
+    id: uuidv4(),
+    title: plan.title,
+    author: author || 'Course Instructor',
+    description: plan.description,
+    genre: 'Online Course',
+    subGenre: '',
+    tone: 'Educational',
+    heatLevel: '',
+    perspective: '',
+    targetAudience: targetAudience || 'Students',
+    coverUrl: '',
+    chapters: courseToChapters(course),
+    course,
+    status: 'completed'
+  };
+};
 
-  return await generateContent(sectionTitle, prompt, geminiApiKey);
-};
\ No newline at end of file
+// Narrates every slide, picking a voice for the course when the settings don't name one
+export const narrateCourse = async (
+  book: Book,
+  settings: TTSSettings,
+  onProgress?: (progress: number, currentSlide: string) => void
+): Promise<Book> => {
+  if (!book.course) throw new Error('This book has no course slides to narrate.');
+
+  let voiceId = settings.voiceId;
+  if (!voiceId) {
+    const voices = await listVoices(settings);
+    const voice = selectVoiceForBook(book, voices) || voices[0];
+    if (!voice) throw new Error('No voices available for text-to-speech.');
+    voiceId = voice.id;
+  }
+
+  const audiobook = await generateCourseNarration(book, book.course, { ...settings, voiceId }, onProgress);
+  return { ...book, audiobook };
+};
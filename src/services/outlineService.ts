@@ -0,0 +1,218 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Book, BookChapter, SubChapter } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { getChapterWordTarget, planSectionCount } from './lengthService';
+
+// Structural edits return new arrays and never mutate the chapters passed in
+
+export const createOutlineChapter = (title: string = 'New Chapter', description: string = ''): BookChapter => ({
+  id: uuidv4(),
+  title,
+  description,
+  status: 'pending'
+});
+
+export const createOutlineSection = (title: string = 'New Section', description: string = ''): SubChapter => ({
+  id: uuidv4(),
+  title,
+  description,
+  content: '',
+  status: 'pending'
+});
+
+// A chapter is complete once it has sections and all of them are written
+export const refreshChapterStatus = (chapter: BookChapter): BookChapter => {
+  const sections = chapter.subChapters || [];
+  const status = sections.length > 0 && sections.every(sc => sc.status === 'completed') ? 'completed' : 'pending';
+  return chapter.status === status ? chapter : { ...chapter, status };
+};
+
+export const moveChapter = (chapters: BookChapter[], fromIndex: number, toIndex: number): BookChapter[] => {
+  const reordered = [...chapters];
+  const [moved] = reordered.splice(fromIndex, 1);
+  reordered.splice(Math.min(toIndex, reordered.length), 0, moved);
+  return reordered;
+};
+
+// Moves a section within its chapter or into another one, before beforeSectionId or else at the end
+export const moveSection = (
+  chapters: BookChapter[],
+  sectionId: string,
+  toChapterId: string,
+  beforeSectionId?: string
+): BookChapter[] => {
+  const section = chapters.flatMap(chapter => chapter.subChapters || []).find(sc => sc.id === sectionId);
+  if (!section || sectionId === beforeSectionId) return chapters;
+
+  return chapters.map(chapter => {
+    const hasSection = chapter.subChapters?.some(sc => sc.id === sectionId);
+    if (!hasSection && chapter.id !== toChapterId) return chapter;
+
+    const sections = (chapter.subChapters || []).filter(sc => sc.id !== sectionId);
+    if (chapter.id === toChapterId) {
+      const insertAt = sections.findIndex(sc => sc.id === beforeSectionId);
+      sections.splice(insertAt >= 0 ? insertAt : sections.length, 0, section);
+    }
+    return refreshChapterStatus({ ...chapter, subChapters: sections });
+  });
+};
+
+// Folds the chapter after chapterIndex into it, keeping the first chapter's title and settings
+export const mergeWithNextChapter = (chapters: BookChapter[], chapterIndex: number): BookChapter[] => {
+  const first = chapters[chapterIndex];
+  const second = chapters[chapterIndex + 1];
+  if (!first || !second) return chapters;
+
+  const merged = refreshChapterStatus({
+    ...first,
+    description: [first.description, second.description].filter(Boolean).join(' '),
+    subChapters: [...(first.subChapters || []), ...(second.subChapters || [])],
+    targetWordCount: first.targetWordCount || second.targetWordCount
+      ? (first.targetWordCount || 0) + (second.targetWordCount || 0)
+      : undefined
+  });
+
+  return [...chapters.slice(0, chapterIndex), merged, ...chapters.slice(chapterIndex + 2)];
+};
+
+// Starts a new chapter at sectionIndex; that section and the ones after it move into it
+export const splitChapterAt = (chapters: BookChapter[], chapterIndex: number, sectionIndex: number): BookChapter[] => {
+  const chapter = chapters[chapterIndex];
+  const sections = chapter?.subChapters || [];
+  if (!chapter || sectionIndex <= 0 || sectionIndex >= sections.length) return chapters;
+
+  const first = refreshChapterStatus({ ...chapter, subChapters: sections.slice(0, sectionIndex), targetWordCount: undefined });
+  const second = refreshChapterStatus({
+    ...createOutlineChapter(sections[sectionIndex].title),
+    writingPersonaId: chapter.writingPersonaId,
+    subChapters: sections.slice(sectionIndex)
+  });
+
+  return [...chapters.slice(0, chapterIndex), first, second, ...chapters.slice(chapterIndex + 1)];
+};
+
+// Regeneration
+
+const describeBook = (book: Book): string =>
+  [
+    `Book Title: ${book.title}`,
+    `Book Description: ${book.description}`,
+    book.genre ? `Genre: ${book.genre}` : '',
+    book.targetAudience ? `Target Audience: ${book.targetAudience}` : ''
+  ].filter(Boolean).join('\n');
+
+const describeOutline = (chapters: BookChapter[]): string =>
+  chapters.map((chapter, index) => `${index + 1}. ${chapter.title}: ${chapter.description}`).join('\n');
+
+const describeInstructions = (instructions: string): string =>
+  instructions.trim() ? `\nAuthor's instructions: ${instructions.trim()}\n` : '';
+
+const cleanPlainText = (response: string): string =>
+  response.trim().replace(/^```\w*\s*|\s*```$/g, '').replace(/^["']|["']$/g, '').trim();
+
+export const regenerateChapterDescription = async (
+  book: Book,
+  chapters: BookChapter[],
+  chapterIndex: number,
+  instructions: string,
+  llm: LLMTarget
+): Promise<string> => {
+  const chapter = chapters[chapterIndex];
+  const prompt = `
+${describeBook(book)}
+
+Current outline:
+${describeOutline(chapters)}
+
+Rewrite the description of chapter ${chapterIndex + 1}, "${chapter.title}". Keep the title, and make the description fit between the chapters around it without repeating what they cover.
+${describeInstructions(instructions)}
+Return ONLY the new description (2-3 sentences), with no title, quotes or formatting.
+`;
+
+  const description = cleanPlainText(await generateText(prompt, llm, { maxOutputTokens: 512 }));
+  if (!description) throw new Error('The AI returned an empty description. Please try again.');
+  return description;
+};
+
+export const regenerateSectionDescription = async (
+  book: Book,
+  chapter: BookChapter,
+  sectionIndex: number,
+  instructions: string,
+  llm: LLMTarget
+): Promise<string> => {
+  const sections = chapter.subChapters || [];
+  const prompt = `
+${describeBook(book)}
+
+Chapter: ${chapter.title}
+Chapter Description: ${chapter.description}
+
+Sections in this chapter:
+${sections.map((section, index) => `${index + 1}. ${section.title}: ${section.description}`).join('\n')}
+
+Rewrite the description of section ${sectionIndex + 1}, "${sections[sectionIndex].title}". Keep the title, and make the description fit between the sections around it without repeating what they cover.
+${describeInstructions(instructions)}
+Return ONLY the new description (2-3 sentences), with no title, quotes or formatting.
+`;
+
+  const description = cleanPlainText(await generateText(prompt, llm, { maxOutputTokens: 512 }));
+  if (!description) throw new Error('The AI returned an empty description. Please try again.');
+  return description;
+};
+
+// Plans fresh sections for one chapter; written sections are replaced, so callers should confirm first
+export const regenerateChapterSections = async (
+  book: Book,
+  chapters: BookChapter[],
+  chapterIndex: number,
+  instructions: string,
+  llm: LLMTarget
+): Promise<SubChapter[]> => {
+  const chapter = chapters[chapterIndex];
+  const targetWords = getChapterWordTarget({ ...book, chapters }, chapter.id);
+  const sectionCount = targetWords
+    ? `Generate ${planSectionCount(targetWords)} sections; the chapter should be about ${targetWords.toLocaleString('en-US')} words long.`
+    : 'Generate 4-8 sections.';
+
+  const prompt = `
+${describeBook(book)}
+
+Current outline:
+${describeOutline(chapters)}
+
+Create a new section outline for chapter ${chapterIndex + 1}, "${chapter.title}", that fits between the chapters around it.
+${describeInstructions(instructions)}
+Please provide a response in the following JSON format:
+{
+  "sections": [
+    {
+      "title": "Section Title",
+      "description": "Detailed description of what this section will cover (2-3 sentences)"
+    }
+  ]
+}
+
+${sectionCount} Each section should be substantial enough to warrant its own content generation.
+
+IMPORTANT: Return ONLY the JSON object, no additional text or formatting.
+`;
+
+  const response = await generateText(prompt, llm);
+
+  try {
+    const cleanResponse = response.trim().replace(/```json\s*|\s*```/g, '');
+    const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('No valid JSON found in response');
+
+    const sections = JSON.parse(jsonMatch[0]).sections;
+    if (!Array.isArray(sections) || sections.length === 0) throw new Error('No sections in response');
+
+    return sections.map((section: { title?: unknown; description?: unknown }) =>
+      createOutlineSection(String(section?.title || 'Untitled Section'), String(section?.description || '')));
+  } catch (error) {
+    console.error('Error parsing regenerated sections:', error);
+    console.error('Raw response:', response);
+    throw new Error('Failed to parse the new sections from the AI response. Please try again.');
+  }
+};
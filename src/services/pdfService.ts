@@ -0,0 +1,531 @@
+import jsPDF from 'jspdf';
+import { Book, PrintTrimSize } from '../types';
+import { getBookAuthor, isSceneBreak, loadCoverImage, splitParagraphs } from './epubService';
+import { collectCitations, describeSource, splitCitations } from './citationService';
+import { getBookBlurb } from './launchKitService';
+import { DEFAULT_LANGUAGE, getLanguageName, getPrimaryLanguage } from './languageService';
+
+export interface PrintPdfOptions {
+  trimSize: PrintTrimSize;
+  includeCover: boolean;
+}
+
+type PageKind = 'cover' | 'front' | 'opener' | 'body' | 'blank';
+
+interface PageInfo {
+  kind: PageKind;
+  chapterTitle?: string;
+}
+
+// Trim sizes in points (1in = 72pt)
+export const PRINT_TRIM_SIZES: Record<PrintTrimSize, { label: string; width: number; height: number }> = {
+  '6x9': { label: '6 x 9 in (US Trade)', width: 432, height: 648 },
+  '5.5x8.5': { label: '5.5 x 8.5 in (Digest)', width: 396, height: 612 },
+  'a5': { label: 'A5 (148 x 210 mm)', width: 419.53, height: 595.28 }
+};
+
+// Inside margin includes the gutter; mirrored between recto and verso pages
+const MARGINS = {
+  inside: 54,
+  outside: 36,
+  top: 54,
+  bottom: 54
+};
+
+const FONT = 'times';
+const BODY_SIZE = 11;
+const LINE_HEIGHT = 15;
+const PARAGRAPH_INDENT = 18;
+const HEADING_SIZE = 12.5;
+const RUNNING_HEAD_SIZE = 8.5;
+const DROP_CAP_LINES = 3;
+// Note numbers in cited sections are set smaller and raised
+const NOTE_NUMBER_SCALE = 0.65;
+const NOTE_NUMBER_RISE = 0.35;
+// Cap height of Times as a fraction of the font size
+const CAP_HEIGHT = 0.662;
+
+export const FICTION_GENRES = [
+  'Romance',
+  'Fantasy',
+  'Science Fiction',
+  'Mystery/Thriller',
+  'Historical Fiction',
+  'Contemporary Fiction',
+  'Young Adult'
+];
+
+// The built-in Times only has Western European (Windows-1252) glyphs, so books in
+// these languages would print as garbled characters
+const UNPRINTABLE_LANGUAGES = ['cs', 'el', 'hu', 'pl', 'ro', 'tr', 'ru', 'uk', 'ar', 'he', 'hi', 'ja', 'ko', 'zh'];
+
+// Why a book can't be exported as a print PDF, or null when it can
+export const getPrintPdfBlocker = (book: Book): string | null => {
+  const language = book.language || DEFAULT_LANGUAGE;
+  if (!UNPRINTABLE_LANGUAGES.includes(getPrimaryLanguage(language))) return null;
+  return `Print PDFs can't be made for books in ${getLanguageName(language)} yet, because the PDF font doesn't have its letters. Export as EPUB instead.`;
+};
+
+const blobToDataUrl = (blob: Blob): Promise<string> =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(new Error('Failed to read cover image'));
+    reader.readAsDataURL(blob);
+  });
+
+const getImageSize = (dataUrl: string): Promise<{ width: number; height: number }> =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    image.onerror = () => reject(new Error('Failed to decode cover image'));
+    image.src = dataUrl;
+  });
+
+export const buildPrintPDF = async (book: Book, options: PrintPdfOptions): Promise<jsPDF> => {
+  const blocker = getPrintPdfBlocker(book);
+  if (blocker) throw new Error(blocker);
+
+  const trim = PRINT_TRIM_SIZES[options.trimSize];
+  const pdf = new jsPDF({ unit: 'pt', format: [trim.width, trim.height], orientation: 'portrait' });
+  const author = getBookAuthor(book);
+  pdf.setProperties({
+    title: book.title,
+    author,
+    subject: getBookBlurb(book, 'short'),
+    keywords: (book.launchKit?.keywords || [book.genre, book.subGenre].filter(Boolean)).join(', '),
+    creator: 'Unstack'
+  });
+  // Unknown codes are ignored by jsPDF, leaving the document's language unset
+  pdf.setLanguage((book.language || DEFAULT_LANGUAGE) as Parameters<jsPDF['setLanguage']>[0]);
+  const pageWidth = trim.width;
+  const pageHeight = trim.height;
+  const textWidth = pageWidth - MARGINS.inside - MARGINS.outside;
+  const bottomLimit = pageHeight - MARGINS.bottom;
+
+  const pages: PageInfo[] = [];
+  let interiorStart = 0;
+  let y = MARGINS.top;
+  let currentChapterTitle = '';
+
+  // Page management
+
+  const addPage = (kind: PageKind, chapterTitle?: string) => {
+    if (pages.length > 0) {
+      pdf.addPage([pageWidth, pageHeight], 'portrait');
+    }
+    pages.push({ kind, chapterTitle });
+    y = MARGINS.top + BODY_SIZE;
+  };
+
+  // Interior page 1 is a right-hand page
+  const isRecto = (pageIndex: number) => (pageIndex - interiorStart) % 2 === 0;
+
+  const startOnRecto = (kind: PageKind, chapterTitle?: string) => {
+    addPage(kind, chapterTitle);
+    if (!isRecto(pages.length - 1)) {
+      pages[pages.length - 1].kind = 'blank';
+      addPage(kind, chapterTitle);
+    }
+  };
+
+  const leftMargin = () => isRecto(pages.length - 1) ? MARGINS.inside : MARGINS.outside;
+
+  const newBodyPage = () => addPage('body', currentChapterTitle);
+
+  const ensureSpace = (height: number) => {
+    if (y + height > bottomLimit) {
+      newBodyPage();
+    }
+  };
+
+  const setBodyFont = (style: 'normal' | 'bold' | 'italic' = 'normal', size: number = BODY_SIZE) => {
+    pdf.setFont(FONT, style);
+    pdf.setFontSize(size);
+  };
+
+  // Text layout
+
+  // Set while laying out a research-backed section, so its [n] markers draw as superscript note numbers
+  let renderCitations = false;
+
+  const measureText = (text: string): number => {
+    if (!renderCitations) return pdf.getTextWidth(text);
+
+    const size = pdf.getFontSize();
+    return splitCitations(text).reduce((total, part) => {
+      if (part.type === 'text') return total + pdf.getTextWidth(part.text);
+      pdf.setFontSize(size * NOTE_NUMBER_SCALE);
+      const width = pdf.getTextWidth(String(part.number));
+      pdf.setFontSize(size);
+      return total + width;
+    }, 0);
+  };
+
+  const drawText = (text: string, x: number) => {
+    if (!renderCitations) {
+      pdf.text(text, x, y);
+      return;
+    }
+
+    const size = pdf.getFontSize();
+    let partX = x;
+    splitCitations(text).forEach(part => {
+      if (part.type === 'text') {
+        pdf.text(part.text, partX, y);
+        partX += pdf.getTextWidth(part.text);
+        return;
+      }
+      pdf.setFontSize(size * NOTE_NUMBER_SCALE);
+      pdf.text(String(part.number), partX, y - size * NOTE_NUMBER_RISE);
+      partX += pdf.getTextWidth(String(part.number));
+      pdf.setFontSize(size);
+    });
+  };
+
+  const wrapWords = (text: string, widthForLine: (lineIndex: number) => number): string[] => {
+    const words = text.split(/\s+/).filter(Boolean);
+    const lines: string[] = [];
+    let current = '';
+
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (!current || measureText(candidate) <= widthForLine(lines.length)) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+
+      // A word wider than the line, like a long URL in the notes, is broken across lines
+      while (current.length > 1 && measureText(current) > widthForLine(lines.length)) {
+        let cut = current.length - 1;
+        while (cut > 1 && measureText(current.slice(0, cut)) > widthForLine(lines.length)) cut--;
+        lines.push(current.slice(0, cut));
+        current = current.slice(cut);
+      }
+    });
+    if (current) lines.push(current);
+
+    return lines;
+  };
+
+  const drawJustifiedLine = (line: string, x: number, width: number) => {
+    const words = line.split(' ');
+    const wordsWidth = words.reduce((total, word) => total + measureText(word), 0);
+    const gap = words.length > 1 ? (width - wordsWidth) / (words.length - 1) : 0;
+
+    // Very loose lines look worse justified than ragged
+    if (gap > pdf.getTextWidth(' ') * 3) {
+      drawText(line, x);
+      return;
+    }
+
+    let wordX = x;
+    words.forEach(word => {
+      drawText(word, wordX);
+      wordX += measureText(word) + gap;
+    });
+  };
+
+  const writeCentered = (text: string, size: number, style: 'normal' | 'bold' | 'italic' = 'normal', lineHeight: number = size * 1.3) => {
+    setBodyFont(style, size);
+    const lines = wrapWords(text, () => textWidth);
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      pdf.text(line, leftMargin() + textWidth / 2, y, { align: 'center' });
+      y += lineHeight;
+    });
+  };
+
+  const writeParagraph = (text: string, { indent = true, dropCap = false, italic = false, justify = true } = {}) => {
+    const bodyStyle = italic ? 'italic' : 'normal';
+    setBodyFont(bodyStyle);
+
+    // Drop caps only work on a plain leading letter
+    const useDropCap = dropCap && /^[A-Za-z0-9]/.test(text);
+    const dropCapSize = ((DROP_CAP_LINES - 1) * LINE_HEIGHT + BODY_SIZE * CAP_HEIGHT) / CAP_HEIGHT;
+    let dropCapWidth = 0;
+    let body = text;
+
+    if (useDropCap) {
+      pdf.setFontSize(dropCapSize);
+      dropCapWidth = pdf.getTextWidth(text.charAt(0)) + 4;
+      setBodyFont(bodyStyle);
+      body = text.slice(1);
+      ensureSpace(LINE_HEIGHT * DROP_CAP_LINES);
+    } else {
+      ensureSpace(LINE_HEIGHT * 2); // Avoid a lone first line at the foot of a page
+    }
+
+    const offsetFor = (lineIndex: number) => {
+      if (useDropCap) return lineIndex < DROP_CAP_LINES ? dropCapWidth : 0;
+      return lineIndex === 0 && indent ? PARAGRAPH_INDENT : 0;
+    };
+    const lines = wrapWords(body, lineIndex => textWidth - offsetFor(lineIndex));
+
+    if (useDropCap) {
+      pdf.setFontSize(dropCapSize);
+      pdf.text(text.charAt(0), leftMargin(), y + (DROP_CAP_LINES - 1) * LINE_HEIGHT);
+      setBodyFont(bodyStyle);
+    }
+
+    const startY = y;
+    lines.forEach((line, lineIndex) => {
+      ensureSpace(LINE_HEIGHT);
+      const x = leftMargin() + offsetFor(lineIndex);
+      if (justify && lineIndex < lines.length - 1) {
+        drawJustifiedLine(line, x, textWidth - offsetFor(lineIndex));
+      } else {
+        drawText(line, x);
+      }
+      y += LINE_HEIGHT;
+    });
+
+    if (useDropCap && y < startY + DROP_CAP_LINES * LINE_HEIGHT) {
+      y = startY + DROP_CAP_LINES * LINE_HEIGHT;
+    }
+  };
+
+  const writeSceneBreak = () => {
+    ensureSpace(LINE_HEIGHT * 3);
+    y += LINE_HEIGHT / 2;
+    setBodyFont();
+    pdf.text('*   *   *', leftMargin() + textWidth / 2, y, { align: 'center' });
+    y += LINE_HEIGHT * 1.5;
+  };
+
+  const writeSectionHeading = (title: string) => {
+    // Keep the heading with at least two lines of text
+    ensureSpace(LINE_HEIGHT * 4);
+    if (y > MARGINS.top + BODY_SIZE) {
+      y += LINE_HEIGHT;
+    }
+    setBodyFont('bold', HEADING_SIZE);
+    wrapWords(title, () => textWidth).forEach(line => {
+      pdf.text(line, leftMargin(), y);
+      y += HEADING_SIZE * 1.3;
+    });
+    y += LINE_HEIGHT * 0.4;
+  };
+
+  // Cover
+
+  if (options.includeCover) {
+    const cover = await loadCoverImage(book.coverUrl);
+    if (cover) {
+      const dataUrl = await blobToDataUrl(cover.data);
+      const size = await getImageSize(dataUrl);
+      // Scale to fill the page edge to edge; overflow is cropped by the page box
+      const scale = Math.max(pageWidth / size.width, pageHeight / size.height);
+      const width = size.width * scale;
+      const height = size.height * scale;
+
+      addPage('cover');
+      pdf.addImage(dataUrl, cover.mediaType === 'image/png' ? 'PNG' : 'JPEG', (pageWidth - width) / 2, (pageHeight - height) / 2, width, height);
+    }
+  }
+
+  // Title page
+
+  addPage('front');
+  interiorStart = pages.length - 1;
+  y = pageHeight * 0.3;
+  writeCentered(book.title, 24, 'bold', 30);
+  y += 24;
+  writeCentered(author, 14, 'normal');
+
+  // Copyright page
+
+  addPage('front');
+  const year = new Date().getFullYear();
+  const copyrightLines = [
+    book.title,
+    `Copyright © ${year} ${author}`,
+    'All rights reserved. No part of this publication may be reproduced, stored or transmitted in any form or by any means without the prior written permission of the author, except for brief quotations in reviews.'
+  ];
+  if (FICTION_GENRES.includes(book.genre)) {
+    copyrightLines.push('This is a work of fiction. Names, characters, places and incidents are either the products of the author\'s imagination or used fictitiously. Any resemblance to actual persons, living or dead, events or locales is entirely coincidental.');
+  }
+  copyrightLines.push(`First edition ${year}`);
+
+  // Set low on the page, as is conventional
+  setBodyFont('normal', 9);
+  const copyrightBlock = copyrightLines.map(line => pdf.splitTextToSize(line, textWidth) as string[]);
+  const copyrightHeight = copyrightBlock.reduce((total, lines) => total + lines.length * 12 + 8, 0);
+  y = bottomLimit - copyrightHeight;
+  copyrightBlock.forEach(lines => {
+    lines.forEach(line => {
+      pdf.text(line, leftMargin(), y);
+      y += 12;
+    });
+    y += 8;
+  });
+
+  // Table of contents: reserve pages now, fill in page numbers once the body is laid out
+
+  const citations = collectCitations(book);
+  const tocEntries = book.chapters.map((chapter, index) => `Chapter ${index + 1}: ${chapter.title}`);
+  if (citations.chapters.length > 0) {
+    tocEntries.push('Notes');
+  }
+  const tocNumberWidth = 30;
+  const tocHeadingHeight = 60;
+  setBodyFont();
+  const tocLineCounts = tocEntries.map(entry => wrapWords(entry, () => textWidth - tocNumberWidth).length);
+  const linesPerTocPage = Math.floor((bottomLimit - MARGINS.top) / LINE_HEIGHT);
+  const firstTocPageLines = Math.floor((bottomLimit - MARGINS.top - tocHeadingHeight) / LINE_HEIGHT);
+  const totalTocLines = tocLineCounts.reduce((total, count) => total + count + 0.5, 0);
+  const tocPageCount = totalTocLines <= firstTocPageLines
+    ? 1
+    : 1 + Math.ceil((totalTocLines - firstTocPageLines) / linesPerTocPage);
+
+  startOnRecto('front');
+  const tocStart = pages.length - 1;
+  for (let i = 1; i < tocPageCount; i++) {
+    addPage('front');
+  }
+
+  // Chapters
+
+  const chapterPages: number[] = [];
+
+  const writeChapterOpener = (title: string, label?: string) => {
+    currentChapterTitle = title;
+    startOnRecto('opener', title);
+    chapterPages.push(pages.length - 1);
+
+    // Chapter opener sits a third of the way down the page
+    y = pageHeight / 3;
+    if (label) {
+      writeCentered(label, 10, 'normal', 16);
+      y += 6;
+    }
+    writeCentered(title, 20, 'bold', 26);
+    y += 4;
+    pdf.setLineWidth(0.5);
+    pdf.line(leftMargin() + textWidth / 2 - 30, y, leftMargin() + textWidth / 2 + 30, y);
+    y += LINE_HEIGHT * 2;
+  };
+
+  book.chapters.forEach((chapter, chapterIndex) => {
+    writeChapterOpener(chapter.title, `CHAPTER ${chapterIndex + 1}`);
+
+    let isFirstParagraph = true;
+
+    chapter.subChapters?.forEach(subChapter => {
+      // A chapter with a single section reads better without a heading under the chapter title
+      if ((chapter.subChapters?.length || 0) > 1) {
+        writeSectionHeading(subChapter.title);
+      }
+
+      if (!subChapter.content) {
+        if (subChapter.description) {
+          writeParagraph(subChapter.description, { indent: false, italic: true });
+        }
+        return;
+      }
+
+      // Markers stay attached to the word they follow so they never wrap onto a line of their own
+      const citedContent = citations.sections[subChapter.id]?.replace(/\s+(\[\d+\])/g, '$1');
+      renderCitations = citedContent !== undefined;
+
+      let afterBreak = true;
+      splitParagraphs(citedContent ?? subChapter.content).forEach(paragraph => {
+        if (isSceneBreak(paragraph)) {
+          writeSceneBreak();
+          afterBreak = true;
+          return;
+        }
+        writeParagraph(paragraph, { indent: !afterBreak, dropCap: isFirstParagraph });
+        isFirstParagraph = false;
+        afterBreak = false;
+      });
+      renderCitations = false;
+    });
+  });
+
+  // Endnotes for research-backed sections, followed by every cited source
+
+  if (citations.chapters.length > 0) {
+    writeChapterOpener('Notes');
+
+    citations.chapters.forEach(chapterNotes => {
+      writeSectionHeading(`Chapter ${chapterNotes.chapterIndex + 1}: ${chapterNotes.chapterTitle}`);
+      chapterNotes.notes.forEach((source, index) => {
+        writeParagraph(`${index + 1}. ${describeSource(source)}`, { indent: false, justify: false });
+      });
+    });
+
+    writeSectionHeading('Bibliography');
+    citations.bibliography.forEach(source => {
+      writeParagraph(describeSource(source), { indent: false, justify: false });
+    });
+  }
+
+  // Page numbers count from the first chapter opener
+  const bodyStart = chapterPages.length > 0 ? chapterPages[0] : pages.length;
+  const pageNumber = (pageIndex: number) => pageIndex - bodyStart + 1;
+
+  // Fill in the table of contents
+
+  pdf.setPage(tocStart + 1);
+  y = MARGINS.top + 30;
+  setBodyFont('bold', 16);
+  pdf.text('Contents', MARGINS.inside + textWidth / 2, y, { align: 'center' });
+  y = MARGINS.top + tocHeadingHeight;
+  let tocPage = tocStart;
+
+  tocEntries.forEach((entry, index) => {
+    setBodyFont();
+    const lines = wrapWords(entry, () => textWidth - tocNumberWidth);
+    if (y + lines.length * LINE_HEIGHT > bottomLimit) {
+      tocPage++;
+      pdf.setPage(tocPage + 1);
+      y = MARGINS.top + BODY_SIZE;
+    }
+
+    const left = isRecto(tocPage) ? MARGINS.inside : MARGINS.outside;
+    const right = left + textWidth;
+    lines.forEach((line, lineIndex) => {
+      pdf.text(line, left, y);
+      if (lineIndex === lines.length - 1) {
+        // Dot leaders out to the page number
+        const number = String(pageNumber(chapterPages[index]));
+        const lineEnd = left + pdf.getTextWidth(line) + 4;
+        const numberStart = right - pdf.getTextWidth(number) - 4;
+        const dotWidth = pdf.getTextWidth('. ');
+        const dots = Math.max(0, Math.floor((numberStart - lineEnd) / dotWidth));
+        if (dots > 0) {
+          pdf.text('. '.repeat(dots), numberStart - dots * dotWidth, y);
+        }
+        pdf.text(number, right, y, { align: 'right' });
+      }
+      y += LINE_HEIGHT;
+    });
+    y += LINE_HEIGHT / 2;
+  });
+
+  // Running heads and folios
+
+  pages.forEach((page, pageIndex) => {
+    if (pageIndex < bodyStart || (page.kind !== 'body' && page.kind !== 'opener')) return;
+
+    pdf.setPage(pageIndex + 1);
+    const left = isRecto(pageIndex) ? MARGINS.inside : MARGINS.outside;
+    const center = left + textWidth / 2;
+
+    setBodyFont('normal', RUNNING_HEAD_SIZE);
+    pdf.text(String(pageNumber(pageIndex)), center, pageHeight - MARGINS.bottom / 2, { align: 'center' });
+
+    // Chapter openers carry a folio but no running head
+    if (page.kind === 'body') {
+      setBodyFont('italic', RUNNING_HEAD_SIZE);
+      const head = isRecto(pageIndex) ? page.chapterTitle || book.title : author;
+      const [headLine] = pdf.splitTextToSize(head.toUpperCase(), textWidth) as string[];
+      pdf.text(headLine, center, MARGINS.top / 2, { align: 'center' });
+    }
+  });
+
+  return pdf;
+};
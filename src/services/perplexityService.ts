@@ -1,4 +1,5 @@
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+import { AIUsageContext, ResearchSource } from '../types';
+import { proxyFetch } from './aiProxyService';
 
 interface PerplexityResponse {
   choices: {
@@ -6,9 +7,24 @@ interface PerplexityResponse {
       content: string;
     };
   }[];
+  // Source URLs in the order the answer's [1], [2]... markers refer to them
+  citations?: string[];
+  search_results?: {
+    title?: string;
+    url: string;
+    date?: string;
+  }[];
+}
+
+export interface ResearchResult {
+  text: string;
+  sources: ResearchSource[];
 }
 
-export const researchTopic = async (topic: string, description: string, apiKey: string): Promise<string> => {
+export const researchTopic = async (topic: string, description: string, usage?: AIUsageContext): Promise<string> =>
+  (await researchTopicWithSources(topic, description, usage)).text;
+
+export const researchTopicWithSources = async (topic: string, description: string, usage?: AIUsageContext): Promise<ResearchResult> => {
   const prompt = `Research and provide comprehensive information about: ${topic}
 
 Context: ${description}
@@ -23,24 +39,17 @@ Please provide:
 Focus on providing accurate, up-to-date information that would be valuable for creating educational content on this topic.`;
 
   try {
-    const response = await fetch(PERPLEXITY_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'sonar',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.2
-      })
-    });
+    const response = await proxyFetch('perplexity', 'chat/completions', {
+      model: 'sonar',
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: 1000,
+      temperature: 0.2
+    }, usage);
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -55,7 +64,12 @@ Focus on providing accurate, up-to-date information that would be valuable for c
       throw new Error('No choices returned from Perplexity API');
     }
     
-    return data.choices[0]?.message?.content || '';
+    // search_results carries titles; older responses only list the URLs
+    const sources: ResearchSource[] = data.search_results?.length
+      ? data.search_results.map(result => ({ url: result.url, title: result.title || undefined, date: result.date || undefined }))
+      : (data.citations || []).map(url => ({ url }));
+
+    return { text: data.choices[0]?.message?.content || '', sources };
   } catch (error) {
     console.error('Error calling Perplexity API:', error);
     throw error;
@@ -1,46 +1,124 @@
-import { WritingPersona, PersonaAnalysis, PersonaPreferences } from '../types';
-import { supabase } from '../lib/supabase';
-import { generateContent } from './geminiService';
+import { Book, BookChapter, WritingPersona, PersonaAnalysis, PersonaFidelity, PersonaPreferences, StyleProfile } from '../types';
+import { getSessionUser, supabase } from '../lib/supabase';
+import { deleteLocalPersona, getLocalPersonas, putLocalPersona, replaceLocalPersonas } from '../lib/database';
+import { generateText, LLMTarget } from './llmService';
+import { computeStyleProfile, scoreStyleFidelity } from './stylometryService';
+
+// Persona files carry this marker and version so other JSON files are rejected and older files can be upgraded
+export const PERSONA_FILE_FORMAT = 'unstack-persona';
+export const PERSONA_FILE_VERSION = 1;
+
+export interface PersonaFileEntry {
+  name: string;
+  description: string;
+  authorName?: string;
+  sampleText?: string;
+  analysisResults?: PersonaAnalysis;
+  preferences: PersonaPreferences;
+  isFavorite?: boolean;
+  // For reference only: profiles are always measured from the sample text, so importing ignores it
+  styleProfile?: StyleProfile;
+}
 
-// Create a new writing persona
-export const createPersona = async (
-  name: string,
-  description: string,
-  authorName?: string,
-  preferences?: Partial<PersonaPreferences>
-): Promise<WritingPersona> => {
-  const { data: { user } } = await supabase.auth.getUser();
-  if (!user) throw new Error('User not authenticated');
+export interface PersonaFile {
+  format: typeof PERSONA_FILE_FORMAT;
+  version: number;
+  exportedAt: string;
+  personas: PersonaFileEntry[];
+}
 
-  const defaultPreferences: PersonaPreferences = {
+// How an imported persona is handled when one with the same name already exists
+export type PersonaImportResolution = 'merge' | 'replace' | 'copy' | 'skip';
+
+// Rows come back snake_case from the database
+interface PersonaRow {
+  id: string;
+  name: string;
+  description: string | null;
+  author_name: string | null;
+  sample_text: string | null;
+  // Personas saved before analysis was stored may hold an empty object
+  analysis_results: PersonaAnalysis | null;
+  preferences: Partial<PersonaPreferences> | null;
+  is_favorite: boolean | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export const mapPersona = (data: PersonaRow): WritingPersona => ({
+  id: data.id,
+  name: data.name,
+  description: data.description || '',
+  authorName: data.author_name || undefined,
+  sampleText: data.sample_text || undefined,
+  analysisResults: data.analysis_results?.writingStyle ? data.analysis_results : undefined,
+  preferences: {
     preferredGenres: [],
     avoidedTopics: [],
     specialInstructions: '',
     targetAudience: [],
-    ...preferences
-  };
+    ...data.preferences
+  },
+  isFavorite: !!data.is_favorite,
+  createdAt: data.created_at,
+  updatedAt: data.updated_at
+});
+
+// Personas are cached on the device so books keep their voice offline
+const cachePersonas = (userId: string, personas: WritingPersona[], replace = false) => {
+  const write = replace
+    ? replaceLocalPersonas(userId, personas)
+    : Promise.all(personas.map(persona => putLocalPersona(userId, persona)));
+  write.catch(error => console.error('Error caching personas offline:', error));
+};
+
+const insertPersona = async (entry: PersonaFileEntry): Promise<WritingPersona> => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User not authenticated');
 
   const { data, error } = await supabase
     .from('writing_personas')
     .insert({
       user_id: user.id,
-      name,
-      description,
-      author_name: authorName || '',
-      preferences: defaultPreferences,
-      is_favorite: false
+      name: entry.name,
+      description: entry.description,
+      author_name: entry.authorName || '',
+      sample_text: entry.sampleText || '',
+      analysis_results: entry.analysisResults || {},
+      preferences: entry.preferences,
+      is_favorite: !!entry.isFavorite
     })
     .select()
     .single();
 
   if (error) throw error;
-  return data;
+  const persona = mapPersona(data);
+  cachePersonas(user.id, [persona]);
+  return persona;
+};
+
+// Create a new writing persona
+export const createPersona = async (
+  name: string,
+  description: string,
+  authorName?: string,
+  preferences?: Partial<PersonaPreferences>
+): Promise<WritingPersona> => {
+  const defaultPreferences: PersonaPreferences = {
+    preferredGenres: [],
+    avoidedTopics: [],
+    specialInstructions: '',
+    targetAudience: [],
+    ...preferences
+  };
+
+  return insertPersona({ name, description, authorName, preferences: defaultPreferences });
 };
 
 // Analyze writing sample and create persona
 export const analyzeWritingSample = async (
   sampleText: string,
-  apiKey: string
+  llm: LLMTarget
 ): Promise<PersonaAnalysis> => {
   const analysisPrompt = `
 Analyze this writing sample and extract detailed style characteristics. Provide a comprehensive analysis in the following JSON format:
@@ -69,7 +147,7 @@ ${sampleText}
 Analyze the writing style, voice, structure, vocabulary level, sentence patterns, dialogue approach, descriptive techniques, and any unique characteristics. Be specific and detailed in your analysis.`;
 
   try {
-    const response = await generateContent(analysisPrompt, apiKey);
+    const response = await generateText(analysisPrompt, llm, { temperature: 0.3 });
     
     // Extract JSON from response
     const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -90,14 +168,14 @@ export const createPersonaFromSample = async (
   name: string,
   description: string,
   sampleText: string,
-  apiKey: string,
+  llm: LLMTarget,
   authorName?: string
 ): Promise<WritingPersona> => {
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) throw new Error('User not authenticated');
 
   // Analyze the writing sample
-  const analysis = await analyzeWritingSample(sampleText, apiKey);
+  const analysis = await analyzeWritingSample(sampleText, llm);
 
   // Create preferences based on analysis
   const preferences: PersonaPreferences = {
@@ -107,28 +185,12 @@ export const createPersonaFromSample = async (
     targetAudience: []
   };
 
-  const { data, error } = await supabase
-    .from('writing_personas')
-    .insert({
-      user_id: user.id,
-      name,
-      description,
-      author_name: authorName || '',
-      sample_text: sampleText,
-      analysis_results: analysis,
-      preferences,
-      is_favorite: false
-    })
-    .select()
-    .single();
-
-  if (error) throw error;
-  return data;
+  return insertPersona({ name, description, authorName, sampleText, analysisResults: analysis, preferences });
 };
 
 // Get all personas for current user
 export const getUserPersonas = async (): Promise<WritingPersona[]> => {
-  const { data: { user } } = await supabase.auth.getUser();
+  const user = await getSessionUser();
   if (!user) throw new Error('User not authenticated');
 
   const { data, error } = await supabase
@@ -138,13 +200,22 @@ export const getUserPersonas = async (): Promise<WritingPersona[]> => {
     .order('is_favorite', { ascending: false })
     .order('created_at', { ascending: false });
 
-  if (error) throw error;
-  return data || [];
+  if (error) {
+    const cached = await getLocalPersonas(user.id);
+    if (cached.length > 0 || !navigator.onLine) {
+      return cached.sort((a, b) => Number(b.isFavorite) - Number(a.isFavorite) || b.createdAt.localeCompare(a.createdAt));
+    }
+    throw error;
+  }
+
+  const personas = (data || []).map(mapPersona);
+  cachePersonas(user.id, personas, true);
+  return personas;
 };
 
 // Get persona by ID
 export const getPersonaById = async (id: string): Promise<WritingPersona | null> => {
-  const { data: { user } } = await supabase.auth.getUser();
+  const user = await getSessionUser();
   if (!user) throw new Error('User not authenticated');
 
   const { data, error } = await supabase
@@ -156,9 +227,11 @@ export const getPersonaById = async (id: string): Promise<WritingPersona | null>
 
   if (error) {
     if (error.code === 'PGRST116') return null; // Not found
+    const cached = (await getLocalPersonas(user.id)).find(persona => persona.id === id);
+    if (cached) return cached;
     throw error;
   }
-  return data;
+  return mapPersona(data);
 };
 
 // Update persona
@@ -169,16 +242,27 @@ export const updatePersona = async (
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) throw new Error('User not authenticated');
 
+  const row: Record<string, unknown> = {};
+  if (updates.name !== undefined) row.name = updates.name;
+  if (updates.description !== undefined) row.description = updates.description;
+  if (updates.authorName !== undefined) row.author_name = updates.authorName;
+  if (updates.sampleText !== undefined) row.sample_text = updates.sampleText;
+  if (updates.analysisResults !== undefined) row.analysis_results = updates.analysisResults;
+  if (updates.preferences !== undefined) row.preferences = updates.preferences;
+  if (updates.isFavorite !== undefined) row.is_favorite = updates.isFavorite;
+
   const { data, error } = await supabase
     .from('writing_personas')
-    .update(updates)
+    .update(row)
     .eq('id', id)
     .eq('user_id', user.id)
     .select()
     .single();
 
   if (error) throw error;
-  return data;
+  const persona = mapPersona(data);
+  cachePersonas(user.id, [persona]);
+  return persona;
 };
 
 // Delete persona
@@ -193,6 +277,7 @@ export const deletePersona = async (id: string): Promise<void> => {
     .eq('user_id', user.id);
 
   if (error) throw error;
+  await deleteLocalPersona(id).catch(error => console.error('Error removing cached persona:', error));
 };
 
 // Toggle favorite status
@@ -200,21 +285,18 @@ export const togglePersonaFavorite = async (id: string): Promise<WritingPersona>
   const persona = await getPersonaById(id);
   if (!persona) throw new Error('Persona not found');
 
-  return updatePersona(id, { is_favorite: !persona.is_favorite });
+  return updatePersona(id, { isFavorite: !persona.isFavorite });
 };
 
-// Generate content with persona style
-export const generateContentWithPersona = async (
-  prompt: string,
-  persona: WritingPersona,
-  apiKey: string
-): Promise<string> => {
-  let enhancedPrompt = prompt;
+// Style instructions appended to every content, edit and rewrite prompt written in a persona's voice
+export const buildPersonaInstructions = (persona?: WritingPersona | null): string => {
+  if (!persona) return '';
 
-  // Add persona style instructions
-  if (persona.analysis_results) {
-    const analysis = persona.analysis_results;
-    enhancedPrompt += `\n\nWrite in the following style:
+  let instructions = '';
+
+  if (persona.analysisResults) {
+    const analysis = persona.analysisResults;
+    instructions += `Write in the following style:
 - Sentence length: ${analysis.writingStyle.sentenceLength}
 - Vocabulary level: ${analysis.writingStyle.vocabulary}
 - Tone: ${analysis.writingStyle.tone.join(', ')}
@@ -223,18 +305,291 @@ export const generateContentWithPersona = async (
 - Pacing: ${analysis.structuralElements.pacing}`;
 
     if (analysis.strengthsAndQuirks.length > 0) {
-      enhancedPrompt += `\n- Key characteristics: ${analysis.strengthsAndQuirks.join(', ')}`;
+      instructions += `\n- Key characteristics: ${analysis.strengthsAndQuirks.join(', ')}`;
     }
   }
 
-  // Add preferences
   if (persona.preferences.specialInstructions) {
-    enhancedPrompt += `\n\nAdditional instructions: ${persona.preferences.specialInstructions}`;
+    instructions += `\n\nAdditional instructions: ${persona.preferences.specialInstructions}`;
   }
 
   if (persona.preferences.avoidedTopics.length > 0) {
-    enhancedPrompt += `\n\nAvoid these topics: ${persona.preferences.avoidedTopics.join(', ')}`;
+    instructions += `\n\nAvoid these topics: ${persona.preferences.avoidedTopics.join(', ')}`;
+  }
+
+  return instructions.trim();
+};
+
+// A chapter's own persona wins over the book's
+export const getChapterPersonaId = (book: Book, chapter: BookChapter): string | undefined =>
+  chapter.writingPersonaId || book.writingPersonaId;
+
+// Loads every persona the book or its chapters use, keyed by id
+export const loadBookPersonas = async (book: Book): Promise<Record<string, WritingPersona>> => {
+  const personas: Record<string, WritingPersona> = {};
+  if (book.writingPersona) {
+    personas[book.writingPersona.id] = book.writingPersona;
   }
 
-  return generateContent(enhancedPrompt, apiKey);
+  const ids = Array.from(new Set(
+    [book.writingPersonaId, ...book.chapters.map(chapter => chapter.writingPersonaId)]
+      .filter((id): id is string => !!id && !personas[id])
+  ));
+  if (ids.length === 0) return personas;
+
+  const { data, error } = await supabase
+    .from('writing_personas')
+    .select('*')
+    .in('id', ids);
+
+  const user = error ? await getSessionUser() : null;
+  const loaded = error
+    ? (user ? await getLocalPersonas(user.id) : []).filter(persona => ids.includes(persona.id))
+    : (data || []).map(mapPersona);
+  if (error && loaded.length < ids.length) throw error;
+
+  loaded.forEach(persona => {
+    personas[persona.id] = persona;
+  });
+  return personas;
+};
+
+// Scores text against its chapter's persona sample; undefined without a sample or enough text to compare.
+// A translation is in another language from the sample, so its rhythm can't be compared with it.
+export const scoreChapterVoice = (
+  book: Book,
+  chapter: BookChapter,
+  personas: Record<string, WritingPersona>,
+  content?: string
+): PersonaFidelity | undefined => {
+  const persona = personas[getChapterPersonaId(book, chapter) || ''];
+  if (!content || !persona?.sampleText || book.translation) return undefined;
+
+  const result = scoreStyleFidelity(computeStyleProfile(content), computeStyleProfile(persona.sampleText));
+  return result ? { ...result, personaId: persona.id, personaName: persona.name } : undefined;
+};
+
+export const getChapterPersonaInstructions = (
+  book: Book,
+  chapter: BookChapter,
+  personas: Record<string, WritingPersona>
+): string => {
+  const personaId = getChapterPersonaId(book, chapter);
+  return buildPersonaInstructions(personaId ? personas[personaId] : undefined);
+};
+
+// Generate content with persona style
+export const generateContentWithPersona = async (
+  prompt: string,
+  persona: WritingPersona,
+  llm: LLMTarget
+): Promise<string> => {
+  const instructions = buildPersonaInstructions(persona);
+  return generateText(instructions ? `${prompt}\n\n${instructions}` : prompt, llm);
 };
+
+// Persona files
+
+export const buildPersonaFile = (personas: WritingPersona[]): PersonaFile => ({
+  format: PERSONA_FILE_FORMAT,
+  version: PERSONA_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  personas: personas.map(persona => ({
+    name: persona.name,
+    description: persona.description,
+    authorName: persona.authorName,
+    sampleText: persona.sampleText,
+    analysisResults: persona.analysisResults,
+    preferences: persona.preferences,
+    isFavorite: persona.isFavorite,
+    styleProfile: persona.sampleText ? computeStyleProfile(persona.sampleText) : undefined
+  }))
+});
+
+const isStringList = (value: unknown): value is string[] =>
+  Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Imported files can hold anything, so fields are read off a record and checked before use
+const asRecord = (value: unknown): Record<string, unknown> =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
+
+const isPersonaAnalysis = (value: unknown): value is PersonaAnalysis => {
+  if (!value || typeof value !== 'object') return false;
+  const analysis = asRecord(value);
+  const writingStyle = asRecord(analysis.writingStyle);
+  const structuralElements = asRecord(analysis.structuralElements);
+  return (
+    typeof analysis.writingStyle === 'object' &&
+    ['short', 'medium', 'long', 'varied'].includes(writingStyle.sentenceLength as string) &&
+    ['simple', 'moderate', 'complex', 'academic'].includes(writingStyle.vocabulary as string) &&
+    isStringList(writingStyle.tone) &&
+    isStringList(writingStyle.voiceCharacteristics) &&
+    typeof analysis.structuralElements === 'object' &&
+    ['short', 'medium', 'long'].includes(structuralElements.paragraphLength as string) &&
+    typeof structuralElements.dialogueStyle === 'string' &&
+    typeof structuralElements.descriptiveStyle === 'string' &&
+    ['fast', 'moderate', 'slow', 'varied'].includes(structuralElements.pacing as string) &&
+    isStringList(analysis.genreSpecialty) &&
+    isStringList(analysis.strengthsAndQuirks) &&
+    typeof analysis.confidence === 'number'
+  );
+};
+
+const parsePersonaEntry = (value: unknown, index: number): PersonaFileEntry => {
+  const entry = asRecord(value);
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  const label = name ? `"${name}"` : `${index + 1}`;
+  const fail = (problem: string): never => {
+    throw new Error(`Persona ${label} in this file ${problem}.`);
+  };
+
+  if (!value || typeof value !== 'object') fail('is not a persona');
+  if (!name) fail('has no name');
+  for (const field of ['description', 'authorName', 'sampleText']) {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') fail(`has an invalid ${field}`);
+  }
+  if (entry.analysisResults && !isPersonaAnalysis(entry.analysisResults)) fail('has an incomplete style analysis');
+
+  const preferences = asRecord(entry.preferences);
+  for (const field of ['preferredGenres', 'avoidedTopics', 'targetAudience']) {
+    if (preferences[field] !== undefined && !isStringList(preferences[field])) fail(`has an invalid ${field} list`);
+  }
+  if (preferences.specialInstructions !== undefined && typeof preferences.specialInstructions !== 'string') {
+    fail('has invalid special instructions');
+  }
+
+  // Every field below was checked above, so the casts only restate what was validated
+  return {
+    name,
+    description: (entry.description as string | null | undefined) || '',
+    authorName: (entry.authorName as string | null | undefined) || undefined,
+    sampleText: (entry.sampleText as string | null | undefined) || undefined,
+    analysisResults: (entry.analysisResults as PersonaAnalysis | undefined) || undefined,
+    preferences: {
+      preferredGenres: (preferences.preferredGenres as string[] | undefined) || [],
+      avoidedTopics: (preferences.avoidedTopics as string[] | undefined) || [],
+      specialInstructions: (preferences.specialInstructions as string | undefined) || '',
+      targetAudience: (preferences.targetAudience as string[] | undefined) || []
+    },
+    isFavorite: !!entry.isFavorite
+  };
+};
+
+// Reads and validates a persona file, throwing a message that says what is wrong with it
+export const parsePersonaFile = (text: string): PersonaFileEntry[] => {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  const file = asRecord(parsed);
+  if (file.format !== PERSONA_FILE_FORMAT) {
+    throw new Error('This is not a persona file.');
+  }
+  if (typeof file.version !== 'number' || !Number.isInteger(file.version) || file.version < 1) {
+    throw new Error('This persona file has no valid format version.');
+  }
+  if (file.version > PERSONA_FILE_VERSION) {
+    throw new Error(`This persona file uses format version ${file.version}, which is newer than this app supports. Please update and try again.`);
+  }
+  if (!Array.isArray(file.personas) || file.personas.length === 0) {
+    throw new Error('This persona file has no personas in it.');
+  }
+
+  return file.personas.map(parsePersonaEntry);
+};
+
+// Personas are matched by name, ignoring case
+export const findPersonaConflict = (entry: PersonaFileEntry, personas: WritingPersona[]): WritingPersona | undefined =>
+  personas.find(persona => persona.name.trim().toLowerCase() === entry.name.toLowerCase());
+
+const mergeLists = (a: string[], b: string[]): string[] => {
+  const merged = [...a];
+  b.forEach(item => {
+    if (!merged.some(existing => existing.toLowerCase() === item.toLowerCase())) merged.push(item);
+  });
+  return merged;
+};
+
+/**
+ * Merges an imported persona into an existing one. Text the existing persona
+ * already has is kept, gaps are filled from the file, lists are combined, and
+ * differing special instructions are both kept. The writing sample and its
+ * analysis stay together, so an analysis never describes a different sample.
+ */
+export const mergePersonaEntry = (existing: WritingPersona, entry: PersonaFileEntry): PersonaFileEntry => {
+  const useImportedSample = !existing.sampleText && !!entry.sampleText;
+  const existingInstructions = existing.preferences.specialInstructions.trim();
+  const importedInstructions = entry.preferences.specialInstructions.trim();
+
+  return {
+    name: existing.name,
+    description: existing.description || entry.description,
+    authorName: existing.authorName || entry.authorName,
+    sampleText: useImportedSample ? entry.sampleText : existing.sampleText,
+    analysisResults: useImportedSample
+      ? entry.analysisResults
+      : existing.analysisResults || (existing.sampleText ? undefined : entry.analysisResults),
+    preferences: {
+      preferredGenres: mergeLists(existing.preferences.preferredGenres, entry.preferences.preferredGenres),
+      avoidedTopics: mergeLists(existing.preferences.avoidedTopics, entry.preferences.avoidedTopics),
+      targetAudience: mergeLists(existing.preferences.targetAudience, entry.preferences.targetAudience),
+      specialInstructions: !importedInstructions || existingInstructions.includes(importedInstructions)
+        ? existingInstructions
+        : existingInstructions ? `${existingInstructions}\n\n${importedInstructions}` : importedInstructions
+    },
+    isFavorite: existing.isFavorite || entry.isFavorite
+  };
+};
+
+// "Name (2)", "Name (3)"... for imports kept alongside a persona with the same name
+const getUniqueName = (name: string, personas: WritingPersona[]): string => {
+  const taken = new Set(personas.map(persona => persona.name.trim().toLowerCase()));
+  let copy = 2;
+  while (taken.has(`${name} (${copy})`.toLowerCase())) copy++;
+  return `${name} (${copy})`;
+};
+
+/**
+ * Imports the personas from a file. Entries without a same-named persona are
+ * created; the others follow their resolution (merge by default), keyed by
+ * the entry's index in the file.
+ */
+export const importPersonas = async (
+  entries: PersonaFileEntry[],
+  existing: WritingPersona[],
+  resolutions: Record<number, PersonaImportResolution> = {}
+): Promise<{ created: number; updated: number; skipped: number }> => {
+  const result = { created: 0, updated: 0, skipped: 0 };
+  const personas = [...existing];
+
+  for (const [index, entry] of entries.entries()) {
+    const conflict = findPersonaConflict(entry, personas);
+    const resolution = conflict ? resolutions[index] || 'merge' : 'copy';
+
+    if (resolution === 'skip') {
+      result.skipped++;
+    } else if (conflict && (resolution === 'merge' || resolution === 'replace')) {
+      const fields = resolution === 'merge' ? mergePersonaEntry(conflict, entry) : { ...entry, name: conflict.name };
+      const updated = await updatePersona(conflict.id, {
+        description: fields.description,
+        authorName: fields.authorName || '',
+        sampleText: fields.sampleText || '',
+        // An empty analysis clears it (see mapPersona), so a replaced sample never keeps the old one's analysis
+        analysisResults: fields.analysisResults || ({} as PersonaAnalysis),
+        preferences: fields.preferences,
+        isFavorite: !!fields.isFavorite
+      });
+      personas[personas.indexOf(conflict)] = updated;
+      result.updated++;
+    } else {
+      personas.push(await insertPersona({ ...entry, name: conflict ? getUniqueName(entry.name, personas) : entry.name }));
+      result.created++;
+    }
+  }
+
+  return result;
+};
+
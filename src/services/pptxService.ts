@@ -0,0 +1,372 @@
+import JSZip from 'jszip';
+import { Book, Course } from '../types';
+import { escapeXml, getBookAuthor } from './epubService';
+
+// 16:9 slides; sizes in EMU (914400 per inch)
+const SLIDE_WIDTH = 12192000;
+const SLIDE_HEIGHT = 6858000;
+const MARGIN = 548640;
+const TITLE_HEIGHT = 1097280;
+
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const RELS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const ACCENT_COLOR = '1E3A8A';
+
+export interface DeckSlide {
+  title: string;
+  // Shown under the title in larger type, for title and section slides
+  subtitle?: string;
+  bullets?: string[];
+  notes?: string;
+  // Section slides use the accent background with white text
+  section?: boolean;
+}
+
+const EMPTY_GROUP = `<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>`;
+
+const CLR_MAP = '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>';
+
+const THEME_XML = (name: string) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="${name}">
+  <a:themeElements>
+    <a:clrScheme name="Unstack">
+      <a:dk1><a:srgbClr val="1F2937"/></a:dk1>
+      <a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>
+      <a:dk2><a:srgbClr val="${ACCENT_COLOR}"/></a:dk2>
+      <a:lt2><a:srgbClr val="F3F4F6"/></a:lt2>
+      <a:accent1><a:srgbClr val="2563EB"/></a:accent1>
+      <a:accent2><a:srgbClr val="7C3AED"/></a:accent2>
+      <a:accent3><a:srgbClr val="059669"/></a:accent3>
+      <a:accent4><a:srgbClr val="D97706"/></a:accent4>
+      <a:accent5><a:srgbClr val="DC2626"/></a:accent5>
+      <a:accent6><a:srgbClr val="0891B2"/></a:accent6>
+      <a:hlink><a:srgbClr val="2563EB"/></a:hlink>
+      <a:folHlink><a:srgbClr val="7C3AED"/></a:folHlink>
+    </a:clrScheme>
+    <a:fontScheme name="Unstack">
+      <a:majorFont><a:latin typeface="Calibri Light"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>
+      <a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont>
+    </a:fontScheme>
+    <a:fmtScheme name="Unstack">
+      <a:fillStyleLst>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+      </a:fillStyleLst>
+      <a:lnStyleLst>
+        <a:ln w="6350"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
+        <a:ln w="12700"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
+        <a:ln w="19050"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
+      </a:lnStyleLst>
+      <a:effectStyleLst>
+        <a:effectStyle><a:effectLst/></a:effectStyle>
+        <a:effectStyle><a:effectLst/></a:effectStyle>
+        <a:effectStyle><a:effectLst/></a:effectStyle>
+      </a:effectStyleLst>
+      <a:bgFillStyleLst>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+      </a:bgFillStyleLst>
+    </a:fmtScheme>
+  </a:themeElements>
+</a:theme>`;
+
+const SLIDE_MASTER_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldMaster ${NAMESPACES}>
+  <p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${EMPTY_GROUP}</p:spTree></p:cSld>
+  ${CLR_MAP}
+  <p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>
+</p:sldMaster>`;
+
+const SLIDE_MASTER_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>
+  <Relationship Id="rId2" Type="${RELS}/theme" Target="../theme/theme1.xml"/>
+</Relationships>`;
+
+const SLIDE_LAYOUT_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldLayout ${NAMESPACES} type="blank" preserve="1">
+  <p:cSld name="Blank"><p:spTree>${EMPTY_GROUP}</p:spTree></p:cSld>
+  <p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr>
+</p:sldLayout>`;
+
+const SLIDE_LAYOUT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/slideMaster" Target="../slideMasters/slideMaster1.xml"/>
+</Relationships>`;
+
+const NOTES_MASTER_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notesMaster ${NAMESPACES}>
+  <p:cSld><p:spTree>${EMPTY_GROUP}</p:spTree></p:cSld>
+  ${CLR_MAP}
+</p:notesMaster>`;
+
+const NOTES_MASTER_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/theme" Target="../theme/theme2.xml"/>
+</Relationships>`;
+
+const PRES_PROPS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:presentationPr ${NAMESPACES}/>`;
+
+const VIEW_PROPS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:viewPr ${NAMESPACES}/>`;
+
+const TABLE_STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/officeDocument" Target="ppt/presentation.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+  <Relationship Id="rId3" Type="${RELS}/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+
+// Presentation relationships before the slides; slide n is rId(SLIDE_REL_OFFSET + n)
+const SLIDE_REL_OFFSET = 6;
+
+const buildContentTypesXml = (slideCount: number): string => {
+  const slides = Array.from({ length: slideCount }, (_, i) => `
+  <Override PartName="/ppt/slides/slide${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>
+  <Override PartName="/ppt/notesSlides/notesSlide${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml"/>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>
+  <Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml"/>
+  <Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml"/>
+  <Override PartName="/ppt/notesMasters/notesMaster1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml"/>
+  <Override PartName="/ppt/theme/theme1.xml" ContentType="application/vnd.openxmlformats-officedocument.theme+xml"/>
+  <Override PartName="/ppt/theme/theme2.xml" ContentType="application/vnd.openxmlformats-officedocument.theme+xml"/>
+  <Override PartName="/ppt/presProps.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presProps+xml"/>
+  <Override PartName="/ppt/viewProps.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.viewProps+xml"/>
+  <Override PartName="/ppt/tableStyles.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.tableStyles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>${slides}
+</Types>`;
+};
+
+const buildPresentationXml = (slideCount: number): string => {
+  const slideIds = Array.from({ length: slideCount }, (_, i) =>
+    `<p:sldId id="${256 + i}" r:id="rId${SLIDE_REL_OFFSET + i + 1}"/>`
+  ).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:presentation ${NAMESPACES} saveSubsetFonts="1">
+  <p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>
+  <p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>
+  <p:sldIdLst>${slideIds}</p:sldIdLst>
+  <p:sldSz cx="${SLIDE_WIDTH}" cy="${SLIDE_HEIGHT}"/>
+  <p:notesSz cx="6858000" cy="9144000"/>
+</p:presentation>`;
+};
+
+const buildPresentationRelsXml = (slideCount: number): string => {
+  const slides = Array.from({ length: slideCount }, (_, i) => `
+  <Relationship Id="rId${SLIDE_REL_OFFSET + i + 1}" Type="${RELS}/slide" Target="slides/slide${i + 1}.xml"/>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/slideMaster" Target="slideMasters/slideMaster1.xml"/>
+  <Relationship Id="rId2" Type="${RELS}/notesMaster" Target="notesMasters/notesMaster1.xml"/>
+  <Relationship Id="rId3" Type="${RELS}/theme" Target="theme/theme1.xml"/>
+  <Relationship Id="rId4" Type="${RELS}/presProps" Target="presProps.xml"/>
+  <Relationship Id="rId5" Type="${RELS}/viewProps" Target="viewProps.xml"/>
+  <Relationship Id="rId6" Type="${RELS}/tableStyles" Target="tableStyles.xml"/>${slides}
+</Relationships>`;
+};
+
+const textRun = (text: string, size: number, options: { bold?: boolean; color?: string } = {}) =>
+  `<a:r><a:rPr lang="en-US" sz="${size}"${options.bold ? ' b="1"' : ''} dirty="0">${options.color ? `<a:solidFill><a:srgbClr val="${options.color}"/></a:solidFill>` : ''}</a:rPr><a:t>${escapeXml(text)}</a:t></a:r>`;
+
+const plainParagraph = (text: string, size: number, options: { bold?: boolean; color?: string; align?: 'l' | 'ctr' } = {}) =>
+  `<a:p><a:pPr algn="${options.align || 'l'}"/>${textRun(text, size, options)}</a:p>`;
+
+const bulletParagraph = (text: string, size: number) =>
+  `<a:p><a:pPr marL="342900" indent="-342900"><a:buFont typeface="Arial"/><a:buChar char="&#8226;"/><a:spcBef><a:spcPts val="600"/></a:spcBef></a:pPr>${textRun(text, size)}</a:p>`;
+
+const textBox = (id: number, name: string, x: number, y: number, cx: number, cy: number, paragraphs: string, anchor: 't' | 'ctr' = 't') => `
+      <p:sp>
+        <p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>
+        <p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>
+        <p:txBody><a:bodyPr wrap="square" anchor="${anchor}"><a:normAutofit/></a:bodyPr><a:lstStyle/>${paragraphs || '<a:p><a:endParaRPr lang="en-US"/></a:p>'}</p:txBody>
+      </p:sp>`;
+
+const buildSlideXml = (slide: DeckSlide): string => {
+  const width = SLIDE_WIDTH - MARGIN * 2;
+  let shapes: string;
+  let background = '';
+
+  if (slide.section || (!slide.bullets?.length && slide.subtitle !== undefined)) {
+    // Title and section slides centre their text
+    const color = slide.section ? 'FFFFFF' : ACCENT_COLOR;
+    if (slide.section) {
+      background = `<p:bg><p:bgPr><a:solidFill><a:srgbClr val="${ACCENT_COLOR}"/></a:solidFill><a:effectLst/></p:bgPr></p:bg>`;
+    }
+    shapes = textBox(2, 'Title', MARGIN, SLIDE_HEIGHT / 2 - TITLE_HEIGHT * 1.25, width, TITLE_HEIGHT * 1.25,
+      plainParagraph(slide.title, 4000, { bold: true, color, align: 'ctr' }), 'ctr');
+    shapes += textBox(3, 'Subtitle', MARGIN, SLIDE_HEIGHT / 2 + MARGIN / 4, width, TITLE_HEIGHT * 1.5,
+      (slide.subtitle || '').split('\n').filter(Boolean).map(line => plainParagraph(line, 2000, { color: slide.section ? 'E5E7EB' : '4B5563', align: 'ctr' })).join(''));
+  } else {
+    shapes = textBox(2, 'Title', MARGIN, MARGIN / 2, width, TITLE_HEIGHT,
+      plainParagraph(slide.title, 3200, { bold: true, color: ACCENT_COLOR }), 'ctr');
+    const body = [
+      ...(slide.subtitle ? [plainParagraph(slide.subtitle, 2000, { color: '4B5563' })] : []),
+      ...(slide.bullets || []).map(bullet => bulletParagraph(bullet, 2200))
+    ].join('');
+    shapes += textBox(3, 'Content', MARGIN, MARGIN / 2 + TITLE_HEIGHT + MARGIN / 4, width, SLIDE_HEIGHT - TITLE_HEIGHT - MARGIN * 1.75, body);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld ${NAMESPACES}>
+  <p:cSld>${background}<p:spTree>${EMPTY_GROUP}${shapes}
+  </p:spTree></p:cSld>
+  <p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr>
+</p:sld>`;
+};
+
+const buildSlideRelsXml = (index: number): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/slideLayout" Target="../slideLayouts/slideLayout1.xml"/>
+  <Relationship Id="rId2" Type="${RELS}/notesSlide" Target="../notesSlides/notesSlide${index}.xml"/>
+</Relationships>`;
+
+// PowerPoint reads speaker notes from the body placeholder of the notes slide
+const buildNotesXml = (notes: string): string => {
+  const paragraphs = notes.split(/\n+/).map(line => line.trim()).filter(Boolean)
+    .map(line => `<a:p>${textRun(line, 1200)}</a:p>`).join('') || '<a:p><a:endParaRPr lang="en-US"/></a:p>';
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:notes ${NAMESPACES}>
+  <p:cSld><p:spTree>${EMPTY_GROUP}
+    <p:sp>
+      <p:nvSpPr><p:cNvPr id="2" name="Notes Placeholder"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr>
+      <p:spPr/>
+      <p:txBody><a:bodyPr/><a:lstStyle/>${paragraphs}</p:txBody>
+    </p:sp>
+  </p:spTree></p:cSld>
+  <p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr>
+</p:notes>`;
+};
+
+const buildNotesRelsXml = (index: number): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELS}/notesMaster" Target="../notesMasters/notesMaster1.xml"/>
+  <Relationship Id="rId2" Type="${RELS}/slide" Target="../slides/slide${index}.xml"/>
+</Relationships>`;
+
+const buildCoreXml = (book: Book): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(book.title)}</dc:title>
+  <dc:creator>${escapeXml(getBookAuthor(book))}</dc:creator>
+  <dc:description>${escapeXml(book.description)}</dc:description>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:modified>
+</cp:coreProperties>`;
+
+const buildAppXml = (slideCount: number): string => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+  <Application>Unstack</Application>
+  <Slides>${slideCount}</Slides>
+</Properties>`;
+
+const optionLetter = (index: number) => String.fromCharCode(65 + index);
+
+/**
+ * Lays the course out as one deck: a title slide, then for each module a
+ * section slide followed by each lesson's title, content and quiz slides.
+ * Narration scripts and quiz answers go in the speaker notes.
+ */
+export const buildCourseSlides = (book: Book, course: Course): DeckSlide[] => {
+  const slides: DeckSlide[] = [{
+    title: book.title,
+    subtitle: [getBookAuthor(book), book.description].filter(Boolean).join('\n')
+  }];
+
+  if (course.objectives.length > 0) {
+    slides.push({ title: 'What you will learn', bullets: course.objectives });
+  }
+
+  course.modules.forEach((module, moduleIndex) => {
+    slides.push({
+      title: `Module ${moduleIndex + 1}: ${module.title}`,
+      subtitle: module.description,
+      section: true
+    });
+
+    module.lessons.forEach((lesson, lessonIndex) => {
+      slides.push({
+        title: `Lesson ${moduleIndex + 1}.${lessonIndex + 1}: ${lesson.title}`,
+        subtitle: lesson.objectives.length > 0 ? 'By the end of this lesson you will be able to:' : lesson.summary,
+        bullets: lesson.objectives,
+        notes: lesson.lessonPlan
+      });
+
+      lesson.slides.forEach(slide => {
+        slides.push({ title: slide.title, bullets: slide.bullets, notes: slide.script });
+      });
+
+      lesson.quiz.forEach((question, questionIndex) => {
+        slides.push({
+          title: `Quiz: Question ${questionIndex + 1}`,
+          subtitle: question.question,
+          bullets: question.options.map((option, i) => `${optionLetter(i)}. ${option}`),
+          notes: `Answer: ${optionLetter(question.correctIndex)}. ${question.options[question.correctIndex]}${question.explanation ? `\n${question.explanation}` : ''}`
+        });
+      });
+
+      if (lesson.quiz.length > 0) {
+        slides.push({
+          title: 'Answer Key',
+          bullets: lesson.quiz.map((question, i) =>
+            `${i + 1}. ${optionLetter(question.correctIndex)}. ${question.options[question.correctIndex]}`
+          )
+        });
+      }
+    });
+  });
+
+  return slides;
+};
+
+export const buildPPTX = async (book: Book, slides: DeckSlide[]): Promise<Blob> => {
+  const zip = new JSZip();
+
+  zip.file('[Content_Types].xml', buildContentTypesXml(slides.length));
+  zip.file('_rels/.rels', PACKAGE_RELS_XML);
+  zip.file('docProps/core.xml', buildCoreXml(book));
+  zip.file('docProps/app.xml', buildAppXml(slides.length));
+  zip.file('ppt/presentation.xml', buildPresentationXml(slides.length));
+  zip.file('ppt/_rels/presentation.xml.rels', buildPresentationRelsXml(slides.length));
+  zip.file('ppt/slideMasters/slideMaster1.xml', SLIDE_MASTER_XML);
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', SLIDE_MASTER_RELS_XML);
+  zip.file('ppt/slideLayouts/slideLayout1.xml', SLIDE_LAYOUT_XML);
+  zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', SLIDE_LAYOUT_RELS_XML);
+  zip.file('ppt/notesMasters/notesMaster1.xml', NOTES_MASTER_XML);
+  zip.file('ppt/notesMasters/_rels/notesMaster1.xml.rels', NOTES_MASTER_RELS_XML);
+  zip.file('ppt/theme/theme1.xml', THEME_XML('Unstack'));
+  zip.file('ppt/theme/theme2.xml', THEME_XML('Unstack Notes'));
+  zip.file('ppt/presProps.xml', PRES_PROPS_XML);
+  zip.file('ppt/viewProps.xml', VIEW_PROPS_XML);
+  zip.file('ppt/tableStyles.xml', TABLE_STYLES_XML);
+
+  slides.forEach((slide, i) => {
+    zip.file(`ppt/slides/slide${i + 1}.xml`, buildSlideXml(slide));
+    zip.file(`ppt/slides/_rels/slide${i + 1}.xml.rels`, buildSlideRelsXml(i + 1));
+    zip.file(`ppt/notesSlides/notesSlide${i + 1}.xml`, buildNotesXml(slide.notes || ''));
+    zip.file(`ppt/notesSlides/_rels/notesSlide${i + 1}.xml.rels`, buildNotesRelsXml(i + 1));
+  });
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    compression: 'DEFLATE'
+  });
+};
+
+export const buildCoursePPTX = (book: Book): Promise<Blob> => {
+  if (!book.course) throw new Error('This book has no course slides to export.');
+  return buildPPTX(book, buildCourseSlides(book, book.course));
+};
@@ -0,0 +1,673 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Book,
+  BookChapter,
+  ChapterReadability,
+  QualityAuditReport,
+  QualityIssue,
+  QualityIssueSeverity,
+  QualityIssueType,
+  SectionVoiceFidelity,
+  StoryBible,
+  StyleProfile,
+  SubChapter,
+  WritingPersona
+} from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { HEAT_LEVEL_DESCRIPTIONS, PERSPECTIVE_DESCRIPTIONS } from './geminiService';
+import { createEmptyStoryBible, loadStoryBible } from './storyBibleService';
+import { fixSectionIssue } from './editingService';
+import { getChapterPersonaId, getChapterPersonaInstructions, loadBookPersonas, scoreChapterVoice } from './personaService';
+import { countWords } from './manuscriptService';
+import { computeStyleProfile, scoreStyleFidelity } from './stylometryService';
+import { splitParagraphs } from './epubService';
+
+// Shortest word run reported as a repeated phrase, and shortest paragraph checked for duplicates
+const PHRASE_WORDS = 8;
+const MIN_REPEATED_PARAGRAPH_WORDS = 15;
+const MAX_PHRASE_ISSUES = 25;
+// Sections under this share of the typical section length are flagged as short
+const SHORT_SECTION_RATIO = 0.4;
+const MIN_SECTION_WORDS = 150;
+// The default 2048-token output cap ends sections at roughly this many words
+const OUTPUT_LIMIT_WORDS = 1400;
+// Narration needs this many words before its pronouns say anything about perspective
+const MIN_NARRATION_WORDS = 100;
+// Sections scoring below this against their persona's sample are reported as drifting from its voice
+const VOICE_DRIFT_SCORE = 70;
+const MAX_AI_CHAPTER_CHARS = 60000;
+const EXCERPT_CHARS = 200;
+
+export const QUALITY_ISSUE_LABELS: Record<QualityIssueType, string> = {
+  repetition: 'Repetition',
+  consistency: 'Consistency',
+  perspective: 'Perspective',
+  'heat-level': 'Heat level',
+  length: 'Length',
+  truncation: 'Truncated',
+  voice: 'Voice'
+};
+
+const FIRST_PERSON = new Set(['i', 'me', 'my', 'mine', 'myself']);
+const SECOND_PERSON = new Set(['you', 'your', 'yours', 'yourself']);
+const THIRD_PERSON = new Set(['he', 'she', 'him', 'her', 'his', 'hers', 'himself', 'herself']);
+
+const SEVERITY_ORDER: Record<QualityIssueSeverity, number> = { error: 0, warning: 1, info: 2 };
+
+// The last report per book, so the panel can be closed and reopened without re-running AI checks
+const lastReports = new Map<string, QualityAuditReport>();
+
+interface AuditedSection {
+  chapter: BookChapter;
+  subChapter: SubChapter;
+  content: string;
+  label: string;
+}
+
+const signSection = (content: string = ''): string => {
+  let hash = 5381;
+  for (let i = 0; i < content.length; i++) {
+    hash = ((hash << 5) + hash + content.charCodeAt(i)) | 0;
+  }
+  return `${content.length}:${(hash >>> 0).toString(36)}`;
+};
+
+const getWrittenSections = (book: Book): AuditedSection[] =>
+  book.chapters.flatMap((chapter, chapterIndex) =>
+    (chapter.subChapters || [])
+      .map((subChapter, sectionIndex) => ({
+        chapter,
+        subChapter,
+        content: (subChapter.content || '').trim(),
+        label: `Chapter ${chapterIndex + 1}, section ${sectionIndex + 1} ("${subChapter.title}")`
+      }))
+      .filter(section => section.content)
+  );
+
+const createIssue = (
+  section: AuditedSection,
+  type: QualityIssueType,
+  severity: QualityIssueSeverity,
+  message: string,
+  fixInstruction: string,
+  excerpt?: string,
+  origin: QualityIssue['origin'] = 'check'
+): QualityIssue => ({
+  id: uuidv4(),
+  type,
+  severity,
+  origin,
+  chapterId: section.chapter.id,
+  subChapterId: section.subChapter.id,
+  message,
+  excerpt,
+  fixInstruction,
+  sectionSignature: signSection(section.subChapter.content)
+});
+
+const shorten = (text: string, fromEnd: boolean = false): string => {
+  const trimmed = text.trim();
+  if (trimmed.length <= EXCERPT_CHARS) return trimmed;
+  return fromEnd ? `...${trimmed.slice(-EXCERPT_CHARS)}` : `${trimmed.slice(0, EXCERPT_CHARS)}...`;
+};
+
+const normalizeWords = (text: string): string[] =>
+  text.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9']+/g) || [];
+
+const checkLength = (sections: AuditedSection[]): QualityIssue[] => {
+  const wordCounts = sections.map(section => countWords(section.content));
+  const sorted = [...wordCounts].sort((a, b) => a - b);
+  // With only a couple of sections there is no "typical" length to compare against
+  const typicalWords = sorted.length >= 3 ? sorted[Math.floor(sorted.length / 2)] : 0;
+  const shortThreshold = Math.max(MIN_SECTION_WORDS, Math.round(typicalWords * SHORT_SECTION_RATIO));
+
+  return sections.flatMap((section, index) => {
+    const words = wordCounts[index];
+    const issues: QualityIssue[] = [];
+
+    if (!/[.!?…"”’')\]*]$/.test(section.content)) {
+      issues.push(createIssue(
+        section,
+        'truncation',
+        'error',
+        words >= OUTPUT_LIMIT_WORDS
+          ? `Ends mid-sentence after ${words.toLocaleString()} words, most likely cut off by the model's output limit.`
+          : 'Ends mid-sentence.',
+        'The section stops mid-sentence. Keep everything already written and continue from where it stops so the section finishes naturally.',
+        shorten(section.content, true)
+      ));
+    } else if (words < shortThreshold) {
+      const target = Math.max(typicalWords, MIN_SECTION_WORDS * 2);
+      issues.push(createIssue(
+        section,
+        'length',
+        'warning',
+        typicalWords
+          ? `Only ${words.toLocaleString()} words, against ${typicalWords.toLocaleString()} for a typical section.`
+          : `Only ${words.toLocaleString()} words.`,
+        `Expand the section to around ${target.toLocaleString()} words, covering what it describes in more depth without changing what happens.`
+      ));
+    }
+
+    return issues;
+  });
+};
+
+const checkRepetition = (sections: AuditedSection[]): QualityIssue[] => {
+  const issues: QualityIssue[] = [];
+  const firstSeen = new Map<string, AuditedSection>();
+  const repeatedParagraphs = new Set<string>();
+
+  for (const section of sections) {
+    for (const paragraph of splitParagraphs(section.content)) {
+      const words = normalizeWords(paragraph);
+      if (words.length < MIN_REPEATED_PARAGRAPH_WORDS) continue;
+
+      const key = words.join(' ');
+      const first = firstSeen.get(key);
+      if (!first) {
+        firstSeen.set(key, section);
+        continue;
+      }
+
+      repeatedParagraphs.add(key);
+      issues.push(createIssue(
+        section,
+        'repetition',
+        'error',
+        first === section ? 'This paragraph appears more than once in the section.' : `This paragraph repeats one in ${first.label}.`,
+        'Remove or rewrite the repeated paragraph quoted below so it adds something new, keeping the rest of the section as it is.',
+        shorten(paragraph)
+      ));
+    }
+  }
+
+  // Phrases are matched within paragraphs; whole repeated paragraphs are already reported above
+  const sectionParagraphs = sections.map(section =>
+    splitParagraphs(section.content)
+      .map(normalizeWords)
+      .filter(words => !repeatedParagraphs.has(words.join(' ')))
+  );
+
+  const phraseSections = new Map<string, Set<number>>();
+  sectionParagraphs.forEach((paragraphs, sectionIndex) => {
+    for (const words of paragraphs) {
+      for (let i = 0; i + PHRASE_WORDS <= words.length; i++) {
+        const key = words.slice(i, i + PHRASE_WORDS).join(' ');
+        const found = phraseSections.get(key) || new Set<number>();
+        found.add(sectionIndex);
+        phraseSections.set(key, found);
+      }
+    }
+  });
+
+  // A phrase is reported in every section after the first one that uses it
+  const repeatsEarlier = (key: string, sectionIndex: number) => {
+    const found = phraseSections.get(key);
+    return !!found && found.size > 1 && Math.min(...found) < sectionIndex;
+  };
+
+  const phraseIssues: { issue: QualityIssue; uses: number }[] = [];
+  sectionParagraphs.forEach((paragraphs, sectionIndex) => {
+    const reported = new Set<string>();
+    for (const words of paragraphs) {
+      let i = 0;
+      while (i + PHRASE_WORDS <= words.length) {
+        const key = words.slice(i, i + PHRASE_WORDS).join(' ');
+        if (!repeatsEarlier(key, sectionIndex)) {
+          i++;
+          continue;
+        }
+
+        // Extend the match while the following words are repeated too
+        let end = i + PHRASE_WORDS;
+        while (end < words.length && repeatsEarlier(words.slice(end - PHRASE_WORDS + 1, end + 1).join(' '), sectionIndex)) {
+          end++;
+        }
+
+        // Variations of a phrase already reported in this section share some of its word runs
+        const keys = Array.from({ length: end - i - PHRASE_WORDS + 1 }, (_, offset) =>
+          words.slice(i + offset, i + offset + PHRASE_WORDS).join(' ')
+        );
+        const phrase = words.slice(i, end).join(' ');
+        const found = phraseSections.get(key)!;
+        if (!keys.some(runKey => reported.has(runKey))) {
+          keys.forEach(runKey => reported.add(runKey));
+          const first = sections[Math.min(...found)];
+          phraseIssues.push({
+            uses: found.size,
+            issue: createIssue(
+              sections[sectionIndex],
+              'repetition',
+              'warning',
+              `Repeats a phrase used in ${found.size - 1} other section${found.size === 2 ? '' : 's'}, first in ${first.label}.`,
+              `Reword the phrase "${phrase}" so it doesn't repeat wording from earlier in the book, keeping its meaning.`,
+              phrase
+            )
+          });
+        }
+        i = end;
+      }
+    }
+  });
+
+  phraseIssues
+    .sort((a, b) => b.uses - a.uses)
+    .slice(0, MAX_PHRASE_ISSUES)
+    .forEach(({ issue }) => issues.push(issue));
+
+  return issues;
+};
+
+// Optimal string alignment distance, so swapped letters count as one edit
+const editDistance = (a: string, b: string): number => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Flags rare capitalised words that are one or two letters away from a name
+ * the book uses often or the story bible knows about, e.g. "Jonh" for "John".
+ * Only mid-sentence capitals are counted so ordinary sentence openers don't
+ * become names.
+ */
+const checkNames = (sections: AuditedSection[], bible: StoryBible): QualityIssue[] => {
+  const namePattern = /(?<=[a-z,;:]\s+)[A-Z][a-z]{3,}\b/g;
+  const counts = new Map<string, number>();
+  const firstSection = new Map<string, AuditedSection>();
+
+  for (const section of sections) {
+    for (const [name] of section.content.matchAll(namePattern)) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+      if (!firstSection.has(name)) firstSection.set(name, section);
+    }
+  }
+
+  const knownNames = new Set(
+    bible.entries
+      .filter(entry => entry.type === 'character' || entry.type === 'place')
+      .flatMap(entry => entry.name.match(/[A-Z][a-z]{3,}/g) || [])
+  );
+  counts.forEach((count, name) => {
+    if (count >= 5) knownNames.add(name);
+  });
+
+  const lowercaseText = new Set(sections.flatMap(section => section.content.match(/\b[a-z]+\b/g) || []));
+  const issues: QualityIssue[] = [];
+
+  counts.forEach((count, variant) => {
+    if (count > 2 || knownNames.has(variant) || variant.length < 5) return;
+    // Ordinary words that happen to be capitalised, like "Mother", also appear in lowercase
+    if (lowercaseText.has(variant.toLowerCase())) return;
+
+    const maxDistance = variant.length >= 8 ? 2 : 1;
+    const match = [...knownNames].find(name =>
+      name !== `${variant}s` && variant !== `${name}s` && editDistance(name, variant) <= maxDistance
+    );
+    if (!match) return;
+
+    issues.push(createIssue(
+      firstSection.get(variant)!,
+      'consistency',
+      'warning',
+      `"${variant}" looks like a misspelling of "${match}", which is used elsewhere in the book.`,
+      `Change "${variant}" to "${match}" wherever it refers to the same character or place.`,
+      variant
+    ));
+  });
+
+  return issues;
+};
+
+const stripDialogue = (text: string): string =>
+  text.replace(/“[^”]*”/g, ' ').replace(/"[^"\n]*"/g, ' ');
+
+const findSentenceWith = (text: string, pronouns: Set<string>): string | undefined =>
+  text
+    .split(/(?<=[.!?])\s+/)
+    .find(sentence => normalizeWords(sentence).some(word => pronouns.has(word)));
+
+const checkPerspective = (sections: AuditedSection[], perspective?: string): QualityIssue[] => {
+  if (!perspective || !PERSPECTIVE_DESCRIPTIONS[perspective]) return [];
+  const fixInstruction = `${PERSPECTIVE_DESCRIPTIONS[perspective]} Rewrite any narration that slips out of this perspective, leaving dialogue as it is.`;
+
+  return sections.flatMap(section => {
+    const narration = stripDialogue(section.content);
+    const words = normalizeWords(narration);
+    if (words.length < MIN_NARRATION_WORDS) return [];
+
+    // Pronouns per thousand words of narration
+    const rate = (pronouns: Set<string>) => words.filter(word => pronouns.has(word)).length * 1000 / words.length;
+    const first = rate(FIRST_PERSON);
+    const second = rate(SECOND_PERSON);
+    const third = rate(THIRD_PERSON);
+
+    let drift: { message: string; pronouns: Set<string> } | null = null;
+    if (perspective === 'first' && first < 3 && third > 15) {
+      drift = { message: 'Narration reads as third person, but the book is written in first person.', pronouns: THIRD_PERSON };
+    } else if (perspective.startsWith('third') && first > 10) {
+      drift = { message: 'Narration slips into first person, but the book is written in third person.', pronouns: FIRST_PERSON };
+    } else if (perspective.startsWith('third') && second > 15) {
+      drift = { message: 'Narration addresses the reader as "you", but the book is written in third person.', pronouns: SECOND_PERSON };
+    } else if (perspective === 'second' && second < 5 && (first > 10 || third > 15)) {
+      drift = {
+        message: `Narration reads as ${first > third ? 'first' : 'third'} person, but the book is written in second person.`,
+        pronouns: first > third ? FIRST_PERSON : THIRD_PERSON
+      };
+    }
+
+    if (!drift) return [];
+    const example = findSentenceWith(narration, drift.pronouns);
+    return [createIssue(section, 'perspective', 'warning', drift.message, fixInstruction, example && shorten(example))];
+  });
+};
+
+const countSyllables = (word: string): number => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const roundTo = (value: number, places: number = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const measureReadability = (chapter: BookChapter): ChapterReadability => {
+  const text = (chapter.subChapters || []).map(subChapter => subChapter.content || '').join('\n');
+  const words = text.match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+  const sentenceCount = text
+    .split(/[.!?…]+(?=[\s"”’)]|$)|\n+/)
+    .filter(sentence => /[A-Za-z0-9]/.test(sentence)).length;
+
+  if (words.length === 0 || sentenceCount === 0) {
+    return { chapterId: chapter.id, wordCount: 0, sentenceCount: 0, averageSentenceLength: 0, readingEase: 0, gradeLevel: 0 };
+  }
+
+  const wordsPerSentence = words.length / sentenceCount;
+  const syllablesPerWord = words.reduce((total, word) => total + countSyllables(word), 0) / words.length;
+
+  return {
+    chapterId: chapter.id,
+    wordCount: words.length,
+    sentenceCount,
+    averageSentenceLength: roundTo(wordsPerSentence),
+    readingEase: roundTo(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    gradeLevel: roundTo(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+  };
+};
+
+// Scores every section written in a persona that has a writing sample to compare against
+const checkVoice = (
+  sections: AuditedSection[],
+  book: Book,
+  personas: Record<string, WritingPersona>
+): { fidelity: SectionVoiceFidelity[]; issues: QualityIssue[] } => {
+  const referenceProfiles = new Map<string, StyleProfile>();
+  const fidelity: SectionVoiceFidelity[] = [];
+  const issues: QualityIssue[] = [];
+  // Like stored scores, a translation isn't compared with a sample in another language
+  if (book.translation) return { fidelity, issues };
+
+  sections.forEach(section => {
+    const persona = personas[getChapterPersonaId(book, section.chapter) || ''];
+    if (!persona?.sampleText) return;
+
+    if (!referenceProfiles.has(persona.id)) {
+      referenceProfiles.set(persona.id, computeStyleProfile(persona.sampleText));
+    }
+    const result = scoreStyleFidelity(computeStyleProfile(section.content), referenceProfiles.get(persona.id)!);
+    if (!result) return;
+
+    fidelity.push({
+      ...result,
+      chapterId: section.chapter.id,
+      subChapterId: section.subChapter.id,
+      personaId: persona.id,
+      personaName: persona.name
+    });
+
+    if (result.score < VOICE_DRIFT_SCORE) {
+      issues.push(createIssue(
+        section,
+        'voice',
+        'info',
+        `Reads unlike ${persona.name}'s sample (fidelity ${result.score}/100): ${result.differences.join('; ') || 'the overall rhythm differs'}.`,
+        `Revise the prose so it reads like the persona's writing sample. In particular: ${result.differences.join('; ') || 'match its sentence rhythm and paragraphing'}. Keep every event, fact and line of dialogue meaning.`
+      ));
+    }
+  });
+
+  return { fidelity, issues };
+};
+
+// What the model was asked to return for each issue; any field may be missing or malformed
+interface AIIssueItem {
+  section?: unknown;
+  type?: unknown;
+  message?: unknown;
+  excerpt?: unknown;
+  fix?: unknown;
+}
+
+const parseAIIssues = (response: string): AIIssueItem[] => {
+  const cleanResponse = response.trim().replace(/```json\s*|\s*```/g, '');
+  const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    console.error('No JSON found in response:', response);
+    throw new Error('No valid JSON found in response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  return Array.isArray(parsed.issues)
+    ? parsed.issues.filter((item: unknown): item is AIIssueItem => !!item && typeof item === 'object')
+    : [];
+};
+
+// Facts and heat level need the model to read the chapter; everything else is checked on this device
+const auditChapterWithAI = async (
+  book: Book,
+  chapterIndex: number,
+  bible: StoryBible,
+  llm: LLMTarget
+): Promise<QualityIssue[]> => {
+  const chapter = book.chapters[chapterIndex];
+  const sections = (chapter.subChapters || []).filter(subChapter => subChapter.content?.trim());
+  if (sections.length === 0) return [];
+
+  let chapterText = sections
+    .map((subChapter, index) => `[Section ${index + 1}] ${subChapter.title}\n${subChapter.content!.trim()}`)
+    .join('\n\n');
+  if (chapterText.length > MAX_AI_CHAPTER_CHARS) {
+    chapterText = `${chapterText.slice(0, MAX_AI_CHAPTER_CHARS)}\n(remaining text omitted)`;
+  }
+
+  const bibleText = bible.entries.length > 0
+    ? bible.entries.map(entry => `- ${entry.name} (${entry.type}): ${entry.description}`).join('\n')
+    : 'No story bible entries yet.';
+  const heatLevel = book.heatLevel ? HEAT_LEVEL_DESCRIPTIONS[book.heatLevel] || book.heatLevel : '';
+  const heatLevelPrompt = heatLevel ? `\nHEAT LEVEL:\n${heatLevel}\n` : '';
+  const heatLevelCheck = heatLevel
+    ? '\n- Romantic or sexual content that is more or less explicit than the heat level allows (type "heat-level")'
+    : '';
+
+  const prompt = `
+You are a developmental editor checking one chapter of a book for problems.
+
+BOOK: ${book.title} (${book.genre})
+${heatLevelPrompt}
+STORY BIBLE:
+${bibleText}
+
+CHAPTER ${chapterIndex + 1}: ${chapter.title}
+${chapterText}
+
+Report:
+- Names, ages, relationships, places, timeline details or descriptions that contradict the story bible or each other (type "consistency")${heatLevelCheck}
+
+Only report clear problems, not style preferences.
+
+Return ONLY a JSON object in this format:
+{
+  "issues": [
+    {
+      "section": 1,
+      "type": "consistency",
+      "message": "What is wrong, in one sentence",
+      "excerpt": "A short exact quote of the problem text",
+      "fix": "An instruction telling an editor how to fix it"
+    }
+  ]
+}
+
+Return {"issues": []} if there are no problems.
+`;
+
+  const response = await generateText(prompt, llm, { temperature: 0.2, maxOutputTokens: 2048 });
+
+  return parseAIIssues(response).flatMap(item => {
+    const subChapter = sections[Number(item.section) - 1];
+    if (!subChapter || !item.message) return [];
+
+    const type: QualityIssueType = item.type === 'heat-level' && heatLevel ? 'heat-level' : 'consistency';
+    const section: AuditedSection = { chapter, subChapter, content: subChapter.content || '', label: subChapter.title };
+    const fixInstruction = item.fix || (type === 'heat-level'
+      ? `Adjust the content to match this heat level: ${heatLevel}`
+      : 'Correct the inconsistency so it agrees with the rest of the book.');
+
+    return [createIssue(section, type, 'warning', String(item.message), String(fixInstruction), item.excerpt ? shorten(String(item.excerpt)) : undefined, 'ai')];
+  });
+};
+
+/**
+ * Audits the whole book: repetition, name variants, perspective drift, short or
+ * truncated sections, per-chapter readability and each section's fidelity to
+ * its persona's writing sample are checked locally; when an analysis model is
+ * given, each chapter is also read for contradictions and heat-level problems.
+ */
+export const auditBook = async (
+  book: Book,
+  options: {
+    llm?: LLMTarget;
+    onProgress?: (completedChapters: number, totalChapters: number) => void;
+  } = {}
+): Promise<QualityAuditReport> => {
+  let bible: StoryBible;
+  try {
+    bible = await loadStoryBible(book.id);
+  } catch (error) {
+    console.error('Error loading story bible for audit:', error);
+    bible = createEmptyStoryBible(book.id);
+  }
+
+  let personas: Record<string, WritingPersona> = {};
+  try {
+    personas = await loadBookPersonas(book);
+  } catch (error) {
+    console.error('Error loading writing personas for audit:', error);
+  }
+
+  const sections = getWrittenSections(book);
+  const voice = checkVoice(sections, book, personas);
+  const issues: QualityIssue[] = [
+    ...checkLength(sections),
+    ...checkRepetition(sections),
+    ...checkNames(sections, bible),
+    ...checkPerspective(sections, book.perspective),
+    ...voice.issues
+  ];
+
+  const aiErrors: string[] = [];
+  if (options.llm) {
+    const chapterIndexes = book.chapters
+      .map((chapter, index) => (chapter.subChapters || []).some(sc => sc.content?.trim()) ? index : -1)
+      .filter(index => index >= 0);
+
+    for (let i = 0; i < chapterIndexes.length; i++) {
+      options.onProgress?.(i, chapterIndexes.length);
+      try {
+        issues.push(...await auditChapterWithAI(book, chapterIndexes[i], bible, options.llm));
+      } catch (error) {
+        console.error(`Error auditing chapter ${chapterIndexes[i] + 1}:`, error);
+        aiErrors.push(`Chapter ${chapterIndexes[i] + 1}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      }
+
+      // Add delay to prevent rate limiting
+      if (i < chapterIndexes.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    options.onProgress?.(chapterIndexes.length, chapterIndexes.length);
+  }
+
+  const sectionOrder = new Map(sections.map((section, index) => [section.subChapter.id, index]));
+  issues.sort((a, b) =>
+    (sectionOrder.get(a.subChapterId) ?? 0) - (sectionOrder.get(b.subChapterId) ?? 0) ||
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+  );
+
+  const report: QualityAuditReport = {
+    bookId: book.id,
+    createdAt: new Date().toISOString(),
+    issues,
+    readability: book.chapters.map(measureReadability).filter(chapter => chapter.wordCount > 0),
+    voiceFidelity: voice.fidelity,
+    aiChecked: !!options.llm,
+    aiErrors
+  };
+  lastReports.set(book.id, report);
+  return report;
+};
+
+export const getLastQualityReport = (bookId: string): QualityAuditReport | undefined => lastReports.get(bookId);
+
+// False once the section has been rewritten, fixed or removed since the audit
+export const isQualityIssueCurrent = (book: Book, issue: QualityIssue): boolean => {
+  const chapter = book.chapters.find(c => c.id === issue.chapterId);
+  const subChapter = chapter?.subChapters?.find(sc => sc.id === issue.subChapterId);
+  return !!subChapter?.content && signSection(subChapter.content) === issue.sectionSignature;
+};
+
+export const fixQualityIssue = async (
+  book: Book,
+  issue: QualityIssue,
+  llm: LLMTarget,
+  personas: Record<string, WritingPersona> = {}
+): Promise<Book> => {
+  const chapter = book.chapters.find(c => c.id === issue.chapterId);
+  const subChapter = chapter?.subChapters?.find(sc => sc.id === issue.subChapterId);
+  if (!chapter || !subChapter?.content) {
+    throw new Error('This section no longer has any content to fix.');
+  }
+
+  const content = await fixSectionIssue(
+    subChapter.content,
+    issue.message,
+    issue.fixInstruction,
+    issue.excerpt,
+    llm,
+    getChapterPersonaInstructions(book, chapter, personas)
+  );
+
+  return {
+    ...book,
+    chapters: book.chapters.map(c => c.id !== chapter.id ? c : {
+      ...c,
+      subChapters: c.subChapters?.map(sc => sc.id === subChapter.id ? { ...sc, content, voiceFidelity: scoreChapterVoice(book, chapter, personas, content) } : sc)
+    })
+  };
+};
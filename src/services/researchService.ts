@@ -0,0 +1,59 @@
+import { AIUsageContext, ResearchProviderId, ResearchSource, SectionResearch } from '../types';
+import { researchTopicWithSources, ResearchResult } from './perplexityService';
+
+interface ResearchProviderAdapter {
+  label: string;
+  research: (topic: string, description: string, usage: AIUsageContext) => Promise<ResearchResult>;
+}
+
+const slugify = (text: string) =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'topic';
+
+// Canned findings with stable example.org sources, so research and citations can be tried without an API key
+const mockResearch = async (topic: string, description: string): Promise<ResearchResult> => {
+  const slug = slugify(topic);
+  const sources: ResearchSource[] = [
+    { url: `https://example.org/research/${slug}/overview`, title: `${topic}: An Overview` },
+    { url: `https://example.org/research/${slug}/statistics`, title: `Key Figures on ${topic}` },
+    { url: `https://example.org/research/${slug}/case-studies`, title: `${topic} in Practice: Case Studies` }
+  ];
+
+  const text = `Offline research notes for "${topic}" (mock provider, not real sources).
+
+- ${topic} is usually introduced through its core ideas and how they developed over time [1].
+- ${description ? `In this context (${description}), ` : ''}figures reported by different sources vary, so numbers should be checked before publishing [2].
+- Worked examples and case studies help readers apply ${topic} in their own situation [3].
+- Experts recommend revisiting the basics before moving on to advanced material [1][3].`;
+
+  return { text, sources };
+};
+
+const RESEARCH_PROVIDERS: Record<ResearchProviderId, ResearchProviderAdapter> = {
+  perplexity: {
+    label: 'Perplexity',
+    research: researchTopicWithSources
+  },
+  mock: {
+    label: 'Offline mock research',
+    research: mockResearch
+  }
+};
+
+export const getResearchProvider = (): ResearchProviderId =>
+  import.meta.env.VITE_RESEARCH_PROVIDER === 'mock' ? 'mock' : 'perplexity';
+
+export const researchSection = async (
+  title: string,
+  description: string,
+  bookId?: string,
+  provider: ResearchProviderId = getResearchProvider()
+): Promise<SectionResearch> => {
+  const result = await RESEARCH_PROVIDERS[provider].research(title, description, { bookId, operation: 'research' });
+
+  return {
+    provider,
+    summary: result.text,
+    sources: result.sources,
+    researchedAt: new Date().toISOString()
+  };
+};
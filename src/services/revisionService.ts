@@ -0,0 +1,322 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Book, RevisionPoint, RevisionSource, SectionRevision, SubChapter, WordDiffSegment } from '../types';
+import { fetchAllRows, supabase } from '../lib/supabase';
+import { countWords } from './manuscriptService';
+
+// Above this many comparisons the changed middle is shown as one replaced block
+const MAX_DIFF_CELLS = 9_000_000;
+const TIMELINE_LIMIT = 500;
+// Stays under the API's row limit, which would otherwise cut results short without an error
+export const REVISION_SOURCE_LABELS: Record<RevisionSource, string> = {
+  generate: 'Generated',
+  edit: 'AI edit',
+  'heat-level': 'Heat level conversion',
+  translation: 'Translation',
+  edition: 'Edition',
+  manual: 'Manual save',
+  import: 'Manuscript import',
+  restore: 'Restored',
+  snapshot: 'Earlier version'
+};
+
+export interface RevisionEntry {
+  chapterId: string;
+  subChapter: SubChapter;
+  source: RevisionSource;
+  note?: string;
+}
+
+// Rows come back snake_case from the database; content is left out of history listings
+interface SectionRevisionRow {
+  id: string;
+  book_id: string;
+  chapter_id: string;
+  sub_chapter_id: string;
+  section_title: string;
+  content?: string | null;
+  word_count: number | null;
+  source: SectionRevision['source'];
+  note: string | null;
+  batch_id: string;
+  created_at: string;
+}
+
+const mapRevision = (data: SectionRevisionRow): SectionRevision => ({
+  id: data.id,
+  bookId: data.book_id,
+  chapterId: data.chapter_id,
+  subChapterId: data.sub_chapter_id,
+  sectionTitle: data.section_title,
+  content: data.content ?? undefined,
+  wordCount: data.word_count || 0,
+  source: data.source,
+  note: data.note || undefined,
+  batchId: data.batch_id,
+  createdAt: data.created_at
+});
+
+const hashContent = async (content: string): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Stores one revision per entry, skipping sections whose content matches their
+ * latest revision. History must never block saving, so failures are only logged.
+ */
+export const recordRevisions = async (
+  bookId: string,
+  entries: RevisionEntry[],
+  batchId: string = uuidv4()
+): Promise<void> => {
+  try {
+    const withContent = entries.filter(entry => entry.subChapter.content?.trim());
+    if (withContent.length === 0) return;
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError || !user) throw new Error('User not authenticated');
+
+    const hashes = await Promise.all(withContent.map(entry => hashContent(entry.subChapter.content!)));
+
+    const latest = await fetchAllRows<{ sub_chapter_id: string; content_hash: string }>((from, to) =>
+      supabase
+        .rpc('latest_section_revision_hashes', { p_sub_chapter_ids: withContent.map(entry => entry.subChapter.id) })
+        .range(from, to)
+    );
+    const latestHashes = new Map(latest.map(row => [row.sub_chapter_id, row.content_hash]));
+
+    const rows = withContent
+      .map((entry, index) => ({ entry, hash: hashes[index] }))
+      .filter(({ entry, hash }) => latestHashes.get(entry.subChapter.id) !== hash)
+      .map(({ entry, hash }) => ({
+        book_id: bookId,
+        user_id: user.id,
+        chapter_id: entry.chapterId,
+        sub_chapter_id: entry.subChapter.id,
+        section_title: entry.subChapter.title,
+        content: entry.subChapter.content,
+        content_hash: hash,
+        word_count: countWords(entry.subChapter.content),
+        source: entry.source,
+        note: entry.note || null,
+        batch_id: batchId
+      }));
+
+    if (rows.length === 0) return;
+
+    const { error } = await supabase
+      .from('section_revisions')
+      .insert(rows);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error recording revisions:', error);
+  }
+};
+
+export const recordSectionRevision = (
+  bookId: string,
+  chapterId: string,
+  subChapter: SubChapter,
+  source: RevisionSource,
+  note?: string
+): Promise<void> => recordRevisions(bookId, [{ chapterId, subChapter, source, note }]);
+
+/**
+ * Records every section whose content differs between two versions of a book.
+ * The previous content is snapshotted first, so sections written before history
+ * existed can still be restored. Sections missing from the new version are
+ * snapshotted too, so deleting them from the outline doesn't lose their text.
+ */
+export const recordBookChanges = async (
+  before: Book,
+  after: Book,
+  source: RevisionSource,
+  note?: string,
+  overrides: Record<string, { source: RevisionSource; note?: string }> = {}
+): Promise<void> => {
+  const previous = new Map(
+    before.chapters.flatMap(chapter => (chapter.subChapters || []).map(sc => [sc.id, { chapterId: chapter.id, subChapter: sc }] as const))
+  );
+
+  const snapshots: RevisionEntry[] = [];
+  const changes: RevisionEntry[] = [];
+
+  for (const chapter of after.chapters) {
+    for (const subChapter of chapter.subChapters || []) {
+      const earlier = previous.get(subChapter.id);
+      if ((earlier?.subChapter.content || '') === (subChapter.content || '')) continue;
+
+      if (earlier) snapshots.push({ ...earlier, source: 'snapshot' });
+      changes.push({
+        chapterId: chapter.id,
+        subChapter,
+        source: overrides[subChapter.id]?.source || source,
+        note: overrides[subChapter.id]?.note || note
+      });
+    }
+  }
+
+  const remaining = new Set(after.chapters.flatMap(chapter => (chapter.subChapters || []).map(sc => sc.id)));
+  previous.forEach((earlier, id) => {
+    if (!remaining.has(id)) snapshots.push({ ...earlier, source: 'snapshot', note: 'Removed from the outline' });
+  });
+
+  await recordRevisions(before.id, snapshots);
+  await recordRevisions(after.id, changes);
+};
+
+export const loadSectionRevisions = async (subChapterId: string): Promise<SectionRevision[]> => {
+  const { data, error } = await supabase
+    .from('section_revisions')
+    .select('*')
+    .eq('sub_chapter_id', subChapterId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(mapRevision);
+};
+
+// Each save is one point in the timeline; content is left out to keep the list light
+export const loadRevisionTimeline = async (bookId: string): Promise<RevisionPoint[]> => {
+  const { data, error } = await supabase
+    .from('section_revisions')
+    .select('id, book_id, chapter_id, sub_chapter_id, section_title, word_count, source, note, batch_id, created_at')
+    .eq('book_id', bookId)
+    .order('created_at', { ascending: false })
+    .limit(TIMELINE_LIMIT);
+
+  if (error) throw error;
+
+  const points = new Map<string, RevisionPoint>();
+  for (const revision of (data || []).map(mapRevision)) {
+    const point = points.get(revision.batchId);
+    if (point) {
+      point.sectionCount++;
+      point.note = point.note || revision.note;
+    } else {
+      points.set(revision.batchId, {
+        batchId: revision.batchId,
+        source: revision.source,
+        note: revision.note,
+        sectionCount: 1,
+        createdAt: revision.createdAt
+      });
+    }
+  }
+
+  return Array.from(points.values());
+};
+
+/**
+ * Returns the book as it stood at a point in the timeline: every section takes
+ * its latest revision recorded at or before that time. Sections without history
+ * at that point keep their current content.
+ */
+export const buildBookAtRevisionPoint = async (book: Book, point: RevisionPoint): Promise<Book> => {
+  const rows = await fetchAllRows<{ sub_chapter_id: string; content: string }>((from, to) =>
+    supabase
+      .rpc('section_revisions_at', { p_book_id: book.id, p_at: point.createdAt })
+      .range(from, to)
+  );
+  const contentAtPoint = new Map(rows.map(row => [row.sub_chapter_id, row.content]));
+
+  return {
+    ...book,
+    chapters: book.chapters.map(chapter => ({
+      ...chapter,
+      subChapters: chapter.subChapters?.map(subChapter => contentAtPoint.has(subChapter.id)
+        ? { ...subChapter, content: contentAtPoint.get(subChapter.id), status: 'completed' as const, error: undefined, voiceFidelity: undefined }
+        : subChapter)
+    }))
+  };
+};
+
+export const restoreSectionRevision = (book: Book, revision: SectionRevision): Book => {
+  if (revision.content === undefined) {
+    throw new Error('Revision content is not loaded');
+  }
+
+  return {
+    ...book,
+    chapters: book.chapters.map(chapter => ({
+      ...chapter,
+      subChapters: chapter.subChapters?.map(subChapter => subChapter.id === revision.subChapterId
+        ? { ...subChapter, content: revision.content, status: 'completed' as const, error: undefined, voiceFidelity: undefined }
+        : subChapter)
+    }))
+  };
+};
+
+// Words keep their trailing whitespace so the diff can be rendered as-is
+const tokenize = (text: string): string[] => text.match(/\s+|\S+\s*/g) || [];
+
+const pushSegment = (segments: WordDiffSegment[], type: WordDiffSegment['type'], text: string) => {
+  const last = segments[segments.length - 1];
+  if (last?.type === type) {
+    last.text += text;
+  } else if (text) {
+    segments.push({ type, text });
+  }
+};
+
+export const diffWords = (before: string, after: string): WordDiffSegment[] => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const same = (x: string, y: string) => x.trim() === y.trim();
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && same(a[prefix], b[prefix])) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    same(a[a.length - 1 - suffix], b[b.length - 1 - suffix])
+  ) suffix++;
+
+  const segments: WordDiffSegment[] = [];
+  pushSegment(segments, 'equal', b.slice(0, prefix).join(''));
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+  const rows = oldMiddle.length;
+  const columns = newMiddle.length;
+
+  if (rows * columns > MAX_DIFF_CELLS) {
+    pushSegment(segments, 'removed', oldMiddle.join(''));
+    pushSegment(segments, 'added', newMiddle.join(''));
+  } else {
+    // Longest common subsequence table, filled from the end so it can be walked forwards
+    const width = columns + 1;
+    const table = Math.min(rows, columns) < 65535
+      ? new Uint16Array((rows + 1) * width)
+      : new Uint32Array((rows + 1) * width);
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = columns - 1; j >= 0; j--) {
+        table[i * width + j] = same(oldMiddle[i], newMiddle[j])
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+      if (same(oldMiddle[i], newMiddle[j])) {
+        pushSegment(segments, 'equal', newMiddle[j]);
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        pushSegment(segments, 'removed', oldMiddle[i++]);
+      } else {
+        pushSegment(segments, 'added', newMiddle[j++]);
+      }
+    }
+    pushSegment(segments, 'removed', oldMiddle.slice(i).join(''));
+    pushSegment(segments, 'added', newMiddle.slice(j).join(''));
+  }
+
+  pushSegment(segments, 'equal', b.slice(b.length - suffix).join(''));
+  return segments;
+};
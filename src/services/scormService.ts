@@ -0,0 +1,479 @@
+import JSZip from 'jszip';
+import { Book, Course, CourseLesson } from '../types';
+import { escapeXml, getBookAuthor } from './epubService';
+
+export type CoursePackageFormat = 'scorm12' | 'xapi';
+
+interface PackagedLesson {
+  lesson: CourseLesson;
+  moduleTitle: string;
+  // "1-2" for the second lesson of the first module; used in file names and identifiers
+  key: string;
+  href: string;
+  audioFiles: string[];
+}
+
+// Shared by every lesson page. Finds the LMS (the SCORM 1.2 API in a parent frame,
+// or the xAPI endpoint from the launch URL), steps through the slides with their
+// narration, then scores the quiz and reports the result.
+const PLAYER_JS = `(function () {
+  var lesson = window.LESSON;
+  var params = new URLSearchParams(window.location.search);
+  var slideIndex = 0;
+  var finished = false;
+
+  function findScormApi(win) {
+    for (var depth = 0; win && depth < 10; depth++) {
+      if (win.API) return win.API;
+      if (win.parent === win) break;
+      win = win.parent;
+    }
+    return null;
+  }
+
+  var scorm = lesson.format === 'scorm12' ? (findScormApi(window) || (window.opener && findScormApi(window.opener))) : null;
+  var xapi = lesson.format === 'xapi' && params.get('endpoint') ? {
+    endpoint: params.get('endpoint').replace(/\\/?$/, '/'),
+    auth: params.get('auth'),
+    actor: JSON.parse(params.get('actor') || 'null'),
+    registration: params.get('registration')
+  } : null;
+
+  function sendStatement(verb, display, result) {
+    if (!xapi || !xapi.actor) return;
+    var statement = {
+      actor: xapi.actor,
+      verb: { id: 'http://adlnet.gov/expapi/verbs/' + verb, display: { 'en-US': display } },
+      object: {
+        id: lesson.activityId,
+        definition: { type: 'http://adlnet.gov/expapi/activities/lesson', name: { 'en-US': lesson.title } }
+      },
+      context: { contextActivities: { parent: [{ id: lesson.courseActivityId }] } }
+    };
+    if (xapi.registration) statement.context.registration = xapi.registration;
+    if (result) statement.result = result;
+    fetch(xapi.endpoint + 'statements', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Experience-API-Version': '1.0.3',
+        'Authorization': xapi.auth || ''
+      },
+      body: JSON.stringify(statement),
+      keepalive: true
+    }).catch(function (error) { console.error('Could not send xAPI statement', error); });
+  }
+
+  function start() {
+    if (scorm) {
+      scorm.LMSInitialize('');
+      var status = scorm.LMSGetValue('cmi.core.lesson_status');
+      if (status === 'not attempted' || !status) scorm.LMSSetValue('cmi.core.lesson_status', 'incomplete');
+      scorm.LMSCommit('');
+    }
+    sendStatement('attempted', 'attempted');
+  }
+
+  function finish(score) {
+    if (finished) return;
+    finished = true;
+    var passed = score === undefined || score >= lesson.passingScore;
+    if (scorm) {
+      if (score !== undefined) {
+        scorm.LMSSetValue('cmi.core.score.min', '0');
+        scorm.LMSSetValue('cmi.core.score.max', '100');
+        scorm.LMSSetValue('cmi.core.score.raw', String(Math.round(score * 100)));
+        scorm.LMSSetValue('cmi.core.lesson_status', passed ? 'passed' : 'failed');
+      } else {
+        scorm.LMSSetValue('cmi.core.lesson_status', 'completed');
+      }
+      scorm.LMSCommit('');
+    }
+    if (score !== undefined) {
+      sendStatement(passed ? 'passed' : 'failed', passed ? 'passed' : 'failed', {
+        score: { scaled: score, raw: Math.round(score * 100), min: 0, max: 100 },
+        success: passed,
+        completion: true
+      });
+    } else {
+      sendStatement('completed', 'completed', { completion: true });
+    }
+  }
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  var stage = document.getElementById('stage');
+
+  function showSlide() {
+    var slide = lesson.slides[slideIndex];
+    stage.innerHTML = '';
+    stage.appendChild(element('p', 'counter', 'Slide ' + (slideIndex + 1) + ' of ' + lesson.slides.length));
+    stage.appendChild(element('h2', '', slide.title));
+    var list = element('ul');
+    slide.bullets.forEach(function (bullet) { list.appendChild(element('li', '', bullet)); });
+    stage.appendChild(list);
+
+    if (slide.audio) {
+      var audio = element('audio');
+      audio.controls = true;
+      audio.autoplay = true;
+      audio.src = slide.audio;
+      stage.appendChild(audio);
+    } else if (slide.script) {
+      var details = element('details');
+      details.appendChild(element('summary', '', 'Transcript'));
+      details.appendChild(element('p', '', slide.script));
+      stage.appendChild(details);
+    }
+
+    var nav = element('div', 'nav');
+    var back = element('button', 'secondary', 'Back');
+    back.disabled = slideIndex === 0;
+    back.onclick = function () { slideIndex--; showSlide(); };
+    var last = slideIndex === lesson.slides.length - 1;
+    var next = element('button', '', last ? (lesson.quiz.length > 0 ? 'Take the quiz' : 'Finish lesson') : 'Next');
+    next.onclick = function () {
+      if (!last) { slideIndex++; showSlide(); }
+      else if (lesson.quiz.length > 0) showQuiz();
+      else { finish(); showDone(); }
+    };
+    nav.appendChild(back);
+    nav.appendChild(next);
+    stage.appendChild(nav);
+  }
+
+  function showQuiz() {
+    stage.innerHTML = '';
+    stage.appendChild(element('h2', '', 'Quiz'));
+    stage.appendChild(element('p', 'counter', 'You need ' + Math.round(lesson.passingScore * 100) + '% to pass.'));
+    var form = element('form');
+
+    lesson.quiz.forEach(function (question, q) {
+      var fieldset = element('fieldset');
+      fieldset.appendChild(element('legend', '', (q + 1) + '. ' + question.question));
+      question.options.forEach(function (option, o) {
+        var label = element('label');
+        var input = element('input');
+        input.type = 'radio';
+        input.name = 'q' + q;
+        input.value = String(o);
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + option));
+        fieldset.appendChild(label);
+      });
+      form.appendChild(fieldset);
+    });
+
+    var submit = element('button', '', 'Submit answers');
+    submit.type = 'submit';
+    form.appendChild(submit);
+    form.onsubmit = function (event) {
+      event.preventDefault();
+      var correct = 0;
+      lesson.quiz.forEach(function (question, q) {
+        var fieldset = form.querySelectorAll('fieldset')[q];
+        var chosen = form.querySelector('input[name="q' + q + '"]:checked');
+        var right = chosen && Number(chosen.value) === question.correctIndex;
+        if (right) correct++;
+        fieldset.className = right ? 'correct' : 'incorrect';
+        var feedback = (right ? 'Correct. ' : 'The answer is: ' + question.options[question.correctIndex] + '. ') + (question.explanation || '');
+        fieldset.appendChild(element('p', 'feedback', feedback));
+      });
+      form.querySelectorAll('input').forEach(function (input) { input.disabled = true; });
+      submit.remove();
+
+      var score = correct / lesson.quiz.length;
+      finish(score);
+      var passed = score >= lesson.passingScore;
+      stage.appendChild(element('p', passed ? 'result passed' : 'result failed',
+        'You scored ' + Math.round(score * 100) + '% (' + correct + ' of ' + lesson.quiz.length + '). ' +
+        (passed ? 'Lesson passed.' : 'Review the slides and try again.')));
+      if (!passed) {
+        var retry = element('button', 'secondary', 'Review slides');
+        retry.onclick = function () { finished = false; slideIndex = 0; showSlide(); };
+        stage.appendChild(retry);
+      }
+    };
+    stage.appendChild(form);
+  }
+
+  function showDone() {
+    stage.innerHTML = '';
+    stage.appendChild(element('h2', '', 'Lesson complete'));
+    stage.appendChild(element('p', '', 'You can close this lesson or move on to the next one.'));
+  }
+
+  window.addEventListener('beforeunload', function () {
+    if (scorm) scorm.LMSFinish('');
+  });
+
+  start();
+  showSlide();
+})();
+`;
+
+const STYLES_CSS = `body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2937; background: #f3f4f6; }
+header { background: #1e3a8a; color: #fff; padding: 1.25rem 2rem; }
+header p { margin: 0; opacity: 0.8; font-size: 0.9rem; }
+header h1 { margin: 0.25rem 0 0; font-size: 1.5rem; }
+main { max-width: 48rem; margin: 2rem auto; padding: 2rem; background: #fff; border-radius: 0.75rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+.objectives { background: #eff6ff; border-radius: 0.5rem; padding: 0.75rem 1.25rem; margin-bottom: 1.5rem; }
+.counter { color: #6b7280; font-size: 0.85rem; }
+li { margin: 0.5rem 0; line-height: 1.5; }
+audio { width: 100%; margin-top: 1rem; }
+details { margin-top: 1rem; color: #4b5563; line-height: 1.6; }
+.nav { display: flex; justify-content: space-between; margin-top: 2rem; }
+button { background: #2563eb; color: #fff; border: 0; border-radius: 0.5rem; padding: 0.6rem 1.25rem; font-size: 1rem; cursor: pointer; }
+button.secondary { background: #e5e7eb; color: #1f2937; }
+button:disabled { opacity: 0.4; cursor: default; }
+fieldset { border: 1px solid #e5e7eb; border-radius: 0.5rem; margin: 0 0 1rem; padding: 1rem; }
+fieldset.correct { border-color: #059669; background: #ecfdf5; }
+fieldset.incorrect { border-color: #dc2626; background: #fef2f2; }
+legend { font-weight: 600; padding: 0 0.25rem; }
+label { display: block; margin: 0.4rem 0; cursor: pointer; }
+.feedback { margin: 0.75rem 0 0; font-size: 0.9rem; }
+.result { font-weight: 600; padding: 0.75rem 1rem; border-radius: 0.5rem; }
+.result.passed { background: #ecfdf5; color: #065f46; }
+.result.failed { background: #fef2f2; color: #991b1b; }
+ol.lessons a { color: #2563eb; }
+`;
+
+const escapeHtml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Keeps embedded JSON from closing the surrounding <script> element
+const toScriptJson = (value: unknown): string =>
+  JSON.stringify(value).replace(/</g, '\\u003c');
+
+const courseActivityId = (book: Book) => `urn:unstack:course:${book.id}`;
+
+const collectLessons = (course: Course): PackagedLesson[] =>
+  course.modules.flatMap((module, moduleIndex) =>
+    module.lessons.map((lesson, lessonIndex) => {
+      const key = `${moduleIndex + 1}-${lessonIndex + 1}`;
+      return { lesson, moduleTitle: module.title, key, href: `lessons/lesson-${key}.html`, audioFiles: [] };
+    })
+  );
+
+// Copies each narrated slide's audio into the package and returns the paths by slide id
+const addSlideAudio = (zip: JSZip, book: Book): Record<string, string> => {
+  const paths: Record<string, string> = {};
+  for (const chapter of book.audiobook?.audioChapters || []) {
+    if (chapter.status === 'completed' && chapter.audioBlob) {
+      const path = `audio/${chapter.chapterId}.wav`;
+      zip.file(path, chapter.audioBlob);
+      paths[chapter.chapterId] = path;
+    }
+  }
+  return paths;
+};
+
+const buildLessonHtml = (
+  book: Book,
+  course: Course,
+  entry: PackagedLesson,
+  audioPaths: Record<string, string>,
+  format: CoursePackageFormat
+): string => {
+  const { lesson } = entry;
+  const data = {
+    format,
+    title: lesson.title,
+    activityId: `${courseActivityId(book)}/lessons/${entry.key}`,
+    courseActivityId: courseActivityId(book),
+    passingScore: course.passingScore,
+    slides: lesson.slides.map(slide => ({
+      title: slide.title,
+      bullets: slide.bullets,
+      script: slide.script,
+      // Lesson pages sit one folder below the package root
+      audio: audioPaths[slide.id] ? `../${audioPaths[slide.id]}` : undefined
+    })),
+    quiz: lesson.quiz.map(question => ({
+      question: question.question,
+      options: question.options,
+      correctIndex: question.correctIndex,
+      explanation: question.explanation
+    }))
+  };
+
+  const objectives = lesson.objectives.length > 0
+    ? `<div class="objectives"><p><strong>In this lesson you will:</strong></p><ul>${lesson.objectives.map(objective => `<li>${escapeHtml(objective)}</li>`).join('')}</ul></div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(lesson.title)}</title>
+  <link rel="stylesheet" href="../styles.css">
+</head>
+<body>
+  <header>
+    <p>${escapeHtml(book.title)} &middot; ${escapeHtml(entry.moduleTitle)}</p>
+    <h1>${escapeHtml(lesson.title)}</h1>
+  </header>
+  <main>
+    ${objectives}
+    <section id="stage"></section>
+  </main>
+  <script>window.LESSON = ${toScriptJson(data)};</script>
+  <script src="../player.js"></script>
+</body>
+</html>`;
+};
+
+const buildScormManifest = (book: Book, course: Course, lessons: PackagedLesson[]): string => {
+  const masteryScore = Math.round(course.passingScore * 100);
+  let lessonIndex = 0;
+
+  const items = course.modules.map((module, moduleIndex) => {
+    const lessonItems = module.lessons.map(() => {
+      const entry = lessons[lessonIndex++];
+      return `
+        <item identifier="ITEM-${entry.key}" identifierref="RES-${entry.key}">
+          <title>${escapeXml(entry.lesson.title)}</title>${entry.lesson.quiz.length > 0 ? `
+          <adlcp:masteryscore>${masteryScore}</adlcp:masteryscore>` : ''}
+        </item>`;
+    }).join('');
+
+    return `
+      <item identifier="MODULE-${moduleIndex + 1}">
+        <title>${escapeXml(module.title)}</title>${lessonItems}
+      </item>`;
+  }).join('');
+
+  const resources = lessons.map(entry => `
+    <resource identifier="RES-${entry.key}" type="webcontent" adlcp:scormtype="sco" href="${entry.href}">
+      <file href="${entry.href}"/>${entry.audioFiles.map(file => `
+      <file href="${file}"/>`).join('')}
+      <dependency identifierref="SHARED"/>
+    </resource>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="UNSTACK-${escapeXml(book.id)}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="ORG-1">
+    <organization identifier="ORG-1">
+      <title>${escapeXml(book.title)}</title>${items}
+    </organization>
+  </organizations>
+  <resources>${resources}
+    <resource identifier="SHARED" type="webcontent" adlcp:scormtype="asset">
+      <file href="player.js"/>
+      <file href="styles.css"/>
+    </resource>
+  </resources>
+</manifest>`;
+};
+
+const buildTinCanXml = (book: Book, lessons: PackagedLesson[]): string => {
+  const activities = lessons.map(entry => `
+    <activity id="${courseActivityId(book)}/lessons/${entry.key}" type="http://adlnet.gov/expapi/activities/lesson">
+      <name>${escapeXml(entry.lesson.title)}</name>
+      <description lang="en-US">${escapeXml(entry.lesson.summary)}</description>
+      <launch lang="en-US">${entry.href}</launch>
+    </activity>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tincan xmlns="http://projecttincan.com/tincan.xsd">
+  <activities>
+    <activity id="${courseActivityId(book)}" type="http://adlnet.gov/expapi/activities/course">
+      <name>${escapeXml(book.title)}</name>
+      <description lang="en-US">${escapeXml(book.description)}</description>
+      <launch lang="en-US">index.html</launch>
+    </activity>${activities}
+  </activities>
+</tincan>`;
+};
+
+// The xAPI launch page; lesson links carry the LRS launch parameters along
+const buildIndexHtml = (book: Book, course: Course, lessons: PackagedLesson[]): string => {
+  let lessonIndex = 0;
+  const modules = course.modules.map(module => {
+    const links = module.lessons.map(() => {
+      const entry = lessons[lessonIndex++];
+      return `<li><a href="${entry.href}">${escapeHtml(entry.lesson.title)}</a></li>`;
+    }).join('');
+    return `<h2>${escapeHtml(module.title)}</h2><p>${escapeHtml(module.description)}</p><ol class="lessons">${links}</ol>`;
+  }).join('\n    ');
+
+  const objectives = course.objectives.length > 0
+    ? `<div class="objectives"><p><strong>By the end of this course you will be able to:</strong></p><ul>${course.objectives.map(objective => `<li>${escapeHtml(objective)}</li>`).join('')}</ul></div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(book.title)}</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <header>
+    <p>${escapeHtml(getBookAuthor(book))}</p>
+    <h1>${escapeHtml(book.title)}</h1>
+  </header>
+  <main>
+    <p>${escapeHtml(book.description)}</p>
+    ${objectives}
+    ${modules}
+  </main>
+  <script>
+    document.querySelectorAll('ol.lessons a').forEach(function (link) {
+      link.href = link.getAttribute('href') + window.location.search;
+    });
+  </script>
+</body>
+</html>`;
+};
+
+/**
+ * Packages a course for an LMS: one page per lesson that plays the slides
+ * (with narration where the slide has been narrated) and then scores the
+ * quiz. SCORM 1.2 packages report through the LMS's API; xAPI packages
+ * send statements to the LRS named in the launch URL.
+ */
+export const buildCoursePackage = async (book: Book, format: CoursePackageFormat): Promise<Blob> => {
+  const course = book.course;
+  if (!course) throw new Error('This book has no course to package.');
+
+  const zip = new JSZip();
+  const audioPaths = addSlideAudio(zip, book);
+  const lessons = collectLessons(course);
+
+  for (const entry of lessons) {
+    entry.audioFiles = entry.lesson.slides.map(slide => audioPaths[slide.id]).filter(Boolean);
+    zip.file(entry.href, buildLessonHtml(book, course, entry, audioPaths, format));
+  }
+
+  zip.file('player.js', PLAYER_JS);
+  zip.file('styles.css', STYLES_CSS);
+
+  if (format === 'scorm12') {
+    zip.file('imsmanifest.xml', buildScormManifest(book, course, lessons));
+  } else {
+    zip.file('tincan.xml', buildTinCanXml(book, lessons));
+    zip.file('index.html', buildIndexHtml(book, course, lessons));
+  }
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip', compression: 'DEFLATE' });
+};
@@ -0,0 +1,210 @@
+import { Book, Series } from '../types';
+import { supabase } from '../lib/supabase';
+import { generateText, LLMTarget } from './llmService';
+import { loadAllBooks, saveBook } from './bookService';
+import { formatStoryBibleEntries, loadStoryBibleForGeneration } from './storyBibleService';
+
+// How much of the series' history is replayed into each generation prompt
+const MAX_VOLUMES_IN_CONTEXT = 10;
+const ENDING_TAIL_CHARS = 1500;
+
+// Rows come back snake_case from the database
+interface SeriesRow {
+  id: string;
+  title: string;
+  description: string | null;
+  arc_notes: string | null;
+  entries: Series['entries'] | null;
+  volume_summaries: Series['volumeSummaries'] | null;
+  created_at: string;
+  updated_at: string;
+}
+
+const mapSeries = (data: SeriesRow): Series => ({
+  id: data.id,
+  title: data.title,
+  description: data.description || '',
+  arcNotes: data.arc_notes || '',
+  entries: data.entries || [],
+  volumeSummaries: data.volume_summaries || {},
+  createdAt: data.created_at,
+  updatedAt: data.updated_at
+});
+
+export const createSeries = async (title: string, description: string = ''): Promise<Series> => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User not authenticated');
+
+  const { data, error } = await supabase
+    .from('series')
+    .insert({
+      user_id: user.id,
+      title,
+      description
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapSeries(data);
+};
+
+export const loadAllSeries = async (): Promise<Series[]> => {
+  const { data, error } = await supabase
+    .from('series')
+    .select('*')
+    .order('title', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(mapSeries);
+};
+
+export const loadSeries = async (seriesId: string): Promise<Series | null> => {
+  const { data, error } = await supabase
+    .from('series')
+    .select('*')
+    .eq('id', seriesId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Deleted, or never synced
+    throw error;
+  }
+  return mapSeries(data);
+};
+
+export const saveSeries = async (series: Series): Promise<Series> => {
+  const updatedAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('series')
+    .update({
+      title: series.title,
+      description: series.description,
+      arc_notes: series.arcNotes,
+      entries: series.entries,
+      volume_summaries: series.volumeSummaries,
+      updated_at: updatedAt
+    })
+    .eq('id', series.id);
+
+  if (error) throw error;
+  return { ...series, updatedAt };
+};
+
+// The server detaches the books itself, but local copies would push the old series back
+export const deleteSeries = async (seriesId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('series')
+    .delete()
+    .eq('id', seriesId);
+
+  if (error) throw error;
+
+  const books = await loadAllBooks();
+  await Promise.all(
+    books
+      .filter(book => book.seriesId === seriesId)
+      .map(book => saveBook({ ...book, seriesId: undefined, seriesOrder: undefined }))
+  );
+};
+
+// Books in reading order; books without a place in the order come last
+export const getSeriesBooks = (seriesId: string, books: Book[]): Book[] =>
+  books
+    .filter(book => book.seriesId === seriesId)
+    .sort((a, b) =>
+      (a.seriesOrder ?? Infinity) - (b.seriesOrder ?? Infinity) || a.title.localeCompare(b.title)
+    );
+
+export const getNextSeriesOrder = (seriesId: string, books: Book[]): number =>
+  books
+    .filter(book => book.seriesId === seriesId)
+    .reduce((max, book) => Math.max(max, book.seriesOrder || 0), 0) + 1;
+
+/**
+ * Builds the series block injected ahead of outline and section prompts: the
+ * series arc, the shared bible and what happened in the volumes that come
+ * before this book in reading order.
+ */
+export const buildSeriesContext = (
+  series: Series,
+  book: Pick<Book, 'id' | 'seriesOrder'>,
+  books: Book[]
+): string => {
+  const earlierVolumes = getSeriesBooks(series.id, books)
+    .filter(volume => volume.id !== book.id)
+    .filter(volume => book.seriesOrder === undefined || (volume.seriesOrder ?? Infinity) < book.seriesOrder)
+    .slice(-MAX_VOLUMES_IN_CONTEXT);
+
+  let context = `SERIES: ${series.title}${book.seriesOrder ? ` (this is book ${book.seriesOrder})` : ''}\n`;
+
+  if (series.description) {
+    context += `${series.description}\n`;
+  }
+
+  if (series.arcNotes) {
+    context += `\nSERIES ARC (where the story goes across the whole series):\n${series.arcNotes}\n`;
+  }
+
+  if (series.entries.length > 0) {
+    context += `\nSERIES BIBLE (shared by every book - do not contradict):\n${formatStoryBibleEntries(series.entries)}`;
+  }
+
+  if (earlierVolumes.length > 0) {
+    const summaries = earlierVolumes.map(volume => {
+      const label = volume.seriesOrder ? `Book ${volume.seriesOrder}, ` : '';
+      return `- ${label}"${volume.title}": ${series.volumeSummaries[volume.id] || volume.description}`;
+    });
+    context += `\nEARLIER BOOKS IN THE SERIES (continue from these, do not retell them):\n${summaries.join('\n')}\n`;
+  }
+
+  return context.trim();
+};
+
+// Used while generating, where a missing series should never stop the run
+export const loadSeriesContext = async (book: Book): Promise<string> => {
+  if (!book.seriesId) return '';
+
+  try {
+    const [series, books] = await Promise.all([loadSeries(book.seriesId), loadAllBooks()]);
+    return series ? buildSeriesContext(series, book, books) : '';
+  } catch (error) {
+    console.error('Error loading series:', error);
+    return '';
+  }
+};
+
+// Summarizes a finished book so later volumes in the series can pick up where it left off
+export const summarizeVolume = async (book: Book, llm: LLMTarget): Promise<string> => {
+  const bible = await loadStoryBibleForGeneration(book.id);
+
+  const sections = book.chapters.flatMap(chapter =>
+    (chapter.subChapters || []).map(subChapter => ({ chapterTitle: chapter.title, subChapter }))
+  );
+  const outline = sections.length > 0
+    ? sections.map(({ chapterTitle, subChapter }) =>
+        `- ${chapterTitle} / ${subChapter.title}: ${bible.sectionSummaries[subChapter.id] || subChapter.description}`
+      ).join('\n')
+    : book.chapters.map(chapter => `- ${chapter.title}: ${chapter.description}`).join('\n');
+
+  const lastWritten = [...sections].reverse().find(({ subChapter }) => subChapter.content)?.subChapter;
+
+  const prompt = `
+Summarize the following book for the notes of the series it belongs to, so the next books can continue from it.
+
+Book Title: ${book.title}
+Book Description: ${book.description}
+
+What happens, section by section:
+${outline}
+${lastWritten?.content ? `\nThe book ends with:\n${lastWritten.content.slice(-ENDING_TAIL_CHARS)}\n` : ''}
+Cover the main plot, how the major characters change, how the book ends and any threads left open for later books.
+
+Return ONLY the summary (150-300 words of plain prose), with no title or formatting.
+`;
+
+  const summary = (await generateText(prompt, llm, { temperature: 0.3, maxOutputTokens: 1024 })).trim();
+  if (!summary) throw new Error('The AI returned an empty summary. Please try again.');
+  return summary;
+};
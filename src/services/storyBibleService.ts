@@ -0,0 +1,246 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Book, StoryBible, StoryBibleEntry, StoryBibleEntryType, SubChapter } from '../types';
+import { supabase } from '../lib/supabase';
+import { generateText, LLMTarget } from './llmService';
+
+// How much of the book's history is replayed into each generation prompt
+const MAX_SUMMARIES_IN_CONTEXT = 12;
+const PREVIOUS_SECTION_TAIL_CHARS = 1500;
+
+export const STORY_BIBLE_ENTRY_LABELS: Record<StoryBibleEntryType, string> = {
+  character: 'Characters',
+  place: 'Places',
+  timeline: 'Timeline',
+  glossary: 'Glossary'
+};
+
+export const createEmptyStoryBible = (bookId: string): StoryBible => ({
+  bookId,
+  entries: [],
+  sectionSummaries: {}
+});
+
+export const loadStoryBible = async (bookId: string): Promise<StoryBible> => {
+  const { data, error } = await supabase
+    .from('story_bibles')
+    .select('*')
+    .eq('book_id', bookId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return createEmptyStoryBible(bookId); // Not created yet
+    throw error;
+  }
+
+  return {
+    bookId: data.book_id,
+    entries: data.entries || [],
+    sectionSummaries: data.section_summaries || {},
+    updatedAt: data.updated_at
+  };
+};
+
+export const saveStoryBible = async (bible: StoryBible): Promise<StoryBible> => {
+  const updatedAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('story_bibles')
+    .upsert({
+      book_id: bible.bookId,
+      entries: bible.entries,
+      section_summaries: bible.sectionSummaries,
+      updated_at: updatedAt
+    }, {
+      onConflict: 'book_id'
+    });
+
+  if (error) throw error;
+  return { ...bible, updatedAt };
+};
+
+// Merge newly extracted entries without overwriting anything the user already has
+export const mergeStoryBibleEntries = (
+  existing: StoryBibleEntry[],
+  extracted: Omit<StoryBibleEntry, 'id'>[]
+): StoryBibleEntry[] => {
+  const merged = [...existing];
+
+  extracted.forEach(entry => {
+    const name = entry.name?.trim();
+    if (!name || !STORY_BIBLE_ENTRY_LABELS[entry.type]) return;
+
+    const match = merged.find(e => e.type === entry.type && e.name.toLowerCase() === name.toLowerCase());
+    if (!match) {
+      merged.push({ id: uuidv4(), type: entry.type, name, description: entry.description?.trim() || '' });
+    } else if (!match.description && entry.description) {
+      match.description = entry.description.trim();
+    }
+  });
+
+  return merged;
+};
+
+export const extractStoryBibleFromSection = async (
+  bible: StoryBible,
+  subChapter: SubChapter,
+  llm: LLMTarget
+): Promise<StoryBible> => {
+  if (!subChapter.content) return bible;
+
+  const knownNames = bible.entries.map(e => `${e.name} (${e.type})`).join(', ') || 'none yet';
+
+  const prompt = `
+Read the following section of a book and extract continuity information.
+
+Section Title: ${subChapter.title}
+
+Section Content:
+${subChapter.content}
+
+Already known entries: ${knownNames}
+
+Please provide a response in the following JSON format:
+{
+  "summary": "2-3 sentence summary of what happens in this section, including where it ends",
+  "entries": [
+    {
+      "type": "character|place|timeline|glossary",
+      "name": "Name of the character, place, event or term",
+      "description": "One or two sentences of established facts (appearance, relationships, dates, definitions)"
+    }
+  ]
+}
+
+Only include entries that are new or that gain important new facts in this section.
+
+IMPORTANT: Return ONLY the JSON object, no additional text or formatting.
+`;
+
+  const response = await generateText(prompt, llm, { temperature: 0.2 });
+
+  try {
+    // Clean the response to extract JSON
+    let cleanResponse = response.trim();
+    cleanResponse = cleanResponse.replace(/```json\s*|\s*```/g, '');
+    cleanResponse = cleanResponse.replace(/```\s*|\s*```/g, '');
+
+    const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No valid JSON found in response');
+    }
+
+    const data = JSON.parse(jsonMatch[0]);
+
+    return {
+      ...bible,
+      entries: mergeStoryBibleEntries(bible.entries, data.entries || []),
+      sectionSummaries: {
+        ...bible.sectionSummaries,
+        [subChapter.id]: data.summary || ''
+      }
+    };
+  } catch (error) {
+    console.error('Error parsing story bible extraction:', error);
+    console.error('Raw response:', response);
+    // Keep generation going; the section just won't contribute to the bible
+    return bible;
+  }
+};
+
+// Used while generating, where a missing or unsaved bible should never stop the run
+export const loadStoryBibleForGeneration = async (bookId: string): Promise<StoryBible> => {
+  try {
+    return await loadStoryBible(bookId);
+  } catch (error) {
+    console.error('Error loading story bible:', error);
+    return createEmptyStoryBible(bookId);
+  }
+};
+
+export const recordSectionInStoryBible = async (
+  bible: StoryBible,
+  subChapter: SubChapter,
+  llm: LLMTarget
+): Promise<StoryBible> => {
+  let updatedBible = bible;
+  try {
+    updatedBible = await extractStoryBibleFromSection(bible, subChapter, llm);
+    return await saveStoryBible(updatedBible);
+  } catch (error) {
+    console.error('Error updating story bible:', error);
+    return updatedBible;
+  }
+};
+
+export const rebuildStoryBible = async (
+  book: Book,
+  bible: StoryBible,
+  llm: LLMTarget,
+  onProgress?: (bible: StoryBible, sectionTitle: string) => void
+): Promise<StoryBible> => {
+  let updatedBible = bible;
+
+  for (const chapter of book.chapters) {
+    for (const subChapter of chapter.subChapters || []) {
+      if (subChapter.status !== 'completed' || !subChapter.content) continue;
+
+      updatedBible = await extractStoryBibleFromSection(updatedBible, subChapter, llm);
+      onProgress?.(updatedBible, subChapter.title);
+    }
+  }
+
+  return saveStoryBible(updatedBible);
+};
+
+// One "- Name: facts" line per entry, grouped under a heading for each type
+export const formatStoryBibleEntries = (entries: StoryBibleEntry[]): string =>
+  (Object.keys(STORY_BIBLE_ENTRY_LABELS) as StoryBibleEntryType[])
+    .map(type => {
+      const ofType = entries.filter(e => e.type === type);
+      if (ofType.length === 0) return '';
+      const lines = ofType.map(entry => `- ${entry.name}${entry.description ? `: ${entry.description}` : ''}`);
+      return `${STORY_BIBLE_ENTRY_LABELS[type]}:\n${lines.join('\n')}\n`;
+    })
+    .join('');
+
+// Build the continuity block injected ahead of a section's generation prompt
+export const buildContinuityContext = (
+  book: Book,
+  bible: StoryBible,
+  subChapterId: string,
+  seriesContext: string = ''
+): string => {
+  const orderedSections: { chapterTitle: string; subChapter: SubChapter }[] = [];
+  book.chapters.forEach(chapter => {
+    chapter.subChapters?.forEach(subChapter => {
+      orderedSections.push({ chapterTitle: chapter.title, subChapter });
+    });
+  });
+
+  const position = orderedSections.findIndex(s => s.subChapter.id === subChapterId);
+  const priorSections = position >= 0 ? orderedSections.slice(0, position) : [];
+
+  let context = seriesContext ? `${seriesContext}\n\n` : '';
+
+  if (bible.entries.length > 0) {
+    context += `STORY BIBLE (established facts - do not contradict):\n${formatStoryBibleEntries(bible.entries)}`;
+  }
+
+  const summaries = priorSections
+    .slice(-MAX_SUMMARIES_IN_CONTEXT)
+    .map(({ chapterTitle, subChapter }) => {
+      const summary = bible.sectionSummaries[subChapter.id] || subChapter.description;
+      return `- ${chapterTitle} / ${subChapter.title}: ${summary}`;
+    });
+
+  if (summaries.length > 0) {
+    context += `\nSTORY SO FAR (summaries of the preceding sections):\n${summaries.join('\n')}\n`;
+  }
+
+  const previous = priorSections[priorSections.length - 1]?.subChapter;
+  if (previous?.content) {
+    context += `\nTHE PREVIOUS SECTION ENDED WITH:\n${previous.content.slice(-PREVIOUS_SECTION_TAIL_CHARS)}\n`;
+  }
+
+  return context.trim();
+};
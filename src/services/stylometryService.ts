@@ -0,0 +1,148 @@
+import { StyleFidelity, StyleProfile } from '../types';
+import { isSceneBreak, splitParagraphs } from './epubService';
+
+// Below this many words the measurements are too noisy to compare
+export const MIN_PROFILE_WORDS = 150;
+// Vocabulary richness is the type-token ratio averaged over windows of this many words,
+// so long chapters aren't penalised against short samples
+const RICHNESS_WINDOW = 100;
+// Upper bounds (in words) of the sentence length buckets; the last bucket is open-ended
+const SENTENCE_BUCKETS = [5, 10, 15, 20, 30];
+// Features that score below this are described as where the voice drifts
+const DRIFT_SIMILARITY = 0.75;
+
+const FEATURE_WEIGHTS = {
+  sentenceDistribution: 0.3,
+  sentenceLength: 0.15,
+  vocabularyRichness: 0.2,
+  dialogueRatio: 0.15,
+  paragraphLength: 0.2
+};
+
+const DIALOGUE_PATTERN = /“[^”]*”|"[^"\n]*"/g;
+
+const tokenize = (text: string): string[] =>
+  text.toLowerCase().replace(/[’‘]/g, "'").match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [];
+
+const mean = (values: number[]): number =>
+  values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+
+const stdDev = (values: number[]): number => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+const roundTo = (value: number, places: number = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const measureRichness = (words: string[]): number => {
+  if (words.length === 0) return 0;
+  if (words.length <= RICHNESS_WINDOW) return new Set(words).size / words.length;
+
+  // Moving-average type-token ratio, keeping a running count of the words in the window
+  const counts = new Map<string, number>();
+  words.slice(0, RICHNESS_WINDOW).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  let total = counts.size;
+  for (let i = RICHNESS_WINDOW; i < words.length; i++) {
+    const dropped = words[i - RICHNESS_WINDOW];
+    const left = counts.get(dropped)! - 1;
+    if (left === 0) counts.delete(dropped);
+    else counts.set(dropped, left);
+    counts.set(words[i], (counts.get(words[i]) || 0) + 1);
+    total += counts.size;
+  }
+  return total / (words.length - RICHNESS_WINDOW + 1) / RICHNESS_WINDOW;
+};
+
+/**
+ * Measures the shape of a piece of prose: how long its sentences are and how
+ * they're spread, how varied its vocabulary is, how much of it is dialogue and
+ * how long its paragraphs run. Everything is computed on this device.
+ */
+export const computeStyleProfile = (text: string): StyleProfile => {
+  const paragraphs = splitParagraphs(text).filter(paragraph => !isSceneBreak(paragraph));
+  const words = tokenize(paragraphs.join('\n'));
+  const sentenceLengths = paragraphs
+    // A lowercase word after the punctuation continues the sentence, as in "Where?" she asked.
+    .flatMap(paragraph => paragraph.split(/(?<=[.!?…][”"’)]*)\s+(?=[^\p{Ll}])/u))
+    .map(sentence => tokenize(sentence).length)
+    .filter(length => length > 0);
+  const dialogueWords = paragraphs
+    .flatMap(paragraph => paragraph.match(DIALOGUE_PATTERN) || [])
+    .reduce((total, quote) => total + tokenize(quote).length, 0);
+
+  const distribution = [...SENTENCE_BUCKETS, Infinity].map((limit, index) => {
+    const floor = index === 0 ? 0 : SENTENCE_BUCKETS[index - 1];
+    const inBucket = sentenceLengths.filter(length => length > floor && length <= limit).length;
+    return sentenceLengths.length ? roundTo(inBucket / sentenceLengths.length) : 0;
+  });
+  const paragraphLengths = paragraphs.map(paragraph => tokenize(paragraph).length).filter(length => length > 0);
+
+  return {
+    wordCount: words.length,
+    sentenceLength: {
+      mean: roundTo(mean(sentenceLengths), 1),
+      stdDev: roundTo(stdDev(sentenceLengths), 1),
+      distribution
+    },
+    vocabularyRichness: roundTo(measureRichness(words), 3),
+    dialogueRatio: words.length ? roundTo(Math.min(1, dialogueWords / words.length)) : 0,
+    paragraphLength: {
+      mean: roundTo(mean(paragraphLengths), 1),
+      stdDev: roundTo(stdDev(paragraphLengths), 1)
+    }
+  };
+};
+
+// 1 when the values match, falling towards 0 as one grows to a multiple of the other
+const ratioSimilarity = (a: number, b: number): number =>
+  a === b ? 1 : Math.min(a, b) / Math.max(a, b);
+
+// 1 when the values match, 0 once they are `range` apart
+const rangeSimilarity = (a: number, b: number, range: number): number =>
+  Math.max(0, 1 - Math.abs(a - b) / range);
+
+const percent = (share: number) => `${Math.round(share * 100)}%`;
+
+/**
+ * Scores how closely a piece of prose matches a reference profile, from 0 to
+ * 100, and describes the features that differ most. Returns null when either
+ * text is too short to measure reliably.
+ */
+export const scoreStyleFidelity = (profile: StyleProfile, reference: StyleProfile): StyleFidelity | null => {
+  if (profile.wordCount < MIN_PROFILE_WORDS || reference.wordCount < MIN_PROFILE_WORDS) return null;
+
+  const features = {
+    // One minus the total variation distance between the two sentence length histograms
+    sentenceDistribution: 1 - profile.sentenceLength.distribution
+      .reduce((total, share, index) => total + Math.abs(share - (reference.sentenceLength.distribution[index] || 0)), 0) / 2,
+    sentenceLength: ratioSimilarity(profile.sentenceLength.mean, reference.sentenceLength.mean),
+    vocabularyRichness: rangeSimilarity(profile.vocabularyRichness, reference.vocabularyRichness, 0.15),
+    dialogueRatio: rangeSimilarity(profile.dialogueRatio, reference.dialogueRatio, 0.4),
+    paragraphLength: ratioSimilarity(profile.paragraphLength.mean, reference.paragraphLength.mean)
+  };
+
+  const differences: string[] = [];
+  if (features.sentenceLength < DRIFT_SIMILARITY || features.sentenceDistribution < DRIFT_SIMILARITY) {
+    differences.push(profile.sentenceLength.mean > reference.sentenceLength.mean
+      ? `sentences run longer (${profile.sentenceLength.mean} words on average, against ${reference.sentenceLength.mean})`
+      : `sentences run shorter (${profile.sentenceLength.mean} words on average, against ${reference.sentenceLength.mean})`);
+  }
+  if (features.vocabularyRichness < DRIFT_SIMILARITY) {
+    differences.push(profile.vocabularyRichness > reference.vocabularyRichness
+      ? 'the vocabulary is more varied'
+      : 'the vocabulary is more repetitive');
+  }
+  if (features.dialogueRatio < DRIFT_SIMILARITY) {
+    differences.push(`dialogue makes up ${percent(profile.dialogueRatio)} of the text, against ${percent(reference.dialogueRatio)}`);
+  }
+  if (features.paragraphLength < DRIFT_SIMILARITY) {
+    differences.push(profile.paragraphLength.mean > reference.paragraphLength.mean
+      ? `paragraphs run longer (${Math.round(profile.paragraphLength.mean)} words on average, against ${Math.round(reference.paragraphLength.mean)})`
+      : `paragraphs run shorter (${Math.round(profile.paragraphLength.mean)} words on average, against ${Math.round(reference.paragraphLength.mean)})`);
+  }
+
+  const score = (Object.keys(FEATURE_WEIGHTS) as (keyof typeof FEATURE_WEIGHTS)[])
+    .reduce((total, feature) => total + features[feature] * FEATURE_WEIGHTS[feature], 0);
+
+  return { score: Math.round(score * 100), differences };
+};
@@ -0,0 +1,679 @@
+import { Book, BookChapter, SubChapter, SyncConflictResolution, SyncStatus } from '../types';
+import { getSessionUser, supabase } from '../lib/supabase';
+import {
+  completeMutation,
+  deleteLocalBook,
+  getLocalBook,
+  getLocalBooks,
+  getQueuedMutations,
+  LocalBookRecord,
+  onQueueChange,
+  putLocalBook,
+  queueMutation,
+  QueuedMutation,
+  recordMutationFailure,
+  removeMutation,
+  updateLocalBook
+} from '../lib/database';
+import { mapPersona } from './personaService';
+import { v4 as uuidv4 } from 'uuid';
+
+const SYNC_INTERVAL_MS = 60000;
+// Saves arrive in bursts while generating or editing, so pushes wait for a quiet moment
+const SYNC_DEBOUNCE_MS = 5000;
+const UNIQUE_VIOLATION = '23505';
+
+const BOOK_SELECT = `
+  *,
+  writing_persona:writing_personas (*),
+  book_collaborators (user_id, role),
+  chapters (
+    id,
+    title,
+    description,
+    status,
+    writing_persona_id,
+    target_word_count,
+    order_index,
+    sub_chapters (
+      id,
+      title,
+      description,
+      content,
+      research,
+      voice_fidelity,
+      status,
+      generation_attempts,
+      generation_error,
+      order_index
+    )
+  )
+`;
+
+let status: SyncStatus = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  pendingChanges: 0,
+  failedChanges: [],
+  conflicts: []
+};
+const statusListeners = new Set<(status: SyncStatus) => void>();
+const remoteChangeListeners = new Set<(bookId: string) => void>();
+let syncPromise: Promise<void> | null = null;
+let syncAgain = false;
+
+const setStatus = (updates: Partial<SyncStatus>) => {
+  status = { ...status, ...updates };
+  statusListeners.forEach(listener => listener({ ...status }));
+};
+
+// Server copy
+
+// Rows as BOOK_SELECT returns them, snake_case from the database
+interface SubChapterRow {
+  id: string;
+  chapter_id?: string;
+  title: string;
+  description: string | null;
+  content: string | null;
+  research: SubChapter['research'] | null;
+  voice_fidelity: SubChapter['voiceFidelity'] | null;
+  status: SubChapter['status'];
+  generation_attempts: number | null;
+  generation_error: string | null;
+  order_index: number;
+}
+
+interface ChapterRow {
+  id: string;
+  title: string;
+  description: string | null;
+  status: BookChapter['status'];
+  writing_persona_id: string | null;
+  target_word_count: number | null;
+  order_index: number;
+  sub_chapters?: SubChapterRow[];
+}
+
+interface BookRow {
+  id: string;
+  user_id: string;
+  title: string;
+  author: string;
+  description: string | null;
+  genre: string | null;
+  sub_genre: string;
+  tone: string | null;
+  heat_level: string;
+  perspective: string;
+  target_audience: string;
+  language: string | null;
+  target_word_count: number | null;
+  cover_url: string;
+  llm_settings: Book['llmSettings'] | null;
+  writing_persona_id: string | null;
+  writing_persona: Parameters<typeof mapPersona>[0] | null;
+  series_id: string | null;
+  series_order: number | null;
+  course: Book['course'] | null;
+  cover_design: Book['coverDesign'] | null;
+  launch_kit: Book['launchKit'] | null;
+  translation: Book['translation'] | null;
+  edition: Book['edition'] | null;
+  status: Book['status'];
+  updated_at: string;
+  book_collaborators?: { user_id: string; role: Book['role'] }[];
+  chapters?: ChapterRow[];
+}
+
+// The role is the signed-in user's: books shared with them carry their collaborator role
+const mapBookRow = (bookData: BookRow, userId: string): Book => {
+  const chapters: BookChapter[] = (bookData.chapters || [])
+    .sort((a, b) => a.order_index - b.order_index)
+    .map(chapter => ({
+      id: chapter.id,
+      title: chapter.title,
+      description: chapter.description || '',
+      status: chapter.status as BookChapter['status'],
+      expanded: false,
+      writingPersonaId: chapter.writing_persona_id || undefined,
+      targetWordCount: chapter.target_word_count || undefined,
+      subChapters: (chapter.sub_chapters || [])
+        .sort((a, b) => a.order_index - b.order_index)
+        .map(sc => ({
+          id: sc.id,
+          title: sc.title,
+          description: sc.description || '',
+          content: sc.content || '',
+          status: sc.status as SubChapter['status'],
+          attempts: sc.generation_attempts || 0,
+          error: sc.generation_error || undefined,
+          research: sc.research || undefined,
+          voiceFidelity: sc.voice_fidelity || undefined
+        }))
+    }));
+
+  return {
+    id: bookData.id,
+    title: bookData.title,
+    author: bookData.author,
+    description: bookData.description || '',
+    genre: bookData.genre || '',
+    subGenre: bookData.sub_genre,
+    tone: bookData.tone || '',
+    heatLevel: bookData.heat_level,
+    perspective: bookData.perspective,
+    targetAudience: bookData.target_audience,
+    language: bookData.language || 'en',
+    targetWordCount: bookData.target_word_count || undefined,
+    coverUrl: bookData.cover_url,
+    llmSettings: bookData.llm_settings || {},
+    writingPersonaId: bookData.writing_persona_id || undefined,
+    writingPersona: bookData.writing_persona ? mapPersona(bookData.writing_persona) : undefined,
+    seriesId: bookData.series_id || undefined,
+    seriesOrder: bookData.series_order || undefined,
+    course: bookData.course || undefined,
+    coverDesign: bookData.cover_design || undefined,
+    launchKit: bookData.launch_kit || undefined,
+    translation: bookData.translation || undefined,
+    edition: bookData.edition || undefined,
+    ownerId: bookData.user_id,
+    role: bookData.user_id === userId
+      ? 'owner'
+      : (bookData.book_collaborators || []).find(c => c.user_id === userId)?.role || 'viewer',
+    status: bookData.status as Book['status'],
+    chapters
+  };
+};
+
+// Row level security limits this to the user's own books and books shared with them
+const fetchServerBook = async (bookId: string, userId: string): Promise<{ book: Book; updatedAt: string } | null> => {
+  const { data, error } = await supabase
+    .from('books')
+    .select(BOOK_SELECT)
+    .eq('id', bookId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? { book: mapBookRow(data, userId), updatedAt: data.updated_at } : null;
+};
+
+const fetchServerVersion = async (bookId: string): Promise<string | null> => {
+  const { data, error } = await supabase
+    .from('books')
+    .select('updated_at')
+    .eq('id', bookId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.updated_at ?? null;
+};
+
+// Upserts never remove anything, so chapters and sections deleted from the outline are deleted here.
+// Runs after the upserts so sections moved to another chapter are already out of their old one.
+const deleteRemovedRows = async (book: Book): Promise<void> => {
+  const { error } = await supabase.rpc('delete_removed_book_rows', {
+    p_book_id: book.id,
+    p_chapter_ids: book.chapters.map(chapter => chapter.id),
+    p_sub_chapter_ids: book.chapters.flatMap(chapter => (chapter.subChapters || []).map(sc => sc.id))
+  });
+  if (error) throw error;
+};
+
+const mapBookFields = (book: Book, userId: string) => ({
+  id: book.id,
+  // Co-authors save shared books too, so the owner is kept
+  user_id: book.ownerId || userId,
+  title: book.title,
+  author: book.author,
+  description: book.description,
+  genre: book.genre,
+  sub_genre: book.subGenre,
+  tone: book.tone,
+  heat_level: book.heatLevel,
+  perspective: book.perspective,
+  target_audience: book.targetAudience,
+  language: book.language || 'en',
+  target_word_count: book.targetWordCount || null,
+  cover_url: book.coverUrl,
+  llm_settings: book.llmSettings || {},
+  writing_persona_id: book.writingPersonaId || null,
+  series_id: book.seriesId || null,
+  series_order: book.seriesId ? book.seriesOrder || null : null,
+  course: book.course || null,
+  cover_design: book.coverDesign || null,
+  launch_kit: book.launchKit || null,
+  translation: book.translation || null,
+  edition: book.edition || null,
+  status: book.status,
+  updated_at: new Date().toISOString()
+});
+
+/**
+ * Writes the book's own row, but only over the version this device last saw:
+ * `expectedUpdatedAt` for a book the server has, or none for one it doesn't.
+ * Returns the server's new updated_at, or null when another device got there first.
+ */
+const pushBookRow = async (book: Book, userId: string, expectedUpdatedAt?: string): Promise<string | null> => {
+  if (!expectedUpdatedAt) {
+    const { data, error } = await supabase
+      .from('books')
+      .insert(mapBookFields(book, userId))
+      .select('updated_at')
+      .single();
+
+    if (error?.code === UNIQUE_VIOLATION) return null;
+    if (error) throw error;
+    return data.updated_at;
+  }
+
+  const { data, error } = await supabase
+    .from('books')
+    .update(mapBookFields(book, userId))
+    .eq('id', book.id)
+    .eq('updated_at', expectedUpdatedAt)
+    .select('updated_at');
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].updated_at : null;
+};
+
+// Writes the book's chapters and sections once its row is saved
+const pushBookContent = async (book: Book): Promise<void> => {
+  // Save chapters
+  if (book.chapters && book.chapters.length > 0) {
+    const chaptersToInsert = book.chapters.map((chapter, index) => ({
+      id: chapter.id,
+      book_id: book.id,
+      title: chapter.title,
+      description: chapter.description,
+      status: chapter.status,
+      writing_persona_id: chapter.writingPersonaId || null,
+      target_word_count: chapter.targetWordCount || null,
+      order_index: index
+    }));
+
+    const { error: chaptersError } = await supabase
+      .from('chapters')
+      .upsert(chaptersToInsert);
+
+    if (chaptersError) throw chaptersError;
+
+    // Save sub-chapters
+    const subChaptersToInsert: (Omit<SubChapterRow, 'content'> & { content?: string })[] = [];
+    book.chapters.forEach((chapter) => {
+      if (chapter.subChapters) {
+        chapter.subChapters.forEach((subChapter, subIndex) => {
+          subChaptersToInsert.push({
+            id: subChapter.id,
+            chapter_id: chapter.id,
+            title: subChapter.title,
+            description: subChapter.description,
+            content: subChapter.content,
+            status: subChapter.status,
+            generation_attempts: subChapter.attempts || 0,
+            generation_error: subChapter.error || null,
+            research: subChapter.research || null,
+            voice_fidelity: subChapter.voiceFidelity || null,
+            order_index: subIndex
+          });
+        });
+      }
+    });
+
+    if (subChaptersToInsert.length > 0) {
+      const { error: subChaptersError } = await supabase
+        .from('sub_chapters')
+        .upsert(subChaptersToInsert);
+
+      if (subChaptersError) throw subChaptersError;
+    }
+  }
+
+  await deleteRemovedRows(book);
+};
+
+// Removing a shared book from the library leaves it; only the owner deletes it for everyone
+const leaveServerBook = async (bookId: string, userId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('book_collaborators')
+    .delete()
+    .eq('book_id', bookId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+const deleteServerBook = async (bookId: string, userId: string): Promise<void> => {
+  const { error } = await supabase
+    .from('books')
+    .delete()
+    .eq('id', bookId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+// Merging
+
+/**
+ * Brings a server copy into the local store. Clean local copies are replaced;
+ * a local copy with unsynced changes is kept and flagged as a conflict when the
+ * server has also changed since the two last matched.
+ */
+const applyServerBook = async (userId: string, serverBook: Book, serverUpdatedAt: string): Promise<LocalBookRecord> => {
+  let replaced = false;
+  const updated = await updateLocalBook(serverBook.id, record => {
+    if (record.deleted || record.serverUpdatedAt === serverUpdatedAt) return undefined;
+    if (!record.dirty) {
+      replaced = true;
+      return { ...record, book: serverBook, updatedAt: serverUpdatedAt, serverUpdatedAt, conflict: undefined };
+    }
+    return { ...record, conflict: { serverBook, serverUpdatedAt, detectedAt: new Date().toISOString() } };
+  });
+  if (updated) {
+    if (replaced) remoteChangeListeners.forEach(listener => listener(serverBook.id));
+    return updated;
+  }
+
+  const record: LocalBookRecord = {
+    id: serverBook.id,
+    userId,
+    book: serverBook,
+    updatedAt: serverUpdatedAt,
+    serverUpdatedAt,
+    dirty: false
+  };
+  await putLocalBook(record);
+  return record;
+};
+
+export const pullBook = async (bookId: string, userId: string): Promise<LocalBookRecord | undefined> => {
+  const server = await fetchServerBook(bookId, userId);
+  if (!server) return getLocalBook(bookId);
+  return applyServerBook(userId, server.book, server.updatedAt);
+};
+
+// Compares versions first so only books changed elsewhere are downloaded.
+// Includes books shared with the user, and drops ones they've been removed from.
+export const pullAllBooks = async (userId: string): Promise<void> => {
+  const { data, error } = await supabase
+    .from('books')
+    .select('id, updated_at');
+
+  if (error) throw error;
+
+  const localBooks = new Map((await getLocalBooks(userId)).map(record => [record.id, record]));
+  const serverIds = new Set<string>();
+
+  for (const row of data || []) {
+    serverIds.add(row.id);
+    const local = localBooks.get(row.id);
+    if (local && (local.deleted || local.serverUpdatedAt === row.updated_at)) continue;
+
+    const server = await fetchServerBook(row.id, userId);
+    if (server) await applyServerBook(userId, server.book, server.updatedAt);
+  }
+
+  // Deleted on another device or no longer shared; unsynced local edits to own books win and recreate them
+  for (const local of localBooks.values()) {
+    const sharedWithUser = !!local.book.ownerId && local.book.ownerId !== userId;
+    if (!serverIds.has(local.id) && (local.serverUpdatedAt || sharedWithUser) && !local.dirty) {
+      await deleteLocalBook(local.id);
+    }
+  }
+};
+
+// Queue
+
+// Keeps the local copy and holds its changes until the user picks a version
+const flagConflict = async (bookId: string, userId: string): Promise<boolean> => {
+  const server = await fetchServerBook(bookId, userId);
+  if (server) {
+    await updateLocalBook(bookId, current => ({
+      ...current,
+      conflict: { serverBook: server.book, serverUpdatedAt: server.updatedAt, detectedAt: new Date().toISOString() }
+    }));
+  }
+  return false;
+};
+
+const pushLocalBook = async (bookId: string, userId: string): Promise<boolean> => {
+  const record = await getLocalBook(bookId);
+  if (!record || record.deleted) return true;
+  // Waits for the user to pick a version
+  if (record.conflict) return false;
+
+  const serverVersion = await fetchServerVersion(bookId);
+  // A shared book that's gone from the server was deleted by its owner or unshared
+  if (!serverVersion && record.book.ownerId && record.book.ownerId !== userId) {
+    await deleteLocalBook(bookId);
+    return true;
+  }
+  if (serverVersion && serverVersion !== record.serverUpdatedAt) {
+    return flagConflict(bookId, userId);
+  }
+
+  // The write itself checks the version again, so a save from another device in the meantime isn't overwritten.
+  // Own books deleted on another device are recreated from this one.
+  const serverUpdatedAt = await pushBookRow(record.book, userId, serverVersion ? record.serverUpdatedAt : undefined);
+  if (!serverUpdatedAt) {
+    return flagConflict(bookId, userId);
+  }
+  // The row now holds this device's version, so retrying after a failure below isn't taken for a conflict
+  await updateLocalBook(bookId, current => ({ ...current, serverUpdatedAt }));
+
+  await pushBookContent(record.book);
+  // Edits made while the push was in flight stay queued for the next one
+  await updateLocalBook(bookId, current => ({
+    ...current,
+    dirty: current.updatedAt !== record.updatedAt
+  }));
+  return true;
+};
+
+// Errors the database gives for requests it will never accept, such as a row level
+// security denial (42501) or a constraint violation, rather than ones worth retrying
+const isPermanentError = (error: unknown): boolean => {
+  const code = (error as { code?: unknown } | null)?.code;
+  return typeof code === 'string' && /^(22|23|42|P0)/.test(code);
+};
+
+// Each mutation is for a different book, so one failing doesn't hold back the rest.
+// Permanent failures are set aside until the book is saved again; others are retried next sync.
+const flushMutations = async (userId: string): Promise<void> => {
+  const mutations = (await getQueuedMutations(userId)).filter(mutation => !mutation.failed);
+  let firstError: unknown;
+
+  for (const mutation of mutations) {
+    try {
+      const done = await processMutation(mutation, userId);
+      if (done) await completeMutation(mutation);
+    } catch (error) {
+      console.error(`Error syncing ${mutation.key}:`, error);
+      await recordMutationFailure(mutation, error instanceof Error ? error.message : 'Unknown error', isPermanentError(error));
+      firstError = firstError ?? error;
+    }
+  }
+
+  if (firstError) throw firstError;
+};
+
+const processMutation = async (mutation: QueuedMutation, userId: string): Promise<boolean> => {
+  switch (mutation.type) {
+    case 'deleteBook': {
+      const record = await getLocalBook(mutation.entityId);
+      if (record?.book.ownerId && record.book.ownerId !== userId) {
+        await leaveServerBook(mutation.entityId, userId);
+      } else {
+        await deleteServerBook(mutation.entityId, userId);
+      }
+      await deleteLocalBook(mutation.entityId);
+      return true;
+    }
+    default:
+      return pushLocalBook(mutation.entityId, userId);
+  }
+};
+
+const refreshStatus = async (userId: string) => {
+  const [mutations, records] = await Promise.all([getQueuedMutations(userId), getLocalBooks(userId)]);
+  const failed = mutations.filter(mutation => mutation.failed);
+  setStatus({
+    pendingChanges: mutations.length - failed.length,
+    failedChanges: failed.map(mutation => ({
+      bookId: mutation.entityId,
+      title: records.find(record => record.id === mutation.entityId)?.book.title || 'Untitled book',
+      error: mutation.lastError || 'Unknown error'
+    })),
+    conflicts: records
+      .filter(record => record.conflict)
+      .map(record => ({
+        bookId: record.id,
+        title: record.book.title,
+        localUpdatedAt: record.updatedAt,
+        serverUpdatedAt: record.conflict!.serverUpdatedAt
+      }))
+  });
+};
+
+const runSync = async () => {
+  const user = await getSessionUser();
+  if (!user) return;
+
+  const online = navigator.onLine;
+  setStatus({ online });
+  if (!online) {
+    await refreshStatus(user.id);
+    return;
+  }
+
+  setStatus({ syncing: true });
+  try {
+    await flushMutations(user.id);
+    await pullAllBooks(user.id);
+    setStatus({ lastSyncedAt: new Date().toISOString(), error: undefined });
+  } catch (error) {
+    console.error('Error syncing books:', error);
+    setStatus({ error: error instanceof Error ? error.message : 'Sync failed' });
+  } finally {
+    await refreshStatus(user.id).catch(error => console.error('Error reading sync status:', error));
+    setStatus({ syncing: false });
+  }
+};
+
+// Pushes queued changes and pulls remote ones; calls during a sync wait for one more pass
+export const requestSync = (): Promise<void> => {
+  if (syncPromise) {
+    syncAgain = true;
+    return syncPromise;
+  }
+
+  syncPromise = (async () => {
+    do {
+      syncAgain = false;
+      await runSync();
+    } while (syncAgain);
+  })().finally(() => {
+    syncPromise = null;
+  });
+  return syncPromise;
+};
+
+export const getSyncStatus = (): SyncStatus => ({ ...status });
+
+export const subscribeToSyncStatus = (listener: (status: SyncStatus) => void): (() => void) => {
+  statusListeners.add(listener);
+  listener({ ...status });
+  return () => {
+    statusListeners.delete(listener);
+  };
+};
+
+// Tells an open view that another device's changes replaced its book
+export const subscribeToRemoteBookChanges = (listener: (bookId: string) => void): (() => void) => {
+  remoteChangeListeners.add(listener);
+  return () => {
+    remoteChangeListeners.delete(listener);
+  };
+};
+
+// Starts syncing on connection changes, queued edits and a timer; returns a cleanup function
+export const startBackgroundSync = (): (() => void) => {
+  let debounceTimer: ReturnType<typeof setTimeout> | undefined;
+
+  const handleOnline = () => {
+    setStatus({ online: true });
+    requestSync();
+  };
+  const handleOffline = () => setStatus({ online: false });
+  const unsubscribeQueue = onQueueChange(() => {
+    getSessionUser()
+      .then(user => user && refreshStatus(user.id))
+      .catch(error => console.error('Error reading sync status:', error));
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(requestSync, SYNC_DEBOUNCE_MS);
+  });
+
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  const interval = setInterval(requestSync, SYNC_INTERVAL_MS);
+  requestSync();
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    clearInterval(interval);
+    clearTimeout(debounceTimer);
+    unsubscribeQueue();
+  };
+};
+
+// Conflicts
+
+// The copy is the signed-in user's own book, even when the original was shared with them
+const copyBookWithNewIds = (book: Book, title: string): Book => ({
+  ...book,
+  id: uuidv4(),
+  title,
+  ownerId: undefined,
+  role: undefined,
+  chapters: book.chapters.map(chapter => ({
+    ...chapter,
+    id: uuidv4(),
+    subChapters: chapter.subChapters?.map(subChapter => ({ ...subChapter, id: uuidv4() }))
+  }))
+});
+
+/**
+ * Settles a conflicted book. 'local' keeps this device's copy and overwrites the
+ * server, 'server' discards the local edits, and 'both' keeps this device's copy
+ * while saving the other device's version as a separate book.
+ */
+export const resolveConflict = async (bookId: string, resolution: SyncConflictResolution): Promise<Book | null> => {
+  const user = await getSessionUser();
+  if (!user) throw new Error('User not authenticated');
+
+  const record = await getLocalBook(bookId);
+  if (!record?.conflict) return record?.book ?? null;
+  const { serverBook, serverUpdatedAt } = record.conflict;
+
+  if (resolution === 'server') {
+    await putLocalBook({ ...record, book: serverBook, updatedAt: serverUpdatedAt, serverUpdatedAt, dirty: false, conflict: undefined });
+    await removeMutation('saveBook', bookId);
+  } else {
+    // Treat the server's version as seen so the next push is allowed to replace it
+    await putLocalBook({ ...record, serverUpdatedAt, dirty: true, conflict: undefined });
+    await queueMutation('saveBook', bookId, user.id);
+
+    if (resolution === 'both') {
+      const copy = copyBookWithNewIds(serverBook, `${serverBook.title} (other device)`);
+      await putLocalBook({ id: copy.id, userId: user.id, book: copy, updatedAt: new Date().toISOString(), dirty: true });
+      await queueMutation('saveBook', copy.id, user.id);
+    }
+  }
+
+  await refreshStatus(user.id);
+  requestSync();
+  return resolution === 'server' ? serverBook : record.book;
+};
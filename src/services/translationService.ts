@@ -0,0 +1,316 @@
+import { Book, BookChapter, StoryBibleEntry, TranslationGlossaryEntry } from '../types';
+import { generateText, LLMTarget } from './llmService';
+import { rewriteInPasses } from './editingService';
+import { cloneBookAsEdition } from './contentService';
+import { loadSeries } from './seriesService';
+import { loadStoryBibleForGeneration } from './storyBibleService';
+import { renderCoverDataUrl } from './coverDesignService';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languageService';
+
+// Faithful rather than creative, with room for languages that run longer than English
+const TRANSLATION_OPTIONS = {
+  temperature: 0.3,
+  maxOutputTokens: 8192,
+  maxRetries: 3
+};
+
+const MAX_GLOSSARY_TERMS = 80;
+const MAX_TERM_DESCRIPTION_LENGTH = 160;
+
+const GLOSSARY_ENTRY_TYPES: StoryBibleEntry['type'][] = ['character', 'place', 'glossary'];
+
+// Model output is untrusted, so anything that isn't an object reads as an empty one
+const asRecord = (value: unknown): Record<string, unknown> =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : {};
+
+const asList = (value: unknown): Record<string, unknown>[] =>
+  Array.isArray(value) ? value.map(asRecord) : [];
+
+const parseJsonObject = (response: string): Record<string, unknown> => {
+  const cleanResponse = response.trim().replace(/```json\s*|\s*```/g, '');
+  const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No valid JSON found in response');
+  return asRecord(JSON.parse(jsonMatch[0]));
+};
+
+const asText = (value: unknown, fallback: string): string =>
+  typeof value === 'string' && value.trim() ? value.trim() : fallback;
+
+export const formatGlossaryForPrompt = (glossary: TranslationGlossaryEntry[]): string => {
+  const entries = glossary.filter(entry => entry.term.trim() && entry.translation.trim());
+  if (entries.length === 0) return '';
+
+  const lines = entries.map(entry =>
+    `- ${entry.term} → ${entry.translation}${entry.note ? ` (${entry.note})` : ''}`
+  );
+  return `\nGLOSSARY:\nUse these renderings every time the term appears, including in inflected forms:\n${lines.join('\n')}\n`;
+};
+
+// Names from the book's story bible, and its series' if it has one, seed the glossary
+export const collectGlossaryTerms = async (book: Book): Promise<StoryBibleEntry[]> => {
+  const bible = await loadStoryBibleForGeneration(book.id);
+  let seriesEntries: StoryBibleEntry[] = [];
+  if (book.seriesId) {
+    try {
+      seriesEntries = (await loadSeries(book.seriesId))?.entries || [];
+    } catch (error) {
+      console.error('Error loading series for glossary:', error);
+    }
+  }
+
+  const seen = new Set<string>();
+  return [...seriesEntries, ...bible.entries]
+    .filter(entry => GLOSSARY_ENTRY_TYPES.includes(entry.type))
+    .filter(entry => {
+      const key = entry.name.trim().toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_GLOSSARY_TERMS);
+};
+
+/**
+ * Proposes how the book's recurring names and terms should read in the
+ * target language. Terms come from the story bible plus any the model finds
+ * in the outline; the result is meant to be reviewed before translating.
+ */
+export const buildTranslationGlossary = async (
+  book: Book,
+  targetLanguage: string,
+  llm: LLMTarget
+): Promise<TranslationGlossaryEntry[]> => {
+  const terms = await collectGlossaryTerms(book);
+  const termList = terms
+    .map(entry => `- ${entry.name} (${entry.type}): ${entry.description.slice(0, MAX_TERM_DESCRIPTION_LENGTH)}`)
+    .join('\n');
+  const outline = book.chapters
+    .map((chapter, index) => `${index + 1}. ${chapter.title}: ${chapter.description}`)
+    .join('\n');
+
+  const prompt = `
+You are preparing a terminology glossary for translating a ${book.genre} book from ${getLanguageName(book.language)} into ${getLanguageName(targetLanguage)}.
+
+BOOK:
+Title: ${book.title}
+Description: ${book.description}
+
+OUTLINE:
+${outline}
+${termList ? `\nKNOWN NAMES AND TERMS:\n${termList}\n` : ''}
+For every known name and term, and for up to 20 other recurring names, invented words, titles or organisations you find in the outline, decide how it should read in ${getLanguageName(targetLanguage)}:
+- Personal names usually stay as they are, unless the name has a well-established local form
+- Descriptive place names, titles and invented words are translated when a reader would otherwise miss their meaning
+- Add a short note only when the choice needs explaining
+
+Return ONLY a JSON object in this format:
+{
+  "glossary": [
+    { "term": "original term", "translation": "rendering in ${getLanguageName(targetLanguage)}", "note": "optional" }
+  ]
+}
+`;
+
+  const response = await generateText(prompt, llm, { temperature: 0.2, maxOutputTokens: 4096, maxRetries: 3 });
+  try {
+    const parsed = parseJsonObject(response);
+    const seen = new Set<string>();
+    return asList(parsed.glossary)
+      .map(entry => ({
+        term: String(entry.term || '').trim(),
+        translation: String(entry.translation || '').trim(),
+        note: String(entry.note || '').trim() || undefined
+      }))
+      .filter((entry: TranslationGlossaryEntry) => {
+        const key = entry.term.toLowerCase();
+        if (!entry.term || !entry.translation || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  } catch (error) {
+    console.error('Error parsing translation glossary:', error);
+    console.error('Raw response:', response);
+    throw new Error('Failed to build the glossary. Please try again.');
+  }
+};
+
+// Translates a section of a translated edition, using the glossary and languages recorded on it
+export const translateSectionContent = async (
+  content: string,
+  book: Book,
+  sectionTitle: string,
+  llm: LLMTarget
+): Promise<string> => {
+  const sourceLanguage = getLanguageName(book.translation?.sourceLanguage || DEFAULT_LANGUAGE);
+  const targetLanguage = getLanguageName(book.language);
+  const glossary = formatGlossaryForPrompt(book.translation?.glossary || []);
+
+  return rewriteInPasses(content, async (passage, index, passCount) => {
+    const prompt = `
+You are a professional literary translator. Translate this passage of the ${book.genre} book "${book.title}" from ${sourceLanguage} into ${targetLanguage}.
+${passCount > 1 ? `It is part ${index + 1} of ${passCount} of the section "${sectionTitle}".\n` : ''}${glossary}
+RULES:
+- Keep the meaning, tone, voice and level of detail; adapt idioms and wordplay naturally rather than literally
+- Keep the paragraph breaks exactly as they are, and leave scene break lines such as * * * unchanged
+- Keep citation markers like [1] next to the facts they support
+- Use the punctuation and dialogue conventions that are standard for ${targetLanguage} books
+
+PASSAGE:
+${passage}
+
+Return ONLY the translated passage, with no notes or commentary.
+`;
+
+    return generateText(prompt, llm, TRANSLATION_OPTIONS);
+  });
+};
+
+const translateBookDetails = async (
+  book: Book,
+  targetLanguage: string,
+  glossary: string,
+  llm: LLMTarget
+): Promise<{ title: string; description: string; subtitle?: string; seriesLine?: string; blurb?: string }> => {
+  const details = {
+    title: book.title,
+    description: book.description,
+    ...(book.coverDesign && {
+      subtitle: book.coverDesign.subtitle,
+      seriesLine: book.coverDesign.seriesLine,
+      blurb: book.coverDesign.blurb
+    })
+  };
+
+  const prompt = `
+Translate the title and descriptive copy of a ${book.genre} book from ${getLanguageName(book.language)} into ${getLanguageName(targetLanguage)}. Titles should sound like titles published in ${getLanguageName(targetLanguage)}, not word-for-word renderings. Leave empty values empty.
+${glossary}
+INPUT:
+${JSON.stringify(details, null, 2)}
+
+Return ONLY a JSON object with the same keys, holding the translations.
+`;
+
+  const parsed = parseJsonObject(await generateText(prompt, llm, TRANSLATION_OPTIONS));
+  return {
+    title: asText(parsed.title, book.title),
+    description: asText(parsed.description, book.description),
+    ...(book.coverDesign && {
+      subtitle: book.coverDesign.subtitle ? asText(parsed.subtitle, book.coverDesign.subtitle) : '',
+      seriesLine: book.coverDesign.seriesLine ? asText(parsed.seriesLine, book.coverDesign.seriesLine) : '',
+      blurb: book.coverDesign.blurb ? asText(parsed.blurb, book.coverDesign.blurb) : ''
+    })
+  };
+};
+
+// Untranslatable responses keep the original wording so the outline never loses a chapter
+const translateChapterOutline = async (
+  book: Book,
+  chapter: BookChapter,
+  targetLanguage: string,
+  glossary: string,
+  llm: LLMTarget
+): Promise<BookChapter> => {
+  const subChapters = chapter.subChapters || [];
+  const outline = {
+    title: chapter.title,
+    description: chapter.description,
+    sections: subChapters.map(subChapter => ({ title: subChapter.title, description: subChapter.description }))
+  };
+
+  const prompt = `
+Translate this chapter outline of a ${book.genre} book from ${getLanguageName(book.language)} into ${getLanguageName(targetLanguage)}.
+${glossary}
+INPUT:
+${JSON.stringify(outline, null, 2)}
+
+Return ONLY a JSON object with the same structure and the same number of sections, holding the translations.
+`;
+
+  try {
+    const parsed = parseJsonObject(await generateText(prompt, llm, TRANSLATION_OPTIONS));
+    const sections = asList(parsed.sections);
+    return {
+      ...chapter,
+      title: asText(parsed.title, chapter.title),
+      description: asText(parsed.description, chapter.description),
+      subChapters: chapter.subChapters && subChapters.map((subChapter, index) => ({
+        ...subChapter,
+        title: asText(sections[index]?.title, subChapter.title),
+        description: asText(sections[index]?.description, subChapter.description)
+      }))
+    };
+  } catch (error) {
+    console.error(`Error translating outline of "${chapter.title}":`, error);
+    return chapter;
+  }
+};
+
+const applyGlossaryToName = (name: string, glossary: TranslationGlossaryEntry[]): string =>
+  glossary.find(entry => entry.term.toLowerCase() === name.trim().toLowerCase())?.translation || name;
+
+/**
+ * Creates a translated edition of a book: the title, description and outline
+ * are translated straight away, and the sections are left pending (with
+ * their original text) for a 'translation' generation job.
+ */
+export const createTranslatedEdition = async (
+  sourceBook: Book,
+  targetLanguage: string,
+  glossary: TranslationGlossaryEntry[],
+  llm: LLMTarget,
+  onProgress?: (completed: number, total: number) => void
+): Promise<{ book: Book; sectionIds: string[] }> => {
+  const glossaryPrompt = formatGlossaryForPrompt(glossary);
+  const total = sourceBook.chapters.length + 1;
+
+  onProgress?.(0, total);
+  const details = await translateBookDetails(sourceBook, targetLanguage, glossaryPrompt, llm);
+  onProgress?.(1, total);
+
+  const chapters: BookChapter[] = [];
+  for (const chapter of sourceBook.chapters) {
+    chapters.push(await translateChapterOutline(sourceBook, chapter, targetLanguage, glossaryPrompt, llm));
+    onProgress?.(chapters.length + 1, total);
+  }
+
+  const coverDesign = sourceBook.coverDesign && {
+    ...sourceBook.coverDesign,
+    title: details.title,
+    subtitle: details.subtitle || '',
+    seriesLine: details.seriesLine || '',
+    blurb: details.blurb || ''
+  };
+
+  // The front cover is drawn from the design, so it's redrawn with the translated title
+  let coverUrl = sourceBook.coverUrl;
+  if (coverDesign) {
+    try {
+      coverUrl = await renderCoverDataUrl(coverDesign);
+    } catch (error) {
+      console.error('Error rendering translated cover:', error);
+    }
+  }
+
+  return cloneBookAsEdition(
+    sourceBook,
+    chapters,
+    sectionSources => ({
+      title: details.title,
+      description: details.description,
+      language: targetLanguage,
+      translation: {
+        sourceBookId: sourceBook.id,
+        sourceLanguage: sourceBook.language || DEFAULT_LANGUAGE,
+        glossary,
+        sectionSources,
+        createdAt: new Date().toISOString()
+      },
+      coverDesign,
+      coverUrl
+    }),
+    entry => ({ ...entry, name: applyGlossaryToName(entry.name, glossary) })
+  );
+};
+
+export const getTranslatedEditions = (book: Book, library: Book[]): Book[] =>
+  library.filter(other => other.translation?.sourceBookId === book.id);
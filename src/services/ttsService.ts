@@ -1,4 +1,223 @@
-import { Book, AudiobookData, AudioChapter, VoiceOption } from '../types';
+import {
+  AIUsageContext,
+  AudioChapter,
+  AudiobookData,
+  AudioSegment,
+  Book,
+  Course,
+  DetectedCharacter,
+  SpeakerSegment,
+  StoryBibleEntry,
+  TTSEngineId,
+  TTSSettings,
+  VoiceCasting,
+  VoiceOption
+} from '../types';
+import { concatenatePcm, createSilence, decodeAudio, encodeWav, getPcmDuration, PcmAudio } from './audioService';
+import { isSceneBreak, splitParagraphs } from './epubService';
+import { createDialogueAttributor, DialogueAttributor } from './dialogueService';
+import { stripCitationMarkers } from './citationService';
+import { proxyFetch } from './aiProxyService';
+import { isSameLanguage } from './languageService';
+
+interface TTSEngineAdapter {
+  label: string;
+  // Longest text sent in one request; longer passages are split at sentence boundaries
+  maxChunkChars: number;
+  listVoices: (settings: TTSSettings) => Promise<VoiceOption[]>;
+  synthesize: (text: string, settings: TTSSettings, usage?: AIUsageContext) => Promise<Response>;
+  isQuotaExhausted: (errorText: string) => boolean;
+}
+
+export const DEFAULT_TTS_ENGINES: Record<TTSEngineId, { label: string; baseUrl: string; model?: string }> = {
+  // Kokoro-FastAPI, openedai-speech and LocalAI all expose OpenAI's /audio/speech endpoint
+  local: {
+    label: 'Local speech server (OpenAI-compatible)',
+    baseUrl: 'http://localhost:8880/v1',
+    model: 'kokoro'
+  },
+  piper: {
+    label: 'Piper HTTP server',
+    baseUrl: 'http://localhost:5000'
+  },
+  // Called through the AI proxy, so it has no base URL of its own
+  openai: {
+    label: 'OpenAI TTS',
+    baseUrl: '',
+    model: 'tts-1'
+  }
+};
+
+// Pauses inserted between chunks when stitching chapter audio, in seconds
+const PAUSES = {
+  // Room tone at the start and end of each chapter file, within ACX's limits
+  leadIn: 0.75,
+  tail: 2,
+  afterChapterHeading: 1.5,
+  afterSectionHeading: 0.75,
+  betweenChunks: 0.35,
+  // Between a quoted line and the narration around it in the same paragraph
+  voiceChange: 0.15,
+  sceneBreak: 1.2,
+  betweenSections: 1.0
+};
+
+const MAX_CHUNK_ATTEMPTS = 3;
+
+const OPENAI_VOICES: { id: string; gender: VoiceOption['gender'] }[] = [
+  { id: 'alloy', gender: 'neutral' },
+  { id: 'ash', gender: 'male' },
+  { id: 'coral', gender: 'female' },
+  { id: 'echo', gender: 'male' },
+  { id: 'fable', gender: 'neutral' },
+  { id: 'nova', gender: 'female' },
+  { id: 'onyx', gender: 'male' },
+  { id: 'sage', gender: 'female' },
+  { id: 'shimmer', gender: 'female' }
+];
+
+const FEMALE_NAME_HINTS = ['female', 'woman', 'amy', 'kathleen', 'kristin', 'lessac', 'jenny', 'ljspeech', 'hfc_female', 'alba', 'cori', 'nova', 'shimmer', 'bella', 'sarah', 'emma'];
+const MALE_NAME_HINTS = ['male', 'man', 'ryan', 'joe', 'john', 'kusal', 'danny', 'alan', 'arctic', 'hfc_male', 'northern_english', 'onyx', 'echo', 'adam', 'george', 'michael'];
+
+// Kokoro voice ids encode language and gender, e.g. "af_bella" is an American female voice
+const guessVoiceGender = (id: string): VoiceOption['gender'] => {
+  const name = id.toLowerCase();
+  const kokoro = name.match(/^[a-z]([fm])_/);
+  if (kokoro) return kokoro[1] === 'f' ? 'female' : 'male';
+  if (FEMALE_NAME_HINTS.some(hint => name.includes(hint))) return 'female';
+  if (MALE_NAME_HINTS.some(hint => name.includes(hint))) return 'male';
+  return 'neutral';
+};
+
+// The first letter of a Kokoro voice id is its language
+const KOKORO_LANGUAGES: Record<string, string> = {
+  a: 'en-US',
+  b: 'en-GB',
+  e: 'es',
+  f: 'fr',
+  h: 'hi',
+  i: 'it',
+  j: 'ja',
+  p: 'pt-BR',
+  z: 'zh'
+};
+
+const guessVoiceLanguage = (id: string): string => {
+  const piper = id.match(/^([a-z]{2})[_-]([A-Z]{2})/);
+  if (piper) return `${piper[1]}-${piper[2]}`;
+  const kokoro = id.match(/^([a-z])[fm]_/);
+  if (kokoro) return KOKORO_LANGUAGES[kokoro[1]] || 'en';
+  return 'en';
+};
+
+const toVoiceOption = (id: string, engine: TTSEngineId, gender = guessVoiceGender(id)): VoiceOption => ({
+  id,
+  name: id,
+  engine,
+  gender,
+  language: guessVoiceLanguage(id)
+});
+
+const getBaseUrl = (settings: TTSSettings) =>
+  (settings.baseUrl || DEFAULT_TTS_ENGINES[settings.engine].baseUrl).replace(/\/+$/, '');
+
+const buildSpeechRequest = (text: string, settings: TTSSettings) => ({
+  model: settings.model || DEFAULT_TTS_ENGINES[settings.engine].model,
+  input: text,
+  voice: settings.voiceId,
+  response_format: 'wav',
+  speed: settings.speed || 1
+});
+
+const ENGINES: Record<TTSEngineId, TTSEngineAdapter> = {
+  local: {
+    label: 'Local speech server',
+    maxChunkChars: 1500,
+    listVoices: async (settings) => {
+      try {
+        const response = await fetch(`${getBaseUrl(settings)}/audio/voices`);
+        if (response.ok) {
+          const data = await response.json();
+          const voices: string[] = Array.isArray(data) ? data : data.voices || [];
+          if (voices.length > 0) return voices.map(id => toVoiceOption(id, 'local'));
+        }
+      } catch (error) {
+        console.warn('Local speech server did not list its voices:', error);
+      }
+      // Servers without a voices endpoint accept OpenAI's voice names
+      return OPENAI_VOICES.map(voice => toVoiceOption(voice.id, 'local', voice.gender));
+    },
+    synthesize: (text, settings) => fetch(`${getBaseUrl(settings)}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(buildSpeechRequest(text, settings))
+    }),
+    isQuotaExhausted: () => false
+  },
+  piper: {
+    label: 'Piper',
+    maxChunkChars: 1500,
+    listVoices: async (settings) => {
+      try {
+        const response = await fetch(`${getBaseUrl(settings)}/voices`);
+        if (response.ok) {
+          const data = await response.json();
+          const voices: string[] = Array.isArray(data) ? data : Object.keys(data || {});
+          if (voices.length > 0) return voices.map(id => toVoiceOption(id, 'piper'));
+        }
+      } catch (error) {
+        console.warn('Piper server did not list its voices:', error);
+      }
+      // Older servers only serve the model they were started with
+      return [{ id: '', name: 'Server default voice', engine: 'piper', gender: 'neutral', language: 'en' }];
+    },
+    synthesize: (text, settings) => fetch(`${getBaseUrl(settings)}/`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text,
+        ...(settings.voiceId ? { voice: settings.voiceId } : {}),
+        length_scale: 1 / (settings.speed || 1)
+      })
+    }),
+    isQuotaExhausted: () => false
+  },
+  openai: {
+    label: 'OpenAI TTS',
+    maxChunkChars: 4000,
+    listVoices: async () => OPENAI_VOICES.map(voice => ({ ...toVoiceOption(voice.id, 'openai', voice.gender), multilingual: true })),
+    synthesize: (text, settings, usage) => proxyFetch('openai', 'v1/audio/speech', buildSpeechRequest(text, settings), usage),
+    isQuotaExhausted: (errorText) => errorText.includes('insufficient_quota')
+  }
+};
+
+export const getDefaultTTSSettings = (): TTSSettings => {
+  const engine = (import.meta.env.VITE_TTS_ENGINE as TTSEngineId) in DEFAULT_TTS_ENGINES
+    ? import.meta.env.VITE_TTS_ENGINE as TTSEngineId
+    : 'local';
+  return {
+    engine,
+    baseUrl: import.meta.env.VITE_TTS_SERVER_URL || undefined,
+    voiceId: '',
+    speed: 1
+  };
+};
+
+export const listVoices = async (settings: TTSSettings): Promise<VoiceOption[]> =>
+  ENGINES[settings.engine].listVoices(settings);
+
+// Voices that speak the book's language; every voice when the engine has none, so narration isn't blocked
+export const filterVoicesForLanguage = (
+  voices: VoiceOption[],
+  language?: string
+): { voices: VoiceOption[]; matched: boolean } => {
+  const matching = voices.filter(voice => voice.multilingual || isSameLanguage(voice.language, language));
+  return matching.length > 0 ? { voices: matching, matched: true } : { voices, matched: false };
+};
 
 // Voice selection logic based on book characteristics
 export const analyzeBookForVoiceSelection = (book: Book): { recommendedGender: 'male' | 'female' | 'neutral'; confidence: number } => {
@@ -60,50 +279,14 @@ export const analyzeBookForVoiceSelection = (book: Book): { recommendedGender: '
   }
 };
 
-// Get available voices and categorize them
-export const getAvailableVoices = (): VoiceOption[] => {
-  const voices = speechSynthesis.getVoices();
-  
-  return voices
-    .filter(voice => voice.lang.startsWith('en')) // English voices only
-    .map(voice => {
-      const name = voice.name.toLowerCase();
-      let gender: 'male' | 'female' | 'neutral' = 'neutral';
-      
-      // Categorize by common voice name patterns
-      if (name.includes('female') || name.includes('woman') || 
-          ['samantha', 'susan', 'victoria', 'karen', 'zira', 'hazel', 'moira'].some(n => name.includes(n))) {
-        gender = 'female';
-      } else if (name.includes('male') || name.includes('man') || 
-                 ['alex', 'daniel', 'tom', 'david', 'mark', 'fred'].some(n => name.includes(n))) {
-        gender = 'male';
-      }
-      
-      return {
-        voice,
-        gender,
-        language: voice.lang,
-        isRecommended: false
-      };
-    })
-    .sort((a, b) => {
-      // Prioritize higher quality voices
-      if (a.voice.localService !== b.voice.localService) {
-        return a.voice.localService ? -1 : 1;
-      }
-      return a.voice.name.localeCompare(b.voice.name);
-    });
-};
-
 // Select the best voice for a book
-export const selectVoiceForBook = (book: Book, availableVoices?: VoiceOption[]): VoiceOption | null => {
-  const voices = availableVoices || getAvailableVoices();
-  if (voices.length === 0) return null;
+export const selectVoiceForBook = (book: Book, availableVoices: VoiceOption[]): VoiceOption | null => {
+  if (availableVoices.length === 0) return null;
 
   const analysis = analyzeBookForVoiceSelection(book);
   
   // Find voices matching the recommended gender
-  const matchingVoices = voices.filter(v => v.gender === analysis.recommendedGender);
+  const matchingVoices = availableVoices.filter(v => v.gender === analysis.recommendedGender);
   
   if (matchingVoices.length > 0) {
     // Mark the first matching voice as recommended
@@ -112,114 +295,315 @@ export const selectVoiceForBook = (book: Book, availableVoices?: VoiceOption[]):
   }
   
   // Fallback to first available voice
-  voices[0].isRecommended = true;
-  return voices[0];
+  availableVoices[0].isRecommended = true;
+  return availableVoices[0];
 };
 
-// Generate speech for text content
-export const generateSpeech = (text: string, voice: SpeechSynthesisVoice, rate: number = 1): Promise<Blob> => {
-  return new Promise((resolve, reject) => {
-    if (!('speechSynthesis' in window) || !('MediaRecorder' in window)) {
-      reject(new Error('Speech synthesis or MediaRecorder not supported in this browser'));
-      return;
-    }
+/**
+ * Gives each speaking character a voice of their gender, avoiding the narrator's
+ * voice and repeating voices only once every suitable one is taken.
+ */
+export const autoCastVoices = (
+  characters: DetectedCharacter[],
+  voices: VoiceOption[],
+  narratorVoiceId: string
+): VoiceCasting => {
+  const casting: VoiceCasting = {};
+  const timesUsed = new Map<string, number>();
+
+  for (const character of characters) {
+    const available = voices.filter(voice => voice.id !== narratorVoiceId);
+    const sameGender = available.filter(voice => voice.gender === character.gender);
+    const neutral = available.filter(voice => voice.gender === 'neutral');
+    const pool = character.gender === 'neutral' || sameGender.length === 0
+      ? (neutral.length > 0 && character.gender !== 'neutral' ? neutral : available)
+      : sameGender;
+    if (pool.length === 0) continue;
+
+    const voice = pool.reduce((best, option) =>
+      (timesUsed.get(option.id) || 0) < (timesUsed.get(best.id) || 0) ? option : best
+    );
+    casting[character.name] = voice.id;
+    timesUsed.set(voice.id, (timesUsed.get(voice.id) || 0) + 1);
+  }
 
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.voice = voice;
-    utterance.rate = rate;
-    utterance.pitch = 1;
-    utterance.volume = 1;
+  return casting;
+};
 
-    const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-    const dest = audioContext.createMediaStreamDestination();
-    const mediaRecorder = new MediaRecorder(dest.stream);
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
-    const chunks: BlobPart[] = [];
-    mediaRecorder.ondataavailable = (event) => {
-      chunks.push(event.data);
-    };
+export const synthesizeSpeech = async (
+  text: string,
+  settings: TTSSettings,
+  usage?: AIUsageContext
+): Promise<PcmAudio> => {
+  const engine = ENGINES[settings.engine];
 
-    mediaRecorder.onstop = () => {
-      const blob = new Blob(chunks, { type: 'audio/webm;codecs=opus' });
-      resolve(blob);
-      audioContext.close();
-    };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await engine.synthesize(text, settings, usage);
 
-    const source = audioContext.createBufferSource(); // Dummy source to keep context running
+      if (!response.ok) {
+        const errorText = await response.text();
+        if (response.status === 429 && engine.isQuotaExhausted(errorText)) {
+          throw new Error(`Quota exceeded for ${engine.label}. Please wait for your quota to reset or switch to a local speech engine.`);
+        }
+        // Client errors such as an unknown voice won't succeed on retry
+        const retryable = response.status === 429 || response.status >= 500;
+        const error = new Error(`${engine.label} error: ${response.status} - ${errorText}`);
+        if (!retryable || attempt >= MAX_CHUNK_ATTEMPTS) throw error;
+        console.warn(`${error.message}. Retrying (attempt ${attempt + 1}/${MAX_CHUNK_ATTEMPTS})...`);
+      } else {
+        const audio = await decodeAudio(await response.arrayBuffer());
+        if (audio.samples.length === 0) {
+          throw new Error(`${engine.label} returned empty audio`);
+        }
+        return audio;
+      }
+    } catch (error) {
+      const isNetworkError = error instanceof TypeError;
+      if (!isNetworkError || attempt >= MAX_CHUNK_ATTEMPTS) {
+        if (isNetworkError) {
+          const server = settings.engine === 'openai' ? 'the AI proxy' : getBaseUrl(settings);
+          throw new Error(`Could not reach ${engine.label} at ${server}. Make sure the server is running and allows requests from this site.`);
+        }
+        throw error;
+      }
+      console.warn(`Network error calling ${engine.label}. Retrying (attempt ${attempt + 1}/${MAX_CHUNK_ATTEMPTS})...`);
+    }
+    await delay(Math.pow(2, attempt) * 1000);
+  }
+};
 
-    utterance.onstart = () => {
-      mediaRecorder.start();
-    };
+const splitSentences = (paragraph: string, maxChars: number): string[] => {
+  const sentences = paragraph.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g) || [paragraph];
+  const pieces: string[] = [];
+  let current = '';
 
-    utterance.onend = () => {
-      mediaRecorder.stop();
-    };
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // A single run-on sentence longer than the limit is cut at a word boundary
+    let remaining = sentence;
+    while (remaining.length > maxChars) {
+      const cut = remaining.lastIndexOf(' ', maxChars);
+      const index = cut > 0 ? cut : maxChars;
+      pieces.push(remaining.slice(0, index).trim());
+      remaining = remaining.slice(index);
+    }
+    current += remaining;
+  }
 
-    utterance.onerror = (event) => {
-      reject(new Error(`Speech synthesis error: ${event.error}`));
-    };
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
 
-    // Hack to connect utterance to media recorder
-    const utteranceSource = audioContext.createMediaStreamSource(dest.stream);
-    utteranceSource.connect(audioContext.destination);
-    
-    speechSynthesis.speak(utterance);
-  });
+type NarrationChunk =
+  | { type: 'text'; text: string; speaker?: string; continuesParagraph: boolean }
+  | { type: 'scene-break' };
+
+/**
+ * Packs whole paragraphs into chunks up to the engine's limit, keeping scene
+ * breaks as pauses. With an attributor, quoted lines become separate chunks
+ * tagged with their speaker so they can be read in that character's voice.
+ */
+export const splitIntoNarrationChunks = (
+  content: string,
+  maxChars: number,
+  attributor?: DialogueAttributor
+): NarrationChunk[] => {
+  const chunks: NarrationChunk[] = [];
+  let current: Extract<NarrationChunk, { type: 'text' }> | null = null;
+
+  const flush = () => {
+    if (current?.text.trim()) chunks.push({ ...current, text: current.text.trim() });
+    current = null;
+  };
+
+  for (const paragraph of splitParagraphs(content)) {
+    if (isSceneBreak(paragraph)) {
+      flush();
+      chunks.push({ type: 'scene-break' });
+      continue;
+    }
+
+    const spans = attributor ? attributor.attributeParagraph(paragraph) : [{ text: paragraph, speaker: undefined }];
+    for (const [spanIndex, span] of spans.entries()) {
+      const pieces = span.text.length > maxChars ? splitSentences(span.text, maxChars) : [span.text];
+      for (const [pieceIndex, piece] of pieces.entries()) {
+        const startsParagraph = spanIndex === 0 && pieceIndex === 0;
+        if (current && (current.speaker !== span.speaker || current.text.length + piece.length + 2 > maxChars)) flush();
+        if (current) {
+          current.text += `${startsParagraph ? '\n\n' : ' '}${piece}`;
+        } else {
+          current = { type: 'text', text: piece, speaker: span.speaker, continuesParagraph: !startsParagraph };
+        }
+      }
+    }
+  }
+
+  flush();
+  return chunks;
 };
 
-// Generate audiobook from book content
+interface ChapterNarrationPart {
+  title: string;
+  subChapterId?: string;
+  heading: string;
+  chunks: NarrationChunk[];
+}
+
+const buildChapterNarration = (
+  book: Book,
+  chapterIndex: number,
+  maxChars: number,
+  attributor?: DialogueAttributor
+): ChapterNarrationPart[] => {
+  const chapter = book.chapters[chapterIndex];
+  return [
+    {
+      title: chapter.title,
+      heading: `Chapter ${chapterIndex + 1}. ${chapter.title}.`,
+      chunks: []
+    },
+    ...(chapter.subChapters || [])
+      .filter(subChapter => subChapter.content?.trim())
+      .map(subChapter => ({
+        title: subChapter.title,
+        subChapterId: subChapter.id,
+        heading: `${subChapter.title}.`,
+        // Citation markers belong to the printed notes, not the narration
+        chunks: splitIntoNarrationChunks(subChapter.research ? stripCitationMarkers(subChapter.content!) : subChapter.content!, maxChars, attributor)
+      }))
+  ];
+};
+
+const countRequests = (parts: ChapterNarrationPart[]) =>
+  parts.reduce((total, part) => total + 1 + part.chunks.filter(chunk => chunk.type === 'text').length, 0);
+
+/**
+ * Narrates the book chapter by chapter. Each section is synthesized in chunks,
+ * stitched with short pauses into one WAV per chapter, and timed from the actual
+ * sample count so durations and section offsets are exact.
+ *
+ * When a casting is given, dialogue is attributed to characters and each quoted
+ * line is read in its character's voice; uncast characters use the narrator.
+ */
 export const generateAudiobook = async (
-  book: Book, 
-  selectedVoice: SpeechSynthesisVoice,
-  onProgress?: (progress: number, currentChapter: string) => void
+  book: Book,
+  settings: TTSSettings,
+  onProgress?: (progress: number, currentChapter: string) => void,
+  casting?: VoiceCasting,
+  characterHints: StoryBibleEntry[] = []
 ): Promise<AudiobookData> => {
+  const engine = ENGINES[settings.engine];
+  // One attributor reads the whole book in order so characters carry across chapters
+  const attributor = casting ? createDialogueAttributor(characterHints) : undefined;
+  const narration = book.chapters.map((_, index) => buildChapterNarration(book, index, engine.maxChunkChars, attributor));
+  const totalRequests = narration.reduce((total, parts) => total + countRequests(parts), 0);
+  let completedRequests = 0;
+
   const audioChapters: AudioChapter[] = [];
   let totalDuration = 0;
 
   for (let i = 0; i < book.chapters.length; i++) {
     const chapter = book.chapters[i];
-    onProgress?.(i / book.chapters.length, chapter.title);
+    const requestsBeforeChapter = completedRequests;
+    const pcmParts: PcmAudio[] = [];
+    const segments: AudioSegment[] = [];
+    const speakers: SpeakerSegment[] = [];
+    let elapsed = PAUSES.leadIn;
+
+    const speak = async (text: string, speaker?: string) => {
+      onProgress?.(completedRequests / totalRequests, chapter.title);
+      const voiceId = (speaker && casting?.[speaker]) || settings.voiceId;
+      const audio = await synthesizeSpeech(text, { ...settings, voiceId }, { bookId: book.id, operation: 'speech' });
+      completedRequests++;
+
+      const startTime = elapsed;
+      pcmParts.push(audio);
+      elapsed += getPcmDuration(audio);
+
+      // Consecutive lines by the same speaker, and the pauses between them, form one segment
+      const previous = speakers[speakers.length - 1];
+      if (previous && previous.speaker === speaker) {
+        previous.duration = elapsed - previous.startTime;
+      } else {
+        speakers.push({ speaker, startTime, duration: elapsed - startTime });
+      }
+    };
 
-    // Combine chapter content
-    let chapterText = `Chapter ${i + 1}: ${chapter.title}\n\n${chapter.description}\n\n`;
-    
-    if (chapter.subChapters) {
-      chapter.subChapters.forEach((subChapter, subIndex) => {
-        chapterText += `${subChapter.title}\n${subChapter.description}\n`;
-        if (subChapter.content) {
-          chapterText += `${subChapter.content}\n\n`;
-        }
-      });
-    }
+    const pause = (seconds: number) => {
+      const silence = createSilence(pcmParts[pcmParts.length - 1].sampleRate, seconds);
+      pcmParts.push(silence);
+      elapsed += getPcmDuration(silence);
+    };
 
     try {
-      const audioBlob = await generateSpeech(chapterText, selectedVoice);
-      const audioUrl = URL.createObjectURL(audioBlob);
-      
-      // Estimate duration (rough calculation: ~150 words per minute)
-      const wordCount = chapterText.split(' ').length;
-      const estimatedDuration = (wordCount / 150) * 60; // seconds
-      
-      const audioChapter: AudioChapter = {
+      for (const [partIndex, part] of narration[i].entries()) {
+        if (partIndex > 1) pause(PAUSES.betweenSections);
+
+        const startTime = elapsed;
+        await speak(part.heading);
+        pause(partIndex === 0 ? PAUSES.afterChapterHeading : PAUSES.afterSectionHeading);
+
+        for (const [chunkIndex, chunk] of part.chunks.entries()) {
+          if (chunk.type === 'scene-break') {
+            pause(PAUSES.sceneBreak);
+            continue;
+          }
+          if (part.chunks[chunkIndex - 1]?.type === 'text') {
+            pause(chunk.continuesParagraph ? PAUSES.voiceChange : PAUSES.betweenChunks);
+          }
+          await speak(chunk.text, chunk.speaker);
+        }
+
+        segments.push({
+          subChapterId: part.subChapterId,
+          title: part.title,
+          startTime,
+          duration: elapsed - startTime
+        });
+      }
+
+      const sampleRate = pcmParts[0].sampleRate;
+      const chapterAudio = concatenatePcm([
+        createSilence(sampleRate, PAUSES.leadIn),
+        ...pcmParts,
+        createSilence(sampleRate, PAUSES.tail)
+      ]);
+      const audioBlob = encodeWav(chapterAudio);
+      const duration = getPcmDuration(chapterAudio);
+
+      audioChapters.push({
         id: `audio-${chapter.id}`,
         chapterId: chapter.id,
         title: chapter.title,
         audioBlob,
-        audioUrl,
-        duration: estimatedDuration,
+        audioUrl: URL.createObjectURL(audioBlob),
+        duration,
+        segments,
+        ...(attributor ? { speakers } : {}),
         status: 'completed'
-      };
-      
-      audioChapters.push(audioChapter);
-      totalDuration += estimatedDuration;
+      });
+      totalDuration += duration;
     } catch (error) {
       console.error(`Error generating audio for chapter ${chapter.title}:`, error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      // Every later chapter would fail the same way, so stop instead of working through them
+      if (message.startsWith('Quota exceeded') || message.startsWith('Could not reach')) {
+        throw error;
+      }
       audioChapters.push({
         id: `audio-${chapter.id}`,
         chapterId: chapter.id,
         title: chapter.title,
-        status: 'error'
+        status: 'error',
+        error: message
       });
+      completedRequests = requestsBeforeChapter + countRequests(narration[i]);
     }
   }
 
@@ -227,7 +611,9 @@ export const generateAudiobook = async (
 
   return {
     id: `audiobook-${book.id}`,
-    selectedVoice: selectedVoice.name,
+    selectedVoice: settings.voiceId || 'Default voice',
+    engine: settings.engine,
+    casting,
     audioChapters,
     totalDuration,
     generatedAt: new Date().toISOString(),
@@ -257,9 +643,25 @@ export const formatDuration = (seconds: number): string => {
   }
 };
 
+// Reads a slide script or other short passage as one clip
+const narrateScript = async (
+  script: string,
+  settings: TTSSettings,
+  usage?: AIUsageContext
+): Promise<PcmAudio> => {
+  const pcmParts: PcmAudio[] = [];
+  for (const chunk of splitIntoNarrationChunks(script, ENGINES[settings.engine].maxChunkChars)) {
+    if (pcmParts.length > 0) {
+      pcmParts.push(createSilence(pcmParts[0].sampleRate, chunk.type === 'scene-break' ? PAUSES.sceneBreak : PAUSES.betweenChunks));
+    }
+    if (chunk.type === 'text') pcmParts.push(await synthesizeSpeech(chunk.text, settings, usage));
+  }
+  return concatenatePcm(pcmParts);
+};
+
 export const generateLessonPlanAudio = async (
   lessonPlan: any,
-  voice: SpeechSynthesisVoice,
+  settings: TTSSettings,
   onProgress?: (progress: number, currentSlide: string) => void
 ): Promise<any> => {
   const audioSlides: any[] = [];
@@ -270,20 +672,18 @@ export const generateLessonPlanAudio = async (
     onProgress?.(i / lessonPlan.slides.length, slide.title);
 
     try {
-      const audioBlob = await generateSpeech(slide.script, voice);
-      const audioUrl = URL.createObjectURL(audioBlob);
-
-      const wordCount = slide.script.split(' ').length;
-      const estimatedDuration = (wordCount / 150) * 60;
+      const slideAudio = await narrateScript(slide.script || '', settings, { operation: 'speech' });
+      const audioBlob = encodeWav(slideAudio);
+      const duration = getPcmDuration(slideAudio);
 
       audioSlides.push({
         ...slide,
         audioBlob,
-        audioUrl,
-        duration: estimatedDuration,
+        audioUrl: URL.createObjectURL(audioBlob),
+        duration,
         status: 'completed'
       });
-      totalDuration += estimatedDuration;
+      totalDuration += duration;
     } catch (error) {
       console.error(`Error generating audio for slide ${slide.title}:`, error);
       audioSlides.push({
@@ -303,3 +703,67 @@ export const generateLessonPlanAudio = async (
     status: 'completed'
   };
 };
+
+/**
+ * Narrates every slide script of an online course. The result is the course's
+ * audiobook, with one audio chapter per slide keyed by the slide's id, so slide
+ * audio is stored, played and exported like any other audiobook.
+ */
+export const generateCourseNarration = async (
+  book: Book,
+  course: Course,
+  settings: TTSSettings,
+  onProgress?: (progress: number, currentSlide: string) => void
+): Promise<AudiobookData> => {
+  const slides = course.modules.flatMap(module => module.lessons.flatMap(lesson => lesson.slides));
+  const audioChapters: AudioChapter[] = [];
+  let totalDuration = 0;
+
+  for (let i = 0; i < slides.length; i++) {
+    const slide = slides[i];
+    onProgress?.(i / slides.length, slide.title);
+    if (!slide.script.trim()) continue;
+
+    try {
+      const slideAudio = await narrateScript(slide.script, settings, { bookId: book.id, operation: 'speech' });
+      const audioBlob = encodeWav(slideAudio);
+      const duration = getPcmDuration(slideAudio);
+
+      audioChapters.push({
+        id: `audio-${slide.id}`,
+        chapterId: slide.id,
+        title: slide.title,
+        audioBlob,
+        audioUrl: URL.createObjectURL(audioBlob),
+        duration,
+        status: 'completed'
+      });
+      totalDuration += duration;
+    } catch (error) {
+      console.error(`Error generating audio for slide ${slide.title}:`, error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      if (message.startsWith('Quota exceeded') || message.startsWith('Could not reach')) {
+        throw error;
+      }
+      audioChapters.push({
+        id: `audio-${slide.id}`,
+        chapterId: slide.id,
+        title: slide.title,
+        status: 'error',
+        error: message
+      });
+    }
+  }
+
+  onProgress?.(1, 'Completed');
+
+  return {
+    id: `audiobook-${book.id}`,
+    selectedVoice: settings.voiceId || 'Default voice',
+    engine: settings.engine,
+    audioChapters,
+    totalDuration,
+    generatedAt: new Date().toISOString(),
+    status: 'completed'
+  };
+};
@@ -3,7 +3,13 @@ export interface SubChapter {
   title: string;
   description: string;
   content?: string;
-  status: 'pending' | 'generating' | 'completed';
+  status: 'pending' | 'generating' | 'completed' | 'failed';
+  attempts?: number;
+  error?: string;
+  // Research the content was written from; its sources are cited in the content as [1], [2]...
+  research?: SectionResearch;
+  // How closely the text matched its persona's sample when it was written
+  voiceFidelity?: PersonaFidelity;
 }
 
 export interface BookChapter {
@@ -13,6 +19,10 @@ export interface BookChapter {
   subChapters?: SubChapter[];
   status: 'pending' | 'generating' | 'completed';
   expanded?: boolean;
+  // Overrides the book's writing persona for this chapter
+  writingPersonaId?: string;
+  // Overrides this chapter's share of the book's target length
+  targetWordCount?: number;
 }
 
 export interface Book {
@@ -26,17 +36,208 @@ export interface Book {
   heatLevel?: string;
   perspective?: string;
   targetAudience?: string;
+  language?: string;
+  // Split into chapter and section budgets that guide generation
+  targetWordCount?: number;
   coverUrl?: string;
+  // Layers the cover was composed from; coverUrl holds the rendered front cover
+  coverDesign?: CoverDesign;
   chapters: BookChapter[];
   status: 'draft' | 'generating' | 'completed';
   audiobook?: AudiobookData;
   writingPersonaId?: string;
   writingPersona?: WritingPersona;
+  llmSettings?: LLMSettings;
+  seriesId?: string;
+  // Reading order within the series, starting at 1
+  seriesOrder?: number;
+  // Online courses keep their structured modules, slides and quizzes alongside the chapter text
+  course?: Course;
+  launchKit?: LaunchKit;
+  // Set on editions translated from another book
+  translation?: BookTranslation;
+  // Set on editions rewritten from another book for a different reader, voice or length
+  edition?: BookEdition;
+  // Set on books pulled from the server; books created on this device belong to the signed-in user
+  ownerId?: string;
+  role?: BookRole;
+}
+
+export interface TranslationGlossaryEntry {
+  term: string;
+  // Rendering used everywhere in the translation; the same as the term for names that stay as they are
+  translation: string;
+  note?: string;
+}
+
+export interface BookTranslation {
+  sourceBookId: string;
+  sourceLanguage: string;
+  // Keeps character, place and other recurring names consistent across sections
+  glossary: TranslationGlossaryEntry[];
+  // Edition section id -> source section id, for comparing the two side by side
+  sectionSources?: Record<string, string>;
+  createdAt: string;
+}
+
+export type ReadingLevel = 'early-reader' | 'middle-grade' | 'young-adult' | 'adult';
+
+export type NarrativeTense = 'past' | 'present';
+
+export type EditionLength = 'abridged' | 'expanded';
+
+// Only the axes that differ from the source are set
+export interface EditionChanges {
+  readingLevel?: ReadingLevel;
+  targetAudience?: string;
+  perspective?: string;
+  // Whose eyes a first person edition is told through
+  narrator?: string;
+  tense?: NarrativeTense;
+  length?: EditionLength;
+}
+
+export interface BookEdition {
+  sourceBookId: string;
+  changes: EditionChanges;
+  // Edition section id -> source section id, for comparing the two side by side
+  sectionSources: Record<string, string>;
+  createdAt: string;
+}
+
+export type BookRole = 'owner' | 'co_author' | 'editor' | 'viewer';
+
+export interface BookCollaborator {
+  userId: string;
+  email: string;
+  role: Exclude<BookRole, 'owner'>;
+  createdAt: string;
+}
+
+// Anchored to a character range of a section; the quote finds the range again after edits
+export interface BookComment {
+  id: string;
+  bookId: string;
+  subChapterId: string;
+  // Set on replies, which share their thread's anchor
+  parentId?: string;
+  userId: string;
+  authorName: string;
+  anchorStart: number;
+  anchorEnd: number;
+  quote: string;
+  body: string;
+  resolved: boolean;
+  createdAt: string;
+}
+
+export type SuggestionStatus = 'pending' | 'accepted' | 'rejected';
+
+// A proposed replacement of one range of a section, accepted or rejected by the owner
+export interface BookSuggestion {
+  id: string;
+  bookId: string;
+  subChapterId: string;
+  userId: string;
+  authorName: string;
+  rangeStart: number;
+  rangeEnd: number;
+  originalText: string;
+  suggestedText: string;
+  status: SuggestionStatus;
+  createdAt: string;
+}
+
+// Someone with the book open in the editor, and the section they're typing in
+export interface CollaboratorPresence {
+  userId: string;
+  name: string;
+  color: string;
+  editingSectionId?: string;
+}
+
+export type BlurbLength = 'short' | 'medium' | 'long';
+
+export interface BisacCategory {
+  code: string;
+  label: string;
+}
+
+export interface SocialPost {
+  platform: string;
+  text: string;
+}
+
+// One module of Amazon A+ content: a heading over a short block of copy
+export interface APlusModule {
+  heading: string;
+  body: string;
+}
+
+// Sales copy for launching the book, editable after it is generated
+export interface LaunchKit {
+  blurbs: Record<BlurbLength, string>;
+  taglines: string[];
+  // KDP allows seven keyword phrases
+  keywords: string[];
+  categories: BisacCategory[];
+  authorBio: string;
+  newsletter: string;
+  socialPosts: SocialPost[];
+  aPlusContent: APlusModule[];
+  generatedAt: string;
+}
+
+export interface CourseSlide {
+  id: string;
+  title: string;
+  bullets: string[];
+  // Read aloud as narration and exported as speaker notes
+  script: string;
+}
+
+export interface QuizQuestion {
+  id: string;
+  question: string;
+  options: string[];
+  // Index into options of the right answer
+  correctIndex: number;
+  explanation?: string;
+}
+
+export interface CourseLesson {
+  // Shared with the sub-chapter holding the lesson's text
+  id: string;
+  title: string;
+  summary: string;
+  objectives: string[];
+  lessonPlan: string;
+  slides: CourseSlide[];
+  quiz: QuizQuestion[];
+}
+
+export interface CourseModule {
+  // Shared with the chapter holding the module's lessons
+  id: string;
+  title: string;
+  description: string;
+  objectives: string[];
+  lessons: CourseLesson[];
+}
+
+export interface Course {
+  objectives: string[];
+  modules: CourseModule[];
+  // Share of quiz answers needed to pass a lesson, from 0 to 1
+  passingScore: number;
+  generatedAt: string;
 }
 
 export interface AudiobookData {
   id: string;
   selectedVoice?: string;
+  engine?: TTSEngineId;
+  casting?: VoiceCasting;
   audioChapters: AudioChapter[];
   totalDuration?: number;
   generatedAt: string;
@@ -45,18 +246,88 @@ export interface AudiobookData {
 
 export interface AudioChapter {
   id: string;
+  // For online courses, the id of the narrated slide
   chapterId: string;
   title: string;
   audioBlob?: Blob;
   audioUrl?: string;
   duration?: number;
+  segments?: AudioSegment[];
+  speakers?: SpeakerSegment[];
   status: 'pending' | 'generating' | 'completed' | 'error';
+  error?: string;
+}
+
+// Where one section (or the chapter heading) sits inside a chapter's audio, in seconds
+export interface AudioSegment {
+  subChapterId?: string;
+  title: string;
+  startTime: number;
+  duration: number;
+}
+
+// Who is speaking during part of a chapter's audio; no speaker means the narrator
+export interface SpeakerSegment {
+  speaker?: string;
+  startTime: number;
+  duration: number;
+}
+
+// Character name to voice id; uncast characters are read by the narrator
+export type VoiceCasting = Record<string, string>;
+
+// A run of text read by one voice: a quoted line or the narration around it
+export interface NarrationSpan {
+  text: string;
+  speaker?: string;
+}
+
+export interface DetectedCharacter {
+  name: string;
+  gender: 'male' | 'female' | 'neutral';
+  lineCount: number;
+}
+
+export type AcxMetric = 'rms' | 'peak' | 'noiseFloor' | 'headSilence' | 'tailSilence' | 'length';
+
+// Levels are in dBFS and silences in seconds; -Infinity means digital silence
+export interface AcxChapterReport {
+  chapterId: string;
+  title: string;
+  rmsDb: number;
+  peakDb: number;
+  noiseFloorDb: number;
+  headSilence: number;
+  tailSilence: number;
+  duration: number;
+  sampleRate: number;
+  failures: AcxMetric[];
+}
+
+export interface AcxReport {
+  chapters: AcxChapterReport[];
+  passed: boolean;
+  checkedAt: string;
+}
+
+export type TTSEngineId = 'local' | 'piper' | 'openai';
+
+export interface TTSSettings {
+  engine: TTSEngineId;
+  baseUrl?: string;
+  model?: string;
+  voiceId: string;
+  speed?: number;
 }
 
 export interface VoiceOption {
-  voice: SpeechSynthesisVoice;
+  id: string;
+  name: string;
+  engine: TTSEngineId;
   gender: 'male' | 'female' | 'neutral';
   language: string;
+  // Speaks whatever language it is given, so it suits books in any language
+  multilingual?: boolean;
   isRecommended?: boolean;
 }
 
@@ -96,4 +367,307 @@ export interface PersonaPreferences {
   avoidedTopics: string[];
   specialInstructions: string;
   targetAudience: string[];
-}
\ No newline at end of file
+}
+
+// Measured locally from a persona's writing sample or a section's text
+export interface StyleProfile {
+  wordCount: number;
+  sentenceLength: {
+    mean: number;
+    stdDev: number;
+    // Share of sentences of 1-5, 6-10, 11-15, 16-20, 21-30 and over 30 words
+    distribution: number[];
+  };
+  // Moving-average type-token ratio, from 0 to 1
+  vocabularyRichness: number;
+  // Share of words inside quotation marks
+  dialogueRatio: number;
+  paragraphLength: {
+    mean: number;
+    stdDev: number;
+  };
+}
+
+export interface StyleFidelity {
+  // 0-100, how closely the text matches the persona's sample
+  score: number;
+  // Where the text differs most, e.g. "sentences run longer (21 words on average, against 12)"
+  differences: string[];
+}
+
+export type LLMProviderId = 'gemini' | 'openai' | 'local';
+
+export type LLMTask = 'outline' | 'content' | 'editing' | 'analysis' | 'course' | 'marketing' | 'translation';
+
+export interface LLMModelSelection {
+  provider: LLMProviderId;
+  model: string;
+  baseUrl?: string;
+}
+
+// Hosted providers are called through the ai-proxy edge function, which holds the API keys
+export type AIProxyProvider = 'gemini' | 'openai' | 'perplexity';
+
+export type AIUsageOperation = LLMTask | 'research' | 'cover' | 'speech';
+
+// Sent with each proxied call so usage can be reported per book and per operation
+export interface AIUsageContext {
+  bookId?: string;
+  operation: AIUsageOperation;
+}
+
+export interface AIProviderKey {
+  provider: AIProxyProvider;
+  // Last four characters of the saved key
+  keyHint: string;
+  updatedAt: string;
+}
+
+export interface AIBudget {
+  // Monthly budget for calls made with the platform's keys
+  budgetUsd: number;
+  spentUsd: number;
+  periodStart: string;
+}
+
+export interface AIAccount {
+  keys: AIProviderKey[];
+  // Providers the platform has a key for, used when the user hasn't saved their own
+  platformProviders: AIProxyProvider[];
+  budget: AIBudget;
+}
+
+export interface AIUsageRecord {
+  id: string;
+  bookId?: string;
+  operation: AIUsageOperation | 'other';
+  provider: AIProxyProvider;
+  model: string;
+  keySource: 'user' | 'platform';
+  inputTokens: number;
+  outputTokens: number;
+  images: number;
+  characters: number;
+  costUsd: number;
+  createdAt: string;
+}
+
+export type ResearchProviderId = 'perplexity' | 'mock';
+
+export interface ResearchSource {
+  url: string;
+  title?: string;
+  date?: string;
+}
+
+export interface SectionResearch {
+  provider: ResearchProviderId;
+  // The findings given to the model, with their own [n] markers into sources
+  summary: string;
+  // Citation [1] refers to sources[0]
+  sources: ResearchSource[];
+  researchedAt: string;
+}
+
+export type LLMSettings = Partial<Record<LLMTask, LLMModelSelection>>;
+
+export type StoryBibleEntryType = 'character' | 'place' | 'timeline' | 'glossary';
+
+export interface StoryBibleEntry {
+  id: string;
+  type: StoryBibleEntryType;
+  name: string;
+  description: string;
+}
+
+export interface StoryBible {
+  bookId: string;
+  entries: StoryBibleEntry[];
+  sectionSummaries: Record<string, string>;
+  updatedAt?: string;
+}
+
+// Books in a series share one world: its bible and arc notes, plus what happened in earlier volumes
+export interface Series {
+  id: string;
+  title: string;
+  description: string;
+  arcNotes: string;
+  entries: StoryBibleEntry[];
+  // Keyed by book id
+  volumeSummaries: Record<string, string>;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export type GenerationJobMode = 'content' | 'research' | 'heat-level' | 'voice' | 'translation' | 'edition';
+
+export type GenerationJobStatus = 'running' | 'paused' | 'cancelled' | 'completed' | 'failed';
+
+export interface GenerationJob {
+  id: string;
+  bookId: string;
+  mode: GenerationJobMode;
+  status: GenerationJobStatus;
+  concurrency: number;
+  options: {
+    heatLevel?: string;
+    perspective?: string;
+    // Limits the job to these sections; every section in the book when unset
+    sectionIds?: string[];
+  };
+  totalSections: number;
+  completedSections: number;
+  failedSections: number;
+  averageSectionMs?: number;
+  error?: string;
+  // Renewed by the tab running the job; once it passes, another tab or device may take over
+  leaseExpiresAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type PrintTrimSize = '6x9' | '5.5x8.5' | 'a5';
+
+export type CoverPaperType = 'white' | 'cream' | 'color';
+
+export interface CoverDesign {
+  templateId: string;
+  fontId: string;
+  // Text-free artwork the typography is laid over
+  backgroundUrl?: string;
+  title: string;
+  subtitle: string;
+  author: string;
+  seriesLine: string;
+  // Back cover copy for print wraparounds
+  blurb: string;
+  trimSize: PrintTrimSize;
+  paperType: CoverPaperType;
+  pageCount: number;
+}
+
+export type ManuscriptFormat = 'docx' | 'markdown';
+
+export interface ManuscriptChange {
+  type: 'added' | 'removed' | 'modified';
+  level: 'book' | 'chapter' | 'section';
+  title: string;
+  chapterTitle?: string;
+  wordsBefore: number;
+  wordsAfter: number;
+}
+
+export interface ManuscriptDiff {
+  changes: ManuscriptChange[];
+  wordsBefore: number;
+  wordsAfter: number;
+}
+
+export type RevisionSource = 'generate' | 'edit' | 'heat-level' | 'translation' | 'edition' | 'manual' | 'import' | 'restore' | 'snapshot';
+
+export interface SectionRevision {
+  id: string;
+  bookId: string;
+  chapterId: string;
+  subChapterId: string;
+  sectionTitle: string;
+  content?: string;
+  wordCount: number;
+  source: RevisionSource;
+  note?: string;
+  batchId: string;
+  createdAt: string;
+}
+
+export interface RevisionPoint {
+  batchId: string;
+  source: RevisionSource;
+  note?: string;
+  sectionCount: number;
+  createdAt: string;
+}
+
+export interface WordDiffSegment {
+  type: 'equal' | 'added' | 'removed';
+  text: string;
+}
+
+export interface SyncStatus {
+  online: boolean;
+  syncing: boolean;
+  pendingChanges: number;
+  // Changes the server refused, such as edits to a book the user can no longer write to
+  failedChanges: SyncFailure[];
+  // Books edited on this device and elsewhere since they last matched
+  conflicts: SyncConflict[];
+  lastSyncedAt?: string;
+  error?: string;
+}
+
+export interface SyncFailure {
+  bookId: string;
+  title: string;
+  error: string;
+}
+
+export interface SyncConflict {
+  bookId: string;
+  title: string;
+  localUpdatedAt: string;
+  serverUpdatedAt: string;
+}
+
+export type SyncConflictResolution = 'local' | 'server' | 'both';
+
+export type QualityIssueType = 'repetition' | 'consistency' | 'perspective' | 'heat-level' | 'length' | 'truncation' | 'voice';
+
+export type QualityIssueSeverity = 'error' | 'warning' | 'info';
+
+export interface QualityIssue {
+  id: string;
+  type: QualityIssueType;
+  severity: QualityIssueSeverity;
+  // Automatic checks run on this device; 'ai' findings come from the analysis model
+  origin: 'check' | 'ai';
+  chapterId: string;
+  subChapterId: string;
+  message: string;
+  excerpt?: string;
+  // Passed to the editing model by "Fix with AI"
+  fixInstruction: string;
+  // Fingerprint of the section when it was audited, so findings for rewritten sections can be dropped
+  sectionSignature: string;
+}
+
+export interface ChapterReadability {
+  chapterId: string;
+  wordCount: number;
+  sentenceCount: number;
+  averageSentenceLength: number;
+  // Flesch reading ease (higher is easier) and Flesch-Kincaid grade level
+  readingEase: number;
+  gradeLevel: number;
+}
+
+export interface PersonaFidelity extends StyleFidelity {
+  personaId: string;
+  personaName: string;
+}
+
+export interface SectionVoiceFidelity extends PersonaFidelity {
+  chapterId: string;
+  subChapterId: string;
+}
+
+export interface QualityAuditReport {
+  bookId: string;
+  createdAt: string;
+  issues: QualityIssue[];
+  readability: ChapterReadability[];
+  // Sections written in a persona with a writing sample, scored against it
+  voiceFidelity: SectionVoiceFidelity[];
+  aiChecked: boolean;
+  // Chapters the analysis model couldn't check, with the reason
+  aiErrors: string[];
+}
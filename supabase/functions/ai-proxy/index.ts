@@ -0,0 +1,317 @@
+/**
+ * AI proxy: the browser never sees a provider API key. Each call is made with
+ * the signed-in user's own key when they have saved one, otherwise with the
+ * platform key from the function secrets, up to a monthly budget. Every call
+ * is recorded in ai_usage with its book, operation and estimated cost.
+ * Platform calls hold their largest possible cost against the budget before
+ * they are sent, and are settled with what they actually used afterwards.
+ *
+ *   POST   /ai-proxy/{gemini|openai|perplexity}/<provider path>
+ *   GET    /ai-proxy/account
+ *   PUT    /ai-proxy/keys/{provider}    { "apiKey": "..." }
+ *   DELETE /ai-proxy/keys/{provider}
+ */
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { decryptApiKey, encryptApiKey, getKeyHint } from './keys.ts';
+import { estimateCost, estimateMaxUsage, ProviderResponse, ProxyProvider, ProxyRequest, readUsage, UsageCounts } from './pricing.ts';
+
+interface Upstream {
+  label: string;
+  baseUrl: string;
+  // Function secret holding the platform key
+  secret: string;
+  paths: RegExp[];
+  authHeaders: (apiKey: string) => Record<string, string>;
+}
+
+const UPSTREAMS: Record<ProxyProvider, Upstream> = {
+  gemini: {
+    label: 'Gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com',
+    secret: 'GEMINI_API_KEY',
+    // generateContent for text and images, predict for Imagen
+    paths: [/^v1beta\/models\/[\w.-]+:(generateContent|predict)$/],
+    authHeaders: (apiKey) => ({ 'x-goog-api-key': apiKey })
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com',
+    secret: 'OPENAI_API_KEY',
+    paths: [/^v1\/chat\/completions$/, /^v1\/images\/generations$/, /^v1\/audio\/speech$/],
+    authHeaders: (apiKey) => ({ Authorization: `Bearer ${apiKey}` })
+  },
+  perplexity: {
+    label: 'Perplexity',
+    baseUrl: 'https://api.perplexity.ai',
+    secret: 'PERPLEXITY_API_KEY',
+    paths: [/^chat\/completions$/],
+    authHeaders: (apiKey) => ({ Authorization: `Bearer ${apiKey}` })
+  }
+};
+
+const DEFAULT_MONTHLY_BUDGET_USD = Number(Deno.env.get('DEFAULT_MONTHLY_BUDGET_USD') || '5');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-usage-book-id, x-usage-operation',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'x-ai-proxy-error'
+};
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  { auth: { persistSession: false } }
+);
+
+const isProvider = (value: string): value is ProxyProvider => value in UPSTREAMS;
+
+const json = (body: unknown, status = 200, headers: Record<string, string> = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers }
+  });
+
+// The header tells the app this came from the proxy rather than the provider
+const proxyError = (status: number, message: string) =>
+  json({ error: { message } }, status, { 'X-AI-Proxy-Error': '1' });
+
+const getMonthStart = (): string => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+};
+
+const getBudget = async (userId: string) => {
+  const periodStart = getMonthStart();
+  const [{ data: quota }, { data: spent, error }] = await Promise.all([
+    admin.from('ai_quotas').select('monthly_budget_usd').eq('user_id', userId).maybeSingle(),
+    admin.rpc('ai_platform_spend_since', { p_user_id: userId, p_since: periodStart })
+  ]);
+  if (error) throw error;
+
+  return {
+    budgetUsd: quota ? Number(quota.monthly_budget_usd) : DEFAULT_MONTHLY_BUDGET_USD,
+    spentUsd: Number(spent || 0),
+    periodStart
+  };
+};
+
+const resolveApiKey = async (userId: string, provider: ProxyProvider) => {
+  const { data, error } = await admin
+    .from('user_api_keys')
+    .select('encrypted_key')
+    .eq('user_id', userId)
+    .eq('provider', provider)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (data) {
+    return { apiKey: await decryptApiKey(data.encrypted_key), source: 'user' as const };
+  }
+
+  const platformKey = Deno.env.get(UPSTREAMS[provider].secret);
+  return platformKey ? { apiKey: platformKey, source: 'platform' as const } : null;
+};
+
+// Drops a budget hold for a call the provider didn't carry out
+const releaseReservation = async (reservationId: string | null) => {
+  if (!reservationId) return;
+  const { error } = await admin.from('ai_usage').delete().eq('id', reservationId);
+  if (error) console.error('Error releasing AI budget hold:', error);
+};
+
+const forward = async (req: Request, userId: string, provider: ProxyProvider, path: string) => {
+  const upstream = UPSTREAMS[provider];
+  if (req.method !== 'POST' || !upstream.paths.some(pattern => pattern.test(path))) {
+    return proxyError(404, `The AI proxy does not forward ${req.method} ${provider}/${path}`);
+  }
+
+  const body = await req.text();
+  let requestJson: ProxyRequest | null;
+  try {
+    requestJson = JSON.parse(body);
+  } catch {
+    return proxyError(400, 'The request body must be JSON');
+  }
+  // Streamed responses carry no usage totals to meter, so they would get past the budget
+  if (requestJson?.stream) {
+    return proxyError(400, 'The AI proxy does not support streamed responses. Send the request without "stream".');
+  }
+
+  const key = await resolveApiKey(userId, provider);
+  if (!key) {
+    return proxyError(412, `No ${upstream.label} API key is available. Add your own key in Settings.`);
+  }
+
+  const bookId = req.headers.get('X-Usage-Book-Id') || '';
+  const usageRecord = {
+    user_id: userId,
+    book_id: UUID_PATTERN.test(bookId) ? bookId : null,
+    operation: req.headers.get('X-Usage-Operation') || 'other',
+    provider,
+    key_source: key.source
+  };
+
+  // Checking the budget and holding the call's cost happen in one step, so parallel calls can't all slip under it
+  let reservationId: string | null = null;
+  let estimate: UsageCounts | null = null;
+  if (key.source === 'platform') {
+    estimate = estimateMaxUsage(provider, path, requestJson, body);
+    const { data, error } = await admin.rpc('reserve_ai_budget', {
+      p_user_id: userId,
+      p_default_budget_usd: DEFAULT_MONTHLY_BUDGET_USD,
+      p_since: getMonthStart(),
+      p_estimate_usd: estimateCost(estimate),
+      p_provider: provider,
+      p_model: estimate.model,
+      p_operation: usageRecord.operation,
+      p_book_id: usageRecord.book_id
+    });
+    if (error) throw error;
+    if (!data) {
+      const budget = await getBudget(userId);
+      return proxyError(402, `You have used this month's AI budget of $${budget.budgetUsd.toFixed(2)}. Add your own API keys in Settings to keep writing, or wait for the budget to reset next month.`);
+    }
+    reservationId = data;
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(`${upstream.baseUrl}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...upstream.authHeaders(key.apiKey) },
+      body
+    });
+  } catch (error) {
+    await releaseReservation(reservationId);
+    throw error;
+  }
+  const contentType = response.headers.get('Content-Type') || 'application/json';
+
+  // Provider errors are passed through unchanged so the app's retry and quota handling still apply
+  if (!response.ok) {
+    await releaseReservation(reservationId);
+    return new Response(await response.text(), {
+      status: response.status,
+      headers: { ...CORS_HEADERS, 'Content-Type': contentType }
+    });
+  }
+
+  const isJson = contentType.includes('application/json');
+  const responseBody = isJson ? await response.text() : await response.arrayBuffer();
+  let responseJson: ProviderResponse | null = null;
+  if (isJson) {
+    try {
+      responseJson = JSON.parse(responseBody as string);
+    } catch {
+      responseJson = null;
+    }
+  }
+  // Speech is counted from the text sent; any other answer without usage totals is charged the full hold
+  const usage = responseJson || path.endsWith('audio/speech') || !estimate
+    ? readUsage(provider, path, requestJson, responseJson)
+    : estimate;
+  const measured = {
+    model: usage.model,
+    input_tokens: usage.inputTokens,
+    output_tokens: usage.outputTokens,
+    images: usage.images,
+    characters: usage.characters,
+    cost_usd: estimateCost(usage)
+  };
+
+  const { error } = reservationId
+    ? await admin.from('ai_usage').update({ ...measured, settled: true }).eq('id', reservationId)
+    : await admin.from('ai_usage').insert({ ...usageRecord, ...measured });
+  if (error) {
+    // The call already succeeded, so a metering failure shouldn't lose the result
+    console.error('Error recording AI usage:', error);
+  }
+
+  return new Response(responseBody, {
+    status: response.status,
+    headers: { ...CORS_HEADERS, 'Content-Type': contentType }
+  });
+};
+
+const getAccount = async (userId: string) => {
+  const { data, error } = await admin
+    .from('user_api_keys')
+    .select('provider, key_hint, updated_at')
+    .eq('user_id', userId);
+  if (error) throw error;
+
+  return json({
+    keys: (data || []).map(row => ({ provider: row.provider, keyHint: row.key_hint, updatedAt: row.updated_at })),
+    platformProviders: (Object.keys(UPSTREAMS) as ProxyProvider[]).filter(provider => Deno.env.get(UPSTREAMS[provider].secret)),
+    budget: await getBudget(userId)
+  });
+};
+
+const saveKey = async (req: Request, userId: string, provider: ProxyProvider) => {
+  const { apiKey } = await req.json().catch(() => ({}));
+  if (typeof apiKey !== 'string' || !apiKey.trim()) {
+    return proxyError(400, 'Enter an API key to save');
+  }
+
+  const { error } = await admin.from('user_api_keys').upsert({
+    user_id: userId,
+    provider,
+    encrypted_key: await encryptApiKey(apiKey.trim()),
+    key_hint: getKeyHint(apiKey.trim()),
+    updated_at: new Date().toISOString()
+  }, {
+    onConflict: 'user_id,provider'
+  });
+  if (error) throw error;
+
+  return getAccount(userId);
+};
+
+const deleteKey = async (userId: string, provider: ProxyProvider) => {
+  const { error } = await admin
+    .from('user_api_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('provider', provider);
+  if (error) throw error;
+
+  return getAccount(userId);
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+
+  const token = req.headers.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  const { data: { user } } = token ? await admin.auth.getUser(token) : { data: { user: null } };
+  if (!user) {
+    return proxyError(401, 'Sign in to use AI features');
+  }
+
+  const [, route = '', ...rest] = new URL(req.url).pathname.replace(/^\/+/, '').split('/');
+
+  try {
+    if (route === 'account' && req.method === 'GET') {
+      return await getAccount(user.id);
+    }
+
+    if (route === 'keys' && isProvider(rest[0] || '')) {
+      const provider = rest[0] as ProxyProvider;
+      if (req.method === 'PUT') return await saveKey(req, user.id, provider);
+      if (req.method === 'DELETE') return await deleteKey(user.id, provider);
+    }
+
+    if (isProvider(route)) {
+      return await forward(req, user.id, route, rest.join('/'));
+    }
+
+    return proxyError(404, `Unknown AI proxy route: ${route}`);
+  } catch (error) {
+    console.error('AI proxy error:', error);
+    return proxyError(500, 'The AI proxy failed to handle the request. Please try again.');
+  }
+});
@@ -0,0 +1,49 @@
+// API keys are stored encrypted with AES-GCM; the key is derived from the
+// API_KEY_ENCRYPTION_SECRET function secret, which should be a long random string
+const IV_LENGTH = 12;
+
+const getEncryptionKey = async (): Promise<CryptoKey> => {
+  const secret = Deno.env.get('API_KEY_ENCRYPTION_SECRET');
+  if (!secret) {
+    throw new Error('API_KEY_ENCRYPTION_SECRET is not set');
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return crypto.subtle.importKey('raw', digest, 'AES-GCM', false, ['encrypt', 'decrypt']);
+};
+
+const toBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (text: string): Uint8Array =>
+  Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+export const encryptApiKey = async (apiKey: string): Promise<string> => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await getEncryptionKey(),
+    new TextEncoder().encode(apiKey)
+  ));
+
+  const stored = new Uint8Array(IV_LENGTH + ciphertext.length);
+  stored.set(iv);
+  stored.set(ciphertext, IV_LENGTH);
+  return toBase64(stored);
+};
+
+export const decryptApiKey = async (encryptedKey: string): Promise<string> => {
+  const stored = fromBase64(encryptedKey);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: stored.slice(0, IV_LENGTH) },
+    await getEncryptionKey(),
+    stored.slice(IV_LENGTH)
+  );
+  return new TextDecoder().decode(plaintext);
+};
+
+// Enough to tell keys apart in settings without revealing them
+export const getKeyHint = (apiKey: string): string => apiKey.slice(-4);
@@ -0,0 +1,158 @@
+export type ProxyProvider = 'gemini' | 'openai' | 'perplexity';
+
+export interface UsageCounts {
+  model: string;
+  inputTokens: number;
+  outputTokens: number;
+  images: number;
+  characters: number;
+}
+
+// List prices in USD: tokens and characters per million, images and requests each
+interface ModelPrice {
+  input?: number;
+  output?: number;
+  image?: number;
+  characters?: number;
+  request?: number;
+}
+
+// First match wins, so more specific model names come first
+const MODEL_PRICES: { pattern: RegExp; price: ModelPrice }[] = [
+  { pattern: /^gemini-2\.0-flash.*image/, price: { input: 0.1, output: 0.4, image: 0.039 } },
+  { pattern: /^gemini-2\.5-pro/, price: { input: 1.25, output: 10 } },
+  { pattern: /^gemini-2\.5-flash/, price: { input: 0.3, output: 2.5 } },
+  { pattern: /^gemini-2\.0-flash/, price: { input: 0.1, output: 0.4 } },
+  { pattern: /^gemini-1\.5-pro/, price: { input: 1.25, output: 5 } },
+  { pattern: /^gemini-1\.5-flash/, price: { input: 0.075, output: 0.3 } },
+  { pattern: /^imagen-4\.0-ultra/, price: { image: 0.06 } },
+  { pattern: /^imagen/, price: { image: 0.04 } },
+  { pattern: /^gpt-4o-mini/, price: { input: 0.15, output: 0.6 } },
+  { pattern: /^gpt-4o/, price: { input: 2.5, output: 10 } },
+  { pattern: /^gpt-4\.1-mini/, price: { input: 0.4, output: 1.6 } },
+  { pattern: /^gpt-4\.1/, price: { input: 2, output: 8 } },
+  // Standard quality at the 1024x1792 cover size
+  { pattern: /^dall-e-3/, price: { image: 0.08 } },
+  { pattern: /^tts-1-hd/, price: { characters: 30 } },
+  { pattern: /^tts-1/, price: { characters: 15 } },
+  { pattern: /^sonar-pro/, price: { input: 3, output: 15, request: 0.006 } },
+  { pattern: /^sonar/, price: { input: 1, output: 1, request: 0.005 } }
+];
+
+// Unknown models are priced like the dearest common ones so budgets err on the safe side
+const FALLBACK_PRICE: ModelPrice = { input: 2.5, output: 10, image: 0.08, characters: 30 };
+
+// The request fields the proxy reads: the model, what speech is made from, and the limits on what a call can cost
+export interface ProxyRequest {
+  model?: string;
+  input?: string;
+  stream?: boolean;
+  n?: number;
+  max_tokens?: number;
+  max_completion_tokens?: number;
+  parameters?: { sampleCount?: number };
+  generationConfig?: { maxOutputTokens?: number; candidateCount?: number };
+}
+
+// The usage totals a provider reports, in Gemini's and in OpenAI's (and Perplexity's) shape
+export interface ProviderResponse {
+  candidates?: { content?: { parts?: { inlineData?: { data?: string } }[] } }[];
+  usageMetadata?: { promptTokenCount?: number; candidatesTokenCount?: number };
+  predictions?: unknown[];
+  usage?: { prompt_tokens?: number; completion_tokens?: number };
+  data?: unknown[];
+}
+
+const getModelFromPath = (path: string): string => path.match(/models\/([^:]+):/)?.[1] || '';
+
+/**
+ * Reads what a proxied call used from the request and the provider's response.
+ * Speech responses are audio, so speech is counted from the text sent.
+ */
+export const readUsage = (
+  provider: ProxyProvider,
+  path: string,
+  request: ProxyRequest | null,
+  response: ProviderResponse | null
+): UsageCounts => {
+  const usage: UsageCounts = {
+    model: provider === 'gemini' ? getModelFromPath(path) : String(request?.model || ''),
+    inputTokens: 0,
+    outputTokens: 0,
+    images: 0,
+    characters: 0
+  };
+
+  if (path.endsWith('audio/speech')) {
+    usage.characters = String(request?.input || '').length;
+    return usage;
+  }
+
+  if (provider === 'gemini') {
+    const inlineImages = (response?.candidates || [])
+      .flatMap(candidate => candidate.content?.parts || [])
+      .filter(part => part.inlineData?.data).length;
+    usage.inputTokens = response?.usageMetadata?.promptTokenCount || 0;
+    usage.outputTokens = response?.usageMetadata?.candidatesTokenCount || 0;
+    usage.images = (response?.predictions?.length || 0) + inlineImages;
+    return usage;
+  }
+
+  usage.inputTokens = response?.usage?.prompt_tokens || 0;
+  usage.outputTokens = response?.usage?.completion_tokens || 0;
+  if (path.endsWith('images/generations')) {
+    usage.images = response?.data?.length || 0;
+  }
+  return usage;
+};
+
+// Output assumed for a text call that doesn't cap it
+const DEFAULT_MAX_OUTPUT_TOKENS = 8192;
+// Rough size of a token, for sizing a prompt before it is sent
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * The most a call could use, read from the request before it is sent so the
+ * budget can be held for it. Errs high: the whole body counts as prompt.
+ */
+export const estimateMaxUsage = (
+  provider: ProxyProvider,
+  path: string,
+  request: ProxyRequest | null,
+  body: string
+): UsageCounts => {
+  const usage = readUsage(provider, path, request, null);
+  if (path.endsWith('audio/speech')) return usage;
+
+  if (path.endsWith('images/generations')) {
+    usage.images = Number(request?.n) || 1;
+    return usage;
+  }
+  if (path.endsWith(':predict')) {
+    usage.images = Number(request?.parameters?.sampleCount) || 1;
+    return usage;
+  }
+
+  const maxOutputTokens = provider === 'gemini'
+    ? request?.generationConfig?.maxOutputTokens
+    : request?.max_completion_tokens ?? request?.max_tokens;
+  const choices = provider === 'gemini' ? Number(request?.generationConfig?.candidateCount) || 1 : Number(request?.n) || 1;
+  usage.inputTokens = Math.ceil(body.length / CHARS_PER_TOKEN);
+  usage.outputTokens = (Number(maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS) * choices;
+  if (provider === 'gemini' && /image/.test(usage.model)) {
+    usage.images = choices;
+  }
+  return usage;
+};
+
+export const estimateCost = (usage: UsageCounts): number => {
+  const price = MODEL_PRICES.find(entry => entry.pattern.test(usage.model))?.price || FALLBACK_PRICE;
+
+  return (
+    (usage.inputTokens * (price.input || 0) +
+      usage.outputTokens * (price.output || 0) +
+      usage.characters * (price.characters || 0)) / 1_000_000 +
+    usage.images * (price.image || 0) +
+    (price.request || 0)
+  );
+};
@@ -0,0 +1,22 @@
+/*
+  # Add per-book AI model settings
+
+  1. Schema Changes
+    - Add `llm_settings` (jsonb) column to `books`
+    - Maps a generation task (outline, content, editing, analysis, course)
+      to the provider, model and base URL chosen for that book
+
+  2. Notes
+    - Empty settings fall back to the default Gemini model
+    - API keys are never stored here
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'llm_settings'
+  ) THEN
+    ALTER TABLE books ADD COLUMN llm_settings jsonb DEFAULT '{}';
+  END IF;
+END $$;
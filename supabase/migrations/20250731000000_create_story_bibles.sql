@@ -0,0 +1,83 @@
+/*
+  # Create story bibles table
+
+  1. New Tables
+    - `story_bibles`
+      - `book_id` (uuid, primary key, foreign key to books)
+      - `entries` (jsonb) - characters, places, timeline events and glossary terms
+      - `section_summaries` (jsonb) - rolling summaries keyed by sub-chapter id
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `story_bibles` table
+    - Add policies for users to manage the bibles of their own books
+*/
+
+-- Create story_bibles table
+CREATE TABLE IF NOT EXISTS story_bibles (
+  book_id uuid PRIMARY KEY REFERENCES books(id) ON DELETE CASCADE,
+  entries jsonb DEFAULT '[]',
+  section_summaries jsonb DEFAULT '{}',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE story_bibles ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can read own story bibles"
+  ON story_bibles
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.id = story_bibles.book_id
+      AND books.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert own story bibles"
+  ON story_bibles
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.id = story_bibles.book_id
+      AND books.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update own story bibles"
+  ON story_bibles
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.id = story_bibles.book_id
+      AND books.user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.id = story_bibles.book_id
+      AND books.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete own story bibles"
+  ON story_bibles
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.id = story_bibles.book_id
+      AND books.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,93 @@
+/*
+  # Create generation jobs table
+
+  1. New Tables
+    - `generation_jobs`
+      - `id` (uuid, primary key)
+      - `book_id` (uuid, foreign key to books)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `mode` (text) - content, research or heat-level
+      - `status` (text) - running, paused, cancelled, completed or failed
+      - `concurrency` (integer) - sections generated in parallel
+      - `options` (jsonb) - mode specific settings such as the target heat level
+      - `total_sections`, `completed_sections`, `failed_sections` (integer)
+      - `average_section_ms` (integer) - used for the ETA shown while running
+      - `error` (text)
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. Update sub_chapters table
+    - Add `generation_attempts` and `generation_error` so failed sections can be retried
+
+  3. Security
+    - Enable RLS on `generation_jobs` table
+    - Add policies for users to manage their own jobs
+*/
+
+-- Create generation_jobs table
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  book_id uuid NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  mode text NOT NULL DEFAULT 'content',
+  status text NOT NULL DEFAULT 'running',
+  concurrency integer DEFAULT 1,
+  options jsonb DEFAULT '{}',
+  total_sections integer DEFAULT 0,
+  completed_sections integer DEFAULT 0,
+  failed_sections integer DEFAULT 0,
+  average_section_ms integer,
+  error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Track retries per section
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'sub_chapters' AND column_name = 'generation_attempts'
+  ) THEN
+    ALTER TABLE sub_chapters ADD COLUMN generation_attempts integer DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'sub_chapters' AND column_name = 'generation_error'
+  ) THEN
+    ALTER TABLE sub_chapters ADD COLUMN generation_error text;
+  END IF;
+END $$;
+
+-- Enable RLS
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can read own generation jobs"
+  ON generation_jobs
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own generation jobs"
+  ON generation_jobs
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own generation jobs"
+  ON generation_jobs
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own generation jobs"
+  ON generation_jobs
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_book_id ON generation_jobs(book_id, created_at DESC);
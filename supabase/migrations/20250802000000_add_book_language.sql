@@ -0,0 +1,20 @@
+/*
+  # Add book language
+
+  1. Schema Changes
+    - Add `language` (text) column to `books`
+    - Holds a BCP 47 language tag such as `en` or `es-MX`
+
+  2. Notes
+    - Written into exported eBook metadata; existing books default to English
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'language'
+  ) THEN
+    ALTER TABLE books ADD COLUMN language text DEFAULT 'en';
+  END IF;
+END $$;
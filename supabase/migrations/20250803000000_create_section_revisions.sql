@@ -0,0 +1,66 @@
+/*
+  # Create section revisions table
+
+  1. New Tables
+    - `section_revisions`
+      - `id` (uuid, primary key)
+      - `book_id` (uuid, foreign key to books)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `chapter_id` (uuid) - chapter the section belonged to when recorded
+      - `sub_chapter_id` (uuid) - not a foreign key so history outlives deleted sections
+      - `section_title` (text)
+      - `content` (text) - full snapshot of the section content
+      - `content_hash` (text) - used to skip snapshots identical to the latest one
+      - `word_count` (integer)
+      - `source` (text) - generate, edit, heat-level, manual, import, restore or snapshot
+      - `note` (text) - edit prompt or other context for the change
+      - `batch_id` (uuid) - groups revisions recorded by one save so the whole book can be restored to that point
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `section_revisions` table
+    - Add policies for users to read, add and delete their own revisions
+*/
+
+-- Create section_revisions table
+CREATE TABLE IF NOT EXISTS section_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  book_id uuid NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  chapter_id uuid NOT NULL,
+  sub_chapter_id uuid NOT NULL,
+  section_title text NOT NULL DEFAULT '',
+  content text NOT NULL DEFAULT '',
+  content_hash text NOT NULL,
+  word_count integer DEFAULT 0,
+  source text NOT NULL DEFAULT 'manual',
+  note text,
+  batch_id uuid NOT NULL DEFAULT gen_random_uuid(),
+  created_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE section_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies (revisions are immutable, so there is no update policy)
+CREATE POLICY "Users can read own section revisions"
+  ON section_revisions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own section revisions"
+  ON section_revisions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own section revisions"
+  ON section_revisions
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_section_revisions_sub_chapter_id ON section_revisions(sub_chapter_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_section_revisions_book_id ON section_revisions(book_id, created_at DESC);
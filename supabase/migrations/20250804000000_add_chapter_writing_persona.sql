@@ -0,0 +1,23 @@
+/*
+  # Add chapter writing persona
+
+  1. Schema Changes
+    - Add `writing_persona_id` (uuid) column to `chapters`
+    - References `writing_personas`; cleared when the persona is deleted
+
+  2. Notes
+    - Overrides the book's `writing_persona_id` for that chapter's content, edits and rewrites
+    - Empty means the chapter uses the book's persona
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'chapters' AND column_name = 'writing_persona_id'
+  ) THEN
+    ALTER TABLE chapters ADD COLUMN writing_persona_id uuid REFERENCES writing_personas(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_chapters_writing_persona_id ON chapters(writing_persona_id);
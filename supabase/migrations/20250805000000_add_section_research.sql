@@ -0,0 +1,21 @@
+/*
+  # Add section research
+
+  1. Schema Changes
+    - Add `research` (jsonb) column to `sub_chapters`
+
+  2. Notes
+    - Holds the research a section was written from: the provider, its findings and the cited sources
+    - Citation markers like [1] in `content` refer to `research.sources` in order
+    - Empty for sections written without research
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'sub_chapters' AND column_name = 'research'
+  ) THEN
+    ALTER TABLE sub_chapters ADD COLUMN research jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,28 @@
+/*
+  # Add target word counts
+
+  1. Schema Changes
+    - Add `target_word_count` (integer) column to `books`
+    - Add `target_word_count` (integer) column to `chapters`
+
+  2. Notes
+    - The book's target is split into chapter and section budgets when generating
+    - A chapter's target overrides its share of the book's target; both are optional
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'target_word_count'
+  ) THEN
+    ALTER TABLE books ADD COLUMN target_word_count integer;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'chapters' AND column_name = 'target_word_count'
+  ) THEN
+    ALTER TABLE chapters ADD COLUMN target_word_count integer;
+  END IF;
+END $$;
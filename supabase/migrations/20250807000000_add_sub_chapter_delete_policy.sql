@@ -0,0 +1,25 @@
+/*
+  # Allow deleting sub-chapters
+
+  1. Security
+    - Add a DELETE policy on `sub_chapters` for sections of the user's own books
+
+  2. Notes
+    - Sections removed in the outline editor are deleted when the book syncs;
+      without this policy the delete was silently ignored and they came back on reload
+*/
+
+DROP POLICY IF EXISTS "Users can delete own sub_chapters" ON sub_chapters;
+
+CREATE POLICY "Users can delete own sub_chapters"
+  ON sub_chapters
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM chapters 
+      JOIN books ON books.id = chapters.book_id
+      WHERE chapters.id = sub_chapters.chapter_id 
+      AND books.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,90 @@
+/*
+  # Create series table
+
+  1. New Tables
+    - `series`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `title` (text, not null)
+      - `description` (text)
+      - `arc_notes` (text) - where the story goes across the whole series
+      - `entries` (jsonb) - characters, places, timeline events and glossary terms shared by every book
+      - `volume_summaries` (jsonb) - summaries of each book, keyed by book id
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `series` table
+    - Add policies for users to manage their own series
+
+  3. Schema Changes
+    - Add `series_id` (uuid, foreign key to series) column to `books`
+    - Add `series_order` (integer) column to `books`
+
+  4. Notes
+    - Deleting a series leaves its books in place as standalone books
+*/
+
+-- Create series table
+CREATE TABLE IF NOT EXISTS series (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  description text DEFAULT '',
+  arc_notes text DEFAULT '',
+  entries jsonb DEFAULT '[]',
+  volume_summaries jsonb DEFAULT '{}',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE series ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can read own series"
+  ON series
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own series"
+  ON series
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own series"
+  ON series
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own series"
+  ON series
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_series_user_id ON series(user_id);
+
+-- Add series columns to books table
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'series_id'
+  ) THEN
+    ALTER TABLE books ADD COLUMN series_id uuid REFERENCES series(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'series_order'
+  ) THEN
+    ALTER TABLE books ADD COLUMN series_order integer;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_books_series_id ON books(series_id);
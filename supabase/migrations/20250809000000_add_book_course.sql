@@ -0,0 +1,20 @@
+/*
+  # Add structured online course data to books
+
+  1. Schema Changes
+    - Add `course` (jsonb) column to `books`
+
+  2. Notes
+    - Holds the modules, lessons, slides, quizzes and learning objectives of online courses
+    - Slide narration audio stays on the device with the rest of the book's audio
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'course'
+  ) THEN
+    ALTER TABLE books ADD COLUMN course jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,20 @@
+/*
+  # Add cover designs to books
+
+  1. Schema Changes
+    - Add `cover_design` (jsonb) column to `books`
+
+  2. Notes
+    - Holds the template, fonts, cover text, background artwork and print settings the cover was composed from
+    - `cover_url` keeps the rendered front cover, so existing readers of the cover are unaffected
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'cover_design'
+  ) THEN
+    ALTER TABLE books ADD COLUMN cover_design jsonb;
+  END IF;
+END $$;
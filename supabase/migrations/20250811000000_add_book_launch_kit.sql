@@ -0,0 +1,20 @@
+/*
+  # Add launch kits to books
+
+  1. Schema Changes
+    - Add `launch_kit` (jsonb) column to `books`
+
+  2. Notes
+    - Holds the generated and edited sales copy: blurbs, taglines, keywords, BISAC categories,
+      author bio, newsletter announcement, social posts and A+ content
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'launch_kit'
+  ) THEN
+    ALTER TABLE books ADD COLUMN launch_kit jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,111 @@
+/*
+  # Create AI proxy tables
+
+  1. New Tables
+    - `user_api_keys`
+      - `user_id` (uuid, foreign key to auth.users)
+      - `provider` (text) - gemini, openai or perplexity
+      - `encrypted_key` (text) - AES-GCM ciphertext, base64 with the IV in front
+      - `key_hint` (text) - last four characters, shown in settings
+      - `created_at` (timestamp)
+      - `updated_at` (timestamp)
+    - `ai_usage`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `book_id` (uuid) - book the call was made for, if any
+      - `operation` (text) - outline, content, editing, analysis, course, marketing, research, cover or speech
+      - `provider` (text) - gemini, openai or perplexity
+      - `model` (text)
+      - `key_source` (text) - user when the user's own key was used, platform otherwise
+      - `input_tokens`, `output_tokens` (integer)
+      - `images` (integer) - images generated
+      - `characters` (integer) - characters narrated
+      - `cost_usd` (numeric) - estimated from list prices when the call was made
+      - `created_at` (timestamp)
+    - `ai_quotas`
+      - `user_id` (uuid, primary key, foreign key to auth.users)
+      - `monthly_budget_usd` (numeric) - overrides the proxy's default budget
+      - `updated_at` (timestamp)
+
+  2. Security
+    - Enable RLS on all three tables
+    - Users can read their own usage and quota
+    - API keys have no client policies; only the ai-proxy edge function reads and writes them
+
+  3. New Functions
+    - `ai_platform_spend_since` - a user's estimated spend on the platform's keys since a date
+
+  4. Notes
+    - `book_id` has no foreign key because books are saved on the device first and may not be synced yet
+    - Usage on the platform's keys counts against the monthly budget; usage on a user's own key is only recorded
+*/
+
+-- Create user_api_keys table
+CREATE TABLE IF NOT EXISTS user_api_keys (
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  provider text NOT NULL,
+  encrypted_key text NOT NULL,
+  key_hint text DEFAULT '',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  PRIMARY KEY (user_id, provider)
+);
+
+-- Create ai_usage table
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  book_id uuid,
+  operation text NOT NULL DEFAULT 'other',
+  provider text NOT NULL,
+  model text DEFAULT '',
+  key_source text NOT NULL DEFAULT 'platform',
+  input_tokens integer DEFAULT 0,
+  output_tokens integer DEFAULT 0,
+  images integer DEFAULT 0,
+  characters integer DEFAULT 0,
+  cost_usd numeric(12, 6) DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Create ai_quotas table
+CREATE TABLE IF NOT EXISTS ai_quotas (
+  user_id uuid PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  monthly_budget_usd numeric(10, 2) NOT NULL,
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS
+ALTER TABLE user_api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_quotas ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can read own AI usage"
+  ON ai_usage
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can read own AI quota"
+  ON ai_quotas
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_book_id ON ai_usage(book_id);
+
+-- Spend on the platform's keys since a date, checked by the proxy before each call
+CREATE OR REPLACE FUNCTION ai_platform_spend_since(p_user_id uuid, p_since timestamptz)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(cost_usd), 0)
+  FROM ai_usage
+  WHERE user_id = p_user_id
+    AND key_source = 'platform'
+    AND created_at >= p_since;
+$$;
@@ -0,0 +1,437 @@
+/*
+  # Add book collaboration
+
+  1. New Tables
+    - `book_collaborators`
+      - `book_id` (uuid, foreign key to books)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `email` (text) - shown in the share panel, since other users' accounts can't be read
+      - `role` (text) - co_author, editor or viewer; the book's user_id is its owner
+      - `invited_by` (uuid, foreign key to auth.users)
+      - `created_at` (timestamp)
+    - `book_comments`
+      - `id` (uuid, primary key)
+      - `book_id` (uuid, foreign key to books)
+      - `sub_chapter_id` (uuid) - section the comment is anchored in
+      - `parent_id` (uuid, foreign key to book_comments) - set on replies
+      - `user_id` (uuid, foreign key to auth.users)
+      - `author_name` (text)
+      - `anchor_start`, `anchor_end` (integer) - character range in the section content
+      - `quote` (text) - the commented text, used to find the range again after edits
+      - `body` (text)
+      - `resolved` (boolean)
+      - `created_at`, `updated_at` (timestamp)
+    - `book_suggestions`
+      - `id` (uuid, primary key)
+      - `book_id` (uuid, foreign key to books)
+      - `sub_chapter_id` (uuid)
+      - `user_id` (uuid, foreign key to auth.users)
+      - `author_name` (text)
+      - `range_start`, `range_end` (integer) - replaced range in the section content
+      - `original_text`, `suggested_text` (text)
+      - `status` (text) - pending, accepted or rejected
+      - `resolved_by` (uuid, foreign key to auth.users)
+      - `resolved_at`, `created_at` (timestamp)
+
+  2. New Functions
+    - `book_role` - the signed-in user's role on a book: owner, co_author, editor, viewer or null
+    - `can_edit_book` - true for owners and co-authors
+    - `share_book` - lets a book's owner add or re-role a collaborator by email
+
+  3. Security
+    - Books, chapters, sections and story bibles are readable by every collaborator and
+      writable by owners and co-authors; only owners delete books
+    - A trigger stops a book's owner from being changed
+    - Editors and co-authors comment and suggest; viewers only read
+    - Only the owner accepts or rejects suggestions; authors can withdraw their own
+    - Collaborators can read the writing personas the book uses, and each other's section revisions
+
+  4. Notes
+    - `sub_chapter_id` has no foreign key because sections are saved on the device first and may not be synced yet
+    - Comments and suggestions are added to the realtime publication so open editors see them arrive
+*/
+
+-- Create book_collaborators table
+CREATE TABLE IF NOT EXISTS book_collaborators (
+  book_id uuid NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email text NOT NULL DEFAULT '',
+  role text NOT NULL CHECK (role IN ('co_author', 'editor', 'viewer')),
+  invited_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (book_id, user_id)
+);
+
+-- Create book_comments table
+CREATE TABLE IF NOT EXISTS book_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  book_id uuid NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  sub_chapter_id uuid NOT NULL,
+  parent_id uuid REFERENCES book_comments(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  author_name text NOT NULL DEFAULT '',
+  anchor_start integer NOT NULL DEFAULT 0,
+  anchor_end integer NOT NULL DEFAULT 0,
+  quote text NOT NULL DEFAULT '',
+  body text NOT NULL,
+  resolved boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Create book_suggestions table
+CREATE TABLE IF NOT EXISTS book_suggestions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  book_id uuid NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+  sub_chapter_id uuid NOT NULL,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  author_name text NOT NULL DEFAULT '',
+  range_start integer NOT NULL,
+  range_end integer NOT NULL,
+  original_text text NOT NULL DEFAULT '',
+  suggested_text text NOT NULL DEFAULT '',
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  resolved_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  resolved_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Roles are looked up with the definer's rights so policies on books and
+-- book_collaborators can use them without recursing into each other
+CREATE OR REPLACE FUNCTION book_role(p_book_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN EXISTS (SELECT 1 FROM books WHERE id = p_book_id AND user_id = auth.uid()) THEN 'owner'
+    ELSE (SELECT role FROM book_collaborators WHERE book_id = p_book_id AND user_id = auth.uid())
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION can_edit_book(p_book_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(book_role(p_book_id) IN ('owner', 'co_author'), false);
+$$;
+
+CREATE OR REPLACE FUNCTION share_book(p_book_id uuid, p_email text, p_role text)
+RETURNS book_collaborators
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid;
+  v_collaborator book_collaborators;
+BEGIN
+  IF book_role(p_book_id) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'Only the owner can share this book';
+  END IF;
+
+  SELECT id INTO v_user_id FROM auth.users WHERE lower(email) = lower(trim(p_email));
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'No account uses %. Ask them to sign up first.', trim(p_email);
+  END IF;
+  IF v_user_id = auth.uid() THEN
+    RAISE EXCEPTION 'You already own this book';
+  END IF;
+
+  INSERT INTO book_collaborators (book_id, user_id, email, role, invited_by)
+  VALUES (p_book_id, v_user_id, lower(trim(p_email)), p_role, auth.uid())
+  ON CONFLICT (book_id, user_id) DO UPDATE SET role = EXCLUDED.role
+  RETURNING * INTO v_collaborator;
+
+  RETURN v_collaborator;
+END;
+$$;
+
+-- Collaborators save the whole book, so the owner column must survive their upserts
+CREATE OR REPLACE FUNCTION prevent_book_owner_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.user_id <> OLD.user_id THEN
+    RAISE EXCEPTION 'A book''s owner cannot be changed';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_book_owner_change ON books;
+CREATE TRIGGER prevent_book_owner_change
+  BEFORE UPDATE ON books
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_book_owner_change();
+
+-- Enable Row Level Security
+ALTER TABLE book_collaborators ENABLE ROW LEVEL SECURITY;
+ALTER TABLE book_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE book_suggestions ENABLE ROW LEVEL SECURITY;
+
+-- Books: collaborators read, co-authors write
+DROP POLICY IF EXISTS "Users can read own books" ON books;
+DROP POLICY IF EXISTS "Users can update own books" ON books;
+
+CREATE POLICY "Collaborators can read books"
+  ON books
+  FOR SELECT
+  TO authenticated
+  USING (book_role(id) IS NOT NULL);
+
+CREATE POLICY "Owners and co-authors can update books"
+  ON books
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_book(id))
+  WITH CHECK (can_edit_book(id));
+
+-- Chapters
+DROP POLICY IF EXISTS "Users can read own chapters" ON chapters;
+DROP POLICY IF EXISTS "Users can insert own chapters" ON chapters;
+DROP POLICY IF EXISTS "Users can update own chapters" ON chapters;
+DROP POLICY IF EXISTS "Users can delete own chapters" ON chapters;
+
+CREATE POLICY "Collaborators can read chapters"
+  ON chapters
+  FOR SELECT
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Owners and co-authors can insert chapters"
+  ON chapters
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_book(book_id));
+
+CREATE POLICY "Owners and co-authors can update chapters"
+  ON chapters
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_book(book_id))
+  WITH CHECK (can_edit_book(book_id));
+
+CREATE POLICY "Owners and co-authors can delete chapters"
+  ON chapters
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_book(book_id));
+
+-- Sections
+DROP POLICY IF EXISTS "Users can read own sub_chapters" ON sub_chapters;
+DROP POLICY IF EXISTS "Users can insert own sub_chapters" ON sub_chapters;
+DROP POLICY IF EXISTS "Users can update own sub_chapters" ON sub_chapters;
+DROP POLICY IF EXISTS "Users can delete own sub_chapters" ON sub_chapters;
+
+CREATE POLICY "Collaborators can read sub_chapters"
+  ON sub_chapters
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.id = sub_chapters.chapter_id
+      AND book_role(chapters.book_id) IS NOT NULL
+    )
+  );
+
+CREATE POLICY "Owners and co-authors can insert sub_chapters"
+  ON sub_chapters
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.id = sub_chapters.chapter_id
+      AND can_edit_book(chapters.book_id)
+    )
+  );
+
+CREATE POLICY "Owners and co-authors can update sub_chapters"
+  ON sub_chapters
+  FOR UPDATE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.id = sub_chapters.chapter_id
+      AND can_edit_book(chapters.book_id)
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.id = sub_chapters.chapter_id
+      AND can_edit_book(chapters.book_id)
+    )
+  );
+
+CREATE POLICY "Owners and co-authors can delete sub_chapters"
+  ON sub_chapters
+  FOR DELETE
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.id = sub_chapters.chapter_id
+      AND can_edit_book(chapters.book_id)
+    )
+  );
+
+-- Story bibles
+DROP POLICY IF EXISTS "Users can read own story bibles" ON story_bibles;
+DROP POLICY IF EXISTS "Users can insert own story bibles" ON story_bibles;
+DROP POLICY IF EXISTS "Users can update own story bibles" ON story_bibles;
+DROP POLICY IF EXISTS "Users can delete own story bibles" ON story_bibles;
+
+CREATE POLICY "Collaborators can read story bibles"
+  ON story_bibles
+  FOR SELECT
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Owners and co-authors can insert story bibles"
+  ON story_bibles
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_book(book_id));
+
+CREATE POLICY "Owners and co-authors can update story bibles"
+  ON story_bibles
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_book(book_id))
+  WITH CHECK (can_edit_book(book_id));
+
+CREATE POLICY "Owners and co-authors can delete story bibles"
+  ON story_bibles
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_book(book_id));
+
+-- Version history shows every collaborator's revisions
+DROP POLICY IF EXISTS "Users can read own section revisions" ON section_revisions;
+DROP POLICY IF EXISTS "Users can insert own section revisions" ON section_revisions;
+
+CREATE POLICY "Collaborators can read section revisions"
+  ON section_revisions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id OR book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Owners and co-authors can insert section revisions"
+  ON section_revisions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id AND can_edit_book(book_id));
+
+-- Shared books keep their voice for co-authors
+CREATE POLICY "Collaborators can read personas used by shared books"
+  ON writing_personas
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM books
+      WHERE books.writing_persona_id = writing_personas.id
+      AND book_role(books.id) IS NOT NULL
+    )
+    OR EXISTS (
+      SELECT 1 FROM chapters
+      WHERE chapters.writing_persona_id = writing_personas.id
+      AND book_role(chapters.book_id) IS NOT NULL
+    )
+  );
+
+-- Collaborators: everyone on a book sees who else is on it; owners manage
+-- the list through share_book, and anyone can leave
+CREATE POLICY "Collaborators can read book collaborators"
+  ON book_collaborators
+  FOR SELECT
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Owners can update book collaborators"
+  ON book_collaborators
+  FOR UPDATE
+  TO authenticated
+  USING (book_role(book_id) = 'owner')
+  WITH CHECK (book_role(book_id) = 'owner');
+
+CREATE POLICY "Owners and collaborators themselves can remove collaborators"
+  ON book_collaborators
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id OR book_role(book_id) = 'owner');
+
+-- Comments
+CREATE POLICY "Collaborators can read comments"
+  ON book_comments
+  FOR SELECT
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Editors can insert own comments"
+  ON book_comments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = user_id
+    AND book_role(book_id) IN ('owner', 'co_author', 'editor')
+  );
+
+CREATE POLICY "Authors and co-authors can update comments"
+  ON book_comments
+  FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id OR can_edit_book(book_id))
+  WITH CHECK (auth.uid() = user_id OR can_edit_book(book_id));
+
+CREATE POLICY "Authors and owners can delete comments"
+  ON book_comments
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id OR book_role(book_id) = 'owner');
+
+-- Suggestions
+CREATE POLICY "Collaborators can read suggestions"
+  ON book_suggestions
+  FOR SELECT
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL);
+
+CREATE POLICY "Editors can insert own suggestions"
+  ON book_suggestions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = user_id
+    AND status = 'pending'
+    AND book_role(book_id) IN ('owner', 'co_author', 'editor')
+  );
+
+CREATE POLICY "Owners can resolve suggestions"
+  ON book_suggestions
+  FOR UPDATE
+  TO authenticated
+  USING (book_role(book_id) = 'owner')
+  WITH CHECK (book_role(book_id) = 'owner');
+
+CREATE POLICY "Authors and owners can delete suggestions"
+  ON book_suggestions
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id OR book_role(book_id) = 'owner');
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_book_collaborators_user_id ON book_collaborators(user_id);
+CREATE INDEX IF NOT EXISTS idx_book_comments_book_id ON book_comments(book_id, sub_chapter_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_book_suggestions_book_id ON book_suggestions(book_id, sub_chapter_id, created_at);
+
+-- Open editors are told about new comments and suggestions
+ALTER PUBLICATION supabase_realtime ADD TABLE book_comments, book_suggestions;
@@ -0,0 +1,22 @@
+/*
+  # Add translated editions to books
+
+  1. Schema Changes
+    - Add `translation` (jsonb) column to `books`
+
+  2. Notes
+    - Set on editions translated from another book: the source book's id and language,
+      and the glossary that keeps names and terms consistent across sections
+    - The edition's own `language` column holds the language it was translated into
+    - Deleting the source book leaves its editions in place
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'translation'
+  ) THEN
+    ALTER TABLE books ADD COLUMN translation jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,22 @@
+/*
+  # Add rewritten editions to books
+
+  1. Schema Changes
+    - Add `edition` (jsonb) column to `books`
+
+  2. Notes
+    - Set on editions rewritten from another book: the source book's id, the reading level,
+      audience, perspective, tense and length changes, and which source section each
+      edition section was rewritten from
+    - Deleting the source book leaves its editions in place
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'books' AND column_name = 'edition'
+  ) THEN
+    ALTER TABLE books ADD COLUMN edition jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,66 @@
+/*
+  # Add leases to generation jobs
+
+  1. Schema Changes
+    - Add `lease_owner` (text) to `generation_jobs` - the tab running the job
+    - Add `lease_expires_at` (timestamp) to `generation_jobs` - renewed while the job runs
+
+  2. New Functions
+    - `claim_generation_job` - takes over a job nobody holds, or whose lease has run out,
+      and marks it running
+    - `renew_generation_job_lease` - extends the caller's lease and returns the job's status,
+      or null once the lease belongs to someone else
+
+  3. Notes
+    - A job stored as running is only picked up again by another tab or device once its
+      lease has expired, so the same sections are never generated twice
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'generation_jobs' AND column_name = 'lease_owner'
+  ) THEN
+    ALTER TABLE generation_jobs ADD COLUMN lease_owner text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'generation_jobs' AND column_name = 'lease_expires_at'
+  ) THEN
+    ALTER TABLE generation_jobs ADD COLUMN lease_expires_at timestamptz;
+  END IF;
+END $$;
+
+-- Leases are compared against the database's clock, never the browser's
+CREATE OR REPLACE FUNCTION claim_generation_job(p_job_id uuid, p_owner text, p_lease_seconds integer)
+RETURNS SETOF generation_jobs
+LANGUAGE sql
+SET search_path = public
+AS $$
+  UPDATE generation_jobs
+  SET lease_owner = p_owner,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      status = 'running',
+      error = NULL,
+      updated_at = now()
+  WHERE id = p_job_id
+    AND user_id = auth.uid()
+    AND status IN ('running', 'paused', 'failed')
+    AND (lease_owner IS NULL OR lease_owner = p_owner OR lease_expires_at IS NULL OR lease_expires_at < now())
+  RETURNING *;
+$$;
+
+CREATE OR REPLACE FUNCTION renew_generation_job_lease(p_job_id uuid, p_owner text, p_lease_seconds integer)
+RETURNS text
+LANGUAGE sql
+SET search_path = public
+AS $$
+  UPDATE generation_jobs
+  SET lease_expires_at = now() + make_interval(secs => p_lease_seconds)
+  WHERE id = p_job_id
+    AND user_id = auth.uid()
+    AND lease_owner = p_owner
+  RETURNING status;
+$$;
@@ -0,0 +1,39 @@
+/*
+  # Look up the latest revision of each section in the database
+
+  1. New Functions
+    - `latest_section_revision_hashes` - the content hash of the newest revision of each
+      of the given sections, used to skip recording unchanged text
+    - `section_revisions_at` - the content of each section of a book as it stood at a
+      point in time, used to restore the whole book to that point
+
+  2. Notes
+    - Picking one row per section here keeps long histories from being cut off by the
+      API's row limit, and avoids sending every old revision to the browser
+    - Both run with the caller's rights, so the section_revisions policies still apply
+*/
+
+CREATE OR REPLACE FUNCTION latest_section_revision_hashes(p_sub_chapter_ids uuid[])
+RETURNS TABLE (sub_chapter_id uuid, content_hash text)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT DISTINCT ON (r.sub_chapter_id) r.sub_chapter_id, r.content_hash
+  FROM section_revisions r
+  WHERE r.sub_chapter_id = ANY(p_sub_chapter_ids)
+  ORDER BY r.sub_chapter_id, r.created_at DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION section_revisions_at(p_book_id uuid, p_at timestamptz)
+RETURNS TABLE (sub_chapter_id uuid, content text)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT DISTINCT ON (r.sub_chapter_id) r.sub_chapter_id, r.content
+  FROM section_revisions r
+  WHERE r.book_id = p_book_id
+    AND r.created_at <= p_at
+  ORDER BY r.sub_chapter_id, r.created_at DESC;
+$$;
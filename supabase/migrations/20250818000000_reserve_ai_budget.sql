@@ -0,0 +1,65 @@
+/*
+  # Hold AI budget before platform calls
+
+  1. Schema Changes
+    - Add `settled` (boolean) to `ai_usage` - false while a call is in flight and its row
+      only holds the most it could cost
+
+  2. New Functions
+    - `reserve_ai_budget` - checks a user's remaining monthly budget and records a hold
+      for a call's estimated cost in one step, returning the hold's id, or null when the
+      call would go over budget
+
+  3. Notes
+    - Holds count towards the budget as soon as they are made, so parallel calls can't
+      all pass the check before any of them is charged
+    - The proxy settles a hold with the call's measured cost, or deletes it when the
+      provider rejects the call; a hold left by a crashed call keeps its estimate
+    - Only the ai-proxy edge function (service role) may call `reserve_ai_budget`
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ai_usage' AND column_name = 'settled'
+  ) THEN
+    ALTER TABLE ai_usage ADD COLUMN settled boolean NOT NULL DEFAULT true;
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION reserve_ai_budget(
+  p_user_id uuid,
+  p_default_budget_usd numeric,
+  p_since timestamptz,
+  p_estimate_usd numeric,
+  p_provider text,
+  p_model text,
+  p_operation text,
+  p_book_id uuid
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_budget numeric;
+  v_id uuid;
+BEGIN
+  -- One reservation per user at a time, so each sees the holds made before it
+  PERFORM pg_advisory_xact_lock(hashtext('ai_budget:' || p_user_id::text));
+
+  SELECT monthly_budget_usd INTO v_budget FROM ai_quotas WHERE user_id = p_user_id;
+  IF ai_platform_spend_since(p_user_id, p_since) + p_estimate_usd > COALESCE(v_budget, p_default_budget_usd) THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO ai_usage (user_id, book_id, operation, provider, model, key_source, cost_usd, settled)
+  VALUES (p_user_id, p_book_id, p_operation, p_provider, p_model, 'platform', p_estimate_usd, false)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION reserve_ai_budget(uuid, numeric, timestamptz, numeric, text, text, text, uuid) FROM PUBLIC, anon, authenticated;
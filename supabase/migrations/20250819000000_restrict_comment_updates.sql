@@ -0,0 +1,51 @@
+/*
+  # Restrict what can change on a comment
+
+  1. Security
+    - Replace the book_comments update policy: only people still on the book can update
+      comments, both before and after the change
+    - New trigger `restrict_comment_update`:
+      - a comment's book, section, thread, author and creation time never change
+      - owners and co-authors can resolve or reopen anyone's comment, but only its author
+        can change the text, the quote or where it is anchored
+*/
+
+DROP POLICY IF EXISTS "Authors and co-authors can update comments" ON book_comments;
+
+CREATE POLICY "Authors and co-authors can update comments"
+  ON book_comments
+  FOR UPDATE
+  TO authenticated
+  USING (book_role(book_id) IS NOT NULL AND (auth.uid() = user_id OR can_edit_book(book_id)))
+  WITH CHECK (book_role(book_id) IS NOT NULL AND (auth.uid() = user_id OR can_edit_book(book_id)));
+
+-- Policies can't compare old and new values, so the column rules live in a trigger
+CREATE OR REPLACE FUNCTION restrict_comment_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.book_id IS DISTINCT FROM OLD.book_id
+    OR NEW.sub_chapter_id IS DISTINCT FROM OLD.sub_chapter_id
+    OR NEW.parent_id IS DISTINCT FROM OLD.parent_id
+    OR NEW.user_id IS DISTINCT FROM OLD.user_id
+    OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'A comment cannot be moved to another book, section, thread or author';
+  END IF;
+
+  IF auth.uid() IS DISTINCT FROM OLD.user_id
+    AND (NEW.body IS DISTINCT FROM OLD.body
+      OR NEW.author_name IS DISTINCT FROM OLD.author_name
+      OR NEW.quote IS DISTINCT FROM OLD.quote
+      OR NEW.anchor_start IS DISTINCT FROM OLD.anchor_start
+      OR NEW.anchor_end IS DISTINCT FROM OLD.anchor_end) THEN
+    RAISE EXCEPTION 'Only the comment''s author can change it; others can only resolve or reopen it';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS restrict_comment_update ON book_comments;
+CREATE TRIGGER restrict_comment_update
+  BEFORE UPDATE ON book_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION restrict_comment_update();
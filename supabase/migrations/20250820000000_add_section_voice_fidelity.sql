@@ -0,0 +1,21 @@
+/*
+  # Add section voice fidelity
+
+  1. Schema Changes
+    - Add `voice_fidelity` (jsonb) column to `sub_chapters`
+
+  2. Notes
+    - Holds how closely a section matched its persona's writing sample when it was written:
+      the 0-100 score, where it differed most and which persona it was compared with
+    - Empty for sections written without a persona sample, or too short to score
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'sub_chapters' AND column_name = 'voice_fidelity'
+  ) THEN
+    ALTER TABLE sub_chapters ADD COLUMN voice_fidelity jsonb;
+  END IF;
+END $$;
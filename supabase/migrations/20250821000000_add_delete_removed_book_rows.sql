@@ -0,0 +1,30 @@
+/*
+  # Delete removed chapters and sections in the database
+
+  1. New Functions
+    - `delete_removed_book_rows` - deletes a book's chapters and sections that are not in
+      the given lists of the ids it still has
+
+  2. Notes
+    - Sync used to send every id the book still has in the request URL, which long books
+      ran past the URL length limit; the lists now travel in the request body
+    - Runs with the caller's rights, so the chapters and sub_chapters policies still apply
+*/
+
+CREATE OR REPLACE FUNCTION delete_removed_book_rows(p_book_id uuid, p_chapter_ids uuid[], p_sub_chapter_ids uuid[])
+RETURNS void
+LANGUAGE sql
+SET search_path = public
+AS $$
+  -- Checked against every section in the book, so one moved to another chapter is kept
+  DELETE FROM sub_chapters s
+  USING chapters c
+  WHERE s.chapter_id = c.id
+    AND c.book_id = p_book_id
+    AND NOT (s.id = ANY(p_sub_chapter_ids));
+
+  -- Sections of removed chapters go with them (on delete cascade)
+  DELETE FROM chapters
+  WHERE book_id = p_book_id
+    AND NOT (id = ANY(p_chapter_ids));
+$$;